@@ -14,8 +14,18 @@ import { getMockTestPersona } from './utils/testAuthPersonas.js';
 import dashboardRouter from './routes/dashboard.js';
 import goalsRouter from './routes/goals.js';
 import kpisRouter from './routes/kpis.js';
-import projectsRouter from './routes/projects.js';
+import projectsRouter, { startRiskSnapshotScheduler } from './routes/projects.js';
 import tasksRouter from './routes/tasks.js';
+import attachmentsRouter from './routes/attachments.js';
+import timeEntriesRouter from './routes/timeEntries.js';
+import projectTemplatesRouter from './routes/projectTemplates.js';
+import taskWorkflowsRouter from './routes/taskWorkflows.js';
+import stageGatesRouter from './routes/stageGates.js';
+import riskModelsRouter from './routes/riskModels.js';
+import customFieldsRouter from './routes/customFields.js';
+import importsRouter from './routes/imports.js';
+import calendarFeedsRouter from './routes/calendarFeeds.js';
+import resourcesRouter from './routes/resources.js';
 import tagsRouter from './routes/tags.js';
 import intakeRouter from './routes/intake.js';
 import governanceRouter from './routes/governance.js';
@@ -224,6 +234,7 @@ export const createApp = (options = {}) => {
         isDevelopment ? 5000 : 1500
     );
     const execPackSchedulerIntervalMs = Number.parseInt(env.EXEC_PACK_SCHEDULER_INTERVAL_MS || '60000', 10);
+    const riskSnapshotIntervalMs = Number.parseInt(env.RISK_SNAPSHOT_INTERVAL_MS || '3600000', 10);
     const allowedCorsOrigins = resolveCorsOrigins({
         isDevelopment,
         corsAllowedOrigins: env.CORS_ALLOWED_ORIGINS
@@ -252,7 +263,8 @@ export const createApp = (options = {}) => {
         },
         credentials: true,
         methods: ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
-        allowedHeaders: ['Authorization', 'Content-Type', 'x-test-user']
+        allowedHeaders: ['Authorization', 'Content-Type', 'If-Match', 'x-test-user'],
+        exposedHeaders: ['ETag']
     }));
     app.use(helmet());
     app.use(compression());
@@ -267,6 +279,9 @@ export const createApp = (options = {}) => {
     });
     app.use('/api/', limiter);
 
+    // Token-authenticated iCalendar feeds; must be registered before the API auth middleware.
+    app.use('/api/calendar', calendarFeedsRouter);
+
     if (mockAuthEnabled) {
         configureMockAuth(app);
     } else {
@@ -285,6 +300,15 @@ export const createApp = (options = {}) => {
     app.use('/api/kpis', kpisRouter);
     app.use('/api/projects', projectsRouter);
     app.use('/api/tasks', tasksRouter);
+    app.use('/api/attachments', attachmentsRouter);
+    app.use('/api/time-entries', timeEntriesRouter);
+    app.use('/api/project-templates', projectTemplatesRouter);
+    app.use('/api/task-workflows', taskWorkflowsRouter);
+    app.use('/api/stage-gates', stageGatesRouter);
+    app.use('/api/risk-models', riskModelsRouter);
+    app.use('/api/custom-fields', customFieldsRouter);
+    app.use('/api/imports', importsRouter);
+    app.use('/api/resources', resourcesRouter);
     app.use('/api/tags', tagsRouter);
     app.use('/api/intake', intakeRouter);
     app.use('/api/governance', governanceRouter);
@@ -302,7 +326,8 @@ export const createApp = (options = {}) => {
             port,
             isDevelopment,
             mockAuthEnabled,
-            execPackSchedulerIntervalMs: Number.isFinite(execPackSchedulerIntervalMs) ? execPackSchedulerIntervalMs : 60000
+            execPackSchedulerIntervalMs: Number.isFinite(execPackSchedulerIntervalMs) ? execPackSchedulerIntervalMs : 60000,
+            riskSnapshotIntervalMs: Number.isFinite(riskSnapshotIntervalMs) ? riskSnapshotIntervalMs : 3600000
         }
     };
 };
@@ -322,6 +347,12 @@ export const startServer = async (options = {}) => {
                 if (schedulerStart.started) {
                     console.log(`Executive pack scheduler started (interval ${schedulerStart.intervalMs}ms)`);
                 }
+                const riskSnapshotStart = startRiskSnapshotScheduler({
+                    intervalMs: config.riskSnapshotIntervalMs
+                });
+                if (riskSnapshotStart.started) {
+                    console.log(`Risk snapshot scheduler started (interval ${riskSnapshotStart.intervalMs}ms)`);
+                }
                 console.log(`API server running on:`);
                 console.log(`  Local:   http://localhost:${config.port}`);
                 console.log(`  Network: http://${host}:${config.port}`);
@@ -22,6 +22,12 @@ const resolveEntityId = (rawValue) => {
     return Number.isNaN(parsed) ? null : parsed;
 };
 
+// Column expression for a row's recycle bin stamp; always NULL before the schema is installed.
+const deletedAtColumn = async (pool, alias) => {
+    const { hasRecycleBinSchema } = await import('../utils/recycleBin.js');
+    return await hasRecycleBinSchema(pool) ? `${alias}.deletedAt` : 'CAST(NULL AS DATETIME2)';
+};
+
 /**
  * Hard requirement: user must belong to an organization.
  * Admins bypass this check and see all data (req.orgId = null).
@@ -257,9 +263,10 @@ export const requireGoalWriteAccess = (req, res, next) => {
 
 /**
  * Check write access to the project linked to a task.
+ * Tasks in the recycle bin are treated as missing unless includeDeleted is set (restore routes).
  * Must be called after requireOrg or withSharedScope.
  */
-export const checkTaskWriteAccess = (getTaskId) => {
+export const checkTaskWriteAccess = (getTaskId, { includeDeleted = false } = {}) => {
     return async (req, res, next) => {
         try {
             const { getPool, sql } = await import('../db.js');
@@ -274,20 +281,22 @@ export const checkTaskWriteAccess = (getTaskId) => {
                 return res.status(400).json({ error: 'Invalid task id' });
             }
 
+            const taskDeletedAt = await deletedAtColumn(pool, 't');
             if (adminRequest) {
                 const lifecycleResult = await pool.request()
                     .input('taskId', sql.Int, taskId)
                     .query(`
-                        SELECT p.lifecycleState
+                        SELECT p.lifecycleState, ${taskDeletedAt} AS deletedAt
                         FROM Tasks t
                         INNER JOIN Projects p ON p.id = t.projectId
                         WHERE t.id = @taskId
                     `);
 
-                if (!lifecycleResult.recordset.length) {
+                if (!lifecycleResult.recordset.length || (lifecycleResult.recordset[0].deletedAt && !includeDeleted)) {
                     return res.status(404).json({ error: 'Task not found' });
                 }
 
+                req.taskDeletedAt = lifecycleResult.recordset[0].deletedAt || null;
                 req.projectLifecycleState = String(lifecycleResult.recordset[0].lifecycleState || 'active').toLowerCase();
                 req.projectAccess = 'owner';
                 req.hasWriteAccess = true;
@@ -300,6 +309,7 @@ export const checkTaskWriteAccess = (getTaskId) => {
                 .query(`
                     SELECT
                         p.lifecycleState,
+                        ${taskDeletedAt} AS deletedAt,
                         CASE
                             WHEN p.orgId = @orgId THEN 'owner'
                             WHEN poa.accessLevel = 'write' THEN 'write'
@@ -315,7 +325,7 @@ export const checkTaskWriteAccess = (getTaskId) => {
                     WHERE t.id = @taskId
                 `);
 
-            if (!result.recordset.length) {
+            if (!result.recordset.length || (result.recordset[0].deletedAt && !includeDeleted)) {
                 return res.status(404).json({ error: 'Task not found' });
             }
 
@@ -324,6 +334,7 @@ export const checkTaskWriteAccess = (getTaskId) => {
                 return res.status(403).json({ error: 'Your organization does not have access to this task project' });
             }
 
+            req.taskDeletedAt = result.recordset[0].deletedAt || null;
             req.projectLifecycleState = String(result.recordset[0].lifecycleState || 'active').toLowerCase();
             req.projectAccess = access;
             req.hasWriteAccess = access === 'owner' || access === 'write';
@@ -337,9 +348,10 @@ export const checkTaskWriteAccess = (getTaskId) => {
 
 /**
  * Check write access to the goal linked to a KPI.
+ * KPIs in the recycle bin are treated as missing unless includeDeleted is set (restore routes).
  * Must be called after requireOrg or withSharedScope.
  */
-export const checkKpiWriteAccess = (getKpiId) => {
+export const checkKpiWriteAccess = (getKpiId, { includeDeleted = false } = {}) => {
     return async (req, res, next) => {
         try {
             const { getPool, sql } = await import('../db.js');
@@ -354,20 +366,22 @@ export const checkKpiWriteAccess = (getKpiId) => {
                 return res.status(400).json({ error: 'Invalid KPI id' });
             }
 
+            const kpiDeletedAt = await deletedAtColumn(pool, 'k');
             if (adminRequest) {
                 const lifecycleResult = await pool.request()
                     .input('kpiId', sql.Int, kpiId)
                     .query(`
-                        SELECT g.lifecycleState
+                        SELECT g.lifecycleState, ${kpiDeletedAt} AS deletedAt
                         FROM KPIs k
                         INNER JOIN Goals g ON g.id = k.goalId
                         WHERE k.id = @kpiId
                     `);
 
-                if (!lifecycleResult.recordset.length) {
+                if (!lifecycleResult.recordset.length || (lifecycleResult.recordset[0].deletedAt && !includeDeleted)) {
                     return res.status(404).json({ error: 'KPI not found' });
                 }
 
+                req.kpiDeletedAt = lifecycleResult.recordset[0].deletedAt || null;
                 req.goalLifecycleState = String(lifecycleResult.recordset[0].lifecycleState || 'active').toLowerCase();
                 req.goalAccess = 'owner';
                 req.hasGoalWriteAccess = true;
@@ -380,6 +394,7 @@ export const checkKpiWriteAccess = (getKpiId) => {
                 .query(`
                     SELECT
                         g.lifecycleState,
+                        ${kpiDeletedAt} AS deletedAt,
                         CASE
                             WHEN g.orgId = @orgId THEN 'owner'
                             WHEN goa.accessLevel = 'write' THEN 'write'
@@ -395,7 +410,7 @@ export const checkKpiWriteAccess = (getKpiId) => {
                     WHERE k.id = @kpiId
                 `);
 
-            if (!result.recordset.length) {
+            if (!result.recordset.length || (result.recordset[0].deletedAt && !includeDeleted)) {
                 return res.status(404).json({ error: 'KPI not found' });
             }
 
@@ -404,6 +419,7 @@ export const checkKpiWriteAccess = (getKpiId) => {
                 return res.status(403).json({ error: 'Your organization does not have access to this KPI goal' });
             }
 
+            req.kpiDeletedAt = result.recordset[0].deletedAt || null;
             req.goalLifecycleState = String(result.recordset[0].lifecycleState || 'active').toLowerCase();
             req.goalAccess = access;
             req.hasGoalWriteAccess = access === 'owner' || access === 'write';
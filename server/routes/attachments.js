@@ -0,0 +1,396 @@
+import express from 'express';
+import { getPool, sql } from '../db.js';
+import { requireAuth, getAuthUser, hasPermission } from '../middleware/authMiddleware.js';
+import { handleError } from '../utils/errorHandler.js';
+import { logAudit } from '../utils/auditLogger.js';
+import { invalidateProjectCache } from '../utils/cache.js';
+import { isProjectLifecycleReadOnly, touchProjectActivity } from '../utils/lifecycle.js';
+import { isAdminUser, parseOptionalOrgId } from '../utils/orgOwnership.js';
+import { buildGovernanceSubmissionScope, hasGovernanceSubmissionScope } from '../utils/intakeAccess.js';
+import {
+    ATTACHMENT_SCHEMA_MISSING_ERROR,
+    hasAttachmentSchema,
+    mapAttachmentRow
+} from '../utils/attachments.js';
+import {
+    buildAttachmentStorageKey,
+    computeAttachmentChecksum,
+    getAttachmentStorage,
+    removeStoredAttachments
+} from '../utils/attachmentStorage.js';
+import {
+    ATTACHMENT_ENTITY_TYPES,
+    MAX_ATTACHMENT_BYTES,
+    normalizeAttachmentEntityType,
+    sanitizeAttachmentFileName
+} from '../../shared/attachments.js';
+
+const router = express.Router();
+
+const MIME_TYPE_PATTERN = /^[a-z0-9][a-z0-9!#$&^_.+-]{0,63}\/[a-z0-9][a-z0-9!#$&^_.+-]{0,63}$/;
+const BASE64_PATTERN = /^[A-Za-z0-9+/]*={0,2}$/;
+
+const normalizeMimeType = (value) => {
+    const normalized = String(value || '').split(';')[0].trim().toLowerCase();
+    return MIME_TYPE_PATTERN.test(normalized) ? normalized : 'application/octet-stream';
+};
+
+const decodeBase64Content = (value) => {
+    const compact = String(value || '').replace(/^data:[^,]*,/, '').replace(/\s+/g, '');
+    if (!compact || compact.length % 4 !== 0 || !BASE64_PATTERN.test(compact)) return null;
+    return Buffer.from(compact, 'base64');
+};
+
+const denied = (status, error) => ({ status, error });
+
+/**
+ * Resolve what the caller may do with attachments on a parent record.
+ * Mirrors the parent's own checks: project/task attachments follow Projects.orgId plus
+ * ProjectOrgAccess and the project lifecycle; submission attachments follow the
+ * submitter / intake-manager / governance-board scope used by the intake routes.
+ * @returns {Promise<{status?: number, error?: string, orgId?: number|null, projectId?: number|null, title?: string, canWrite?: boolean, readOnlyReason?: string|null}>}
+ */
+const resolveParentAccess = async ({ pool, user, entityType, entityId }) => {
+    const adminRequest = isAdminUser(user);
+
+    if (entityType === ATTACHMENT_ENTITY_TYPES.SUBMISSION) {
+        const result = await pool.request()
+            .input('id', sql.Int, entityId)
+            .query(`
+                SELECT
+                    s.id,
+                    s.submitterId,
+                    s.orgId,
+                    f.name AS formName,
+                    f.governanceBoardId,
+                    b.orgId AS boardOrgId
+                FROM IntakeSubmissions s
+                LEFT JOIN IntakeForms f ON f.id = s.formId
+                LEFT JOIN GovernanceBoard b ON b.id = f.governanceBoardId
+                WHERE s.id = @id
+            `);
+        const submission = result.recordset[0];
+        if (!submission) return denied(404, 'Submission not found');
+
+        const base = {
+            orgId: parseOptionalOrgId(submission.orgId),
+            projectId: null,
+            title: submission.formName || `Submission ${submission.id}`,
+            readOnlyReason: null
+        };
+        if (adminRequest || submission.submitterId === user?.oid) {
+            return { ...base, canWrite: true };
+        }
+
+        const canManage = await hasPermission(user, ['can_manage_intake', 'can_view_incoming_requests']);
+        const canReview = canManage || await hasPermission(user, 'can_view_governance_queue');
+        if (!canReview) return denied(403, 'Forbidden');
+
+        const scope = await buildGovernanceSubmissionScope({ pool, user, submission });
+        if (!hasGovernanceSubmissionScope(scope)) return denied(403, 'Forbidden');
+        return {
+            ...base,
+            canWrite: canManage,
+            readOnlyReason: canManage ? null : 'Governance reviewers can view but not change submission attachments'
+        };
+    }
+
+    if (!(await hasPermission(user, 'can_view_projects'))) return denied(403, 'Forbidden');
+
+    const viewerOrgId = parseOptionalOrgId(user?.orgId);
+    if (!adminRequest && !Number.isFinite(viewerOrgId)) {
+        return denied(403, 'No organization assigned. Contact your administrator.');
+    }
+
+    const isTask = entityType === ATTACHMENT_ENTITY_TYPES.TASK;
+    const result = await pool.request()
+        .input('id', sql.Int, entityId)
+        .input('orgId', sql.Int, adminRequest ? null : viewerOrgId)
+        .query(`
+            SELECT
+                p.id AS projectId,
+                p.orgId,
+                p.lifecycleState,
+                ${isTask ? 't.title' : 'p.title'} AS title,
+                CASE
+                    WHEN p.orgId = @orgId THEN 'owner'
+                    WHEN poa.accessLevel = 'write' THEN 'write'
+                    WHEN poa.accessLevel = 'read' THEN 'read'
+                    ELSE 'none'
+                END AS accessLevel
+            FROM ${isTask ? 'Tasks t INNER JOIN Projects p ON p.id = t.projectId' : 'Projects p'}
+            LEFT JOIN ProjectOrgAccess poa
+                ON poa.projectId = p.id
+               AND poa.orgId = @orgId
+               AND (poa.expiresAt IS NULL OR poa.expiresAt > GETDATE())
+            WHERE ${isTask ? 't.id' : 'p.id'} = @id
+        `);
+    const row = result.recordset[0];
+    if (!row) return denied(404, isTask ? 'Task not found' : 'Project not found');
+
+    const accessLevel = adminRequest ? 'owner' : row.accessLevel;
+    if (accessLevel === 'none') {
+        return denied(403, 'Your organization does not have access to this project');
+    }
+
+    let readOnlyReason = null;
+    if (isProjectLifecycleReadOnly(row.lifecycleState)) {
+        readOnlyReason = 'Archived projects are read-only until restored.';
+    } else if (accessLevel === 'read') {
+        readOnlyReason = 'Your organization has read-only access to this project';
+    } else if (!(await hasPermission(user, 'can_edit_project'))) {
+        readOnlyReason = 'Forbidden';
+    }
+
+    return {
+        orgId: parseOptionalOrgId(row.orgId),
+        projectId: row.projectId,
+        title: row.title,
+        canWrite: !readOnlyReason,
+        readOnlyReason
+    };
+};
+
+const sendWriteDenied = (res, access) => {
+    const status = access.readOnlyReason === 'Archived projects are read-only until restored.' ? 409 : 403;
+    return res.status(status).json({ error: access.readOnlyReason || 'Forbidden' });
+};
+
+const parseEntityParams = (source) => {
+    const entityType = normalizeAttachmentEntityType(source?.entityType);
+    const entityId = Number.parseInt(source?.entityId, 10);
+    if (!entityType) return { error: 'entityType must be one of project, task or submission' };
+    if (Number.isNaN(entityId)) return { error: 'Invalid entityId' };
+    return { entityType, entityId };
+};
+
+const fetchAttachmentRow = async (pool, id) => {
+    const result = await pool.request()
+        .input('id', sql.Int, id)
+        .query(`
+            SELECT a.*, u.name AS uploadedByName
+            FROM Attachments a
+            LEFT JOIN Users u ON u.oid = a.uploadedByOid
+            WHERE a.id = @id
+        `);
+    return result.recordset[0] || null;
+};
+
+const auditMetadata = (row, access) => ({
+    parentType: row.entityType,
+    parentId: String(row.entityId),
+    ...(access.projectId ? { projectId: String(access.projectId) } : {})
+});
+
+// List attachments on a project, task or intake submission
+router.get('/', requireAuth, async (req, res) => {
+    try {
+        const parsed = parseEntityParams(req.query);
+        if (parsed.error) return res.status(400).json({ error: parsed.error });
+
+        const pool = await getPool();
+        if (!(await hasAttachmentSchema(pool))) {
+            return res.status(409).json({ error: ATTACHMENT_SCHEMA_MISSING_ERROR });
+        }
+
+        const access = await resolveParentAccess({ pool, user: getAuthUser(req), ...parsed });
+        if (access.error) return res.status(access.status).json({ error: access.error });
+
+        const result = await pool.request()
+            .input('entityType', sql.NVarChar(20), parsed.entityType)
+            .input('entityId', sql.Int, parsed.entityId)
+            .query(`
+                SELECT a.*, u.name AS uploadedByName
+                FROM Attachments a
+                LEFT JOIN Users u ON u.oid = a.uploadedByOid
+                WHERE a.entityType = @entityType AND a.entityId = @entityId
+                ORDER BY a.createdAt DESC, a.id DESC
+            `);
+
+        res.json({
+            attachments: result.recordset.map(mapAttachmentRow),
+            canUpload: access.canWrite,
+            maxSizeBytes: MAX_ATTACHMENT_BYTES
+        });
+    } catch (err) {
+        handleError(res, 'fetching attachments', err);
+    }
+});
+
+// Upload an attachment (JSON body with base64 content)
+router.post('/', requireAuth, async (req, res) => {
+    try {
+        const parsed = parseEntityParams(req.body);
+        if (parsed.error) return res.status(400).json({ error: parsed.error });
+
+        const fileName = sanitizeAttachmentFileName(req.body?.fileName);
+        if (!fileName) return res.status(400).json({ error: 'fileName is required' });
+
+        const content = decodeBase64Content(req.body?.contentBase64);
+        if (!content || content.length === 0) {
+            return res.status(400).json({ error: 'contentBase64 must be non-empty base64 data' });
+        }
+        if (content.length > MAX_ATTACHMENT_BYTES) {
+            return res.status(413).json({ error: `Attachments are limited to ${Math.floor(MAX_ATTACHMENT_BYTES / (1024 * 1024))} MB` });
+        }
+
+        const pool = await getPool();
+        if (!(await hasAttachmentSchema(pool))) {
+            return res.status(409).json({ error: ATTACHMENT_SCHEMA_MISSING_ERROR });
+        }
+
+        const user = getAuthUser(req);
+        const access = await resolveParentAccess({ pool, user, ...parsed });
+        if (access.error) return res.status(access.status).json({ error: access.error });
+        if (!access.canWrite) return sendWriteDenied(res, access);
+
+        const storage = getAttachmentStorage();
+        const storageKey = buildAttachmentStorageKey(parsed.entityType, parsed.entityId);
+        const checksumSha256 = computeAttachmentChecksum(content);
+        const mimeType = normalizeMimeType(req.body?.mimeType);
+
+        await storage.put(storageKey, content);
+        let insertResult;
+        try {
+            insertResult = await pool.request()
+                .input('entityType', sql.NVarChar(20), parsed.entityType)
+                .input('entityId', sql.Int, parsed.entityId)
+                .input('orgId', sql.Int, Number.isFinite(access.orgId) ? access.orgId : null)
+                .input('fileName', sql.NVarChar(255), fileName)
+                .input('mimeType', sql.NVarChar(150), mimeType)
+                .input('sizeBytes', sql.BigInt, content.length)
+                .input('checksumSha256', sql.Char(64), checksumSha256)
+                .input('storageProvider', sql.NVarChar(40), storage.name)
+                .input('storageKey', sql.NVarChar(400), storageKey)
+                .input('uploadedByOid', sql.NVarChar(100), user.oid)
+                .query(`
+                    INSERT INTO Attachments (
+                        entityType, entityId, orgId, fileName, mimeType, sizeBytes,
+                        checksumSha256, storageProvider, storageKey, uploadedByOid
+                    )
+                    OUTPUT INSERTED.id
+                    VALUES (
+                        @entityType, @entityId, @orgId, @fileName, @mimeType, @sizeBytes,
+                        @checksumSha256, @storageProvider, @storageKey, @uploadedByOid
+                    )
+                `);
+        } catch (err) {
+            await removeStoredAttachments([{ storageProvider: storage.name, storageKey }]);
+            throw err;
+        }
+
+        const row = await fetchAttachmentRow(pool, insertResult.recordset[0].id);
+        if (access.projectId) {
+            await touchProjectActivity(pool, access.projectId);
+            invalidateProjectCache();
+        }
+        logAudit({
+            action: 'attachment.upload',
+            entityType: 'attachment',
+            entityId: row.id,
+            entityTitle: fileName,
+            user,
+            after: { fileName, mimeType, sizeBytes: content.length, checksumSha256 },
+            metadata: auditMetadata(row, access),
+            req
+        });
+        res.status(201).json(mapAttachmentRow(row));
+    } catch (err) {
+        handleError(res, 'uploading attachment', err);
+    }
+});
+
+// Download attachment bytes
+router.get('/:id/download', requireAuth, async (req, res) => {
+    try {
+        const id = Number.parseInt(req.params.id, 10);
+        if (Number.isNaN(id)) return res.status(400).json({ error: 'Invalid attachment id' });
+
+        const pool = await getPool();
+        if (!(await hasAttachmentSchema(pool))) {
+            return res.status(409).json({ error: ATTACHMENT_SCHEMA_MISSING_ERROR });
+        }
+
+        const row = await fetchAttachmentRow(pool, id);
+        if (!row) return res.status(404).json({ error: 'Attachment not found' });
+
+        const access = await resolveParentAccess({
+            pool,
+            user: getAuthUser(req),
+            entityType: row.entityType,
+            entityId: row.entityId
+        });
+        if (access.error) return res.status(access.status).json({ error: access.error });
+
+        let stream;
+        try {
+            stream = await getAttachmentStorage(row.storageProvider).createReadStream(row.storageKey);
+        } catch (err) {
+            console.error(`Attachment ${row.id} bytes are unavailable:`, err);
+            return res.status(410).json({ error: 'Attachment content is no longer available' });
+        }
+
+        res.setHeader('Content-Type', row.mimeType || 'application/octet-stream');
+        res.setHeader('Content-Length', String(row.sizeBytes));
+        res.setHeader('Content-Disposition', `attachment; filename*=UTF-8''${encodeURIComponent(row.fileName)}`);
+        res.setHeader('X-Content-SHA256', row.checksumSha256);
+        stream.on('error', (err) => {
+            console.error(`Error streaming attachment ${row.id}:`, err);
+            res.destroy(err);
+        });
+        stream.pipe(res);
+    } catch (err) {
+        handleError(res, 'downloading attachment', err);
+    }
+});
+
+// Delete an attachment
+router.delete('/:id', requireAuth, async (req, res) => {
+    try {
+        const id = Number.parseInt(req.params.id, 10);
+        if (Number.isNaN(id)) return res.status(400).json({ error: 'Invalid attachment id' });
+
+        const pool = await getPool();
+        if (!(await hasAttachmentSchema(pool))) {
+            return res.status(409).json({ error: ATTACHMENT_SCHEMA_MISSING_ERROR });
+        }
+
+        const row = await fetchAttachmentRow(pool, id);
+        if (!row) return res.status(404).json({ error: 'Attachment not found' });
+
+        const user = getAuthUser(req);
+        const access = await resolveParentAccess({
+            pool,
+            user,
+            entityType: row.entityType,
+            entityId: row.entityId
+        });
+        if (access.error) return res.status(access.status).json({ error: access.error });
+        if (!access.canWrite) return sendWriteDenied(res, access);
+
+        await pool.request()
+            .input('id', sql.Int, id)
+            .query('DELETE FROM Attachments WHERE id = @id');
+        await removeStoredAttachments([row]);
+
+        if (access.projectId) {
+            await touchProjectActivity(pool, access.projectId);
+            invalidateProjectCache();
+        }
+        logAudit({
+            action: 'attachment.delete',
+            entityType: 'attachment',
+            entityId: id,
+            entityTitle: row.fileName,
+            user,
+            before: mapAttachmentRow(row),
+            metadata: auditMetadata(row, access),
+            req
+        });
+        res.json({ success: true });
+    } catch (err) {
+        handleError(res, 'deleting attachment', err);
+    }
+});
+
+export default router;
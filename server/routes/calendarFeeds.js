@@ -0,0 +1,42 @@
+import express from 'express';
+import { getPool, sql } from '../db.js';
+import { handleError } from '../utils/errorHandler.js';
+import {
+    buildIcsCalendar,
+    hasCalendarFeedSchema,
+    loadCalendarFeedEvents,
+    resolveCalendarFeedOwner
+} from '../utils/calendarFeeds.js';
+
+// Calendar clients cannot send bearer tokens, so this router is mounted ahead of the API auth
+// middleware and authenticates with the secret token in the feed URL instead.
+const router = express.Router();
+
+router.get('/:fileName', async (req, res) => {
+    try {
+        const token = String(req.params.fileName || '').replace(/\.ics$/i, '');
+        const pool = await getPool();
+        if (!(await hasCalendarFeedSchema(pool))) {
+            return res.status(404).json({ error: 'Calendar feed not found' });
+        }
+        const owner = await resolveCalendarFeedOwner(pool, token);
+        if (!owner) {
+            return res.status(404).json({ error: 'Calendar feed not found' });
+        }
+
+        const now = new Date();
+        const events = await loadCalendarFeedEvents(pool, owner.user, now);
+        await pool.request()
+            .input('id', sql.Int, owner.feedId)
+            .input('now', sql.DateTime2, now)
+            .query('UPDATE CalendarFeedTokens SET lastAccessedAt = @now WHERE id = @id');
+
+        res.set('Content-Type', 'text/calendar; charset=utf-8');
+        res.set('Cache-Control', 'private, no-store');
+        res.send(buildIcsCalendar({ name: `Digital Health Atlas - ${owner.user.name}`, events, now }));
+    } catch (err) {
+        handleError(res, 'serving calendar feed', err);
+    }
+});
+
+export default router;
@@ -0,0 +1,232 @@
+import express from 'express';
+import { getPool, sql } from '../db.js';
+import { checkPermission, getAuthUser } from '../middleware/authMiddleware.js';
+import { handleError } from '../utils/errorHandler.js';
+import { logAudit } from '../utils/auditLogger.js';
+import { invalidateProjectCache } from '../utils/cache.js';
+import { parseOptionalOrgId, resolveRequestOrgId } from '../utils/orgOwnership.js';
+import {
+    CUSTOM_FIELD_SCHEMA_MISSING_ERROR,
+    hasCustomFieldSchema,
+    isCustomFieldEntityType,
+    loadCustomFieldDefinitions,
+    mapCustomFieldDefinitionRow
+} from '../utils/customFields.js';
+import { normalizeCustomFieldDefinition } from '../../shared/customFields.js';
+
+const router = express.Router();
+
+const findDefinition = async (pool, id) => {
+    const result = await pool.request()
+        .input('id', sql.Int, id)
+        .query('SELECT * FROM CustomFieldDefinitions WHERE id = @id');
+    return result.recordset[0] ? mapCustomFieldDefinitionRow(result.recordset[0]) : null;
+};
+
+const isLabelTaken = async (pool, { orgId, entityType, label, excludeId = null }) => {
+    const result = await pool.request()
+        .input('orgId', sql.Int, orgId)
+        .input('entityType', sql.NVarChar(20), entityType)
+        .input('label', sql.NVarChar(100), label)
+        .input('excludeId', sql.Int, excludeId)
+        .query(`
+            SELECT TOP 1 id
+            FROM CustomFieldDefinitions
+            WHERE orgId = @orgId AND entityType = @entityType AND label = @label
+              AND (@excludeId IS NULL OR id <> @excludeId)
+        `);
+    return result.recordset.length > 0;
+};
+
+// Definitions for an organization (the caller's own unless an admin asks for another).
+// Project viewers read them to render and filter values.
+router.get('/', checkPermission(['can_view_projects', 'can_manage_custom_fields']), async (req, res) => {
+    try {
+        const entityType = req.query.entityType ? String(req.query.entityType) : null;
+        if (entityType && !isCustomFieldEntityType(entityType)) {
+            return res.status(400).json({ error: 'entityType must be project or task' });
+        }
+
+        const pool = await getPool();
+        let orgId = parseOptionalOrgId(req.user?.orgId);
+        if (parseOptionalOrgId(req.query.orgId) !== null) {
+            orgId = await resolveRequestOrgId(pool, req, res, req.query.orgId);
+            if (orgId === null) return;
+        }
+        const schemaReady = await hasCustomFieldSchema(pool);
+        if (!schemaReady || !Number.isFinite(orgId)) {
+            return res.json({ schemaReady, orgId: Number.isFinite(orgId) ? String(orgId) : null, definitions: [] });
+        }
+
+        const definitions = await loadCustomFieldDefinitions(pool, orgId, {
+            entityType,
+            activeOnly: req.query.includeInactive !== 'true'
+        });
+        res.json({ schemaReady, orgId: String(orgId), definitions });
+    } catch (err) {
+        handleError(res, 'fetching custom fields', err);
+    }
+});
+
+router.post('/org/:orgId', checkPermission('can_manage_custom_fields'), async (req, res) => {
+    try {
+        const normalized = normalizeCustomFieldDefinition(req.body);
+        if (normalized.error) {
+            return res.status(400).json({ error: normalized.error });
+        }
+        const { definition } = normalized;
+
+        const pool = await getPool();
+        if (!(await hasCustomFieldSchema(pool))) {
+            return res.status(409).json({ error: CUSTOM_FIELD_SCHEMA_MISSING_ERROR });
+        }
+        const orgId = await resolveRequestOrgId(pool, req, res, req.params.orgId);
+        if (orgId === null) return;
+
+        if (await isLabelTaken(pool, { orgId, entityType: definition.entityType, label: definition.label })) {
+            return res.status(409).json({ error: `A ${definition.entityType} field named "${definition.label}" already exists.` });
+        }
+
+        const user = getAuthUser(req);
+        const result = await pool.request()
+            .input('orgId', sql.Int, orgId)
+            .input('entityType', sql.NVarChar(20), definition.entityType)
+            .input('label', sql.NVarChar(100), definition.label)
+            .input('fieldType', sql.NVarChar(20), definition.fieldType)
+            .input('options', sql.NVarChar(sql.MAX), JSON.stringify(definition.options))
+            .input('isRequired', sql.Bit, definition.isRequired)
+            .input('isActive', sql.Bit, definition.isActive)
+            .input('sortOrder', sql.Int, definition.sortOrder)
+            .input('createdByOid', sql.NVarChar(100), user?.oid || null)
+            .query(`
+                INSERT INTO CustomFieldDefinitions (orgId, entityType, label, fieldType, options, isRequired, isActive, sortOrder, createdByOid)
+                OUTPUT INSERTED.*
+                VALUES (@orgId, @entityType, @label, @fieldType, @options, @isRequired, @isActive, @sortOrder, @createdByOid)
+            `);
+
+        const created = mapCustomFieldDefinitionRow(result.recordset[0]);
+        invalidateProjectCache();
+        logAudit({
+            action: 'custom_field.create',
+            entityType: 'custom_field',
+            entityId: created.id,
+            entityTitle: created.label,
+            user,
+            after: definition,
+            metadata: { orgId: String(orgId) },
+            req
+        });
+        res.status(201).json(created);
+    } catch (err) {
+        handleError(res, 'creating custom field', err);
+    }
+});
+
+// The field type is fixed once created; removing an option leaves stored values that used it
+// readable but no longer selectable.
+router.put('/:id', checkPermission('can_manage_custom_fields'), async (req, res) => {
+    try {
+        const id = Number.parseInt(req.params.id, 10);
+        if (Number.isNaN(id)) {
+            return res.status(400).json({ error: 'Invalid custom field id' });
+        }
+
+        const pool = await getPool();
+        if (!(await hasCustomFieldSchema(pool))) {
+            return res.status(409).json({ error: CUSTOM_FIELD_SCHEMA_MISSING_ERROR });
+        }
+        const existing = await findDefinition(pool, id);
+        if (!existing) {
+            return res.status(404).json({ error: 'Custom field not found' });
+        }
+        const orgId = await resolveRequestOrgId(pool, req, res, existing.orgId);
+        if (orgId === null) return;
+
+        const normalized = normalizeCustomFieldDefinition(req.body, existing);
+        if (normalized.error) {
+            return res.status(400).json({ error: normalized.error });
+        }
+        const { definition } = normalized;
+        if (await isLabelTaken(pool, { orgId, entityType: existing.entityType, label: definition.label, excludeId: id })) {
+            return res.status(409).json({ error: `A ${existing.entityType} field named "${definition.label}" already exists.` });
+        }
+
+        const result = await pool.request()
+            .input('id', sql.Int, id)
+            .input('label', sql.NVarChar(100), definition.label)
+            .input('options', sql.NVarChar(sql.MAX), JSON.stringify(definition.options))
+            .input('isRequired', sql.Bit, definition.isRequired)
+            .input('isActive', sql.Bit, definition.isActive)
+            .input('sortOrder', sql.Int, definition.sortOrder)
+            .query(`
+                UPDATE CustomFieldDefinitions
+                SET label = @label,
+                    options = @options,
+                    isRequired = @isRequired,
+                    isActive = @isActive,
+                    sortOrder = @sortOrder,
+                    updatedAt = GETDATE()
+                OUTPUT INSERTED.*
+                WHERE id = @id
+            `);
+
+        const updated = mapCustomFieldDefinitionRow(result.recordset[0]);
+        invalidateProjectCache();
+        logAudit({
+            action: 'custom_field.update',
+            entityType: 'custom_field',
+            entityId: updated.id,
+            entityTitle: updated.label,
+            user: getAuthUser(req),
+            before: existing,
+            after: definition,
+            metadata: { orgId: String(orgId) },
+            req
+        });
+        res.json(updated);
+    } catch (err) {
+        handleError(res, 'updating custom field', err);
+    }
+});
+
+// Deleting removes every stored value; deactivating is the reversible alternative.
+router.delete('/:id', checkPermission('can_manage_custom_fields'), async (req, res) => {
+    try {
+        const id = Number.parseInt(req.params.id, 10);
+        if (Number.isNaN(id)) {
+            return res.status(400).json({ error: 'Invalid custom field id' });
+        }
+
+        const pool = await getPool();
+        if (!(await hasCustomFieldSchema(pool))) {
+            return res.status(409).json({ error: CUSTOM_FIELD_SCHEMA_MISSING_ERROR });
+        }
+        const existing = await findDefinition(pool, id);
+        if (!existing) {
+            return res.status(404).json({ error: 'Custom field not found' });
+        }
+        const orgId = await resolveRequestOrgId(pool, req, res, existing.orgId);
+        if (orgId === null) return;
+
+        await pool.request()
+            .input('id', sql.Int, id)
+            .query('DELETE FROM CustomFieldDefinitions WHERE id = @id');
+
+        invalidateProjectCache();
+        logAudit({
+            action: 'custom_field.delete',
+            entityType: 'custom_field',
+            entityId: existing.id,
+            entityTitle: existing.label,
+            user: getAuthUser(req),
+            before: existing,
+            metadata: { orgId: String(orgId) },
+            req
+        });
+        res.json({ success: true });
+    } catch (err) {
+        handleError(res, 'deleting custom field', err);
+    }
+});
+
+export default router;
@@ -5,6 +5,8 @@ import { withSharedScope } from '../middleware/orgScope.js';
 import { handleError } from '../utils/errorHandler.js';
 import { buildInClause, addParams } from '../utils/sqlHelpers.js';
 import { LIFECYCLE_VIEW_MODES, buildLifecycleInClause, getProjectLifecycleViewStates, normalizeLifecycleView } from '../utils/lifecycle.js';
+import { hasTaskWorkflowSchema, taskStatusCategorySql } from '../utils/taskWorkflows.js';
+import { hasRecycleBinSchema, notDeletedSql } from '../utils/recycleBin.js';
 
 const router = express.Router();
 
@@ -107,23 +109,26 @@ router.get('/stats', checkPermission(['can_view_projects']), withSharedScope, as
             return await request.query(queryStr);
         };
 
+        const taskCategory = taskStatusCategorySql('t.', await hasTaskWorkflowSchema(pool));
+        const liveTask = notDeletedSql('t.', await hasRecycleBinSchema(pool));
+
         // 1. Counts (Projects, Tasks, Completed Tasks)
         // We join Tasks to Projects to respect the goal filtering
         const statsQuery = `
             SELECT 
                 COUNT(DISTINCT p.id) as totalProjects,
                 COUNT(DISTINCT t.id) as totalTasks,
-                SUM(CASE WHEN t.status = 'done' THEN 1 ELSE 0 END) as completedTasks
+                SUM(CASE WHEN ${taskCategory} = 'done' THEN 1 ELSE 0 END) as completedTasks
             FROM Projects p
             ${tagJoin}
             ${statusJoin}
-            LEFT JOIN Tasks t ON p.id = t.projectId
+            LEFT JOIN Tasks t ON p.id = t.projectId AND ${liveTask}
             ${whereClause}
         `;
         const statsResult = await runQuery(statsQuery);
         const stats = statsResult.recordset[0];
 
-        // 2. Overdue Tasks (Top 5)
+        // 2. Overdue Tasks (Top 5). Work on paused projects is not counted as overdue.
         const overdueQuery = `
             SELECT TOP 5 t.id, t.title, t.endDate, t.projectId, p.title as projectTitle
             FROM Tasks t
@@ -132,7 +137,9 @@ router.get('/stats', checkPermission(['can_view_projects']), withSharedScope, as
             ${statusJoin}
             ${whereClause ? whereClause + ' AND' : 'WHERE'} 
             t.endDate < CAST(GETDATE() AS DATE) 
-            AND t.status != 'done'
+            AND ${taskCategory} <> 'done'
+            AND ${liveTask}
+            AND p.lifecycleState <> 'on-hold'
             ORDER BY t.endDate ASC
         `;
         const overdueResult = await runQuery(overdueQuery);
@@ -145,7 +152,8 @@ router.get('/stats', checkPermission(['can_view_projects']), withSharedScope, as
             ${tagJoin}
             ${statusJoin}
             ${whereClause ? whereClause + ' AND' : 'WHERE'} 
-            t.status = 'in-progress'
+            ${taskCategory} = 'active'
+            AND ${liveTask}
             ORDER BY t.startDate DESC, t.id DESC
         `;
         const inProgressResult = await runQuery(inProgressQuery);
@@ -159,7 +167,9 @@ router.get('/stats', checkPermission(['can_view_projects']), withSharedScope, as
             ${statusJoin}
             ${whereClause ? whereClause + ' AND' : 'WHERE'} 
             t.endDate < CAST(GETDATE() AS DATE) 
-            AND t.status != 'done'
+            AND ${taskCategory} <> 'done'
+            AND ${liveTask}
+            AND p.lifecycleState <> 'on-hold'
         `;
         const overdueCountResult = await runQuery(overdueCountQuery);
 
@@ -171,7 +181,8 @@ router.get('/stats', checkPermission(['can_view_projects']), withSharedScope, as
             ${tagJoin}
             ${statusJoin}
             ${whereClause ? whereClause + ' AND' : 'WHERE'} 
-            t.status = 'in-progress'
+            ${taskCategory} = 'active'
+            AND ${liveTask}
         `;
         const inProgressCountResult = await runQuery(inProgressCountQuery);
 
@@ -185,11 +196,11 @@ router.get('/stats', checkPermission(['can_view_projects']), withSharedScope, as
             FROM (
                 SELECT p.id, 
                     COUNT(t.id) as taskCount, 
-                    SUM(CASE WHEN t.status = 'done' THEN 1 ELSE 0 END) as doneCount
+                    SUM(CASE WHEN ${taskCategory} = 'done' THEN 1 ELSE 0 END) as doneCount
                 FROM Projects p
                 ${tagJoin}
                 ${statusJoin}
-                LEFT JOIN Tasks t ON p.id = t.projectId
+                LEFT JOIN Tasks t ON p.id = t.projectId AND ${liveTask}
                 ${whereClause}
                 GROUP BY p.id
             ) pd
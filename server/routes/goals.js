@@ -17,17 +17,11 @@ import {
     normalizeLifecycleView,
     touchGoalActivity
 } from '../utils/lifecycle.js';
-import {
-    GOAL_LEAF_TYPE,
-    GOAL_LEVEL_CODES,
-    GOAL_ROOT_TYPE,
-    getGoalTypeLabel,
-    getNextGoalType,
-    isValidChildGoalType,
-    isValidGoalType,
-    isValidRootGoalType,
-    normalizeGoalType
-} from '../../shared/goalLevels.js';
+import { hasTaskWorkflowSchema, taskStatusCategorySql } from '../utils/taskWorkflows.js';
+import { hasRecycleBinSchema, listGoalRecycleBin, notDeletedSql } from '../utils/recycleBin.js';
+import { validateGoalTypePosition } from '../utils/goalValidation.js';
+import { RETENTION_WINDOWS } from '../../shared/dataLifecyclePolicy.js';
+import { checkIfMatch, formatEtag, hasEditVersionSchema, sendEditConflict } from '../utils/editVersions.js';
 
 const router = express.Router();
 
@@ -38,8 +32,6 @@ const mapProjectContextStatus = ({ totalLinkedProjectCount, visibleLinkedProject
     return 'complete';
 };
 
-const formatAllowedGoalTypes = () => GOAL_LEVEL_CODES.join(', ');
-
 const parseGoalLifecycleView = (value) => normalizeLifecycleView(value || LIFECYCLE_VIEW_MODES.ACTIVE);
 
 const mapGoalLifecycleMetadata = (row) => ({
@@ -52,57 +44,6 @@ const mapGoalLifecycleMetadata = (row) => ({
     retentionClass: row.retentionClass || 'confidential'
 });
 
-const validateGoalTypePosition = ({ type, parentGoal = null, childGoals = [] }) => {
-    const normalizedType = normalizeGoalType(type);
-    if (!isValidGoalType(normalizedType)) {
-        return {
-            valid: false,
-            error: `Goal type must be one of: ${formatAllowedGoalTypes()}.`
-        };
-    }
-
-    if (!parentGoal) {
-        if (!isValidRootGoalType(normalizedType)) {
-            return {
-                valid: false,
-                error: `Root goals must use the "${GOAL_ROOT_TYPE}" type.`
-            };
-        }
-    } else if (!isValidChildGoalType(parentGoal.type, normalizedType)) {
-        const expectedType = getNextGoalType(parentGoal.type);
-        if (!expectedType) {
-            return {
-                valid: false,
-                error: `${getGoalTypeLabel(parentGoal.type)} goals cannot have child goals.`
-            };
-        }
-
-        return {
-            valid: false,
-            error: `Child goals under a ${getGoalTypeLabel(parentGoal.type).toLowerCase()} goal must use the "${expectedType}" type.`
-        };
-    }
-
-    if (Array.isArray(childGoals) && childGoals.length > 0) {
-        if (normalizedType === GOAL_LEAF_TYPE) {
-            return {
-                valid: false,
-                error: `${getGoalTypeLabel(normalizedType)} goals cannot have child goals.`
-            };
-        }
-
-        const invalidChild = childGoals.find((child) => !isValidChildGoalType(normalizedType, child.type));
-        if (invalidChild) {
-            return {
-                valid: false,
-                error: `Goals of type "${normalizedType}" can only contain "${getNextGoalType(normalizedType)}" child goals.`
-            };
-        }
-    }
-
-    return { valid: true, normalizedType };
-};
-
 const fetchGoalProjectContextMap = async (pool, orgId) => {
     const request = pool.request();
     const { text: projectLifecycleText, params: projectLifecycleParams } = buildLifecycleInClause(
@@ -216,7 +157,8 @@ router.get('/', checkPermission(['can_view_goals', 'can_view_exec_dashboard']),
         console.log(`Goals fetched: ${goalsResult.recordset.length}`);
 
         console.log('Querying KPIs...');
-        const kpisResult = await pool.request().query('SELECT * FROM KPIs');
+        const binReady = await hasRecycleBinSchema(pool);
+        const kpisResult = await pool.request().query(`SELECT * FROM KPIs WHERE ${notDeletedSql('', binReady)}`);
         console.log(`KPIs fetched: ${kpisResult.recordset.length}`);
         const goalProjectContextMap = await fetchGoalProjectContextMap(pool, req.orgId ?? null);
 
@@ -249,6 +191,8 @@ router.get('/', checkPermission(['can_view_goals', 'can_view_exec_dashboard']),
             queryParams.orgId = req.orgId;
         }
 
+        const taskCategory = taskStatusCategorySql('t.', await hasTaskWorkflowSchema(pool));
+        const liveTask = notDeletedSql('t.', binReady);
         const statsQuery = `
             SELECT 
                 pg.goalId,
@@ -264,9 +208,9 @@ router.get('/', checkPermission(['can_view_goals', 'can_view_exec_dashboard']),
             OUTER APPLY (
                 SELECT 
                     COUNT(*) as total,
-                    SUM(CASE WHEN t.status = 'done' THEN 1 ELSE 0 END) as done
+                    SUM(CASE WHEN ${taskCategory} = 'done' THEN 1 ELSE 0 END) as done
                 FROM Tasks t
-                WHERE t.projectId = p.id
+                WHERE t.projectId = p.id AND ${liveTask}
             ) tCounts
             ${statsOrgScope
                 ? statsOrgScope.replace('WHERE (', `WHERE ${statsProjectLifecycleFilter} AND (`)
@@ -305,6 +249,7 @@ router.get('/', checkPermission(['can_view_goals', 'can_view_exec_dashboard']),
                 accessLevel: goal.accessLevel || 'owner',
                 hasWriteAccess: (goal.accessLevel || 'owner') === 'owner' || goal.accessLevel === 'write',
                 createdAt: goal.createdAt,
+                etag: formatEtag(goal.editVersion),
                 directProjectCount: stats.count,
                 directCompletionSum: stats.sum,
                 totalLinkedProjectCount: projectContext.totalLinkedProjectCount,
@@ -427,6 +372,20 @@ router.post('/', checkPermission('can_create_goal'), async (req, res) => {
 });
 
 // Update goal
+const sendGoalEditConflict = async (res, pool, id, submitted) => {
+    const result = await pool.request()
+        .input('id', sql.Int, id)
+        .query('SELECT title, description, type, editVersion FROM Goals WHERE id = @id');
+    const { editVersion, ...current } = result.recordset[0] || {};
+    return sendEditConflict(res, {
+        label: 'goal',
+        version: editVersion,
+        current,
+        submitted,
+        fields: ['title', 'description', 'type']
+    });
+};
+
 router.put('/:id', checkPermission('can_edit_goal'), withSharedScope, checkGoalAccess(), requireGoalWriteAccess, async (req, res) => {
     try {
         const { title, description, type } = req.body;
@@ -435,13 +394,18 @@ router.put('/:id', checkPermission('can_edit_goal'), withSharedScope, checkGoalA
             return res.status(400).json({ error: 'Missing required fields: title, type' });
         }
         const pool = await getPool();
+        const versioned = await hasEditVersionSchema(pool, 'Goals');
         const prev = await pool.request()
             .input('id', sql.Int, id)
-            .query('SELECT id, title, description, type, parentId, lifecycleState, retiredAt, archivedAt, archivedByOid, archiveReason, lastActivityAt, retentionClass FROM Goals WHERE id = @id');
+            .query(`SELECT id, title, description, type, parentId, lifecycleState, retiredAt, archivedAt, archivedByOid, archiveReason, lastActivityAt, retentionClass${versioned ? ', editVersion' : ''} FROM Goals WHERE id = @id`);
         if (prev.recordset.length === 0) {
             return res.status(404).json({ error: 'Goal not found' });
         }
-        const beforeState = prev.recordset[0];
+        const { editVersion, ...beforeState } = prev.recordset[0];
+        const versionCheck = checkIfMatch(req, editVersion);
+        if (!versionCheck.ok) {
+            return sendGoalEditConflict(res, pool, id, req.body);
+        }
 
         const parentGoal = beforeState.parentId
             ? (await pool.request()
@@ -462,13 +426,24 @@ router.put('/:id', checkPermission('can_edit_goal'), withSharedScope, checkGoalA
             return res.status(400).json({ error: hierarchyValidation.error });
         }
 
-        await pool.request()
+        const goalUpdate = await pool.request()
             .input('id', sql.Int, id)
             .input('title', sql.NVarChar, title)
             .input('description', sql.NVarChar(sql.MAX), description || null)
             .input('type', sql.NVarChar, hierarchyValidation.normalizedType)
             .input('lastActivityAt', sql.DateTime2, new Date())
-            .query('UPDATE Goals SET title = @title, description = @description, type = @type, lastActivityAt = @lastActivityAt WHERE id = @id');
+            .input('expectedVersion', sql.Int, versionCheck.expectedVersion)
+            .query(`
+                UPDATE Goals
+                SET title = @title, description = @description, type = @type, lastActivityAt = @lastActivityAt
+                    ${versioned ? ', editVersion = editVersion + 1' : ''}
+                ${versioned ? 'OUTPUT INSERTED.editVersion' : ''}
+                WHERE id = @id${versionCheck.expectedVersion !== null ? ' AND editVersion = @expectedVersion' : ''}
+            `);
+        if (versionCheck.expectedVersion !== null && goalUpdate.rowsAffected[0] === 0) {
+            return sendGoalEditConflict(res, pool, id, req.body);
+        }
+        const etag = formatEtag(goalUpdate.recordset?.[0]?.editVersion);
 
         await touchGoalActivity(pool, [id]);
         logAudit({
@@ -481,7 +456,8 @@ router.put('/:id', checkPermission('can_edit_goal'), withSharedScope, checkGoalA
             after: { title, description: description || null, type: hierarchyValidation.normalizedType },
             req
         });
-        res.json({ success: true });
+        if (etag) res.set('ETag', etag);
+        res.json({ success: true, etag });
     } catch (err) {
         handleError(res, 'updating goal', err);
     }
@@ -639,4 +615,23 @@ router.post('/:goalId/kpis', checkPermission('can_manage_kpis'), withSharedScope
     }
 });
 
+// Deleted KPIs that can still be restored
+router.get('/:id/recycle-bin', checkPermission(['can_view_goals', 'can_view_exec_dashboard']), withSharedScope, checkGoalAccess(), async (req, res) => {
+    try {
+        const id = Number.parseInt(req.params.id, 10);
+        if (Number.isNaN(id)) {
+            return res.status(400).json({ error: 'Invalid goal id' });
+        }
+        const pool = await getPool();
+        const retentionDays = RETENTION_WINDOWS.recycleBinDays;
+        if (!(await hasRecycleBinSchema(pool))) {
+            return res.json({ schemaReady: false, kpis: [], retentionDays });
+        }
+        const bin = await listGoalRecycleBin(pool, id);
+        res.json({ schemaReady: true, ...bin, retentionDays });
+    } catch (err) {
+        handleError(res, 'fetching goal recycle bin', err);
+    }
+});
+
 export default router;
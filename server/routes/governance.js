@@ -6,6 +6,14 @@ import { handleError } from '../utils/errorHandler.js';
 import { logAudit } from '../utils/auditLogger.js';
 import { addParams, buildInClause } from '../utils/sqlHelpers.js';
 import { ensureOrganizationExists, isAdminUser, parseOptionalOrgId, resolveOwnedOrgId } from '../utils/orgOwnership.js';
+import {
+    DEFAULT_GOVERNANCE_POLICY,
+    calculateRequiredVotes,
+    hasGovernanceBoardPolicySchema,
+    hasGovernancePhase3Schema,
+    normalizeGovernancePolicy,
+    parsePolicySnapshot
+} from '../utils/governancePolicy.js';
 
 const router = express.Router();
 
@@ -44,75 +52,6 @@ const toFiniteIntOrNull = (value) => {
     return Math.trunc(n);
 };
 
-const DEFAULT_GOVERNANCE_POLICY = Object.freeze({
-    quorumPercent: 60,
-    quorumMinCount: 1,
-    decisionRequiresQuorum: true,
-    voteWindowDays: null
-});
-
-const normalizeGovernancePolicy = (policy = {}) => {
-    const rawPercent = Number(policy.quorumPercent);
-    const rawMinCount = Number(policy.quorumMinCount);
-    const rawWindowDays = policy.voteWindowDays === null || policy.voteWindowDays === undefined || policy.voteWindowDays === ''
-        ? null
-        : Number(policy.voteWindowDays);
-    const percent = Number.isFinite(rawPercent) ? Math.min(100, Math.max(1, Math.trunc(rawPercent))) : DEFAULT_GOVERNANCE_POLICY.quorumPercent;
-    const minCount = Number.isFinite(rawMinCount) ? Math.max(1, Math.trunc(rawMinCount)) : DEFAULT_GOVERNANCE_POLICY.quorumMinCount;
-    let voteWindowDays = null;
-    if (rawWindowDays !== null && Number.isFinite(rawWindowDays)) {
-        voteWindowDays = Math.min(90, Math.max(1, Math.trunc(rawWindowDays)));
-    }
-    const decisionRequiresQuorum = policy.decisionRequiresQuorum === undefined
-        ? DEFAULT_GOVERNANCE_POLICY.decisionRequiresQuorum
-        : !!policy.decisionRequiresQuorum;
-
-    return {
-        quorumPercent: percent,
-        quorumMinCount: minCount,
-        decisionRequiresQuorum,
-        voteWindowDays
-    };
-};
-
-const hasGovernancePhase3Schema = async (pool) => {
-    const result = await pool.request().query(`
-        SELECT
-            CASE WHEN COL_LENGTH('GovernanceSettings', 'quorumPercent') IS NOT NULL THEN 1 ELSE 0 END AS hasQuorumPercent,
-            CASE WHEN COL_LENGTH('GovernanceSettings', 'quorumMinCount') IS NOT NULL THEN 1 ELSE 0 END AS hasQuorumMinCount,
-            CASE WHEN COL_LENGTH('GovernanceSettings', 'decisionRequiresQuorum') IS NOT NULL THEN 1 ELSE 0 END AS hasDecisionRequiresQuorum,
-            CASE WHEN COL_LENGTH('GovernanceSettings', 'voteWindowDays') IS NOT NULL THEN 1 ELSE 0 END AS hasVoteWindowDays,
-            CASE WHEN COL_LENGTH('GovernanceReview', 'policySnapshotJson') IS NOT NULL THEN 1 ELSE 0 END AS hasPolicySnapshot,
-            CASE WHEN COL_LENGTH('GovernanceReview', 'voteDeadlineAt') IS NOT NULL THEN 1 ELSE 0 END AS hasVoteDeadline
-    `);
-    const row = result.recordset[0] || {};
-    return !!(
-        row.hasQuorumPercent &&
-        row.hasQuorumMinCount &&
-        row.hasDecisionRequiresQuorum &&
-        row.hasVoteWindowDays &&
-        row.hasPolicySnapshot &&
-        row.hasVoteDeadline
-    );
-};
-
-const hasGovernanceBoardPolicySchema = async (pool) => {
-    const result = await pool.request().query(`
-        SELECT
-            CASE WHEN COL_LENGTH('GovernanceBoard', 'quorumPercentOverride') IS NOT NULL THEN 1 ELSE 0 END AS hasQuorumPercentOverride,
-            CASE WHEN COL_LENGTH('GovernanceBoard', 'quorumMinCountOverride') IS NOT NULL THEN 1 ELSE 0 END AS hasQuorumMinCountOverride,
-            CASE WHEN COL_LENGTH('GovernanceBoard', 'decisionRequiresQuorumOverride') IS NOT NULL THEN 1 ELSE 0 END AS hasDecisionRequiresQuorumOverride,
-            CASE WHEN COL_LENGTH('GovernanceBoard', 'voteWindowDaysOverride') IS NOT NULL THEN 1 ELSE 0 END AS hasVoteWindowDaysOverride
-    `);
-    const row = result.recordset[0] || {};
-    return !!(
-        row.hasQuorumPercentOverride &&
-        row.hasQuorumMinCountOverride &&
-        row.hasDecisionRequiresQuorumOverride &&
-        row.hasVoteWindowDaysOverride
-    );
-};
-
 const getDefaultGovernancePolicy = (settings, phase3Ready) => {
     if (!phase3Ready) return { ...DEFAULT_GOVERNANCE_POLICY };
     return normalizeGovernancePolicy({
@@ -429,22 +368,6 @@ const DEFAULT_SESSION_DECISION_TEMPLATES = Object.freeze([
     }
 ]);
 
-const parsePolicySnapshot = (rawJson) => {
-    if (!rawJson) return null;
-    try {
-        return normalizeGovernancePolicy(JSON.parse(rawJson));
-    } catch {
-        return null;
-    }
-};
-
-const calculateRequiredVotes = (eligibleVoterCount, policy) => {
-    if (!Number.isFinite(eligibleVoterCount) || eligibleVoterCount <= 0) return 0;
-    const normalized = normalizeGovernancePolicy(policy || {});
-    const byPercent = Math.ceil((eligibleVoterCount * normalized.quorumPercent) / 100);
-    return Math.max(normalized.quorumMinCount, byPercent);
-};
-
 const parseSessionTemplates = (rawValue) => {
     if (!rawValue) return [...DEFAULT_SESSION_DECISION_TEMPLATES];
     try {
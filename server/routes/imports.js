@@ -0,0 +1,210 @@
+import express from 'express';
+import { getPool } from '../db.js';
+import { checkPermission, getAuthUser, hasPermission } from '../middleware/authMiddleware.js';
+import { handleError } from '../utils/errorHandler.js';
+import { logAudit } from '../utils/auditLogger.js';
+import { invalidateProjectCache } from '../utils/cache.js';
+import { ensureOrganizationExists, parseOptionalOrgId } from '../utils/orgOwnership.js';
+import { touchGoalActivity, touchProjectActivity } from '../utils/lifecycle.js';
+import { parseSpreadsheet } from '../utils/spreadsheet.js';
+import { applyImportRows, validateImportRecords } from '../utils/dataImport.js';
+import {
+    IMPORT_ENTITY_TYPES,
+    IMPORT_FIELDS,
+    MAX_IMPORT_FILE_BYTES,
+    MAX_IMPORT_ROWS
+} from '../../shared/dataImport.js';
+
+const router = express.Router();
+
+const BASE64_PATTERN = /^[A-Za-z0-9+/]*={0,2}$/;
+
+// Importing creates records, so the matching create permission is required too.
+const ENTITY_CREATE_PERMISSIONS = Object.freeze({
+    goal: 'can_create_goal',
+    project: 'can_create_project',
+    task: 'can_edit_project'
+});
+
+const decodeBase64Content = (value) => {
+    const compact = String(value || '').replace(/^data:[^,]*,/, '').replace(/\s+/g, '');
+    if (!compact || compact.length % 4 !== 0 || !BASE64_PATTERN.test(compact)) return null;
+    return Buffer.from(compact, 'base64');
+};
+
+/**
+ * Validate the wizard's request: an entity type, an optional default organization and
+ * mapped records whose values are limited to the entity's import fields.
+ */
+const parseImportRequest = (body) => {
+    const entityType = String(body?.entityType || '');
+    if (!IMPORT_ENTITY_TYPES.includes(entityType)) {
+        return { error: `entityType must be one of: ${IMPORT_ENTITY_TYPES.join(', ')}` };
+    }
+    const orgId = parseOptionalOrgId(body?.orgId);
+    if (Number.isNaN(orgId)) return { error: 'Invalid orgId' };
+
+    const rawRecords = body?.records;
+    if (!Array.isArray(rawRecords) || rawRecords.length === 0) return { error: 'records must be a non-empty array' };
+    if (rawRecords.length > MAX_IMPORT_ROWS) return { error: `Imports are limited to ${MAX_IMPORT_ROWS} rows per file.` };
+
+    const fieldKeys = IMPORT_FIELDS[entityType].map((field) => field.key);
+    const records = [];
+    for (const [index, record] of rawRecords.entries()) {
+        const rowNumber = Number.parseInt(record?.rowNumber, 10);
+        if (!Number.isFinite(rowNumber) || !record?.values || typeof record.values !== 'object') {
+            return { error: `records[${index}] must have a rowNumber and values` };
+        }
+        const values = {};
+        fieldKeys.forEach((key) => {
+            const value = record.values[key];
+            if (value !== undefined && value !== null) values[key] = String(value).trim();
+        });
+        records.push({ rowNumber, values });
+    }
+    return { entityType, orgId, records };
+};
+
+const checkImportRequest = async (req, res) => {
+    const parsed = parseImportRequest(req.body);
+    if (parsed.error) {
+        res.status(400).json({ error: parsed.error });
+        return null;
+    }
+    if (!(await hasPermission(req.user, ENTITY_CREATE_PERMISSIONS[parsed.entityType]))) {
+        res.status(403).json({ error: 'Forbidden: Missing required permission' });
+        return null;
+    }
+    const pool = await getPool();
+    if (parsed.orgId !== null) {
+        try {
+            await ensureOrganizationExists(pool, parsed.orgId);
+        } catch (orgErr) {
+            res.status(400).json({ error: orgErr.message });
+            return null;
+        }
+    }
+    return { ...parsed, pool };
+};
+
+const toPreviewRows = (rows) => rows.map(({ rowNumber, values, errors }) => ({ rowNumber, values, errors }));
+
+// Read an uploaded CSV or XLSX file (JSON body with base64 content) into headers and rows.
+router.post('/parse', checkPermission('can_import_data'), async (req, res) => {
+    try {
+        const content = decodeBase64Content(req.body?.contentBase64);
+        if (!content || content.length === 0) {
+            return res.status(400).json({ error: 'contentBase64 must be non-empty base64 data' });
+        }
+        if (content.length > MAX_IMPORT_FILE_BYTES) {
+            return res.status(413).json({ error: `Import files are limited to ${Math.floor(MAX_IMPORT_FILE_BYTES / (1024 * 1024))} MB` });
+        }
+        const parsed = parseSpreadsheet({ fileName: req.body?.fileName, buffer: content });
+        if (parsed.error) {
+            return res.status(400).json({ error: parsed.error });
+        }
+        res.json(parsed);
+    } catch (err) {
+        handleError(res, 'parsing import file', err);
+    }
+});
+
+// Dry run: per-row errors without writing anything.
+router.post('/preview', checkPermission('can_import_data'), async (req, res) => {
+    try {
+        const request = await checkImportRequest(req, res);
+        if (!request) return;
+
+        const result = await validateImportRecords(request.pool, {
+            entityType: request.entityType,
+            records: request.records,
+            user: req.user,
+            defaultOrgId: request.orgId
+        });
+        res.json({ entityType: request.entityType, ...result, rows: toPreviewRows(result.rows) });
+    } catch (err) {
+        handleError(res, 'validating import', err);
+    }
+});
+
+// Validate again and insert every row in one transaction; any invalid row rejects the whole file.
+router.post('/apply', checkPermission('can_import_data'), async (req, res) => {
+    try {
+        const request = await checkImportRequest(req, res);
+        if (!request) return;
+        const { pool, entityType } = request;
+
+        const result = await validateImportRecords(pool, {
+            entityType,
+            records: request.records,
+            user: req.user,
+            defaultOrgId: request.orgId
+        });
+        if (result.errorCount > 0) {
+            return res.status(400).json({
+                error: `${result.errorCount} row(s) have errors. Fix them and preview again.`,
+                entityType,
+                ...result,
+                rows: toPreviewRows(result.rows)
+            });
+        }
+
+        let created;
+        const transaction = pool.transaction();
+        await transaction.begin();
+        try {
+            created = await applyImportRows(transaction, { entityType, rows: result.rows });
+            await transaction.commit();
+        } catch (txErr) {
+            await transaction.rollback();
+            throw txErr;
+        }
+
+        const now = new Date();
+        if (entityType === 'project') {
+            await touchGoalActivity(pool, created.flatMap((item) => item.resolved.goalIds), now);
+        }
+        if (entityType === 'task') {
+            for (const projectId of new Set(created.map((item) => item.resolved.projectId))) {
+                await touchProjectActivity(pool, projectId, now);
+            }
+        }
+        invalidateProjectCache();
+
+        const user = getAuthUser(req);
+        const fileName = String(req.body?.fileName || '').slice(0, 255) || null;
+        created.forEach((item) => {
+            const { workflowSchemaReady, parentRowNumber, ...after } = item.resolved;
+            logAudit({
+                action: `${entityType}.create`,
+                entityType,
+                entityId: item.id,
+                entityTitle: item.title,
+                user,
+                after,
+                metadata: { source: 'import', fileName, rowNumber: item.rowNumber },
+                req
+            });
+        });
+        logAudit({
+            action: 'data_import.apply',
+            entityType: 'data_import',
+            entityId: null,
+            entityTitle: fileName,
+            user,
+            after: { entityType, count: created.length, ids: created.map((item) => item.id) },
+            metadata: { orgId: request.orgId },
+            req
+        });
+
+        res.status(201).json({
+            entityType,
+            count: created.length,
+            created: created.map(({ rowNumber, id, title }) => ({ rowNumber, id, title }))
+        });
+    } catch (err) {
+        handleError(res, 'applying import', err);
+    }
+});
+
+export default router;
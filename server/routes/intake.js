@@ -18,7 +18,22 @@ import {
 } from '../../shared/intakeSystemFields.js';
 import { findGoalAccessGapsForOrg, ensureReadGoalAccessForOrg } from '../utils/goalAccess.js';
 import { ensureOrganizationExists, isAdminUser, parseOptionalOrgId, resolveOwnedOrgId } from '../utils/orgOwnership.js';
+import { buildGovernanceSubmissionScope, hasGovernanceSubmissionScope } from '../utils/intakeAccess.js';
+import {
+    DEFAULT_GOVERNANCE_POLICY,
+    calculateRequiredVotes,
+    fetchGovernancePolicySettings,
+    hasGovernancePhase3Schema,
+    loadActiveBoardMembers,
+    parsePolicySnapshot
+} from '../utils/governancePolicy.js';
+import { fetchWeeklyBurnHours } from '../utils/timeEntries.js';
+import { instantiateProjectTemplate, resolveProjectTemplate } from '../utils/projectTemplates.js';
+import { loadTaskWorkflowContext } from '../utils/taskWorkflows.js';
+import { hasStageGateSchema, initializeProjectStageGate } from '../utils/stageGates.js';
+import { getStatusCategory, resolveWorkflowStatus } from '../../shared/taskWorkflows.js';
 import { validateGoalAssignment, loadGoalsForValidation } from '../utils/goalValidation.js';
+import { checkIfMatch, formatEtag, hasEditVersionSchema, sendEditConflict } from '../utils/editVersions.js';
 import {
     INTAKE_FORM_LIFECYCLE_STATES,
     LIFECYCLE_VIEW_MODES,
@@ -35,7 +50,6 @@ import {
 
 const router = express.Router();
 
-const TASK_STATUSES = new Set(['todo', 'in-progress', 'blocked', 'review', 'done']);
 const TASK_PRIORITIES = new Set(['low', 'medium', 'high']);
 
 const parseJsonOrFallback = (rawValue, fallback) => {
@@ -84,7 +98,8 @@ const mapSubmissionRow = (sub) => {
         submitterName: sub.submitterName || null,
         submitterEmail: sub.submitterEmail || null,
         submitterId: sub.submitterId || null,
-        orgId: sub.orgId === null || sub.orgId === undefined ? null : String(sub.orgId)
+        orgId: sub.orgId === null || sub.orgId === undefined ? null : String(sub.orgId),
+        etag: formatEtag(sub.editVersion)
     };
 };
 
@@ -99,61 +114,6 @@ const requireScopedOrgId = (user, message = 'No organization assigned. Contact y
     return orgId;
 };
 
-const hasMatchingOrgScope = (userOrgId, resourceOrgId) => (
-    Number.isFinite(userOrgId) &&
-    Number.isFinite(resourceOrgId) &&
-    userOrgId === resourceOrgId
-);
-
-const hasActiveBoardMembership = async ({ pool, boardId, userOid }) => {
-    const parsedBoardId = parseOptionalOrgId(boardId);
-    if (!Number.isFinite(parsedBoardId) || !userOid) return false;
-
-    const result = await pool.request()
-        .input('boardId', sql.Int, parsedBoardId)
-        .input('userOid', sql.NVarChar(100), userOid)
-        .query(`
-            SELECT TOP 1 id
-            FROM GovernanceMembership
-            WHERE boardId = @boardId
-              AND userOid = @userOid
-              AND isActive = 1
-              AND effectiveFrom <= GETDATE()
-              AND (effectiveTo IS NULL OR effectiveTo > GETDATE())
-        `);
-
-    return result.recordset.length > 0;
-};
-
-const buildGovernanceSubmissionScope = async ({ pool, user, submission }) => {
-    const viewerOrgId = parseOptionalOrgId(user?.orgId);
-    const submissionOrgId = parseOptionalOrgId(submission?.orgId);
-    const boardOrgId = parseOptionalOrgId(submission?.boardOrgId);
-    const governanceBoardId = parseOptionalOrgId(submission?.governanceBoardId);
-
-    const scope = {
-        isOwner: submission?.submitterId === user?.oid,
-        sameSubmissionOrg: hasMatchingOrgScope(viewerOrgId, submissionOrgId),
-        sameBoardOrg: hasMatchingOrgScope(viewerOrgId, boardOrgId),
-        hasActiveBoardMembership: false
-    };
-
-    if (!isAdminUser(user)) {
-        scope.hasActiveBoardMembership = await hasActiveBoardMembership({
-            pool,
-            boardId: governanceBoardId,
-            userOid: user?.oid
-        });
-    }
-
-    return scope;
-};
-
-const hasGovernanceSubmissionScope = (scope, { allowOwner = false } = {}) => {
-    if (allowOwner && scope.isOwner) return true;
-    return scope.sameSubmissionOrg || scope.sameBoardOrg || scope.hasActiveBoardMembership;
-};
-
 const normalizeConversionGoalIds = (projectData = {}) => {
     const goalIds = Array.isArray(projectData?.goalIds)
         ? projectData.goalIds
@@ -184,9 +144,8 @@ const normalizeKickoffTasks = (tasks = []) => (
     (Array.isArray(tasks) ? tasks : [])
         .filter((task) => task && String(task.title || '').trim())
         .map((task) => {
-            const status = TASK_STATUSES.has(String(task.status || '').trim().toLowerCase())
-                ? String(task.status).trim().toLowerCase()
-                : 'todo';
+            // Mapped onto the owning org's workflow once that is known.
+            const status = String(task.status || '').trim().toLowerCase() || 'todo';
             const priority = TASK_PRIORITIES.has(String(task.priority || '').trim().toLowerCase())
                 ? String(task.priority).trim().toLowerCase()
                 : 'medium';
@@ -260,52 +219,6 @@ const hasGovernancePhase1Schema = async (pool) => {
     }
 };
 
-const hasGovernancePhase3Schema = async (pool) => {
-    try {
-        const result = await pool.request().query(`
-            SELECT
-                CASE WHEN COL_LENGTH('GovernanceSettings', 'quorumPercent') IS NOT NULL THEN 1 ELSE 0 END AS hasQuorumPercent,
-                CASE WHEN COL_LENGTH('GovernanceSettings', 'quorumMinCount') IS NOT NULL THEN 1 ELSE 0 END AS hasQuorumMinCount,
-                CASE WHEN COL_LENGTH('GovernanceSettings', 'decisionRequiresQuorum') IS NOT NULL THEN 1 ELSE 0 END AS hasDecisionRequiresQuorum,
-                CASE WHEN COL_LENGTH('GovernanceSettings', 'voteWindowDays') IS NOT NULL THEN 1 ELSE 0 END AS hasVoteWindowDays,
-                CASE WHEN COL_LENGTH('GovernanceReview', 'policySnapshotJson') IS NOT NULL THEN 1 ELSE 0 END AS hasPolicySnapshot,
-                CASE WHEN COL_LENGTH('GovernanceReview', 'voteDeadlineAt') IS NOT NULL THEN 1 ELSE 0 END AS hasVoteDeadline
-        `);
-        const row = result.recordset[0] || {};
-        return !!(
-            row.hasQuorumPercent &&
-            row.hasQuorumMinCount &&
-            row.hasDecisionRequiresQuorum &&
-            row.hasVoteWindowDays &&
-            row.hasPolicySnapshot &&
-            row.hasVoteDeadline
-        );
-    } catch {
-        return false;
-    }
-};
-
-const hasGovernanceBoardPolicySchema = async (pool) => {
-    try {
-        const result = await pool.request().query(`
-            SELECT
-                CASE WHEN COL_LENGTH('GovernanceBoard', 'quorumPercentOverride') IS NOT NULL THEN 1 ELSE 0 END AS hasQuorumPercentOverride,
-                CASE WHEN COL_LENGTH('GovernanceBoard', 'quorumMinCountOverride') IS NOT NULL THEN 1 ELSE 0 END AS hasQuorumMinCountOverride,
-                CASE WHEN COL_LENGTH('GovernanceBoard', 'decisionRequiresQuorumOverride') IS NOT NULL THEN 1 ELSE 0 END AS hasDecisionRequiresQuorumOverride,
-                CASE WHEN COL_LENGTH('GovernanceBoard', 'voteWindowDaysOverride') IS NOT NULL THEN 1 ELSE 0 END AS hasVoteWindowDaysOverride
-        `);
-        const row = result.recordset[0] || {};
-        return !!(
-            row.hasQuorumPercentOverride &&
-            row.hasQuorumMinCountOverride &&
-            row.hasDecisionRequiresQuorumOverride &&
-            row.hasVoteWindowDaysOverride
-        );
-    } catch {
-        return false;
-    }
-};
-
 const hasGovernanceCapacitySchema = async (pool) => {
     try {
         const result = await pool.request().query(`
@@ -332,52 +245,6 @@ const toFiniteNumber = (value) => {
     return Number.isFinite(n) ? n : null;
 };
 
-const DEFAULT_GOVERNANCE_POLICY = Object.freeze({
-    quorumPercent: 60,
-    quorumMinCount: 1,
-    decisionRequiresQuorum: true,
-    voteWindowDays: null
-});
-
-const normalizeGovernancePolicy = (policy) => {
-    const rawPercent = Number(policy?.quorumPercent);
-    const rawMinCount = Number(policy?.quorumMinCount);
-    const rawWindowDays = policy?.voteWindowDays === null || policy?.voteWindowDays === undefined || policy?.voteWindowDays === ''
-        ? null
-        : Number(policy.voteWindowDays);
-    const percent = Number.isFinite(rawPercent) ? Math.min(100, Math.max(1, Math.trunc(rawPercent))) : DEFAULT_GOVERNANCE_POLICY.quorumPercent;
-    const minCount = Number.isFinite(rawMinCount) ? Math.max(1, Math.trunc(rawMinCount)) : DEFAULT_GOVERNANCE_POLICY.quorumMinCount;
-    let voteWindowDays = null;
-    if (rawWindowDays !== null && Number.isFinite(rawWindowDays)) {
-        voteWindowDays = Math.min(90, Math.max(1, Math.trunc(rawWindowDays)));
-    }
-    const decisionRequiresQuorum = policy?.decisionRequiresQuorum === undefined
-        ? DEFAULT_GOVERNANCE_POLICY.decisionRequiresQuorum
-        : !!policy.decisionRequiresQuorum;
-    return {
-        quorumPercent: percent,
-        quorumMinCount: minCount,
-        decisionRequiresQuorum,
-        voteWindowDays
-    };
-};
-
-const parsePolicySnapshot = (policySnapshotJson) => {
-    if (!policySnapshotJson) return null;
-    try {
-        const parsed = JSON.parse(policySnapshotJson);
-        return normalizeGovernancePolicy(parsed);
-    } catch {
-        return null;
-    }
-};
-
-const calculateRequiredVotes = (eligibleVoterCount, policy) => {
-    if (!Number.isFinite(eligibleVoterCount) || eligibleVoterCount <= 0) return 0;
-    const byPercent = Math.ceil((eligibleVoterCount * policy.quorumPercent) / 100);
-    return Math.max(policy.quorumMinCount, byPercent);
-};
-
 const normalizeCriteriaSnapshot = (criteriaJson) => {
     let parsed;
     try {
@@ -489,50 +356,6 @@ const resolveGovernanceDefaults = async (pool, formId) => {
     };
 };
 
-const fetchGovernancePolicySettings = async (pool, boardId = null) => {
-    const phase3Ready = await hasGovernancePhase3Schema(pool);
-    if (!phase3Ready) return { ...DEFAULT_GOVERNANCE_POLICY };
-    const settingsResult = await pool.request().query(`
-        SELECT TOP 1 quorumPercent, quorumMinCount, decisionRequiresQuorum, voteWindowDays
-        FROM GovernanceSettings
-        ORDER BY id
-    `);
-    const globalDefaults = normalizeGovernancePolicy(settingsResult.recordset[0] || {});
-
-    const parsedBoardId = Number(boardId);
-    if (!Number.isFinite(parsedBoardId)) {
-        return globalDefaults;
-    }
-
-    const boardPolicyReady = await hasGovernanceBoardPolicySchema(pool);
-    if (!boardPolicyReady) {
-        return globalDefaults;
-    }
-
-    const boardResult = await pool.request()
-        .input('boardId', sql.Int, Math.trunc(parsedBoardId))
-        .query(`
-            SELECT TOP 1
-                quorumPercentOverride,
-                quorumMinCountOverride,
-                decisionRequiresQuorumOverride,
-                voteWindowDaysOverride
-            FROM GovernanceBoard
-            WHERE id = @boardId
-        `);
-    if (boardResult.recordset.length === 0) {
-        return globalDefaults;
-    }
-
-    const board = boardResult.recordset[0];
-    return normalizeGovernancePolicy({
-        quorumPercent: board.quorumPercentOverride === null ? globalDefaults.quorumPercent : board.quorumPercentOverride,
-        quorumMinCount: board.quorumMinCountOverride === null ? globalDefaults.quorumMinCount : board.quorumMinCountOverride,
-        decisionRequiresQuorum: board.decisionRequiresQuorumOverride === null ? globalDefaults.decisionRequiresQuorum : !!board.decisionRequiresQuorumOverride,
-        voteWindowDays: board.voteWindowDaysOverride === null ? globalDefaults.voteWindowDays : board.voteWindowDaysOverride
-    });
-};
-
 const normalizeGovernanceMode = (value, fallback = 'off') => {
     if (typeof value !== 'string') return fallback;
     const normalized = value.trim().toLowerCase();
@@ -1498,8 +1321,13 @@ router.get('/governance-queue', checkPermission('can_view_governance_queue'), as
                 const wipLimit = boardCapacity.wipLimit === null || boardCapacity.wipLimit === undefined
                     ? null
                     : Number(boardCapacity.wipLimit);
+                // Hours actually logged on active work; without time entries demand falls back to estimates alone.
+                const burn = await fetchWeeklyBurnHours(pool, {
+                    orgId: boardCapacity.orgId === null || boardCapacity.orgId === undefined ? null : Number(boardCapacity.orgId)
+                });
+                const actualWeeklyBurnHours = burn ? burn.averageWeeklyHours : null;
                 const projectedWipCount = activeProjectCount + pendingDecisionCount;
-                const projectedWeeklyDemandHours = pendingDecisionEffortHours;
+                const projectedWeeklyDemandHours = Math.round(((actualWeeklyBurnHours || 0) + pendingDecisionEffortHours) * 100) / 100;
                 const wipHeadroom = wipLimit === null ? null : (wipLimit - projectedWipCount);
                 const capacityHeadroomHours = weeklyCapacityHours === null
                     ? null
@@ -1516,6 +1344,9 @@ router.get('/governance-queue', checkPermission('can_view_governance_queue'), as
                     pendingDecisionCount,
                     pendingDecisionEffortHours,
                     approvedBacklogCount,
+                    actualWeeklyBurnHours,
+                    burnWindowWeeks: burn ? burn.windowWeeks : null,
+                    demandBasis: actualWeeklyBurnHours ? 'actual-burn' : 'estimates',
                     scenarioApproveNow: {
                         projectedWipCount,
                         projectedWeeklyDemandHours,
@@ -2124,6 +1955,21 @@ router.post('/submissions', requireAuth, intakeSubmissionCreateLimiter, async (r
     }
 });
 
+// Stored status, project link and conversation of a submission, for a 412 response.
+const sendSubmissionEditConflict = async (res, pool, id, submitted) => {
+    const result = await pool.request()
+        .input('id', sql.Int, id)
+        .query('SELECT * FROM IntakeSubmissions WHERE id = @id');
+    const row = mapSubmissionRow(result.recordset[0]);
+    return sendEditConflict(res, {
+        label: 'submission',
+        version: result.recordset[0]?.editVersion,
+        current: { status: row.status, convertedProjectId: row.convertedProjectId, conversation: row.conversation },
+        submitted,
+        fields: ['status', 'convertedProjectId', 'conversation']
+    });
+};
+
 // Update submission (Status, Project, or Conversation Read State)
 router.put('/submissions/:id', requireAuth, async (req, res) => {
     try {
@@ -2133,6 +1979,7 @@ router.put('/submissions/:id', requireAuth, async (req, res) => {
         const { status, convertedProjectId, conversation } = req.body;
         const id = parseInt(req.params.id);
         const pool = await getPool();
+        const versioned = await hasEditVersionSchema(pool, 'IntakeSubmissions');
 
         // 1. Fetch existing submission to check permissions directly
         const prevResult = await pool.request()
@@ -2147,6 +1994,7 @@ router.put('/submissions/:id', requireAuth, async (req, res) => {
                     governanceRequired,
                     governanceStatus,
                     governanceDecision
+                    ${versioned ? ', editVersion' : ''}
                 FROM IntakeSubmissions
                 WHERE id = @id
             `);
@@ -2171,6 +2019,12 @@ router.put('/submissions/:id', requireAuth, async (req, res) => {
             }
         }
 
+        // Conversation is saved whole, so a stale copy would drop messages posted since it was loaded.
+        const versionCheck = checkIfMatch(req, prev.editVersion);
+        if (!versionCheck.ok) {
+            return sendSubmissionEditConflict(res, pool, id, req.body);
+        }
+
         // 3. Prepare Updates
         const request = pool.request().input('id', sql.Int, id);
         let updateParts = [];
@@ -2236,8 +2090,22 @@ router.put('/submissions/:id', requireAuth, async (req, res) => {
             return res.json({ success: true, message: 'No changes applicable.' });
         }
 
-        const query = `UPDATE IntakeSubmissions SET ${updateParts.join(', ')} WHERE id = @id`;
-        await request.query(query);
+        if (versioned) {
+            updateParts.push('editVersion = editVersion + 1');
+        }
+        if (versionCheck.expectedVersion !== null) {
+            request.input('expectedVersion', sql.Int, versionCheck.expectedVersion);
+        }
+        const query = `
+            UPDATE IntakeSubmissions SET ${updateParts.join(', ')}
+            ${versioned ? 'OUTPUT INSERTED.editVersion' : ''}
+            WHERE id = @id${versionCheck.expectedVersion !== null ? ' AND editVersion = @expectedVersion' : ''}
+        `;
+        const updateResult = await request.query(query);
+        if (versionCheck.expectedVersion !== null && updateResult.rowsAffected[0] === 0) {
+            return sendSubmissionEditConflict(res, pool, id, req.body);
+        }
+        const etag = formatEtag(updateResult.recordset?.[0]?.editVersion);
 
         // Audit Log
         logAudit({
@@ -2250,7 +2118,8 @@ router.put('/submissions/:id', requireAuth, async (req, res) => {
             req
         });
 
-        res.json({ success: true });
+        if (etag) res.set('ETag', etag);
+        res.json({ success: true, etag });
     } catch (err) {
         if (err?.message?.toLowerCase().includes('no organization assigned')) {
             return res.status(403).json({ error: err.message });
@@ -2375,6 +2244,9 @@ router.post('/submissions/:id/convert', requireAuth, async (req, res) => {
             conversionContext
         );
         const projectStatus = String(projectData?.status || 'active').trim().toLowerCase() || 'active';
+        if (projectStatus === PROJECT_LIFECYCLE_STATES.ON_HOLD) {
+            return res.status(400).json({ error: 'Converted projects start active. Put the project on hold afterwards with a reason and expected resume date.' });
+        }
         const projectLifecycle = deriveProjectLifecycleFromStatus({
             currentLifecycleState: PROJECT_LIFECYCLE_STATES.ACTIVE,
             status: projectStatus,
@@ -2382,10 +2254,36 @@ router.post('/submissions/:id/convert', requireAuth, async (req, res) => {
         });
         const sharedWithOrgIds = normalizeConversionSharedOrgIds(projectData)
             .filter((orgId) => orgId !== resolvedSubmissionOrgId);
+        let template = null;
+        let templateStartDate = null;
+        if (req.body?.templateId !== undefined && req.body?.templateId !== null && req.body?.templateId !== '') {
+            const resolved = await resolveProjectTemplate(pool, req.body.templateId, resolvedSubmissionOrgId);
+            if (resolved.error) {
+                return res.status(resolved.status).json({ error: resolved.error });
+            }
+            template = resolved.template;
+            if (req.body?.templateStartDate) {
+                const parsedStart = new Date(req.body.templateStartDate);
+                if (Number.isNaN(parsedStart.getTime())) {
+                    return res.status(400).json({ error: 'Invalid templateStartDate. Use YYYY-MM-DD or ISO date format.' });
+                }
+                templateStartDate = parsedStart.toISOString().slice(0, 10);
+            }
+        }
+        const taskWorkflow = await loadTaskWorkflowContext(pool, { orgId: resolvedSubmissionOrgId });
+        const stageGateReady = await hasStageGateSchema(pool);
+        for (const task of kickoffTasks) {
+            task.status = resolveWorkflowStatus(taskWorkflow.states, task.status);
+            task.statusCategory = getStatusCategory(task.status, taskWorkflow.states);
+        }
+
+        // Goal precedence: explicit selection, then the template's goals, then the form's default goal.
         const requestedGoalIds = normalizeConversionGoalIds(projectData);
         const goalIds = requestedGoalIds.length > 0
             ? requestedGoalIds
-            : (submission.defaultGoalId ? [Number(submission.defaultGoalId)] : []);
+            : (template?.definition.goalIds.length
+                ? template.definition.goalIds
+                : (submission.defaultGoalId ? [Number(submission.defaultGoalId)] : []));
 
         for (const sharedOrgId of sharedWithOrgIds) {
             await ensureOrganizationExists(pool, sharedOrgId, 'sharedWithOrgIds');
@@ -2514,17 +2412,37 @@ router.post('/submissions/:id/convert', requireAuth, async (req, res) => {
                     .input('projectId', sql.Int, projectId)
                     .input('title', sql.NVarChar(255), task.title)
                     .input('status', sql.NVarChar(20), task.status)
+                    .input('statusCategory', sql.NVarChar(20), task.statusCategory)
                     .input('priority', sql.NVarChar(20), task.priority)
                     .input('description', sql.NVarChar(sql.MAX), task.description || '')
                     .input('startDate', sql.Date, task.startDate)
                     .input('endDate', sql.Date, task.endDate)
                     .input('updatedAt', sql.DateTime2, new Date())
                     .query(`
-                        INSERT INTO Tasks (projectId, title, status, priority, description, startDate, endDate, updatedAt)
-                        VALUES (@projectId, @title, @status, @priority, @description, @startDate, @endDate, @updatedAt)
+                        INSERT INTO Tasks (projectId, title, status, ${taskWorkflow.schemaReady ? 'statusCategory, ' : ''}priority, description, startDate, endDate, updatedAt)
+                        VALUES (@projectId, @title, @status, ${taskWorkflow.schemaReady ? '@statusCategory, ' : ''}@priority, @description, @startDate, @endDate, @updatedAt)
                     `);
             }
 
+            const seeded = template
+                ? await instantiateProjectTemplate(tx, {
+                    projectId,
+                    template,
+                    startDate: templateStartDate || new Date(),
+                    workflow: taskWorkflow
+                })
+                : null;
+
+            // Governance continues after conversion: the project enters the first delivery phase.
+            const stageGate = stageGateReady
+                ? await initializeProjectStageGate(tx, {
+                    projectId,
+                    orgId: resolvedSubmissionOrgId,
+                    fallbackBoardId: submission.governanceBoardId || null,
+                    startedByOid: user?.oid || null
+                })
+                : null;
+
             await new sql.Request(tx)
                 .input('submissionId', sql.Int, submissionId)
                 .input('projectId', sql.Int, projectId)
@@ -2556,7 +2474,10 @@ router.post('/submissions/:id/convert', requireAuth, async (req, res) => {
                     orgId: resolvedSubmissionOrgId,
                     sharedWithOrgIds,
                     goalIds,
-                    kickoffTaskCount: kickoffTasks.length
+                    kickoffTaskCount: kickoffTasks.length,
+                    templateId: template ? Number(template.id) : null,
+                    templateTaskCount: seeded?.tasks.length || 0,
+                    stageGatePhase: stageGate?.currentPhaseKey || null
                 },
                 req
             });
@@ -2565,7 +2486,7 @@ router.post('/submissions/:id/convert', requireAuth, async (req, res) => {
                 success: true,
                 submissionId: String(submissionId),
                 projectId: String(projectId),
-                seededTaskCount: kickoffTasks.length,
+                seededTaskCount: kickoffTasks.length + (seeded?.tasks.length || 0),
                 seededTaskErrors: [],
                 project: {
                     id: String(projectId),
@@ -2588,15 +2509,22 @@ router.post('/submissions/:id/convert', requireAuth, async (req, res) => {
                     goalContextMissing: false,
                     accessLevel: 'owner',
                     hasWriteAccess: true,
-                    tasks: kickoffTasks.map((task, index) => ({
-                        id: `seeded-${projectId}-${index + 1}`,
-                        title: task.title,
-                        status: task.status,
-                        priority: task.priority,
-                        description: task.description || '',
-                        startDate: task.startDate,
-                        endDate: task.endDate
-                    })),
+                    templateId: template ? template.id : null,
+                    statusReportDefaults: seeded?.statusReportDefaults || null,
+                    stageGate,
+                    tasks: [
+                        ...kickoffTasks.map((task, index) => ({
+                            id: `seeded-${projectId}-${index + 1}`,
+                            title: task.title,
+                            status: task.status,
+                            statusCategory: task.statusCategory,
+                            priority: task.priority,
+                            description: task.description || '',
+                            startDate: task.startDate,
+                            endDate: task.endDate
+                        })),
+                        ...(seeded?.tasks || [])
+                    ],
                     createdAt: projectInsert.recordset[0].createdAt
                 }
             });
@@ -2894,19 +2822,8 @@ router.post('/submissions/:id/governance/start', requireAuth, governanceRoutingL
             return res.status(409).json({ error: 'Selected criteria version has no criteria.' });
         }
 
-        const participantsResult = await pool.request()
-            .input('boardId', sql.Int, submission.governanceBoardId)
-            .query(`
-                SELECT userOid, role
-                FROM GovernanceMembership
-                WHERE boardId = @boardId
-                  AND isActive = 1
-                  AND effectiveFrom <= GETDATE()
-                  AND (effectiveTo IS NULL OR effectiveTo > GETDATE())
-                ORDER BY role DESC, createdAt ASC
-            `);
-
-        if (participantsResult.recordset.length === 0) {
+        const participants = await loadActiveBoardMembers(pool, submission.governanceBoardId);
+        if (participants.length === 0) {
             return res.status(409).json({ error: 'No active governance members on this board.' });
         }
 
@@ -2971,7 +2888,7 @@ router.post('/submissions/:id/governance/start', requireAuth, governanceRoutingL
             }
             reviewId = reviewInsert.recordset[0].id;
 
-            for (const participant of participantsResult.recordset) {
+            for (const participant of participants) {
                 const participantRequest = new sql.Request(tx);
                 await participantRequest
                     .input('reviewId', sql.Int, reviewId)
@@ -3013,7 +2930,7 @@ router.post('/submissions/:id/governance/start', requireAuth, governanceRoutingL
                 boardId: submission.governanceBoardId,
                 criteriaVersionId: criteriaVersion.id,
                 criteriaVersionNo: criteriaVersion.versionNo,
-                participantCount: participantsResult.recordset.length,
+                participantCount: participants.length,
                 policy: policySettings,
                 voteDeadlineAt
             },
@@ -3026,7 +2943,7 @@ router.post('/submissions/:id/governance/start', requireAuth, governanceRoutingL
             reviewRound: nextRound,
             criteriaVersionId: criteriaVersion.id.toString(),
             criteriaVersionNo: criteriaVersion.versionNo,
-            participantCount: participantsResult.recordset.length,
+            participantCount: participants.length,
             policy: policySettings,
             voteDeadlineAt
         });
@@ -3702,10 +3619,17 @@ router.post('/submissions/:id/message', requireAuth, intakeConversationLimiter,
             .input('id', sql.Int, submissionId)
             .input('conversation', sql.NVarChar, JSON.stringify(conversation));
 
-        await request.query(`UPDATE IntakeSubmissions SET infoRequests = @conversation ${statusUpdate} WHERE id = @id`);
+        // Bump the version so a client still holding the old conversation cannot save over this message.
+        const versioned = await hasEditVersionSchema(pool, 'IntakeSubmissions');
+        const updateResult = await request.query(`
+            UPDATE IntakeSubmissions SET infoRequests = @conversation ${statusUpdate}
+                ${versioned ? ', editVersion = editVersion + 1' : ''}
+            ${versioned ? 'OUTPUT INSERTED.editVersion' : ''}
+            WHERE id = @id
+        `);
 
         logAudit({ action: 'submission.message', entityType: 'submission', entityId: submissionId, entityTitle: `Message by ${user.name}`, user, after: { senderType, message: message.substring(0, 200) }, req });
-        res.json({ success: true, conversation });
+        res.json({ success: true, conversation, etag: formatEtag(updateResult.recordset?.[0]?.editVersion) });
     } catch (err) {
         handleError(res, 'adding message', err);
     }
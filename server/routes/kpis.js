@@ -5,6 +5,7 @@ import { withSharedScope, checkKpiWriteAccess, requireGoalWriteAccess } from '..
 import { handleError } from '../utils/errorHandler.js';
 import { logAudit } from '../utils/auditLogger.js';
 import { touchGoalActivity } from '../utils/lifecycle.js';
+import { RECYCLE_BIN_SCHEMA_MISSING_ERROR, getRecycleBinPurgeDate, hasRecycleBinSchema } from '../utils/recycleBin.js';
 
 const router = express.Router();
 
@@ -53,22 +54,69 @@ router.put('/:id', checkPermission('can_manage_kpis'), withSharedScope, checkKpi
     }
 });
 
-// Delete KPI
+// Delete KPI. With the recycle bin schema installed the KPI is only stamped as deleted until the retention purge.
 router.delete('/:id', checkPermission('can_manage_kpis'), withSharedScope, checkKpiWriteAccess(), requireGoalWriteAccess, async (req, res) => {
     try {
         const id = parseInt(req.params.id);
         const pool = await getPool();
         const prev = await pool.request().input('id', sql.Int, id).query('SELECT name, target, currentValue, unit, goalId FROM KPIs WHERE id = @id');
-        await pool.request()
-            .input('id', sql.Int, id)
-            .query('DELETE FROM KPIs WHERE id = @id');
+        const user = getAuthUser(req);
+        const binReady = await hasRecycleBinSchema(pool);
+        const deletedAt = new Date();
+        if (binReady) {
+            await pool.request()
+                .input('id', sql.Int, id)
+                .input('deletedAt', sql.DateTime2, deletedAt)
+                .input('deletedByOid', sql.NVarChar(100), user?.oid || null)
+                .query('UPDATE KPIs SET deletedAt = @deletedAt, deletedByOid = @deletedByOid WHERE id = @id');
+        } else {
+            await pool.request()
+                .input('id', sql.Int, id)
+                .query('DELETE FROM KPIs WHERE id = @id');
+        }
 
         await touchGoalActivity(pool, [prev.recordset[0]?.goalId]);
-        logAudit({ action: 'kpi.delete', entityType: 'kpi', entityId: id, entityTitle: prev.recordset[0]?.name, user: getAuthUser(req), before: prev.recordset[0], req });
-        res.json({ success: true });
+        logAudit({ action: 'kpi.delete', entityType: 'kpi', entityId: id, entityTitle: prev.recordset[0]?.name, user, before: prev.recordset[0], metadata: { goalId: prev.recordset[0]?.goalId, recycled: binReady }, req });
+        res.json({ success: true, recycled: binReady, purgeAfter: binReady ? getRecycleBinPurgeDate(deletedAt) : null });
     } catch (err) {
         handleError(res, 'deleting KPI', err);
     }
 });
 
+// Restore a KPI from the recycle bin
+router.post('/:id/restore', checkPermission('can_manage_kpis'), withSharedScope, checkKpiWriteAccess(undefined, { includeDeleted: true }), requireGoalWriteAccess, async (req, res) => {
+    try {
+        const id = parseInt(req.params.id);
+        const pool = await getPool();
+        if (!(await hasRecycleBinSchema(pool))) {
+            return res.status(409).json({ error: RECYCLE_BIN_SCHEMA_MISSING_ERROR });
+        }
+        const restoreResult = await pool.request()
+            .input('id', sql.Int, id)
+            .query(`
+                UPDATE KPIs
+                SET deletedAt = NULL, deletedByOid = NULL
+                OUTPUT INSERTED.id, INSERTED.goalId, INSERTED.name, INSERTED.target, INSERTED.currentValue, INSERTED.unit, DELETED.deletedAt
+                WHERE id = @id AND deletedAt IS NOT NULL
+            `);
+        const restored = restoreResult.recordset[0];
+        if (!restored) {
+            return res.status(409).json({ error: 'KPI is not in the recycle bin.' });
+        }
+
+        await touchGoalActivity(pool, [restored.goalId]);
+        logAudit({ action: 'kpi.restore', entityType: 'kpi', entityId: id, entityTitle: restored.name, user: getAuthUser(req), before: { deletedAt: restored.deletedAt }, metadata: { goalId: restored.goalId }, req });
+        res.json({
+            id: String(restored.id),
+            goalId: String(restored.goalId),
+            name: restored.name,
+            target: restored.target,
+            current: restored.currentValue,
+            unit: restored.unit
+        });
+    } catch (err) {
+        handleError(res, 'restoring KPI', err);
+    }
+});
+
 export default router;
@@ -0,0 +1,251 @@
+import express from 'express';
+import { getPool, sql } from '../db.js';
+import { checkPermission, getAuthUser, hasPermission } from '../middleware/authMiddleware.js';
+import { handleError } from '../utils/errorHandler.js';
+import { logAudit } from '../utils/auditLogger.js';
+import { ensureOrganizationExists, isAdminUser, parseOptionalOrgId, resolveOwnedOrgId } from '../utils/orgOwnership.js';
+import {
+    PROJECT_TEMPLATE_SCHEMA_MISSING_ERROR,
+    hasProjectTemplateSchema,
+    mapProjectTemplateRow
+} from '../utils/projectTemplates.js';
+import { MAX_TEMPLATE_NAME_LENGTH, normalizeTemplateDefinition } from '../../shared/projectTemplates.js';
+
+const router = express.Router();
+
+const TEMPLATE_SELECT = `
+    SELECT pt.*, o.name AS orgName
+    FROM ProjectTemplates pt
+    LEFT JOIN Organizations o ON o.id = pt.orgId
+`;
+
+const parseTemplateInput = (body = {}) => {
+    const name = String(body.name || '').trim();
+    if (!name) return { error: 'Template name is required.' };
+    if (name.length > MAX_TEMPLATE_NAME_LENGTH) {
+        return { error: `Template name must be ${MAX_TEMPLATE_NAME_LENGTH} characters or fewer.` };
+    }
+    const normalized = normalizeTemplateDefinition(body.definition);
+    if (normalized.error) return { error: normalized.error };
+    return {
+        name,
+        description: String(body.description || '').trim() || null,
+        isActive: body.isActive === undefined ? true : !!body.isActive,
+        definition: normalized.definition
+    };
+};
+
+// Non-admins only manage templates owned by their own organization.
+const loadManageableTemplate = async (pool, req, res) => {
+    const id = Number.parseInt(req.params.id, 10);
+    if (Number.isNaN(id)) {
+        res.status(400).json({ error: 'Invalid template id' });
+        return null;
+    }
+    const result = await pool.request()
+        .input('id', sql.Int, id)
+        .query(`${TEMPLATE_SELECT} WHERE pt.id = @id`);
+    const row = result.recordset[0];
+    if (!row) {
+        res.status(404).json({ error: 'Project template not found' });
+        return null;
+    }
+    if (!isAdminUser(req.user) && Number(row.orgId) !== Number(req.user?.orgId)) {
+        res.status(403).json({ error: 'You can only manage templates owned by your organization' });
+        return null;
+    }
+    return row;
+};
+
+const isDuplicateNameError = (err) => err?.number === 2627 || err?.number === 2601;
+
+// List templates. Project creators see their org's active templates; intake managers may
+// look up another org's templates when converting its submissions; admins see everything.
+router.get('/', checkPermission(['can_create_project', 'can_manage_intake', 'can_manage_project_templates']), async (req, res) => {
+    try {
+        const pool = await getPool();
+        if (!(await hasProjectTemplateSchema(pool))) {
+            return res.json({ schemaReady: false, templates: [] });
+        }
+
+        const requestedOrgId = parseOptionalOrgId(req.query.orgId);
+        if (Number.isNaN(requestedOrgId)) {
+            return res.status(400).json({ error: 'Invalid orgId' });
+        }
+        const isAdmin = isAdminUser(req.user);
+        const userOrgId = parseOptionalOrgId(req.user?.orgId);
+        let orgId = requestedOrgId ?? (isAdmin ? null : userOrgId);
+        if (!isAdmin && orgId !== userOrgId && !(await hasPermission(req.user, 'can_manage_intake'))) {
+            orgId = userOrgId;
+        }
+        if (!isAdmin && !Number.isFinite(orgId)) {
+            return res.json({ schemaReady: true, templates: [] });
+        }
+
+        const canManage = isAdmin || await hasPermission(req.user, 'can_manage_project_templates');
+        const includeInactive = canManage && String(req.query.includeInactive || '') === 'true';
+        const result = await pool.request()
+            .input('orgId', sql.Int, orgId)
+            .input('includeInactive', sql.Bit, includeInactive ? 1 : 0)
+            .query(`
+                ${TEMPLATE_SELECT}
+                WHERE (@orgId IS NULL OR pt.orgId = @orgId)
+                  AND (@includeInactive = 1 OR pt.isActive = 1)
+                ORDER BY pt.name ASC
+            `);
+
+        res.json({ schemaReady: true, templates: result.recordset.map(mapProjectTemplateRow) });
+    } catch (err) {
+        handleError(res, 'fetching project templates', err);
+    }
+});
+
+router.post('/', checkPermission('can_manage_project_templates'), async (req, res) => {
+    try {
+        const input = parseTemplateInput(req.body);
+        if (input.error) {
+            return res.status(400).json({ error: input.error });
+        }
+
+        const pool = await getPool();
+        if (!(await hasProjectTemplateSchema(pool))) {
+            return res.status(409).json({ error: PROJECT_TEMPLATE_SCHEMA_MISSING_ERROR });
+        }
+
+        let orgId;
+        try {
+            orgId = resolveOwnedOrgId({
+                user: req.user,
+                requestedOrgId: req.body?.orgId,
+                adminOrgRequiredMessage: 'orgId is required for admin-created templates'
+            });
+            await ensureOrganizationExists(pool, orgId);
+        } catch (orgErr) {
+            return res.status(400).json({ error: orgErr?.message || 'Unable to resolve template organization' });
+        }
+
+        const user = getAuthUser(req);
+        const inserted = await pool.request()
+            .input('orgId', sql.Int, orgId)
+            .input('name', sql.NVarChar(255), input.name)
+            .input('description', sql.NVarChar(sql.MAX), input.description)
+            .input('definition', sql.NVarChar(sql.MAX), JSON.stringify(input.definition))
+            .input('isActive', sql.Bit, input.isActive ? 1 : 0)
+            .input('userOid', sql.NVarChar(100), user?.oid || null)
+            .query(`
+                INSERT INTO ProjectTemplates (orgId, name, description, definition, isActive, createdByOid, updatedByOid)
+                OUTPUT INSERTED.id
+                VALUES (@orgId, @name, @description, @definition, @isActive, @userOid, @userOid)
+            `);
+        const id = inserted.recordset[0].id;
+        const created = await pool.request()
+            .input('id', sql.Int, id)
+            .query(`${TEMPLATE_SELECT} WHERE pt.id = @id`);
+        const template = mapProjectTemplateRow(created.recordset[0]);
+
+        logAudit({
+            action: 'project_template.create',
+            entityType: 'project_template',
+            entityId: String(id),
+            entityTitle: input.name,
+            user,
+            after: { orgId, name: input.name, isActive: input.isActive, taskCount: template.taskCount },
+            req
+        });
+        res.status(201).json(template);
+    } catch (err) {
+        if (isDuplicateNameError(err)) {
+            return res.status(409).json({ error: 'A template with this name already exists for the organization' });
+        }
+        handleError(res, 'creating project template', err);
+    }
+});
+
+router.put('/:id', checkPermission('can_manage_project_templates'), async (req, res) => {
+    try {
+        const input = parseTemplateInput(req.body);
+        if (input.error) {
+            return res.status(400).json({ error: input.error });
+        }
+
+        const pool = await getPool();
+        if (!(await hasProjectTemplateSchema(pool))) {
+            return res.status(409).json({ error: PROJECT_TEMPLATE_SCHEMA_MISSING_ERROR });
+        }
+        const existing = await loadManageableTemplate(pool, req, res);
+        if (!existing) return;
+
+        const user = getAuthUser(req);
+        await pool.request()
+            .input('id', sql.Int, existing.id)
+            .input('name', sql.NVarChar(255), input.name)
+            .input('description', sql.NVarChar(sql.MAX), input.description)
+            .input('definition', sql.NVarChar(sql.MAX), JSON.stringify(input.definition))
+            .input('isActive', sql.Bit, input.isActive ? 1 : 0)
+            .input('userOid', sql.NVarChar(100), user?.oid || null)
+            .input('updatedAt', sql.DateTime2, new Date())
+            .query(`
+                UPDATE ProjectTemplates
+                SET name = @name,
+                    description = @description,
+                    definition = @definition,
+                    isActive = @isActive,
+                    updatedByOid = @userOid,
+                    updatedAt = @updatedAt
+                WHERE id = @id
+            `);
+        const updated = await pool.request()
+            .input('id', sql.Int, existing.id)
+            .query(`${TEMPLATE_SELECT} WHERE pt.id = @id`);
+        const template = mapProjectTemplateRow(updated.recordset[0]);
+        const before = mapProjectTemplateRow(existing);
+
+        logAudit({
+            action: 'project_template.update',
+            entityType: 'project_template',
+            entityId: String(existing.id),
+            entityTitle: input.name,
+            user,
+            before: { name: before.name, isActive: before.isActive, taskCount: before.taskCount },
+            after: { name: template.name, isActive: template.isActive, taskCount: template.taskCount },
+            req
+        });
+        res.json(template);
+    } catch (err) {
+        if (isDuplicateNameError(err)) {
+            return res.status(409).json({ error: 'A template with this name already exists for the organization' });
+        }
+        handleError(res, 'updating project template', err);
+    }
+});
+
+// Projects keep everything copied from a deleted template; only their templateId is cleared.
+router.delete('/:id', checkPermission('can_manage_project_templates'), async (req, res) => {
+    try {
+        const pool = await getPool();
+        if (!(await hasProjectTemplateSchema(pool))) {
+            return res.status(409).json({ error: PROJECT_TEMPLATE_SCHEMA_MISSING_ERROR });
+        }
+        const existing = await loadManageableTemplate(pool, req, res);
+        if (!existing) return;
+
+        await pool.request()
+            .input('id', sql.Int, existing.id)
+            .query('DELETE FROM ProjectTemplates WHERE id = @id');
+
+        logAudit({
+            action: 'project_template.delete',
+            entityType: 'project_template',
+            entityId: String(existing.id),
+            entityTitle: existing.name,
+            user: getAuthUser(req),
+            before: { orgId: existing.orgId, name: existing.name },
+            req
+        });
+        res.json({ success: true });
+    } catch (err) {
+        handleError(res, 'deleting project template', err);
+    }
+});
+
+export default router;
@@ -9,6 +9,13 @@ import { buildInClause, addParams } from '../utils/sqlHelpers.js';
 import { validateGoalAssignment, loadGoalsForValidation } from '../utils/goalValidation.js';
 import { ensureReadGoalAccessForOrg, findGoalAccessGapsForOrg } from '../utils/goalAccess.js';
 import { ensureOrganizationExists, isAdminUser, resolveOwnedOrgId } from '../utils/orgOwnership.js';
+import {
+    SCHEDULE_BASELINE_SCHEMA_MISSING_ERROR,
+    fetchScheduleVarianceByProject,
+    hasScheduleBaselineSchema,
+    mapBaselineItemRow,
+    mapBaselineRow
+} from '../utils/scheduleBaselines.js';
 import {
     ACTIVE_PROJECT_LIFECYCLE_STATES,
     LIFECYCLE_VIEW_MODES,
@@ -23,6 +30,131 @@ import {
     touchGoalActivity,
     touchProjectActivity
 } from '../utils/lifecycle.js';
+import {
+    MAX_MILESTONE_NAME_LENGTH,
+    PROJECT_MILESTONE_STATUSES,
+    normalizeMilestoneStatus,
+    summarizeMilestones
+} from '../../shared/milestones.js';
+import { MAX_BASELINE_NAME_LENGTH } from '../../shared/scheduleBaselines.js';
+import { MAX_TASK_ESTIMATE_HOURS, normalizeEstimatedHours } from '../../shared/timeEntries.js';
+import { TIME_ENTRY_SCHEMA_MISSING_ERROR, hasTimeEntrySchema } from '../utils/timeEntries.js';
+import {
+    hasProjectTemplateSchema,
+    instantiateProjectTemplate,
+    parseStatusReportDefaults,
+    resolveProjectTemplate
+} from '../utils/projectTemplates.js';
+import {
+    PROJECT_CLONE_SCHEMA_MISSING_ERROR,
+    copyCloneComponents,
+    hasProjectCloneSchema,
+    loadCloneSource
+} from '../utils/projectClone.js';
+import { buildCloneTitle, computeCloneShiftDays, normalizeCloneRequest } from '../../shared/projectClone.js';
+import {
+    TASK_WORKFLOW_SCHEMA_MISSING_ERROR,
+    deleteTaskWorkflow,
+    hasTaskWorkflowSchema,
+    loadProjectTaskWorkflow,
+    loadTaskWorkflowContext,
+    parseTaskWorkflowInput,
+    saveTaskWorkflow,
+    taskStatusCategorySql
+} from '../utils/taskWorkflows.js';
+import { findWorkflowState, getInitialWorkflowStatus, getStatusCategory } from '../../shared/taskWorkflows.js';
+import {
+    WIP_LIMIT_SCHEMA_MISSING_ERROR,
+    fetchWipBreachesByProject,
+    hasWipLimitSchema,
+    loadProjectWipLimits,
+    saveProjectWipLimits
+} from '../utils/wipLimits.js';
+import { normalizeWipLimits } from '../../shared/wipLimits.js';
+import {
+    PROJECT_FINANCIAL_SCHEMA_MISSING_ERROR,
+    fetchFinancialSummaryByProject,
+    hasProjectFinancialSchema,
+    loadProjectFinancialLines,
+    mapFinancialLineRow
+} from '../utils/projectFinancials.js';
+import {
+    FINANCIAL_COST_TYPE_LABELS,
+    normalizeFinancialLine,
+    summarizeFinancialLines
+} from '../../shared/projectFinancials.js';
+import {
+    RAID_SCHEMA_MISSING_ERROR,
+    attachRaidItemsToReports,
+    fetchRaidSummaryByProject,
+    filterProjectRaidItemIds,
+    hasRaidSchema,
+    loadProjectRaidItems,
+    loadRaidItem,
+    loadRaidItemHistory,
+    mapRaidItemRow,
+    recordRaidHistory,
+    validateRaidOwner
+} from '../utils/raidLog.js';
+import { normalizeRaidItem, summarizeRaidItems } from '../../shared/raidLog.js';
+import {
+    PROJECT_DEPENDENCY_SCHEMA_MISSING_ERROR,
+    fetchUpstreamRisksByProject,
+    hasProjectDependencySchema,
+    isProjectVisibleToOrg,
+    loadPortfolioDependencyGraph,
+    loadProjectDependencies,
+    mapProjectDependencyRow
+} from '../utils/projectDependencies.js';
+import {
+    normalizeProjectDependency,
+    wouldCreateProjectDependencyCycle
+} from '../../shared/projectDependencies.js';
+import {
+    STAGE_GATE_SCHEMA_MISSING_ERROR,
+    fetchStageGateSummaryByProject,
+    hasStageGateSchema,
+    initializeProjectStageGate,
+    loadGateReview,
+    loadGateReviewParticipant,
+    loadGateReviewTally,
+    loadOrgStageGateModel,
+    loadProjectGateReviews,
+    loadProjectStageGate
+} from '../utils/stageGates.js';
+import { fetchGovernancePolicySettings, loadActiveBoardMembers } from '../utils/governancePolicy.js';
+import { GATE_DECISIONS, GATE_VOTES, getNextPhase } from '../../shared/stageGates.js';
+import { governanceDecisionLimiter, governanceRoutingLimiter, governanceVoteLimiter } from '../middleware/rateLimiters.js';
+import {
+    fetchRiskTrendByProject,
+    hasRiskSnapshotSchema,
+    loadProjectRiskHistory,
+    saveRiskSnapshot
+} from '../utils/riskSnapshots.js';
+import { normalizeRiskHistoryDays, summarizeRiskTrend } from '../../shared/riskTrend.js';
+import { describeRiskModelVersion, loadEffectiveRiskModels } from '../utils/riskModels.js';
+import { buildRiskSignalFromInputs, normalizeRiskCount } from '../../shared/riskModel.js';
+import {
+    CUSTOM_FIELD_SCHEMA_MISSING_ERROR,
+    buildCustomFieldFilterConditions,
+    hasCustomFieldSchema,
+    loadCustomFieldDefinitions,
+    loadCustomFieldUserNames,
+    loadCustomFieldValues,
+    replaceCustomFieldValues
+} from '../utils/customFields.js';
+import { checkTaskParent, hasSubtaskSchema } from '../utils/subtasks.js';
+import { checkIfMatch, formatEtag, hasEditVersionSchema, sendEditConflict } from '../utils/editVersions.js';
+import { hasRecycleBinSchema, listProjectRecycleBin, notDeletedSql } from '../utils/recycleBin.js';
+import { hasTaskDependencySchema } from '../utils/taskDependencies.js';
+import { normalizeCustomFieldFilters } from '../../shared/customFields.js';
+import { RETENTION_WINDOWS, validateProjectHold } from '../../shared/dataLifecyclePolicy.js';
+import {
+    PROJECT_HOLD_SCHEMA_MISSING_ERROR,
+    hasProjectHoldSchema,
+    mapProjectHold,
+    projectHoldColumnsSql
+} from '../utils/projectHolds.js';
 
 const router = express.Router();
 
@@ -67,7 +199,6 @@ const parseTruthyQueryFlag = (value) => {
     return normalized === '1' || normalized === 'true' || normalized === 'yes' || normalized === 'on';
 };
 
-const TASK_STATUSES = new Set(['todo', 'in-progress', 'blocked', 'review', 'done']);
 const TASK_PRIORITIES = new Set(['low', 'medium', 'high']);
 
 const normalizeTaskDate = (value) => {
@@ -97,9 +228,16 @@ const mapProjectLifecycleMetadata = (row) => ({
     archivedByOid: row.archivedByOid || null,
     archiveReason: row.archiveReason || null,
     lastActivityAt: row.lastActivityAt || null,
-    retentionClass: row.retentionClass || 'confidential'
+    retentionClass: row.retentionClass || 'confidential',
+    ...mapProjectHold(row)
 });
 
+// Hold details sent with a create or edit that puts the project on hold.
+const parseProjectHoldBody = (body, options) => validateProjectHold({
+    reason: body?.onHoldReason,
+    expectedResumeDate: body?.expectedResumeDate
+}, options);
+
 const toNullableDateOnly = (value) => {
     if (value === undefined) return undefined;
     if (value === null || value === '') return null;
@@ -127,170 +265,28 @@ const hasProjectBenefitSchema = async (pool) => {
     return !!(row.hasBenefitTable && row.hasStatus && row.hasGovernanceDecision);
 };
 
-const computeRiskLevel = (score) => {
-    if (score >= 75) return 'critical';
-    if (score >= 50) return 'high';
-    if (score >= 30) return 'medium';
-    return 'low';
-};
-
-const toRiskDate = (value) => {
-    if (!value) return null;
-    const parsed = new Date(value);
-    return Number.isNaN(parsed.getTime()) ? null : parsed;
-};
-
-const normalizeRiskCount = (value) => {
-    const parsed = Number(value);
-    if (!Number.isFinite(parsed)) return 0;
-    return Math.max(0, Math.round(parsed));
-};
-
-const buildRiskSignalFromInputs = ({
-    taskStats = {},
-    reportStatus = 'unknown',
-    latestReportAt = null,
-    lastTaskActivityAt = null,
-    nowMs = Date.now()
-}) => {
-    const totalTasks = normalizeRiskCount(taskStats.totalTasks);
-    const blockedTasks = normalizeRiskCount(taskStats.blockedTasks);
-    const overdueTasks = normalizeRiskCount(taskStats.overdueTasks);
-    const inFlightTasks = normalizeRiskCount(taskStats.inFlightTasks);
-    const overdueRatio = totalTasks > 0 ? overdueTasks / totalTasks : 0;
-    const normalizedReportStatus = String(reportStatus || 'unknown').trim().toLowerCase() || 'unknown';
-
-    const latestReportDate = toRiskDate(latestReportAt);
-    const lastTaskActivityDate = toRiskDate(lastTaskActivityAt);
-    const daysSinceLastReport = latestReportDate
-        ? Math.floor((nowMs - latestReportDate.getTime()) / 86400000)
-        : null;
-    const daysSinceTaskActivity = lastTaskActivityDate
-        ? Math.floor((nowMs - lastTaskActivityDate.getTime()) / 86400000)
-        : null;
-
-    let score = 0;
-    const signals = [];
-
-    if (overdueTasks > 0) {
-        const points = Math.min(30, overdueTasks * 6);
-        score += points;
-        signals.push({
-            key: 'overdue_tasks',
-            severity: overdueTasks >= 4 ? 'high' : 'medium',
-            points,
-            message: `${overdueTasks} overdue task${overdueTasks === 1 ? '' : 's'} are at risk of delaying delivery.`
-        });
-    }
-
-    if (blockedTasks > 0) {
-        const points = Math.min(25, blockedTasks * 8);
-        score += points;
-        signals.push({
-            key: 'blocked_tasks',
-            severity: blockedTasks >= 2 ? 'high' : 'medium',
-            points,
-            message: `${blockedTasks} blocked task${blockedTasks === 1 ? '' : 's'} need dependency resolution.`
-        });
-    }
-
-    if (normalizedReportStatus === 'red') {
-        score += 25;
-        signals.push({
-            key: 'status_report_red',
-            severity: 'high',
-            points: 25,
-            message: 'Latest status report is red.'
-        });
-    } else if (normalizedReportStatus === 'yellow') {
-        score += 12;
-        signals.push({
-            key: 'status_report_yellow',
-            severity: 'medium',
-            points: 12,
-            message: 'Latest status report is yellow.'
-        });
-    } else if (normalizedReportStatus === 'unknown') {
-        score += 6;
-        signals.push({
-            key: 'status_report_unknown',
-            severity: 'low',
-            points: 6,
-            message: 'No current status report is available.'
-        });
-    }
-
-    if (daysSinceLastReport !== null) {
-        if (daysSinceLastReport > 21) {
-            score += 20;
-            signals.push({
-                key: 'stale_report_high',
-                severity: 'high',
-                points: 20,
-                message: `Status report is stale (${daysSinceLastReport} days since last update).`
-            });
-        } else if (daysSinceLastReport > 14) {
-            score += 10;
-            signals.push({
-                key: 'stale_report_medium',
-                severity: 'medium',
-                points: 10,
-                message: `Status report is aging (${daysSinceLastReport} days since last update).`
-            });
-        }
-    }
-
-    if (daysSinceTaskActivity !== null && daysSinceTaskActivity > 14) {
-        score += 8;
-        signals.push({
-            key: 'stale_task_activity',
-            severity: 'medium',
-            points: 8,
-            message: `Task activity appears stalled (${daysSinceTaskActivity} days since last task update).`
-        });
-    }
-
-    if (overdueRatio >= 0.35 && totalTasks >= 3) {
-        score += 10;
-        signals.push({
-            key: 'overdue_ratio',
-            severity: 'medium',
-            points: 10,
-            message: `${Math.round(overdueRatio * 100)}% of tracked tasks are overdue.`
-        });
-    }
-
-    score = Math.min(100, Math.round(score));
-    const level = computeRiskLevel(score);
+const PROJECT_MILESTONE_SCHEMA_MISSING_ERROR = 'Project milestone schema is not installed. Run `npm run setup-db:full` in `server`.';
 
-    return {
-        score,
-        level,
-        metrics: {
-            totalTasks,
-            inFlightTasks,
-            blockedTasks,
-            overdueTasks,
-            overdueRatio: Math.round(overdueRatio * 1000) / 1000,
-            reportStatus: normalizedReportStatus,
-            daysSinceLastReport,
-            daysSinceTaskActivity
-        },
-        signals
-    };
+const hasProjectMilestoneSchema = async (pool) => {
+    const result = await pool.request().query(`
+        SELECT CASE WHEN OBJECT_ID('ProjectMilestones', 'U') IS NOT NULL THEN 1 ELSE 0 END AS hasMilestoneTable
+    `);
+    return !!result.recordset[0]?.hasMilestoneTable;
 };
 
 const buildProjectRiskSignal = async ({ pool, projectId }) => {
+    const category = taskStatusCategorySql('', await hasTaskWorkflowSchema(pool));
+    const binReady = await hasRecycleBinSchema(pool);
     const taskStatsResult = await pool.request()
         .input('projectId', sql.Int, projectId)
         .query(`
             SELECT
                 COUNT(*) AS totalTasks,
-                SUM(CASE WHEN status = 'blocked' THEN 1 ELSE 0 END) AS blockedTasks,
-                SUM(CASE WHEN status <> 'done' AND endDate < CAST(GETDATE() AS DATE) THEN 1 ELSE 0 END) AS overdueTasks,
-                SUM(CASE WHEN status IN ('in-progress', 'review') THEN 1 ELSE 0 END) AS inFlightTasks
+                SUM(CASE WHEN ${category} = 'blocked' THEN 1 ELSE 0 END) AS blockedTasks,
+                SUM(CASE WHEN ${category} <> 'done' AND endDate < CAST(GETDATE() AS DATE) THEN 1 ELSE 0 END) AS overdueTasks,
+                SUM(CASE WHEN ${category} = 'active' THEN 1 ELSE 0 END) AS inFlightTasks
             FROM Tasks
-            WHERE projectId = @projectId
+            WHERE projectId = @projectId AND ${notDeletedSql('', binReady)}
         `);
     const taskStats = taskStatsResult.recordset[0] || {};
 
@@ -309,10 +305,12 @@ const buildProjectRiskSignal = async ({ pool, projectId }) => {
     const projectActivityResult = await pool.request()
         .input('projectId', sql.Int, projectId)
         .query(`
-            SELECT lastActivityAt
+            SELECT lastActivityAt, orgId, lifecycleState
             FROM Projects
             WHERE id = @projectId
         `);
+    const projectOrgId = projectActivityResult.recordset[0]?.orgId ?? null;
+    const onHold = normalizeProjectLifecycleState(projectActivityResult.recordset[0]?.lifecycleState) === PROJECT_LIFECYCLE_STATES.ON_HOLD;
     let lastTaskActivityAt = projectActivityResult.recordset[0]?.lastActivityAt || null;
 
     if (!lastTaskActivityAt) {
@@ -327,12 +325,143 @@ const buildProjectRiskSignal = async ({ pool, projectId }) => {
         lastTaskActivityAt = activityResult.recordset[0]?.lastTaskActivityAt || null;
     }
 
-    return buildRiskSignalFromInputs({
-        taskStats,
-        reportStatus: latestReport?.overallStatus || 'unknown',
-        latestReportAt: latestReport?.createdAt || null,
-        lastTaskActivityAt
+    const scheduleVariance = (await fetchScheduleVarianceByProject(pool, [projectId])).get(String(projectId));
+    const wipBreaches = (await fetchWipBreachesByProject(pool, [projectId])).get(String(projectId)) || [];
+    const financials = (await fetchFinancialSummaryByProject(pool, [projectId])).get(String(projectId));
+    const upstreamRisks = (await fetchUpstreamRisksByProject(pool, [projectId])).get(String(projectId)) || [];
+    const riskModel = (await loadEffectiveRiskModels(pool, [projectOrgId])).get(String(projectOrgId)) || null;
+
+    return {
+        ...buildRiskSignalFromInputs({
+            taskStats,
+            reportStatus: latestReport?.overallStatus || 'unknown',
+            latestReportAt: latestReport?.createdAt || null,
+            lastTaskActivityAt,
+            scheduleSlipDays: scheduleVariance?.slipDays || 0,
+            wipBreaches,
+            costVariancePct: financials?.variancePct ?? null,
+            upstreamRisks,
+            onHold
+        }, riskModel?.model),
+        modelVersion: describeRiskModelVersion(riskModel)
+    };
+};
+
+// ==================== RISK SNAPSHOTS ====================
+
+const DEFAULT_RISK_SNAPSHOT_INTERVAL_MS = 60 * 60 * 1000;
+
+let riskSnapshotTimer = null;
+let riskSnapshotRunning = false;
+
+/**
+ * Store today's risk score for every active project that does not have one yet.
+ * The sweep runs hourly, so a restart or a project that failed earlier is picked up the same day.
+ */
+export const captureDailyRiskSnapshots = async () => {
+    if (riskSnapshotRunning) {
+        return { skipped: true, captured: 0, failed: 0 };
+    }
+
+    riskSnapshotRunning = true;
+    try {
+        const pool = await getPool();
+        if (!(await hasRiskSnapshotSchema(pool))) {
+            return { skipped: true, captured: 0, failed: 0 };
+        }
+
+        const { text: lifecycleText, params: lifecycleParams } = buildLifecycleInClause('snapshotLifecycle', ACTIVE_PROJECT_LIFECYCLE_STATES);
+        const dueRequest = pool.request();
+        addLifecycleParams(dueRequest, lifecycleParams);
+        const dueResult = await dueRequest.query(`
+            SELECT p.id
+            FROM Projects p
+            WHERE p.lifecycleState IN (${lifecycleText})
+              AND NOT EXISTS (
+                  SELECT 1
+                  FROM ProjectRiskSnapshots s
+                  WHERE s.projectId = p.id
+                    AND s.snapshotDate = CAST(GETDATE() AS DATE)
+              )
+            ORDER BY p.id ASC
+        `);
+
+        let captured = 0;
+        let failed = 0;
+        for (const row of dueResult.recordset) {
+            try {
+                const riskSignal = await buildProjectRiskSignal({ pool, projectId: row.id });
+                await saveRiskSnapshot(pool, row.id, riskSignal);
+                captured += 1;
+            } catch (err) {
+                failed += 1;
+                console.error(`Risk snapshot failed for project ${row.id}:`, err);
+            }
+        }
+        return { skipped: false, captured, failed };
+    } finally {
+        riskSnapshotRunning = false;
+    }
+};
+
+export const startRiskSnapshotScheduler = ({ intervalMs = DEFAULT_RISK_SNAPSHOT_INTERVAL_MS } = {}) => {
+    if (riskSnapshotTimer) {
+        return {
+            started: false,
+            intervalMs,
+            message: 'Scheduler already running'
+        };
+    }
+
+    const safeInterval = Math.max(60000, Number(intervalMs) || DEFAULT_RISK_SNAPSHOT_INTERVAL_MS);
+    riskSnapshotTimer = setInterval(() => {
+        captureDailyRiskSnapshots().catch((err) => {
+            console.error('Risk snapshot scheduler error:', err);
+        });
+    }, safeInterval);
+    captureDailyRiskSnapshots().catch((err) => {
+        console.error('Risk snapshot scheduler bootstrap error:', err);
     });
+
+    if (typeof riskSnapshotTimer.unref === 'function') {
+        riskSnapshotTimer.unref();
+    }
+
+    return {
+        started: true,
+        intervalMs: safeInterval
+    };
+};
+
+const describeFinancialLine = (line) => (
+    `FY${line.fiscalYear} ${FINANCIAL_COST_TYPE_LABELS[line.costType] || line.costType}${line.category ? ` - ${line.category}` : ''}`
+);
+
+const mapMilestoneRow = (row) => ({
+    id: String(row.id),
+    projectId: String(row.projectId),
+    name: row.name,
+    description: row.description || null,
+    plannedDate: toNullableDateOnly(row.plannedDate),
+    forecastDate: toNullableDateOnly(row.forecastDate),
+    actualDate: toNullableDateOnly(row.actualDate),
+    status: row.status || PROJECT_MILESTONE_STATUSES.PENDING,
+    sortOrder: Number(row.sortOrder || 0),
+    createdAt: row.createdAt,
+    updatedAt: row.updatedAt,
+    updatedByOid: row.updatedByOid || null
+});
+
+const fetchProjectMilestones = async (pool, projectId) => {
+    const result = await pool.request()
+        .input('projectId', sql.Int, projectId)
+        .query(`
+            SELECT *
+            FROM ProjectMilestones
+            WHERE projectId = @projectId
+            ORDER BY plannedDate ASC, sortOrder ASC, id ASC
+        `);
+    return result.recordset.map(mapMilestoneRow);
 };
 
 const mapBenefitRow = (row) => ({
@@ -439,11 +568,12 @@ router.get('/exec-summary', checkPermission(['can_view_exec_dashboard', 'can_vie
         const viewerOid = getUserOidFromReq(req) || '__none__';
         const lifecycleView = parseProjectLifecycleView(req.query.lifecycle);
         const { text: lifecycleText, params: lifecycleParams } = buildLifecycleInClause('projectLifecycle', getProjectLifecycleViewStates(lifecycleView));
+        const holdColumns = projectHoldColumnsSql('p.', await hasProjectHoldSchema(pool));
 
         // 1. Fetch Projects with Latest Report (Updated for JSON blob)
         const projectsQuery = `
             SELECT 
-                p.id, p.title, p.lifecycleState, p.completedAt, p.archivedAt, p.archivedByOid, p.archiveReason, p.lastActivityAt, p.retentionClass,
+                p.id, p.title, p.orgId, p.lifecycleState, p.completedAt, p.archivedAt, p.archivedByOid, p.archiveReason, p.lastActivityAt, p.retentionClass${holdColumns},
                 r.id as reportId, r.reportData, r.createdAt as reportDate,
                 (CASE WHEN EXISTS (SELECT 1 FROM StatusReports WHERE projectId = p.id) THEN 1 ELSE 0 END) as reportCount,
                 CAST(CASE WHEN pw.projectId IS NULL THEN 0 ELSE 1 END AS BIT) as isWatched
@@ -496,6 +626,16 @@ router.get('/exec-summary', checkPermission(['can_view_exec_dashboard', 'can_vie
         const projectIdsAsStrings = projectIds.map((id) => String(id));
         const taskStatsByProject = new Map();
         const taskActivityByProject = new Map();
+        const milestonesByProject = new Map();
+        let scheduleVarianceByProject = new Map();
+        let wipBreachesByProject = new Map();
+        let financialsByProject = new Map();
+        let raidSummaryByProject = new Map();
+        let upstreamRisksByProject = new Map();
+        let stageGatesByProject = new Map();
+        let riskTrendByProject = new Map();
+        let riskModelsByOrg = new Map();
+        let customFieldsByProject = new Map();
 
         if (projectIds.length > 0) {
             const { text: projectIdText, params: projectIdParams } = buildInClause('execProjectId', projectIds);
@@ -503,16 +643,18 @@ router.get('/exec-summary', checkPermission(['can_view_exec_dashboard', 'can_vie
             // 2c. Fetch task completion + risk stats for only scoped projects
             const taskStatsRequest = pool.request();
             addParams(taskStatsRequest, projectIdParams);
+            const category = taskStatusCategorySql('', await hasTaskWorkflowSchema(pool));
+            const binReady = await hasRecycleBinSchema(pool);
             const taskStatsResult = await taskStatsRequest.query(`
                 SELECT
                     projectId,
                     COUNT(*) AS taskCount,
-                    SUM(CASE WHEN status = 'done' THEN 1 ELSE 0 END) AS doneCount,
-                    SUM(CASE WHEN status = 'blocked' THEN 1 ELSE 0 END) AS blockedTasks,
-                    SUM(CASE WHEN status <> 'done' AND endDate < CAST(GETDATE() AS DATE) THEN 1 ELSE 0 END) AS overdueTasks,
-                    SUM(CASE WHEN status IN ('in-progress', 'review') THEN 1 ELSE 0 END) AS inFlightTasks
+                    SUM(CASE WHEN ${category} = 'done' THEN 1 ELSE 0 END) AS doneCount,
+                    SUM(CASE WHEN ${category} = 'blocked' THEN 1 ELSE 0 END) AS blockedTasks,
+                    SUM(CASE WHEN ${category} <> 'done' AND endDate < CAST(GETDATE() AS DATE) THEN 1 ELSE 0 END) AS overdueTasks,
+                    SUM(CASE WHEN ${category} = 'active' THEN 1 ELSE 0 END) AS inFlightTasks
                 FROM Tasks
-                WHERE projectId IN (${projectIdText})
+                WHERE projectId IN (${projectIdText}) AND ${notDeletedSql('', binReady)}
                 GROUP BY projectId
             `);
 
@@ -526,6 +668,35 @@ router.get('/exec-summary', checkPermission(['can_view_exec_dashboard', 'can_vie
                 });
             });
 
+            // 2d. Schedule variance against each project's latest baseline
+            scheduleVarianceByProject = await fetchScheduleVarianceByProject(pool, projectIds);
+            wipBreachesByProject = await fetchWipBreachesByProject(pool, projectIds);
+            financialsByProject = await fetchFinancialSummaryByProject(pool, projectIds);
+            raidSummaryByProject = await fetchRaidSummaryByProject(pool, projectIds);
+            upstreamRisksByProject = await fetchUpstreamRisksByProject(pool, projectIds);
+            stageGatesByProject = await fetchStageGateSummaryByProject(pool, projectIds);
+            riskTrendByProject = await fetchRiskTrendByProject(pool, projectIds);
+            riskModelsByOrg = await loadEffectiveRiskModels(pool, projectsResult.recordset.map((row) => row.orgId));
+            if (await hasCustomFieldSchema(pool)) {
+                customFieldsByProject = await loadCustomFieldValues(pool, 'project', projectIds);
+            }
+
+            // 2e. Fetch milestones so the summary can show the next checkpoint per project
+            if (await hasProjectMilestoneSchema(pool)) {
+                const milestoneRequest = pool.request();
+                addParams(milestoneRequest, projectIdParams);
+                const milestoneResult = await milestoneRequest.query(`
+                    SELECT *
+                    FROM ProjectMilestones
+                    WHERE projectId IN (${projectIdText})
+                `);
+                milestoneResult.recordset.forEach((row) => {
+                    const key = String(row.projectId);
+                    if (!milestonesByProject.has(key)) milestonesByProject.set(key, []);
+                    milestonesByProject.get(key).push(mapMilestoneRow(row));
+                });
+            }
+
             projectsResult.recordset.forEach((row) => {
                 if (row.lastActivityAt) {
                     taskActivityByProject.set(String(row.id), row.lastActivityAt);
@@ -569,7 +740,8 @@ router.get('/exec-summary', checkPermission(['can_view_exec_dashboard', 'can_vie
                         accomplishments: parsedData.accomplishments,
                         roadblocks: parsedData.roadblocks,
                         nextSteps: parsedData.nextSteps,
-                        risks: parsedData.risks
+                        risks: parsedData.risks,
+                        raidItemIds: parsedData.raidItemIds
                     };
                 } catch (e) {
                     console.error(`Error parsing report JSON for project ${p.id}:`, e);
@@ -586,6 +758,9 @@ router.get('/exec-summary', checkPermission(['can_view_exec_dashboard', 'can_vie
             const completion = taskStats.taskCount > 0
                 ? Math.round((taskStats.doneCount / taskStats.taskCount) * 100)
                 : 0;
+            const scheduleVariance = scheduleVarianceByProject.get(String(p.id)) || null;
+            const financials = financialsByProject.get(String(p.id)) || null;
+            const riskModel = riskModelsByOrg.get(String(p.orgId)) || null;
             const riskSignal = buildRiskSignalFromInputs({
                 taskStats: {
                     totalTasks: taskStats.taskCount,
@@ -595,8 +770,14 @@ router.get('/exec-summary', checkPermission(['can_view_exec_dashboard', 'can_vie
                 },
                 reportStatus: reportDetails?.overallStatus || 'unknown',
                 latestReportAt: p.reportDate || null,
-                lastTaskActivityAt: taskActivityByProject.get(String(p.id)) || null
-            });
+                lastTaskActivityAt: taskActivityByProject.get(String(p.id)) || null,
+                scheduleSlipDays: scheduleVariance?.slipDays || 0,
+                wipBreaches: wipBreachesByProject.get(String(p.id)) || [],
+                costVariancePct: financials?.variancePct ?? null,
+                upstreamRisks: upstreamRisksByProject.get(String(p.id)) || [],
+                onHold: normalizeProjectLifecycleState(p.lifecycleState) === PROJECT_LIFECYCLE_STATES.ON_HOLD
+            }, riskModel?.model);
+            riskSignal.modelVersion = describeRiskModelVersion(riskModel);
 
             return {
                 id: p.id.toString(),
@@ -605,16 +786,30 @@ router.get('/exec-summary', checkPermission(['can_view_exec_dashboard', 'can_vie
                 goalIds: goalsByProject[p.id] || [],
                 goalId: (goalsByProject[p.id] || [])[0] || null, // backwards compat
                 tags: tagsByProject[p.id] || [],
+                customFields: customFieldsByProject.get(String(p.id)) || {},
                 taskCount: taskStats.taskCount,
                 completedTaskCount: taskStats.doneCount,
                 completion,
                 reportCount: p.reportCount || 0,
                 report: reportDetails,
                 riskSignal,
+                riskTrend: summarizeRiskTrend(riskTrendByProject.get(String(p.id)) || [], riskSignal.score),
+                milestoneSummary: summarizeMilestones(milestonesByProject.get(String(p.id)) || []),
+                scheduleVariance,
+                financials: financials && {
+                    budget: financials.budget,
+                    forecast: financials.forecast,
+                    actual: financials.actual,
+                    variance: financials.variance,
+                    variancePct: financials.variancePct
+                },
+                raidSummary: raidSummaryByProject.get(String(p.id)) || null,
+                stageGate: stageGatesByProject.get(String(p.id)) || null,
                 isWatched: !!p.isWatched
             };
         });
 
+        await attachRaidItemsToReports(pool, summary.map((project) => project.report).filter(Boolean));
         res.json(summary);
     } catch (err) {
         handleError(res, 'fetching exec summary', err);
@@ -653,10 +848,11 @@ router.get('/', checkPermission(['can_view_projects', 'can_view_exec_dashboard']
         const lifecycleView = parseProjectLifecycleView(req.query.lifecycle);
         const { text: lifecycleText, params: lifecycleParams } = buildLifecycleInClause('lifecycle', getProjectLifecycleViewStates(lifecycleView));
         const watchedOnly = parseTruthyQueryFlag(req.query.watchedOnly);
+        const customFieldFilters = normalizeCustomFieldFilters(req.query.customFields);
         const viewerOid = getUserOidFromReq(req) || '__none__';
 
         // Check cache first
-        const cacheKey = `${CACHE_KEYS.PROJECT_PREFIX}${req.orgId ?? 'all'}_${viewerOid}_${watchedOnly ? 'watched' : 'all'}_${page}_${limit}_${search}_${projectId || ''}_${statuses.join('-')}_${goalIds.join('-')}_${tagIds.join('-')}_${ownershipFilters.join('-')}_${lifecycleView}`;
+        const cacheKey = `${CACHE_KEYS.PROJECT_PREFIX}${req.orgId ?? 'all'}_${viewerOid}_${watchedOnly ? 'watched' : 'all'}_${page}_${limit}_${search}_${projectId || ''}_${statuses.join('-')}_${goalIds.join('-')}_${tagIds.join('-')}_${ownershipFilters.join('-')}_${lifecycleView}_${JSON.stringify(customFieldFilters)}`;
         const cached = cache.get(cacheKey);
         if (cached) {
             return res.json(cached);
@@ -719,6 +915,17 @@ router.get('/', checkPermission(['can_view_projects', 'can_view_exec_dashboard']
         }
         conditions.push(`p.lifecycleState IN (${lifecycleText})`);
 
+        const customFieldsReady = await hasCustomFieldSchema(pool);
+        if (Object.keys(customFieldFilters).length > 0) {
+            if (!customFieldsReady) {
+                return res.status(409).json({ error: CUSTOM_FIELD_SCHEMA_MISSING_ERROR });
+            }
+            const { conditions: customFieldConditions, params } = buildCustomFieldFilterConditions(customFieldFilters);
+            conditions.push(...customFieldConditions);
+            Object.assign(requestParams, params);
+            Object.assign(countParams, params);
+        }
+
         let tagJoin = '';
         let statusJoin = '';
 
@@ -774,8 +981,11 @@ router.get('/', checkPermission(['can_view_projects', 'can_view_exec_dashboard']
         const totalPages = Math.ceil(totalProjects / limit);
 
         // Single optimized query with JOIN - fetch projects with pagination
+        const projectVersionColumn = await hasEditVersionSchema(pool, 'Projects') ? 'p.editVersion,' : '';
+        const holdColumns = projectHoldColumnsSql('p.', await hasProjectHoldSchema(pool));
         const query = `
             SELECT DISTINCT
+                ${projectVersionColumn}
                 p.id,
                 p.title,
                 p.description,
@@ -787,7 +997,7 @@ router.get('/', checkPermission(['can_view_projects', 'can_view_exec_dashboard']
                 p.archivedByOid,
                 p.archiveReason,
                 p.lastActivityAt,
-                p.retentionClass,
+                p.retentionClass${holdColumns},
                 p.createdAt,
                 CASE
                     WHEN @orgId IS NULL OR p.orgId = @orgId THEN 'owner'
@@ -846,9 +1056,12 @@ router.get('/', checkPermission(['can_view_projects', 'can_view_exec_dashboard']
         const projectTagsRequest = pool.request();
         addParams(projectTagsRequest, idParams);
 
+        const taskCategory = taskStatusCategorySql('', await hasTaskWorkflowSchema(pool));
+        const taskParentColumn = await hasSubtaskSchema(pool) ? ', parentTaskId' : '';
+        const liveTaskFilter = notDeletedSql('', await hasRecycleBinSchema(pool));
         const [tasksResult, reportsResult, latestReportsResult, projectTagsResult, projectGoalsResult] = await Promise.all([
             // Fetch only necessary task fields active tasks filtering
-            tasksRequest.query(`SELECT projectId, id, title, status, endDate, assigneeOid FROM Tasks WHERE projectId IN (${idInClause})`),
+            tasksRequest.query(`SELECT projectId, id, title, status, ${taskCategory} AS statusCategory, endDate, assigneeOid${taskParentColumn} FROM Tasks WHERE projectId IN (${idInClause}) AND ${liveTaskFilter}`),
             reportsRequest.query(`SELECT projectId, COUNT(*) as count FROM StatusReports WHERE projectId IN (${idInClause}) GROUP BY projectId`),
             // Fetch latest report for each project efficiently
             latestReportsRequest.query(`
@@ -917,22 +1130,24 @@ router.get('/', checkPermission(['can_view_projects', 'can_view_exec_dashboard']
             if (tasks.length === 0) {
                 completionMap.set(pid, 0);
             } else {
-                const doneCount = tasks.filter(t => t.status === 'done').length;
+                const doneCount = tasks.filter(t => t.statusCategory === 'done').length;
                 completionMap.set(pid, Math.round((doneCount / tasks.length) * 100));
             }
 
-            const doneCount = tasks.filter(t => t.status === 'done').length;
+            const doneCount = tasks.filter(t => t.statusCategory === 'done').length;
             completedCountMap.set(pid, doneCount);
 
             // Filter for active tasks (not done) to send to client for Dashboard lists
             const activeTasks = tasks
-                .filter(t => t.status !== 'done')
+                .filter(t => t.statusCategory !== 'done')
                 .map(t => ({
                     id: t.id,
                     title: t.title,
                     status: t.status,
+                    statusCategory: t.statusCategory,
                     endDate: t.endDate,
-                    assigneeOid: t.assigneeOid || null
+                    assigneeOid: t.assigneeOid || null,
+                    parentTaskId: t.parentTaskId ? String(t.parentTaskId) : null
                 }));
             activeTasksMap.set(pid, activeTasks);
         });
@@ -958,6 +1173,10 @@ router.get('/', checkPermission(['can_view_projects', 'can_view_exec_dashboard']
                 console.error('Error parsing report data:', e);
             }
         });
+        await attachRaidItemsToReports(pool, [...latestReportMap.values()]);
+        const customFieldValueMap = customFieldsReady
+            ? await loadCustomFieldValues(pool, 'project', projectIds)
+            : new Map();
 
         const projects = projectsResult.recordset.map(project => {
             const gIds = projectGoalMap.get(project.id) || [];
@@ -982,6 +1201,8 @@ router.get('/', checkPermission(['can_view_projects', 'can_view_exec_dashboard']
                 reportCount: reportCountMap.get(project.id) || 0,
                 latestReport: latestReportMap.get(String(project.id)) || null,
                 tags: projectTagMap.get(project.id) || [],
+                customFields: customFieldValueMap.get(String(project.id)) || {},
+                etag: formatEtag(project.editVersion),
                 accessLevel: project.accessLevel || 'owner',
                 hasWriteAccess: !!project.hasWriteAccess,
                 linkedGoalCount: goalContext.linkedGoalCount,
@@ -1025,9 +1246,10 @@ router.get('/watchlist', checkPermission(['can_view_projects', 'can_view_exec_da
             .input('viewerOid', sql.NVarChar(100), viewerOid)
             .input('orgId', sql.Int, req.orgId);
         addLifecycleParams(request, lifecycleParams);
+        const holdColumns = projectHoldColumnsSql('p.', await hasProjectHoldSchema(pool));
         const result = await request
             .query(`
-                SELECT p.id, p.title, p.description, p.status, p.createdAt, p.lifecycleState, p.completedAt, p.archivedAt, p.archivedByOid, p.archiveReason, p.lastActivityAt, p.retentionClass
+                SELECT p.id, p.title, p.description, p.status, p.createdAt, p.lifecycleState, p.completedAt, p.archivedAt, p.archivedByOid, p.archiveReason, p.lastActivityAt, p.retentionClass${holdColumns}
                 FROM ProjectWatchers pw
                 INNER JOIN Projects p ON p.id = pw.projectId
                 WHERE pw.userOid = @viewerOid
@@ -1061,6 +1283,20 @@ router.get('/watchlist', checkPermission(['can_view_projects', 'can_view_exec_da
     }
 });
 
+// Portfolio dependency graph: every dependency between projects visible to the caller
+router.get('/dependency-graph', checkPermission(['can_view_projects', 'can_view_exec_dashboard']), withSharedScope, async (req, res) => {
+    try {
+        const pool = await getPool();
+        if (!(await hasProjectDependencySchema(pool))) {
+            return res.json({ schemaReady: false, nodes: [], edges: [] });
+        }
+        const { nodes, edges } = await loadPortfolioDependencyGraph(pool, req.orgId);
+        return res.json({ schemaReady: true, nodes, edges });
+    } catch (err) {
+        handleError(res, 'fetching portfolio dependency graph', err);
+    }
+});
+
 // Add project to current user's watchlist
 router.post('/:id/watch', checkPermission(['can_view_projects', 'can_view_exec_dashboard']), withSharedScope, checkProjectWriteAccess(), async (req, res) => {
     try {
@@ -1172,7 +1408,11 @@ router.get('/:id', checkPermission('can_view_projects'), withSharedScope, checkP
             .query('SELECT goalId FROM ProjectGoals WHERE projectId = @projectId');
         const goalIds = goalsResult.recordset.map(r => r.goalId.toString());
 
-        // Fetch all tasks with assignee/checklist metadata
+        // Fetch all tasks with assignee/checklist metadata (and logged effort once time entries exist)
+        const timeEntriesReady = await hasTimeEntrySchema(pool);
+        const binReady = await hasRecycleBinSchema(pool);
+        const taskWorkflow = await loadProjectTaskWorkflow(pool, id);
+        const wipLimits = await loadProjectWipLimits(pool, id, { states: taskWorkflow.states });
         const tasksResult = await pool.request()
             .input('projectId', sql.Int, id)
             .query(`
@@ -1181,6 +1421,7 @@ router.get('/:id', checkPermission('can_view_projects'), withSharedScope, checkP
                     u.name AS assigneeName,
                     checklist.totalItems AS checklistTotal,
                     checklist.doneItems AS checklistDone
+                    ${timeEntriesReady ? ', effort.actualHours' : ''}
                 FROM Tasks t
                 LEFT JOIN Users u ON u.oid = t.assigneeOid
                 OUTER APPLY (
@@ -1188,9 +1429,15 @@ router.get('/:id', checkPermission('can_view_projects'), withSharedScope, checkP
                         COUNT(*) AS totalItems,
                         SUM(CASE WHEN i.isDone = 1 THEN 1 ELSE 0 END) AS doneItems
                     FROM TaskChecklistItems i
-                    WHERE i.taskId = t.id
+                    WHERE i.taskId = t.id AND ${notDeletedSql('i.', binReady)}
                 ) checklist
-                WHERE t.projectId = @projectId
+                ${timeEntriesReady ? `
+                OUTER APPLY (
+                    SELECT SUM(te.hours) AS actualHours
+                    FROM TaskTimeEntries te
+                    WHERE te.taskId = t.id
+                ) effort` : ''}
+                WHERE t.projectId = @projectId AND ${notDeletedSql('t.', binReady)}
             `);
 
         // Fetch report count
@@ -1218,6 +1465,7 @@ router.get('/:id', checkPermission('can_view_projects'), withSharedScope, checkP
             } catch (e) {
                 console.error("Failed to parse report data", e);
             }
+            if (latestReport) await attachRaidItemsToReports(pool, [latestReport]);
         }
 
         // Calculate completion
@@ -1225,6 +1473,7 @@ router.get('/:id', checkPermission('can_view_projects'), withSharedScope, checkP
             id: t.id.toString(),
             title: t.title,
             status: t.status,
+            statusCategory: t.statusCategory || getStatusCategory(t.status, taskWorkflow.states),
             priority: t.priority,
             description: t.description,
             startDate: t.startDate,
@@ -1233,12 +1482,66 @@ router.get('/:id', checkPermission('can_view_projects'), withSharedScope, checkP
             assigneeName: t.assigneeName || null,
             blockerNote: t.blockerNote || null,
             checklistTotal: Number(t.checklistTotal || 0),
-            checklistDone: Number(t.checklistDone || 0)
+            checklistDone: Number(t.checklistDone || 0),
+            estimatedHours: t.estimatedHours === null || t.estimatedHours === undefined ? null : Number(t.estimatedHours),
+            actualHours: Number(t.actualHours || 0),
+            parentTaskId: t.parentTaskId ? String(t.parentTaskId) : null,
+            etag: formatEtag(t.editVersion)
         }));
 
-        const doneCount = tasks.filter(t => t.status === 'done').length;
+        let dependencies = [];
+        if (await hasTaskDependencySchema(pool)) {
+            const dependencyResult = await pool.request()
+                .input('projectId', sql.Int, id)
+                .query(`
+                    SELECT d.id, d.predecessorTaskId, d.successorTaskId, d.dependencyType, d.lagDays
+                    FROM TaskDependencies d
+                    INNER JOIN Tasks p ON p.id = d.predecessorTaskId AND ${notDeletedSql('p.', binReady)}
+                    INNER JOIN Tasks s ON s.id = d.successorTaskId AND ${notDeletedSql('s.', binReady)}
+                    WHERE d.projectId = @projectId
+                    ORDER BY d.id ASC
+                `);
+            dependencies = dependencyResult.recordset.map((row) => ({
+                id: String(row.id),
+                predecessorTaskId: String(row.predecessorTaskId),
+                successorTaskId: String(row.successorTaskId),
+                dependencyType: row.dependencyType,
+                lagDays: Number(row.lagDays || 0)
+            }));
+        }
+
+        const milestones = await hasProjectMilestoneSchema(pool)
+            ? await fetchProjectMilestones(pool, id)
+            : [];
+
+        // Custom fields follow the owning organization's definitions.
+        const customFieldDefinitions = { project: [], task: [] };
+        let customFields = {};
+        let customFieldUsers = {};
+        if (await hasCustomFieldSchema(pool)) {
+            const definitions = await loadCustomFieldDefinitions(pool, project.orgId, { activeOnly: true });
+            customFieldDefinitions.project = definitions.filter((definition) => definition.entityType === 'project');
+            customFieldDefinitions.task = definitions.filter((definition) => definition.entityType === 'task');
+            customFields = (await loadCustomFieldValues(pool, 'project', [id])).get(String(id)) || {};
+            const taskValues = await loadCustomFieldValues(pool, 'task', tasks.map((task) => task.id));
+            tasks.forEach((task) => {
+                task.customFields = taskValues.get(task.id) || {};
+            });
+            customFieldUsers = await loadCustomFieldUserNames(pool, definitions, [
+                customFields,
+                ...tasks.map((task) => task.customFields)
+            ]);
+        }
+
+        const doneCount = tasks.filter(t => t.statusCategory === 'done').length;
         const completion = tasks.length > 0 ? Math.round((doneCount / tasks.length) * 100) : 0;
 
+        // Lineage only names the source project when the viewer's organization can still see it.
+        const clonedFrom = project.clonedFromProjectId
+            ? (await isProjectVisibleToOrg(pool, project.clonedFromProjectId, req.orgId ?? null))
+                || { id: String(project.clonedFromProjectId), title: null }
+            : null;
+
         let isWatched = false;
         if (viewerOid) {
             const watchResult = await pool.request()
@@ -1264,8 +1567,19 @@ router.get('/:id', checkPermission('can_view_projects'), withSharedScope, checkP
             createdAt: project.createdAt,
             completion,
             tasks,
+            dependencies,
+            milestones,
             reportCount: reportsResult.recordset[0].count,
             latestReport,
+            templateId: project.templateId ? String(project.templateId) : null,
+            statusReportDefaults: parseStatusReportDefaults(project.statusReportDefaults),
+            clonedFrom,
+            customFieldDefinitions,
+            customFields,
+            customFieldUsers,
+            taskWorkflow,
+            wipLimits,
+            etag: formatEtag(project.editVersion),
             accessLevel: req.projectAccess || 'owner',
             hasWriteAccess: !!req.hasWriteAccess,
             linkedGoalCount: goalContext.linkedGoalCount,
@@ -1279,6 +1593,27 @@ router.get('/:id', checkPermission('can_view_projects'), withSharedScope, checkP
     }
 });
 
+// Daily risk-score history for trend lines
+router.get('/:id/risk-history', checkPermission(['can_view_projects', 'can_view_exec_dashboard']), withSharedScope, checkProjectWriteAccess(), async (req, res) => {
+    try {
+        const projectId = Number.parseInt(req.params.id, 10);
+        if (Number.isNaN(projectId)) {
+            return res.status(400).json({ error: 'Invalid project id' });
+        }
+
+        const pool = await getPool();
+        if (!(await hasRiskSnapshotSchema(pool))) {
+            return res.json({ schemaReady: false, points: [] });
+        }
+
+        const days = normalizeRiskHistoryDays(req.query.days);
+        const points = await loadProjectRiskHistory(pool, projectId, days);
+        res.json({ schemaReady: true, days, points });
+    } catch (err) {
+        handleError(res, 'fetching project risk history', err);
+    }
+});
+
 // Benefits realization + predictive risk summary
 router.get('/:id/benefits-risk', checkPermission('can_view_projects'), withSharedScope, checkProjectWriteAccess(), async (req, res) => {
     try {
@@ -1289,6 +1624,7 @@ router.get('/:id/benefits-risk', checkPermission('can_view_projects'), withShare
 
         const pool = await getPool();
         const schemaReady = await hasProjectBenefitSchema(pool);
+        const binReady = await hasRecycleBinSchema(pool);
         const riskSignal = await buildProjectRiskSignal({ pool, projectId });
 
         let benefits = [];
@@ -1300,7 +1636,7 @@ router.get('/:id/benefits-risk', checkPermission('can_view_projects'), withShare
                         b.*,
                         k.name AS linkedKpiName
                     FROM ProjectBenefitRealization b
-                    LEFT JOIN KPIs k ON k.id = b.linkedKpiId
+                    LEFT JOIN KPIs k ON k.id = b.linkedKpiId AND ${notDeletedSql('k.', binReady)}
                     WHERE b.projectId = @projectId
                     ORDER BY
                         CASE b.status
@@ -1626,13 +1962,14 @@ router.put('/:id/benefits/:benefitId', checkPermission('can_edit_project'), with
             WHERE id = @benefitId AND projectId = @projectId
         `);
 
+        const binReady = await hasRecycleBinSchema(pool);
         const updated = await pool.request()
             .input('benefitId', sql.Int, benefitId)
             .input('projectId', sql.Int, projectId)
             .query(`
                 SELECT b.*, k.name AS linkedKpiName
                 FROM ProjectBenefitRealization b
-                LEFT JOIN KPIs k ON k.id = b.linkedKpiId
+                LEFT JOIN KPIs k ON k.id = b.linkedKpiId AND ${notDeletedSql('k.', binReady)}
                 WHERE b.id = @benefitId AND b.projectId = @projectId
             `);
 
@@ -1703,132 +2040,2201 @@ router.delete('/:id/benefits/:benefitId', checkPermission('can_edit_project'), w
     }
 });
 
-// Create project
-router.post('/', checkPermission('can_create_project'), async (req, res) => {
+// List project milestones
+router.get('/:id/milestones', checkPermission(['can_view_projects', 'can_view_exec_dashboard']), withSharedScope, checkProjectWriteAccess(), async (req, res) => {
     try {
-        const { title, description, status } = req.body;
-        const normalizedTitle = typeof title === 'string' ? title.trim() : '';
-        const normalizedStatus = String(status || 'active').trim().toLowerCase() || 'active';
-        if (!normalizedTitle) {
-            return res.status(400).json({ error: 'title is required' });
-        }
-        const { parsed: parsedGoalIds, invalid: invalidGoalIds } = parseGoalIdsFromBody(req.body);
-
-        if (invalidGoalIds.length > 0) {
-            return res.status(400).json({
-                error: `Invalid goal id(s): ${invalidGoalIds.join(', ')}`
-            });
+        const projectId = Number.parseInt(req.params.id, 10);
+        if (Number.isNaN(projectId)) {
+            return res.status(400).json({ error: 'Invalid project id' });
         }
 
         const pool = await getPool();
-        let ownerOrgId;
-        try {
-            ownerOrgId = resolveOwnedOrgId({
-                user: req.user,
-                requestedOrgId: req.body?.orgId,
-                missingUserOrgMessage: 'No organization assigned. Contact your administrator to create projects.',
-                adminOrgRequiredMessage: 'orgId is required for admin-created projects'
-            });
-            await ensureOrganizationExists(pool, ownerOrgId);
-        } catch (orgErr) {
-            const message = orgErr?.message || 'Unable to resolve project organization';
-            const statusCode = message.toLowerCase().includes('no organization assigned') ? 403 : 400;
-            return res.status(statusCode).json({ error: message });
+        const schemaReady = await hasProjectMilestoneSchema(pool);
+        const milestones = schemaReady ? await fetchProjectMilestones(pool, projectId) : [];
+        return res.json({ schemaReady, milestones });
+    } catch (err) {
+        handleError(res, 'fetching project milestones', err);
+    }
+});
+
+// Add project milestone
+router.post('/:id/milestones', checkPermission('can_edit_project'), withSharedScope, checkProjectWriteAccess(), requireProjectWriteAccess, async (req, res) => {
+    try {
+        const projectId = Number.parseInt(req.params.id, 10);
+        if (Number.isNaN(projectId)) {
+            return res.status(400).json({ error: 'Invalid project id' });
         }
 
-        const missingGoalIds = await findMissingGoalIds(pool, parsedGoalIds);
-        if (missingGoalIds.length > 0) {
-            return res.status(400).json({
-                error: `Goal id(s) not found: ${missingGoalIds.join(', ')}`
-            });
+        const name = typeof req.body?.name === 'string' ? req.body.name.trim() : '';
+        if (!name) {
+            return res.status(400).json({ error: 'name is required' });
+        }
+        if (name.length > MAX_MILESTONE_NAME_LENGTH) {
+            return res.status(400).json({ error: `name must be ${MAX_MILESTONE_NAME_LENGTH} characters or fewer` });
         }
 
-        // Validate hierarchy
-        if (parsedGoalIds.length > 1) {
-            const allGoals = await loadGoalsForValidation();
-            const validation = validateGoalAssignment(allGoals, parsedGoalIds);
-            if (!validation.valid) {
-                return res.status(400).json({ error: validation.error });
-            }
+        const status = normalizeMilestoneStatus(req.body?.status);
+        if (!status) {
+            return res.status(400).json({ error: `Invalid status. Allowed: ${Object.values(PROJECT_MILESTONE_STATUSES).join(', ')}` });
         }
 
-        const goalAccessGaps = await findGoalAccessGapsForOrg({
-            dbOrTx: pool,
-            goalIds: parsedGoalIds,
-            orgId: ownerOrgId
-        });
-        if (goalAccessGaps.length > 0) {
-            const goalTitles = goalAccessGaps.map((goal) => goal.title);
-            return res.status(409).json({
-                error: `Selected goals are not visible to the project organization: ${goalTitles.join(', ')}`
-            });
+        const plannedDate = toNullableDateOnly(req.body?.plannedDate);
+        if (!plannedDate) {
+            return res.status(400).json({ error: 'plannedDate must be a valid date' });
+        }
+        const forecastDate = toNullableDateOnly(req.body?.forecastDate);
+        if (req.body?.forecastDate && !forecastDate) {
+            return res.status(400).json({ error: 'forecastDate must be a valid date' });
+        }
+        let actualDate = toNullableDateOnly(req.body?.actualDate);
+        if (req.body?.actualDate && !actualDate) {
+            return res.status(400).json({ error: 'actualDate must be a valid date' });
+        }
+        if (status === PROJECT_MILESTONE_STATUSES.COMPLETE && !actualDate) {
+            actualDate = toNullableDateOnly(new Date());
         }
 
-        const lifecycleSeed = deriveProjectLifecycleFromStatus({
-            currentLifecycleState: PROJECT_LIFECYCLE_STATES.ACTIVE,
-            status: normalizedStatus,
-            completedAt: null
-        });
-        const now = new Date();
+        const pool = await getPool();
+        if (!(await hasProjectMilestoneSchema(pool))) {
+            return res.status(409).json({ error: PROJECT_MILESTONE_SCHEMA_MISSING_ERROR });
+        }
 
-        const result = await pool.request()
-            .input('title', sql.NVarChar, normalizedTitle)
-            .input('description', sql.NVarChar(sql.MAX), description)
-            .input('status', sql.NVarChar, normalizedStatus)
-            .input('orgId', sql.Int, ownerOrgId)
-            .input('lifecycleState', sql.NVarChar(20), lifecycleSeed.lifecycleState)
-            .input('completedAt', sql.DateTime2, lifecycleSeed.completedAt)
-            .input('lastActivityAt', sql.DateTime2, now)
-            .input('retentionClass', sql.NVarChar(40), 'confidential')
+        const user = getAuthUser(req);
+        const insert = await pool.request()
+            .input('projectId', sql.Int, projectId)
+            .input('name', sql.NVarChar(MAX_MILESTONE_NAME_LENGTH), name)
+            .input('description', sql.NVarChar(sql.MAX), req.body?.description || null)
+            .input('plannedDate', sql.Date, plannedDate)
+            .input('forecastDate', sql.Date, forecastDate || null)
+            .input('actualDate', sql.Date, actualDate || null)
+            .input('status', sql.NVarChar(20), status)
+            .input('userOid', sql.NVarChar(100), user?.oid || null)
             .query(`
-                INSERT INTO Projects (title, description, status, orgId, lifecycleState, completedAt, lastActivityAt, retentionClass)
-                OUTPUT INSERTED.id
-                VALUES (@title, @description, @status, @orgId, @lifecycleState, @completedAt, @lastActivityAt, @retentionClass)
+                INSERT INTO ProjectMilestones (
+                    projectId, name, description, plannedDate, forecastDate, actualDate, status, sortOrder, createdByOid, updatedByOid
+                )
+                OUTPUT INSERTED.*
+                VALUES (
+                    @projectId, @name, @description, @plannedDate, @forecastDate, @actualDate, @status,
+                    (SELECT ISNULL(MAX(sortOrder), 0) + 1 FROM ProjectMilestones WHERE projectId = @projectId),
+                    @userOid, @userOid
+                )
             `);
 
-        const newId = result.recordset[0].id;
-
-        // Insert goal associations
-        for (const gId of parsedGoalIds) {
-            await pool.request()
-                .input('projectId', sql.Int, newId)
-                .input('goalId', sql.Int, gId)
-                .query('INSERT INTO ProjectGoals (projectId, goalId) VALUES (@projectId, @goalId)');
-        }
-        await touchGoalActivity(pool, parsedGoalIds, now);
-
+        const milestone = mapMilestoneRow(insert.recordset[0]);
+        await touchProjectActivity(pool, projectId);
         invalidateProjectCache();
-        logAudit({ action: 'project.create', entityType: 'project', entityId: newId.toString(), entityTitle: normalizedTitle, user: getAuthUser(req), after: { title: normalizedTitle, description, status: normalizedStatus, lifecycleState: lifecycleSeed.lifecycleState, orgId: ownerOrgId, goalIds: parsedGoalIds }, req });
-        res.json({
-            id: newId.toString(),
-            title: normalizedTitle,
-            description,
-            status: normalizedStatus,
-            lifecycleState: lifecycleSeed.lifecycleState,
-            completedAt: lifecycleSeed.completedAt,
-            archivedAt: null,
-            archivedByOid: null,
-            archiveReason: null,
-            lastActivityAt: now,
-            retentionClass: 'confidential',
-            orgId: String(ownerOrgId),
-            goalIds: parsedGoalIds.map(String),
-            goalId: parsedGoalIds[0]?.toString() || null,
-            linkedGoalCount: parsedGoalIds.length,
-            visibleGoalCount: parsedGoalIds.length,
-            goalContextStatus: mapGoalContextStatus({ linkedGoalCount: parsedGoalIds.length, visibleGoalCount: parsedGoalIds.length }),
-            goalContextMissing: false,
-            accessLevel: 'owner',
-            hasWriteAccess: true,
-            tasks: [],
-            statusReports: []
+        logAudit({
+            action: 'project_milestone.create',
+            entityType: 'project_milestone',
+            entityId: milestone.id,
+            entityTitle: name,
+            user,
+            metadata: { projectId: String(projectId) },
+            after: { plannedDate, forecastDate, actualDate, status },
+            req
+        });
+
+        return res.json(milestone);
+    } catch (err) {
+        handleError(res, 'creating project milestone', err);
+    }
+});
+
+// Update project milestone
+router.put('/:id/milestones/:milestoneId', checkPermission('can_edit_project'), withSharedScope, checkProjectWriteAccess(), requireProjectWriteAccess, async (req, res) => {
+    try {
+        const projectId = Number.parseInt(req.params.id, 10);
+        const milestoneId = Number.parseInt(req.params.milestoneId, 10);
+        if (Number.isNaN(projectId) || Number.isNaN(milestoneId)) {
+            return res.status(400).json({ error: 'Invalid project or milestone id' });
+        }
+
+        const pool = await getPool();
+        if (!(await hasProjectMilestoneSchema(pool))) {
+            return res.status(409).json({ error: PROJECT_MILESTONE_SCHEMA_MISSING_ERROR });
+        }
+
+        const existingResult = await pool.request()
+            .input('milestoneId', sql.Int, milestoneId)
+            .input('projectId', sql.Int, projectId)
+            .query('SELECT * FROM ProjectMilestones WHERE id = @milestoneId AND projectId = @projectId');
+        const existing = existingResult.recordset[0];
+        if (!existing) {
+            return res.status(404).json({ error: 'Milestone not found' });
+        }
+
+        const updates = [];
+        const request = pool.request()
+            .input('milestoneId', sql.Int, milestoneId)
+            .input('projectId', sql.Int, projectId);
+
+        if (req.body?.name !== undefined) {
+            const name = String(req.body.name || '').trim();
+            if (!name) {
+                return res.status(400).json({ error: 'name cannot be empty' });
+            }
+            if (name.length > MAX_MILESTONE_NAME_LENGTH) {
+                return res.status(400).json({ error: `name must be ${MAX_MILESTONE_NAME_LENGTH} characters or fewer` });
+            }
+            request.input('name', sql.NVarChar(MAX_MILESTONE_NAME_LENGTH), name);
+            updates.push('name = @name');
+        }
+        if (req.body?.description !== undefined) {
+            request.input('description', sql.NVarChar(sql.MAX), req.body.description || null);
+            updates.push('description = @description');
+        }
+
+        let status = existing.status;
+        if (req.body?.status !== undefined) {
+            status = normalizeMilestoneStatus(req.body.status);
+            if (!status) {
+                return res.status(400).json({ error: `Invalid status. Allowed: ${Object.values(PROJECT_MILESTONE_STATUSES).join(', ')}` });
+            }
+            request.input('status', sql.NVarChar(20), status);
+            updates.push('status = @status');
+        }
+
+        if (req.body?.plannedDate !== undefined) {
+            const plannedDate = toNullableDateOnly(req.body.plannedDate);
+            if (!plannedDate) {
+                return res.status(400).json({ error: 'plannedDate must be a valid date' });
+            }
+            request.input('plannedDate', sql.Date, plannedDate);
+            updates.push('plannedDate = @plannedDate');
+        }
+        if (req.body?.forecastDate !== undefined) {
+            const forecastDate = toNullableDateOnly(req.body.forecastDate);
+            if (req.body.forecastDate && !forecastDate) {
+                return res.status(400).json({ error: 'forecastDate must be a valid date' });
+            }
+            request.input('forecastDate', sql.Date, forecastDate);
+            updates.push('forecastDate = @forecastDate');
+        }
+
+        let actualDate = req.body?.actualDate !== undefined
+            ? toNullableDateOnly(req.body.actualDate)
+            : toNullableDateOnly(existing.actualDate);
+        if (req.body?.actualDate && !actualDate) {
+            return res.status(400).json({ error: 'actualDate must be a valid date' });
+        }
+        // Completing a milestone without an explicit date records today as the actual date.
+        if (status === PROJECT_MILESTONE_STATUSES.COMPLETE && !actualDate) {
+            actualDate = toNullableDateOnly(new Date());
+        }
+        if (req.body?.actualDate !== undefined || actualDate !== toNullableDateOnly(existing.actualDate)) {
+            request.input('actualDate', sql.Date, actualDate);
+            updates.push('actualDate = @actualDate');
+        }
+
+        if (updates.length === 0) {
+            return res.status(400).json({ error: 'No changes provided' });
+        }
+
+        const user = getAuthUser(req);
+        request.input('updatedByOid', sql.NVarChar(100), user?.oid || null);
+        updates.push('updatedByOid = @updatedByOid');
+        updates.push('updatedAt = GETDATE()');
+
+        const updated = await request.query(`
+            UPDATE ProjectMilestones
+            SET ${updates.join(', ')}
+            OUTPUT INSERTED.*
+            WHERE id = @milestoneId AND projectId = @projectId
+        `);
+
+        const milestone = mapMilestoneRow(updated.recordset[0]);
+        await touchProjectActivity(pool, projectId);
+        invalidateProjectCache();
+        logAudit({
+            action: 'project_milestone.update',
+            entityType: 'project_milestone',
+            entityId: String(milestoneId),
+            entityTitle: milestone.name,
+            user,
+            metadata: { projectId: String(projectId) },
+            before: mapMilestoneRow(existing),
+            after: milestone,
+            req
+        });
+
+        return res.json(milestone);
+    } catch (err) {
+        handleError(res, 'updating project milestone', err);
+    }
+});
+
+// Delete project milestone
+router.delete('/:id/milestones/:milestoneId', checkPermission('can_edit_project'), withSharedScope, checkProjectWriteAccess(), requireProjectWriteAccess, async (req, res) => {
+    try {
+        const projectId = Number.parseInt(req.params.id, 10);
+        const milestoneId = Number.parseInt(req.params.milestoneId, 10);
+        if (Number.isNaN(projectId) || Number.isNaN(milestoneId)) {
+            return res.status(400).json({ error: 'Invalid project or milestone id' });
+        }
+
+        const pool = await getPool();
+        if (!(await hasProjectMilestoneSchema(pool))) {
+            return res.status(409).json({ error: PROJECT_MILESTONE_SCHEMA_MISSING_ERROR });
+        }
+
+        const deleted = await pool.request()
+            .input('milestoneId', sql.Int, milestoneId)
+            .input('projectId', sql.Int, projectId)
+            .query(`
+                DELETE FROM ProjectMilestones
+                OUTPUT DELETED.*
+                WHERE id = @milestoneId AND projectId = @projectId
+            `);
+        if (!deleted.recordset.length) {
+            return res.status(404).json({ error: 'Milestone not found' });
+        }
+
+        await touchProjectActivity(pool, projectId);
+        invalidateProjectCache();
+        logAudit({
+            action: 'project_milestone.delete',
+            entityType: 'project_milestone',
+            entityId: String(milestoneId),
+            entityTitle: deleted.recordset[0].name,
+            user: getAuthUser(req),
+            metadata: { projectId: String(projectId) },
+            before: mapMilestoneRow(deleted.recordset[0]),
+            req
+        });
+
+        return res.json({ success: true });
+    } catch (err) {
+        handleError(res, 'deleting project milestone', err);
+    }
+});
+
+// Budget lines with forecast and actuals, plus project totals
+router.get('/:id/financials', checkPermission(['can_view_projects', 'can_view_exec_dashboard']), withSharedScope, checkProjectWriteAccess(), async (req, res) => {
+    try {
+        const projectId = Number.parseInt(req.params.id, 10);
+        if (Number.isNaN(projectId)) {
+            return res.status(400).json({ error: 'Invalid project id' });
+        }
+
+        const pool = await getPool();
+        const schemaReady = await hasProjectFinancialSchema(pool);
+        const lines = schemaReady ? await loadProjectFinancialLines(pool, projectId) : [];
+        return res.json({ schemaReady, lines, summary: summarizeFinancialLines(lines) });
+    } catch (err) {
+        handleError(res, 'fetching project financials', err);
+    }
+});
+
+// Add budget line
+router.post('/:id/financials', checkPermission('can_edit_project'), withSharedScope, checkProjectWriteAccess(), requireProjectWriteAccess, async (req, res) => {
+    try {
+        const projectId = Number.parseInt(req.params.id, 10);
+        if (Number.isNaN(projectId)) {
+            return res.status(400).json({ error: 'Invalid project id' });
+        }
+        const input = normalizeFinancialLine(req.body || {});
+        if (input.error) {
+            return res.status(400).json({ error: input.error });
+        }
+
+        const pool = await getPool();
+        if (!(await hasProjectFinancialSchema(pool))) {
+            return res.status(409).json({ error: PROJECT_FINANCIAL_SCHEMA_MISSING_ERROR });
+        }
+
+        const { line } = input;
+        const user = getAuthUser(req);
+        const insert = await pool.request()
+            .input('projectId', sql.Int, projectId)
+            .input('fiscalYear', sql.Int, line.fiscalYear)
+            .input('costType', sql.NVarChar(20), line.costType)
+            .input('category', sql.NVarChar(100), line.category)
+            .input('budgetAmount', sql.Decimal(14, 2), line.budgetAmount)
+            .input('forecastAmount', sql.Decimal(14, 2), line.forecastAmount)
+            .input('actualAmount', sql.Decimal(14, 2), line.actualAmount)
+            .input('notes', sql.NVarChar(sql.MAX), line.notes)
+            .input('userOid', sql.NVarChar(100), user?.oid || null)
+            .query(`
+                INSERT INTO ProjectFinancialLines (
+                    projectId, fiscalYear, costType, category, budgetAmount, forecastAmount, actualAmount, notes, createdByOid, updatedByOid
+                )
+                OUTPUT INSERTED.*
+                VALUES (
+                    @projectId, @fiscalYear, @costType, @category, @budgetAmount, @forecastAmount, @actualAmount, @notes, @userOid, @userOid
+                )
+            `);
+
+        const saved = mapFinancialLineRow(insert.recordset[0]);
+        await touchProjectActivity(pool, projectId);
+        invalidateProjectCache();
+        logAudit({
+            action: 'project_financial.create',
+            entityType: 'project_financial',
+            entityId: saved.id,
+            entityTitle: describeFinancialLine(saved),
+            user,
+            metadata: { projectId: String(projectId) },
+            after: line,
+            req
+        });
+
+        return res.json(saved);
+    } catch (err) {
+        handleError(res, 'creating project budget line', err);
+    }
+});
+
+// Update budget line; omitted fields keep their current value
+router.put('/:id/financials/:lineId', checkPermission('can_edit_project'), withSharedScope, checkProjectWriteAccess(), requireProjectWriteAccess, async (req, res) => {
+    try {
+        const projectId = Number.parseInt(req.params.id, 10);
+        const lineId = Number.parseInt(req.params.lineId, 10);
+        if (Number.isNaN(projectId) || Number.isNaN(lineId)) {
+            return res.status(400).json({ error: 'Invalid project or budget line id' });
+        }
+
+        const pool = await getPool();
+        if (!(await hasProjectFinancialSchema(pool))) {
+            return res.status(409).json({ error: PROJECT_FINANCIAL_SCHEMA_MISSING_ERROR });
+        }
+
+        const existingResult = await pool.request()
+            .input('lineId', sql.Int, lineId)
+            .input('projectId', sql.Int, projectId)
+            .query('SELECT * FROM ProjectFinancialLines WHERE id = @lineId AND projectId = @projectId');
+        if (!existingResult.recordset.length) {
+            return res.status(404).json({ error: 'Budget line not found' });
+        }
+        const existing = mapFinancialLineRow(existingResult.recordset[0]);
+
+        const input = normalizeFinancialLine(req.body || {}, existing);
+        if (input.error) {
+            return res.status(400).json({ error: input.error });
+        }
+
+        const { line } = input;
+        const user = getAuthUser(req);
+        const updated = await pool.request()
+            .input('lineId', sql.Int, lineId)
+            .input('projectId', sql.Int, projectId)
+            .input('fiscalYear', sql.Int, line.fiscalYear)
+            .input('costType', sql.NVarChar(20), line.costType)
+            .input('category', sql.NVarChar(100), line.category)
+            .input('budgetAmount', sql.Decimal(14, 2), line.budgetAmount)
+            .input('forecastAmount', sql.Decimal(14, 2), line.forecastAmount)
+            .input('actualAmount', sql.Decimal(14, 2), line.actualAmount)
+            .input('notes', sql.NVarChar(sql.MAX), line.notes)
+            .input('userOid', sql.NVarChar(100), user?.oid || null)
+            .query(`
+                UPDATE ProjectFinancialLines
+                SET
+                    fiscalYear = @fiscalYear,
+                    costType = @costType,
+                    category = @category,
+                    budgetAmount = @budgetAmount,
+                    forecastAmount = @forecastAmount,
+                    actualAmount = @actualAmount,
+                    notes = @notes,
+                    updatedByOid = @userOid,
+                    updatedAt = GETDATE()
+                OUTPUT INSERTED.*
+                WHERE id = @lineId AND projectId = @projectId
+            `);
+
+        const saved = mapFinancialLineRow(updated.recordset[0]);
+        await touchProjectActivity(pool, projectId);
+        invalidateProjectCache();
+        logAudit({
+            action: 'project_financial.update',
+            entityType: 'project_financial',
+            entityId: saved.id,
+            entityTitle: describeFinancialLine(saved),
+            user,
+            metadata: { projectId: String(projectId) },
+            before: existing,
+            after: saved,
+            req
+        });
+
+        return res.json(saved);
+    } catch (err) {
+        handleError(res, 'updating project budget line', err);
+    }
+});
+
+// Delete budget line
+router.delete('/:id/financials/:lineId', checkPermission('can_edit_project'), withSharedScope, checkProjectWriteAccess(), requireProjectWriteAccess, async (req, res) => {
+    try {
+        const projectId = Number.parseInt(req.params.id, 10);
+        const lineId = Number.parseInt(req.params.lineId, 10);
+        if (Number.isNaN(projectId) || Number.isNaN(lineId)) {
+            return res.status(400).json({ error: 'Invalid project or budget line id' });
+        }
+
+        const pool = await getPool();
+        if (!(await hasProjectFinancialSchema(pool))) {
+            return res.status(409).json({ error: PROJECT_FINANCIAL_SCHEMA_MISSING_ERROR });
+        }
+
+        const deleted = await pool.request()
+            .input('lineId', sql.Int, lineId)
+            .input('projectId', sql.Int, projectId)
+            .query(`
+                DELETE FROM ProjectFinancialLines
+                OUTPUT DELETED.*
+                WHERE id = @lineId AND projectId = @projectId
+            `);
+        if (!deleted.recordset.length) {
+            return res.status(404).json({ error: 'Budget line not found' });
+        }
+
+        const removed = mapFinancialLineRow(deleted.recordset[0]);
+        await touchProjectActivity(pool, projectId);
+        invalidateProjectCache();
+        logAudit({
+            action: 'project_financial.delete',
+            entityType: 'project_financial',
+            entityId: removed.id,
+            entityTitle: describeFinancialLine(removed),
+            user: getAuthUser(req),
+            metadata: { projectId: String(projectId) },
+            before: removed,
+            req
+        });
+
+        return res.json({ success: true });
+    } catch (err) {
+        handleError(res, 'deleting project budget line', err);
+    }
+});
+
+// RAID register: risks, assumptions, issues and dependencies with scores and owners
+router.get('/:id/raid', checkPermission(['can_view_projects', 'can_view_exec_dashboard']), withSharedScope, checkProjectWriteAccess(), async (req, res) => {
+    try {
+        const projectId = Number.parseInt(req.params.id, 10);
+        if (Number.isNaN(projectId)) {
+            return res.status(400).json({ error: 'Invalid project id' });
+        }
+
+        const pool = await getPool();
+        const schemaReady = await hasRaidSchema(pool);
+        const items = schemaReady ? await loadProjectRaidItems(pool, projectId) : [];
+        return res.json({ schemaReady, items, summary: summarizeRaidItems(items) });
+    } catch (err) {
+        handleError(res, 'fetching project RAID register', err);
+    }
+});
+
+// Add RAID item; the first history row records its opening status and score
+router.post('/:id/raid', checkPermission('can_edit_project'), withSharedScope, checkProjectWriteAccess(), requireProjectWriteAccess, async (req, res) => {
+    try {
+        const projectId = Number.parseInt(req.params.id, 10);
+        if (Number.isNaN(projectId)) {
+            return res.status(400).json({ error: 'Invalid project id' });
+        }
+        const input = normalizeRaidItem(req.body || {});
+        if (input.error) {
+            return res.status(400).json({ error: input.error });
+        }
+
+        const pool = await getPool();
+        if (!(await hasRaidSchema(pool))) {
+            return res.status(409).json({ error: RAID_SCHEMA_MISSING_ERROR });
+        }
+        const ownerError = await validateRaidOwner(pool, input.item.ownerOid, req.orgId);
+        if (ownerError) {
+            return res.status(400).json(ownerError);
+        }
+
+        const { item } = input;
+        const user = getAuthUser(req);
+        const transaction = pool.transaction();
+        await transaction.begin();
+        let itemId;
+        try {
+            const insert = await transaction.request()
+                .input('projectId', sql.Int, projectId)
+                .input('type', sql.NVarChar(20), item.type)
+                .input('title', sql.NVarChar(255), item.title)
+                .input('description', sql.NVarChar(sql.MAX), item.description)
+                .input('ownerOid', sql.NVarChar(100), item.ownerOid)
+                .input('probability', sql.TinyInt, item.probability)
+                .input('impact', sql.TinyInt, item.impact)
+                .input('mitigation', sql.NVarChar(sql.MAX), item.mitigation)
+                .input('dueDate', sql.Date, item.dueDate)
+                .input('status', sql.NVarChar(20), item.status)
+                .input('userOid', sql.NVarChar(100), user?.oid || null)
+                .query(`
+                    INSERT INTO ProjectRaidItems (
+                        projectId, type, title, description, ownerOid, probability, impact, mitigation, dueDate, status,
+                        closedAt, createdByOid, updatedByOid
+                    )
+                    OUTPUT INSERTED.id
+                    VALUES (
+                        @projectId, @type, @title, @description, @ownerOid, @probability, @impact, @mitigation, @dueDate, @status,
+                        CASE WHEN @status IN ('resolved', 'closed') THEN GETDATE() ELSE NULL END, @userOid, @userOid
+                    )
+                `);
+            itemId = insert.recordset[0].id;
+            await recordRaidHistory(transaction, { raidItemId: itemId, item, note: 'Created', userOid: user?.oid || null });
+            await transaction.commit();
+        } catch (err) {
+            await transaction.rollback();
+            throw err;
+        }
+
+        const saved = await loadRaidItem(pool, projectId, itemId);
+        await touchProjectActivity(pool, projectId);
+        invalidateProjectCache();
+        logAudit({
+            action: 'project_raid.create',
+            entityType: 'project_raid',
+            entityId: saved.id,
+            entityTitle: saved.title,
+            user,
+            metadata: { projectId: String(projectId), type: saved.type },
+            after: item,
+            req
+        });
+
+        return res.json(saved);
+    } catch (err) {
+        handleError(res, 'creating RAID item', err);
+    }
+});
+
+// Update RAID item; omitted fields keep their current value. Status or score changes
+// append a history row, with an optional `note` explaining the change.
+router.put('/:id/raid/:itemId', checkPermission('can_edit_project'), withSharedScope, checkProjectWriteAccess(), requireProjectWriteAccess, async (req, res) => {
+    try {
+        const projectId = Number.parseInt(req.params.id, 10);
+        const itemId = Number.parseInt(req.params.itemId, 10);
+        if (Number.isNaN(projectId) || Number.isNaN(itemId)) {
+            return res.status(400).json({ error: 'Invalid project or RAID item id' });
+        }
+
+        const pool = await getPool();
+        if (!(await hasRaidSchema(pool))) {
+            return res.status(409).json({ error: RAID_SCHEMA_MISSING_ERROR });
+        }
+
+        const existing = await loadRaidItem(pool, projectId, itemId);
+        if (!existing) {
+            return res.status(404).json({ error: 'RAID item not found' });
+        }
+
+        const input = normalizeRaidItem(req.body || {}, existing);
+        if (input.error) {
+            return res.status(400).json({ error: input.error });
+        }
+        const { item } = input;
+        if (item.ownerOid !== existing.ownerOid) {
+            const ownerError = await validateRaidOwner(pool, item.ownerOid, req.orgId);
+            if (ownerError) {
+                return res.status(400).json(ownerError);
+            }
+        }
+
+        const note = typeof req.body?.note === 'string' ? req.body.note.trim().slice(0, 1000) : '';
+        const tracked = item.status !== existing.status
+            || item.probability !== existing.probability
+            || item.impact !== existing.impact;
+        const user = getAuthUser(req);
+        const transaction = pool.transaction();
+        await transaction.begin();
+        try {
+            await transaction.request()
+                .input('itemId', sql.Int, itemId)
+                .input('projectId', sql.Int, projectId)
+                .input('type', sql.NVarChar(20), item.type)
+                .input('title', sql.NVarChar(255), item.title)
+                .input('description', sql.NVarChar(sql.MAX), item.description)
+                .input('ownerOid', sql.NVarChar(100), item.ownerOid)
+                .input('probability', sql.TinyInt, item.probability)
+                .input('impact', sql.TinyInt, item.impact)
+                .input('mitigation', sql.NVarChar(sql.MAX), item.mitigation)
+                .input('dueDate', sql.Date, item.dueDate)
+                .input('status', sql.NVarChar(20), item.status)
+                .input('userOid', sql.NVarChar(100), user?.oid || null)
+                .query(`
+                    UPDATE ProjectRaidItems
+                    SET
+                        type = @type,
+                        title = @title,
+                        description = @description,
+                        ownerOid = @ownerOid,
+                        probability = @probability,
+                        impact = @impact,
+                        mitigation = @mitigation,
+                        dueDate = @dueDate,
+                        closedAt = CASE
+                            WHEN @status NOT IN ('resolved', 'closed') THEN NULL
+                            WHEN status IN ('resolved', 'closed') THEN closedAt
+                            ELSE GETDATE()
+                        END,
+                        status = @status,
+                        updatedByOid = @userOid,
+                        updatedAt = GETDATE()
+                    WHERE id = @itemId AND projectId = @projectId
+                `);
+            if (tracked) {
+                await recordRaidHistory(transaction, {
+                    raidItemId: itemId,
+                    fromStatus: existing.status,
+                    item,
+                    note: note || null,
+                    userOid: user?.oid || null
+                });
+            }
+            await transaction.commit();
+        } catch (err) {
+            await transaction.rollback();
+            throw err;
+        }
+
+        const saved = await loadRaidItem(pool, projectId, itemId);
+        await touchProjectActivity(pool, projectId);
+        invalidateProjectCache();
+        logAudit({
+            action: 'project_raid.update',
+            entityType: 'project_raid',
+            entityId: saved.id,
+            entityTitle: saved.title,
+            user,
+            metadata: { projectId: String(projectId), type: saved.type },
+            before: existing,
+            after: saved,
+            req
+        });
+
+        return res.json(saved);
+    } catch (err) {
+        handleError(res, 'updating RAID item', err);
+    }
+});
+
+// Status and score history for one RAID item, newest first
+router.get('/:id/raid/:itemId/history', checkPermission(['can_view_projects', 'can_view_exec_dashboard']), withSharedScope, checkProjectWriteAccess(), async (req, res) => {
+    try {
+        const projectId = Number.parseInt(req.params.id, 10);
+        const itemId = Number.parseInt(req.params.itemId, 10);
+        if (Number.isNaN(projectId) || Number.isNaN(itemId)) {
+            return res.status(400).json({ error: 'Invalid project or RAID item id' });
+        }
+
+        const pool = await getPool();
+        if (!(await hasRaidSchema(pool))) {
+            return res.status(409).json({ error: RAID_SCHEMA_MISSING_ERROR });
+        }
+        if (!(await loadRaidItem(pool, projectId, itemId))) {
+            return res.status(404).json({ error: 'RAID item not found' });
+        }
+
+        return res.json({ history: await loadRaidItemHistory(pool, itemId) });
+    } catch (err) {
+        handleError(res, 'fetching RAID item history', err);
+    }
+});
+
+// Delete RAID item; status reports that referenced it stop listing it
+router.delete('/:id/raid/:itemId', checkPermission('can_edit_project'), withSharedScope, checkProjectWriteAccess(), requireProjectWriteAccess, async (req, res) => {
+    try {
+        const projectId = Number.parseInt(req.params.id, 10);
+        const itemId = Number.parseInt(req.params.itemId, 10);
+        if (Number.isNaN(projectId) || Number.isNaN(itemId)) {
+            return res.status(400).json({ error: 'Invalid project or RAID item id' });
+        }
+
+        const pool = await getPool();
+        if (!(await hasRaidSchema(pool))) {
+            return res.status(409).json({ error: RAID_SCHEMA_MISSING_ERROR });
+        }
+
+        const deleted = await pool.request()
+            .input('itemId', sql.Int, itemId)
+            .input('projectId', sql.Int, projectId)
+            .query(`
+                DELETE FROM ProjectRaidItems
+                OUTPUT DELETED.*
+                WHERE id = @itemId AND projectId = @projectId
+            `);
+        if (!deleted.recordset.length) {
+            return res.status(404).json({ error: 'RAID item not found' });
+        }
+
+        const removed = mapRaidItemRow(deleted.recordset[0]);
+        await touchProjectActivity(pool, projectId);
+        invalidateProjectCache();
+        logAudit({
+            action: 'project_raid.delete',
+            entityType: 'project_raid',
+            entityId: removed.id,
+            entityTitle: removed.title,
+            user: getAuthUser(req),
+            metadata: { projectId: String(projectId), type: removed.type },
+            before: removed,
+            req
+        });
+
+        return res.json({ success: true });
+    } catch (err) {
+        handleError(res, 'deleting RAID item', err);
+    }
+});
+
+const loadProjectDependencyRow = async (pool, projectId, dependencyId) => {
+    const result = await pool.request()
+        .input('projectId', sql.Int, projectId)
+        .input('dependencyId', sql.Int, dependencyId)
+        .query(`
+            SELECT d.*, up.title AS upstreamTitle
+            FROM ProjectDependencies d
+            INNER JOIN Projects up ON up.id = d.upstreamProjectId
+            WHERE d.id = @dependencyId AND d.downstreamProjectId = @projectId
+        `);
+    return result.recordset[0] || null;
+};
+
+// Project dependencies in both directions: upstream projects this one waits on, and
+// downstream projects waiting on it, each with the reasons it is at risk
+router.get('/:id/dependencies', checkPermission(['can_view_projects', 'can_view_exec_dashboard']), withSharedScope, checkProjectWriteAccess(), async (req, res) => {
+    try {
+        const projectId = Number.parseInt(req.params.id, 10);
+        if (Number.isNaN(projectId)) {
+            return res.status(400).json({ error: 'Invalid project id' });
+        }
+
+        const pool = await getPool();
+        if (!(await hasProjectDependencySchema(pool))) {
+            return res.json({ schemaReady: false, upstream: [], downstream: [] });
+        }
+        const { upstream, downstream } = await loadProjectDependencies(pool, projectId, req.orgId);
+        return res.json({ schemaReady: true, upstream, downstream });
+    } catch (err) {
+        handleError(res, 'fetching project dependencies', err);
+    }
+});
+
+// Record that this project depends on `upstreamProjectId`. Edited from the downstream
+// side, so the upstream project's owners are not required to have write access.
+router.post('/:id/dependencies', checkPermission('can_edit_project'), withSharedScope, checkProjectWriteAccess(), requireProjectWriteAccess, async (req, res) => {
+    try {
+        const projectId = Number.parseInt(req.params.id, 10);
+        const upstreamProjectId = Number.parseInt(req.body?.upstreamProjectId, 10);
+        if (Number.isNaN(projectId)) {
+            return res.status(400).json({ error: 'Invalid project id' });
+        }
+        if (Number.isNaN(upstreamProjectId)) {
+            return res.status(400).json({ error: 'upstreamProjectId is required' });
+        }
+        if (upstreamProjectId === projectId) {
+            return res.status(400).json({ error: 'A project cannot depend on itself' });
+        }
+        const input = normalizeProjectDependency(req.body || {});
+        if (input.error) {
+            return res.status(400).json({ error: input.error });
+        }
+
+        const pool = await getPool();
+        if (!(await hasProjectDependencySchema(pool))) {
+            return res.status(409).json({ error: PROJECT_DEPENDENCY_SCHEMA_MISSING_ERROR });
+        }
+        const upstream = await isProjectVisibleToOrg(pool, upstreamProjectId, req.orgId);
+        if (!upstream) {
+            return res.status(404).json({ error: 'Upstream project not found' });
+        }
+
+        const existing = await pool.request().query('SELECT upstreamProjectId, downstreamProjectId FROM ProjectDependencies');
+        if (existing.recordset.some((row) => row.upstreamProjectId === upstreamProjectId && row.downstreamProjectId === projectId)) {
+            return res.status(409).json({ error: 'This dependency already exists' });
+        }
+        if (wouldCreateProjectDependencyCycle(existing.recordset, upstreamProjectId, projectId)) {
+            return res.status(400).json({ error: 'Dependency would create a cycle between projects' });
+        }
+
+        const { dependency } = input;
+        const user = getAuthUser(req);
+        const insert = await pool.request()
+            .input('upstreamProjectId', sql.Int, upstreamProjectId)
+            .input('downstreamProjectId', sql.Int, projectId)
+            .input('dependencyType', sql.NVarChar(20), dependency.dependencyType)
+            .input('neededByDate', sql.Date, dependency.neededByDate)
+            .input('note', sql.NVarChar(1000), dependency.note)
+            .input('userOid', sql.NVarChar(100), user?.oid || null)
+            .query(`
+                INSERT INTO ProjectDependencies (
+                    upstreamProjectId, downstreamProjectId, dependencyType, neededByDate, note, createdByOid, updatedByOid
+                )
+                OUTPUT INSERTED.*
+                VALUES (@upstreamProjectId, @downstreamProjectId, @dependencyType, @neededByDate, @note, @userOid, @userOid)
+            `);
+
+        const saved = mapProjectDependencyRow(insert.recordset[0]);
+        await touchProjectActivity(pool, projectId);
+        invalidateProjectCache();
+        logAudit({
+            action: 'project_dependency.create',
+            entityType: 'project_dependency',
+            entityId: saved.id,
+            entityTitle: upstream.title,
+            user,
+            metadata: { projectId: String(projectId), upstreamProjectId: saved.upstreamProjectId },
+            after: saved,
+            req
+        });
+
+        return res.json(saved);
+    } catch (err) {
+        handleError(res, 'creating project dependency', err);
+    }
+});
+
+// Update dependency type, needed-by date or note; omitted fields keep their current value
+router.put('/:id/dependencies/:dependencyId', checkPermission('can_edit_project'), withSharedScope, checkProjectWriteAccess(), requireProjectWriteAccess, async (req, res) => {
+    try {
+        const projectId = Number.parseInt(req.params.id, 10);
+        const dependencyId = Number.parseInt(req.params.dependencyId, 10);
+        if (Number.isNaN(projectId) || Number.isNaN(dependencyId)) {
+            return res.status(400).json({ error: 'Invalid project or dependency id' });
+        }
+
+        const pool = await getPool();
+        if (!(await hasProjectDependencySchema(pool))) {
+            return res.status(409).json({ error: PROJECT_DEPENDENCY_SCHEMA_MISSING_ERROR });
+        }
+        const row = await loadProjectDependencyRow(pool, projectId, dependencyId);
+        if (!row) {
+            return res.status(404).json({ error: 'Dependency not found' });
+        }
+
+        const existing = mapProjectDependencyRow(row);
+        const input = normalizeProjectDependency(req.body || {}, existing);
+        if (input.error) {
+            return res.status(400).json({ error: input.error });
+        }
+
+        const { dependency } = input;
+        const user = getAuthUser(req);
+        const update = await pool.request()
+            .input('dependencyId', sql.Int, dependencyId)
+            .input('dependencyType', sql.NVarChar(20), dependency.dependencyType)
+            .input('neededByDate', sql.Date, dependency.neededByDate)
+            .input('note', sql.NVarChar(1000), dependency.note)
+            .input('userOid', sql.NVarChar(100), user?.oid || null)
+            .query(`
+                UPDATE ProjectDependencies
+                SET
+                    dependencyType = @dependencyType,
+                    neededByDate = @neededByDate,
+                    note = @note,
+                    updatedByOid = @userOid,
+                    updatedAt = GETDATE()
+                OUTPUT INSERTED.*
+                WHERE id = @dependencyId
+            `);
+
+        const saved = mapProjectDependencyRow(update.recordset[0]);
+        await touchProjectActivity(pool, projectId);
+        invalidateProjectCache();
+        logAudit({
+            action: 'project_dependency.update',
+            entityType: 'project_dependency',
+            entityId: saved.id,
+            entityTitle: row.upstreamTitle,
+            user,
+            metadata: { projectId: String(projectId), upstreamProjectId: saved.upstreamProjectId },
+            before: existing,
+            after: saved,
+            req
+        });
+
+        return res.json(saved);
+    } catch (err) {
+        handleError(res, 'updating project dependency', err);
+    }
+});
+
+// Remove a dependency from the downstream project
+router.delete('/:id/dependencies/:dependencyId', checkPermission('can_edit_project'), withSharedScope, checkProjectWriteAccess(), requireProjectWriteAccess, async (req, res) => {
+    try {
+        const projectId = Number.parseInt(req.params.id, 10);
+        const dependencyId = Number.parseInt(req.params.dependencyId, 10);
+        if (Number.isNaN(projectId) || Number.isNaN(dependencyId)) {
+            return res.status(400).json({ error: 'Invalid project or dependency id' });
+        }
+
+        const pool = await getPool();
+        if (!(await hasProjectDependencySchema(pool))) {
+            return res.status(409).json({ error: PROJECT_DEPENDENCY_SCHEMA_MISSING_ERROR });
+        }
+        const row = await loadProjectDependencyRow(pool, projectId, dependencyId);
+        if (!row) {
+            return res.status(404).json({ error: 'Dependency not found' });
+        }
+
+        await pool.request()
+            .input('dependencyId', sql.Int, dependencyId)
+            .query('DELETE FROM ProjectDependencies WHERE id = @dependencyId');
+
+        const removed = mapProjectDependencyRow(row);
+        await touchProjectActivity(pool, projectId);
+        invalidateProjectCache();
+        logAudit({
+            action: 'project_dependency.delete',
+            entityType: 'project_dependency',
+            entityId: removed.id,
+            entityTitle: row.upstreamTitle,
+            user: getAuthUser(req),
+            metadata: { projectId: String(projectId), upstreamProjectId: removed.upstreamProjectId },
+            before: removed,
+            req
+        });
+
+        return res.json({ success: true });
+    } catch (err) {
+        handleError(res, 'deleting project dependency', err);
+    }
+});
+
+// ==================== STAGE GATES ====================
+
+const STAGE_GATE_NOT_STARTED_ERROR = 'This project has not entered the delivery lifecycle yet.';
+
+// Projects converted from intake default to the board that approved them.
+const loadIntakeBoardId = async (pool, projectId) => {
+    const result = await pool.request()
+        .input('projectId', sql.Int, projectId)
+        .query(`
+            SELECT TOP 1 f.governanceBoardId
+            FROM IntakeSubmissions s
+            INNER JOIN IntakeForms f ON f.id = s.formId
+            WHERE s.convertedProjectId = @projectId
+        `);
+    return result.recordset[0]?.governanceBoardId ?? null;
+};
+
+const respondWithStageGate = async (res, pool, projectId, viewerOid) => {
+    const [stageGate, reviews] = await Promise.all([
+        loadProjectStageGate(pool, projectId),
+        loadProjectGateReviews(pool, projectId, viewerOid)
+    ]);
+    return res.json({ schemaReady: true, stageGate, reviews });
+};
+
+router.get('/:id/stage-gate', checkPermission(['can_view_projects', 'can_view_exec_dashboard']), withSharedScope, checkProjectWriteAccess(), async (req, res) => {
+    try {
+        const projectId = Number.parseInt(req.params.id, 10);
+        if (Number.isNaN(projectId)) {
+            return res.status(400).json({ error: 'Invalid project id' });
+        }
+
+        const pool = await getPool();
+        if (!(await hasStageGateSchema(pool))) {
+            return res.json({ schemaReady: false, stageGate: null, reviews: [] });
+        }
+        return respondWithStageGate(res, pool, projectId, getAuthUser(req)?.oid);
+    } catch (err) {
+        handleError(res, 'fetching project stage gate', err);
+    }
+});
+
+// Projects created outside intake conversion opt into the lifecycle here.
+router.post('/:id/stage-gate', checkPermission('can_edit_project'), withSharedScope, checkProjectWriteAccess(), requireProjectWriteAccess, async (req, res) => {
+    try {
+        const projectId = Number.parseInt(req.params.id, 10);
+        if (Number.isNaN(projectId)) {
+            return res.status(400).json({ error: 'Invalid project id' });
+        }
+
+        const pool = await getPool();
+        if (!(await hasStageGateSchema(pool))) {
+            return res.status(409).json({ error: STAGE_GATE_SCHEMA_MISSING_ERROR });
+        }
+        if (await loadProjectStageGate(pool, projectId)) {
+            return res.status(409).json({ error: 'This project is already in the delivery lifecycle.' });
+        }
+
+        const projectResult = await pool.request()
+            .input('projectId', sql.Int, projectId)
+            .query('SELECT title, orgId FROM Projects WHERE id = @projectId');
+        const project = projectResult.recordset[0];
+        const user = getAuthUser(req);
+        const stageGate = await initializeProjectStageGate(pool, {
+            projectId,
+            orgId: project?.orgId,
+            fallbackBoardId: await loadIntakeBoardId(pool, projectId),
+            startedByOid: user?.oid || null
+        });
+
+        await touchProjectActivity(pool, projectId);
+        invalidateProjectCache();
+        logAudit({
+            action: 'project_stage_gate.start',
+            entityType: 'project',
+            entityId: String(projectId),
+            entityTitle: project?.title,
+            user,
+            after: { phase: stageGate.currentPhaseKey, boardId: stageGate.boardId },
+            req
+        });
+
+        return respondWithStageGate(res, pool, projectId, user?.oid);
+    } catch (err) {
+        handleError(res, 'starting project stage gate', err);
+    }
+});
+
+// Ticks apply to the current phase only and are frozen while its gate is in review.
+router.put('/:id/stage-gate/checklist', checkPermission('can_edit_project'), withSharedScope, checkProjectWriteAccess(), requireProjectWriteAccess, async (req, res) => {
+    try {
+        const projectId = Number.parseInt(req.params.id, 10);
+        if (Number.isNaN(projectId)) {
+            return res.status(400).json({ error: 'Invalid project id' });
+        }
+        if (!Array.isArray(req.body?.checkedIds)) {
+            return res.status(400).json({ error: 'checkedIds must be an array' });
+        }
+
+        const pool = await getPool();
+        if (!(await hasStageGateSchema(pool))) {
+            return res.status(409).json({ error: STAGE_GATE_SCHEMA_MISSING_ERROR });
+        }
+        const stageGate = await loadProjectStageGate(pool, projectId);
+        if (!stageGate) {
+            return res.status(409).json({ error: STAGE_GATE_NOT_STARTED_ERROR });
+        }
+        if (stageGate.completedAt) {
+            return res.status(409).json({ error: 'The delivery lifecycle is already closed.' });
+        }
+        const openReview = await pool.request()
+            .input('projectId', sql.Int, projectId)
+            .query("SELECT TOP 1 id FROM ProjectGateReviews WHERE projectId = @projectId AND status = 'in-review'");
+        if (openReview.recordset.length > 0) {
+            return res.status(409).json({ error: 'The checklist is locked while the gate is in review.' });
+        }
+
+        const phase = stageGate.phases[stageGate.phaseIndex];
+        const validIds = new Set(phase.checklist.map((item) => item.id));
+        const checkedIds = [...new Set(req.body.checkedIds.map(String))];
+        const unknown = checkedIds.filter((id) => !validIds.has(id));
+        if (unknown.length > 0) {
+            return res.status(400).json({ error: `Unknown checklist item(s) for ${phase.name}: ${unknown.join(', ')}` });
+        }
+
+        const checklist = { ...stageGate.checklist, [phase.key]: checkedIds };
+        await pool.request()
+            .input('projectId', sql.Int, projectId)
+            .input('checklist', sql.NVarChar(sql.MAX), JSON.stringify(checklist))
+            .query('UPDATE ProjectStageGates SET checklist = @checklist, updatedAt = GETDATE() WHERE projectId = @projectId');
+
+        await touchProjectActivity(pool, projectId);
+        logAudit({
+            action: 'project_stage_gate.checklist_update',
+            entityType: 'project',
+            entityId: String(projectId),
+            entityTitle: phase.name,
+            user: getAuthUser(req),
+            before: { checkedIds: stageGate.checklist[phase.key] || [] },
+            after: { checkedIds },
+            metadata: { phaseKey: phase.key },
+            req
+        });
+
+        return respondWithStageGate(res, pool, projectId, getAuthUser(req)?.oid);
+    } catch (err) {
+        handleError(res, 'updating stage-gate checklist', err);
+    }
+});
+
+// Open a gate review for the current phase. Like intake governance, the board's active
+// members and its quorum policy are snapshotted so later membership changes do not apply.
+router.post('/:id/stage-gate/reviews', checkPermission('can_edit_project'), withSharedScope, checkProjectWriteAccess(), requireProjectWriteAccess, governanceRoutingLimiter, async (req, res) => {
+    try {
+        const projectId = Number.parseInt(req.params.id, 10);
+        if (Number.isNaN(projectId)) {
+            return res.status(400).json({ error: 'Invalid project id' });
+        }
+
+        const pool = await getPool();
+        if (!(await hasStageGateSchema(pool))) {
+            return res.status(409).json({ error: STAGE_GATE_SCHEMA_MISSING_ERROR });
+        }
+        const stageGate = await loadProjectStageGate(pool, projectId);
+        if (!stageGate) {
+            return res.status(409).json({ error: STAGE_GATE_NOT_STARTED_ERROR });
+        }
+        if (stageGate.completedAt) {
+            return res.status(409).json({ error: 'The delivery lifecycle is already closed.' });
+        }
+        if (!stageGate.checklistProgress.complete) {
+            return res.status(409).json({
+                error: `Complete the ${stageGate.currentPhaseName} checklist before requesting a gate review (${stageGate.checklistProgress.checkedCount}/${stageGate.checklistProgress.total}).`
+            });
+        }
+        const openReview = await pool.request()
+            .input('projectId', sql.Int, projectId)
+            .query("SELECT TOP 1 id FROM ProjectGateReviews WHERE projectId = @projectId AND status = 'in-review'");
+        if (openReview.recordset.length > 0) {
+            return res.status(409).json({ error: 'A gate review is already in progress for this project.' });
+        }
+
+        let boardId = stageGate.boardId === null ? null : Number(stageGate.boardId);
+        if (boardId === null) {
+            const projectResult = await pool.request()
+                .input('projectId', sql.Int, projectId)
+                .query('SELECT orgId FROM Projects WHERE id = @projectId');
+            const model = await loadOrgStageGateModel(pool, projectResult.recordset[0]?.orgId, { schemaReady: true });
+            boardId = model.boardId === null ? null : Number(model.boardId);
+        }
+        if (boardId === null) {
+            return res.status(409).json({
+                error: 'No governance board reviews gates for this project. Assign one on the organization stage-gate model.'
+            });
+        }
+        const participants = await loadActiveBoardMembers(pool, boardId);
+        if (participants.length === 0) {
+            return res.status(409).json({ error: 'No active governance members on this board.' });
+        }
+
+        const policy = await fetchGovernancePolicySettings(pool, boardId);
+        const voteDeadlineAt = policy.voteWindowDays
+            ? new Date(Date.now() + (policy.voteWindowDays * 24 * 60 * 60 * 1000))
+            : null;
+        const phase = stageGate.phases[stageGate.phaseIndex];
+        const nextPhase = getNextPhase(stageGate.phases, phase.key);
+        const user = getAuthUser(req);
+
+        const tx = pool.transaction();
+        await tx.begin();
+        let reviewId;
+        try {
+            const insert = await tx.request()
+                .input('projectId', sql.Int, projectId)
+                .input('phaseKey', sql.NVarChar(30), phase.key)
+                .input('toPhaseKey', sql.NVarChar(30), nextPhase?.key || null)
+                .input('boardId', sql.Int, boardId)
+                .input('policySnapshotJson', sql.NVarChar(sql.MAX), JSON.stringify(policy))
+                .input('checklistSnapshotJson', sql.NVarChar(sql.MAX), JSON.stringify({
+                    criteria: phase.criteria,
+                    checklist: phase.checklist,
+                    checkedIds: stageGate.checklist[phase.key] || []
+                }))
+                .input('voteDeadlineAt', sql.DateTime2, voteDeadlineAt)
+                .input('requestedByOid', sql.NVarChar(100), user?.oid || null)
+                .query(`
+                    INSERT INTO ProjectGateReviews (
+                        projectId, phaseKey, toPhaseKey, boardId, status,
+                        policySnapshotJson, checklistSnapshotJson, voteDeadlineAt, requestedByOid
+                    )
+                    OUTPUT INSERTED.id
+                    VALUES (
+                        @projectId, @phaseKey, @toPhaseKey, @boardId, 'in-review',
+                        @policySnapshotJson, @checklistSnapshotJson, @voteDeadlineAt, @requestedByOid
+                    )
+                `);
+            reviewId = insert.recordset[0].id;
+
+            for (const participant of participants) {
+                await tx.request()
+                    .input('reviewId', sql.Int, reviewId)
+                    .input('userOid', sql.NVarChar(100), participant.userOid)
+                    .input('participantRole', sql.NVarChar(20), participant.role || 'member')
+                    .query(`
+                        INSERT INTO ProjectGateReviewParticipants (reviewId, userOid, participantRole, isEligibleVoter)
+                        VALUES (@reviewId, @userOid, @participantRole, 1)
+                    `);
+            }
+
+            if (stageGate.boardId === null) {
+                await tx.request()
+                    .input('projectId', sql.Int, projectId)
+                    .input('boardId', sql.Int, boardId)
+                    .query('UPDATE ProjectStageGates SET boardId = @boardId, updatedAt = GETDATE() WHERE projectId = @projectId');
+            }
+            await tx.commit();
+        } catch (txErr) {
+            await tx.rollback();
+            throw txErr;
+        }
+
+        await touchProjectActivity(pool, projectId);
+        invalidateProjectCache();
+        logAudit({
+            action: 'project_stage_gate.review_request',
+            entityType: 'project',
+            entityId: String(projectId),
+            entityTitle: phase.name,
+            user,
+            after: {
+                reviewId: String(reviewId),
+                phaseKey: phase.key,
+                toPhaseKey: nextPhase?.key || null,
+                boardId: String(boardId),
+                participantCount: participants.length,
+                policy,
+                voteDeadlineAt
+            },
+            req
+        });
+
+        return respondWithStageGate(res, pool, projectId, user?.oid);
+    } catch (err) {
+        handleError(res, 'requesting gate review', err);
+    }
+});
+
+// Board members vote on the gate; access comes from the review's participant snapshot,
+// as with intake governance votes, rather than from project org scope.
+router.post('/:id/stage-gate/reviews/:reviewId/votes', checkPermission('can_vote_governance'), governanceVoteLimiter, async (req, res) => {
+    try {
+        const projectId = Number.parseInt(req.params.id, 10);
+        const reviewId = Number.parseInt(req.params.reviewId, 10);
+        if (Number.isNaN(projectId) || Number.isNaN(reviewId)) {
+            return res.status(400).json({ error: 'Invalid project or review id' });
+        }
+        const vote = String(req.body?.vote || '').trim();
+        if (!Object.values(GATE_VOTES).includes(vote)) {
+            return res.status(400).json({ error: `vote must be one of: ${Object.values(GATE_VOTES).join(', ')}` });
+        }
+        const comment = typeof req.body?.comment === 'string' ? req.body.comment.trim().slice(0, 2000) || null : null;
+
+        const pool = await getPool();
+        if (!(await hasStageGateSchema(pool))) {
+            return res.status(409).json({ error: STAGE_GATE_SCHEMA_MISSING_ERROR });
+        }
+        const review = await loadGateReview(pool, projectId, reviewId);
+        if (!review) {
+            return res.status(404).json({ error: 'Gate review not found' });
+        }
+        if (review.status !== 'in-review') {
+            return res.status(409).json({ error: 'Gate review is not open for voting.' });
+        }
+        if (review.voteDeadlineAt && new Date(review.voteDeadlineAt).getTime() < Date.now()) {
+            return res.status(409).json({ error: 'Voting window has closed for this review.' });
+        }
+        const user = getAuthUser(req);
+        const participant = await loadGateReviewParticipant(pool, reviewId, user?.oid);
+        if (!participant?.isEligibleVoter) {
+            return res.status(403).json({ error: 'User is not an eligible voter for this review.' });
+        }
+
+        await pool.request()
+            .input('reviewId', sql.Int, reviewId)
+            .input('voterUserOid', sql.NVarChar(100), user.oid)
+            .input('vote', sql.NVarChar(20), vote)
+            .input('comment', sql.NVarChar(2000), comment)
+            .query(`
+                MERGE ProjectGateVotes AS target
+                USING (SELECT @reviewId AS reviewId, @voterUserOid AS voterUserOid) AS source
+                ON target.reviewId = source.reviewId AND target.voterUserOid = source.voterUserOid
+                WHEN MATCHED THEN
+                    UPDATE SET vote = @vote, comment = @comment, updatedAt = GETDATE()
+                WHEN NOT MATCHED THEN
+                    INSERT (reviewId, voterUserOid, vote, comment)
+                    VALUES (@reviewId, @voterUserOid, @vote, @comment);
+            `);
+
+        const tally = await loadGateReviewTally(pool, review);
+        logAudit({
+            action: 'project_stage_gate.vote',
+            entityType: 'project',
+            entityId: String(projectId),
+            entityTitle: review.phaseKey,
+            user,
+            after: { reviewId: review.id, vote, voteCount: tally.voteCount, requiredVotes: tally.requiredVotes },
+            req
+        });
+
+        return res.json({ success: true, reviewId: review.id, ...tally });
+    } catch (err) {
+        handleError(res, 'submitting gate vote', err);
+    }
+});
+
+// The board chair records the gate decision. Approval moves the project to the next phase,
+// or closes the lifecycle when the final phase is approved.
+router.post('/:id/stage-gate/reviews/:reviewId/decide', checkPermission('can_decide_governance'), governanceDecisionLimiter, async (req, res) => {
+    try {
+        const projectId = Number.parseInt(req.params.id, 10);
+        const reviewId = Number.parseInt(req.params.reviewId, 10);
+        if (Number.isNaN(projectId) || Number.isNaN(reviewId)) {
+            return res.status(400).json({ error: 'Invalid project or review id' });
+        }
+        const decision = String(req.body?.decision || '').trim();
+        if (!Object.values(GATE_DECISIONS).includes(decision)) {
+            return res.status(400).json({ error: `decision must be one of: ${Object.values(GATE_DECISIONS).join(', ')}` });
+        }
+        const decisionReason = typeof req.body?.decisionReason === 'string' ? req.body.decisionReason.trim() || null : null;
+
+        const pool = await getPool();
+        if (!(await hasStageGateSchema(pool))) {
+            return res.status(409).json({ error: STAGE_GATE_SCHEMA_MISSING_ERROR });
+        }
+        const review = await loadGateReview(pool, projectId, reviewId);
+        if (!review) {
+            return res.status(404).json({ error: 'Gate review not found' });
+        }
+        if (review.status !== 'in-review') {
+            return res.status(409).json({ error: 'Gate review is not open.' });
+        }
+        const user = getAuthUser(req);
+        const participant = await loadGateReviewParticipant(pool, reviewId, user?.oid);
+        if (participant?.participantRole !== 'chair' || !participant?.isEligibleVoter) {
+            return res.status(403).json({ error: 'Only the governance chair for this review can record a gate decision.' });
+        }
+
+        const tally = await loadGateReviewTally(pool, review);
+        const policy = review.policy || (await fetchGovernancePolicySettings(pool, review.boardId));
+        if (policy.decisionRequiresQuorum && !tally.quorumMet) {
+            return res.status(409).json({
+                error: `Quorum not met. ${tally.voteCount}/${tally.requiredVotes} votes received.`,
+                quorum: {
+                    requiredVotes: tally.requiredVotes,
+                    voteCount: tally.voteCount,
+                    quorumMet: tally.quorumMet,
+                    policy
+                }
+            });
+        }
+
+        const tx = pool.transaction();
+        await tx.begin();
+        try {
+            await tx.request()
+                .input('reviewId', sql.Int, reviewId)
+                .input('decision', sql.NVarChar(20), decision)
+                .input('decisionReason', sql.NVarChar(sql.MAX), decisionReason)
+                .input('decidedByOid', sql.NVarChar(100), user.oid)
+                .query(`
+                    UPDATE ProjectGateReviews
+                    SET status = 'decided',
+                        decision = @decision,
+                        decisionReason = @decisionReason,
+                        decidedAt = GETDATE(),
+                        decidedByOid = @decidedByOid
+                    WHERE id = @reviewId
+                `);
+
+            if (decision === GATE_DECISIONS.APPROVED) {
+                await tx.request()
+                    .input('projectId', sql.Int, projectId)
+                    .input('toPhaseKey', sql.NVarChar(30), review.toPhaseKey)
+                    .query(review.toPhaseKey
+                        ? `UPDATE ProjectStageGates
+                           SET currentPhaseKey = @toPhaseKey, phaseStartedAt = GETDATE(), updatedAt = GETDATE()
+                           WHERE projectId = @projectId`
+                        : `UPDATE ProjectStageGates
+                           SET completedAt = GETDATE(), updatedAt = GETDATE()
+                           WHERE projectId = @projectId`);
+            }
+            await tx.commit();
+        } catch (txErr) {
+            await tx.rollback();
+            throw txErr;
+        }
+
+        await touchProjectActivity(pool, projectId);
+        invalidateProjectCache();
+        logAudit({
+            action: 'project_stage_gate.decide',
+            entityType: 'project',
+            entityId: String(projectId),
+            entityTitle: review.phaseKey,
+            user,
+            after: {
+                reviewId: review.id,
+                decision,
+                decisionReason,
+                fromPhaseKey: review.phaseKey,
+                toPhaseKey: decision === GATE_DECISIONS.APPROVED ? review.toPhaseKey : review.phaseKey,
+                voteCount: tally.voteCount,
+                requiredVotes: tally.requiredVotes
+            },
+            req
+        });
+
+        return res.json({ success: true, reviewId: review.id, decision, ...tally });
+    } catch (err) {
+        handleError(res, 'recording gate decision', err);
+    }
+});
+
+router.post('/:id/stage-gate/reviews/:reviewId/cancel', checkPermission('can_edit_project'), withSharedScope, checkProjectWriteAccess(), requireProjectWriteAccess, async (req, res) => {
+    try {
+        const projectId = Number.parseInt(req.params.id, 10);
+        const reviewId = Number.parseInt(req.params.reviewId, 10);
+        if (Number.isNaN(projectId) || Number.isNaN(reviewId)) {
+            return res.status(400).json({ error: 'Invalid project or review id' });
+        }
+
+        const pool = await getPool();
+        if (!(await hasStageGateSchema(pool))) {
+            return res.status(409).json({ error: STAGE_GATE_SCHEMA_MISSING_ERROR });
+        }
+        const review = await loadGateReview(pool, projectId, reviewId);
+        if (!review) {
+            return res.status(404).json({ error: 'Gate review not found' });
+        }
+        if (review.status !== 'in-review') {
+            return res.status(409).json({ error: 'Only open gate reviews can be cancelled.' });
+        }
+
+        const user = getAuthUser(req);
+        await pool.request()
+            .input('reviewId', sql.Int, reviewId)
+            .input('userOid', sql.NVarChar(100), user?.oid || null)
+            .query(`
+                UPDATE ProjectGateReviews
+                SET status = 'cancelled', decidedAt = GETDATE(), decidedByOid = @userOid
+                WHERE id = @reviewId
+            `);
+
+        invalidateProjectCache();
+        logAudit({
+            action: 'project_stage_gate.review_cancel',
+            entityType: 'project',
+            entityId: String(projectId),
+            entityTitle: review.phaseKey,
+            user,
+            after: { reviewId: review.id },
+            req
+        });
+
+        return respondWithStageGate(res, pool, projectId, user?.oid);
+    } catch (err) {
+        handleError(res, 'cancelling gate review', err);
+    }
+});
+
+// List schedule baselines (newest first) with variance against the latest one
+router.get('/:id/baselines', checkPermission('can_view_projects'), withSharedScope, checkProjectWriteAccess(), async (req, res) => {
+    try {
+        const projectId = Number.parseInt(req.params.id, 10);
+        if (Number.isNaN(projectId)) {
+            return res.status(400).json({ error: 'Invalid project id' });
+        }
+
+        const pool = await getPool();
+        if (!(await hasScheduleBaselineSchema(pool))) {
+            return res.json({ schemaReady: false, baselines: [], scheduleVariance: null });
+        }
+
+        const result = await pool.request()
+            .input('projectId', sql.Int, projectId)
+            .query(`
+                SELECT
+                    b.*,
+                    u.name AS capturedByName,
+                    (SELECT COUNT(*) FROM ProjectBaselineItems i WHERE i.baselineId = b.id) AS itemCount
+                FROM ProjectBaselines b
+                LEFT JOIN Users u ON u.oid = b.capturedByOid
+                WHERE b.projectId = @projectId
+                ORDER BY b.capturedAt DESC, b.id DESC
+            `);
+        const varianceMap = await fetchScheduleVarianceByProject(pool, [projectId]);
+
+        return res.json({
+            schemaReady: true,
+            baselines: result.recordset.map(mapBaselineRow),
+            scheduleVariance: varianceMap.get(String(projectId)) || null
+        });
+    } catch (err) {
+        handleError(res, 'fetching schedule baselines', err);
+    }
+});
+
+// Baseline detail with captured task/milestone dates
+router.get('/:id/baselines/:baselineId', checkPermission('can_view_projects'), withSharedScope, checkProjectWriteAccess(), async (req, res) => {
+    try {
+        const projectId = Number.parseInt(req.params.id, 10);
+        const baselineId = Number.parseInt(req.params.baselineId, 10);
+        if (Number.isNaN(projectId) || Number.isNaN(baselineId)) {
+            return res.status(400).json({ error: 'Invalid project or baseline id' });
+        }
+
+        const pool = await getPool();
+        if (!(await hasScheduleBaselineSchema(pool))) {
+            return res.status(409).json({ error: SCHEDULE_BASELINE_SCHEMA_MISSING_ERROR });
+        }
+
+        const baselineResult = await pool.request()
+            .input('projectId', sql.Int, projectId)
+            .input('baselineId', sql.Int, baselineId)
+            .query(`
+                SELECT b.*, u.name AS capturedByName
+                FROM ProjectBaselines b
+                LEFT JOIN Users u ON u.oid = b.capturedByOid
+                WHERE b.id = @baselineId AND b.projectId = @projectId
+            `);
+        if (!baselineResult.recordset.length) {
+            return res.status(404).json({ error: 'Baseline not found' });
+        }
+
+        const itemsResult = await pool.request()
+            .input('baselineId', sql.Int, baselineId)
+            .query(`
+                SELECT itemType, itemId, title, startDate, endDate
+                FROM ProjectBaselineItems
+                WHERE baselineId = @baselineId
+                ORDER BY startDate ASC, id ASC
+            `);
+        const items = itemsResult.recordset.map(mapBaselineItemRow);
+
+        return res.json({
+            ...mapBaselineRow({ ...baselineResult.recordset[0], itemCount: items.length }),
+            items
+        });
+    } catch (err) {
+        handleError(res, 'fetching schedule baseline', err);
+    }
+});
+
+// Capture a named baseline of the current task and milestone dates
+router.post('/:id/baselines', checkPermission('can_edit_project'), withSharedScope, checkProjectWriteAccess(), requireProjectWriteAccess, async (req, res) => {
+    try {
+        const projectId = Number.parseInt(req.params.id, 10);
+        if (Number.isNaN(projectId)) {
+            return res.status(400).json({ error: 'Invalid project id' });
+        }
+
+        const name = typeof req.body?.name === 'string' ? req.body.name.trim() : '';
+        if (!name) {
+            return res.status(400).json({ error: 'name is required' });
+        }
+        if (name.length > MAX_BASELINE_NAME_LENGTH) {
+            return res.status(400).json({ error: `name must be ${MAX_BASELINE_NAME_LENGTH} characters or fewer` });
+        }
+        const note = typeof req.body?.note === 'string' ? req.body.note.trim().slice(0, 500) : '';
+
+        const pool = await getPool();
+        if (!(await hasScheduleBaselineSchema(pool))) {
+            return res.status(409).json({ error: SCHEDULE_BASELINE_SCHEMA_MISSING_ERROR });
+        }
+
+        const user = getAuthUser(req);
+        const binReady = await hasRecycleBinSchema(pool);
+        const tx = new sql.Transaction(pool);
+        await tx.begin();
+        let baselineRow;
+        let itemCount = 0;
+        try {
+            const insert = await new sql.Request(tx)
+                .input('projectId', sql.Int, projectId)
+                .input('name', sql.NVarChar(MAX_BASELINE_NAME_LENGTH), name)
+                .input('note', sql.NVarChar(500), note || null)
+                .input('capturedByOid', sql.NVarChar(100), user?.oid || null)
+                .query(`
+                    INSERT INTO ProjectBaselines (projectId, name, note, capturedByOid)
+                    OUTPUT INSERTED.*
+                    VALUES (@projectId, @name, @note, @capturedByOid)
+                `);
+            baselineRow = insert.recordset[0];
+
+            // Milestones are captured at their committed date (actual, then forecast, then planned).
+            const items = await new sql.Request(tx)
+                .input('baselineId', sql.Int, baselineRow.id)
+                .input('projectId', sql.Int, projectId)
+                .query(`
+                    INSERT INTO ProjectBaselineItems (baselineId, itemType, itemId, title, startDate, endDate)
+                    SELECT @baselineId, 'task', id, title, COALESCE(startDate, endDate), COALESCE(endDate, startDate)
+                    FROM Tasks
+                    WHERE projectId = @projectId
+                      AND ${notDeletedSql('', binReady)}
+                      AND (startDate IS NOT NULL OR endDate IS NOT NULL)
+                    UNION ALL
+                    SELECT @baselineId, 'milestone', id, name,
+                        COALESCE(actualDate, forecastDate, plannedDate),
+                        COALESCE(actualDate, forecastDate, plannedDate)
+                    FROM ProjectMilestones
+                    WHERE projectId = @projectId;
+
+                    SELECT @@ROWCOUNT AS itemCount;
+                `);
+            itemCount = Number(items.recordset[0]?.itemCount || 0);
+            await tx.commit();
+        } catch (err) {
+            await tx.rollback();
+            throw err;
+        }
+
+        await touchProjectActivity(pool, projectId);
+        invalidateProjectCache();
+        logAudit({
+            action: 'project_baseline.create',
+            entityType: 'project_baseline',
+            entityId: String(baselineRow.id),
+            entityTitle: name,
+            user,
+            metadata: { projectId: String(projectId) },
+            after: { name, itemCount },
+            req
+        });
+
+        return res.json(mapBaselineRow({ ...baselineRow, capturedByName: user?.name || null, itemCount }));
+    } catch (err) {
+        handleError(res, 'capturing schedule baseline', err);
+    }
+});
+
+// Delete schedule baseline
+router.delete('/:id/baselines/:baselineId', checkPermission('can_edit_project'), withSharedScope, checkProjectWriteAccess(), requireProjectWriteAccess, async (req, res) => {
+    try {
+        const projectId = Number.parseInt(req.params.id, 10);
+        const baselineId = Number.parseInt(req.params.baselineId, 10);
+        if (Number.isNaN(projectId) || Number.isNaN(baselineId)) {
+            return res.status(400).json({ error: 'Invalid project or baseline id' });
+        }
+
+        const pool = await getPool();
+        if (!(await hasScheduleBaselineSchema(pool))) {
+            return res.status(409).json({ error: SCHEDULE_BASELINE_SCHEMA_MISSING_ERROR });
+        }
+
+        const deleted = await pool.request()
+            .input('projectId', sql.Int, projectId)
+            .input('baselineId', sql.Int, baselineId)
+            .query(`
+                DELETE FROM ProjectBaselines
+                OUTPUT DELETED.name
+                WHERE id = @baselineId AND projectId = @projectId
+            `);
+        if (!deleted.recordset.length) {
+            return res.status(404).json({ error: 'Baseline not found' });
+        }
+
+        invalidateProjectCache();
+        logAudit({
+            action: 'project_baseline.delete',
+            entityType: 'project_baseline',
+            entityId: String(baselineId),
+            entityTitle: deleted.recordset[0].name,
+            user: getAuthUser(req),
+            metadata: { projectId: String(projectId) },
+            req
+        });
+
+        return res.json({ success: true });
+    } catch (err) {
+        handleError(res, 'deleting schedule baseline', err);
+    }
+});
+
+// Project-level task workflow; overrides the organization workflow for this project only.
+router.put('/:id/task-workflow', checkPermission('can_edit_project'), withSharedScope, checkProjectWriteAccess(), requireProjectWriteAccess, async (req, res) => {
+    try {
+        const projectId = Number.parseInt(req.params.id, 10);
+        if (Number.isNaN(projectId)) {
+            return res.status(400).json({ error: 'Invalid project id' });
+        }
+        const input = parseTaskWorkflowInput(req.body);
+        if (input.error) {
+            return res.status(400).json({ error: input.error });
+        }
+
+        const pool = await getPool();
+        if (!(await hasTaskWorkflowSchema(pool))) {
+            return res.status(409).json({ error: TASK_WORKFLOW_SCHEMA_MISSING_ERROR });
+        }
+        const before = await loadProjectTaskWorkflow(pool, projectId, { schemaReady: true });
+        const user = getAuthUser(req);
+        const saved = await saveTaskWorkflow(pool, {
+            scope: { projectId },
+            name: input.name,
+            states: input.states,
+            remap: req.body?.remap,
+            userOid: user?.oid
+        });
+        if (saved.error) {
+            return res.status(saved.status).json({ error: saved.error, unmappedStatuses: saved.unmappedStatuses });
+        }
+
+        await touchProjectActivity(pool, projectId);
+        invalidateProjectCache();
+        logAudit({
+            action: 'task_workflow.update',
+            entityType: 'task_workflow',
+            entityId: saved.workflow.id,
+            entityTitle: input.name,
+            user,
+            before: { scope: before.scope, states: before.states.map((state) => state.key) },
+            after: { scope: 'project', states: input.states.map((state) => state.key), remap: req.body?.remap || null },
+            metadata: { projectId: String(projectId) },
+            req
+        });
+        res.json(saved.workflow);
+    } catch (err) {
+        handleError(res, 'saving project task workflow', err);
+    }
+});
+
+// Drop the project workflow so tasks follow the organization (or standard) workflow again.
+router.delete('/:id/task-workflow', checkPermission('can_edit_project'), withSharedScope, checkProjectWriteAccess(), requireProjectWriteAccess, async (req, res) => {
+    try {
+        const projectId = Number.parseInt(req.params.id, 10);
+        if (Number.isNaN(projectId)) {
+            return res.status(400).json({ error: 'Invalid project id' });
+        }
+
+        const pool = await getPool();
+        if (!(await hasTaskWorkflowSchema(pool))) {
+            return res.status(409).json({ error: TASK_WORKFLOW_SCHEMA_MISSING_ERROR });
+        }
+        const projectResult = await pool.request()
+            .input('projectId', sql.Int, projectId)
+            .query('SELECT orgId FROM Projects WHERE id = @projectId');
+        const deleted = await deleteTaskWorkflow(pool, {
+            scope: { projectId },
+            remap: req.body?.remap,
+            fallbackOrgId: projectResult.recordset[0]?.orgId ?? null
+        });
+        if (deleted.error) {
+            return res.status(deleted.status).json({ error: deleted.error, unmappedStatuses: deleted.unmappedStatuses });
+        }
+
+        await touchProjectActivity(pool, projectId);
+        invalidateProjectCache();
+        logAudit({
+            action: 'task_workflow.delete',
+            entityType: 'task_workflow',
+            entityId: String(projectId),
+            entityTitle: 'Project workflow',
+            user: getAuthUser(req),
+            after: { scope: deleted.workflow.scope, remap: req.body?.remap || null },
+            metadata: { projectId: String(projectId) },
+            req
+        });
+        res.json(deleted.workflow);
+    } catch (err) {
+        handleError(res, 'removing project task workflow', err);
+    }
+});
+
+// Replace the project's Kanban WIP limits. Limits are keyed by status of the effective workflow.
+router.put('/:id/wip-limits', checkPermission('can_edit_project'), withSharedScope, checkProjectWriteAccess(), requireProjectWriteAccess, async (req, res) => {
+    try {
+        const projectId = Number.parseInt(req.params.id, 10);
+        if (Number.isNaN(projectId)) {
+            return res.status(400).json({ error: 'Invalid project id' });
+        }
+        if (req.body?.enforce !== undefined && typeof req.body.enforce !== 'boolean') {
+            return res.status(400).json({ error: 'enforce must be a boolean' });
+        }
+
+        const pool = await getPool();
+        if (!(await hasWipLimitSchema(pool))) {
+            return res.status(409).json({ error: WIP_LIMIT_SCHEMA_MISSING_ERROR });
+        }
+        const taskWorkflow = await loadProjectTaskWorkflow(pool, projectId);
+        const input = normalizeWipLimits(req.body?.limits, taskWorkflow.states);
+        if (input.error) {
+            return res.status(400).json({ error: input.error });
+        }
+
+        const before = await loadProjectWipLimits(pool, projectId, { schemaReady: true });
+        const enforce = req.body?.enforce ?? before.enforce;
+        const user = getAuthUser(req);
+        const transaction = pool.transaction();
+        await transaction.begin();
+        try {
+            await saveProjectWipLimits(transaction, { projectId, enforce, limits: input.limits, userOid: user?.oid });
+            await transaction.commit();
+        } catch (txErr) {
+            await transaction.rollback();
+            throw txErr;
+        }
+
+        await touchProjectActivity(pool, projectId);
+        invalidateProjectCache();
+        logAudit({
+            action: 'project.wip_limits.update',
+            entityType: 'project',
+            entityId: projectId,
+            entityTitle: 'WIP limits',
+            user,
+            before: { enforce: before.enforce, limits: before.limits },
+            after: { enforce, limits: input.limits },
+            metadata: { projectId: String(projectId) },
+            req
+        });
+        res.json({ schemaReady: true, enforce, limits: input.limits });
+    } catch (err) {
+        handleError(res, 'saving project WIP limits', err);
+    }
+});
+
+// Create project
+router.post('/', checkPermission('can_create_project'), async (req, res) => {
+    try {
+        const { title, description, status } = req.body;
+        const normalizedTitle = typeof title === 'string' ? title.trim() : '';
+        const normalizedStatus = String(status || 'active').trim().toLowerCase() || 'active';
+        if (!normalizedTitle) {
+            return res.status(400).json({ error: 'title is required' });
+        }
+        const holdInput = normalizedStatus === PROJECT_LIFECYCLE_STATES.ON_HOLD ? parseProjectHoldBody(req.body) : null;
+        if (holdInput?.error) {
+            return res.status(400).json({ error: holdInput.error });
+        }
+        const { parsed: parsedGoalIds, invalid: invalidGoalIds } = parseGoalIdsFromBody(req.body);
+
+        if (invalidGoalIds.length > 0) {
+            return res.status(400).json({
+                error: `Invalid goal id(s): ${invalidGoalIds.join(', ')}`
+            });
+        }
+
+        const pool = await getPool();
+        if (holdInput && !(await hasProjectHoldSchema(pool))) {
+            return res.status(409).json({ error: PROJECT_HOLD_SCHEMA_MISSING_ERROR });
+        }
+        let ownerOrgId;
+        try {
+            ownerOrgId = resolveOwnedOrgId({
+                user: req.user,
+                requestedOrgId: req.body?.orgId,
+                missingUserOrgMessage: 'No organization assigned. Contact your administrator to create projects.',
+                adminOrgRequiredMessage: 'orgId is required for admin-created projects'
+            });
+            await ensureOrganizationExists(pool, ownerOrgId);
+        } catch (orgErr) {
+            const message = orgErr?.message || 'Unable to resolve project organization';
+            const statusCode = message.toLowerCase().includes('no organization assigned') ? 403 : 400;
+            return res.status(statusCode).json({ error: message });
+        }
+
+        let template = null;
+        let templateStartDate = null;
+        if (req.body?.templateId !== undefined && req.body?.templateId !== null && req.body?.templateId !== '') {
+            const resolved = await resolveProjectTemplate(pool, req.body.templateId, ownerOrgId);
+            if (resolved.error) {
+                return res.status(resolved.status).json({ error: resolved.error });
+            }
+            template = resolved.template;
+            templateStartDate = normalizeTaskDate(req.body?.templateStartDate);
+            if (req.body?.templateStartDate && !templateStartDate) {
+                return res.status(400).json({ error: 'Invalid templateStartDate. Use YYYY-MM-DD or ISO date format.' });
+            }
+        }
+        const taskWorkflow = template ? await loadTaskWorkflowContext(pool, { orgId: ownerOrgId }) : null;
+
+        // Explicit goals win; otherwise the template's goals apply, minus any deleted since it was saved.
+        let goalIds = parsedGoalIds;
+        if (template && goalIds.length === 0) {
+            const missingTemplateGoalIds = new Set(await findMissingGoalIds(pool, template.definition.goalIds));
+            goalIds = template.definition.goalIds.filter((goalId) => !missingTemplateGoalIds.has(goalId));
+        }
+
+        const missingGoalIds = await findMissingGoalIds(pool, goalIds);
+        if (missingGoalIds.length > 0) {
+            return res.status(400).json({
+                error: `Goal id(s) not found: ${missingGoalIds.join(', ')}`
+            });
+        }
+
+        // Validate hierarchy
+        if (goalIds.length > 1) {
+            const allGoals = await loadGoalsForValidation();
+            const validation = validateGoalAssignment(allGoals, goalIds);
+            if (!validation.valid) {
+                return res.status(400).json({ error: validation.error });
+            }
+        }
+
+        const goalAccessGaps = await findGoalAccessGapsForOrg({
+            dbOrTx: pool,
+            goalIds,
+            orgId: ownerOrgId
+        });
+        if (goalAccessGaps.length > 0) {
+            const goalTitles = goalAccessGaps.map((goal) => goal.title);
+            return res.status(409).json({
+                error: `Selected goals are not visible to the project organization: ${goalTitles.join(', ')}`
+            });
+        }
+
+        const lifecycleSeed = deriveProjectLifecycleFromStatus({
+            currentLifecycleState: PROJECT_LIFECYCLE_STATES.ACTIVE,
+            status: normalizedStatus,
+            completedAt: null
+        });
+        const now = new Date();
+        const hold = holdInput
+            ? {
+                onHoldAt: now,
+                onHoldByOid: req.user?.oid || null,
+                onHoldReason: holdInput.value.reason,
+                expectedResumeDate: holdInput.value.expectedResumeDate
+            }
+            : null;
+
+        let newId;
+        let seeded = null;
+        const transaction = pool.transaction();
+        await transaction.begin();
+        try {
+            const result = await transaction.request()
+                .input('title', sql.NVarChar, normalizedTitle)
+                .input('description', sql.NVarChar(sql.MAX), description)
+                .input('status', sql.NVarChar, normalizedStatus)
+                .input('orgId', sql.Int, ownerOrgId)
+                .input('lifecycleState', sql.NVarChar(20), lifecycleSeed.lifecycleState)
+                .input('completedAt', sql.DateTime2, lifecycleSeed.completedAt)
+                .input('lastActivityAt', sql.DateTime2, now)
+                .input('retentionClass', sql.NVarChar(40), 'confidential')
+                .input('onHoldAt', sql.DateTime2, hold?.onHoldAt || null)
+                .input('onHoldByOid', sql.NVarChar(100), hold?.onHoldByOid || null)
+                .input('onHoldReason', sql.NVarChar(500), hold?.onHoldReason || null)
+                .input('expectedResumeDate', sql.Date, hold?.expectedResumeDate || null)
+                .query(`
+                    INSERT INTO Projects (title, description, status, orgId, lifecycleState, completedAt, lastActivityAt, retentionClass${hold ? ', onHoldAt, onHoldByOid, onHoldReason, expectedResumeDate' : ''})
+                    OUTPUT INSERTED.id
+                    VALUES (@title, @description, @status, @orgId, @lifecycleState, @completedAt, @lastActivityAt, @retentionClass${hold ? ', @onHoldAt, @onHoldByOid, @onHoldReason, @expectedResumeDate' : ''})
+                `);
+
+            newId = result.recordset[0].id;
+
+            // Insert goal associations
+            for (const gId of goalIds) {
+                await transaction.request()
+                    .input('projectId', sql.Int, newId)
+                    .input('goalId', sql.Int, gId)
+                    .query('INSERT INTO ProjectGoals (projectId, goalId) VALUES (@projectId, @goalId)');
+            }
+
+            if (template) {
+                seeded = await instantiateProjectTemplate(transaction, {
+                    projectId: newId,
+                    template,
+                    startDate: templateStartDate || now,
+                    workflow: taskWorkflow
+                });
+            }
+
+            await transaction.commit();
+        } catch (txErr) {
+            await transaction.rollback();
+            throw txErr;
+        }
+        await touchGoalActivity(pool, goalIds, now);
+
+        invalidateProjectCache();
+        logAudit({ action: 'project.create', entityType: 'project', entityId: newId.toString(), entityTitle: normalizedTitle, user: getAuthUser(req), after: { title: normalizedTitle, description, status: normalizedStatus, lifecycleState: lifecycleSeed.lifecycleState, orgId: ownerOrgId, goalIds, templateId: template ? Number(template.id) : null, ...(hold ? { onHoldReason: hold.onHoldReason, expectedResumeDate: hold.expectedResumeDate } : {}) }, req });
+        res.json({
+            id: newId.toString(),
+            title: normalizedTitle,
+            description,
+            status: normalizedStatus,
+            lifecycleState: lifecycleSeed.lifecycleState,
+            completedAt: lifecycleSeed.completedAt,
+            archivedAt: null,
+            archivedByOid: null,
+            archiveReason: null,
+            lastActivityAt: now,
+            retentionClass: 'confidential',
+            onHoldAt: hold?.onHoldAt || null,
+            onHoldByOid: hold?.onHoldByOid || null,
+            onHoldReason: hold?.onHoldReason || null,
+            expectedResumeDate: hold?.expectedResumeDate || null,
+            orgId: String(ownerOrgId),
+            goalIds: goalIds.map(String),
+            goalId: goalIds[0]?.toString() || null,
+            linkedGoalCount: goalIds.length,
+            visibleGoalCount: goalIds.length,
+            goalContextStatus: mapGoalContextStatus({ linkedGoalCount: goalIds.length, visibleGoalCount: goalIds.length }),
+            goalContextMissing: false,
+            accessLevel: 'owner',
+            hasWriteAccess: true,
+            templateId: template ? template.id : null,
+            statusReportDefaults: seeded?.statusReportDefaults || null,
+            tasks: seeded?.tasks || [],
+            statusReports: []
         });
     } catch (err) {
         handleError(res, 'creating project', err);
     }
 });
 
+// Clone a project. Read access to the source is enough; the copy is owned like a new project,
+// so non-admins always clone into their own organization.
+router.post('/:id/clone', checkPermission('can_create_project'), withSharedScope, checkProjectWriteAccess(), async (req, res) => {
+    try {
+        const sourceId = Number.parseInt(req.params.id, 10);
+        const input = normalizeCloneRequest(req.body);
+        if (input.error) {
+            return res.status(400).json({ error: input.error });
+        }
+
+        const pool = await getPool();
+        if (!(await hasProjectCloneSchema(pool))) {
+            return res.status(409).json({ error: PROJECT_CLONE_SCHEMA_MISSING_ERROR });
+        }
+        const estimatesReady = await hasTimeEntrySchema(pool);
+        const reportDefaultsReady = input.components.statusReport && await hasProjectTemplateSchema(pool);
+        const subtasksReady = await hasSubtaskSchema(pool);
+        const binReady = await hasRecycleBinSchema(pool);
+        const source = await loadCloneSource(pool, sourceId, { components: input.components, estimatesReady, subtasksReady, binReady });
+        if (!source) {
+            return res.status(404).json({ error: 'Project not found' });
+        }
+
+        let ownerOrgId;
+        try {
+            ownerOrgId = resolveOwnedOrgId({
+                user: req.user,
+                requestedOrgId: req.body?.orgId ?? (isAdminUser(req.user) ? source.project.orgId : undefined),
+                missingUserOrgMessage: 'No organization assigned. Contact your administrator to create projects.',
+                adminOrgRequiredMessage: 'orgId is required for admin-created projects'
+            });
+            await ensureOrganizationExists(pool, ownerOrgId);
+        } catch (orgErr) {
+            const message = orgErr?.message || 'Unable to resolve project organization';
+            const statusCode = message.toLowerCase().includes('no organization assigned') ? 403 : 400;
+            return res.status(statusCode).json({ error: message });
+        }
+
+        const goalIds = source.goalIds;
+        const goalAccessGaps = await findGoalAccessGapsForOrg({
+            dbOrTx: pool,
+            goalIds,
+            orgId: ownerOrgId
+        });
+        if (goalAccessGaps.length > 0) {
+            const goalTitles = goalAccessGaps.map((goal) => goal.title);
+            return res.status(409).json({
+                error: `Linked goals are not visible to the new project's organization: ${goalTitles.join(', ')}. Clone without goal links or choose another organization.`
+            });
+        }
+
+        const title = buildCloneTitle(source.project.title, input.title);
+        const shiftDays = computeCloneShiftDays(source.tasks, input.startDate);
+        const taskWorkflow = source.tasks.length > 0 ? await loadTaskWorkflowContext(pool, { orgId: ownerOrgId }) : {};
+        const lifecycleState = PROJECT_LIFECYCLE_STATES.ACTIVE;
+        const retentionClass = source.project.retentionClass || 'confidential';
+        const now = new Date();
+
+        let newId;
+        let copied;
+        const transaction = pool.transaction();
+        await transaction.begin();
+        try {
+            const result = await transaction.request()
+                .input('title', sql.NVarChar, title)
+                .input('description', sql.NVarChar(sql.MAX), source.project.description)
+                .input('status', sql.NVarChar, 'active')
+                .input('orgId', sql.Int, ownerOrgId)
+                .input('lifecycleState', sql.NVarChar(20), lifecycleState)
+                .input('lastActivityAt', sql.DateTime2, now)
+                .input('retentionClass', sql.NVarChar(40), retentionClass)
+                .input('clonedFromProjectId', sql.Int, sourceId)
+                .query(`
+                    INSERT INTO Projects (title, description, status, orgId, lifecycleState, lastActivityAt, retentionClass, clonedFromProjectId)
+                    OUTPUT INSERTED.id
+                    VALUES (@title, @description, @status, @orgId, @lifecycleState, @lastActivityAt, @retentionClass, @clonedFromProjectId)
+                `);
+            newId = result.recordset[0].id;
+
+            for (const gId of goalIds) {
+                await transaction.request()
+                    .input('projectId', sql.Int, newId)
+                    .input('goalId', sql.Int, gId)
+                    .query('INSERT INTO ProjectGoals (projectId, goalId) VALUES (@projectId, @goalId)');
+            }
+
+            copied = await copyCloneComponents(transaction, {
+                projectId: newId,
+                source,
+                shiftDays,
+                workflow: taskWorkflow,
+                estimatesReady,
+                reportDefaultsReady
+            });
+
+            await transaction.commit();
+        } catch (txErr) {
+            await transaction.rollback();
+            throw txErr;
+        }
+        await touchGoalActivity(pool, goalIds, now);
+
+        invalidateProjectCache();
+        const copiedSummary = {
+            tasks: copied.taskCount,
+            checklistItems: copied.checklistItemCount,
+            tags: copied.tagIds.length,
+            goals: goalIds.length,
+            benefits: copied.benefitCount,
+            statusReportDraft: !!copied.statusReportDraft
+        };
+        logAudit({
+            action: 'project.clone',
+            entityType: 'project',
+            entityId: newId.toString(),
+            entityTitle: title,
+            user: getAuthUser(req),
+            after: { title, orgId: ownerOrgId, clonedFromProjectId: sourceId, startDate: input.startDate, shiftDays, copied: copiedSummary },
+            metadata: { sourceProjectId: String(sourceId), sourceTitle: source.project.title },
+            req
+        });
+        res.status(201).json({
+            id: newId.toString(),
+            title,
+            description: source.project.description,
+            status: 'active',
+            lifecycleState,
+            completedAt: null,
+            archivedAt: null,
+            archivedByOid: null,
+            archiveReason: null,
+            lastActivityAt: now,
+            retentionClass,
+            orgId: String(ownerOrgId),
+            goalIds: goalIds.map(String),
+            goalId: goalIds[0]?.toString() || null,
+            linkedGoalCount: goalIds.length,
+            visibleGoalCount: goalIds.length,
+            goalContextStatus: mapGoalContextStatus({ linkedGoalCount: goalIds.length, visibleGoalCount: goalIds.length }),
+            goalContextMissing: false,
+            accessLevel: 'owner',
+            hasWriteAccess: true,
+            clonedFromProjectId: String(sourceId),
+            statusReportDefaults: copied.statusReportDraft,
+            shiftDays,
+            copied: copiedSummary
+        });
+    } catch (err) {
+        handleError(res, 'cloning project', err);
+    }
+});
+
 // Update project
+const PROJECT_CONFLICT_FIELDS = ['title', 'description', 'status', 'onHoldReason', 'expectedResumeDate', 'orgId', 'goalIds'];
+
+// Stored values of the fields the edit form saves, for a 412 response.
+const sendProjectEditConflict = async (res, pool, id, submitted) => {
+    const holdColumns = projectHoldColumnsSql('', await hasProjectHoldSchema(pool));
+    const [projectResult, goalsResult] = await Promise.all([
+        pool.request().input('id', sql.Int, id).query(`SELECT title, description, status, orgId, editVersion${holdColumns} FROM Projects WHERE id = @id`),
+        pool.request().input('projectId', sql.Int, id).query('SELECT goalId FROM ProjectGoals WHERE projectId = @projectId')
+    ]);
+    const row = projectResult.recordset[0] || {};
+    return sendEditConflict(res, {
+        label: 'project',
+        version: row.editVersion,
+        current: {
+            title: row.title,
+            description: row.description,
+            status: row.status,
+            onHoldReason: row.onHoldReason || null,
+            expectedResumeDate: mapProjectHold(row).expectedResumeDate,
+            orgId: row.orgId === null || row.orgId === undefined ? null : String(row.orgId),
+            goalIds: goalsResult.recordset.map((goal) => String(goal.goalId))
+        },
+        submitted,
+        fields: PROJECT_CONFLICT_FIELDS
+    });
+};
+
 router.put('/:id', checkPermission('can_edit_project'), withSharedScope, checkProjectWriteAccess(), requireProjectWriteAccess, async (req, res) => {
     try {
         const { title, description, status } = req.body;
@@ -1864,11 +4270,17 @@ router.put('/:id', checkPermission('can_edit_project'), withSharedScope, checkPr
             }
         }
 
-        const prev = await pool.request().input('id', sql.Int, id).query('SELECT title, description, status, orgId, lifecycleState, completedAt, archivedAt, archivedByOid, archiveReason, lastActivityAt, retentionClass FROM Projects WHERE id = @id');
+        const versioned = await hasEditVersionSchema(pool, 'Projects');
+        const holdReady = await hasProjectHoldSchema(pool);
+        const prev = await pool.request().input('id', sql.Int, id).query(`SELECT title, description, status, orgId, lifecycleState, completedAt, archivedAt, archivedByOid, archiveReason, lastActivityAt, retentionClass${versioned ? ', editVersion' : ''}${projectHoldColumnsSql('', holdReady)} FROM Projects WHERE id = @id`);
         if (prev.recordset.length === 0) {
             return res.status(404).json({ error: 'Project not found' });
         }
-        const beforeState = prev.recordset[0];
+        const { editVersion, ...beforeState } = prev.recordset[0];
+        const versionCheck = checkIfMatch(req, editVersion);
+        if (!versionCheck.ok) {
+            return sendProjectEditConflict(res, pool, id, req.body);
+        }
         const beforeOrgId = beforeState.orgId === null || beforeState.orgId === undefined
             ? null
             : Number(beforeState.orgId);
@@ -1926,12 +4338,37 @@ router.put('/:id', checkPermission('can_edit_project'), withSharedScope, checkPr
             });
         }
 
+        const lastActivityAt = new Date();
+        // Moving to on hold needs a reason and resume date; an existing hold keeps when and by whom
+        // it started. Any other status ends the hold.
+        const wasOnHold = !!beforeState.onHoldAt;
+        let holdUpdate = null;
+        if (String(status || '').trim().toLowerCase() === PROJECT_LIFECYCLE_STATES.ON_HOLD) {
+            if (!holdReady) {
+                return res.status(409).json({ error: PROJECT_HOLD_SCHEMA_MISSING_ERROR });
+            }
+            const holdSent = req.body?.onHoldReason !== undefined || req.body?.expectedResumeDate !== undefined;
+            if (!wasOnHold || holdSent || !beforeState.onHoldReason || !beforeState.expectedResumeDate) {
+                const holdInput = parseProjectHoldBody(req.body, { previousResumeDate: beforeState.expectedResumeDate || null });
+                if (holdInput.error) {
+                    return res.status(400).json({ error: holdInput.error });
+                }
+                holdUpdate = {
+                    onHoldAt: beforeState.onHoldAt || lastActivityAt,
+                    onHoldByOid: beforeState.onHoldByOid || req.user?.oid || null,
+                    onHoldReason: holdInput.value.reason,
+                    expectedResumeDate: holdInput.value.expectedResumeDate
+                };
+            }
+        } else if (wasOnHold) {
+            holdUpdate = { onHoldAt: null, onHoldByOid: null, onHoldReason: null, expectedResumeDate: null };
+        }
+
         const lifecycleUpdate = deriveProjectLifecycleFromStatus({
             currentLifecycleState: beforeState.lifecycleState,
             status,
             completedAt: beforeState.completedAt
         });
-        const lastActivityAt = new Date();
 
         // Update project fields
         const projectUpdateRequest = pool.request()
@@ -1946,8 +4383,18 @@ router.put('/:id', checkPermission('can_edit_project'), withSharedScope, checkPr
         if (hasOrgIdInput) {
             projectUpdateRequest.input('orgId', sql.Int, projectOrgId);
         }
+        if (holdUpdate) {
+            projectUpdateRequest
+                .input('onHoldAt', sql.DateTime2, holdUpdate.onHoldAt)
+                .input('onHoldByOid', sql.NVarChar(100), holdUpdate.onHoldByOid)
+                .input('onHoldReason', sql.NVarChar(500), holdUpdate.onHoldReason)
+                .input('expectedResumeDate', sql.Date, holdUpdate.expectedResumeDate);
+        }
+        if (versionCheck.expectedVersion !== null) {
+            projectUpdateRequest.input('expectedVersion', sql.Int, versionCheck.expectedVersion);
+        }
 
-        await projectUpdateRequest.query(`
+        const projectUpdate = await projectUpdateRequest.query(`
             UPDATE Projects
             SET title = @title,
                 description = @description,
@@ -1956,8 +4403,16 @@ router.put('/:id', checkPermission('can_edit_project'), withSharedScope, checkPr
                 completedAt = @completedAt,
                 lastActivityAt = @lastActivityAt
                 ${hasOrgIdInput ? ', orgId = @orgId' : ''}
+                ${holdUpdate ? ', onHoldAt = @onHoldAt, onHoldByOid = @onHoldByOid, onHoldReason = @onHoldReason, expectedResumeDate = @expectedResumeDate' : ''}
+                ${versioned ? ', editVersion = editVersion + 1' : ''}
+            ${versioned ? 'OUTPUT INSERTED.editVersion' : ''}
             WHERE id = @id
+            ${versionCheck.expectedVersion !== null ? 'AND editVersion = @expectedVersion' : ''}
         `);
+        if (versionCheck.expectedVersion !== null && projectUpdate.rowsAffected[0] === 0) {
+            return sendProjectEditConflict(res, pool, id, req.body);
+        }
+        const etag = formatEtag(projectUpdate.recordset?.[0]?.editVersion);
 
         if (ownershipChanged) {
             await pool.request()
@@ -2041,13 +4496,20 @@ router.put('/:id', checkPermission('can_edit_project'), withSharedScope, checkPr
                 lifecycleState: lifecycleUpdate.lifecycleState,
                 completedAt: lifecycleUpdate.completedAt,
                 lastActivityAt,
+                ...(holdUpdate ? { onHoldReason: holdUpdate.onHoldReason, expectedResumeDate: holdUpdate.expectedResumeDate } : {}),
                 orgId: projectOrgId,
                 goalIds: parsedGoalIds,
                 ensuredGoalContext
             },
             req
         });
-        res.json({ success: true });
+        if (etag) res.set('ETag', etag);
+        res.json({
+            success: true,
+            etag,
+            lifecycleState: lifecycleUpdate.lifecycleState,
+            ...mapProjectHold(holdUpdate || beforeState)
+        });
     } catch (err) {
         handleError(res, 'updating project', err);
     }
@@ -2162,6 +4624,188 @@ router.post('/:id/restore', checkPermission('can_edit_project'), withSharedScope
     }
 });
 
+// Put a project on hold with a reason and the date work is expected to resume. Also updates an existing hold.
+router.post('/:id/hold', checkPermission('can_edit_project'), withSharedScope, checkProjectWriteAccess(), requireProjectWriteAccess, async (req, res) => {
+    try {
+        const id = Number.parseInt(req.params.id, 10);
+        if (Number.isNaN(id)) {
+            return res.status(400).json({ error: 'Invalid project id' });
+        }
+        const pool = await getPool();
+        if (!(await hasProjectHoldSchema(pool))) {
+            return res.status(409).json({ error: PROJECT_HOLD_SCHEMA_MISSING_ERROR });
+        }
+        const versioned = await hasEditVersionSchema(pool, 'Projects');
+        const previous = await pool.request()
+            .input('id', sql.Int, id)
+            .query(`SELECT title, status, lifecycleState${versioned ? ', editVersion' : ''}${projectHoldColumnsSql('', true)} FROM Projects WHERE id = @id`);
+        if (!previous.recordset.length) {
+            return res.status(404).json({ error: 'Project not found' });
+        }
+        const { editVersion, ...before } = previous.recordset[0];
+        const wasOnHold = before.lifecycleState === PROJECT_LIFECYCLE_STATES.ON_HOLD;
+        const holdInput = validateProjectHold({
+            reason: req.body?.reason,
+            expectedResumeDate: req.body?.expectedResumeDate
+        }, { previousResumeDate: wasOnHold ? before.expectedResumeDate : null });
+        if (holdInput.error) {
+            return res.status(400).json({ error: holdInput.error });
+        }
+        const holdSubmission = {
+            status: PROJECT_LIFECYCLE_STATES.ON_HOLD,
+            onHoldReason: req.body?.reason,
+            expectedResumeDate: req.body?.expectedResumeDate
+        };
+        const versionCheck = checkIfMatch(req, editVersion);
+        if (!versionCheck.ok) {
+            return sendProjectEditConflict(res, pool, id, holdSubmission);
+        }
+
+        const now = new Date();
+        const hold = {
+            onHoldAt: wasOnHold && before.onHoldAt ? before.onHoldAt : now,
+            onHoldByOid: wasOnHold && before.onHoldByOid ? before.onHoldByOid : req.user?.oid || null,
+            onHoldReason: holdInput.value.reason,
+            expectedResumeDate: holdInput.value.expectedResumeDate
+        };
+        const holdRequest = pool.request()
+            .input('id', sql.Int, id)
+            .input('onHold', sql.NVarChar(20), PROJECT_LIFECYCLE_STATES.ON_HOLD)
+            .input('onHoldAt', sql.DateTime2, hold.onHoldAt)
+            .input('onHoldByOid', sql.NVarChar(100), hold.onHoldByOid)
+            .input('onHoldReason', sql.NVarChar(500), hold.onHoldReason)
+            .input('expectedResumeDate', sql.Date, hold.expectedResumeDate)
+            .input('now', sql.DateTime2, now);
+        if (versionCheck.expectedVersion !== null) {
+            holdRequest.input('expectedVersion', sql.Int, versionCheck.expectedVersion);
+        }
+        const holdUpdate = await holdRequest.query(`
+            UPDATE Projects
+            SET status = @onHold,
+                lifecycleState = @onHold,
+                completedAt = NULL,
+                onHoldAt = @onHoldAt,
+                onHoldByOid = @onHoldByOid,
+                onHoldReason = @onHoldReason,
+                expectedResumeDate = @expectedResumeDate,
+                lastActivityAt = @now
+                ${versioned ? ', editVersion = editVersion + 1' : ''}
+            ${versioned ? 'OUTPUT INSERTED.editVersion' : ''}
+            WHERE id = @id
+            ${versionCheck.expectedVersion !== null ? 'AND editVersion = @expectedVersion' : ''}
+        `);
+        if (versionCheck.expectedVersion !== null && holdUpdate.rowsAffected[0] === 0) {
+            return sendProjectEditConflict(res, pool, id, holdSubmission);
+        }
+        const etag = formatEtag(holdUpdate.recordset?.[0]?.editVersion);
+
+        invalidateProjectCache();
+        logAudit({ action: 'project.hold', entityType: 'project', entityId: String(id), entityTitle: before.title, user: getAuthUser(req), before, after: { status: PROJECT_LIFECYCLE_STATES.ON_HOLD, lifecycleState: PROJECT_LIFECYCLE_STATES.ON_HOLD, onHoldReason: hold.onHoldReason, expectedResumeDate: hold.expectedResumeDate }, req });
+        if (etag) res.set('ETag', etag);
+        res.json({
+            success: true,
+            status: PROJECT_LIFECYCLE_STATES.ON_HOLD,
+            lifecycleState: PROJECT_LIFECYCLE_STATES.ON_HOLD,
+            ...mapProjectHold(hold),
+            lastActivityAt: now,
+            etag
+        });
+    } catch (err) {
+        handleError(res, 'putting project on hold', err);
+    }
+});
+
+// Take a project off hold and back to active work.
+router.post('/:id/resume', checkPermission('can_edit_project'), withSharedScope, checkProjectWriteAccess(), requireProjectWriteAccess, async (req, res) => {
+    try {
+        const id = Number.parseInt(req.params.id, 10);
+        if (Number.isNaN(id)) {
+            return res.status(400).json({ error: 'Invalid project id' });
+        }
+        const pool = await getPool();
+        if (!(await hasProjectHoldSchema(pool))) {
+            return res.status(409).json({ error: PROJECT_HOLD_SCHEMA_MISSING_ERROR });
+        }
+        const versioned = await hasEditVersionSchema(pool, 'Projects');
+        const previous = await pool.request()
+            .input('id', sql.Int, id)
+            .query(`SELECT title, status, lifecycleState${versioned ? ', editVersion' : ''}${projectHoldColumnsSql('', true)} FROM Projects WHERE id = @id`);
+        if (!previous.recordset.length) {
+            return res.status(404).json({ error: 'Project not found' });
+        }
+        const { editVersion, ...before } = previous.recordset[0];
+        const versionCheck = checkIfMatch(req, editVersion);
+        if (!versionCheck.ok) {
+            return sendProjectEditConflict(res, pool, id, { status: PROJECT_LIFECYCLE_STATES.ACTIVE });
+        }
+        if (before.lifecycleState !== PROJECT_LIFECYCLE_STATES.ON_HOLD) {
+            return res.status(409).json({ error: 'Project is not on hold' });
+        }
+
+        const resumedAt = new Date();
+        const resumeRequest = pool.request()
+            .input('id', sql.Int, id)
+            .input('active', sql.NVarChar(20), PROJECT_LIFECYCLE_STATES.ACTIVE)
+            .input('resumedAt', sql.DateTime2, resumedAt);
+        if (versionCheck.expectedVersion !== null) {
+            resumeRequest.input('expectedVersion', sql.Int, versionCheck.expectedVersion);
+        }
+        const resumeUpdate = await resumeRequest.query(`
+            UPDATE Projects
+            SET status = @active,
+                lifecycleState = @active,
+                onHoldAt = NULL,
+                onHoldByOid = NULL,
+                onHoldReason = NULL,
+                expectedResumeDate = NULL,
+                lastActivityAt = @resumedAt
+                ${versioned ? ', editVersion = editVersion + 1' : ''}
+            ${versioned ? 'OUTPUT INSERTED.editVersion' : ''}
+            WHERE id = @id
+            ${versionCheck.expectedVersion !== null ? 'AND editVersion = @expectedVersion' : ''}
+        `);
+        if (versionCheck.expectedVersion !== null && resumeUpdate.rowsAffected[0] === 0) {
+            return sendProjectEditConflict(res, pool, id, { status: PROJECT_LIFECYCLE_STATES.ACTIVE });
+        }
+        const etag = formatEtag(resumeUpdate.recordset?.[0]?.editVersion);
+
+        invalidateProjectCache();
+        logAudit({ action: 'project.resume', entityType: 'project', entityId: String(id), entityTitle: before.title, user: getAuthUser(req), before, after: { status: PROJECT_LIFECYCLE_STATES.ACTIVE, lifecycleState: PROJECT_LIFECYCLE_STATES.ACTIVE, resumedAt }, req });
+        if (etag) res.set('ETag', etag);
+        res.json({
+            success: true,
+            status: PROJECT_LIFECYCLE_STATES.ACTIVE,
+            lifecycleState: PROJECT_LIFECYCLE_STATES.ACTIVE,
+            ...mapProjectHold({}),
+            lastActivityAt: resumedAt,
+            etag
+        });
+    } catch (err) {
+        handleError(res, 'resuming project', err);
+    }
+});
+
+// Deleted tasks and checklist items that can still be restored
+router.get('/:id/recycle-bin', checkPermission(['can_view_projects', 'can_view_exec_dashboard']), withSharedScope, checkProjectWriteAccess(), async (req, res) => {
+    try {
+        const projectId = Number.parseInt(req.params.id, 10);
+        if (Number.isNaN(projectId)) {
+            return res.status(400).json({ error: 'Invalid project id' });
+        }
+
+        const pool = await getPool();
+        const retentionDays = RETENTION_WINDOWS.recycleBinDays;
+        if (!(await hasRecycleBinSchema(pool))) {
+            return res.json({ schemaReady: false, tasks: [], checklistItems: [], retentionDays });
+        }
+
+        const bin = await listProjectRecycleBin(pool, projectId);
+        res.json({ schemaReady: true, ...bin, retentionDays });
+    } catch (err) {
+        handleError(res, 'fetching project recycle bin', err);
+    }
+});
+
 // Set tags for a project
 router.put('/:id/tags', checkPermission('can_edit_project'), withSharedScope, checkProjectWriteAccess(), requireProjectWriteAccess, async (req, res) => {
     try {
@@ -2234,18 +4878,71 @@ router.put('/:id/tags', checkPermission('can_edit_project'), withSharedScope, ch
     }
 });
 
+// Replace the project's custom field values; fields left out of the body are cleared.
+router.put('/:id/custom-fields', checkPermission('can_edit_project'), withSharedScope, checkProjectWriteAccess(), requireProjectWriteAccess, async (req, res) => {
+    try {
+        const projectId = parseInt(req.params.id, 10);
+        if (Number.isNaN(projectId)) {
+            return res.status(400).json({ error: 'Invalid project id' });
+        }
+
+        const pool = await getPool();
+        if (!(await hasCustomFieldSchema(pool))) {
+            return res.status(409).json({ error: CUSTOM_FIELD_SCHEMA_MISSING_ERROR });
+        }
+        const projectResult = await pool.request()
+            .input('id', sql.Int, projectId)
+            .query('SELECT id, title, orgId FROM Projects WHERE id = @id');
+        const project = projectResult.recordset[0];
+        if (!project) {
+            return res.status(404).json({ error: 'Project not found' });
+        }
+
+        const user = getAuthUser(req);
+        const saved = await replaceCustomFieldValues(pool, {
+            entityType: 'project',
+            entityId: projectId,
+            orgId: project.orgId,
+            rawValues: req.body?.customFields,
+            user
+        });
+        if (saved.error) {
+            return res.status(saved.status).json({ error: saved.error });
+        }
+
+        await touchProjectActivity(pool, projectId);
+        invalidateProjectCache();
+        logAudit({
+            action: 'project.custom_fields_update',
+            entityType: 'project',
+            entityId: projectId,
+            entityTitle: project.title,
+            user,
+            before: { customFields: saved.before },
+            after: { customFields: saved.values },
+            req
+        });
+        res.json({ customFields: saved.values });
+    } catch (err) {
+        handleError(res, 'updating project custom fields', err);
+    }
+});
+
 // Add task to project
 router.post('/:projectId/tasks', checkPermission('can_edit_project'), withSharedScope, checkProjectWriteAccess((req) => req.params.projectId), requireProjectWriteAccess, async (req, res) => {
     try {
-        const { title, status, priority, description, startDate, endDate, assigneeOid, blockerNote } = req.body;
+        const { title, status, priority, description, startDate, endDate, assigneeOid, blockerNote, estimatedHours, parentTaskId } = req.body;
         const normalizedTitle = typeof title === 'string' ? title.trim() : '';
         if (!normalizedTitle) {
             return res.status(400).json({ error: 'Missing required field: title' });
         }
 
-        const normalizedStatus = String(status || 'todo').trim().toLowerCase();
-        if (!TASK_STATUSES.has(normalizedStatus)) {
-            return res.status(400).json({ error: `Invalid task status. Allowed: ${Array.from(TASK_STATUSES).join(', ')}` });
+        const pool = await getPool();
+        const workflow = await loadTaskWorkflowContext(pool, { projectId: req.params.projectId });
+        const normalizedStatus = status ? String(status).trim().toLowerCase() : getInitialWorkflowStatus(workflow.states);
+        const workflowState = findWorkflowState(workflow.states, normalizedStatus);
+        if (!workflowState) {
+            return res.status(400).json({ error: `Invalid task status. Allowed: ${workflow.states.map((state) => state.key).join(', ')}` });
         }
 
         const normalizedPriority = String(priority || 'medium').trim().toLowerCase();
@@ -2266,7 +4963,14 @@ router.post('/:projectId/tasks', checkPermission('can_edit_project'), withShared
             return res.status(400).json({ error: 'endDate cannot be earlier than startDate.' });
         }
 
-        const pool = await getPool();
+        const normalizedEstimate = estimatedHours === undefined ? null : normalizeEstimatedHours(estimatedHours);
+        if (normalizedEstimate === undefined) {
+            return res.status(400).json({ error: `estimatedHours must be between 0 and ${MAX_TASK_ESTIMATE_HOURS}.` });
+        }
+
+        if (normalizedEstimate !== null && !(await hasTimeEntrySchema(pool))) {
+            return res.status(409).json({ error: TIME_ENTRY_SCHEMA_MISSING_ERROR });
+        }
         const normalizedAssigneeOid = normalizeTaskString(assigneeOid, 100);
         let assigneeName = null;
         if (normalizedAssigneeOid) {
@@ -2283,9 +4987,17 @@ router.post('/:projectId/tasks', checkPermission('can_edit_project'), withShared
             assigneeName = assignee.name || null;
         }
 
+        const parent = parentTaskId === undefined || parentTaskId === null || parentTaskId === ''
+            ? { parentTaskId: null }
+            : await checkTaskParent(pool, { projectId: parseInt(req.params.projectId), parentTaskId });
+        if (parent.error) {
+            return res.status(parent.status || 400).json({ error: parent.error });
+        }
+        const normalizedParentTaskId = parent.parentTaskId;
+
         const normalizedDescription = description === undefined || description === null ? '' : String(description);
         const normalizedBlockerNote = normalizeTaskString(blockerNote, 1000);
-        const persistedBlockerNote = normalizedStatus === 'blocked' ? normalizedBlockerNote : null;
+        const persistedBlockerNote = workflowState.category === 'blocked' ? normalizedBlockerNote : null;
 
         const result = await pool.request()
             .input('projectId', sql.Int, parseInt(req.params.projectId))
@@ -2298,10 +5010,13 @@ router.post('/:projectId/tasks', checkPermission('can_edit_project'), withShared
             .input('assigneeOid', sql.NVarChar(100), normalizedAssigneeOid)
             .input('blockerNote', sql.NVarChar(1000), persistedBlockerNote)
             .input('updatedAt', sql.DateTime2, new Date())
+            .input('estimatedHours', sql.Decimal(9, 2), normalizedEstimate)
+            .input('statusCategory', sql.NVarChar(20), workflowState.category)
+            .input('parentTaskId', sql.Int, normalizedParentTaskId)
             .query(`
-                INSERT INTO Tasks (projectId, title, status, priority, description, startDate, endDate, assigneeOid, blockerNote, updatedAt)
+                INSERT INTO Tasks (projectId, title, status, priority, description, startDate, endDate, assigneeOid, blockerNote, updatedAt${normalizedEstimate !== null ? ', estimatedHours' : ''}${workflow.schemaReady ? ', statusCategory' : ''}${normalizedParentTaskId !== null ? ', parentTaskId' : ''})
                 OUTPUT INSERTED.id
-                VALUES (@projectId, @title, @status, @priority, @description, @startDate, @endDate, @assigneeOid, @blockerNote, @updatedAt)
+                VALUES (@projectId, @title, @status, @priority, @description, @startDate, @endDate, @assigneeOid, @blockerNote, @updatedAt${normalizedEstimate !== null ? ', @estimatedHours' : ''}${workflow.schemaReady ? ', @statusCategory' : ''}${normalizedParentTaskId !== null ? ', @parentTaskId' : ''})
             `);
 
         await touchProjectActivity(pool, req.params.projectId);
@@ -2320,7 +5035,9 @@ router.post('/:projectId/tasks', checkPermission('can_edit_project'), withShared
                 startDate: normalizedStartDate,
                 endDate: normalizedEndDate,
                 assigneeOid: normalizedAssigneeOid,
-                blockerNote: persistedBlockerNote
+                blockerNote: persistedBlockerNote,
+                estimatedHours: normalizedEstimate,
+                parentTaskId: normalizedParentTaskId
             },
             metadata: { projectId: req.params.projectId },
             req
@@ -2329,6 +5046,7 @@ router.post('/:projectId/tasks', checkPermission('can_edit_project'), withShared
             id: newId,
             title: normalizedTitle,
             status: normalizedStatus,
+            statusCategory: workflowState.category,
             priority: normalizedPriority,
             description: normalizedDescription,
             startDate: normalizedStartDate,
@@ -2337,7 +5055,10 @@ router.post('/:projectId/tasks', checkPermission('can_edit_project'), withShared
             assigneeName,
             blockerNote: persistedBlockerNote,
             checklistTotal: 0,
-            checklistDone: 0
+            checklistDone: 0,
+            estimatedHours: normalizedEstimate,
+            actualHours: 0,
+            parentTaskId: normalizedParentTaskId === null ? null : String(normalizedParentTaskId)
         });
     } catch (err) {
         handleError(res, 'creating task', err);
@@ -2362,6 +5083,7 @@ router.get('/:projectId/reports', checkPermission(['can_view_projects', 'can_vie
             ...JSON.parse(r.reportData || '{}')
         }));
 
+        await attachRaidItemsToReports(pool, reports);
         res.json(reports);
     } catch (err) {
         handleError(res, 'fetching status reports', err);
@@ -2380,6 +5102,10 @@ router.post('/:projectId/reports', checkPermission('can_create_status_reports'),
         }
 
         const pool = await getPool();
+        if (reportData.raidItemIds !== undefined) {
+            reportData.raidItemIds = await filterProjectRaidItemIds(pool, req.params.projectId, reportData.raidItemIds);
+        }
+        delete reportData.raidItems;
 
         // Get next version number
         const versionResult = await pool.request()
@@ -2400,14 +5126,15 @@ router.post('/:projectId/reports', checkPermission('can_create_status_reports'),
         invalidateProjectCache();
         const newReportId = result.recordset[0].id.toString();
         logAudit({ action: 'report.create', entityType: 'report', entityId: newReportId, entityTitle: `v${nextVersion}`, user: getAuthUser(req), after: { version: nextVersion, createdBy, restoredFrom }, metadata: { projectId: req.params.projectId }, req });
-        res.json({
+        const [savedReport] = await attachRaidItemsToReports(pool, [{
             id: result.recordset[0].id.toString(),
             version: nextVersion,
             createdBy,
             createdAt: result.recordset[0].createdAt,
             restoredFrom,
             ...reportData
-        });
+        }]);
+        res.json(savedReport);
     } catch (err) {
         handleError(res, 'creating status report', err);
     }
@@ -2430,7 +5157,7 @@ router.get('/:id/activity', checkPermission('can_view_projects'), withSharedScop
             .query(`
                 SELECT COUNT(*) as total FROM AuditLog
                 WHERE (entityType = 'project' AND entityId = @projectId)
-                   OR (entityType IN ('task', 'report') AND JSON_VALUE(metadata, '$.projectId') = @projectId)
+                   OR (entityType IN ('task', 'task-comment', 'task-time-entry', 'attachment', 'project_milestone', 'project_baseline', 'report') AND JSON_VALUE(metadata, '$.projectId') = @projectId)
                    OR (entityType = 'project' AND entityId = @projectId AND action = 'project.tags_update')
             `);
 
@@ -2444,7 +5171,7 @@ router.get('/:id/activity', checkPermission('can_view_projects'), withSharedScop
                 SELECT id, action, entityType, entityId, entityTitle, userName, createdAt
                 FROM AuditLog
                 WHERE (entityType = 'project' AND entityId = @projectId)
-                   OR (entityType IN ('task', 'report') AND JSON_VALUE(metadata, '$.projectId') = @projectId)
+                   OR (entityType IN ('task', 'task-comment', 'task-time-entry', 'attachment', 'project_milestone', 'project_baseline', 'report') AND JSON_VALUE(metadata, '$.projectId') = @projectId)
                 ORDER BY createdAt DESC
                 OFFSET @offset ROWS FETCH NEXT @limit ROWS ONLY
             `);
@@ -10,6 +10,11 @@ import {
     buildLifecycleInClause,
     getProjectLifecycleViewStates
 } from '../utils/lifecycle.js';
+import { hasTaskWorkflowSchema, taskStatusCategorySql } from '../utils/taskWorkflows.js';
+import { hasRecycleBinSchema, notDeletedSql } from '../utils/recycleBin.js';
+import { fetchFinancialSummaryByProject } from '../utils/projectFinancials.js';
+import { buildCustomFieldFilterConditions, hasCustomFieldSchema } from '../utils/customFields.js';
+import { normalizeCustomFieldFilters } from '../../shared/customFields.js';
 
 const router = express.Router();
 
@@ -122,7 +127,9 @@ const normalizePackPayload = (payload = {}, fallback = null) => {
         tagIds: normalizeIntArray(rawFilters.tagIds),
         statuses: parseStringArray(rawFilters.statuses).map((status) => status.toLowerCase()),
         watchedOnly: !!rawFilters.watchedOnly,
-        includeArchived: !!rawFilters.includeArchived
+        includeArchived: !!rawFilters.includeArchived,
+        includeFinancials: !!rawFilters.includeFinancials,
+        customFields: normalizeCustomFieldFilters(rawFilters.customFields)
     };
 
     return {
@@ -418,6 +425,33 @@ const buildProjectScopeWhere = (orgScoped) => {
     `;
 };
 
+// Optional pack section: portfolio budget, forecast and actuals with the largest forecast overruns.
+const computePackFinancials = async (pool, projects) => {
+    const summaries = await fetchFinancialSummaryByProject(pool, projects.map((project) => Number.parseInt(project.id, 10)));
+    const totals = { budget: 0, forecast: 0, actual: 0 };
+    const overruns = [];
+    projects.forEach((project) => {
+        const summary = summaries.get(project.id);
+        if (!summary) return;
+        totals.budget += summary.budget;
+        totals.forecast += summary.forecast;
+        totals.actual += summary.actual;
+        if (summary.variance > 0) {
+            overruns.push({ id: project.id, title: project.title, variance: summary.variance, variancePct: summary.variancePct });
+        }
+    });
+
+    const round = (value) => Math.round(value * 100) / 100;
+    return {
+        fundedProjectCount: summaries.size,
+        budget: round(totals.budget),
+        forecast: round(totals.forecast),
+        actual: round(totals.actual),
+        variance: round(totals.forecast - totals.budget),
+        topOverruns: overruns.sort((a, b) => b.variance - a.variance).slice(0, 10)
+    };
+};
+
 const computePackSummary = async ({ pool, orgId, viewerOid, pack, lastRunAt }) => {
     const whereConditions = [buildProjectScopeWhere(orgId !== null && orgId !== undefined)];
     const params = {
@@ -451,7 +485,17 @@ const computePackSummary = async ({ pool, orgId, viewerOid, pack, lastRunAt }) =
         whereConditions.push('EXISTS (SELECT 1 FROM ProjectWatchers pw WHERE pw.projectId = p.id AND pw.userOid = @viewerOid)');
     }
 
+    // Packs saved before custom fields existed (or whose schema is missing) simply skip this filter.
+    const customFieldFilters = normalizeCustomFieldFilters(pack.filters?.customFields);
+    if (Object.keys(customFieldFilters).length > 0 && await hasCustomFieldSchema(pool)) {
+        const { conditions, params: customFieldParams } = buildCustomFieldFilterConditions(customFieldFilters);
+        Object.assign(params, customFieldParams);
+        whereConditions.push(...conditions);
+    }
+
     const whereClause = `WHERE ${whereConditions.join(' AND ')}`;
+    const taskCategory = taskStatusCategorySql('t.', await hasTaskWorkflowSchema(pool));
+    const liveTask = notDeletedSql('t.', await hasRecycleBinSchema(pool));
     const request = pool.request();
     addParams(request, params);
 
@@ -472,8 +516,10 @@ const computePackSummary = async ({ pool, orgId, viewerOid, pack, lastRunAt }) =
             SELECT COUNT(*) AS overdueCount
             FROM Tasks t
             WHERE t.projectId = p.id
-              AND t.status <> 'done'
+              AND ${liveTask}
+              AND ${taskCategory} <> 'done'
               AND t.endDate < CAST(GETDATE() AS DATE)
+              AND p.lifecycleState <> 'on-hold'
         ) ot
         ${whereClause}
     `);
@@ -525,6 +571,10 @@ const computePackSummary = async ({ pool, orgId, viewerOid, pack, lastRunAt }) =
         changedReportsCount = Number(deltaResult.recordset[0]?.changedReports || 0);
     }
 
+    const financials = pack.filters?.includeFinancials
+        ? await computePackFinancials(pool, filteredProjects)
+        : null;
+
     return {
         generatedAt: new Date().toISOString(),
         totalProjects: filteredProjects.length,
@@ -535,7 +585,8 @@ const computePackSummary = async ({ pool, orgId, viewerOid, pack, lastRunAt }) =
         changedReportsCount,
         exceptionOnly: !!pack.exceptionOnly,
         includeArchived: !!pack.filters?.includeArchived,
-        topExceptions
+        topExceptions,
+        ...(financials ? { financials } : {})
     };
 };
 
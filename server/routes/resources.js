@@ -0,0 +1,123 @@
+import express from 'express';
+import { getPool, sql } from '../db.js';
+import { checkPermission } from '../middleware/authMiddleware.js';
+import { withSharedScope } from '../middleware/orgScope.js';
+import { handleError } from '../utils/errorHandler.js';
+import { addParams } from '../utils/sqlHelpers.js';
+import { ACTIVE_PROJECT_LIFECYCLE_STATES, buildLifecycleInClause } from '../utils/lifecycle.js';
+import { hasTaskWorkflowSchema, taskStatusCategorySql } from '../utils/taskWorkflows.js';
+import { hasTimeEntrySchema } from '../utils/timeEntries.js';
+import { hasRecycleBinSchema, notDeletedSql } from '../utils/recycleBin.js';
+import {
+    DEFAULT_WEEKLY_CAPACITY_HOURS,
+    MAX_WEEKLY_CAPACITY_HOURS,
+    RESOURCE_BUCKET_SIZES,
+    buildResourceBuckets,
+    buildResourceHeatmap
+} from '../../shared/resourceAllocation.js';
+
+const router = express.Router();
+
+const toDateOnly = (value) => (value ? new Date(value).toISOString().slice(0, 10) : null);
+
+// Open assigned work per user and per organization, bucketed by week or month.
+// Only tasks on projects visible to the caller's organization are counted.
+router.get('/heatmap', checkPermission(['can_view_exec_dashboard', 'can_view_governance_queue']), withSharedScope, async (req, res) => {
+    try {
+        const bucketSize = String(req.query.bucket || 'week').toLowerCase();
+        if (!RESOURCE_BUCKET_SIZES.includes(bucketSize)) {
+            return res.status(400).json({ error: `Invalid bucket. Allowed: ${RESOURCE_BUCKET_SIZES.join(', ')}` });
+        }
+        const from = req.query.from ? String(req.query.from) : null;
+        if (from && (!/^\d{4}-\d{2}-\d{2}$/.test(from) || Number.isNaN(Date.parse(`${from}T00:00:00Z`)))) {
+            return res.status(400).json({ error: 'Invalid from. Use YYYY-MM-DD format.' });
+        }
+        const weeklyCapacityHours = req.query.weeklyCapacityHours === undefined
+            ? DEFAULT_WEEKLY_CAPACITY_HOURS
+            : Number(req.query.weeklyCapacityHours);
+        if (!Number.isFinite(weeklyCapacityHours) || weeklyCapacityHours <= 0 || weeklyCapacityHours > MAX_WEEKLY_CAPACITY_HOURS) {
+            return res.status(400).json({ error: `weeklyCapacityHours must be between 0 and ${MAX_WEEKLY_CAPACITY_HOURS}` });
+        }
+
+        const buckets = buildResourceBuckets({ start: from || new Date(), size: bucketSize, count: req.query.buckets });
+        const horizonEnd = buckets[buckets.length - 1].end;
+
+        const pool = await getPool();
+        const [workflowReady, estimateReady, binReady] = await Promise.all([
+            hasTaskWorkflowSchema(pool),
+            hasTimeEntrySchema(pool),
+            hasRecycleBinSchema(pool)
+        ]);
+        const { text: lifecycleText, params: lifecycleParams } = buildLifecycleInClause('resourceLifecycle', ACTIVE_PROJECT_LIFECYCLE_STATES);
+
+        const request = pool.request().input('horizonEnd', sql.Date, horizonEnd);
+        addParams(request, lifecycleParams);
+        let scopeClause = '';
+        if (req.orgId) {
+            request.input('orgId', sql.Int, req.orgId);
+            scopeClause = `AND (
+                p.orgId = @orgId
+                OR p.id IN (
+                    SELECT projectId
+                    FROM ProjectOrgAccess
+                    WHERE orgId = @orgId
+                      AND (expiresAt IS NULL OR expiresAt > GETDATE())
+                )
+            )`;
+        }
+
+        const result = await request.query(`
+            SELECT
+                t.id,
+                t.title,
+                t.status,
+                t.startDate,
+                t.endDate,
+                ${estimateReady ? 't.estimatedHours' : 'NULL'} AS estimatedHours,
+                t.assigneeOid,
+                t.projectId,
+                p.title AS projectTitle,
+                u.name AS assigneeName,
+                u.orgId AS assigneeOrgId,
+                o.name AS assigneeOrgName
+            FROM Tasks t
+            INNER JOIN Projects p ON p.id = t.projectId
+            LEFT JOIN Users u ON u.oid = t.assigneeOid
+            LEFT JOIN Organizations o ON o.id = u.orgId
+            WHERE t.assigneeOid IS NOT NULL
+              AND ${notDeletedSql('t.', binReady)}
+              AND ${taskStatusCategorySql('t.', workflowReady)} <> 'done'
+              AND p.lifecycleState IN (${lifecycleText})
+              AND (t.startDate IS NULL OR t.startDate < @horizonEnd)
+              ${scopeClause}
+        `);
+
+        const tasks = result.recordset.map((row) => ({
+            id: String(row.id),
+            title: row.title,
+            status: row.status,
+            startDate: toDateOnly(row.startDate),
+            endDate: toDateOnly(row.endDate),
+            estimatedHours: row.estimatedHours === null || row.estimatedHours === undefined ? null : Number(row.estimatedHours),
+            assigneeOid: row.assigneeOid,
+            assigneeName: row.assigneeName || null,
+            assigneeOrgId: row.assigneeOrgId === null || row.assigneeOrgId === undefined ? null : String(row.assigneeOrgId),
+            assigneeOrgName: row.assigneeOrgName || null,
+            projectId: String(row.projectId),
+            projectTitle: row.projectTitle
+        }));
+
+        res.json({
+            bucket: bucketSize,
+            weeklyCapacityHours,
+            estimatesAvailable: estimateReady,
+            buckets,
+            ...buildResourceHeatmap({ tasks, buckets, weeklyCapacityHours }),
+            tasks
+        });
+    } catch (err) {
+        handleError(res, 'building resource heatmap', err);
+    }
+});
+
+export default router;
@@ -0,0 +1,177 @@
+import express from 'express';
+import { getPool, sql } from '../db.js';
+import { checkPermission, getAuthUser } from '../middleware/authMiddleware.js';
+import { handleError } from '../utils/errorHandler.js';
+import { logAudit } from '../utils/auditLogger.js';
+import { parseOptionalOrgId, resolveRequestOrgId } from '../utils/orgOwnership.js';
+import {
+    RISK_MODEL_SCHEMA_MISSING_ERROR,
+    describeRiskModelVersion,
+    hasRiskModelSchema,
+    loadEffectiveRiskModels,
+    loadRiskModelVersions,
+    mapRiskModelVersionRow,
+    parseRiskModelVersionInput
+} from '../utils/riskModels.js';
+import { DEFAULT_RISK_MODEL } from '../../shared/riskModel.js';
+
+const router = express.Router();
+
+// Effective model and version history for an organization. Weights are not sensitive,
+// so exec viewers may read them to understand how scores are produced.
+router.get('/', checkPermission(['can_view_exec_dashboard', 'can_manage_risk_model']), async (req, res) => {
+    try {
+        const requestedOrgId = parseOptionalOrgId(req.query.orgId);
+        if (Number.isNaN(requestedOrgId)) {
+            return res.status(400).json({ error: 'Invalid orgId' });
+        }
+        const orgId = requestedOrgId ?? parseOptionalOrgId(req.user?.orgId);
+
+        const pool = await getPool();
+        const schemaReady = await hasRiskModelSchema(pool);
+        if (!schemaReady || !Number.isFinite(orgId)) {
+            return res.json({
+                schemaReady,
+                orgId: Number.isFinite(orgId) ? String(orgId) : null,
+                effective: { modelVersion: null, model: DEFAULT_RISK_MODEL },
+                versions: []
+            });
+        }
+
+        const effective = (await loadEffectiveRiskModels(pool, [orgId])).get(String(orgId)) || null;
+        const versions = await loadRiskModelVersions(pool, orgId);
+        res.json({
+            schemaReady,
+            orgId: String(orgId),
+            effective: {
+                modelVersion: describeRiskModelVersion(effective),
+                model: effective?.model || DEFAULT_RISK_MODEL
+            },
+            versions
+        });
+    } catch (err) {
+        handleError(res, 'fetching risk model', err);
+    }
+});
+
+// Versions are append-only; a change is published as a new version with an effective date.
+router.post('/org/:orgId/versions', checkPermission('can_manage_risk_model'), async (req, res) => {
+    try {
+        const input = parseRiskModelVersionInput(req.body);
+        if (input.error) {
+            return res.status(400).json({ error: input.error });
+        }
+
+        const pool = await getPool();
+        if (!(await hasRiskModelSchema(pool))) {
+            return res.status(409).json({ error: RISK_MODEL_SCHEMA_MISSING_ERROR });
+        }
+        const orgId = await resolveRequestOrgId(pool, req, res, req.params.orgId);
+        if (orgId === null) return;
+
+        // Scores already produced keep the model they were produced with, so no backdating.
+        const todayResult = await pool.request().query('SELECT CAST(GETDATE() AS DATE) AS today');
+        const today = todayResult.recordset[0].today.toISOString().slice(0, 10);
+        const effectiveFrom = input.effectiveFrom || today;
+        if (effectiveFrom < today) {
+            return res.status(400).json({ error: 'effectiveFrom cannot be in the past.' });
+        }
+
+        const user = getAuthUser(req);
+        const tx = pool.transaction();
+        await tx.begin();
+        let row;
+        try {
+            const result = await tx.request()
+                .input('orgId', sql.Int, orgId)
+                .input('name', sql.NVarChar(120), input.name)
+                .input('effectiveFrom', sql.Date, effectiveFrom)
+                .input('model', sql.NVarChar(sql.MAX), JSON.stringify(input.model))
+                .input('createdByOid', sql.NVarChar(100), user?.oid || null)
+                .query(`
+                    DECLARE @nextVersion INT = (
+                        SELECT COALESCE(MAX(version), 0) + 1
+                        FROM RiskModelVersions WITH (UPDLOCK, HOLDLOCK)
+                        WHERE orgId = @orgId
+                    );
+                    INSERT INTO RiskModelVersions (orgId, version, name, model, effectiveFrom, createdByOid)
+                    OUTPUT INSERTED.*
+                    VALUES (@orgId, @nextVersion, @name, @model, @effectiveFrom, @createdByOid);
+                `);
+            row = result.recordset[0];
+            await tx.commit();
+        } catch (txErr) {
+            await tx.rollback();
+            throw txErr;
+        }
+
+        const version = mapRiskModelVersionRow(row);
+        logAudit({
+            action: 'risk_model.publish',
+            entityType: 'risk_model',
+            entityId: version.id,
+            entityTitle: `${version.name} (v${version.version})`,
+            user,
+            after: { version: version.version, effectiveFrom: version.effectiveFrom, model: version.model },
+            metadata: { orgId: String(orgId) },
+            req
+        });
+        res.status(201).json(version);
+    } catch (err) {
+        handleError(res, 'publishing risk model version', err);
+    }
+});
+
+// Only versions that have not taken effect can be withdrawn; the rest explain past scores.
+router.delete('/org/:orgId/versions/:versionId', checkPermission('can_manage_risk_model'), async (req, res) => {
+    try {
+        const versionId = Number.parseInt(req.params.versionId, 10);
+        if (Number.isNaN(versionId)) {
+            return res.status(400).json({ error: 'Invalid version id' });
+        }
+
+        const pool = await getPool();
+        if (!(await hasRiskModelSchema(pool))) {
+            return res.status(409).json({ error: RISK_MODEL_SCHEMA_MISSING_ERROR });
+        }
+        const orgId = await resolveRequestOrgId(pool, req, res, req.params.orgId);
+        if (orgId === null) return;
+
+        const existing = await pool.request()
+            .input('id', sql.Int, versionId)
+            .input('orgId', sql.Int, orgId)
+            .query(`
+                SELECT *, CAST(CASE WHEN effectiveFrom > CAST(GETDATE() AS DATE) THEN 1 ELSE 0 END AS BIT) AS isScheduled
+                FROM RiskModelVersions
+                WHERE id = @id AND orgId = @orgId
+            `);
+        const row = existing.recordset[0];
+        if (!row) {
+            return res.status(404).json({ error: 'Risk model version not found' });
+        }
+        if (!row.isScheduled) {
+            return res.status(409).json({ error: 'Only versions that have not taken effect yet can be withdrawn.' });
+        }
+
+        await pool.request()
+            .input('id', sql.Int, versionId)
+            .query('DELETE FROM RiskModelVersions WHERE id = @id');
+
+        const version = mapRiskModelVersionRow(row);
+        logAudit({
+            action: 'risk_model.delete',
+            entityType: 'risk_model',
+            entityId: version.id,
+            entityTitle: `${version.name} (v${version.version})`,
+            user: getAuthUser(req),
+            before: { version: version.version, effectiveFrom: version.effectiveFrom },
+            metadata: { orgId: String(orgId) },
+            req
+        });
+        res.json({ success: true });
+    } catch (err) {
+        handleError(res, 'withdrawing risk model version', err);
+    }
+});
+
+export default router;
@@ -0,0 +1,132 @@
+import express from 'express';
+import { getPool, sql } from '../db.js';
+import { checkPermission, getAuthUser } from '../middleware/authMiddleware.js';
+import { handleError } from '../utils/errorHandler.js';
+import { logAudit } from '../utils/auditLogger.js';
+import { parseOptionalOrgId, resolveRequestOrgId } from '../utils/orgOwnership.js';
+import {
+    DEFAULT_STAGE_GATE_MODEL,
+    STAGE_GATE_SCHEMA_MISSING_ERROR,
+    hasStageGateSchema,
+    loadOrgStageGateModel,
+    parseStageGateModelInput
+} from '../utils/stageGates.js';
+
+const router = express.Router();
+
+// Effective model for an organization (the built-in phases when it has none).
+router.get('/', checkPermission(['can_view_projects', 'can_manage_governance']), async (req, res) => {
+    try {
+        const requestedOrgId = parseOptionalOrgId(req.query.orgId);
+        if (Number.isNaN(requestedOrgId)) {
+            return res.status(400).json({ error: 'Invalid orgId' });
+        }
+        const orgId = requestedOrgId ?? parseOptionalOrgId(req.user?.orgId);
+
+        const pool = await getPool();
+        const schemaReady = await hasStageGateSchema(pool);
+        const model = schemaReady && Number.isFinite(orgId)
+            ? await loadOrgStageGateModel(pool, orgId, { schemaReady })
+            : DEFAULT_STAGE_GATE_MODEL;
+        res.json({ schemaReady, orgId: Number.isFinite(orgId) ? String(orgId) : null, model });
+    } catch (err) {
+        handleError(res, 'fetching stage-gate model', err);
+    }
+});
+
+// Saving a model only affects projects that enter the lifecycle afterwards; running
+// projects keep the phases they started with.
+router.put('/org/:orgId', checkPermission('can_manage_governance'), async (req, res) => {
+    try {
+        const input = parseStageGateModelInput(req.body);
+        if (input.error) {
+            return res.status(400).json({ error: input.error });
+        }
+
+        const pool = await getPool();
+        if (!(await hasStageGateSchema(pool))) {
+            return res.status(409).json({ error: STAGE_GATE_SCHEMA_MISSING_ERROR });
+        }
+        const orgId = await resolveRequestOrgId(pool, req, res, req.params.orgId);
+        if (orgId === null) return;
+
+        if (input.boardId !== null) {
+            const board = await pool.request()
+                .input('boardId', sql.Int, input.boardId)
+                .query('SELECT TOP 1 id, orgId, isActive FROM GovernanceBoard WHERE id = @boardId');
+            const row = board.recordset[0];
+            if (!row || !row.isActive) {
+                return res.status(400).json({ error: 'Governance board not found or inactive' });
+            }
+            if (row.orgId !== null && Number(row.orgId) !== orgId) {
+                return res.status(400).json({ error: 'Governance board belongs to another organization' });
+            }
+        }
+
+        const before = await loadOrgStageGateModel(pool, orgId, { schemaReady: true });
+        const user = getAuthUser(req);
+        await pool.request()
+            .input('orgId', sql.Int, orgId)
+            .input('name', sql.NVarChar(255), input.name)
+            .input('phases', sql.NVarChar(sql.MAX), JSON.stringify(input.phases))
+            .input('boardId', sql.Int, input.boardId)
+            .input('userOid', sql.NVarChar(100), user?.oid || null)
+            .query(`
+                MERGE StageGateModels AS target
+                USING (SELECT @orgId AS orgId) AS source
+                ON target.orgId = source.orgId
+                WHEN MATCHED THEN
+                    UPDATE SET name = @name, phases = @phases, boardId = @boardId, updatedByOid = @userOid, updatedAt = GETDATE()
+                WHEN NOT MATCHED THEN
+                    INSERT (orgId, name, phases, boardId, createdByOid, updatedByOid)
+                    VALUES (@orgId, @name, @phases, @boardId, @userOid, @userOid);
+            `);
+        const model = await loadOrgStageGateModel(pool, orgId, { schemaReady: true });
+
+        logAudit({
+            action: 'stage_gate_model.update',
+            entityType: 'stage_gate_model',
+            entityId: model.id,
+            entityTitle: input.name,
+            user,
+            before: { phases: before.phases.map((phase) => phase.key), boardId: before.boardId },
+            after: { phases: input.phases.map((phase) => phase.key), boardId: model.boardId },
+            metadata: { orgId: String(orgId) },
+            req
+        });
+        res.json(model);
+    } catch (err) {
+        handleError(res, 'saving stage-gate model', err);
+    }
+});
+
+// New projects in the organization return to the built-in phases.
+router.delete('/org/:orgId', checkPermission('can_manage_governance'), async (req, res) => {
+    try {
+        const pool = await getPool();
+        if (!(await hasStageGateSchema(pool))) {
+            return res.status(409).json({ error: STAGE_GATE_SCHEMA_MISSING_ERROR });
+        }
+        const orgId = await resolveRequestOrgId(pool, req, res, req.params.orgId);
+        if (orgId === null) return;
+
+        await pool.request()
+            .input('orgId', sql.Int, orgId)
+            .query('DELETE FROM StageGateModels WHERE orgId = @orgId');
+
+        logAudit({
+            action: 'stage_gate_model.delete',
+            entityType: 'stage_gate_model',
+            entityId: String(orgId),
+            entityTitle: 'Organization stage-gate model',
+            user: getAuthUser(req),
+            metadata: { orgId: String(orgId) },
+            req
+        });
+        res.json(DEFAULT_STAGE_GATE_MODEL);
+    } catch (err) {
+        handleError(res, 'removing stage-gate model', err);
+    }
+});
+
+export default router;
@@ -0,0 +1,118 @@
+import express from 'express';
+import { getPool } from '../db.js';
+import { checkPermission, getAuthUser } from '../middleware/authMiddleware.js';
+import { handleError } from '../utils/errorHandler.js';
+import { logAudit } from '../utils/auditLogger.js';
+import { invalidateProjectCache } from '../utils/cache.js';
+import { parseOptionalOrgId, resolveRequestOrgId } from '../utils/orgOwnership.js';
+import {
+    DEFAULT_TASK_WORKFLOW,
+    TASK_WORKFLOW_SCHEMA_MISSING_ERROR,
+    deleteTaskWorkflow,
+    hasTaskWorkflowSchema,
+    loadOrgTaskWorkflow,
+    parseTaskWorkflowInput,
+    saveTaskWorkflow
+} from '../utils/taskWorkflows.js';
+
+const router = express.Router();
+
+// Effective workflow for an organization (the built-in states when it has none). States are not
+// sensitive, so any project viewer may read another org's workflow, e.g. for a shared project.
+router.get('/', checkPermission(['can_view_projects', 'can_manage_task_workflows']), async (req, res) => {
+    try {
+        const requestedOrgId = parseOptionalOrgId(req.query.orgId);
+        if (Number.isNaN(requestedOrgId)) {
+            return res.status(400).json({ error: 'Invalid orgId' });
+        }
+        const orgId = requestedOrgId ?? parseOptionalOrgId(req.user?.orgId);
+
+        const pool = await getPool();
+        const schemaReady = await hasTaskWorkflowSchema(pool);
+        const workflow = schemaReady && Number.isFinite(orgId)
+            ? await loadOrgTaskWorkflow(pool, orgId, { schemaReady })
+            : DEFAULT_TASK_WORKFLOW;
+        res.json({ schemaReady, orgId: Number.isFinite(orgId) ? String(orgId) : null, workflow });
+    } catch (err) {
+        handleError(res, 'fetching task workflow', err);
+    }
+});
+
+router.put('/org/:orgId', checkPermission('can_manage_task_workflows'), async (req, res) => {
+    try {
+        const input = parseTaskWorkflowInput(req.body);
+        if (input.error) {
+            return res.status(400).json({ error: input.error });
+        }
+
+        const pool = await getPool();
+        if (!(await hasTaskWorkflowSchema(pool))) {
+            return res.status(409).json({ error: TASK_WORKFLOW_SCHEMA_MISSING_ERROR });
+        }
+        const orgId = await resolveRequestOrgId(pool, req, res, req.params.orgId);
+        if (orgId === null) return;
+
+        const before = await loadOrgTaskWorkflow(pool, orgId, { schemaReady: true });
+        const user = getAuthUser(req);
+        const saved = await saveTaskWorkflow(pool, {
+            scope: { orgId },
+            name: input.name,
+            states: input.states,
+            remap: req.body?.remap,
+            userOid: user?.oid
+        });
+        if (saved.error) {
+            return res.status(saved.status).json({ error: saved.error, unmappedStatuses: saved.unmappedStatuses });
+        }
+
+        invalidateProjectCache();
+        logAudit({
+            action: 'task_workflow.update',
+            entityType: 'task_workflow',
+            entityId: saved.workflow.id,
+            entityTitle: input.name,
+            user,
+            before: { scope: before.scope, states: before.states.map((state) => state.key) },
+            after: { scope: 'org', states: input.states.map((state) => state.key), remap: req.body?.remap || null },
+            metadata: { orgId: String(orgId) },
+            req
+        });
+        res.json(saved.workflow);
+    } catch (err) {
+        handleError(res, 'saving organization task workflow', err);
+    }
+});
+
+// Projects without their own workflow return to the built-in states.
+router.delete('/org/:orgId', checkPermission('can_manage_task_workflows'), async (req, res) => {
+    try {
+        const pool = await getPool();
+        if (!(await hasTaskWorkflowSchema(pool))) {
+            return res.status(409).json({ error: TASK_WORKFLOW_SCHEMA_MISSING_ERROR });
+        }
+        const orgId = await resolveRequestOrgId(pool, req, res, req.params.orgId);
+        if (orgId === null) return;
+
+        const deleted = await deleteTaskWorkflow(pool, { scope: { orgId }, remap: req.body?.remap });
+        if (deleted.error) {
+            return res.status(deleted.status).json({ error: deleted.error, unmappedStatuses: deleted.unmappedStatuses });
+        }
+
+        invalidateProjectCache();
+        logAudit({
+            action: 'task_workflow.delete',
+            entityType: 'task_workflow',
+            entityId: String(orgId),
+            entityTitle: 'Organization workflow',
+            user: getAuthUser(req),
+            after: { scope: deleted.workflow.scope, remap: req.body?.remap || null },
+            metadata: { orgId: String(orgId) },
+            req
+        });
+        res.json(deleted.workflow);
+    } catch (err) {
+        handleError(res, 'removing organization task workflow', err);
+    }
+});
+
+export default router;
@@ -1,15 +1,44 @@
 import express from 'express';
 import { getPool, sql } from '../db.js';
 import { checkPermission, getAuthUser } from '../middleware/authMiddleware.js';
-import { withSharedScope, checkTaskWriteAccess, requireProjectWriteAccess } from '../middleware/orgScope.js';
+import { withSharedScope, checkProjectWriteAccess, checkTaskWriteAccess, requireProjectWriteAccess } from '../middleware/orgScope.js';
 import { handleError } from '../utils/errorHandler.js';
 import { logAudit } from '../utils/auditLogger.js';
 import { invalidateProjectCache } from '../utils/cache.js';
 import { touchProjectActivity } from '../utils/lifecycle.js';
+import { buildInClause, addParams } from '../utils/sqlHelpers.js';
+import {
+    TASK_DEPENDENCY_TYPES,
+    MAX_DEPENDENCY_LAG_DAYS,
+    normalizeDependencyType,
+    normalizeLagDays,
+    wouldCreateDependencyCycle
+} from '../../shared/taskDependencies.js';
+import { MAX_COMMENT_LENGTH, extractMentionOids, stripMentionTokens } from '../../shared/mentions.js';
+import { fetchAssignableUsersByOid } from '../utils/assignableUsers.js';
+import { isAdminUser } from '../utils/orgOwnership.js';
+import { removeStoredAttachments } from '../utils/attachments.js';
+import {
+    MAX_TIME_ENTRY_HOURS,
+    MAX_TIME_ENTRY_NOTE_LENGTH,
+    MAX_TASK_ESTIMATE_HOURS,
+    normalizeTimeEntryHours,
+    normalizeEstimatedHours
+} from '../../shared/timeEntries.js';
+import { TIME_ENTRY_SCHEMA_MISSING_ERROR, hasTimeEntrySchema, mapTimeEntryRow } from '../utils/timeEntries.js';
+import { MAX_BULK_TASK_UPDATES } from '../../shared/taskBulk.js';
+import { findWorkflowState, getStatusCategory, getStatusLabel, isWorkflowTransitionAllowed } from '../../shared/taskWorkflows.js';
+import { loadTaskWorkflowContext } from '../utils/taskWorkflows.js';
+import { formatWipLimitViolation } from '../../shared/wipLimits.js';
+import { findWipMoveViolation } from '../utils/wipLimits.js';
+import { CUSTOM_FIELD_SCHEMA_MISSING_ERROR, hasCustomFieldSchema, replaceCustomFieldValues } from '../utils/customFields.js';
+import { checkTaskParent } from '../utils/subtasks.js';
+import { checkIfMatch, formatEtag, hasEditVersionSchema, sendEditConflict } from '../utils/editVersions.js';
+import { RECYCLE_BIN_SCHEMA_MISSING_ERROR, getRecycleBinPurgeDate, hasRecycleBinSchema, notDeletedSql, purgeTask } from '../utils/recycleBin.js';
+import { TASK_DEPENDENCY_SCHEMA_MISSING_ERROR, hasTaskDependencySchema } from '../utils/taskDependencies.js';
 
 const router = express.Router();
 
-const TASK_STATUSES = new Set(['todo', 'in-progress', 'blocked', 'review', 'done']);
 const TASK_PRIORITIES = new Set(['low', 'medium', 'high']);
 
 const toDateOnly = (value) => {
@@ -28,12 +57,6 @@ const normalizeTaskString = (value, maxLength = 0) => {
     return trimmed;
 };
 
-const coerceTaskStatus = (value) => {
-    if (value === undefined) return undefined;
-    const normalized = String(value || '').trim().toLowerCase();
-    return TASK_STATUSES.has(normalized) ? normalized : null;
-};
-
 const coerceTaskPriority = (value) => {
     if (value === undefined) return undefined;
     const normalized = String(value || '').trim().toLowerCase();
@@ -55,149 +78,398 @@ const validateAssignee = async (pool, assigneeOid, orgId) => {
     return { assigneeName: assignee.name || null };
 };
 
-// Update task
-router.put('/:id', checkPermission('can_edit_project'), withSharedScope, checkTaskWriteAccess(), requireProjectWriteAccess, async (req, res) => {
-    try {
-        const { title, status, priority, description, startDate, endDate, assigneeOid, blockerNote } = req.body;
-        const id = parseInt(req.params.id, 10);
-        if (Number.isNaN(id)) {
-            return res.status(400).json({ error: 'Invalid task id' });
+const mapTaskDependencyRow = (row) => ({
+    id: String(row.id),
+    projectId: String(row.projectId),
+    predecessorTaskId: String(row.predecessorTaskId),
+    predecessorTitle: row.predecessorTitle || null,
+    successorTaskId: String(row.successorTaskId),
+    successorTitle: row.successorTitle || null,
+    dependencyType: row.dependencyType,
+    lagDays: Number(row.lagDays || 0),
+    createdAt: row.createdAt
+});
+
+const fetchTaskDependencyRow = async (pool, dependencyId) => {
+    const result = await pool.request()
+        .input('dependencyId', sql.Int, dependencyId)
+        .query(`
+            SELECT
+                d.id, d.projectId, d.predecessorTaskId, d.successorTaskId, d.dependencyType, d.lagDays, d.createdAt,
+                p.title AS predecessorTitle,
+                s.title AS successorTitle
+            FROM TaskDependencies d
+            INNER JOIN Tasks p ON p.id = d.predecessorTaskId
+            INNER JOIN Tasks s ON s.id = d.successorTaskId
+            WHERE d.id = @dependencyId
+        `);
+    return result.recordset[0] || null;
+};
+
+const INVALID_DEPENDENCY_TYPE_ERROR = `Invalid dependencyType. Allowed: ${Object.values(TASK_DEPENDENCY_TYPES).join(', ')}`;
+const INVALID_LAG_DAYS_ERROR = `lagDays must be a whole number between -${MAX_DEPENDENCY_LAG_DAYS} and ${MAX_DEPENDENCY_LAG_DAYS}.`;
+
+const hasTaskCommentSchema = async (pool) => {
+    const result = await pool.request().query(`
+        SELECT
+            CASE WHEN OBJECT_ID('TaskComments', 'U') IS NOT NULL THEN 1 ELSE 0 END AS hasCommentTable,
+            CASE WHEN OBJECT_ID('TaskCommentRevisions', 'U') IS NOT NULL THEN 1 ELSE 0 END AS hasRevisionTable,
+            CASE WHEN OBJECT_ID('TaskCommentMentions', 'U') IS NOT NULL THEN 1 ELSE 0 END AS hasMentionTable
+    `);
+    const row = result.recordset[0] || {};
+    return !!(row.hasCommentTable && row.hasRevisionTable && row.hasMentionTable);
+};
+
+const COMMENT_SCHEMA_MISSING_ERROR = 'Task comment schema is not installed. Run `npm run setup-db:full` in `server`.';
+
+const normalizeCommentBody = (value) => (typeof value === 'string' ? value.trim() : '');
+
+const mapTaskCommentRow = (row, mentionsByComment) => ({
+    id: String(row.id),
+    taskId: String(row.taskId),
+    parentCommentId: row.parentCommentId ? String(row.parentCommentId) : null,
+    authorOid: row.authorOid,
+    authorName: row.authorName || null,
+    body: row.isDeleted ? null : row.body,
+    isDeleted: !!row.isDeleted,
+    createdAt: row.createdAt,
+    editedAt: row.editedAt || null,
+    deletedAt: row.deletedAt || null,
+    revisionCount: Number(row.revisionCount || 0),
+    mentions: row.isDeleted ? [] : (mentionsByComment?.get(row.id) || [])
+});
+
+const fetchTaskCommentRows = async (pool, taskId, commentId = null) => {
+    const request = pool.request().input('taskId', sql.Int, taskId);
+    let commentFilter = '';
+    if (commentId !== null) {
+        request.input('commentId', sql.Int, commentId);
+        commentFilter = 'AND c.id = @commentId';
+    }
+    const commentResult = await request.query(`
+        SELECT
+            c.id, c.taskId, c.parentCommentId, c.authorOid, c.body, c.isDeleted,
+            c.createdAt, c.editedAt, c.deletedAt,
+            u.name AS authorName,
+            (SELECT COUNT(*) FROM TaskCommentRevisions r WHERE r.commentId = c.id) AS revisionCount
+        FROM TaskComments c
+        LEFT JOIN Users u ON u.oid = c.authorOid
+        WHERE c.taskId = @taskId ${commentFilter}
+        ORDER BY c.createdAt ASC, c.id ASC
+    `);
+
+    const mentionRequest = pool.request().input('taskId', sql.Int, taskId);
+    if (commentId !== null) mentionRequest.input('commentId', sql.Int, commentId);
+    const mentionResult = await mentionRequest.query(`
+        SELECT m.commentId, m.mentionedOid, u.name
+        FROM TaskCommentMentions m
+        INNER JOIN TaskComments c ON c.id = m.commentId
+        LEFT JOIN Users u ON u.oid = m.mentionedOid
+        WHERE c.taskId = @taskId ${commentFilter}
+    `);
+    const mentionsByComment = new Map();
+    mentionResult.recordset.forEach((row) => {
+        if (!mentionsByComment.has(row.commentId)) mentionsByComment.set(row.commentId, []);
+        mentionsByComment.get(row.commentId).push({ oid: row.mentionedOid, name: row.name || null });
+    });
+
+    return commentResult.recordset.map((row) => mapTaskCommentRow(row, mentionsByComment));
+};
+
+// Validate body mentions against the actor's assignable users; returns { oids } or { error }.
+const resolveCommentMentions = async (pool, user, body) => {
+    const mentionOids = extractMentionOids(body);
+    if (mentionOids.length === 0) return { oids: [] };
+    const usersByOid = await fetchAssignableUsersByOid(pool, user, mentionOids);
+    const unresolved = mentionOids.filter((oid) => !usersByOid.has(oid));
+    if (unresolved.length > 0) {
+        return { error: 'Mentions must reference users you can assign work to.' };
+    }
+    return { oids: mentionOids };
+};
+
+const syncCommentMentions = async (tx, commentId, mentionOids) => {
+    const existingResult = await tx.request()
+        .input('commentId', sql.Int, commentId)
+        .query('SELECT mentionedOid FROM TaskCommentMentions WHERE commentId = @commentId');
+    const existing = new Set(existingResult.recordset.map((row) => row.mentionedOid));
+    const next = new Set(mentionOids);
+
+    for (const oid of existing) {
+        if (!next.has(oid)) {
+            await tx.request()
+                .input('commentId', sql.Int, commentId)
+                .input('mentionedOid', sql.NVarChar(100), oid)
+                .query('DELETE FROM TaskCommentMentions WHERE commentId = @commentId AND mentionedOid = @mentionedOid');
         }
+    }
+    const added = mentionOids.filter((oid) => !existing.has(oid));
+    for (const oid of added) {
+        await tx.request()
+            .input('commentId', sql.Int, commentId)
+            .input('mentionedOid', sql.NVarChar(100), oid)
+            .query('INSERT INTO TaskCommentMentions (commentId, mentionedOid) VALUES (@commentId, @mentionedOid)');
+    }
+    return added;
+};
 
-        const pool = await getPool();
-        const prev = await pool.request()
-            .input('id', sql.Int, id)
-            .query(`
-                SELECT id, title, status, priority, description, startDate, endDate, assigneeOid, blockerNote, projectId
-                FROM Tasks
-                WHERE id = @id
-            `);
-        if (!prev.recordset.length) {
-            return res.status(404).json({ error: 'Task not found' });
+const commentExcerpt = (body) => {
+    const plain = stripMentionTokens(body).replace(/\s+/g, ' ').trim();
+    return plain.length > 140 ? `${plain.slice(0, 137)}...` : plain;
+};
+
+const TASK_UPDATE_COLUMN_TYPES = {
+    title: () => sql.NVarChar(255),
+    status: () => sql.NVarChar(20),
+    statusCategory: () => sql.NVarChar(20),
+    priority: () => sql.NVarChar(20),
+    description: () => sql.NVarChar(sql.MAX),
+    startDate: () => sql.Date,
+    endDate: () => sql.Date,
+    assigneeOid: () => sql.NVarChar(100),
+    blockerNote: () => sql.NVarChar(1000),
+    estimatedHours: () => sql.Decimal(9, 2),
+    parentTaskId: () => sql.Int
+};
+
+const storedDateOnly = (value) => (value ? new Date(value).toISOString().slice(0, 10) : null);
+
+/**
+ * Validate a task patch against the task's current row and its project's workflow.
+ * Shared by single and bulk updates so both apply identical rules.
+ * @param {{ orgId?: number, assigneeCache?: Map, workflow: { schemaReady: boolean, states: object[] } }} options
+ * @returns {Promise<{ error: string, status?: number } | { changes: object, afterState: object }>}
+ *   changes maps Tasks columns to their new values; afterState is the audit/response view
+ */
+const prepareTaskUpdate = async (pool, body, beforeState, { orgId, assigneeCache, workflow } = {}) => {
+    const { title, status, priority, description, startDate, endDate, assigneeOid, blockerNote, estimatedHours, parentTaskId } = body || {};
+    const changes = {};
+    const afterState = {};
+
+    if (title !== undefined) {
+        const normalizedTitle = typeof title === 'string' ? title.trim() : '';
+        if (!normalizedTitle) {
+            return { error: 'Task title cannot be empty.' };
         }
+        changes.title = normalizedTitle;
+        afterState.title = normalizedTitle;
+    }
 
-        const beforeState = prev.recordset[0];
-        const request = pool.request().input('id', sql.Int, id);
-        const updateParts = [];
-        const afterState = {};
-        let blockerNoteWasProvided = false;
-        let pendingBlockerNote;
-
-        if (title !== undefined) {
-            const normalizedTitle = typeof title === 'string' ? title.trim() : '';
-            if (!normalizedTitle) {
-                return res.status(400).json({ error: 'Task title cannot be empty.' });
-            }
-            request.input('title', sql.NVarChar(255), normalizedTitle);
-            updateParts.push('title = @title');
-            afterState.title = normalizedTitle;
+    // Resending the current status is a no-op, even for a state the workflow has since dropped.
+    const normalizedStatus = status === undefined ? undefined : String(status || '').trim().toLowerCase();
+    if (normalizedStatus !== undefined && normalizedStatus !== beforeState.status) {
+        const state = findWorkflowState(workflow.states, normalizedStatus);
+        if (!state) {
+            return { error: `Invalid task status. Allowed: ${workflow.states.map((item) => item.key).join(', ')}` };
+        }
+        if (!isWorkflowTransitionAllowed(workflow.states, beforeState.status, normalizedStatus)) {
+            const fromLabel = findWorkflowState(workflow.states, beforeState.status)?.label || beforeState.status;
+            return { error: `Tasks cannot move from "${fromLabel}" to "${state.label}" in this workflow.` };
         }
+        changes.status = normalizedStatus;
+        afterState.status = normalizedStatus;
+        if (workflow.schemaReady) {
+            changes.statusCategory = state.category;
+        }
+        afterState.statusCategory = state.category;
+    }
 
-        if (status !== undefined) {
-            const normalizedStatus = coerceTaskStatus(status);
-            if (!normalizedStatus) {
-                return res.status(400).json({ error: `Invalid task status. Allowed: ${Array.from(TASK_STATUSES).join(', ')}` });
-            }
-            request.input('status', sql.NVarChar(20), normalizedStatus);
-            updateParts.push('status = @status');
-            afterState.status = normalizedStatus;
+    if (priority !== undefined) {
+        const normalizedPriority = coerceTaskPriority(priority);
+        if (!normalizedPriority) {
+            return { error: `Invalid task priority. Allowed: ${Array.from(TASK_PRIORITIES).join(', ')}` };
         }
+        changes.priority = normalizedPriority;
+        afterState.priority = normalizedPriority;
+    }
 
-        if (priority !== undefined) {
-            const normalizedPriority = coerceTaskPriority(priority);
-            if (!normalizedPriority) {
-                return res.status(400).json({ error: `Invalid task priority. Allowed: ${Array.from(TASK_PRIORITIES).join(', ')}` });
-            }
-            request.input('priority', sql.NVarChar(20), normalizedPriority);
-            updateParts.push('priority = @priority');
-            afterState.priority = normalizedPriority;
+    if (description !== undefined) {
+        const normalizedDescription = description === null ? '' : String(description);
+        changes.description = normalizedDescription;
+        afterState.description = normalizedDescription;
+    }
+
+    if (startDate !== undefined) {
+        const normalizedStartDate = toDateOnly(startDate);
+        if (startDate && !normalizedStartDate) {
+            return { error: 'Invalid startDate. Use YYYY-MM-DD or ISO date format.' };
         }
+        changes.startDate = normalizedStartDate;
+        afterState.startDate = normalizedStartDate;
+    }
 
-        if (description !== undefined) {
-            const normalizedDescription = description === null ? '' : String(description);
-            request.input('description', sql.NVarChar(sql.MAX), normalizedDescription);
-            updateParts.push('description = @description');
-            afterState.description = normalizedDescription;
+    if (endDate !== undefined) {
+        const normalizedEndDate = toDateOnly(endDate);
+        if (endDate && !normalizedEndDate) {
+            return { error: 'Invalid endDate. Use YYYY-MM-DD or ISO date format.' };
         }
+        changes.endDate = normalizedEndDate;
+        afterState.endDate = normalizedEndDate;
+    }
 
-        let normalizedStartDate;
-        if (startDate !== undefined) {
-            normalizedStartDate = toDateOnly(startDate);
-            if (startDate && !normalizedStartDate) {
-                return res.status(400).json({ error: 'Invalid startDate. Use YYYY-MM-DD or ISO date format.' });
-            }
-            request.input('startDate', sql.Date, normalizedStartDate);
-            updateParts.push('startDate = @startDate');
-            afterState.startDate = normalizedStartDate;
+    if (assigneeOid !== undefined) {
+        const normalizedAssigneeOid = normalizeTaskString(assigneeOid, 100);
+        let assigneeValidation = assigneeCache?.get(normalizedAssigneeOid);
+        if (assigneeValidation === undefined) {
+            assigneeValidation = await validateAssignee(pool, normalizedAssigneeOid, orgId);
+            assigneeCache?.set(normalizedAssigneeOid, assigneeValidation);
+        }
+        if (assigneeValidation?.error) {
+            return { error: assigneeValidation.error };
+        }
+        changes.assigneeOid = normalizedAssigneeOid;
+        afterState.assigneeOid = normalizedAssigneeOid;
+        afterState.assigneeName = assigneeValidation?.assigneeName || null;
+    }
+
+    if (estimatedHours !== undefined) {
+        const normalizedEstimate = normalizeEstimatedHours(estimatedHours);
+        if (normalizedEstimate === undefined) {
+            return { error: `estimatedHours must be between 0 and ${MAX_TASK_ESTIMATE_HOURS}.` };
         }
+        if (!(await hasTimeEntrySchema(pool))) {
+            return { error: TIME_ENTRY_SCHEMA_MISSING_ERROR, status: 409 };
+        }
+        changes.estimatedHours = normalizedEstimate;
+        afterState.estimatedHours = normalizedEstimate;
+    }
 
-        let normalizedEndDate;
-        if (endDate !== undefined) {
-            normalizedEndDate = toDateOnly(endDate);
-            if (endDate && !normalizedEndDate) {
-                return res.status(400).json({ error: 'Invalid endDate. Use YYYY-MM-DD or ISO date format.' });
-            }
-            request.input('endDate', sql.Date, normalizedEndDate);
-            updateParts.push('endDate = @endDate');
-            afterState.endDate = normalizedEndDate;
+    if (blockerNote !== undefined) {
+        const normalizedBlockerNote = normalizeTaskString(blockerNote, 1000);
+        changes.blockerNote = normalizedBlockerNote;
+        afterState.blockerNote = normalizedBlockerNote;
+    }
+
+    if (parentTaskId !== undefined) {
+        const parent = await checkTaskParent(pool, { projectId: beforeState.projectId, taskId: beforeState.id, parentTaskId });
+        if (parent.error) {
+            return parent;
         }
+        changes.parentTaskId = parent.parentTaskId;
+        afterState.parentTaskId = parent.parentTaskId === null ? null : String(parent.parentTaskId);
+    }
 
-        if (assigneeOid !== undefined) {
-            const normalizedAssigneeOid = normalizeTaskString(assigneeOid, 100);
-            const assigneeValidation = await validateAssignee(pool, normalizedAssigneeOid, req.orgId);
-            if (assigneeValidation?.error) {
-                return res.status(400).json({ error: assigneeValidation.error });
-            }
-            request.input('assigneeOid', sql.NVarChar(100), normalizedAssigneeOid);
-            updateParts.push('assigneeOid = @assigneeOid');
-            afterState.assigneeOid = normalizedAssigneeOid;
-            afterState.assigneeName = assigneeValidation?.assigneeName || null;
-        }
-
-        if (blockerNote !== undefined) {
-            const normalizedBlockerNote = normalizeTaskString(blockerNote, 1000);
-            blockerNoteWasProvided = true;
-            pendingBlockerNote = normalizedBlockerNote;
-            updateParts.push('blockerNote = @blockerNote');
-            afterState.blockerNote = normalizedBlockerNote;
-        }
-
-        const effectiveStartDate = (startDate !== undefined)
-            ? normalizedStartDate
-            : (beforeState.startDate ? new Date(beforeState.startDate).toISOString().slice(0, 10) : null);
-        const effectiveEndDate = (endDate !== undefined)
-            ? normalizedEndDate
-            : (beforeState.endDate ? new Date(beforeState.endDate).toISOString().slice(0, 10) : null);
-        if (effectiveStartDate && effectiveEndDate && effectiveEndDate < effectiveStartDate) {
-            return res.status(400).json({ error: 'endDate cannot be earlier than startDate.' });
-        }
-
-        const effectiveStatus = (status !== undefined)
-            ? afterState.status
-            : beforeState.status;
-        if (effectiveStatus !== 'blocked') {
-            if (blockerNoteWasProvided) {
-                pendingBlockerNote = null;
-                afterState.blockerNote = null;
-            } else if (beforeState.blockerNote) {
-                pendingBlockerNote = null;
-                updateParts.push('blockerNote = @blockerNote');
-                afterState.blockerNote = null;
-            }
+    const effectiveStartDate = startDate !== undefined ? changes.startDate : storedDateOnly(beforeState.startDate);
+    const effectiveEndDate = endDate !== undefined ? changes.endDate : storedDateOnly(beforeState.endDate);
+    if (effectiveStartDate && effectiveEndDate && effectiveEndDate < effectiveStartDate) {
+        return { error: 'endDate cannot be earlier than startDate.' };
+    }
+
+    // Blocker notes only live on tasks in a blocked-category state.
+    const effectiveStatus = changes.status ?? beforeState.status;
+    if (getStatusCategory(effectiveStatus, workflow.states) !== 'blocked' && (blockerNote !== undefined || beforeState.blockerNote)) {
+        changes.blockerNote = null;
+        afterState.blockerNote = null;
+    }
+
+    return { changes, afterState };
+};
+
+/**
+ * Write prepared changes. With `versioned` the row's editVersion is bumped; with an
+ * expectedVersion the write only happens if nobody else saved first.
+ * @returns {Promise<{ updated: boolean, editVersion: number|null }>}
+ */
+const applyTaskUpdate = async (request, taskId, changes, { versioned = false, expectedVersion = null } = {}) => {
+    const updateParts = Object.entries(changes).map(([column, value]) => {
+        request.input(column, TASK_UPDATE_COLUMN_TYPES[column](), value);
+        return `${column} = @${column}`;
+    });
+    request
+        .input('id', sql.Int, taskId)
+        .input('updatedAt', sql.DateTime2, new Date());
+    updateParts.push('updatedAt = @updatedAt');
+    if (versioned) {
+        updateParts.push('editVersion = editVersion + 1');
+    }
+    if (expectedVersion !== null) {
+        request.input('expectedVersion', sql.Int, expectedVersion);
+    }
+    const result = await request.query(`
+        UPDATE Tasks SET ${updateParts.join(', ')}
+        ${versioned ? 'OUTPUT INSERTED.editVersion' : ''}
+        WHERE id = @id${expectedVersion !== null ? ' AND editVersion = @expectedVersion' : ''}
+    `);
+    return {
+        updated: result.rowsAffected[0] > 0,
+        editVersion: result.recordset?.[0]?.editVersion ?? null
+    };
+};
+
+const TASK_UPDATE_COLUMNS = 'id, title, status, priority, description, startDate, endDate, assigneeOid, blockerNote, projectId';
+const TASK_UPDATE_SELECT = `SELECT ${TASK_UPDATE_COLUMNS} FROM Tasks`;
+const TASK_CONFLICT_FIELDS = ['title', 'status', 'priority', 'description', 'startDate', 'endDate', 'assigneeOid', 'blockerNote', 'estimatedHours', 'parentTaskId'];
+
+// Stored values of the editable fields (optional columns read as null), for a 412 response.
+const sendTaskEditConflict = async (res, pool, id, submitted) => {
+    const result = await pool.request()
+        .input('id', sql.Int, id)
+        .query('SELECT * FROM Tasks WHERE id = @id');
+    const row = result.recordset[0] || {};
+    return sendEditConflict(res, {
+        label: 'task',
+        version: row.editVersion,
+        current: {
+            title: row.title,
+            status: row.status,
+            priority: row.priority,
+            description: row.description,
+            assigneeOid: row.assigneeOid || null,
+            blockerNote: row.blockerNote || null,
+            startDate: storedDateOnly(row.startDate),
+            endDate: storedDateOnly(row.endDate),
+            estimatedHours: row.estimatedHours === null || row.estimatedHours === undefined ? null : Number(row.estimatedHours),
+            parentTaskId: row.parentTaskId ? String(row.parentTaskId) : null
+        },
+        submitted,
+        fields: TASK_CONFLICT_FIELDS
+    });
+};
+
+// Update task
+router.put('/:id', checkPermission('can_edit_project'), withSharedScope, checkTaskWriteAccess(), requireProjectWriteAccess, async (req, res) => {
+    try {
+        const id = parseInt(req.params.id, 10);
+        if (Number.isNaN(id)) {
+            return res.status(400).json({ error: 'Invalid task id' });
         }
 
-        if (blockerNoteWasProvided || (effectiveStatus !== 'blocked' && beforeState.blockerNote)) {
-            request.input('blockerNote', sql.NVarChar(1000), pendingBlockerNote ?? null);
+        const pool = await getPool();
+        const versioned = await hasEditVersionSchema(pool, 'Tasks');
+        const prev = await pool.request()
+            .input('id', sql.Int, id)
+            .query(`SELECT ${TASK_UPDATE_COLUMNS}${versioned ? ', editVersion' : ''} FROM Tasks WHERE id = @id`);
+        if (!prev.recordset.length) {
+            return res.status(404).json({ error: 'Task not found' });
         }
 
-        if (updateParts.length === 0) {
-            return res.json({ success: true, message: 'No changes detected' });
+        const { editVersion, ...beforeState } = prev.recordset[0];
+        const versionCheck = checkIfMatch(req, editVersion);
+        if (!versionCheck.ok) {
+            return sendTaskEditConflict(res, pool, id, req.body);
         }
+        const workflow = await loadTaskWorkflowContext(pool, { projectId: beforeState.projectId });
+        const prepared = await prepareTaskUpdate(pool, req.body, beforeState, { orgId: req.orgId, workflow });
+        if (prepared.error) {
+            return res.status(prepared.status || 400).json({ error: prepared.error });
+        }
+        const { changes, afterState } = prepared;
 
-        request.input('updatedAt', sql.DateTime2, new Date());
-        updateParts.push('updatedAt = @updatedAt');
+        if (Object.keys(changes).length === 0) {
+            return res.json({ success: true, message: 'No changes detected', etag: formatEtag(editVersion) });
+        }
+        if (changes.status !== undefined) {
+            const violation = await findWipMoveViolation(pool, beforeState.projectId, [{ taskId: id, status: changes.status }], { states: workflow.states });
+            if (violation) {
+                return res.status(409).json({ error: formatWipLimitViolation(violation, getStatusLabel(violation.status, workflow.states)), wipLimit: violation });
+            }
+        }
 
-        await request.query(`UPDATE Tasks SET ${updateParts.join(', ')} WHERE id = @id`);
+        const applied = await applyTaskUpdate(pool.request(), id, changes, { versioned, expectedVersion: versionCheck.expectedVersion });
+        if (!applied.updated) {
+            return sendTaskEditConflict(res, pool, id, req.body);
+        }
+        const etag = formatEtag(applied.editVersion);
 
         await touchProjectActivity(pool, beforeState.projectId);
         invalidateProjectCache();
@@ -212,12 +484,198 @@ router.put('/:id', checkPermission('can_edit_project'), withSharedScope, checkTa
             metadata: { projectId: beforeState?.projectId },
             req
         });
-        res.json({ success: true, task: afterState });
+        if (etag) res.set('ETag', etag);
+        res.json({ success: true, task: { ...afterState, etag } });
     } catch (err) {
         handleError(res, 'updating task', err);
     }
 });
 
+// Replace the task's custom field values (defined by the project's owning organization).
+router.put('/:id/custom-fields', checkPermission('can_edit_project'), withSharedScope, checkTaskWriteAccess(), requireProjectWriteAccess, async (req, res) => {
+    try {
+        const id = parseInt(req.params.id, 10);
+        if (Number.isNaN(id)) {
+            return res.status(400).json({ error: 'Invalid task id' });
+        }
+
+        const pool = await getPool();
+        if (!(await hasCustomFieldSchema(pool))) {
+            return res.status(409).json({ error: CUSTOM_FIELD_SCHEMA_MISSING_ERROR });
+        }
+        const taskResult = await pool.request()
+            .input('id', sql.Int, id)
+            .query(`
+                SELECT t.id, t.title, t.projectId, p.orgId
+                FROM Tasks t
+                INNER JOIN Projects p ON p.id = t.projectId
+                WHERE t.id = @id
+            `);
+        const task = taskResult.recordset[0];
+        if (!task) {
+            return res.status(404).json({ error: 'Task not found' });
+        }
+
+        const user = getAuthUser(req);
+        const saved = await replaceCustomFieldValues(pool, {
+            entityType: 'task',
+            entityId: id,
+            orgId: task.orgId,
+            rawValues: req.body?.customFields,
+            user
+        });
+        if (saved.error) {
+            return res.status(saved.status).json({ error: saved.error });
+        }
+
+        await touchProjectActivity(pool, task.projectId);
+        invalidateProjectCache();
+        logAudit({
+            action: 'task.custom_fields_update',
+            entityType: 'task',
+            entityId: id,
+            entityTitle: task.title,
+            user,
+            before: { customFields: saved.before },
+            after: { customFields: saved.values },
+            metadata: { projectId: task.projectId },
+            req
+        });
+        res.json({ customFields: saved.values });
+    } catch (err) {
+        handleError(res, 'updating task custom fields', err);
+    }
+});
+
+// Update many tasks in one project atomically. Every row is validated first;
+// if any row fails nothing is written and the per-row results explain why.
+router.post('/bulk', checkPermission('can_edit_project'), withSharedScope, checkProjectWriteAccess((req) => req.body?.projectId), requireProjectWriteAccess, async (req, res) => {
+    try {
+        const projectId = parseInt(req.body?.projectId, 10);
+        const updates = req.body?.updates;
+        if (!Array.isArray(updates) || updates.length === 0) {
+            return res.status(400).json({ error: 'updates must be a non-empty array.' });
+        }
+        if (updates.length > MAX_BULK_TASK_UPDATES) {
+            return res.status(400).json({ error: `Bulk updates are limited to ${MAX_BULK_TASK_UPDATES} tasks.` });
+        }
+
+        const taskIds = updates.map((update) => parseInt(update?.taskId, 10));
+        const validIds = [...new Set(taskIds.filter((taskId) => !Number.isNaN(taskId)))];
+        const pool = await getPool();
+        const tasksById = new Map();
+        if (validIds.length) {
+            const { text, params } = buildInClause('bulkTaskId', validIds);
+            const request = pool.request().input('projectId', sql.Int, projectId);
+            addParams(request, params);
+            const binReady = await hasRecycleBinSchema(pool);
+            const existing = await request.query(`${TASK_UPDATE_SELECT} WHERE projectId = @projectId AND id IN (${text}) AND ${notDeletedSql('', binReady)}`);
+            existing.recordset.forEach((row) => tasksById.set(row.id, row));
+        }
+
+        const assigneeCache = new Map();
+        const versioned = await hasEditVersionSchema(pool, 'Tasks');
+        const workflow = await loadTaskWorkflowContext(pool, { projectId });
+        const seenIds = new Set();
+        const results = [];
+        let schemaConflict = null;
+        for (let index = 0; index < updates.length; index += 1) {
+            const { taskId: rawTaskId, ...patch } = updates[index] || {};
+            const taskId = taskIds[index];
+            const beforeState = tasksById.get(taskId);
+            let failure = null;
+            let prepared = null;
+            if (Number.isNaN(taskId)) {
+                failure = 'Invalid task id';
+            } else if (seenIds.has(taskId)) {
+                failure = 'Task appears more than once in this request.';
+            } else if (!beforeState) {
+                failure = 'Task not found in this project.';
+            } else if (patch.parentTaskId !== undefined) {
+                // Rows are validated independently, so parent moves could form a cycle across rows.
+                failure = 'Parent tasks cannot be changed in a bulk update.';
+            } else {
+                prepared = await prepareTaskUpdate(pool, patch, beforeState, { orgId: req.orgId, assigneeCache, workflow });
+                if (prepared.error) {
+                    failure = prepared.error;
+                    if (prepared.status === 409) schemaConflict = prepared.error;
+                }
+            }
+            seenIds.add(taskId);
+            results.push(failure
+                ? { taskId: String(rawTaskId ?? ''), ok: false, error: failure }
+                : { taskId: String(taskId), ok: true, changes: prepared.changes, afterState: prepared.afterState, beforeState });
+        }
+
+        if (schemaConflict) {
+            return res.status(409).json({ error: schemaConflict });
+        }
+        const failedCount = results.filter((result) => !result.ok).length;
+        if (failedCount > 0) {
+            return res.status(400).json({
+                error: `${failedCount} of ${results.length} task updates failed validation. No changes were applied.`,
+                results: results.map(({ taskId, ok, error }) => (ok ? { taskId, ok } : { taskId, ok, error }))
+            });
+        }
+
+        const changedResults = results.filter((result) => Object.keys(result.changes).length > 0);
+        const statusMoves = changedResults
+            .filter((result) => result.changes.status !== undefined)
+            .map((result) => ({ taskId: result.taskId, status: result.changes.status }));
+        const violation = await findWipMoveViolation(pool, projectId, statusMoves, { states: workflow.states });
+        if (violation) {
+            return res.status(409).json({ error: formatWipLimitViolation(violation, getStatusLabel(violation.status, workflow.states)), wipLimit: violation });
+        }
+        if (changedResults.length) {
+            const transaction = pool.transaction();
+            await transaction.begin();
+            try {
+                for (const result of changedResults) {
+                    const applied = await applyTaskUpdate(transaction.request(), Number(result.taskId), result.changes, { versioned });
+                    result.afterState.etag = formatEtag(applied.editVersion);
+                }
+                await transaction.commit();
+            } catch (txErr) {
+                await transaction.rollback();
+                throw txErr;
+            }
+
+            await touchProjectActivity(pool, projectId);
+            invalidateProjectCache();
+            logAudit({
+                action: 'task.bulk_update',
+                entityType: 'project',
+                entityId: String(projectId),
+                entityTitle: `${changedResults.length} task${changedResults.length === 1 ? '' : 's'}`,
+                user: getAuthUser(req),
+                before: {
+                    tasks: changedResults.map(({ taskId, changes, beforeState }) => ({
+                        id: taskId,
+                        ...Object.fromEntries(Object.keys(changes).map((column) => [column, beforeState[column] ?? null]))
+                    }))
+                },
+                after: {
+                    tasks: changedResults.map(({ taskId, afterState: { etag: _etag, ...afterState }, beforeState }) => ({
+                        id: taskId,
+                        title: beforeState.title,
+                        ...afterState
+                    }))
+                },
+                metadata: { projectId, taskIds: changedResults.map((result) => result.taskId) },
+                req
+            });
+        }
+
+        res.json({
+            success: true,
+            updatedCount: changedResults.length,
+            results: results.map(({ taskId, afterState }) => ({ taskId, ok: true, task: afterState }))
+        });
+    } catch (err) {
+        handleError(res, 'bulk updating tasks', err);
+    }
+});
+
 // Get checklist items for a task
 router.get('/:id/checklist', checkPermission('can_view_projects'), withSharedScope, checkTaskWriteAccess(), async (req, res) => {
     try {
@@ -227,12 +685,13 @@ router.get('/:id/checklist', checkPermission('can_view_projects'), withSharedSco
         }
 
         const pool = await getPool();
+        const binReady = await hasRecycleBinSchema(pool);
         const result = await pool.request()
             .input('taskId', sql.Int, taskId)
             .query(`
                 SELECT id, taskId, title, isDone, sortOrder, createdAt
                 FROM TaskChecklistItems
-                WHERE taskId = @taskId
+                WHERE taskId = @taskId AND ${notDeletedSql('', binReady)}
                 ORDER BY sortOrder ASC, id ASC
             `);
 
@@ -339,6 +798,7 @@ router.put('/:id/checklist/:itemId', checkPermission('can_edit_project'), withSh
         }
 
         const pool = await getPool();
+        const binReady = await hasRecycleBinSchema(pool);
         const request = pool.request()
             .input('taskId', sql.Int, taskId)
             .input('itemId', sql.Int, itemId);
@@ -379,7 +839,7 @@ router.put('/:id/checklist/:itemId', checkPermission('can_edit_project'), withSh
         const updateResult = await request.query(`
             UPDATE TaskChecklistItems
             SET ${updateParts.join(', ')}
-            WHERE id = @itemId AND taskId = @taskId
+            WHERE id = @itemId AND taskId = @taskId AND ${notDeletedSql('', binReady)}
         `);
         if (updateResult.rowsAffected[0] === 0) {
             return res.status(404).json({ error: 'Checklist item not found for task.' });
@@ -424,7 +884,7 @@ router.put('/:id/checklist/:itemId', checkPermission('can_edit_project'), withSh
     }
 });
 
-// Delete checklist item
+// Delete checklist item (moves it to the project's recycle bin when the schema is installed)
 router.delete('/:id/checklist/:itemId', checkPermission('can_edit_project'), withSharedScope, checkTaskWriteAccess(), requireProjectWriteAccess, async (req, res) => {
     try {
         const taskId = parseInt(req.params.id, 10);
@@ -434,22 +894,38 @@ router.delete('/:id/checklist/:itemId', checkPermission('can_edit_project'), wit
         }
 
         const pool = await getPool();
+        const binReady = await hasRecycleBinSchema(pool);
         const prev = await pool.request()
             .input('taskId', sql.Int, taskId)
             .input('itemId', sql.Int, itemId)
             .query(`
                 SELECT id, taskId, title, isDone, sortOrder
                 FROM TaskChecklistItems
-                WHERE id = @itemId AND taskId = @taskId
+                WHERE id = @itemId AND taskId = @taskId AND ${notDeletedSql('', binReady)}
             `);
         if (!prev.recordset.length) {
             return res.status(404).json({ error: 'Checklist item not found for task.' });
         }
 
-        await pool.request()
-            .input('taskId', sql.Int, taskId)
-            .input('itemId', sql.Int, itemId)
-            .query('DELETE FROM TaskChecklistItems WHERE id = @itemId AND taskId = @taskId');
+        const user = getAuthUser(req);
+        const deletedAt = new Date();
+        if (binReady) {
+            await pool.request()
+                .input('taskId', sql.Int, taskId)
+                .input('itemId', sql.Int, itemId)
+                .input('deletedAt', sql.DateTime2, deletedAt)
+                .input('deletedByOid', sql.NVarChar(100), user?.oid || null)
+                .query(`
+                    UPDATE TaskChecklistItems
+                    SET deletedAt = @deletedAt, deletedByOid = @deletedByOid
+                    WHERE id = @itemId AND taskId = @taskId
+                `);
+        } else {
+            await pool.request()
+                .input('taskId', sql.Int, taskId)
+                .input('itemId', sql.Int, itemId)
+                .query('DELETE FROM TaskChecklistItems WHERE id = @itemId AND taskId = @taskId');
+        }
 
         const taskProjectResult = await pool.request()
             .input('taskId', sql.Int, taskId)
@@ -461,47 +937,1012 @@ router.delete('/:id/checklist/:itemId', checkPermission('can_edit_project'), wit
             entityType: 'task-checklist-item',
             entityId: String(itemId),
             entityTitle: prev.recordset[0]?.title || 'Checklist Item',
-            user: getAuthUser(req),
+            user,
             before: prev.recordset[0],
-            metadata: { taskId },
+            metadata: { taskId, recycled: binReady },
             req
         });
-        res.json({ success: true });
+        res.json({ success: true, recycled: binReady, purgeAfter: binReady ? getRecycleBinPurgeDate(deletedAt) : null });
     } catch (err) {
         handleError(res, 'deleting task checklist item', err);
     }
 });
 
-// Delete task
-router.delete('/:id', checkPermission('can_edit_project'), withSharedScope, checkTaskWriteAccess(), requireProjectWriteAccess, async (req, res) => {
+// Restore a checklist item from the recycle bin
+router.post('/:id/checklist/:itemId/restore', checkPermission('can_edit_project'), withSharedScope, checkTaskWriteAccess(), requireProjectWriteAccess, async (req, res) => {
     try {
-        const id = parseInt(req.params.id, 10);
-        if (Number.isNaN(id)) {
-            return res.status(400).json({ error: 'Invalid task id' });
+        const taskId = parseInt(req.params.id, 10);
+        const itemId = parseInt(req.params.itemId, 10);
+        if (Number.isNaN(taskId) || Number.isNaN(itemId)) {
+            return res.status(400).json({ error: 'Invalid task or checklist item id' });
         }
+
         const pool = await getPool();
-        const prev = await pool.request()
-            .input('id', sql.Int, id)
-            .query('SELECT title, status, priority, projectId, assigneeOid, blockerNote FROM Tasks WHERE id = @id');
-        await pool.request()
-            .input('id', sql.Int, id)
-            .query('DELETE FROM Tasks WHERE id = @id');
+        if (!(await hasRecycleBinSchema(pool))) {
+            return res.status(409).json({ error: RECYCLE_BIN_SCHEMA_MISSING_ERROR });
+        }
+        const restoreResult = await pool.request()
+            .input('taskId', sql.Int, taskId)
+            .input('itemId', sql.Int, itemId)
+            .query(`
+                UPDATE TaskChecklistItems
+                SET deletedAt = NULL, deletedByOid = NULL
+                OUTPUT INSERTED.id, INSERTED.taskId, INSERTED.title, INSERTED.isDone, INSERTED.sortOrder, INSERTED.createdAt
+                WHERE id = @itemId AND taskId = @taskId AND deletedAt IS NOT NULL
+            `);
+        const item = restoreResult.recordset[0];
+        if (!item) {
+            return res.status(404).json({ error: 'Checklist item is not in the recycle bin.' });
+        }
 
-        await touchProjectActivity(pool, prev.recordset[0]?.projectId);
+        const taskProjectResult = await pool.request()
+            .input('taskId', sql.Int, taskId)
+            .query('SELECT projectId FROM Tasks WHERE id = @taskId');
+        await touchProjectActivity(pool, taskProjectResult.recordset[0]?.projectId);
         invalidateProjectCache();
         logAudit({
-            action: 'task.delete',
-            entityType: 'task',
-            entityId: id,
-            entityTitle: prev.recordset[0]?.title,
+            action: 'task.checklist.restore',
+            entityType: 'task-checklist-item',
+            entityId: String(itemId),
+            entityTitle: item.title,
             user: getAuthUser(req),
-            before: prev.recordset[0],
-            metadata: { projectId: prev.recordset[0]?.projectId },
+            after: { taskId, title: item.title, isDone: !!item.isDone },
+            metadata: { taskId },
             req
         });
-        res.json({ success: true });
+
+        res.json({
+            id: String(item.id),
+            taskId: String(item.taskId),
+            title: item.title,
+            isDone: !!item.isDone,
+            sortOrder: Number(item.sortOrder || 0),
+            createdAt: item.createdAt
+        });
     } catch (err) {
-        handleError(res, 'deleting task', err);
+        handleError(res, 'restoring task checklist item', err);
+    }
+});
+
+// Get predecessor and successor links for a task
+router.get('/:id/dependencies', checkPermission('can_view_projects'), withSharedScope, checkTaskWriteAccess(), async (req, res) => {
+    try {
+        const taskId = parseInt(req.params.id, 10);
+        if (Number.isNaN(taskId)) {
+            return res.status(400).json({ error: 'Invalid task id' });
+        }
+
+        const pool = await getPool();
+        if (!(await hasTaskDependencySchema(pool))) {
+            return res.json({ predecessors: [], successors: [] });
+        }
+
+        // Links to a task in the recycle bin are kept so a restore brings them back, but stay hidden meanwhile.
+        const binReady = await hasRecycleBinSchema(pool);
+        const result = await pool.request()
+            .input('taskId', sql.Int, taskId)
+            .query(`
+                SELECT
+                    d.id, d.projectId, d.predecessorTaskId, d.successorTaskId, d.dependencyType, d.lagDays, d.createdAt,
+                    p.title AS predecessorTitle,
+                    s.title AS successorTitle
+                FROM TaskDependencies d
+                INNER JOIN Tasks p ON p.id = d.predecessorTaskId
+                INNER JOIN Tasks s ON s.id = d.successorTaskId
+                WHERE (d.predecessorTaskId = @taskId OR d.successorTaskId = @taskId)
+                  AND ${notDeletedSql('p.', binReady)} AND ${notDeletedSql('s.', binReady)}
+                ORDER BY d.id ASC
+            `);
+
+        const dependencies = result.recordset.map(mapTaskDependencyRow);
+        res.json({
+            predecessors: dependencies.filter((dependency) => dependency.successorTaskId === String(taskId)),
+            successors: dependencies.filter((dependency) => dependency.predecessorTaskId === String(taskId))
+        });
+    } catch (err) {
+        handleError(res, 'fetching task dependencies', err);
+    }
+});
+
+// Add a predecessor link (the task in the URL is the successor)
+router.post('/:id/dependencies', checkPermission('can_edit_project'), withSharedScope, checkTaskWriteAccess(), requireProjectWriteAccess, async (req, res) => {
+    try {
+        const taskId = parseInt(req.params.id, 10);
+        const predecessorTaskId = Number.parseInt(req.body?.predecessorTaskId, 10);
+        if (Number.isNaN(taskId)) {
+            return res.status(400).json({ error: 'Invalid task id' });
+        }
+        if (Number.isNaN(predecessorTaskId)) {
+            return res.status(400).json({ error: 'predecessorTaskId is required.' });
+        }
+        if (predecessorTaskId === taskId) {
+            return res.status(400).json({ error: 'A task cannot depend on itself.' });
+        }
+
+        const dependencyType = normalizeDependencyType(req.body?.dependencyType);
+        if (!dependencyType) {
+            return res.status(400).json({ error: INVALID_DEPENDENCY_TYPE_ERROR });
+        }
+        const lagDays = normalizeLagDays(req.body?.lagDays);
+        if (lagDays === null) {
+            return res.status(400).json({ error: INVALID_LAG_DAYS_ERROR });
+        }
+
+        const pool = await getPool();
+        if (!(await hasTaskDependencySchema(pool))) {
+            return res.status(409).json({ error: TASK_DEPENDENCY_SCHEMA_MISSING_ERROR });
+        }
+
+        const binReady = await hasRecycleBinSchema(pool);
+        const tasksResult = await pool.request()
+            .input('taskId', sql.Int, taskId)
+            .input('predecessorTaskId', sql.Int, predecessorTaskId)
+            .query(`SELECT id, projectId, title FROM Tasks WHERE id IN (@taskId, @predecessorTaskId) AND ${notDeletedSql('', binReady)}`);
+        const successorTask = tasksResult.recordset.find((row) => row.id === taskId);
+        const predecessorTask = tasksResult.recordset.find((row) => row.id === predecessorTaskId);
+        if (!successorTask) {
+            return res.status(404).json({ error: 'Task not found' });
+        }
+        if (!predecessorTask) {
+            return res.status(404).json({ error: 'Predecessor task not found' });
+        }
+        if (predecessorTask.projectId !== successorTask.projectId) {
+            return res.status(400).json({ error: 'Dependencies can only link tasks in the same project.' });
+        }
+
+        // The project's dependency rows stay locked until commit, so a concurrent add waits and then
+        // runs its cycle check against this link instead of slipping a cycle past it.
+        const transaction = pool.transaction();
+        await transaction.begin();
+        let rejection = null;
+        let dependencyId = null;
+        try {
+            const existingResult = await transaction.request()
+                .input('projectId', sql.Int, successorTask.projectId)
+                .query('SELECT predecessorTaskId, successorTaskId FROM TaskDependencies WITH (UPDLOCK, HOLDLOCK) WHERE projectId = @projectId');
+            const alreadyLinked = existingResult.recordset.some((row) => (
+                row.predecessorTaskId === predecessorTaskId && row.successorTaskId === taskId
+            ));
+            if (alreadyLinked) {
+                rejection = { status: 409, error: 'This dependency already exists.' };
+            } else if (wouldCreateDependencyCycle(existingResult.recordset, predecessorTaskId, taskId)) {
+                rejection = { status: 400, error: 'This dependency would create a cycle between tasks.' };
+            } else {
+                const insertResult = await transaction.request()
+                    .input('projectId', sql.Int, successorTask.projectId)
+                    .input('predecessorTaskId', sql.Int, predecessorTaskId)
+                    .input('successorTaskId', sql.Int, taskId)
+                    .input('dependencyType', sql.NVarChar(20), dependencyType)
+                    .input('lagDays', sql.Int, lagDays)
+                    .input('createdByOid', sql.NVarChar(100), getAuthUser(req)?.oid || null)
+                    .query(`
+                        INSERT INTO TaskDependencies (projectId, predecessorTaskId, successorTaskId, dependencyType, lagDays, createdByOid)
+                        OUTPUT INSERTED.id
+                        VALUES (@projectId, @predecessorTaskId, @successorTaskId, @dependencyType, @lagDays, @createdByOid)
+                    `);
+                dependencyId = insertResult.recordset[0].id;
+            }
+            if (rejection) await transaction.rollback();
+            else await transaction.commit();
+        } catch (txErr) {
+            await transaction.rollback();
+            throw txErr;
+        }
+        if (rejection) {
+            return res.status(rejection.status).json({ error: rejection.error });
+        }
+        const dependency = mapTaskDependencyRow(await fetchTaskDependencyRow(pool, dependencyId));
+
+        await touchProjectActivity(pool, successorTask.projectId);
+        invalidateProjectCache();
+        logAudit({
+            action: 'task.dependency.add',
+            entityType: 'task',
+            entityId: taskId,
+            entityTitle: successorTask.title,
+            user: getAuthUser(req),
+            after: {
+                predecessorTaskId: dependency.predecessorTaskId,
+                predecessorTitle: dependency.predecessorTitle,
+                dependencyType,
+                lagDays
+            },
+            metadata: { projectId: successorTask.projectId, dependencyId: dependency.id },
+            req
+        });
+
+        res.json(dependency);
+    } catch (err) {
+        handleError(res, 'adding task dependency', err);
+    }
+});
+
+// Update dependency type or lag
+router.put('/:id/dependencies/:dependencyId', checkPermission('can_edit_project'), withSharedScope, checkTaskWriteAccess(), requireProjectWriteAccess, async (req, res) => {
+    try {
+        const taskId = parseInt(req.params.id, 10);
+        const dependencyId = parseInt(req.params.dependencyId, 10);
+        if (Number.isNaN(taskId) || Number.isNaN(dependencyId)) {
+            return res.status(400).json({ error: 'Invalid task or dependency id' });
+        }
+
+        const pool = await getPool();
+        if (!(await hasTaskDependencySchema(pool))) {
+            return res.status(409).json({ error: TASK_DEPENDENCY_SCHEMA_MISSING_ERROR });
+        }
+
+        const existing = await fetchTaskDependencyRow(pool, dependencyId);
+        if (!existing || existing.successorTaskId !== taskId) {
+            return res.status(404).json({ error: 'Dependency not found for task.' });
+        }
+
+        const request = pool.request().input('dependencyId', sql.Int, dependencyId);
+        const updateParts = [];
+        const after = {};
+
+        if (req.body?.dependencyType !== undefined) {
+            const dependencyType = normalizeDependencyType(req.body.dependencyType);
+            if (!dependencyType) {
+                return res.status(400).json({ error: INVALID_DEPENDENCY_TYPE_ERROR });
+            }
+            request.input('dependencyType', sql.NVarChar(20), dependencyType);
+            updateParts.push('dependencyType = @dependencyType');
+            after.dependencyType = dependencyType;
+        }
+
+        if (req.body?.lagDays !== undefined) {
+            const lagDays = normalizeLagDays(req.body.lagDays);
+            if (lagDays === null) {
+                return res.status(400).json({ error: INVALID_LAG_DAYS_ERROR });
+            }
+            request.input('lagDays', sql.Int, lagDays);
+            updateParts.push('lagDays = @lagDays');
+            after.lagDays = lagDays;
+        }
+
+        if (updateParts.length === 0) {
+            return res.status(400).json({ error: 'No dependency changes provided.' });
+        }
+
+        await request.query(`UPDATE TaskDependencies SET ${updateParts.join(', ')} WHERE id = @dependencyId`);
+        const dependency = mapTaskDependencyRow(await fetchTaskDependencyRow(pool, dependencyId));
+
+        await touchProjectActivity(pool, existing.projectId);
+        invalidateProjectCache();
+        logAudit({
+            action: 'task.dependency.update',
+            entityType: 'task',
+            entityId: taskId,
+            entityTitle: existing.successorTitle,
+            user: getAuthUser(req),
+            before: { dependencyType: existing.dependencyType, lagDays: existing.lagDays },
+            after,
+            metadata: { projectId: existing.projectId, dependencyId: String(dependencyId) },
+            req
+        });
+
+        res.json(dependency);
+    } catch (err) {
+        handleError(res, 'updating task dependency', err);
+    }
+});
+
+// Remove a predecessor link
+router.delete('/:id/dependencies/:dependencyId', checkPermission('can_edit_project'), withSharedScope, checkTaskWriteAccess(), requireProjectWriteAccess, async (req, res) => {
+    try {
+        const taskId = parseInt(req.params.id, 10);
+        const dependencyId = parseInt(req.params.dependencyId, 10);
+        if (Number.isNaN(taskId) || Number.isNaN(dependencyId)) {
+            return res.status(400).json({ error: 'Invalid task or dependency id' });
+        }
+
+        const pool = await getPool();
+        if (!(await hasTaskDependencySchema(pool))) {
+            return res.status(409).json({ error: TASK_DEPENDENCY_SCHEMA_MISSING_ERROR });
+        }
+
+        const existing = await fetchTaskDependencyRow(pool, dependencyId);
+        if (!existing || existing.successorTaskId !== taskId) {
+            return res.status(404).json({ error: 'Dependency not found for task.' });
+        }
+
+        await pool.request()
+            .input('dependencyId', sql.Int, dependencyId)
+            .query('DELETE FROM TaskDependencies WHERE id = @dependencyId');
+
+        await touchProjectActivity(pool, existing.projectId);
+        invalidateProjectCache();
+        logAudit({
+            action: 'task.dependency.delete',
+            entityType: 'task',
+            entityId: taskId,
+            entityTitle: existing.successorTitle,
+            user: getAuthUser(req),
+            before: mapTaskDependencyRow(existing),
+            metadata: { projectId: existing.projectId, dependencyId: String(dependencyId) },
+            req
+        });
+        res.json({ success: true });
+    } catch (err) {
+        handleError(res, 'deleting task dependency', err);
+    }
+});
+
+// List the comment thread for a task
+router.get('/:id/comments', checkPermission('can_view_projects'), withSharedScope, checkTaskWriteAccess(), async (req, res) => {
+    try {
+        const taskId = parseInt(req.params.id, 10);
+        if (Number.isNaN(taskId)) {
+            return res.status(400).json({ error: 'Invalid task id' });
+        }
+
+        const pool = await getPool();
+        if (!(await hasTaskCommentSchema(pool))) {
+            return res.json({ comments: [] });
+        }
+
+        res.json({ comments: await fetchTaskCommentRows(pool, taskId) });
+    } catch (err) {
+        handleError(res, 'fetching task comments', err);
+    }
+});
+
+// Add a comment or reply. Anyone who can see the task may take part in the discussion.
+router.post('/:id/comments', checkPermission('can_view_projects'), withSharedScope, checkTaskWriteAccess(), async (req, res) => {
+    try {
+        const taskId = parseInt(req.params.id, 10);
+        if (Number.isNaN(taskId)) {
+            return res.status(400).json({ error: 'Invalid task id' });
+        }
+        if (req.projectLifecycleState === 'archived') {
+            return res.status(409).json({ error: 'Archived projects are read-only until restored.' });
+        }
+
+        const body = normalizeCommentBody(req.body?.body);
+        if (!body) {
+            return res.status(400).json({ error: 'Comment text is required.' });
+        }
+        if (body.length > MAX_COMMENT_LENGTH) {
+            return res.status(400).json({ error: `Comments are limited to ${MAX_COMMENT_LENGTH} characters.` });
+        }
+
+        const user = getAuthUser(req);
+        if (!user?.oid) {
+            return res.status(401).json({ error: 'Authentication required' });
+        }
+
+        const pool = await getPool();
+        if (!(await hasTaskCommentSchema(pool))) {
+            return res.status(409).json({ error: COMMENT_SCHEMA_MISSING_ERROR });
+        }
+
+        let parentCommentId = null;
+        if (req.body?.parentCommentId !== undefined && req.body?.parentCommentId !== null && req.body?.parentCommentId !== '') {
+            const requestedParentId = Number.parseInt(req.body.parentCommentId, 10);
+            if (Number.isNaN(requestedParentId)) {
+                return res.status(400).json({ error: 'Invalid parentCommentId' });
+            }
+            const parentResult = await pool.request()
+                .input('parentId', sql.Int, requestedParentId)
+                .input('taskId', sql.Int, taskId)
+                .query('SELECT id, parentCommentId FROM TaskComments WHERE id = @parentId AND taskId = @taskId');
+            if (!parentResult.recordset.length) {
+                return res.status(404).json({ error: 'Parent comment not found for task.' });
+            }
+            // Threads are one level deep: replies to replies attach to the thread root.
+            parentCommentId = parentResult.recordset[0].parentCommentId || parentResult.recordset[0].id;
+        }
+
+        const mentionResolution = await resolveCommentMentions(pool, req.user, body);
+        if (mentionResolution.error) {
+            return res.status(400).json({ error: mentionResolution.error });
+        }
+
+        const taskResult = await pool.request()
+            .input('taskId', sql.Int, taskId)
+            .query('SELECT title, projectId FROM Tasks WHERE id = @taskId');
+        const task = taskResult.recordset[0];
+
+        let commentId;
+        const transaction = pool.transaction();
+        await transaction.begin();
+        try {
+            const insertResult = await transaction.request()
+                .input('taskId', sql.Int, taskId)
+                .input('parentCommentId', sql.Int, parentCommentId)
+                .input('authorOid', sql.NVarChar(100), user.oid)
+                .input('body', sql.NVarChar(sql.MAX), body)
+                .query(`
+                    INSERT INTO TaskComments (taskId, parentCommentId, authorOid, body)
+                    OUTPUT INSERTED.id
+                    VALUES (@taskId, @parentCommentId, @authorOid, @body)
+                `);
+            commentId = insertResult.recordset[0].id;
+            await syncCommentMentions(transaction, commentId, mentionResolution.oids);
+            await transaction.commit();
+        } catch (txErr) {
+            await transaction.rollback();
+            throw txErr;
+        }
+
+        const [comment] = await fetchTaskCommentRows(pool, taskId, commentId);
+
+        await touchProjectActivity(pool, task?.projectId);
+        logAudit({
+            action: 'task.comment.add',
+            entityType: 'task-comment',
+            entityId: commentId,
+            entityTitle: task?.title,
+            user,
+            after: { excerpt: commentExcerpt(body), parentCommentId, mentionOids: mentionResolution.oids },
+            metadata: { projectId: task?.projectId, taskId },
+            req
+        });
+
+        res.json(comment);
+    } catch (err) {
+        handleError(res, 'adding task comment', err);
+    }
+});
+
+// Edit a comment (author only); the prior body is kept as a revision
+router.put('/:id/comments/:commentId', checkPermission('can_view_projects'), withSharedScope, checkTaskWriteAccess(), async (req, res) => {
+    try {
+        const taskId = parseInt(req.params.id, 10);
+        const commentId = parseInt(req.params.commentId, 10);
+        if (Number.isNaN(taskId) || Number.isNaN(commentId)) {
+            return res.status(400).json({ error: 'Invalid task or comment id' });
+        }
+        if (req.projectLifecycleState === 'archived') {
+            return res.status(409).json({ error: 'Archived projects are read-only until restored.' });
+        }
+
+        const body = normalizeCommentBody(req.body?.body);
+        if (!body) {
+            return res.status(400).json({ error: 'Comment text is required.' });
+        }
+        if (body.length > MAX_COMMENT_LENGTH) {
+            return res.status(400).json({ error: `Comments are limited to ${MAX_COMMENT_LENGTH} characters.` });
+        }
+
+        const pool = await getPool();
+        if (!(await hasTaskCommentSchema(pool))) {
+            return res.status(409).json({ error: COMMENT_SCHEMA_MISSING_ERROR });
+        }
+
+        const prev = await pool.request()
+            .input('commentId', sql.Int, commentId)
+            .input('taskId', sql.Int, taskId)
+            .query(`
+                SELECT c.id, c.authorOid, c.body, c.isDeleted, t.title AS taskTitle, t.projectId
+                FROM TaskComments c
+                INNER JOIN Tasks t ON t.id = c.taskId
+                WHERE c.id = @commentId AND c.taskId = @taskId
+            `);
+        const existing = prev.recordset[0];
+        if (!existing || existing.isDeleted) {
+            return res.status(404).json({ error: 'Comment not found for task.' });
+        }
+
+        const user = getAuthUser(req);
+        if (existing.authorOid !== user?.oid) {
+            return res.status(403).json({ error: 'Only the author can edit this comment.' });
+        }
+        if (existing.body === body) {
+            const [unchanged] = await fetchTaskCommentRows(pool, taskId, commentId);
+            return res.json(unchanged);
+        }
+
+        const mentionResolution = await resolveCommentMentions(pool, req.user, body);
+        if (mentionResolution.error) {
+            return res.status(400).json({ error: mentionResolution.error });
+        }
+
+        const transaction = pool.transaction();
+        await transaction.begin();
+        try {
+            await transaction.request()
+                .input('commentId', sql.Int, commentId)
+                .input('previousBody', sql.NVarChar(sql.MAX), existing.body)
+                .input('changedByOid', sql.NVarChar(100), user.oid)
+                .query(`
+                    INSERT INTO TaskCommentRevisions (commentId, changeType, previousBody, changedByOid)
+                    VALUES (@commentId, 'edit', @previousBody, @changedByOid)
+                `);
+            await transaction.request()
+                .input('commentId', sql.Int, commentId)
+                .input('body', sql.NVarChar(sql.MAX), body)
+                .input('editedAt', sql.DateTime2, new Date())
+                .query('UPDATE TaskComments SET body = @body, editedAt = @editedAt WHERE id = @commentId');
+            await syncCommentMentions(transaction, commentId, mentionResolution.oids);
+            await transaction.commit();
+        } catch (txErr) {
+            await transaction.rollback();
+            throw txErr;
+        }
+
+        const [comment] = await fetchTaskCommentRows(pool, taskId, commentId);
+
+        await touchProjectActivity(pool, existing.projectId);
+        logAudit({
+            action: 'task.comment.update',
+            entityType: 'task-comment',
+            entityId: commentId,
+            entityTitle: existing.taskTitle,
+            user,
+            before: { excerpt: commentExcerpt(existing.body) },
+            after: { excerpt: commentExcerpt(body), mentionOids: mentionResolution.oids },
+            metadata: { projectId: existing.projectId, taskId },
+            req
+        });
+
+        res.json(comment);
+    } catch (err) {
+        handleError(res, 'updating task comment', err);
+    }
+});
+
+// Delete a comment (author or admin). The row stays as a tombstone so replies keep their thread.
+router.delete('/:id/comments/:commentId', checkPermission('can_view_projects'), withSharedScope, checkTaskWriteAccess(), async (req, res) => {
+    try {
+        const taskId = parseInt(req.params.id, 10);
+        const commentId = parseInt(req.params.commentId, 10);
+        if (Number.isNaN(taskId) || Number.isNaN(commentId)) {
+            return res.status(400).json({ error: 'Invalid task or comment id' });
+        }
+        if (req.projectLifecycleState === 'archived') {
+            return res.status(409).json({ error: 'Archived projects are read-only until restored.' });
+        }
+
+        const pool = await getPool();
+        if (!(await hasTaskCommentSchema(pool))) {
+            return res.status(409).json({ error: COMMENT_SCHEMA_MISSING_ERROR });
+        }
+
+        const prev = await pool.request()
+            .input('commentId', sql.Int, commentId)
+            .input('taskId', sql.Int, taskId)
+            .query(`
+                SELECT c.id, c.authorOid, c.body, c.isDeleted, t.title AS taskTitle, t.projectId
+                FROM TaskComments c
+                INNER JOIN Tasks t ON t.id = c.taskId
+                WHERE c.id = @commentId AND c.taskId = @taskId
+            `);
+        const existing = prev.recordset[0];
+        if (!existing || existing.isDeleted) {
+            return res.status(404).json({ error: 'Comment not found for task.' });
+        }
+
+        const user = getAuthUser(req);
+        if (existing.authorOid !== user?.oid && !isAdminUser(req.user)) {
+            return res.status(403).json({ error: 'Only the author can delete this comment.' });
+        }
+
+        const transaction = pool.transaction();
+        await transaction.begin();
+        try {
+            await transaction.request()
+                .input('commentId', sql.Int, commentId)
+                .input('previousBody', sql.NVarChar(sql.MAX), existing.body)
+                .input('changedByOid', sql.NVarChar(100), user?.oid || null)
+                .query(`
+                    INSERT INTO TaskCommentRevisions (commentId, changeType, previousBody, changedByOid)
+                    VALUES (@commentId, 'delete', @previousBody, @changedByOid)
+                `);
+            await transaction.request()
+                .input('commentId', sql.Int, commentId)
+                .input('deletedAt', sql.DateTime2, new Date())
+                .input('deletedByOid', sql.NVarChar(100), user?.oid || null)
+                .query(`
+                    UPDATE TaskComments
+                    SET isDeleted = 1, body = '', deletedAt = @deletedAt, deletedByOid = @deletedByOid
+                    WHERE id = @commentId
+                `);
+            await transaction.request()
+                .input('commentId', sql.Int, commentId)
+                .query('DELETE FROM TaskCommentMentions WHERE commentId = @commentId');
+            await transaction.commit();
+        } catch (txErr) {
+            await transaction.rollback();
+            throw txErr;
+        }
+
+        await touchProjectActivity(pool, existing.projectId);
+        logAudit({
+            action: 'task.comment.delete',
+            entityType: 'task-comment',
+            entityId: commentId,
+            entityTitle: existing.taskTitle,
+            user,
+            before: { excerpt: commentExcerpt(existing.body), authorOid: existing.authorOid },
+            metadata: { projectId: existing.projectId, taskId },
+            req
+        });
+        res.json({ success: true });
+    } catch (err) {
+        handleError(res, 'deleting task comment', err);
+    }
+});
+
+// Edit/delete history for a comment
+router.get('/:id/comments/:commentId/history', checkPermission('can_view_projects'), withSharedScope, checkTaskWriteAccess(), async (req, res) => {
+    try {
+        const taskId = parseInt(req.params.id, 10);
+        const commentId = parseInt(req.params.commentId, 10);
+        if (Number.isNaN(taskId) || Number.isNaN(commentId)) {
+            return res.status(400).json({ error: 'Invalid task or comment id' });
+        }
+
+        const pool = await getPool();
+        if (!(await hasTaskCommentSchema(pool))) {
+            return res.status(409).json({ error: COMMENT_SCHEMA_MISSING_ERROR });
+        }
+
+        const result = await pool.request()
+            .input('commentId', sql.Int, commentId)
+            .input('taskId', sql.Int, taskId)
+            .query(`
+                SELECT r.id, r.changeType, r.previousBody, r.changedByOid, r.changedAt, u.name AS changedByName
+                FROM TaskCommentRevisions r
+                INNER JOIN TaskComments c ON c.id = r.commentId
+                LEFT JOIN Users u ON u.oid = r.changedByOid
+                WHERE r.commentId = @commentId AND c.taskId = @taskId
+                ORDER BY r.changedAt DESC, r.id DESC
+            `);
+
+        res.json({
+            revisions: result.recordset.map((row) => ({
+                id: String(row.id),
+                changeType: row.changeType,
+                previousBody: row.previousBody,
+                changedByOid: row.changedByOid || null,
+                changedByName: row.changedByName || null,
+                changedAt: row.changedAt
+            }))
+        });
+    } catch (err) {
+        handleError(res, 'fetching task comment history', err);
+    }
+});
+
+const TIME_ENTRY_SELECT = `
+    SELECT te.id, te.taskId, te.userOid, te.entryDate, te.hours, te.note, te.createdAt, te.updatedAt, u.name AS userName
+    FROM TaskTimeEntries te
+    LEFT JOIN Users u ON u.oid = te.userOid
+`;
+
+const parseTimeEntryInput = (body, { partial = false } = {}) => {
+    const changes = {};
+    if (!partial || body?.hours !== undefined) {
+        const hours = normalizeTimeEntryHours(body?.hours);
+        if (hours === null) {
+            return { error: `hours must be greater than 0 and at most ${MAX_TIME_ENTRY_HOURS}.` };
+        }
+        changes.hours = hours;
+    }
+    if (!partial || body?.entryDate !== undefined) {
+        const entryDate = toDateOnly(body?.entryDate);
+        if (!entryDate) {
+            return { error: 'entryDate is required. Use YYYY-MM-DD format.' };
+        }
+        changes.entryDate = entryDate;
+    }
+    if (body?.note !== undefined) {
+        const note = normalizeTaskString(body.note);
+        if (note && note.length > MAX_TIME_ENTRY_NOTE_LENGTH) {
+            return { error: `Notes are limited to ${MAX_TIME_ENTRY_NOTE_LENGTH} characters.` };
+        }
+        changes.note = note;
+    }
+    return { changes };
+};
+
+// Time entries for a task, with the task estimate for estimate-vs-actual display
+router.get('/:id/time-entries', checkPermission('can_view_projects'), withSharedScope, checkTaskWriteAccess(), async (req, res) => {
+    try {
+        const taskId = parseInt(req.params.id, 10);
+        if (Number.isNaN(taskId)) {
+            return res.status(400).json({ error: 'Invalid task id' });
+        }
+
+        const pool = await getPool();
+        if (!(await hasTimeEntrySchema(pool))) {
+            return res.json({ schemaReady: false, entries: [], estimatedHours: null, actualHours: 0 });
+        }
+
+        const result = await pool.request()
+            .input('taskId', sql.Int, taskId)
+            .query(`
+                ${TIME_ENTRY_SELECT}
+                WHERE te.taskId = @taskId
+                ORDER BY te.entryDate DESC, te.id DESC;
+
+                SELECT estimatedHours FROM Tasks WHERE id = @taskId;
+            `);
+        const [entryRows, taskRows] = result.recordsets;
+        const entries = entryRows.map(mapTimeEntryRow);
+        const estimatedHours = taskRows[0]?.estimatedHours;
+        res.json({
+            schemaReady: true,
+            entries,
+            estimatedHours: estimatedHours === null || estimatedHours === undefined ? null : Number(estimatedHours),
+            actualHours: Math.round(entries.reduce((sum, entry) => sum + entry.hours, 0) * 100) / 100
+        });
+    } catch (err) {
+        handleError(res, 'fetching task time entries', err);
+    }
+});
+
+// Log time against a task. Entries always belong to the signed-in user.
+router.post('/:id/time-entries', checkPermission('can_view_projects'), withSharedScope, checkTaskWriteAccess(), async (req, res) => {
+    try {
+        const taskId = parseInt(req.params.id, 10);
+        if (Number.isNaN(taskId)) {
+            return res.status(400).json({ error: 'Invalid task id' });
+        }
+        if (req.projectLifecycleState === 'archived') {
+            return res.status(409).json({ error: 'Archived projects are read-only until restored.' });
+        }
+
+        const { changes, error } = parseTimeEntryInput(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const user = getAuthUser(req);
+        if (!user?.oid) {
+            return res.status(401).json({ error: 'Authentication required' });
+        }
+
+        const pool = await getPool();
+        if (!(await hasTimeEntrySchema(pool))) {
+            return res.status(409).json({ error: TIME_ENTRY_SCHEMA_MISSING_ERROR });
+        }
+
+        const taskResult = await pool.request()
+            .input('taskId', sql.Int, taskId)
+            .query('SELECT title, projectId FROM Tasks WHERE id = @taskId');
+        const task = taskResult.recordset[0];
+
+        const insertResult = await pool.request()
+            .input('taskId', sql.Int, taskId)
+            .input('userOid', sql.NVarChar(100), user.oid)
+            .input('entryDate', sql.Date, changes.entryDate)
+            .input('hours', sql.Decimal(5, 2), changes.hours)
+            .input('note', sql.NVarChar(MAX_TIME_ENTRY_NOTE_LENGTH), changes.note ?? null)
+            .query(`
+                INSERT INTO TaskTimeEntries (taskId, userOid, entryDate, hours, note)
+                OUTPUT INSERTED.id
+                VALUES (@taskId, @userOid, @entryDate, @hours, @note)
+            `);
+        const entryId = insertResult.recordset[0].id;
+        const entryResult = await pool.request()
+            .input('entryId', sql.Int, entryId)
+            .query(`${TIME_ENTRY_SELECT} WHERE te.id = @entryId`);
+
+        await touchProjectActivity(pool, task?.projectId);
+        logAudit({
+            action: 'task.time.add',
+            entityType: 'task-time-entry',
+            entityId: entryId,
+            entityTitle: task?.title,
+            user,
+            after: { entryDate: changes.entryDate, hours: changes.hours },
+            metadata: { projectId: task?.projectId, taskId },
+            req
+        });
+
+        res.json(mapTimeEntryRow(entryResult.recordset[0]));
+    } catch (err) {
+        handleError(res, 'logging task time', err);
+    }
+});
+
+const loadTimeEntryForChange = async (pool, req, res) => {
+    const taskId = parseInt(req.params.id, 10);
+    const entryId = parseInt(req.params.entryId, 10);
+    if (Number.isNaN(taskId) || Number.isNaN(entryId)) {
+        res.status(400).json({ error: 'Invalid task or time entry id' });
+        return null;
+    }
+    if (req.projectLifecycleState === 'archived') {
+        res.status(409).json({ error: 'Archived projects are read-only until restored.' });
+        return null;
+    }
+    if (!(await hasTimeEntrySchema(pool))) {
+        res.status(409).json({ error: TIME_ENTRY_SCHEMA_MISSING_ERROR });
+        return null;
+    }
+
+    const prev = await pool.request()
+        .input('entryId', sql.Int, entryId)
+        .input('taskId', sql.Int, taskId)
+        .query(`
+            SELECT te.id, te.userOid, te.entryDate, te.hours, te.note, t.title AS taskTitle, t.projectId
+            FROM TaskTimeEntries te
+            INNER JOIN Tasks t ON t.id = te.taskId
+            WHERE te.id = @entryId AND te.taskId = @taskId
+        `);
+    const existing = prev.recordset[0];
+    if (!existing) {
+        res.status(404).json({ error: 'Time entry not found for task.' });
+        return null;
+    }
+    if (existing.userOid !== getAuthUser(req)?.oid && !isAdminUser(req.user)) {
+        res.status(403).json({ error: 'Only the person who logged this time can change it.' });
+        return null;
+    }
+    return { taskId, entryId, existing };
+};
+
+// Correct a time entry (owner or admin)
+router.put('/:id/time-entries/:entryId', checkPermission('can_view_projects'), withSharedScope, checkTaskWriteAccess(), async (req, res) => {
+    try {
+        const { changes, error } = parseTimeEntryInput(req.body, { partial: true });
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const pool = await getPool();
+        const loaded = await loadTimeEntryForChange(pool, req, res);
+        if (!loaded) return;
+        const { taskId, entryId, existing } = loaded;
+
+        const request = pool.request().input('entryId', sql.Int, entryId);
+        const updateParts = [];
+        if (changes.hours !== undefined) {
+            request.input('hours', sql.Decimal(5, 2), changes.hours);
+            updateParts.push('hours = @hours');
+        }
+        if (changes.entryDate !== undefined) {
+            request.input('entryDate', sql.Date, changes.entryDate);
+            updateParts.push('entryDate = @entryDate');
+        }
+        if (changes.note !== undefined) {
+            request.input('note', sql.NVarChar(MAX_TIME_ENTRY_NOTE_LENGTH), changes.note);
+            updateParts.push('note = @note');
+        }
+        if (updateParts.length > 0) {
+            request.input('updatedAt', sql.DateTime2, new Date());
+            updateParts.push('updatedAt = @updatedAt');
+            await request.query(`UPDATE TaskTimeEntries SET ${updateParts.join(', ')} WHERE id = @entryId`);
+        }
+
+        const entryResult = await pool.request()
+            .input('entryId', sql.Int, entryId)
+            .query(`${TIME_ENTRY_SELECT} WHERE te.id = @entryId`);
+        const entry = mapTimeEntryRow(entryResult.recordset[0]);
+
+        await touchProjectActivity(pool, existing.projectId);
+        logAudit({
+            action: 'task.time.update',
+            entityType: 'task-time-entry',
+            entityId: entryId,
+            entityTitle: existing.taskTitle,
+            user: getAuthUser(req),
+            before: { entryDate: toDateOnly(existing.entryDate), hours: Number(existing.hours) },
+            after: { entryDate: entry.entryDate, hours: entry.hours },
+            metadata: { projectId: existing.projectId, taskId },
+            req
+        });
+
+        res.json(entry);
+    } catch (err) {
+        handleError(res, 'updating task time entry', err);
+    }
+});
+
+router.delete('/:id/time-entries/:entryId', checkPermission('can_view_projects'), withSharedScope, checkTaskWriteAccess(), async (req, res) => {
+    try {
+        const pool = await getPool();
+        const loaded = await loadTimeEntryForChange(pool, req, res);
+        if (!loaded) return;
+        const { taskId, entryId, existing } = loaded;
+
+        await pool.request()
+            .input('entryId', sql.Int, entryId)
+            .query('DELETE FROM TaskTimeEntries WHERE id = @entryId');
+
+        await touchProjectActivity(pool, existing.projectId);
+        logAudit({
+            action: 'task.time.delete',
+            entityType: 'task-time-entry',
+            entityId: entryId,
+            entityTitle: existing.taskTitle,
+            user: getAuthUser(req),
+            before: { entryDate: toDateOnly(existing.entryDate), hours: Number(existing.hours), userOid: existing.userOid },
+            metadata: { projectId: existing.projectId, taskId },
+            req
+        });
+        res.json({ success: true });
+    } catch (err) {
+        handleError(res, 'deleting task time entry', err);
+    }
+});
+
+// Delete task. With the recycle bin schema installed the task is only stamped as deleted, keeping
+// its checklist, comments, time, links and sub-task hierarchy for a restore; the retention runner purges it later.
+router.delete('/:id', checkPermission('can_edit_project'), withSharedScope, checkTaskWriteAccess(), requireProjectWriteAccess, async (req, res) => {
+    try {
+        const id = parseInt(req.params.id, 10);
+        if (Number.isNaN(id)) {
+            return res.status(400).json({ error: 'Invalid task id' });
+        }
+        const pool = await getPool();
+        const prev = await pool.request()
+            .input('id', sql.Int, id)
+            .query('SELECT title, status, priority, projectId, assigneeOid, blockerNote FROM Tasks WHERE id = @id');
+        const user = getAuthUser(req);
+        const binReady = await hasRecycleBinSchema(pool);
+        const deletedAt = new Date();
+        if (binReady) {
+            await pool.request()
+                .input('id', sql.Int, id)
+                .input('deletedAt', sql.DateTime2, deletedAt)
+                .input('deletedByOid', sql.NVarChar(100), user?.oid || null)
+                .query('UPDATE Tasks SET deletedAt = @deletedAt, deletedByOid = @deletedByOid WHERE id = @id');
+        } else {
+            const removedAttachments = await purgeTask(pool, id);
+            await removeStoredAttachments(removedAttachments);
+        }
+
+        await touchProjectActivity(pool, prev.recordset[0]?.projectId);
+        invalidateProjectCache();
+        logAudit({
+            action: 'task.delete',
+            entityType: 'task',
+            entityId: id,
+            entityTitle: prev.recordset[0]?.title,
+            user,
+            before: prev.recordset[0],
+            metadata: { projectId: prev.recordset[0]?.projectId, recycled: binReady },
+            req
+        });
+        res.json({ success: true, recycled: binReady, purgeAfter: binReady ? getRecycleBinPurgeDate(deletedAt) : null });
+    } catch (err) {
+        handleError(res, 'deleting task', err);
+    }
+});
+
+// Restore a task from the recycle bin
+router.post('/:id/restore', checkPermission('can_edit_project'), withSharedScope, checkTaskWriteAccess(undefined, { includeDeleted: true }), requireProjectWriteAccess, async (req, res) => {
+    try {
+        const id = parseInt(req.params.id, 10);
+        if (Number.isNaN(id)) {
+            return res.status(400).json({ error: 'Invalid task id' });
+        }
+        const pool = await getPool();
+        if (!(await hasRecycleBinSchema(pool))) {
+            return res.status(409).json({ error: RECYCLE_BIN_SCHEMA_MISSING_ERROR });
+        }
+        const restoreResult = await pool.request()
+            .input('id', sql.Int, id)
+            .query(`
+                UPDATE Tasks
+                SET deletedAt = NULL, deletedByOid = NULL
+                OUTPUT INSERTED.title, INSERTED.projectId, DELETED.deletedAt
+                WHERE id = @id AND deletedAt IS NOT NULL
+            `);
+        const restored = restoreResult.recordset[0];
+        if (!restored) {
+            return res.status(409).json({ error: 'Task is not in the recycle bin.' });
+        }
+
+        await touchProjectActivity(pool, restored.projectId);
+        invalidateProjectCache();
+        logAudit({
+            action: 'task.restore',
+            entityType: 'task',
+            entityId: id,
+            entityTitle: restored.title,
+            user: getAuthUser(req),
+            before: { deletedAt: restored.deletedAt },
+            metadata: { projectId: restored.projectId },
+            req
+        });
+        res.json({ success: true, id: String(id), projectId: String(restored.projectId) });
+    } catch (err) {
+        handleError(res, 'restoring task', err);
     }
 });
 
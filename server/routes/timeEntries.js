@@ -0,0 +1,179 @@
+import express from 'express';
+import { getPool, sql } from '../db.js';
+import { checkPermission, getAuthUser, hasPermission } from '../middleware/authMiddleware.js';
+import { handleError } from '../utils/errorHandler.js';
+import { isAdminUser } from '../utils/orgOwnership.js';
+import { applyTimeEntryProjectScope, hasTimeEntrySchema } from '../utils/timeEntries.js';
+import { hasRecycleBinSchema, notDeletedSql } from '../utils/recycleBin.js';
+import {
+    BURN_WINDOW_WEEKS,
+    TIME_SUMMARY_GROUPS,
+    getWeekStart,
+    shiftWeek,
+    summarizeTimesheet
+} from '../../shared/timeEntries.js';
+
+const router = express.Router();
+
+const MAX_SUMMARY_RANGE_DAYS = 366;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const parseDateParam = (value) => {
+    if (!value) return null;
+    const text = String(value);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(text) || Number.isNaN(Date.parse(`${text}T00:00:00Z`))) return undefined;
+    return text;
+};
+
+// Monday-based week start for an entry date, independent of the server's DATEFIRST setting
+const WEEK_START_SQL = 'DATEADD(day, -((DATEPART(weekday, te.entryDate) + @@DATEFIRST - 2) % 7), te.entryDate)';
+
+// Weekly timesheet. Defaults to the signed-in user; viewing someone else needs project edit rights.
+router.get('/timesheet', checkPermission('can_view_projects'), async (req, res) => {
+    try {
+        const requestedWeek = parseDateParam(req.query.weekStart);
+        if (requestedWeek === undefined) {
+            return res.status(400).json({ error: 'Invalid weekStart. Use YYYY-MM-DD format.' });
+        }
+        const weekStart = getWeekStart(requestedWeek || new Date());
+        if (!weekStart) {
+            return res.status(400).json({ error: 'Invalid weekStart. Use YYYY-MM-DD format.' });
+        }
+
+        const viewer = getAuthUser(req);
+        const requestedOid = req.query.userOid ? String(req.query.userOid).trim() : '';
+        const userOid = requestedOid || viewer?.oid;
+        if (!userOid) {
+            return res.status(401).json({ error: 'Authentication required' });
+        }
+        const viewingSelf = userOid === viewer?.oid;
+        if (!viewingSelf && !(await hasPermission(req.user, 'can_edit_project'))) {
+            return res.status(403).json({ error: 'You can only view your own timesheet.' });
+        }
+
+        const pool = await getPool();
+        if (!(await hasTimeEntrySchema(pool))) {
+            return res.json({ schemaReady: false, userOid, ...summarizeTimesheet([], weekStart) });
+        }
+        const binReady = await hasRecycleBinSchema(pool);
+
+        const request = pool.request()
+            .input('userOid', sql.NVarChar(100), userOid)
+            .input('fromDate', sql.Date, weekStart)
+            .input('toDate', sql.Date, shiftWeek(weekStart, 1));
+        // Your own hours are always visible; someone else's are limited to projects you can see.
+        const scope = viewingSelf ? '1 = 1' : applyTimeEntryProjectScope(request, req.user, isAdminUser(req.user));
+        const result = await request.query(`
+            SELECT te.taskId, te.entryDate, te.hours, t.title AS taskTitle, p.id AS projectId, p.title AS projectTitle
+            FROM TaskTimeEntries te
+            INNER JOIN Tasks t ON t.id = te.taskId
+            INNER JOIN Projects p ON p.id = t.projectId
+            WHERE te.userOid = @userOid
+              AND ${notDeletedSql('t.', binReady)}
+              AND te.entryDate >= @fromDate
+              AND te.entryDate < @toDate
+              AND ${scope}
+        `);
+
+        res.json({ schemaReady: true, userOid, ...summarizeTimesheet(result.recordset, weekStart) });
+    } catch (err) {
+        handleError(res, 'fetching timesheet', err);
+    }
+});
+
+// Logged hours rolled up by project, user or week for the visible portfolio
+router.get('/summary', checkPermission(['can_view_exec_dashboard', 'can_view_governance_queue']), async (req, res) => {
+    try {
+        const groupBy = String(req.query.groupBy || 'project').toLowerCase();
+        if (!TIME_SUMMARY_GROUPS.includes(groupBy)) {
+            return res.status(400).json({ error: `Invalid groupBy. Allowed: ${TIME_SUMMARY_GROUPS.join(', ')}` });
+        }
+        const requestedTo = parseDateParam(req.query.to);
+        const requestedFrom = parseDateParam(req.query.from);
+        if (requestedTo === undefined || requestedFrom === undefined) {
+            return res.status(400).json({ error: 'Invalid from/to. Use YYYY-MM-DD format.' });
+        }
+        // Defaults to the governance burn window plus the current week.
+        const to = requestedTo || new Date().toISOString().slice(0, 10);
+        const from = requestedFrom || shiftWeek(getWeekStart(to), -BURN_WINDOW_WEEKS);
+        const rangeDays = (Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY_MS;
+        if (rangeDays < 0 || rangeDays > MAX_SUMMARY_RANGE_DAYS) {
+            return res.status(400).json({ error: `from must be on or before to, within ${MAX_SUMMARY_RANGE_DAYS} days.` });
+        }
+        let projectId = null;
+        if (req.query.projectId !== undefined) {
+            projectId = Number.parseInt(req.query.projectId, 10);
+            if (Number.isNaN(projectId)) {
+                return res.status(400).json({ error: 'Invalid project id' });
+            }
+        }
+
+        const pool = await getPool();
+        if (!(await hasTimeEntrySchema(pool))) {
+            return res.json({ schemaReady: false, from, to, groupBy, groups: [], totalHours: 0 });
+        }
+        const binReady = await hasRecycleBinSchema(pool);
+
+        const request = pool.request()
+            .input('fromDate', sql.Date, from)
+            .input('toDate', sql.Date, to)
+            .input('projectId', sql.Int, projectId);
+        const scope = applyTimeEntryProjectScope(request, req.user, isAdminUser(req.user));
+        const grouping = {
+            project: {
+                select: 'CAST(p.id AS NVARCHAR(20)) AS groupKey, p.title AS label, MAX(projectEstimate.estimatedHours) AS estimatedHours',
+                join: `OUTER APPLY (SELECT SUM(t2.estimatedHours) AS estimatedHours FROM Tasks t2 WHERE t2.projectId = p.id AND ${notDeletedSql('t2.', binReady)}) projectEstimate`,
+                groupBy: 'p.id, p.title'
+            },
+            user: {
+                select: 'te.userOid AS groupKey, MAX(u.name) AS label, NULL AS estimatedHours',
+                join: 'LEFT JOIN Users u ON u.oid = te.userOid',
+                groupBy: 'te.userOid'
+            },
+            week: {
+                select: `CONVERT(NVARCHAR(10), ${WEEK_START_SQL}, 23) AS groupKey, NULL AS label, NULL AS estimatedHours`,
+                join: '',
+                groupBy: WEEK_START_SQL
+            }
+        }[groupBy];
+
+        const result = await request.query(`
+            SELECT ${grouping.select}, SUM(te.hours) AS hours, COUNT(*) AS entryCount
+            FROM TaskTimeEntries te
+            INNER JOIN Tasks t ON t.id = te.taskId
+            INNER JOIN Projects p ON p.id = t.projectId
+            ${grouping.join}
+            WHERE te.entryDate >= @fromDate
+              AND te.entryDate <= @toDate
+              AND ${notDeletedSql('t.', binReady)}
+              AND (@projectId IS NULL OR p.id = @projectId)
+              AND ${scope}
+            GROUP BY ${grouping.groupBy}
+            ORDER BY hours DESC
+        `);
+
+        const groups = result.recordset.map((row) => ({
+            key: String(row.groupKey),
+            label: row.label || String(row.groupKey),
+            hours: Math.round(Number(row.hours || 0) * 100) / 100,
+            entryCount: Number(row.entryCount || 0),
+            estimatedHours: row.estimatedHours === null || row.estimatedHours === undefined ? null : Number(row.estimatedHours)
+        }));
+        if (groupBy === 'week') {
+            groups.sort((a, b) => a.key.localeCompare(b.key));
+        }
+
+        res.json({
+            schemaReady: true,
+            from,
+            to,
+            groupBy,
+            groups,
+            totalHours: Math.round(groups.reduce((sum, group) => sum + group.hours, 0) * 100) / 100
+        });
+    } catch (err) {
+        handleError(res, 'summarizing time entries', err);
+    }
+});
+
+export default router;
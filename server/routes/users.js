@@ -1,6 +1,20 @@
 import express from 'express';
 import { getPool, sql } from '../db.js';
-import { requireAuth, checkPermission, hasPermission } from '../middleware/authMiddleware.js';
+import { requireAuth, checkPermission } from '../middleware/authMiddleware.js';
+import { resolveAssignableUserScope, applyAssignableUserScope } from '../utils/assignableUsers.js';
+import { isAdminUser } from '../utils/orgOwnership.js';
+import { logAudit } from '../utils/auditLogger.js';
+import { handleError } from '../utils/errorHandler.js';
+import {
+    MAX_CALENDAR_FEEDS_PER_USER,
+    MAX_CALENDAR_FEED_LABEL_LENGTH,
+    generateCalendarFeedToken,
+    hasCalendarFeedSchema,
+    hashCalendarFeedToken
+} from '../utils/calendarFeeds.js';
+import { stripMentionTokens } from '../../shared/mentions.js';
+import { hasRecycleBinSchema, notDeletedSql } from '../utils/recycleBin.js';
+import { hasProjectHoldSchema, listOverdueResumeProjects } from '../utils/projectHolds.js';
 
 const router = express.Router();
 
@@ -28,6 +42,271 @@ router.get('/me', requireAuth, async (req, res) => {
     }
 });
 
+// Task comment @mentions for the current user (My Work inbox).
+// Only mentions on tasks whose project the user can still see are returned.
+router.get('/me/mentions', checkPermission('can_view_projects'), async (req, res) => {
+    try {
+        const userOid = String(req.user?.oid || '');
+        if (!userOid) {
+            return res.status(401).json({ error: 'Authentication required' });
+        }
+        const requestedLimit = parseInt(req.query.limit, 10);
+        const limit = Number.isNaN(requestedLimit) ? 20 : Math.max(1, Math.min(100, requestedLimit));
+        const unreadOnly = String(req.query.unread || '').toLowerCase() === 'true';
+
+        const pool = await getPool();
+        const schemaResult = await pool.request().query(`
+            SELECT CASE WHEN OBJECT_ID('TaskCommentMentions', 'U') IS NOT NULL THEN 1 ELSE 0 END AS hasMentionTable
+        `);
+        if (!schemaResult.recordset[0]?.hasMentionTable) {
+            return res.json({ mentions: [], unreadCount: 0 });
+        }
+
+        const request = pool.request()
+            .input('userOid', sql.NVarChar(100), userOid)
+            .input('limit', sql.Int, limit);
+        const whereConditions = ['m.mentionedOid = @userOid', 'c.isDeleted = 0', notDeletedSql('t.', await hasRecycleBinSchema(pool))];
+        if (!isAdminUser(req.user)) {
+            request.input('orgId', sql.Int, req.user?.orgId || null);
+            whereConditions.push(`(
+                p.orgId = @orgId
+                OR EXISTS (
+                    SELECT 1 FROM ProjectOrgAccess poa
+                    WHERE poa.projectId = p.id
+                      AND poa.orgId = @orgId
+                      AND (poa.expiresAt IS NULL OR poa.expiresAt > GETDATE())
+                )
+            )`);
+        }
+        const baseWhere = whereConditions.join(' AND ');
+
+        const result = await request.query(`
+            SELECT TOP (@limit)
+                m.id, m.createdAt, m.readAt,
+                c.id AS commentId, c.body, c.authorOid,
+                author.name AS authorName,
+                t.id AS taskId, t.title AS taskTitle,
+                p.id AS projectId, p.title AS projectTitle
+            FROM TaskCommentMentions m
+            INNER JOIN TaskComments c ON c.id = m.commentId
+            INNER JOIN Tasks t ON t.id = c.taskId
+            INNER JOIN Projects p ON p.id = t.projectId
+            LEFT JOIN Users author ON author.oid = c.authorOid
+            WHERE ${baseWhere} ${unreadOnly ? 'AND m.readAt IS NULL' : ''}
+            ORDER BY m.createdAt DESC, m.id DESC;
+
+            SELECT COUNT(*) AS unreadCount
+            FROM TaskCommentMentions m
+            INNER JOIN TaskComments c ON c.id = m.commentId
+            INNER JOIN Tasks t ON t.id = c.taskId
+            INNER JOIN Projects p ON p.id = t.projectId
+            WHERE ${baseWhere} AND m.readAt IS NULL;
+        `);
+
+        const [mentionRows, countRows] = result.recordsets;
+        res.json({
+            mentions: mentionRows.map((row) => {
+                const excerpt = stripMentionTokens(row.body).replace(/\s+/g, ' ').trim();
+                return {
+                    id: String(row.id),
+                    commentId: String(row.commentId),
+                    taskId: String(row.taskId),
+                    taskTitle: row.taskTitle,
+                    projectId: String(row.projectId),
+                    projectTitle: row.projectTitle,
+                    authorOid: row.authorOid,
+                    authorName: row.authorName || null,
+                    excerpt: excerpt.length > 140 ? `${excerpt.slice(0, 137)}...` : excerpt,
+                    createdAt: row.createdAt,
+                    readAt: row.readAt || null
+                };
+            }),
+            unreadCount: Number(countRows[0]?.unreadCount || 0)
+        });
+    } catch (err) {
+        handleError(res, 'loading mentions', err);
+    }
+});
+
+// On-hold projects past their expected resume date that the current user put on hold or watches (My Work).
+router.get('/me/resume-reminders', checkPermission('can_view_projects'), async (req, res) => {
+    try {
+        const userOid = String(req.user?.oid || '');
+        if (!userOid) {
+            return res.status(401).json({ error: 'Authentication required' });
+        }
+        const pool = await getPool();
+        if (!(await hasProjectHoldSchema(pool))) {
+            return res.json({ schemaReady: false, reminders: [] });
+        }
+        const reminders = await listOverdueResumeProjects(pool, {
+            userOid,
+            orgId: req.user?.orgId || null,
+            isAdmin: isAdminUser(req.user)
+        });
+        res.json({ schemaReady: true, reminders });
+    } catch (err) {
+        handleError(res, 'loading resume reminders', err);
+    }
+});
+
+// Mark mentions as read. Without mentionIds every unread mention is cleared.
+router.post('/me/mentions/read', checkPermission('can_view_projects'), async (req, res) => {
+    try {
+        const userOid = String(req.user?.oid || '');
+        if (!userOid) {
+            return res.status(401).json({ error: 'Authentication required' });
+        }
+        const rawIds = Array.isArray(req.body?.mentionIds) ? req.body.mentionIds : null;
+        const mentionIds = rawIds
+            ? rawIds.map((value) => Number.parseInt(value, 10)).filter((value) => !Number.isNaN(value))
+            : null;
+        if (rawIds && mentionIds.length === 0) {
+            return res.json({ success: true, updated: 0 });
+        }
+
+        const pool = await getPool();
+        const request = pool.request()
+            .input('userOid', sql.NVarChar(100), userOid)
+            .input('readAt', sql.DateTime2, new Date());
+        let idFilter = '';
+        if (mentionIds) {
+            const placeholders = mentionIds.map((id, index) => {
+                request.input(`mentionId${index}`, sql.Int, id);
+                return `@mentionId${index}`;
+            });
+            idFilter = `AND m.id IN (${placeholders.join(', ')})`;
+        }
+        // Mentions on tasks in the recycle bin stay unread; the inbox does not list them.
+        const result = await request.query(`
+            UPDATE m
+            SET readAt = @readAt
+            FROM TaskCommentMentions m
+            INNER JOIN TaskComments c ON c.id = m.commentId
+            INNER JOIN Tasks t ON t.id = c.taskId
+            WHERE m.mentionedOid = @userOid AND m.readAt IS NULL
+              AND ${notDeletedSql('t.', await hasRecycleBinSchema(pool))} ${idFilter}
+        `);
+        res.json({ success: true, updated: result.rowsAffected[0] || 0 });
+    } catch (err) {
+        handleError(res, 'updating mentions', err);
+    }
+});
+
+const CALENDAR_FEED_SCHEMA_MISSING_ERROR = 'Calendar feed schema is not installed. Run `npm run setup-db:full` in `server`.';
+
+const toCalendarFeedResponse = (row) => ({
+    id: String(row.id),
+    label: row.label,
+    createdAt: row.createdAt,
+    lastAccessedAt: row.lastAccessedAt || null
+});
+
+// Personal iCalendar feeds. Tokens are shown once at creation; only their hash is stored.
+router.get('/me/calendar-feeds', requireAuth, async (req, res) => {
+    try {
+        const pool = await getPool();
+        if (!(await hasCalendarFeedSchema(pool))) {
+            return res.json({ schemaReady: false, feeds: [] });
+        }
+        const result = await pool.request()
+            .input('userOid', sql.NVarChar(100), req.user.oid)
+            .query(`
+                SELECT id, label, createdAt, lastAccessedAt
+                FROM CalendarFeedTokens
+                WHERE userOid = @userOid AND revokedAt IS NULL
+                ORDER BY createdAt DESC
+            `);
+        res.json({ schemaReady: true, feeds: result.recordset.map(toCalendarFeedResponse) });
+    } catch (err) {
+        handleError(res, 'fetching calendar feeds', err);
+    }
+});
+
+router.post('/me/calendar-feeds', requireAuth, async (req, res) => {
+    try {
+        const label = String(req.body?.label || '').trim() || 'My calendar';
+        if (label.length > MAX_CALENDAR_FEED_LABEL_LENGTH) {
+            return res.status(400).json({ error: `label must be ${MAX_CALENDAR_FEED_LABEL_LENGTH} characters or fewer` });
+        }
+
+        const pool = await getPool();
+        if (!(await hasCalendarFeedSchema(pool))) {
+            return res.status(503).json({ error: CALENDAR_FEED_SCHEMA_MISSING_ERROR });
+        }
+        const countResult = await pool.request()
+            .input('userOid', sql.NVarChar(100), req.user.oid)
+            .query('SELECT COUNT(*) AS feedCount FROM CalendarFeedTokens WHERE userOid = @userOid AND revokedAt IS NULL');
+        if (Number(countResult.recordset[0]?.feedCount || 0) >= MAX_CALENDAR_FEEDS_PER_USER) {
+            return res.status(409).json({ error: `You can have at most ${MAX_CALENDAR_FEEDS_PER_USER} calendar feeds. Revoke one first.` });
+        }
+
+        const token = generateCalendarFeedToken();
+        const result = await pool.request()
+            .input('userOid', sql.NVarChar(100), req.user.oid)
+            .input('tokenHash', sql.Char(64), hashCalendarFeedToken(token))
+            .input('label', sql.NVarChar(MAX_CALENDAR_FEED_LABEL_LENGTH), label)
+            .query(`
+                INSERT INTO CalendarFeedTokens (userOid, tokenHash, label)
+                OUTPUT INSERTED.id, INSERTED.label, INSERTED.createdAt, INSERTED.lastAccessedAt
+                VALUES (@userOid, @tokenHash, @label)
+            `);
+        const feed = toCalendarFeedResponse(result.recordset[0]);
+
+        logAudit({
+            action: 'calendar_feed.create',
+            entityType: 'calendar_feed',
+            entityId: feed.id,
+            entityTitle: feed.label,
+            user: req.user,
+            after: { label: feed.label },
+            req
+        });
+
+        res.status(201).json({ ...feed, token, feedPath: `/calendar/${token}.ics` });
+    } catch (err) {
+        handleError(res, 'creating calendar feed', err);
+    }
+});
+
+router.delete('/me/calendar-feeds/:id', requireAuth, async (req, res) => {
+    try {
+        const feedId = Number.parseInt(req.params.id, 10);
+        if (Number.isNaN(feedId)) return res.status(400).json({ error: 'Invalid calendar feed id' });
+
+        const pool = await getPool();
+        if (!(await hasCalendarFeedSchema(pool))) {
+            return res.status(503).json({ error: CALENDAR_FEED_SCHEMA_MISSING_ERROR });
+        }
+        const result = await pool.request()
+            .input('id', sql.Int, feedId)
+            .input('userOid', sql.NVarChar(100), req.user.oid)
+            .input('now', sql.DateTime2, new Date())
+            .query(`
+                UPDATE CalendarFeedTokens
+                SET revokedAt = @now
+                OUTPUT INSERTED.label
+                WHERE id = @id AND userOid = @userOid AND revokedAt IS NULL
+            `);
+        if (result.recordset.length === 0) {
+            return res.status(404).json({ error: 'Calendar feed not found' });
+        }
+
+        logAudit({
+            action: 'calendar_feed.revoke',
+            entityType: 'calendar_feed',
+            entityId: feedId,
+            entityTitle: result.recordset[0].label,
+            user: req.user,
+            req
+        });
+
+        res.json({ success: true });
+    } catch (err) {
+        handleError(res, 'revoking calendar feed', err);
+    }
+});
+
 // List users that can be assigned tasks.
 // Non-admin users are restricted to their organization users.
 router.get('/assignable', checkPermission(['can_view_projects', 'can_edit_project']), async (req, res) => {
@@ -38,27 +317,13 @@ router.get('/assignable', checkPermission(['can_view_projects', 'can_edit_projec
             ? 100
             : Math.max(1, Math.min(300, requestedLimit));
 
-        const canViewAllOrganizations = await hasPermission(req.user, [
-            'can_manage_organizations',
-            'can_manage_sharing_requests'
-        ]);
-        const orgId = req.user?.orgId || null;
+        const scope = await resolveAssignableUserScope(req.user);
 
         const pool = await getPool();
         const request = pool.request()
             .input('limit', sql.Int, limit);
 
-        const whereConditions = [];
-
-        if (!canViewAllOrganizations) {
-            if (!orgId) {
-                whereConditions.push('u.oid = @currentOid');
-                request.input('currentOid', sql.NVarChar(100), String(req.user?.oid || ''));
-            } else {
-                whereConditions.push('u.orgId = @orgId');
-                request.input('orgId', sql.Int, orgId);
-            }
-        }
+        const whereConditions = applyAssignableUserScope(request, scope);
 
         if (rawQuery) {
             request.input('qContains', sql.NVarChar(260), `%${rawQuery}%`);
@@ -310,7 +310,7 @@ const backfillGoals = async (dbOrTx) => {
         OUTER APPLY (
             SELECT
                 MAX(linkedProjects.lastActivityAt) AS latestLinkedProjectActivityAt,
-                SUM(CASE WHEN linkedProjects.lifecycleState IN ('active', 'completed') THEN 1 ELSE 0 END) AS activeLinkedProjectCount
+                SUM(CASE WHEN linkedProjects.lifecycleState IN ('active', 'on-hold', 'completed') THEN 1 ELSE 0 END) AS activeLinkedProjectCount
             FROM (
                 SELECT p.id, p.lastActivityAt, p.lifecycleState
                 FROM Projects p
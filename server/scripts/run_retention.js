@@ -3,6 +3,8 @@ import path from 'node:path';
 import { fileURLToPath } from 'node:url';
 import { getPool, sql } from '../db.js';
 import { RETENTION_WINDOWS } from '../../shared/dataLifecyclePolicy.js';
+import { purgeTask } from '../utils/recycleBin.js';
+import { removeStoredAttachments } from '../utils/attachments.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -80,6 +82,11 @@ const executiveFailureCutoff = monthsAgo(RETENTION_WINDOWS.executiveRunFailureMo
 const auditHotCutoff = monthsAgo(RETENTION_WINDOWS.auditHotRetentionMonths);
 const sharingCutoff = monthsAgo(RETENTION_WINDOWS.sharingHistoryMonths);
 const intakeHistoryCutoff = yearsAgo(RETENTION_WINDOWS.intakeHistoryYears);
+const recycleBinCutoff = (() => {
+    const date = new Date();
+    date.setDate(date.getDate() - RETENTION_WINDOWS.recycleBinDays);
+    return date;
+})();
 
 const report = {
     generatedAt: new Date().toISOString(),
@@ -93,6 +100,8 @@ const report = {
         intakeForms: { reviewCandidates: 0, retired: 0 },
         intakeHistory: { candidates: 0 },
         governanceHistory: { candidates: 0 },
+        recycleBin: { tasks: 0, checklistItems: 0, kpis: 0, purged: 0 },
+        attachments: { projectArchiveCandidates: 0, intakeHistoryCandidates: 0, totalBytes: 0 },
         operationalArtifacts: {
             statusReportCompactionCandidates: 0,
             executivePackRunPurgeCandidates: 0,
@@ -109,6 +118,7 @@ const report = {
         intakeFormsForReview: [],
         intakeHistory: [],
         governanceHistory: [],
+        recycleBin: [],
         statusReportCompaction: [],
         executivePackRuns: [],
         auditExport: [],
@@ -119,15 +129,45 @@ const report = {
     applied: {
         projectsArchived: [],
         goalsRetired: [],
-        goalsArchived: []
+        goalsArchived: [],
+        recycleBinPurged: []
     },
     notes: [
-        'Apply mode only changes core lifecycle states for projects and goals.',
+        'Apply mode changes core lifecycle states for projects and goals, and permanently deletes tasks, checklist items and KPIs that have been in the recycle bin longer than the recycle bin window.',
         'Operational-artifact purge categories remain report-only until cold-export verification is introduced.',
-        'Dormant intake forms are surfaced for review but are not auto-retired until a business age threshold is formally approved.'
+        'Dormant intake forms are surfaced for review but are not auto-retired until a business age threshold is formally approved.',
+        'Attachments follow their parent record: they are archived with their project (including task attachments) and are reported with intake history; they have no separate retention window.'
     ]
 };
 
+let attachmentSchemaReady = false;
+
+const detectAttachmentSchema = async (dbOrTx) => {
+    const result = await createRequest(dbOrTx).query(`
+        SELECT CASE WHEN OBJECT_ID('Attachments', 'U') IS NOT NULL THEN 1 ELSE 0 END AS hasAttachments
+    `);
+    attachmentSchemaReady = !!result.recordset[0]?.hasAttachments;
+};
+
+// Attachments have no lifecycle of their own; count them against the parent record they belong to.
+const buildAttachmentStatsApply = (matchClause) => (
+    attachmentSchemaReady
+        ? `OUTER APPLY (
+            SELECT COUNT(*) AS attachmentCount, COALESCE(SUM(a.sizeBytes), 0) AS attachmentBytes
+            FROM Attachments a
+            WHERE ${matchClause}
+        ) attachmentStats`
+        : 'CROSS APPLY (SELECT 0 AS attachmentCount, CAST(0 AS BIGINT) AS attachmentBytes) attachmentStats'
+);
+
+const recordAttachmentStats = (summaryKey, row) => {
+    const attachmentCount = Number(row.attachmentCount || 0);
+    const attachmentBytes = Number(row.attachmentBytes || 0);
+    report.summary.attachments[summaryKey] += attachmentCount;
+    report.summary.attachments.totalBytes += attachmentBytes;
+    return { attachmentCount, attachmentBytes };
+};
+
 const archiveProject = async ({ dbOrTx, id, archivedAt, archiveReason }) => {
     await createRequest(dbOrTx)
         .input('id', sql.Int, id)
@@ -197,7 +237,9 @@ const collectProjectCandidates = async (dbOrTx) => {
             p.status,
             p.lifecycleState,
             COALESCE(p.completedAt, p.lastActivityAt, p.createdAt) AS lifecycleAnchorAt,
-            governanceStats.openGovernanceCount
+            governanceStats.openGovernanceCount,
+            attachmentStats.attachmentCount,
+            attachmentStats.attachmentBytes
         FROM Projects p
         OUTER APPLY (
             SELECT COUNT(*) AS openGovernanceCount
@@ -206,20 +248,20 @@ const collectProjectCandidates = async (dbOrTx) => {
             WHERE s.convertedProjectId = p.id
               AND gr.status IN ('in-review')
         ) governanceStats
-        WHERE p.lifecycleState IN ('active', 'completed')
+        ${buildAttachmentStatsApply(`(a.entityType = 'project' AND a.entityId = p.id)
+               OR (a.entityType = 'task' AND a.entityId IN (SELECT t.id FROM Tasks t WHERE t.projectId = p.id))`)}
+        WHERE p.lifecycleState IN ('active', 'on-hold', 'completed')
         ORDER BY p.id
     `);
 
     const appliedAt = new Date();
     for (const row of result.recordset) {
         const lifecycleAnchorAt = toDate(row.lifecycleAnchorAt);
-        const normalizedStatus = String(row.status || '').trim().toLowerCase();
         const normalizedLifecycle = String(row.lifecycleState || '').trim().toLowerCase();
         const isCompletedCandidate = normalizedLifecycle === 'completed'
             && lifecycleAnchorAt
             && lifecycleAnchorAt.getTime() < projectCompletedCutoff.getTime();
-        const isOnHoldCandidate = normalizedStatus === 'on-hold'
-            && normalizedLifecycle === 'active'
+        const isOnHoldCandidate = normalizedLifecycle === 'on-hold'
             && lifecycleAnchorAt
             && lifecycleAnchorAt.getTime() < projectOnHoldCutoff.getTime()
             && Number(row.openGovernanceCount || 0) === 0;
@@ -234,6 +276,7 @@ const collectProjectCandidates = async (dbOrTx) => {
             lifecycleState: row.lifecycleState,
             lifecycleAnchorAt: toIso(lifecycleAnchorAt),
             openGovernanceCount: Number(row.openGovernanceCount || 0),
+            ...recordAttachmentStats('projectArchiveCandidates', row),
             archiveReason: isCompletedCandidate
                 ? 'Retention runner archived completed project after inactivity threshold'
                 : 'Retention runner archived dormant on-hold project after inactivity threshold'
@@ -269,7 +312,7 @@ const collectGoalCandidates = async (dbOrTx) => {
             projectStats.activeLinkedProjectCount
         FROM Goals g
         OUTER APPLY (
-            SELECT SUM(CASE WHEN linkedProjects.lifecycleState IN ('active', 'completed') THEN 1 ELSE 0 END) AS activeLinkedProjectCount
+            SELECT SUM(CASE WHEN linkedProjects.lifecycleState IN ('active', 'on-hold', 'completed') THEN 1 ELSE 0 END) AS activeLinkedProjectCount
             FROM (
                 SELECT p.id, p.lifecycleState
                 FROM Projects p
@@ -392,21 +435,25 @@ const collectHistoricalCandidates = async (dbOrTx) => {
         .input('intakeHistoryCutoff', sql.DateTime2, intakeHistoryCutoff)
         .query(`
             SELECT TOP 100
-                id,
-                status,
-                governanceDecision,
-                resolvedAt
-            FROM IntakeSubmissions
-            WHERE resolvedAt IS NOT NULL
-              AND resolvedAt < @intakeHistoryCutoff
-            ORDER BY resolvedAt ASC, id ASC
+                s.id,
+                s.status,
+                s.governanceDecision,
+                s.resolvedAt,
+                attachmentStats.attachmentCount,
+                attachmentStats.attachmentBytes
+            FROM IntakeSubmissions s
+            ${buildAttachmentStatsApply("a.entityType = 'submission' AND a.entityId = s.id")}
+            WHERE s.resolvedAt IS NOT NULL
+              AND s.resolvedAt < @intakeHistoryCutoff
+            ORDER BY s.resolvedAt ASC, s.id ASC
         `);
     report.summary.intakeHistory.candidates = submissionsResult.recordset.length;
     report.candidates.intakeHistory = submissionsResult.recordset.map((row) => ({
         id: row.id,
         status: row.status,
         governanceDecision: row.governanceDecision || null,
-        resolvedAt: toIso(row.resolvedAt)
+        resolvedAt: toIso(row.resolvedAt),
+        ...recordAttachmentStats('intakeHistoryCandidates', row)
     }));
 
     const governanceResult = await createRequest(dbOrTx)
@@ -581,6 +628,70 @@ const collectOperationalArtifactCandidates = async (dbOrTx) => {
     }));
 };
 
+// Attachment rows removed by task purges; their stored bytes are deleted only after the transaction commits.
+const purgedAttachments = [];
+
+const collectRecycleBinCandidates = async (dbOrTx) => {
+    const schemaResult = await createRequest(dbOrTx).query(`
+        SELECT
+            CASE WHEN COL_LENGTH('Tasks', 'deletedAt') IS NOT NULL
+                AND COL_LENGTH('TaskChecklistItems', 'deletedAt') IS NOT NULL
+                AND COL_LENGTH('KPIs', 'deletedAt') IS NOT NULL THEN 1 ELSE 0 END AS hasRecycleBin
+    `);
+    if (!schemaResult.recordset[0]?.hasRecycleBin) return;
+
+    // Checklist items of a binned task go with the task, so only items on live tasks are listed.
+    const result = await createRequest(dbOrTx)
+        .input('recycleBinCutoff', sql.DateTime2, recycleBinCutoff)
+        .query(`
+            SELECT 'task' AS entityType, t.id, t.title, t.projectId AS parentId, t.deletedAt
+            FROM Tasks t
+            WHERE t.deletedAt IS NOT NULL AND t.deletedAt < @recycleBinCutoff
+            UNION ALL
+            SELECT 'checklist', i.id, i.title, i.taskId, i.deletedAt
+            FROM TaskChecklistItems i
+            INNER JOIN Tasks t ON t.id = i.taskId
+            WHERE i.deletedAt IS NOT NULL AND i.deletedAt < @recycleBinCutoff AND t.deletedAt IS NULL
+            UNION ALL
+            SELECT 'kpi', k.id, k.name, k.goalId, k.deletedAt
+            FROM KPIs k
+            WHERE k.deletedAt IS NOT NULL AND k.deletedAt < @recycleBinCutoff
+            ORDER BY deletedAt ASC
+        `);
+
+    const purgedAt = new Date();
+    for (const row of result.recordset) {
+        const entry = {
+            entityType: row.entityType,
+            id: row.id,
+            title: row.title,
+            parentId: row.parentId,
+            deletedAt: toIso(row.deletedAt)
+        };
+        if (row.entityType === 'task') report.summary.recycleBin.tasks += 1;
+        else if (row.entityType === 'checklist') report.summary.recycleBin.checklistItems += 1;
+        else report.summary.recycleBin.kpis += 1;
+        report.candidates.recycleBin.push(entry);
+
+        if (applyChanges) {
+            if (row.entityType === 'task') {
+                purgedAttachments.push(...await purgeTask(dbOrTx, row.id));
+            } else {
+                await createRequest(dbOrTx)
+                    .input('id', sql.Int, row.id)
+                    .query(row.entityType === 'checklist'
+                        ? 'DELETE FROM TaskChecklistItems WHERE id = @id'
+                        : 'DELETE FROM KPIs WHERE id = @id');
+            }
+            report.summary.recycleBin.purged += 1;
+            report.applied.recycleBinPurged.push({
+                ...entry,
+                purgedAt: toIso(purgedAt)
+            });
+        }
+    }
+};
+
 const main = async () => {
     const pool = await getPool();
     const tx = applyChanges ? new sql.Transaction(pool) : null;
@@ -592,15 +703,18 @@ const main = async () => {
 
         const dbOrTx = tx || pool;
         await ensureLifecycleSchemaReady(dbOrTx);
+        await detectAttachmentSchema(dbOrTx);
         await collectProjectCandidates(dbOrTx);
         await collectGoalCandidates(dbOrTx);
         await collectIntakeFormReviewCandidates(dbOrTx);
         await collectHistoricalCandidates(dbOrTx);
         await collectOperationalArtifactCandidates(dbOrTx);
+        await collectRecycleBinCandidates(dbOrTx);
 
         if (tx) {
             await tx.commit();
         }
+        await removeStoredAttachments(purgedAttachments);
 
         await ensureOutputDirectory(outputPath);
         await fs.writeFile(outputPath, `${JSON.stringify(report, null, 2)}\n`, 'utf8');
@@ -127,6 +127,7 @@ GO
 -- Ownership is stored separately in Projects.orgId later in this script.
 -- lifecycleState controls whether a project remains in active work views:
 --   active    -> current delivery work
+--   on-hold   -> paused with a reason and expected resume date; still visible in active views
 --   completed -> recently completed / still visible in active views
 --   archived  -> historical only / restoreable)
 IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'Projects')
@@ -211,7 +212,7 @@ CREATE TABLE Tasks (
     id INT IDENTITY(1,1) PRIMARY KEY,
     projectId INT NOT NULL,
     title NVARCHAR(255) NOT NULL,
-    status NVARCHAR(20) DEFAULT 'todo',  -- todo, in-progress, blocked, review, done
+    status NVARCHAR(20) DEFAULT 'todo',  -- workflow state key; built-in: todo, in-progress, blocked, review, done
     priority NVARCHAR(20) DEFAULT 'medium',  -- low, medium, high
     description NVARCHAR(MAX) NULL,
     startDate DATE NULL,
@@ -221,7 +222,7 @@ CREATE TABLE Tasks (
     createdAt DATETIME2 DEFAULT GETDATE(),
     updatedAt DATETIME2 DEFAULT GETDATE(),
     CONSTRAINT FK_Tasks_Project FOREIGN KEY (projectId) REFERENCES Projects(id) ON DELETE CASCADE,
-    CONSTRAINT CK_Tasks_Status CHECK (status IN ('todo', 'in-progress', 'blocked', 'review', 'done')),
+    CONSTRAINT CK_Tasks_StatusKey CHECK (LEN(status) > 0 AND status NOT LIKE '%[^a-z0-9-]%'),
     CONSTRAINT CK_Tasks_Priority CHECK (priority IN ('low', 'medium', 'high')),
     CONSTRAINT CK_Tasks_DateOrder CHECK (startDate IS NULL OR endDate IS NULL OR endDate >= startDate)
 );
@@ -246,18 +247,93 @@ BEGIN
 END
 GO
 
-IF NOT EXISTS (
+IF COL_LENGTH('Tasks', 'estimatedHours') IS NULL
+BEGIN
+    ALTER TABLE Tasks ADD estimatedHours DECIMAL(9,2) NULL;
+END
+GO
+
+-- Task statuses are workflow state keys (see TaskWorkflows), so the fixed status list is replaced
+-- by a key format check. statusCategory keeps open/active/blocked/done semantics queryable.
+IF EXISTS (
     SELECT 1
     FROM sys.check_constraints
     WHERE name = 'CK_Tasks_Status'
 )
+BEGIN
+    ALTER TABLE Tasks DROP CONSTRAINT CK_Tasks_Status;
+END
+GO
+
+IF NOT EXISTS (
+    SELECT 1
+    FROM sys.check_constraints
+    WHERE name = 'CK_Tasks_StatusKey'
+)
 BEGIN
     ALTER TABLE Tasks
-    ADD CONSTRAINT CK_Tasks_Status
-    CHECK (status IN ('todo', 'in-progress', 'blocked', 'review', 'done'));
+    ADD CONSTRAINT CK_Tasks_StatusKey
+    CHECK (LEN(status) > 0 AND status NOT LIKE '%[^a-z0-9-]%');
+END
+GO
+
+IF COL_LENGTH('Tasks', 'statusCategory') IS NULL
+BEGIN
+    ALTER TABLE Tasks ADD statusCategory NVARCHAR(20) NOT NULL
+        CONSTRAINT DF_Tasks_StatusCategory DEFAULT 'open' WITH VALUES;
 END
 GO
 
+UPDATE Tasks
+SET statusCategory = CASE status
+    WHEN 'done' THEN 'done'
+    WHEN 'blocked' THEN 'blocked'
+    WHEN 'in-progress' THEN 'active'
+    WHEN 'review' THEN 'active'
+    ELSE 'open'
+END
+WHERE statusCategory = 'open' AND status IN ('done', 'blocked', 'in-progress', 'review');
+GO
+
+IF NOT EXISTS (
+    SELECT 1
+    FROM sys.check_constraints
+    WHERE name = 'CK_Tasks_StatusCategory'
+)
+BEGIN
+    ALTER TABLE Tasks
+    ADD CONSTRAINT CK_Tasks_StatusCategory
+    CHECK (statusCategory IN ('open', 'active', 'blocked', 'done'));
+END
+GO
+
+-- Sub-tasks: a task may sit under another task in the same project (same-project and depth
+-- rules are enforced by the API). Deleting a parent promotes its sub-tasks, so no cascade.
+IF COL_LENGTH('Tasks', 'parentTaskId') IS NULL
+BEGIN
+    ALTER TABLE Tasks ADD parentTaskId INT NULL;
+END
+GO
+
+IF NOT EXISTS (SELECT 1 FROM sys.foreign_keys WHERE name = 'FK_Tasks_ParentTask')
+BEGIN
+    ALTER TABLE Tasks
+    ADD CONSTRAINT FK_Tasks_ParentTask
+    FOREIGN KEY (parentTaskId) REFERENCES Tasks(id) ON DELETE NO ACTION;
+END
+GO
+
+IF NOT EXISTS (SELECT 1 FROM sys.check_constraints WHERE name = 'CK_Tasks_NotOwnParent')
+BEGIN
+    ALTER TABLE Tasks
+    ADD CONSTRAINT CK_Tasks_NotOwnParent CHECK (parentTaskId IS NULL OR parentTaskId <> id);
+END
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.indexes WHERE name = 'IX_Tasks_ParentTaskId')
+    CREATE INDEX IX_Tasks_ParentTaskId ON Tasks(parentTaskId) WHERE parentTaskId IS NOT NULL;
+GO
+
 IF NOT EXISTS (
     SELECT 1
     FROM sys.check_constraints
@@ -296,6 +372,89 @@ CREATE TABLE TaskChecklistItems (
 );
 GO
 
+-- Task dependencies (finish-to-start / start-to-start links with lag)
+-- Only the predecessor link cascades; SQL Server rejects multiple cascade paths to Tasks.
+IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'TaskDependencies')
+CREATE TABLE TaskDependencies (
+    id INT IDENTITY(1,1) PRIMARY KEY,
+    projectId INT NOT NULL,
+    predecessorTaskId INT NOT NULL,
+    successorTaskId INT NOT NULL,
+    dependencyType NVARCHAR(20) NOT NULL CONSTRAINT DF_TaskDependencies_Type DEFAULT 'finish-to-start',
+    lagDays INT NOT NULL CONSTRAINT DF_TaskDependencies_LagDays DEFAULT 0,
+    createdByOid NVARCHAR(100) NULL,
+    createdAt DATETIME2 NOT NULL DEFAULT GETDATE(),
+    CONSTRAINT FK_TaskDependencies_Project FOREIGN KEY (projectId) REFERENCES Projects(id),
+    CONSTRAINT FK_TaskDependencies_Predecessor FOREIGN KEY (predecessorTaskId) REFERENCES Tasks(id) ON DELETE CASCADE,
+    CONSTRAINT FK_TaskDependencies_Successor FOREIGN KEY (successorTaskId) REFERENCES Tasks(id),
+    CONSTRAINT UQ_TaskDependencies_Pair UNIQUE (predecessorTaskId, successorTaskId),
+    CONSTRAINT CK_TaskDependencies_Type CHECK (dependencyType IN ('finish-to-start', 'start-to-start')),
+    CONSTRAINT CK_TaskDependencies_NotSelf CHECK (predecessorTaskId <> successorTaskId),
+    CONSTRAINT CK_TaskDependencies_LagDays CHECK (lagDays BETWEEN -365 AND 365)
+);
+GO
+
+-- Task comments (threaded discussion; replies point at a top-level comment)
+IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'TaskComments')
+CREATE TABLE TaskComments (
+    id INT IDENTITY(1,1) PRIMARY KEY,
+    taskId INT NOT NULL,
+    parentCommentId INT NULL,
+    authorOid NVARCHAR(100) NOT NULL,
+    body NVARCHAR(MAX) NOT NULL,
+    isDeleted BIT NOT NULL CONSTRAINT DF_TaskComments_IsDeleted DEFAULT 0,
+    createdAt DATETIME2 NOT NULL DEFAULT GETDATE(),
+    editedAt DATETIME2 NULL,
+    deletedAt DATETIME2 NULL,
+    deletedByOid NVARCHAR(100) NULL,
+    CONSTRAINT FK_TaskComments_Task FOREIGN KEY (taskId) REFERENCES Tasks(id) ON DELETE CASCADE,
+    CONSTRAINT FK_TaskComments_Parent FOREIGN KEY (parentCommentId) REFERENCES TaskComments(id)
+);
+GO
+
+-- Prior comment bodies captured on every edit/delete
+IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'TaskCommentRevisions')
+CREATE TABLE TaskCommentRevisions (
+    id INT IDENTITY(1,1) PRIMARY KEY,
+    commentId INT NOT NULL,
+    changeType NVARCHAR(20) NOT NULL,
+    previousBody NVARCHAR(MAX) NOT NULL,
+    changedByOid NVARCHAR(100) NULL,
+    changedAt DATETIME2 NOT NULL DEFAULT GETDATE(),
+    CONSTRAINT FK_TaskCommentRevisions_Comment FOREIGN KEY (commentId) REFERENCES TaskComments(id) ON DELETE CASCADE,
+    CONSTRAINT CK_TaskCommentRevisions_ChangeType CHECK (changeType IN ('edit', 'delete'))
+);
+GO
+
+-- @mentions resolved from comment bodies (drives the My Work mentions inbox)
+IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'TaskCommentMentions')
+CREATE TABLE TaskCommentMentions (
+    id INT IDENTITY(1,1) PRIMARY KEY,
+    commentId INT NOT NULL,
+    mentionedOid NVARCHAR(100) NOT NULL,
+    createdAt DATETIME2 NOT NULL DEFAULT GETDATE(),
+    readAt DATETIME2 NULL,
+    CONSTRAINT FK_TaskCommentMentions_Comment FOREIGN KEY (commentId) REFERENCES TaskComments(id) ON DELETE CASCADE,
+    CONSTRAINT UQ_TaskCommentMentions_CommentUser UNIQUE (commentId, mentionedOid)
+);
+GO
+
+-- Effort logged against tasks (drives timesheets and governance burn)
+IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'TaskTimeEntries')
+CREATE TABLE TaskTimeEntries (
+    id INT IDENTITY(1,1) PRIMARY KEY,
+    taskId INT NOT NULL,
+    userOid NVARCHAR(100) NOT NULL,
+    entryDate DATE NOT NULL,
+    hours DECIMAL(5,2) NOT NULL,
+    note NVARCHAR(500) NULL,
+    createdAt DATETIME2 NOT NULL DEFAULT GETDATE(),
+    updatedAt DATETIME2 NOT NULL DEFAULT GETDATE(),
+    CONSTRAINT FK_TaskTimeEntries_Task FOREIGN KEY (taskId) REFERENCES Tasks(id) ON DELETE CASCADE,
+    CONSTRAINT CK_TaskTimeEntries_Hours CHECK (hours > 0 AND hours <= 24)
+);
+GO
+
 -- Status Reports (linked to Projects) - JSON blob for flexible structure
 IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'StatusReports')
 CREATE TABLE StatusReports (
@@ -337,6 +496,58 @@ CREATE TABLE ProjectBenefitRealization (
 );
 GO
 
+-- Project milestones (first-class schedule checkpoints; status reports snapshot them)
+-- forecastDate is the current expected date; actualDate is set once the milestone is met.
+IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'ProjectMilestones')
+CREATE TABLE ProjectMilestones (
+    id INT IDENTITY(1,1) PRIMARY KEY,
+    projectId INT NOT NULL,
+    name NVARCHAR(255) NOT NULL,
+    description NVARCHAR(MAX) NULL,
+    plannedDate DATE NOT NULL,
+    forecastDate DATE NULL,
+    actualDate DATE NULL,
+    status NVARCHAR(20) NOT NULL DEFAULT 'pending', -- pending | in-progress | complete | missed
+    sortOrder INT NOT NULL DEFAULT 0,
+    createdByOid NVARCHAR(100) NULL,
+    updatedByOid NVARCHAR(100) NULL,
+    createdAt DATETIME2 NOT NULL DEFAULT GETDATE(),
+    updatedAt DATETIME2 NOT NULL DEFAULT GETDATE(),
+    CONSTRAINT FK_ProjectMilestones_Project FOREIGN KEY (projectId) REFERENCES Projects(id) ON DELETE CASCADE,
+    CONSTRAINT CK_ProjectMilestones_Status CHECK (status IN ('pending', 'in-progress', 'complete', 'missed'))
+);
+GO
+
+-- Named schedule baselines (snapshot of task and milestone dates at a point in time)
+IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'ProjectBaselines')
+CREATE TABLE ProjectBaselines (
+    id INT IDENTITY(1,1) PRIMARY KEY,
+    projectId INT NOT NULL,
+    name NVARCHAR(120) NOT NULL,
+    note NVARCHAR(500) NULL,
+    capturedByOid NVARCHAR(100) NULL,
+    capturedAt DATETIME2 NOT NULL DEFAULT GETDATE(),
+    CONSTRAINT FK_ProjectBaselines_Project FOREIGN KEY (projectId) REFERENCES Projects(id) ON DELETE CASCADE
+);
+GO
+
+-- Baseline items keep the captured title/dates so variance survives task and milestone edits.
+-- itemId is not a foreign key: removed tasks/milestones stay in the baseline for comparison.
+IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'ProjectBaselineItems')
+CREATE TABLE ProjectBaselineItems (
+    id INT IDENTITY(1,1) PRIMARY KEY,
+    baselineId INT NOT NULL,
+    itemType NVARCHAR(20) NOT NULL, -- task | milestone
+    itemId INT NOT NULL,
+    title NVARCHAR(255) NOT NULL,
+    startDate DATE NULL,
+    endDate DATE NULL,
+    CONSTRAINT FK_ProjectBaselineItems_Baseline FOREIGN KEY (baselineId) REFERENCES ProjectBaselines(id) ON DELETE CASCADE,
+    CONSTRAINT CK_ProjectBaselineItems_Type CHECK (itemType IN ('task', 'milestone')),
+    CONSTRAINT UQ_ProjectBaselineItems_Item UNIQUE (baselineId, itemType, itemId)
+);
+GO
+
 -- Intake Forms
 -- `fields` stores a JSON array of field definitions.
 -- Current intake contract requires three system fields on all forms:
@@ -1075,7 +1286,7 @@ IF COL_LENGTH('Projects', 'orgId') IS NOT NULL
 
 IF COL_LENGTH('Projects', 'orgId') IS NOT NULL
    AND NOT EXISTS (SELECT * FROM sys.indexes WHERE name = 'IX_Projects_ActiveOrg')
-    CREATE INDEX IX_Projects_ActiveOrg ON Projects(orgId, id) WHERE lifecycleState IN ('active', 'completed');
+    CREATE INDEX IX_Projects_ActiveOrg ON Projects(orgId, id) WHERE lifecycleState IN ('active', 'on-hold', 'completed');
 
 IF NOT EXISTS (SELECT * FROM sys.indexes WHERE name = 'IX_Tasks_ProjectId')
     CREATE INDEX IX_Tasks_ProjectId ON Tasks(projectId);
@@ -1095,6 +1306,27 @@ IF NOT EXISTS (SELECT * FROM sys.indexes WHERE name = 'IX_TaskChecklistItems_Tas
 IF NOT EXISTS (SELECT * FROM sys.indexes WHERE name = 'IX_TaskChecklistItems_TaskSort')
     CREATE INDEX IX_TaskChecklistItems_TaskSort ON TaskChecklistItems(taskId, sortOrder, id);
 
+IF NOT EXISTS (SELECT * FROM sys.indexes WHERE name = 'IX_TaskDependencies_ProjectId')
+    CREATE INDEX IX_TaskDependencies_ProjectId ON TaskDependencies(projectId);
+
+IF NOT EXISTS (SELECT * FROM sys.indexes WHERE name = 'IX_TaskDependencies_SuccessorTaskId')
+    CREATE INDEX IX_TaskDependencies_SuccessorTaskId ON TaskDependencies(successorTaskId);
+
+IF NOT EXISTS (SELECT * FROM sys.indexes WHERE name = 'IX_TaskComments_TaskId')
+    CREATE INDEX IX_TaskComments_TaskId ON TaskComments(taskId, createdAt);
+
+IF NOT EXISTS (SELECT * FROM sys.indexes WHERE name = 'IX_TaskCommentRevisions_CommentId')
+    CREATE INDEX IX_TaskCommentRevisions_CommentId ON TaskCommentRevisions(commentId, changedAt DESC);
+
+IF NOT EXISTS (SELECT * FROM sys.indexes WHERE name = 'IX_TaskCommentMentions_MentionedOid')
+    CREATE INDEX IX_TaskCommentMentions_MentionedOid ON TaskCommentMentions(mentionedOid, readAt, createdAt DESC);
+
+IF NOT EXISTS (SELECT * FROM sys.indexes WHERE name = 'IX_TaskTimeEntries_TaskId')
+    CREATE INDEX IX_TaskTimeEntries_TaskId ON TaskTimeEntries(taskId, entryDate);
+
+IF NOT EXISTS (SELECT * FROM sys.indexes WHERE name = 'IX_TaskTimeEntries_UserDate')
+    CREATE INDEX IX_TaskTimeEntries_UserDate ON TaskTimeEntries(userOid, entryDate);
+
 IF NOT EXISTS (SELECT * FROM sys.indexes WHERE name = 'IX_StatusReports_ProjectId')
     CREATE INDEX IX_StatusReports_ProjectId ON StatusReports(projectId);
 
@@ -1104,6 +1336,12 @@ IF NOT EXISTS (SELECT * FROM sys.indexes WHERE name = 'IX_ProjectBenefitRealizat
 IF NOT EXISTS (SELECT * FROM sys.indexes WHERE name = 'IX_ProjectBenefitRealization_Kpi')
     CREATE INDEX IX_ProjectBenefitRealization_Kpi ON ProjectBenefitRealization(linkedKpiId);
 
+IF NOT EXISTS (SELECT * FROM sys.indexes WHERE name = 'IX_ProjectMilestones_Project')
+    CREATE INDEX IX_ProjectMilestones_Project ON ProjectMilestones(projectId, plannedDate, sortOrder);
+
+IF NOT EXISTS (SELECT * FROM sys.indexes WHERE name = 'IX_ProjectBaselines_Project')
+    CREATE INDEX IX_ProjectBaselines_Project ON ProjectBaselines(projectId, capturedAt DESC);
+
 IF NOT EXISTS (SELECT * FROM sys.indexes WHERE name = 'IX_IntakeSubmissions_FormId')
     CREATE INDEX IX_IntakeSubmissions_FormId ON IntakeSubmissions(formId);
 
@@ -1358,7 +1596,7 @@ IF NOT EXISTS (
 BEGIN
     ALTER TABLE Projects
     ADD CONSTRAINT CK_Projects_LifecycleState
-    CHECK (lifecycleState IN ('active', 'completed', 'archived'));
+    CHECK (lifecycleState IN ('active', 'on-hold', 'completed', 'archived'));
 END
 GO
 
@@ -1393,7 +1631,7 @@ SET lifecycleState = CASE
     ELSE 'active'
 END
 WHERE lifecycleState IS NULL
-   OR lifecycleState NOT IN ('active', 'completed', 'archived');
+   OR lifecycleState NOT IN ('active', 'on-hold', 'completed', 'archived');
 GO
 
 UPDATE Projects
@@ -1593,6 +1831,585 @@ WHERE p.goalId IS NOT NULL
   );
 GO
 
+-- File attachments for projects, tasks and intake submissions.
+-- Bytes live in the configured storage adapter (see utils/attachmentStorage.js); this table holds metadata only.
+-- orgId mirrors the parent record's owning org at upload time; access is always re-checked against the parent.
+IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'Attachments')
+CREATE TABLE Attachments (
+    id INT IDENTITY(1,1) PRIMARY KEY,
+    entityType NVARCHAR(20) NOT NULL, -- project | task | submission
+    entityId INT NOT NULL,
+    orgId INT NULL,
+    fileName NVARCHAR(255) NOT NULL,
+    mimeType NVARCHAR(150) NOT NULL,
+    sizeBytes BIGINT NOT NULL,
+    checksumSha256 CHAR(64) NOT NULL,
+    storageProvider NVARCHAR(40) NOT NULL,
+    storageKey NVARCHAR(400) NOT NULL,
+    uploadedByOid NVARCHAR(100) NOT NULL,
+    createdAt DATETIME2 NOT NULL DEFAULT GETDATE(),
+    CONSTRAINT FK_Attachments_Organization FOREIGN KEY (orgId) REFERENCES Organizations(id) ON DELETE NO ACTION,
+    CONSTRAINT CK_Attachments_EntityType CHECK (entityType IN ('project', 'task', 'submission')),
+    CONSTRAINT CK_Attachments_SizeBytes CHECK (sizeBytes >= 0)
+);
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.indexes WHERE name = 'IX_Attachments_Entity')
+    CREATE INDEX IX_Attachments_Entity ON Attachments(entityType, entityId, createdAt DESC);
+GO
+
+-- Org-scoped project templates. `definition` is a JSON bundle (see shared/projectTemplates.js):
+-- tasks with start/duration offsets and checklist items, tag ids, goal ids, benefit placeholders
+-- and status report defaults. Instantiation copies everything, so later template edits never touch existing projects.
+IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'ProjectTemplates')
+CREATE TABLE ProjectTemplates (
+    id INT IDENTITY(1,1) PRIMARY KEY,
+    orgId INT NOT NULL,
+    name NVARCHAR(255) NOT NULL,
+    description NVARCHAR(MAX) NULL,
+    definition NVARCHAR(MAX) NOT NULL,
+    isActive BIT NOT NULL DEFAULT 1,
+    createdByOid NVARCHAR(100) NULL,
+    updatedByOid NVARCHAR(100) NULL,
+    createdAt DATETIME2 NOT NULL DEFAULT GETDATE(),
+    updatedAt DATETIME2 NOT NULL DEFAULT GETDATE(),
+    CONSTRAINT FK_ProjectTemplates_Organization FOREIGN KEY (orgId) REFERENCES Organizations(id) ON DELETE NO ACTION,
+    CONSTRAINT UQ_ProjectTemplates_OrgName UNIQUE (orgId, name)
+);
+GO
+
+-- Template provenance and the report defaults copied from it
+IF COL_LENGTH('Projects', 'templateId') IS NULL
+    ALTER TABLE Projects ADD templateId INT NULL;
+GO
+
+IF COL_LENGTH('Projects', 'statusReportDefaults') IS NULL
+    ALTER TABLE Projects ADD statusReportDefaults NVARCHAR(MAX) NULL;
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.foreign_keys WHERE name = 'FK_Projects_Template')
+    ALTER TABLE Projects
+    ADD CONSTRAINT FK_Projects_Template FOREIGN KEY (templateId) REFERENCES ProjectTemplates(id) ON DELETE SET NULL;
+GO
+
+-- Task workflows: ordered task states with categories and allowed transitions.
+-- One workflow per organization and optionally one per project, which takes precedence.
+IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'TaskWorkflows')
+CREATE TABLE TaskWorkflows (
+    id INT IDENTITY(1,1) PRIMARY KEY,
+    orgId INT NULL,
+    projectId INT NULL,
+    name NVARCHAR(255) NOT NULL,
+    states NVARCHAR(MAX) NOT NULL,
+    createdByOid NVARCHAR(100) NULL,
+    updatedByOid NVARCHAR(100) NULL,
+    createdAt DATETIME2 NOT NULL DEFAULT GETDATE(),
+    updatedAt DATETIME2 NOT NULL DEFAULT GETDATE(),
+    CONSTRAINT FK_TaskWorkflows_Organization FOREIGN KEY (orgId) REFERENCES Organizations(id) ON DELETE NO ACTION,
+    CONSTRAINT FK_TaskWorkflows_Project FOREIGN KEY (projectId) REFERENCES Projects(id) ON DELETE CASCADE,
+    CONSTRAINT CK_TaskWorkflows_Scope CHECK (
+        (orgId IS NOT NULL AND projectId IS NULL) OR (orgId IS NULL AND projectId IS NOT NULL)
+    )
+);
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.indexes WHERE name = 'UX_TaskWorkflows_Org')
+    CREATE UNIQUE INDEX UX_TaskWorkflows_Org ON TaskWorkflows(orgId) WHERE orgId IS NOT NULL;
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.indexes WHERE name = 'UX_TaskWorkflows_Project')
+    CREATE UNIQUE INDEX UX_TaskWorkflows_Project ON TaskWorkflows(projectId) WHERE projectId IS NOT NULL;
+GO
+
+-- Kanban WIP limits: optional per-project cap on the number of tasks in a board column (task status).
+-- Projects.enforceWipLimits turns breaches from a warning into a block on moves into a full column.
+IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'ProjectWipLimits')
+CREATE TABLE ProjectWipLimits (
+    id INT IDENTITY(1,1) PRIMARY KEY,
+    projectId INT NOT NULL,
+    status NVARCHAR(20) NOT NULL,
+    wipLimit INT NOT NULL,
+    updatedByOid NVARCHAR(100) NULL,
+    updatedAt DATETIME2 NOT NULL DEFAULT GETDATE(),
+    CONSTRAINT FK_ProjectWipLimits_Project FOREIGN KEY (projectId) REFERENCES Projects(id) ON DELETE CASCADE,
+    CONSTRAINT UQ_ProjectWipLimits_Status UNIQUE (projectId, status),
+    CONSTRAINT CK_ProjectWipLimits_Limit CHECK (wipLimit >= 1)
+);
+GO
+
+IF COL_LENGTH('Projects', 'enforceWipLimits') IS NULL
+    ALTER TABLE Projects ADD enforceWipLimits BIT NOT NULL
+        CONSTRAINT DF_Projects_EnforceWipLimits DEFAULT 0;
+GO
+
+-- Project financials: budget lines by fiscal year and cost type with forecast and actual spend.
+-- forecastAmount is the estimate at completion; NULL means "on budget" until spend passes it.
+IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'ProjectFinancialLines')
+CREATE TABLE ProjectFinancialLines (
+    id INT IDENTITY(1,1) PRIMARY KEY,
+    projectId INT NOT NULL,
+    fiscalYear INT NOT NULL,
+    costType NVARCHAR(20) NOT NULL,
+    category NVARCHAR(100) NULL,
+    budgetAmount DECIMAL(14,2) NOT NULL DEFAULT 0,
+    forecastAmount DECIMAL(14,2) NULL,
+    actualAmount DECIMAL(14,2) NOT NULL DEFAULT 0,
+    notes NVARCHAR(MAX) NULL,
+    createdByOid NVARCHAR(100) NULL,
+    updatedByOid NVARCHAR(100) NULL,
+    createdAt DATETIME2 NOT NULL DEFAULT GETDATE(),
+    updatedAt DATETIME2 NOT NULL DEFAULT GETDATE(),
+    CONSTRAINT FK_ProjectFinancialLines_Project FOREIGN KEY (projectId) REFERENCES Projects(id) ON DELETE CASCADE,
+    CONSTRAINT CK_ProjectFinancialLines_CostType CHECK (costType IN ('capital', 'operating')),
+    CONSTRAINT CK_ProjectFinancialLines_FiscalYear CHECK (fiscalYear BETWEEN 2000 AND 2100),
+    CONSTRAINT CK_ProjectFinancialLines_Amounts CHECK (
+        budgetAmount >= 0 AND actualAmount >= 0 AND (forecastAmount IS NULL OR forecastAmount >= 0)
+    )
+);
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.indexes WHERE name = 'IX_ProjectFinancialLines_Project')
+    CREATE INDEX IX_ProjectFinancialLines_Project ON ProjectFinancialLines(projectId, fiscalYear);
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'ProjectRaidItems')
+CREATE TABLE ProjectRaidItems (
+    id INT IDENTITY(1,1) PRIMARY KEY,
+    projectId INT NOT NULL,
+    type NVARCHAR(20) NOT NULL,
+    title NVARCHAR(255) NOT NULL,
+    description NVARCHAR(MAX) NULL,
+    ownerOid NVARCHAR(100) NULL,
+    probability TINYINT NULL,
+    impact TINYINT NULL,
+    mitigation NVARCHAR(MAX) NULL,
+    dueDate DATE NULL,
+    status NVARCHAR(20) NOT NULL DEFAULT 'open',
+    closedAt DATETIME2 NULL,
+    createdByOid NVARCHAR(100) NULL,
+    updatedByOid NVARCHAR(100) NULL,
+    createdAt DATETIME2 NOT NULL DEFAULT GETDATE(),
+    updatedAt DATETIME2 NOT NULL DEFAULT GETDATE(),
+    CONSTRAINT FK_ProjectRaidItems_Project FOREIGN KEY (projectId) REFERENCES Projects(id) ON DELETE CASCADE,
+    CONSTRAINT FK_ProjectRaidItems_Owner FOREIGN KEY (ownerOid) REFERENCES Users(oid) ON DELETE SET NULL,
+    CONSTRAINT CK_ProjectRaidItems_Type CHECK (type IN ('risk', 'assumption', 'issue', 'dependency')),
+    CONSTRAINT CK_ProjectRaidItems_Status CHECK (status IN ('open', 'monitoring', 'resolved', 'closed')),
+    CONSTRAINT CK_ProjectRaidItems_Scores CHECK (
+        (probability IS NULL OR probability BETWEEN 1 AND 5) AND (impact IS NULL OR impact BETWEEN 1 AND 5)
+    )
+);
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.indexes WHERE name = 'IX_ProjectRaidItems_Project')
+    CREATE INDEX IX_ProjectRaidItems_Project ON ProjectRaidItems(projectId, status);
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'ProjectRaidItemHistory')
+CREATE TABLE ProjectRaidItemHistory (
+    id INT IDENTITY(1,1) PRIMARY KEY,
+    raidItemId INT NOT NULL,
+    fromStatus NVARCHAR(20) NULL,
+    toStatus NVARCHAR(20) NOT NULL,
+    probability TINYINT NULL,
+    impact TINYINT NULL,
+    note NVARCHAR(1000) NULL,
+    changedByOid NVARCHAR(100) NULL,
+    changedAt DATETIME2 NOT NULL DEFAULT GETDATE(),
+    CONSTRAINT FK_ProjectRaidItemHistory_Item FOREIGN KEY (raidItemId) REFERENCES ProjectRaidItems(id) ON DELETE CASCADE
+);
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.indexes WHERE name = 'IX_ProjectRaidItemHistory_Item')
+    CREATE INDEX IX_ProjectRaidItemHistory_Item ON ProjectRaidItemHistory(raidItemId, changedAt);
+GO
+
+-- Project-to-project dependencies: the upstream project delivers something the downstream
+-- project needs. Only the upstream FK cascades, to avoid multiple cascade paths from Projects.
+IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'ProjectDependencies')
+CREATE TABLE ProjectDependencies (
+    id INT IDENTITY(1,1) PRIMARY KEY,
+    upstreamProjectId INT NOT NULL,
+    downstreamProjectId INT NOT NULL,
+    dependencyType NVARCHAR(20) NOT NULL CONSTRAINT DF_ProjectDependencies_Type DEFAULT 'finish-to-start',
+    neededByDate DATE NULL,
+    note NVARCHAR(1000) NULL,
+    createdByOid NVARCHAR(100) NULL,
+    updatedByOid NVARCHAR(100) NULL,
+    createdAt DATETIME2 NOT NULL DEFAULT GETDATE(),
+    updatedAt DATETIME2 NOT NULL DEFAULT GETDATE(),
+    CONSTRAINT FK_ProjectDependencies_Upstream FOREIGN KEY (upstreamProjectId) REFERENCES Projects(id) ON DELETE CASCADE,
+    CONSTRAINT FK_ProjectDependencies_Downstream FOREIGN KEY (downstreamProjectId) REFERENCES Projects(id),
+    CONSTRAINT UQ_ProjectDependencies_Pair UNIQUE (upstreamProjectId, downstreamProjectId),
+    CONSTRAINT CK_ProjectDependencies_Type CHECK (dependencyType IN ('finish-to-start', 'deliverable', 'shared-resource')),
+    CONSTRAINT CK_ProjectDependencies_NotSelf CHECK (upstreamProjectId <> downstreamProjectId)
+);
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.indexes WHERE name = 'IX_ProjectDependencies_Downstream')
+    CREATE INDEX IX_ProjectDependencies_Downstream ON ProjectDependencies(downstreamProjectId);
+GO
+
+-- Stage-gate delivery lifecycle: an organization's ordered phases with gate criteria and checklists.
+-- Organizations without a model use the built-in Initiate/Plan/Build/Deploy/Close phases.
+IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'StageGateModels')
+CREATE TABLE StageGateModels (
+    id INT IDENTITY(1,1) PRIMARY KEY,
+    orgId INT NOT NULL,
+    name NVARCHAR(255) NOT NULL,
+    phases NVARCHAR(MAX) NOT NULL,
+    boardId INT NULL,
+    createdByOid NVARCHAR(100) NULL,
+    updatedByOid NVARCHAR(100) NULL,
+    createdAt DATETIME2 NOT NULL DEFAULT GETDATE(),
+    updatedAt DATETIME2 NOT NULL DEFAULT GETDATE(),
+    CONSTRAINT FK_StageGateModels_Organization FOREIGN KEY (orgId) REFERENCES Organizations(id) ON DELETE NO ACTION,
+    CONSTRAINT FK_StageGateModels_Board FOREIGN KEY (boardId) REFERENCES GovernanceBoard(id) ON DELETE SET NULL,
+    CONSTRAINT UQ_StageGateModels_Org UNIQUE (orgId)
+);
+GO
+
+-- A project's place in the lifecycle. Phases are snapshotted when the project enters the
+-- lifecycle so later model edits do not move projects mid-flight.
+IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'ProjectStageGates')
+CREATE TABLE ProjectStageGates (
+    projectId INT NOT NULL PRIMARY KEY,
+    phases NVARCHAR(MAX) NOT NULL,
+    boardId INT NULL,
+    currentPhaseKey NVARCHAR(30) NOT NULL,
+    checklist NVARCHAR(MAX) NULL, -- JSON { phaseKey: [checked item ids] }
+    phaseStartedAt DATETIME2 NOT NULL DEFAULT GETDATE(),
+    completedAt DATETIME2 NULL,
+    startedByOid NVARCHAR(100) NULL,
+    startedAt DATETIME2 NOT NULL DEFAULT GETDATE(),
+    updatedAt DATETIME2 NOT NULL DEFAULT GETDATE(),
+    CONSTRAINT FK_ProjectStageGates_Project FOREIGN KEY (projectId) REFERENCES Projects(id) ON DELETE CASCADE,
+    CONSTRAINT FK_ProjectStageGates_Board FOREIGN KEY (boardId) REFERENCES GovernanceBoard(id) ON DELETE SET NULL
+);
+GO
+
+-- Gate reviews reuse the governance board voting model: participants and policy are
+-- snapshotted when the review opens, members vote, and a chair records the decision.
+IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'ProjectGateReviews')
+CREATE TABLE ProjectGateReviews (
+    id INT IDENTITY(1,1) PRIMARY KEY,
+    projectId INT NOT NULL,
+    phaseKey NVARCHAR(30) NOT NULL,
+    toPhaseKey NVARCHAR(30) NULL, -- NULL when the gate closes the final phase
+    boardId INT NOT NULL,
+    status NVARCHAR(20) NOT NULL DEFAULT 'in-review', -- in-review | decided | cancelled
+    decision NVARCHAR(20) NULL, -- approved | rework
+    decisionReason NVARCHAR(MAX) NULL,
+    policySnapshotJson NVARCHAR(MAX) NULL,
+    checklistSnapshotJson NVARCHAR(MAX) NULL,
+    voteDeadlineAt DATETIME2 NULL,
+    requestedAt DATETIME2 NOT NULL DEFAULT GETDATE(),
+    requestedByOid NVARCHAR(100) NULL,
+    decidedAt DATETIME2 NULL,
+    decidedByOid NVARCHAR(100) NULL,
+    CONSTRAINT FK_ProjectGateReviews_Project FOREIGN KEY (projectId) REFERENCES Projects(id) ON DELETE CASCADE,
+    CONSTRAINT FK_ProjectGateReviews_Board FOREIGN KEY (boardId) REFERENCES GovernanceBoard(id) ON DELETE NO ACTION,
+    CONSTRAINT CK_ProjectGateReviews_Status CHECK (status IN ('in-review', 'decided', 'cancelled')),
+    CONSTRAINT CK_ProjectGateReviews_Decision CHECK (decision IS NULL OR decision IN ('approved', 'rework'))
+);
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.indexes WHERE name = 'IX_ProjectGateReviews_Project')
+    CREATE INDEX IX_ProjectGateReviews_Project ON ProjectGateReviews(projectId, requestedAt);
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.indexes WHERE name = 'UX_ProjectGateReviews_Open')
+    CREATE UNIQUE INDEX UX_ProjectGateReviews_Open ON ProjectGateReviews(projectId) WHERE status = 'in-review';
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'ProjectGateReviewParticipants')
+CREATE TABLE ProjectGateReviewParticipants (
+    id INT IDENTITY(1,1) PRIMARY KEY,
+    reviewId INT NOT NULL,
+    userOid NVARCHAR(100) NOT NULL,
+    participantRole NVARCHAR(20) NOT NULL DEFAULT 'member',
+    isEligibleVoter BIT NOT NULL DEFAULT 1,
+    createdAt DATETIME2 NOT NULL DEFAULT GETDATE(),
+    CONSTRAINT FK_ProjectGateReviewParticipants_Review FOREIGN KEY (reviewId) REFERENCES ProjectGateReviews(id) ON DELETE CASCADE,
+    CONSTRAINT UQ_ProjectGateReviewParticipants_ReviewUser UNIQUE (reviewId, userOid)
+);
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'ProjectGateVotes')
+CREATE TABLE ProjectGateVotes (
+    id INT IDENTITY(1,1) PRIMARY KEY,
+    reviewId INT NOT NULL,
+    voterUserOid NVARCHAR(100) NOT NULL,
+    vote NVARCHAR(20) NOT NULL,
+    comment NVARCHAR(2000) NULL,
+    submittedAt DATETIME2 NOT NULL DEFAULT GETDATE(),
+    updatedAt DATETIME2 NULL,
+    CONSTRAINT FK_ProjectGateVotes_Review FOREIGN KEY (reviewId) REFERENCES ProjectGateReviews(id) ON DELETE CASCADE,
+    CONSTRAINT UQ_ProjectGateVotes_ReviewVoter UNIQUE (reviewId, voterUserOid),
+    CONSTRAINT CK_ProjectGateVotes_Vote CHECK (vote IN ('approve', 'rework'))
+);
+GO
+
+-- Daily predictive risk scores so trends survive after the live signal is recomputed.
+-- One row per project per day; the snapshot job replaces a same-day row when it reruns.
+IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'ProjectRiskSnapshots')
+CREATE TABLE ProjectRiskSnapshots (
+    id INT IDENTITY(1,1) PRIMARY KEY,
+    projectId INT NOT NULL,
+    snapshotDate DATE NOT NULL,
+    score INT NOT NULL,
+    level NVARCHAR(20) NOT NULL,
+    metrics NVARCHAR(MAX) NULL,
+    signals NVARCHAR(MAX) NULL,
+    capturedAt DATETIME2 NOT NULL DEFAULT GETDATE(),
+    CONSTRAINT FK_ProjectRiskSnapshots_Project FOREIGN KEY (projectId) REFERENCES Projects(id) ON DELETE CASCADE,
+    CONSTRAINT UQ_ProjectRiskSnapshots_ProjectDate UNIQUE (projectId, snapshotDate),
+    CONSTRAINT CK_ProjectRiskSnapshots_Level CHECK (level IN ('low', 'medium', 'high', 'critical'))
+);
+GO
+
+-- Org-specific predictive risk model versions (signal weights, caps and level thresholds).
+-- Versions are append-only; the latest one whose effective date has arrived is in force.
+IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'RiskModelVersions')
+CREATE TABLE RiskModelVersions (
+    id INT IDENTITY(1,1) PRIMARY KEY,
+    orgId INT NOT NULL,
+    version INT NOT NULL,
+    name NVARCHAR(120) NOT NULL,
+    model NVARCHAR(MAX) NOT NULL,
+    effectiveFrom DATE NOT NULL,
+    createdByOid NVARCHAR(100) NULL,
+    createdAt DATETIME2 NOT NULL DEFAULT GETDATE(),
+    CONSTRAINT FK_RiskModelVersions_Organization FOREIGN KEY (orgId) REFERENCES Organizations(id) ON DELETE NO ACTION,
+    CONSTRAINT UQ_RiskModelVersions_OrgVersion UNIQUE (orgId, version)
+);
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.indexes WHERE name = 'IX_RiskModelVersions_Effective')
+    CREATE INDEX IX_RiskModelVersions_Effective ON RiskModelVersions(orgId, effectiveFrom DESC);
+GO
+
+-- Model version number behind each daily score; NULL means the built-in default model.
+IF COL_LENGTH('ProjectRiskSnapshots', 'modelVersion') IS NULL
+BEGIN
+    ALTER TABLE ProjectRiskSnapshots ADD modelVersion INT NULL;
+END
+GO
+
+-- Project cloning: lineage back to the project a clone was copied from.
+-- No cascade: SQL Server rejects cascading self-references and projects are archived, not deleted.
+IF COL_LENGTH('Projects', 'clonedFromProjectId') IS NULL
+    ALTER TABLE Projects ADD clonedFromProjectId INT NULL;
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.foreign_keys WHERE name = 'FK_Projects_ClonedFrom')
+    ALTER TABLE Projects
+    ADD CONSTRAINT FK_Projects_ClonedFrom FOREIGN KEY (clonedFromProjectId) REFERENCES Projects(id);
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.indexes WHERE name = 'IX_Projects_ClonedFrom')
+    CREATE INDEX IX_Projects_ClonedFrom ON Projects(clonedFromProjectId) WHERE clonedFromProjectId IS NOT NULL;
+GO
+
+-- Custom fields: per-organization definitions for projects and tasks.
+-- Option lists are JSON arrays; values are stored as text (multi-select as a JSON array).
+IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'CustomFieldDefinitions')
+CREATE TABLE CustomFieldDefinitions (
+    id INT IDENTITY(1,1) PRIMARY KEY,
+    orgId INT NOT NULL,
+    entityType NVARCHAR(20) NOT NULL,
+    label NVARCHAR(100) NOT NULL,
+    fieldType NVARCHAR(20) NOT NULL,
+    options NVARCHAR(MAX) NULL,
+    isRequired BIT NOT NULL DEFAULT 0,
+    isActive BIT NOT NULL DEFAULT 1,
+    sortOrder INT NOT NULL DEFAULT 0,
+    createdByOid NVARCHAR(100) NULL,
+    createdAt DATETIME2 NOT NULL DEFAULT GETDATE(),
+    updatedAt DATETIME2 NOT NULL DEFAULT GETDATE(),
+    CONSTRAINT FK_CustomFieldDefinitions_Organization FOREIGN KEY (orgId) REFERENCES Organizations(id) ON DELETE NO ACTION,
+    CONSTRAINT UQ_CustomFieldDefinitions_Label UNIQUE (orgId, entityType, label),
+    CONSTRAINT CK_CustomFieldDefinitions_EntityType CHECK (entityType IN ('project', 'task')),
+    CONSTRAINT CK_CustomFieldDefinitions_FieldType CHECK (fieldType IN ('text', 'number', 'date', 'select', 'multi-select', 'user'))
+);
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'ProjectCustomFieldValues')
+CREATE TABLE ProjectCustomFieldValues (
+    id INT IDENTITY(1,1) PRIMARY KEY,
+    projectId INT NOT NULL,
+    definitionId INT NOT NULL,
+    value NVARCHAR(MAX) NOT NULL,
+    updatedByOid NVARCHAR(100) NULL,
+    updatedAt DATETIME2 NOT NULL DEFAULT GETDATE(),
+    CONSTRAINT FK_ProjectCustomFieldValues_Project FOREIGN KEY (projectId) REFERENCES Projects(id) ON DELETE CASCADE,
+    CONSTRAINT FK_ProjectCustomFieldValues_Definition FOREIGN KEY (definitionId) REFERENCES CustomFieldDefinitions(id) ON DELETE CASCADE,
+    CONSTRAINT UQ_ProjectCustomFieldValues_Field UNIQUE (projectId, definitionId)
+);
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.indexes WHERE name = 'IX_ProjectCustomFieldValues_Definition')
+    CREATE INDEX IX_ProjectCustomFieldValues_Definition ON ProjectCustomFieldValues(definitionId, projectId);
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'TaskCustomFieldValues')
+CREATE TABLE TaskCustomFieldValues (
+    id INT IDENTITY(1,1) PRIMARY KEY,
+    taskId INT NOT NULL,
+    definitionId INT NOT NULL,
+    value NVARCHAR(MAX) NOT NULL,
+    updatedByOid NVARCHAR(100) NULL,
+    updatedAt DATETIME2 NOT NULL DEFAULT GETDATE(),
+    CONSTRAINT FK_TaskCustomFieldValues_Task FOREIGN KEY (taskId) REFERENCES Tasks(id) ON DELETE CASCADE,
+    CONSTRAINT FK_TaskCustomFieldValues_Definition FOREIGN KEY (definitionId) REFERENCES CustomFieldDefinitions(id) ON DELETE CASCADE,
+    CONSTRAINT UQ_TaskCustomFieldValues_Field UNIQUE (taskId, definitionId)
+);
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.indexes WHERE name = 'IX_TaskCustomFieldValues_Definition')
+    CREATE INDEX IX_TaskCustomFieldValues_Definition ON TaskCustomFieldValues(definitionId, taskId);
+GO
+
+-- Personal iCalendar feed tokens. Only a SHA-256 hash of the secret is stored; revoking sets revokedAt.
+IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'CalendarFeedTokens')
+CREATE TABLE CalendarFeedTokens (
+    id INT IDENTITY(1,1) PRIMARY KEY,
+    userOid NVARCHAR(100) NOT NULL,
+    tokenHash CHAR(64) NOT NULL,
+    label NVARCHAR(100) NOT NULL,
+    createdAt DATETIME2 NOT NULL DEFAULT GETDATE(),
+    lastAccessedAt DATETIME2 NULL,
+    revokedAt DATETIME2 NULL,
+    CONSTRAINT FK_CalendarFeedTokens_User FOREIGN KEY (userOid) REFERENCES Users(oid) ON DELETE CASCADE,
+    CONSTRAINT UQ_CalendarFeedTokens_TokenHash UNIQUE (tokenHash)
+);
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.indexes WHERE name = 'IX_CalendarFeedTokens_UserOid')
+    CREATE INDEX IX_CalendarFeedTokens_UserOid ON CalendarFeedTokens(userOid, revokedAt);
+GO
+
+-- Optimistic concurrency: edit routes bump editVersion and expose it as the row's ETag, so a
+-- PUT carrying a stale If-Match is rejected with 412 instead of overwriting someone else's edit.
+IF COL_LENGTH('Projects', 'editVersion') IS NULL
+BEGIN
+    ALTER TABLE Projects ADD editVersion INT NOT NULL
+        CONSTRAINT DF_Projects_EditVersion DEFAULT 1 WITH VALUES;
+END
+GO
+
+IF COL_LENGTH('Tasks', 'editVersion') IS NULL
+BEGIN
+    ALTER TABLE Tasks ADD editVersion INT NOT NULL
+        CONSTRAINT DF_Tasks_EditVersion DEFAULT 1 WITH VALUES;
+END
+GO
+
+IF COL_LENGTH('Goals', 'editVersion') IS NULL
+BEGIN
+    ALTER TABLE Goals ADD editVersion INT NOT NULL
+        CONSTRAINT DF_Goals_EditVersion DEFAULT 1 WITH VALUES;
+END
+GO
+
+IF COL_LENGTH('IntakeSubmissions', 'editVersion') IS NULL
+BEGIN
+    ALTER TABLE IntakeSubmissions ADD editVersion INT NOT NULL
+        CONSTRAINT DF_IntakeSubmissions_EditVersion DEFAULT 1 WITH VALUES;
+END
+GO
+
+-- Recycle bin: deleting a task, checklist item or KPI stamps deletedAt instead of removing the row,
+-- so it can be restored. The retention runner purges rows that have sat in the bin past the window.
+IF COL_LENGTH('Tasks', 'deletedAt') IS NULL
+BEGIN
+    ALTER TABLE Tasks ADD
+        deletedAt DATETIME2 NULL,
+        deletedByOid NVARCHAR(100) NULL;
+END
+GO
+
+IF COL_LENGTH('TaskChecklistItems', 'deletedAt') IS NULL
+BEGIN
+    ALTER TABLE TaskChecklistItems ADD
+        deletedAt DATETIME2 NULL,
+        deletedByOid NVARCHAR(100) NULL;
+END
+GO
+
+IF COL_LENGTH('KPIs', 'deletedAt') IS NULL
+BEGIN
+    ALTER TABLE KPIs ADD
+        deletedAt DATETIME2 NULL,
+        deletedByOid NVARCHAR(100) NULL;
+END
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.indexes WHERE name = 'IX_Tasks_RecycleBin')
+    CREATE INDEX IX_Tasks_RecycleBin ON Tasks(projectId, deletedAt) WHERE deletedAt IS NOT NULL;
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.indexes WHERE name = 'IX_TaskChecklistItems_RecycleBin')
+    CREATE INDEX IX_TaskChecklistItems_RecycleBin ON TaskChecklistItems(taskId, deletedAt) WHERE deletedAt IS NOT NULL;
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.indexes WHERE name = 'IX_KPIs_RecycleBin')
+    CREATE INDEX IX_KPIs_RecycleBin ON KPIs(goalId, deletedAt) WHERE deletedAt IS NOT NULL;
+GO
+
+-- On-hold projects: putting a project on hold records why and when it is expected to resume.
+-- Time-driven risk penalties are paused while on hold, and the people who placed the hold or
+-- watch the project are reminded once the expected resume date passes.
+IF COL_LENGTH('Projects', 'onHoldAt') IS NULL
+BEGIN
+    ALTER TABLE Projects ADD
+        onHoldAt DATETIME2 NULL,
+        onHoldByOid NVARCHAR(100) NULL,
+        onHoldReason NVARCHAR(500) NULL,
+        expectedResumeDate DATE NULL;
+END
+GO
+
+-- Databases created before the on-hold state have a lifecycle check and active-project index without it.
+IF EXISTS (
+    SELECT 1
+    FROM sys.check_constraints
+    WHERE name = 'CK_Projects_LifecycleState'
+      AND definition NOT LIKE '%on-hold%'
+)
+BEGIN
+    ALTER TABLE Projects DROP CONSTRAINT CK_Projects_LifecycleState;
+    ALTER TABLE Projects
+    ADD CONSTRAINT CK_Projects_LifecycleState
+    CHECK (lifecycleState IN ('active', 'on-hold', 'completed', 'archived'));
+END
+GO
+
+IF EXISTS (
+    SELECT 1
+    FROM sys.indexes
+    WHERE name = 'IX_Projects_ActiveOrg'
+      AND object_id = OBJECT_ID('Projects')
+      AND filter_definition NOT LIKE '%on-hold%'
+)
+BEGIN
+    DROP INDEX IX_Projects_ActiveOrg ON Projects;
+    CREATE INDEX IX_Projects_ActiveOrg ON Projects(orgId, id) WHERE lifecycleState IN ('active', 'on-hold', 'completed');
+END
+GO
+
+-- Projects already marked on hold through the status field move to the lifecycle state. They have no
+-- recorded reason or resume date, so the first edit asks for both.
+UPDATE Projects
+SET lifecycleState = 'on-hold',
+    onHoldAt = ISNULL(onHoldAt, ISNULL(lastActivityAt, createdAt))
+WHERE lifecycleState = 'active'
+  AND LOWER(ISNULL(status, '')) = 'on-hold';
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.indexes WHERE name = 'IX_Projects_OnHoldResume')
+    CREATE INDEX IX_Projects_OnHoldResume ON Projects(expectedResumeDate, orgId) WHERE lifecycleState = 'on-hold';
+GO
+
 -- Tag Indexes
 IF NOT EXISTS (SELECT * FROM sys.indexes WHERE name = 'IX_Tags_GroupId')
     CREATE INDEX IX_Tags_GroupId ON Tags(groupId);
@@ -1625,7 +2442,7 @@ IF NOT EXISTS (SELECT * FROM sys.indexes WHERE name = 'IX_Projects_LifecycleStat
     CREATE INDEX IX_Projects_LifecycleState ON Projects(lifecycleState, orgId, archivedAt, completedAt, lastActivityAt);
 
 IF NOT EXISTS (SELECT * FROM sys.indexes WHERE name = 'IX_Projects_ActiveOrg')
-    CREATE INDEX IX_Projects_ActiveOrg ON Projects(orgId, id) WHERE lifecycleState IN ('active', 'completed');
+    CREATE INDEX IX_Projects_ActiveOrg ON Projects(orgId, id) WHERE lifecycleState IN ('active', 'on-hold', 'completed');
 
 IF NOT EXISTS (SELECT * FROM sys.indexes WHERE name = 'IX_IntakeForms_OrgId')
     CREATE INDEX IX_IntakeForms_OrgId ON IntakeForms(orgId);
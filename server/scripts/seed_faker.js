@@ -1,6 +1,7 @@
 import sql from 'mssql';
 import { faker } from '@faker-js/faker';
 import { getPool } from '../db.js';
+import { getStatusCategory } from '../../shared/taskWorkflows.js';
 
 const PROJECT_COUNT = Number.parseInt(process.env.FAKER_PROJECTS || '40', 10);
 const TASKS_PER_PROJECT_MIN = Number.parseInt(process.env.FAKER_TASKS_MIN || '6', 10);
@@ -473,6 +474,7 @@ async function seedFakerData() {
         tasksTable.columns.add('projectId', sql.Int, { nullable: false });
         tasksTable.columns.add('title', sql.NVarChar(255), { nullable: false });
         tasksTable.columns.add('status', sql.NVarChar(20), { nullable: true });
+        tasksTable.columns.add('statusCategory', sql.NVarChar(20), { nullable: false });
         tasksTable.columns.add('priority', sql.NVarChar(20), { nullable: true });
         tasksTable.columns.add('startDate', sql.Date, { nullable: true });
         tasksTable.columns.add('endDate', sql.Date, { nullable: true });
@@ -483,10 +485,12 @@ async function seedFakerData() {
             for (let i = 0; i < count; i += 1) {
                 const startDate = faker.date.recent({ days: 90 });
                 const endDate = faker.date.soon({ days: 120, refDate: startDate });
+                const status = faker.helpers.arrayElement(['todo', 'in-progress', 'review', 'done']);
                 tasksTable.rows.add(
                     projectId,
                     `${faker.hacker.verb()} ${faker.hacker.noun()}`,
-                    faker.helpers.arrayElement(['todo', 'in-progress', 'review', 'done']),
+                    status,
+                    getStatusCategory(status),
                     faker.helpers.arrayElement(['low', 'medium', 'high']),
                     startDate,
                     endDate
@@ -2,6 +2,7 @@
 import sql from 'mssql';
 import { faker } from '@faker-js/faker';
 import { getPool } from '../db.js';
+import { getStatusCategory } from '../../shared/taskWorkflows.js';
 
 const TOTAL_PROJECTS = 900;
 const TASKS_PER_PROJECT_MIN = 50;
@@ -149,6 +150,7 @@ async function seedPerformanceData() {
             tasksTable.columns.add('projectId', sql.Int, { nullable: false });
             tasksTable.columns.add('title', sql.NVarChar(255), { nullable: false });
             tasksTable.columns.add('status', sql.NVarChar(20), { nullable: true });
+            tasksTable.columns.add('statusCategory', sql.NVarChar(20), { nullable: false });
             tasksTable.columns.add('priority', sql.NVarChar(20), { nullable: true });
             tasksTable.columns.add('startDate', sql.Date, { nullable: true });
             tasksTable.columns.add('endDate', sql.Date, { nullable: true });
@@ -156,10 +158,12 @@ async function seedPerformanceData() {
             for (const pid of chunk) {
                 const taskCount = faker.number.int({ min: TASKS_PER_PROJECT_MIN, max: TASKS_PER_PROJECT_MAX });
                 for (let t = 0; t < taskCount; t++) {
+                    const status = faker.helpers.arrayElement(['todo', 'in-progress', 'review', 'done']);
                     tasksTable.rows.add(
                         pid,
                         faker.hacker.verb() + ' ' + faker.hacker.noun(),
-                        faker.helpers.arrayElement(['todo', 'in-progress', 'review', 'done']),
+                        status,
+                        getStatusCategory(status),
                         faker.helpers.arrayElement(['low', 'medium', 'high']),
                         faker.date.past(),
                         faker.date.future()
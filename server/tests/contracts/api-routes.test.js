@@ -20,6 +20,362 @@ test('wave3 project routes are present', () => {
     assert.match(source, /router\.delete\('\/:id\/benefits\/:benefitId'/);
 });
 
+test('project milestone routes are present', () => {
+    const source = readRouteFile('routes/projects.js');
+    assert.match(source, /router\.get\('\/:id\/milestones'/);
+    assert.match(source, /router\.post\('\/:id\/milestones'/);
+    assert.match(source, /router\.put\('\/:id\/milestones\/:milestoneId'/);
+    assert.match(source, /router\.delete\('\/:id\/milestones\/:milestoneId'/);
+    assert.match(source, /milestoneSummary: summarizeMilestones/);
+});
+
+test('schedule baseline routes feed variance into the risk signal', () => {
+    const source = readRouteFile('routes/projects.js');
+    assert.match(source, /router\.get\('\/:id\/baselines'/);
+    assert.match(source, /router\.get\('\/:id\/baselines\/:baselineId'/);
+    assert.match(source, /router\.post\('\/:id\/baselines'/);
+    assert.match(source, /router\.delete\('\/:id\/baselines\/:baselineId'/);
+    assert.match(source, /scheduleSlipDays: scheduleVariance\?\.slipDays/);
+    assert.match(readRouteFile('../shared/riskModel.js'), /schedule_slip_high/);
+});
+
+test('kanban WIP limits block moves and feed the risk signal', () => {
+    const projects = readRouteFile('routes/projects.js');
+    const tasks = readRouteFile('routes/tasks.js');
+    assert.match(projects, /router\.put\('\/:id\/wip-limits', checkPermission\('can_edit_project'\)/);
+    assert.match(projects, /action: 'project\.wip_limits\.update'/);
+    assert.match(projects, /wipBreaches: wipBreachesByProject\.get/);
+    assert.match(readRouteFile('../shared/riskModel.js'), /wip_limit_breach/);
+    assert.match(tasks, /findWipMoveViolation\(pool, beforeState\.projectId/);
+    assert.match(tasks, /findWipMoveViolation\(pool, projectId, statusMoves/);
+});
+
+test('project financial routes feed cost variance into the risk signal and report packs', () => {
+    const projects = readRouteFile('routes/projects.js');
+    const reports = readRouteFile('routes/reports.js');
+    assert.match(projects, /router\.get\('\/:id\/financials'/);
+    assert.match(projects, /router\.post\('\/:id\/financials', checkPermission\('can_edit_project'\)/);
+    assert.match(projects, /router\.put\('\/:id\/financials\/:lineId', checkPermission\('can_edit_project'\)/);
+    assert.match(projects, /router\.delete\('\/:id\/financials\/:lineId', checkPermission\('can_edit_project'\)/);
+    assert.match(projects, /costVariancePct: financials\?\.variancePct/);
+    assert.match(readRouteFile('../shared/riskModel.js'), /cost_variance_/);
+    assert.match(reports, /includeFinancials: !!rawFilters\.includeFinancials/);
+    assert.match(reports, /computePackFinancials\(pool, filteredProjects\)/);
+});
+
+test('resource heatmap route is mounted and org scoped', () => {
+    const resources = readRouteFile('routes/resources.js');
+    assert.match(resources, /router\.get\('\/heatmap', checkPermission\(\['can_view_exec_dashboard', 'can_view_governance_queue'\]\), withSharedScope/);
+    assert.match(resources, /FROM ProjectOrgAccess/);
+    assert.match(resources, /buildResourceHeatmap\(/);
+
+    const app = readRouteFile('app.js');
+    assert.match(app, /app\.use\('\/api\/resources', resourcesRouter\)/);
+});
+
+test('project RAID register routes record history and feed status reports and the exec summary', () => {
+    const projects = readRouteFile('routes/projects.js');
+    assert.match(projects, /router\.get\('\/:id\/raid'/);
+    assert.match(projects, /router\.post\('\/:id\/raid', checkPermission\('can_edit_project'\)/);
+    assert.match(projects, /router\.put\('\/:id\/raid\/:itemId', checkPermission\('can_edit_project'\)/);
+    assert.match(projects, /router\.delete\('\/:id\/raid\/:itemId', checkPermission\('can_edit_project'\)/);
+    assert.match(projects, /router\.get\('\/:id\/raid\/:itemId\/history'/);
+    assert.match(projects, /recordRaidHistory\(transaction/);
+    assert.match(projects, /filterProjectRaidItemIds\(pool, req\.params\.projectId, reportData\.raidItemIds\)/);
+    assert.match(projects, /attachRaidItemsToReports\(pool, reports\)/);
+    assert.match(projects, /raidSummary: raidSummaryByProject\.get\(String\(p\.id\)\)/);
+});
+
+test('project dependency routes guard cycles and feed the risk signal', () => {
+    const projects = readRouteFile('routes/projects.js');
+    assert.match(projects, /router\.get\('\/dependency-graph'/);
+    assert.match(projects, /router\.get\('\/:id\/dependencies'/);
+    assert.match(projects, /router\.post\('\/:id\/dependencies', checkPermission\('can_edit_project'\)/);
+    assert.match(projects, /router\.put\('\/:id\/dependencies\/:dependencyId', checkPermission\('can_edit_project'\)/);
+    assert.match(projects, /router\.delete\('\/:id\/dependencies\/:dependencyId', checkPermission\('can_edit_project'\)/);
+    assert.match(projects, /wouldCreateProjectDependencyCycle\(/);
+    assert.match(projects, /isProjectVisibleToOrg\(pool, upstreamProjectId, req\.orgId\)/);
+    assert.match(readRouteFile('../shared/riskModel.js'), /key: 'upstream_dependency_risk'/);
+    assert.match(projects, /upstreamRisks: upstreamRisksByProject\.get\(String\(p\.id\)\)/);
+    assert.ok(
+        projects.indexOf("router.get('/dependency-graph'") < projects.indexOf("router.get('/:id'"),
+        'static dependency-graph route must be declared before /:id'
+    );
+});
+
+test('stage-gate routes reuse governance voting and feed the exec summary', () => {
+    const app = readRouteFile('app.js');
+    const stageGates = readRouteFile('routes/stageGates.js');
+    const projects = readRouteFile('routes/projects.js');
+    const intake = readRouteFile('routes/intake.js');
+    assert.match(app, /app\.use\('\/api\/stage-gates', stageGatesRouter\)/);
+    assert.match(stageGates, /router\.put\('\/org\/:orgId', checkPermission\('can_manage_governance'\)/);
+    assert.match(stageGates, /router\.delete\('\/org\/:orgId', checkPermission\('can_manage_governance'\)/);
+    assert.match(projects, /router\.put\('\/:id\/stage-gate\/checklist', checkPermission\('can_edit_project'\)/);
+    assert.match(projects, /router\.post\('\/:id\/stage-gate\/reviews', checkPermission\('can_edit_project'\)/);
+    assert.match(projects, /router\.post\('\/:id\/stage-gate\/reviews\/:reviewId\/votes', checkPermission\('can_vote_governance'\), governanceVoteLimiter/);
+    assert.match(projects, /router\.post\('\/:id\/stage-gate\/reviews\/:reviewId\/decide', checkPermission\('can_decide_governance'\), governanceDecisionLimiter/);
+    assert.match(projects, /loadActiveBoardMembers\(/);
+    assert.match(projects, /stageGate: stageGatesByProject\.get\(String\(p\.id\)\)/);
+    assert.match(intake, /initializeProjectStageGate\(tx,/);
+});
+
+test('risk snapshots are captured daily and exposed as a trend', () => {
+    const app = readRouteFile('app.js');
+    const projects = readRouteFile('routes/projects.js');
+    assert.match(app, /startRiskSnapshotScheduler\(\{/);
+    assert.match(projects, /export const captureDailyRiskSnapshots = async/);
+    assert.match(projects, /saveRiskSnapshot\(pool, row\.id, riskSignal\)/);
+    assert.match(projects, /router\.get\('\/:id\/risk-history', checkPermission\(\['can_view_projects', 'can_view_exec_dashboard'\]\)/);
+    assert.match(projects, /riskTrend: summarizeRiskTrend\(riskTrendByProject\.get\(String\(p\.id\)\)/);
+});
+
+test('risk model versions are managed per organization and used for scoring', () => {
+    const app = readRouteFile('app.js');
+    const riskModels = readRouteFile('routes/riskModels.js');
+    const projects = readRouteFile('routes/projects.js');
+    assert.match(app, /app\.use\('\/api\/risk-models', riskModelsRouter\)/);
+    assert.match(riskModels, /router\.get\('\/', checkPermission\(\['can_view_exec_dashboard', 'can_manage_risk_model'\]\)/);
+    assert.match(riskModels, /router\.post\('\/org\/:orgId\/versions', checkPermission\('can_manage_risk_model'\)/);
+    assert.match(riskModels, /router\.delete\('\/org\/:orgId\/versions\/:versionId', checkPermission\('can_manage_risk_model'\)/);
+    assert.match(projects, /loadEffectiveRiskModels\(pool, projectsResult\.recordset\.map/);
+    assert.match(projects, /modelVersion: describeRiskModelVersion\(riskModel\)/);
+});
+
+test('project clone route follows create ownership rules and records lineage', () => {
+    const projects = readRouteFile('routes/projects.js');
+    assert.match(projects, /router\.post\('\/:id\/clone', checkPermission\('can_create_project'\), withSharedScope, checkProjectWriteAccess\(\)/);
+    assert.match(projects, /copyCloneComponents\(transaction, \{/);
+    assert.match(projects, /INSERT INTO Projects \(title, description, status, orgId, lifecycleState, lastActivityAt, retentionClass, clonedFromProjectId\)/);
+    assert.match(projects, /action: 'project\.clone'/);
+    assert.match(projects, /clonedFrom,/);
+});
+
+test('custom fields are managed per organization and validated on projects and tasks', () => {
+    const app = readRouteFile('app.js');
+    const customFields = readRouteFile('routes/customFields.js');
+    const projects = readRouteFile('routes/projects.js');
+    const tasks = readRouteFile('routes/tasks.js');
+    const reports = readRouteFile('routes/reports.js');
+    assert.match(app, /app\.use\('\/api\/custom-fields', customFieldsRouter\)/);
+    assert.match(customFields, /router\.get\('\/', checkPermission\(\['can_view_projects', 'can_manage_custom_fields'\]\)/);
+    assert.match(customFields, /router\.post\('\/org\/:orgId', checkPermission\('can_manage_custom_fields'\)/);
+    assert.match(customFields, /router\.put\('\/:id', checkPermission\('can_manage_custom_fields'\)/);
+    assert.match(customFields, /router\.delete\('\/:id', checkPermission\('can_manage_custom_fields'\)/);
+    assert.match(projects, /router\.put\('\/:id\/custom-fields', checkPermission\('can_edit_project'\), withSharedScope, checkProjectWriteAccess\(\), requireProjectWriteAccess/);
+    assert.match(tasks, /router\.put\('\/:id\/custom-fields', checkPermission\('can_edit_project'\), withSharedScope, checkTaskWriteAccess\(\), requireProjectWriteAccess/);
+    assert.match(projects, /buildCustomFieldFilterConditions\(customFieldFilters\)/);
+    assert.match(reports, /customFields: normalizeCustomFieldFilters\(rawFilters\.customFields\)/);
+});
+
+test('spreadsheet import validates rows before writing them in one transaction', () => {
+    const app = readRouteFile('app.js');
+    const imports = readRouteFile('routes/imports.js');
+    const dataImport = readRouteFile('utils/dataImport.js');
+    assert.match(app, /app\.use\('\/api\/imports', importsRouter\)/);
+    assert.match(imports, /router\.post\('\/parse', checkPermission\('can_import_data'\)/);
+    assert.match(imports, /router\.post\('\/preview', checkPermission\('can_import_data'\)/);
+    assert.match(imports, /router\.post\('\/apply', checkPermission\('can_import_data'\)/);
+    assert.match(imports, /applyImportRows\(transaction, \{ entityType, rows: result\.rows \}\)/);
+    assert.match(imports, /action: 'data_import\.apply'/);
+    assert.match(dataImport, /validateGoalAssignment\(goals, uniqueGoalIds\)/);
+    assert.match(dataImport, /validateGoalTypePosition\(\{ type: row\.values\.type, parentGoal \}\)/);
+    assert.match(dataImport, /findGoalAccessGapsForOrg\(\{ dbOrTx: pool, goalIds: uniqueGoalIds, orgId \}\)/);
+});
+
+test('calendar feeds are served by token ahead of API auth and scoped on every fetch', () => {
+    const app = readRouteFile('app.js');
+    const users = readRouteFile('routes/users.js');
+    const feeds = readRouteFile('routes/calendarFeeds.js');
+    const feedUtils = readRouteFile('utils/calendarFeeds.js');
+    const feedMount = app.indexOf("app.use('/api/calendar', calendarFeedsRouter)");
+    assert.ok(feedMount > 0);
+    assert.ok(feedMount < app.indexOf('configureMockAuth(app);\n    } else'));
+    assert.match(feeds, /resolveCalendarFeedOwner\(pool, token\)/);
+    assert.match(feeds, /loadCalendarFeedEvents\(pool, owner\.user, now\)/);
+    assert.match(users, /router\.get\('\/me\/calendar-feeds', requireAuth/);
+    assert.match(users, /router\.post\('\/me\/calendar-feeds', requireAuth/);
+    assert.match(users, /router\.delete\('\/me\/calendar-feeds\/:id', requireAuth/);
+    assert.match(users, /SET revokedAt = @now/);
+    assert.match(feedUtils, /AND f\.revokedAt IS NULL/);
+    assert.match(feedUtils, /hasPermission\(user, 'can_view_projects'\)/);
+    assert.match(feedUtils, /hasPermission\(user, 'can_view_governance_queue'\)/);
+    assert.match(feedUtils, /INNER JOIN ProjectWatchers pw ON pw\.projectId = p\.id AND pw\.userOid = @userOid/);
+    assert.match(feedUtils, /gm\.userOid = @userOid\s+AND gm\.isActive = 1/);
+});
+
+test('task routes validate sub-task parents and promote children on delete', () => {
+    const projects = readRouteFile('routes/projects.js');
+    const tasks = readRouteFile('routes/tasks.js');
+    assert.match(projects, /checkTaskParent\(pool, \{ projectId: parseInt\(req\.params\.projectId\), parentTaskId \}\)/);
+    assert.match(tasks, /checkTaskParent\(pool, \{ projectId: beforeState\.projectId, taskId: beforeState\.id, parentTaskId \}\)/);
+    assert.match(tasks, /Parent tasks cannot be changed in a bulk update\./);
+    assert.match(readRouteFile('utils/recycleBin.js'), /SET parentTaskId = \(SELECT parentTaskId FROM Tasks WHERE id = @id\)/);
+});
+
+test('task, checklist and KPI deletes go to the recycle bin and can be restored', () => {
+    const tasks = readRouteFile('routes/tasks.js');
+    const kpis = readRouteFile('routes/kpis.js');
+    assert.match(tasks, /UPDATE Tasks SET deletedAt = @deletedAt, deletedByOid = @deletedByOid WHERE id = @id/);
+    assert.match(tasks, /router\.post\('\/:id\/restore', checkPermission\('can_edit_project'\), withSharedScope, checkTaskWriteAccess\(undefined, \{ includeDeleted: true \}\)/);
+    assert.match(tasks, /router\.post\('\/:id\/checklist\/:itemId\/restore'/);
+    assert.match(tasks, /SET deletedAt = @deletedAt, deletedByOid = @deletedByOid\s+WHERE id = @itemId AND taskId = @taskId/);
+    assert.match(kpis, /UPDATE KPIs SET deletedAt = @deletedAt, deletedByOid = @deletedByOid WHERE id = @id/);
+    assert.match(kpis, /router\.post\('\/:id\/restore', checkPermission\('can_manage_kpis'\), withSharedScope, checkKpiWriteAccess\(undefined, \{ includeDeleted: true \}\)/);
+    assert.match(readRouteFile('routes/projects.js'), /router\.get\('\/:id\/recycle-bin'/);
+    assert.match(readRouteFile('routes/goals.js'), /router\.get\('\/:id\/recycle-bin'/);
+
+    const orgScope = readRouteFile('middleware/orgScope.js');
+    assert.match(orgScope, /checkTaskWriteAccess = \(getTaskId, \{ includeDeleted = false \} = \{\}\)/);
+    assert.match(orgScope, /checkKpiWriteAccess = \(getKpiId, \{ includeDeleted = false \} = \{\}\)/);
+
+    const retention = readRouteFile('scripts/run_retention.js');
+    assert.match(retention, /RETENTION_WINDOWS\.recycleBinDays/);
+    assert.match(retention, /await collectRecycleBinCandidates\(dbOrTx\)/);
+    assert.match(retention, /purgedAttachments\.push\(\.\.\.await purgeTask\(dbOrTx, row\.id\)\)/);
+});
+
+test('projects can be put on hold and resumed, and hold-aware views leave paused work out of overdue counts', () => {
+    const projects = readRouteFile('routes/projects.js');
+    assert.match(projects, /router\.post\('\/:id\/hold', checkPermission\('can_edit_project'\), withSharedScope, checkProjectWriteAccess\(\), requireProjectWriteAccess/);
+    assert.match(projects, /router\.post\('\/:id\/resume', checkPermission\('can_edit_project'\), withSharedScope, checkProjectWriteAccess\(\), requireProjectWriteAccess/);
+    assert.match(projects, /action: 'project\.hold'/);
+    assert.match(projects, /action: 'project\.resume'/);
+    assert.match(projects, /holdUpdate\.rowsAffected\[0\] === 0\) \{\n\s+return sendProjectEditConflict\(res, pool, id, holdSubmission\)/);
+    assert.match(projects, /if \(holdInput\.error\) \{[\s\S]{0,400}const versionCheck = checkIfMatch\(req, editVersion\)/);
+    assert.match(projects, /resumeUpdate\.rowsAffected\[0\] === 0\) \{\n\s+return sendProjectEditConflict\(res, pool, id, /);
+    assert.match(projects, /onHold: normalizeProjectLifecycleState\(p\.lifecycleState\) === PROJECT_LIFECYCLE_STATES\.ON_HOLD/);
+
+    assert.match(readRouteFile('routes/users.js'), /router\.get\('\/me\/resume-reminders', checkPermission\('can_view_projects'\)/);
+    assert.match(readRouteFile('utils/projectHolds.js'), /p\.expectedResumeDate < CAST\(GETDATE\(\) AS DATE\)/);
+    assert.match(readRouteFile('routes/dashboard.js'), /AND p\.lifecycleState <> 'on-hold'/);
+    assert.match(readRouteFile('routes/reports.js'), /AND p\.lifecycleState <> 'on-hold'/);
+    assert.match(readRouteFile('scripts/run_retention.js'), /const isOnHoldCandidate = normalizedLifecycle === 'on-hold'/);
+});
+
+test('edit routes enforce If-Match against the row edit version', () => {
+    const routes = ['routes/projects.js', 'routes/tasks.js', 'routes/goals.js', 'routes/intake.js'].map(readRouteFile);
+    routes.forEach((source) => {
+        assert.match(source, /checkIfMatch\(req, /);
+        assert.match(source, /editVersion = editVersion \+ 1/);
+        assert.match(source, /AND editVersion = @expectedVersion/);
+        assert.match(source, /sendEditConflict\(res, /);
+    });
+    const app = readRouteFile('app.js');
+    assert.match(app, /allowedHeaders: \[[^\]]*'If-Match'/);
+    assert.match(app, /exposedHeaders: \['ETag'\]/);
+});
+
+test('task dependency routes are present', () => {
+    const source = readRouteFile('routes/tasks.js');
+    assert.match(source, /router\.get\('\/:id\/dependencies'/);
+    assert.match(source, /router\.post\('\/:id\/dependencies'/);
+    assert.match(source, /router\.put\('\/:id\/dependencies\/:dependencyId'/);
+    assert.match(source, /router\.delete\('\/:id\/dependencies\/:dependencyId'/);
+    assert.match(source, /wouldCreateDependencyCycle/);
+    assert.match(source, /FROM TaskDependencies WITH \(UPDLOCK, HOLDLOCK\) WHERE projectId = @projectId/);
+    [source, readRouteFile('routes/projects.js')].forEach((routes) => {
+        assert.match(routes, /import \{[^}]*hasTaskDependencySchema[^}]*\} from '\.\.\/utils\/taskDependencies\.js'/);
+        assert.doesNotMatch(routes, /const hasTaskDependencySchema = /);
+    });
+});
+
+test('bulk task updates share single-task validation and run in one transaction', () => {
+    const tasks = readRouteFile('routes/tasks.js');
+    assert.match(tasks, /router\.post\('\/bulk', checkPermission\('can_edit_project'\)/);
+    assert.match(tasks, /const prepareTaskUpdate = async/);
+    assert.match(tasks, /action: 'task\.bulk_update',\n\s+entityType: 'project'/);
+    assert.match(tasks, /No changes were applied\./);
+});
+
+test('task time entry routes feed timesheets and governance capacity', () => {
+    const tasks = readRouteFile('routes/tasks.js');
+    assert.match(tasks, /router\.get\('\/:id\/time-entries'/);
+    assert.match(tasks, /router\.post\('\/:id\/time-entries'/);
+    assert.match(tasks, /router\.put\('\/:id\/time-entries\/:entryId'/);
+    assert.match(tasks, /router\.delete\('\/:id\/time-entries\/:entryId'/);
+    assert.match(tasks, /estimatedHours: \(\) => sql\.Decimal\(9, 2\)/);
+
+    const timeEntries = readRouteFile('routes/timeEntries.js');
+    assert.match(timeEntries, /router\.get\('\/timesheet'/);
+    assert.match(timeEntries, /router\.get\('\/summary'/);
+
+    const app = readRouteFile('app.js');
+    assert.match(app, /app\.use\('\/api\/time-entries', timeEntriesRouter\)/);
+
+    const intake = readRouteFile('routes/intake.js');
+    assert.match(intake, /fetchWeeklyBurnHours\(pool/);
+    assert.match(intake, /actualWeeklyBurnHours/);
+});
+
+test('project template routes are mounted and used on project creation', () => {
+    const templates = readRouteFile('routes/projectTemplates.js');
+    assert.match(templates, /router\.get\('\/'/);
+    assert.match(templates, /router\.post\('\/', checkPermission\('can_manage_project_templates'\)/);
+    assert.match(templates, /router\.put\('\/:id', checkPermission\('can_manage_project_templates'\)/);
+    assert.match(templates, /router\.delete\('\/:id', checkPermission\('can_manage_project_templates'\)/);
+
+    const app = readRouteFile('app.js');
+    assert.match(app, /app\.use\('\/api\/project-templates', projectTemplatesRouter\)/);
+
+    const projects = readRouteFile('routes/projects.js');
+    assert.match(projects, /resolveProjectTemplate\(pool, req\.body\.templateId/);
+    assert.match(projects, /instantiateProjectTemplate\(transaction/);
+
+    const intake = readRouteFile('routes/intake.js');
+    assert.match(intake, /resolveProjectTemplate\(pool/);
+    assert.match(intake, /instantiateProjectTemplate\(/);
+});
+
+test('task workflow routes are mounted and enforced on task writes', () => {
+    const workflows = readRouteFile('routes/taskWorkflows.js');
+    assert.match(workflows, /router\.get\('\/'/);
+    assert.match(workflows, /router\.put\('\/org\/:orgId', checkPermission\('can_manage_task_workflows'\)/);
+    assert.match(workflows, /router\.delete\('\/org\/:orgId', checkPermission\('can_manage_task_workflows'\)/);
+
+    const app = readRouteFile('app.js');
+    assert.match(app, /app\.use\('\/api\/task-workflows', taskWorkflowsRouter\)/);
+
+    const projects = readRouteFile('routes/projects.js');
+    assert.match(projects, /router\.put\('\/:id\/task-workflow', checkPermission\('can_edit_project'\)/);
+    assert.match(projects, /router\.delete\('\/:id\/task-workflow', checkPermission\('can_edit_project'\)/);
+    assert.match(projects, /taskStatusCategorySql\(/);
+
+    const tasks = readRouteFile('routes/tasks.js');
+    assert.match(tasks, /isWorkflowTransitionAllowed\(/);
+    assert.match(tasks, /loadTaskWorkflowContext\(pool/);
+});
+
+test('task comment and mention routes are present', () => {
+    const tasks = readRouteFile('routes/tasks.js');
+    assert.match(tasks, /router\.get\('\/:id\/comments'/);
+    assert.match(tasks, /router\.post\('\/:id\/comments'/);
+    assert.match(tasks, /router\.put\('\/:id\/comments\/:commentId'/);
+    assert.match(tasks, /router\.delete\('\/:id\/comments\/:commentId'/);
+    assert.match(tasks, /router\.get\('\/:id\/comments\/:commentId\/history'/);
+    assert.match(tasks, /fetchAssignableUsersByOid/);
+    assert.equal(tasks.match(/await syncCommentMentions\(transaction, commentId, mentionResolution\.oids\)/g)?.length, 2);
+
+    const users = readRouteFile('routes/users.js');
+    assert.match(users, /router\.get\('\/me\/mentions'/);
+    assert.match(users, /router\.post\('\/me\/mentions\/read'/);
+    assert.doesNotMatch(users, /res\.status\(500\)\.json\(\{ error: 'Failed to (load|update) mentions' \}\)/);
+    assert.equal(users.match(/notDeletedSql\('t\.', await hasRecycleBinSchema\(pool\)\)/g)?.length, 2);
+});
+
+test('attachment routes are present and mounted', () => {
+    const source = readRouteFile('routes/attachments.js');
+    assert.match(source, /router\.get\('\/'/);
+    assert.match(source, /router\.post\('\/'/);
+    assert.match(source, /router\.get\('\/:id\/download'/);
+    assert.match(source, /router\.delete\('\/:id'/);
+    assert.match(source, /ProjectOrgAccess/);
+    assert.match(source, /buildGovernanceSubmissionScope/);
+
+    const app = readRouteFile('app.js');
+    assert.match(app, /app\.use\('\/api\/attachments', attachmentsRouter\)/);
+});
+
 test('wave3 executive pack scheduler routes are present', () => {
     const source = readRouteFile('routes/reports.js');
     assert.match(source, /router\.get\('\/scheduler\/status'/);
@@ -37,6 +37,199 @@ test('canonical schema includes multi-org sharing and workflow session objects',
     assert.match(schema, /CREATE TABLE ProjectWatchers/);
 });
 
+test('canonical schema includes project milestones', () => {
+    const schema = readScript('schema.sql');
+    assert.match(schema, /CREATE TABLE ProjectMilestones/);
+    assert.match(schema, /CK_ProjectMilestones_Status/);
+    assert.match(schema, /FK_ProjectMilestones_Project/);
+    assert.match(schema, /IX_ProjectMilestones_Project/);
+});
+
+test('canonical schema includes schedule baselines', () => {
+    const schema = readScript('schema.sql');
+    assert.match(schema, /CREATE TABLE ProjectBaselines/);
+    assert.match(schema, /CREATE TABLE ProjectBaselineItems/);
+    assert.match(schema, /CK_ProjectBaselineItems_Type/);
+    assert.match(schema, /UQ_ProjectBaselineItems_Item/);
+    assert.match(schema, /IX_ProjectBaselines_Project/);
+});
+
+test('canonical schema includes task time entries and estimates', () => {
+    const schema = readScript('schema.sql');
+    assert.match(schema, /COL_LENGTH\('Tasks', 'estimatedHours'\)/);
+    assert.match(schema, /CREATE TABLE TaskTimeEntries/);
+    assert.match(schema, /CK_TaskTimeEntries_Hours/);
+    assert.match(schema, /IX_TaskTimeEntries_UserDate/);
+});
+
+test('canonical schema includes org-scoped project templates', () => {
+    const schema = readScript('schema.sql');
+    assert.match(schema, /CREATE TABLE ProjectTemplates/);
+    assert.match(schema, /UQ_ProjectTemplates_OrgName/);
+    assert.match(schema, /COL_LENGTH\('Projects', 'templateId'\)/);
+    assert.match(schema, /COL_LENGTH\('Projects', 'statusReportDefaults'\)/);
+    assert.match(schema, /FK_Projects_Template/);
+});
+
+test('canonical schema includes configurable task workflows', () => {
+    const schema = readScript('schema.sql');
+    assert.match(schema, /CREATE TABLE TaskWorkflows/);
+    assert.match(schema, /CK_TaskWorkflows_Scope/);
+    assert.match(schema, /UX_TaskWorkflows_Org/);
+    assert.match(schema, /UX_TaskWorkflows_Project/);
+    assert.match(schema, /CK_Tasks_StatusKey/);
+    assert.match(schema, /COL_LENGTH\('Tasks', 'statusCategory'\)/);
+    assert.match(schema, /CK_Tasks_StatusCategory/);
+});
+
+test('canonical schema includes kanban WIP limits', () => {
+    const schema = readScript('schema.sql');
+    assert.match(schema, /CREATE TABLE ProjectWipLimits/);
+    assert.match(schema, /UQ_ProjectWipLimits_Status/);
+    assert.match(schema, /CK_ProjectWipLimits_Limit CHECK \(wipLimit >= 1\)/);
+    assert.match(schema, /COL_LENGTH\('Projects', 'enforceWipLimits'\)/);
+});
+
+test('canonical schema includes project financial lines', () => {
+    const schema = readScript('schema.sql');
+    assert.match(schema, /CREATE TABLE ProjectFinancialLines/);
+    assert.match(schema, /CK_ProjectFinancialLines_CostType CHECK \(costType IN \('capital', 'operating'\)\)/);
+    assert.match(schema, /forecastAmount DECIMAL\(14,2\) NULL/);
+    assert.match(schema, /IX_ProjectFinancialLines_Project/);
+});
+
+test('canonical schema includes the project RAID register and its history', () => {
+    const schema = readScript('schema.sql');
+    assert.match(schema, /CREATE TABLE ProjectRaidItems/);
+    assert.match(schema, /CK_ProjectRaidItems_Type CHECK \(type IN \('risk', 'assumption', 'issue', 'dependency'\)\)/);
+    assert.match(schema, /CK_ProjectRaidItems_Status CHECK \(status IN \('open', 'monitoring', 'resolved', 'closed'\)\)/);
+    assert.match(schema, /FK_ProjectRaidItems_Owner FOREIGN KEY \(ownerOid\) REFERENCES Users\(oid\) ON DELETE SET NULL/);
+    assert.match(schema, /CREATE TABLE ProjectRaidItemHistory/);
+    assert.match(schema, /FK_ProjectRaidItemHistory_Item FOREIGN KEY \(raidItemId\) REFERENCES ProjectRaidItems\(id\) ON DELETE CASCADE/);
+});
+
+test('canonical schema includes typed project-to-project dependencies', () => {
+    const schema = readScript('schema.sql');
+    assert.match(schema, /CREATE TABLE ProjectDependencies/);
+    assert.match(schema, /CK_ProjectDependencies_Type CHECK \(dependencyType IN \('finish-to-start', 'deliverable', 'shared-resource'\)\)/);
+    assert.match(schema, /CK_ProjectDependencies_NotSelf/);
+    assert.match(schema, /UQ_ProjectDependencies_Pair/);
+    assert.match(schema, /FK_ProjectDependencies_Upstream FOREIGN KEY \(upstreamProjectId\) REFERENCES Projects\(id\) ON DELETE CASCADE/);
+});
+
+test('canonical schema includes stage-gate models and gate reviews', () => {
+    const schema = readScript('schema.sql');
+    assert.match(schema, /CREATE TABLE StageGateModels/);
+    assert.match(schema, /CREATE TABLE ProjectStageGates/);
+    assert.match(schema, /CREATE TABLE ProjectGateReviews/);
+    assert.match(schema, /CREATE UNIQUE INDEX UX_ProjectGateReviews_Open ON ProjectGateReviews\(projectId\) WHERE status = 'in-review'/);
+    assert.match(schema, /CK_ProjectGateVotes_Vote CHECK \(vote IN \('approve', 'rework'\)\)/);
+});
+
+test('canonical schema includes daily project risk snapshots', () => {
+    const schema = readScript('schema.sql');
+    assert.match(schema, /CREATE TABLE ProjectRiskSnapshots/);
+    assert.match(schema, /UQ_ProjectRiskSnapshots_ProjectDate UNIQUE \(projectId, snapshotDate\)/);
+    assert.match(schema, /FK_ProjectRiskSnapshots_Project FOREIGN KEY \(projectId\) REFERENCES Projects\(id\) ON DELETE CASCADE/);
+});
+
+test('canonical schema includes versioned risk models', () => {
+    const schema = readScript('schema.sql');
+    assert.match(schema, /CREATE TABLE RiskModelVersions/);
+    assert.match(schema, /UQ_RiskModelVersions_OrgVersion UNIQUE \(orgId, version\)/);
+    assert.match(schema, /ALTER TABLE ProjectRiskSnapshots ADD modelVersion INT NULL/);
+});
+
+test('canonical schema records project clone lineage', () => {
+    const schema = readScript('schema.sql');
+    assert.match(schema, /ALTER TABLE Projects ADD clonedFromProjectId INT NULL/);
+    assert.match(schema, /FK_Projects_ClonedFrom FOREIGN KEY \(clonedFromProjectId\) REFERENCES Projects\(id\)/);
+});
+
+test('canonical schema includes per-organization custom fields', () => {
+    const schema = readScript('schema.sql');
+    assert.match(schema, /CREATE TABLE CustomFieldDefinitions/);
+    assert.match(schema, /UQ_CustomFieldDefinitions_Label UNIQUE \(orgId, entityType, label\)/);
+    assert.match(schema, /CREATE TABLE ProjectCustomFieldValues/);
+    assert.match(schema, /CREATE TABLE TaskCustomFieldValues/);
+    assert.match(schema, /FK_TaskCustomFieldValues_Definition FOREIGN KEY \(definitionId\) REFERENCES CustomFieldDefinitions\(id\) ON DELETE CASCADE/);
+});
+
+test('canonical schema stores hashed, revocable calendar feed tokens', () => {
+    const schema = readScript('schema.sql');
+    assert.match(schema, /CREATE TABLE CalendarFeedTokens/);
+    assert.match(schema, /tokenHash CHAR\(64\) NOT NULL/);
+    assert.match(schema, /revokedAt DATETIME2 NULL/);
+    assert.match(schema, /UQ_CalendarFeedTokens_TokenHash UNIQUE \(tokenHash\)/);
+});
+
+test('canonical schema links sub-tasks to a parent task', () => {
+    const schema = readScript('schema.sql');
+    assert.match(schema, /ALTER TABLE Tasks ADD parentTaskId INT NULL/);
+    assert.match(schema, /FK_Tasks_ParentTask\s+FOREIGN KEY \(parentTaskId\) REFERENCES Tasks\(id\)/);
+    assert.match(schema, /CK_Tasks_NotOwnParent/);
+});
+
+test('canonical schema versions editable rows for optimistic concurrency', () => {
+    const schema = readScript('schema.sql');
+    ['Projects', 'Tasks', 'Goals', 'IntakeSubmissions'].forEach((table) => {
+        assert.match(schema, new RegExp(`IF COL_LENGTH\\('${table}', 'editVersion'\\) IS NULL`));
+        assert.match(schema, new RegExp(`ALTER TABLE ${table} ADD editVersion INT NOT NULL\\s+CONSTRAINT DF_${table}_EditVersion DEFAULT 1 WITH VALUES`));
+    });
+});
+
+test('canonical schema adds recycle bin columns for tasks, checklist items and KPIs', () => {
+    const schema = readScript('schema.sql');
+    ['Tasks', 'TaskChecklistItems', 'KPIs'].forEach((table) => {
+        assert.match(schema, new RegExp(`IF COL_LENGTH\\('${table}', 'deletedAt'\\) IS NULL`));
+        assert.match(schema, new RegExp(`CREATE INDEX IX_${table}_RecycleBin ON ${table}\\([^)]*deletedAt\\) WHERE deletedAt IS NOT NULL`));
+    });
+});
+
+test('canonical schema adds the on-hold project state with hold details', () => {
+    const schema = readScript('schema.sql');
+    assert.match(schema, /IF COL_LENGTH\('Projects', 'onHoldAt'\) IS NULL/);
+    assert.match(schema, /onHoldReason NVARCHAR\(500\) NULL/);
+    assert.match(schema, /expectedResumeDate DATE NULL/);
+    assert.match(schema, /CHECK \(lifecycleState IN \('active', 'on-hold', 'completed', 'archived'\)\)/);
+    assert.match(schema, /SET lifecycleState = 'on-hold',[\s\S]*?AND LOWER\(ISNULL\(status, ''\)\) = 'on-hold'/);
+    assert.match(schema, /CREATE INDEX IX_Projects_OnHoldResume ON Projects\(expectedResumeDate, orgId\) WHERE lifecycleState = 'on-hold'/);
+});
+
+test('canonical schema includes task dependency links', () => {
+    const schema = readScript('schema.sql');
+    assert.match(schema, /CREATE TABLE TaskDependencies/);
+    assert.match(schema, /CK_TaskDependencies_Type/);
+    assert.match(schema, /CK_TaskDependencies_NotSelf/);
+    assert.match(schema, /UQ_TaskDependencies_Pair/);
+    assert.match(schema, /IX_TaskDependencies_ProjectId/);
+});
+
+test('canonical schema includes task comments, revisions, and mentions', () => {
+    const schema = readScript('schema.sql');
+    assert.match(schema, /CREATE TABLE TaskComments/);
+    assert.match(schema, /CREATE TABLE TaskCommentRevisions/);
+    assert.match(schema, /CK_TaskCommentRevisions_ChangeType/);
+    assert.match(schema, /CREATE TABLE TaskCommentMentions/);
+    assert.match(schema, /UQ_TaskCommentMentions_CommentUser/);
+    assert.match(schema, /IX_TaskCommentMentions_MentionedOid/);
+});
+
+test('canonical schema includes attachment metadata', () => {
+    const schema = readScript('schema.sql');
+    assert.match(schema, /CREATE TABLE Attachments/);
+    assert.match(schema, /checksumSha256 CHAR\(64\) NOT NULL/);
+    assert.match(schema, /CK_Attachments_EntityType/);
+    assert.match(schema, /FK_Attachments_Organization/);
+    assert.match(schema, /IX_Attachments_Entity/);
+});
+
+test('retention runner reports attachments with their parent records', () => {
+    const runner = readScript('run_retention.js');
+    assert.match(runner, /detectAttachmentSchema/);
+    assert.match(runner, /a\.entityType = 'submission'/);
+});
+
 test('canonical schema migrates and constrains goal taxonomy to enterprise cascade values', () => {
     const schema = readScript('schema.sql');
     assert.match(schema, /CK_Goals_Type/);
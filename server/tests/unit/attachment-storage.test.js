@@ -0,0 +1,55 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import {
+    buildAttachmentStorageKey,
+    computeAttachmentChecksum,
+    createLocalFileStorageAdapter,
+    getAttachmentStorage,
+    registerAttachmentStorageAdapter
+} from '../../utils/attachmentStorage.js';
+
+const readStream = async (stream) => {
+    const chunks = [];
+    for await (const chunk of stream) chunks.push(chunk);
+    return Buffer.concat(chunks);
+};
+
+test('local adapter stores, streams and removes attachment bytes', async () => {
+    const rootDir = await fs.mkdtemp(path.join(os.tmpdir(), 'dha-attachments-'));
+    try {
+        const adapter = createLocalFileStorageAdapter({ rootDir });
+        const key = buildAttachmentStorageKey('project', 42);
+        const content = Buffer.from('business case v1');
+
+        await adapter.put(key, content);
+        assert.deepEqual(await readStream(await adapter.createReadStream(key)), content);
+        await assert.rejects(() => adapter.put(key, content), /EEXIST/);
+
+        await adapter.remove(key);
+        await assert.rejects(() => adapter.createReadStream(key));
+        await adapter.remove(key);
+    } finally {
+        await fs.rm(rootDir, { recursive: true, force: true });
+    }
+});
+
+test('local adapter rejects keys that could escape the storage root', async () => {
+    const adapter = createLocalFileStorageAdapter({ rootDir: os.tmpdir() });
+    await assert.rejects(() => adapter.put('../outside', Buffer.from('x')), /Invalid attachment storage key/);
+    await assert.rejects(() => adapter.createReadStream('project/1/../../etc'), /Invalid attachment storage key/);
+});
+
+test('checksums are sha256 hex and custom adapters can be registered', () => {
+    assert.equal(
+        computeAttachmentChecksum(Buffer.from('abc')),
+        'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad'
+    );
+
+    const fakeAdapter = { name: 'memory', put: async () => {}, createReadStream: async () => null, remove: async () => {} };
+    registerAttachmentStorageAdapter('memory', () => fakeAdapter);
+    assert.equal(getAttachmentStorage('memory'), fakeAdapter);
+    assert.throws(() => getAttachmentStorage('missing-adapter'), /Unknown attachment storage adapter/);
+});
@@ -0,0 +1,66 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    buildIcsCalendar,
+    generateCalendarFeedToken,
+    hashCalendarFeedToken
+} from '../../utils/calendarFeeds.js';
+
+const now = new Date('2026-03-02T09:30:00.000Z');
+
+test('ics calendar renders all-day and timed events with escaped text', () => {
+    const ics = buildIcsCalendar({
+        name: 'Digital Health Atlas - Ana',
+        now,
+        events: [
+            {
+                uid: 'task-7',
+                date: '2026-03-31',
+                summary: 'Task due: Train staff; wave 1, north',
+                description: 'Project: Rollout\nBring laptops',
+                categories: ['Task']
+            },
+            {
+                uid: 'governance-session-3',
+                start: new Date('2026-03-10T15:00:00.000Z'),
+                end: new Date('2026-03-10T16:00:00.000Z'),
+                summary: 'Digital Board: March session',
+                categories: ['Governance']
+            }
+        ]
+    });
+
+    const lines = ics.split('\r\n');
+    assert.equal(lines[0], 'BEGIN:VCALENDAR');
+    assert.equal(lines.at(-2), 'END:VCALENDAR');
+    assert.ok(ics.endsWith('\r\n'));
+    assert.ok(lines.includes('UID:task-7@dhatlas'));
+    assert.ok(lines.includes('DTSTAMP:20260302T093000Z'));
+    assert.ok(lines.includes('DTSTART;VALUE=DATE:20260331'));
+    assert.ok(lines.includes('DTEND;VALUE=DATE:20260401'));
+    assert.ok(lines.includes('SUMMARY:Task due: Train staff\\; wave 1\\, north'));
+    assert.ok(lines.includes('DESCRIPTION:Project: Rollout\\nBring laptops'));
+    assert.ok(lines.includes('DTSTART:20260310T150000Z'));
+    assert.ok(lines.includes('DTEND:20260310T160000Z'));
+    assert.equal(lines.filter((line) => line === 'BEGIN:VEVENT').length, 2);
+});
+
+test('ics lines are folded at 75 octets', () => {
+    const ics = buildIcsCalendar({
+        name: 'Feed',
+        now,
+        events: [{ uid: 'milestone-1', date: '2026-04-01', summary: `Milestone: ${'é'.repeat(80)}` }]
+    });
+    const lines = ics.split('\r\n').filter(Boolean);
+    lines.forEach((line) => assert.ok(Buffer.byteLength(line, 'utf8') <= 75, line));
+    const unfolded = ics.replace(/\r\n /g, '');
+    assert.match(unfolded, new RegExp(`SUMMARY:Milestone: ${'é'.repeat(80)}\r\n`));
+});
+
+test('feed tokens are random url-safe secrets stored as sha-256 hashes', () => {
+    const token = generateCalendarFeedToken();
+    assert.match(token, /^[A-Za-z0-9_-]{43}$/);
+    assert.notEqual(token, generateCalendarFeedToken());
+    assert.match(hashCalendarFeedToken(token), /^[0-9a-f]{64}$/);
+    assert.equal(hashCalendarFeedToken(token), hashCalendarFeedToken(token));
+});
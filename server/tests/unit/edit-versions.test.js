@@ -0,0 +1,54 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { checkIfMatch, findConflictingFields, formatEtag } from '../../utils/editVersions.js';
+
+const requestWithIfMatch = (value) => ({
+    get: (name) => (name.toLowerCase() === 'if-match' ? value : undefined)
+});
+
+test('etags are the quoted edit version', () => {
+    assert.equal(formatEtag(3), '"3"');
+    assert.equal(formatEtag(null), null);
+    assert.equal(formatEtag(undefined), null);
+});
+
+test('if-match passes for the current version and guards the update with it', () => {
+    assert.deepEqual(checkIfMatch(requestWithIfMatch('"4"'), 4), { ok: true, expectedVersion: 4 });
+    assert.deepEqual(checkIfMatch(requestWithIfMatch('"2", "4"'), 4), { ok: true, expectedVersion: 4 });
+});
+
+test('if-match rejects stale and weak tags', () => {
+    assert.equal(checkIfMatch(requestWithIfMatch('"3"'), 4).ok, false);
+    assert.equal(checkIfMatch(requestWithIfMatch('W/"4"'), 4).ok, false);
+    assert.equal(checkIfMatch(requestWithIfMatch('garbage'), 4).ok, false);
+});
+
+test('missing header, wildcard or unversioned rows skip the check', () => {
+    assert.deepEqual(checkIfMatch(requestWithIfMatch(undefined), 4), { ok: true, expectedVersion: null });
+    assert.deepEqual(checkIfMatch(requestWithIfMatch('*'), 4), { ok: true, expectedVersion: null });
+    assert.deepEqual(checkIfMatch(requestWithIfMatch('"1"'), undefined), { ok: true, expectedVersion: null });
+});
+
+test('conflicts list submitted fields whose stored value differs', () => {
+    const current = {
+        title: 'Rollout',
+        description: null,
+        status: 'active',
+        goalIds: ['2', '1'],
+        endDate: new Date('2026-03-31T00:00:00.000Z'),
+        orgId: 7
+    };
+    const conflicts = findConflictingFields(current, {
+        title: 'Rollout v2',
+        description: '',
+        goalIds: ['1', '2'],
+        endDate: '2026-03-31',
+        orgId: '7',
+        status: 'on-hold'
+    }, ['title', 'description', 'status', 'goalIds', 'endDate', 'orgId', 'priority']);
+
+    assert.deepEqual(conflicts, [
+        { field: 'title', current: 'Rollout', submitted: 'Rollout v2' },
+        { field: 'status', current: 'active', submitted: 'on-hold' }
+    ]);
+});
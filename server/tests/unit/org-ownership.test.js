@@ -0,0 +1,84 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveRequestOrgId } from '../../utils/orgOwnership.js';
+
+const poolWithOrgs = (orgIds) => ({
+    request: () => {
+        const inputs = {};
+        const request = {
+            input: (name, _type, value) => {
+                inputs[name] = value;
+                return request;
+            },
+            query: async () => ({ recordset: orgIds.includes(inputs.orgId) ? [{ id: inputs.orgId }] : [] })
+        };
+        return request;
+    }
+});
+
+const failingPool = () => ({
+    request: () => {
+        const request = {
+            input: () => request,
+            query: async () => {
+                throw new Error('Connection lost');
+            }
+        };
+        return request;
+    }
+});
+
+const createRes = () => {
+    const res = { statusCode: 200, body: null };
+    res.status = (code) => {
+        res.statusCode = code;
+        return res;
+    };
+    res.json = (body) => {
+        res.body = body;
+        return res;
+    };
+    return res;
+};
+
+const member = { orgId: '3', roles: ['Editor'] };
+const admin = { orgId: '3', roles: ['Admin'] };
+
+test('members resolve to their own organization', async () => {
+    const res = createRes();
+    assert.equal(await resolveRequestOrgId(poolWithOrgs([3]), { user: member }, res, '3'), 3);
+    assert.equal(res.body, null);
+});
+
+test('admins may act on any existing organization', async () => {
+    const res = createRes();
+    assert.equal(await resolveRequestOrgId(poolWithOrgs([3, 8]), { user: admin }, res, '8'), 8);
+});
+
+test('ownership problems are answered with 403', async () => {
+    const mismatch = createRes();
+    assert.equal(await resolveRequestOrgId(poolWithOrgs([3, 8]), { user: member }, mismatch, '8'), null);
+    assert.equal(mismatch.statusCode, 403);
+    assert.equal(mismatch.body.error, 'orgId must match your organization');
+
+    const unassigned = createRes();
+    assert.equal(await resolveRequestOrgId(poolWithOrgs([3]), { user: { roles: ['Editor'] } }, unassigned, '3'), null);
+    assert.equal(unassigned.statusCode, 403);
+});
+
+test('invalid or unknown organization ids are answered with 400', async () => {
+    const invalid = createRes();
+    assert.equal(await resolveRequestOrgId(poolWithOrgs([3]), { user: admin }, invalid, 'abc'), null);
+    assert.equal(invalid.statusCode, 400);
+
+    const unknown = createRes();
+    assert.equal(await resolveRequestOrgId(poolWithOrgs([3]), { user: admin }, unknown, '99'), null);
+    assert.equal(unknown.statusCode, 400);
+    assert.equal(unknown.body.error, 'Invalid orgId');
+});
+
+test('database failures are rethrown for handleError', async () => {
+    const res = createRes();
+    await assert.rejects(resolveRequestOrgId(failingPool(), { user: member }, res, '3'), /Connection lost/);
+    assert.equal(res.body, null);
+});
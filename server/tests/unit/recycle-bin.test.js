@@ -0,0 +1,42 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { getRecycleBinPurgeDate, hasRecycleBinSchema, notDeletedSql } from '../../utils/recycleBin.js';
+import { RETENTION_WINDOWS } from '../../../shared/dataLifecyclePolicy.js';
+
+test('deleted rows are filtered only once the recycle bin schema exists', () => {
+    assert.equal(notDeletedSql('t.', true), 't.deletedAt IS NULL');
+    assert.equal(notDeletedSql('', true), 'deletedAt IS NULL');
+    assert.equal(notDeletedSql('t.', false), '1 = 1');
+});
+
+test('purge date is the deletion time plus the recycle bin window', () => {
+    const deletedAt = new Date(2026, 0, 10, 9, 30);
+    const purgeAfter = getRecycleBinPurgeDate(deletedAt);
+    const expected = new Date(deletedAt.getTime());
+    expected.setDate(expected.getDate() + RETENTION_WINDOWS.recycleBinDays);
+    assert.equal(purgeAfter.getTime(), expected.getTime());
+    assert.equal(deletedAt.getMonth(), 0);
+    assert.equal(getRecycleBinPurgeDate('not a date'), null);
+});
+
+test('recycle bin schema is probed once per pool after it is found', async () => {
+    let probes = 0;
+    const poolWithColumns = (present) => ({
+        request: () => ({
+            query: async () => {
+                probes += 1;
+                return { recordset: [{ hasTaskBin: present ? 1 : 0, hasChecklistBin: 1, hasKpiBin: 1 }] };
+            }
+        })
+    });
+
+    const installed = poolWithColumns(true);
+    assert.equal(await hasRecycleBinSchema(installed), true);
+    assert.equal(await hasRecycleBinSchema(installed), true);
+    assert.equal(probes, 1);
+
+    const missing = poolWithColumns(false);
+    assert.equal(await hasRecycleBinSchema(missing), false);
+    assert.equal(await hasRecycleBinSchema(missing), false);
+    assert.equal(probes, 3);
+});
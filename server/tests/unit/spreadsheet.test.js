@@ -0,0 +1,161 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { deflateRawSync } from 'node:zlib';
+import { parseSpreadsheet } from '../../utils/spreadsheet.js';
+
+// Just enough of the zip format for the reader: local headers, central directory, end record.
+// `dataDescriptor` moves the sizes behind each entry; `zip64` stores them in zip64 extra fields.
+const buildZip = (files, { dataDescriptor = false, zip64 = false, method = 8 } = {}) => {
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+    Object.entries(files).forEach(([name, text]) => {
+        const nameBuffer = Buffer.from(name);
+        const raw = Buffer.from(text);
+        const data = method === 8 ? deflateRawSync(raw) : raw;
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(dataDescriptor ? 0x08 : 0, 6);
+        local.writeUInt16LE(method, 8);
+        if (!dataDescriptor) {
+            local.writeUInt32LE(data.length, 18);
+            local.writeUInt32LE(raw.length, 22);
+        }
+        local.writeUInt16LE(nameBuffer.length, 26);
+        locals.push(local, nameBuffer, data);
+        let descriptorLength = 0;
+        if (dataDescriptor) {
+            const descriptor = Buffer.alloc(16);
+            descriptor.writeUInt32LE(0x08074b50, 0);
+            descriptor.writeUInt32LE(data.length, 8);
+            descriptor.writeUInt32LE(raw.length, 12);
+            locals.push(descriptor);
+            descriptorLength = descriptor.length;
+        }
+
+        const extra = Buffer.alloc(zip64 ? 28 : 0);
+        if (zip64) {
+            extra.writeUInt16LE(0x0001, 0);
+            extra.writeUInt16LE(24, 2);
+            extra.writeBigUInt64LE(BigInt(raw.length), 4);
+            extra.writeBigUInt64LE(BigInt(data.length), 12);
+            extra.writeBigUInt64LE(BigInt(offset), 20);
+        }
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(dataDescriptor ? 0x08 : 0, 8);
+        central.writeUInt16LE(method, 10);
+        central.writeUInt32LE(zip64 ? 0xffffffff : data.length, 20);
+        central.writeUInt32LE(zip64 ? 0xffffffff : raw.length, 24);
+        central.writeUInt16LE(nameBuffer.length, 28);
+        central.writeUInt16LE(extra.length, 30);
+        central.writeUInt32LE(zip64 ? 0xffffffff : offset, 42);
+        centrals.push(central, nameBuffer, extra);
+
+        offset += local.length + nameBuffer.length + data.length + descriptorLength;
+    });
+    const count = Object.keys(files).length;
+    const centralDirectory = Buffer.concat(centrals);
+    const zip64Records = [];
+    if (zip64) {
+        const record = Buffer.alloc(56);
+        record.writeUInt32LE(0x06064b50, 0);
+        record.writeBigUInt64LE(44n, 4);
+        record.writeBigUInt64LE(BigInt(count), 24);
+        record.writeBigUInt64LE(BigInt(count), 32);
+        record.writeBigUInt64LE(BigInt(centralDirectory.length), 40);
+        record.writeBigUInt64LE(BigInt(offset), 48);
+        const locator = Buffer.alloc(20);
+        locator.writeUInt32LE(0x07064b50, 0);
+        locator.writeBigUInt64LE(BigInt(offset + centralDirectory.length), 8);
+        locator.writeUInt32LE(1, 16);
+        zip64Records.push(record, locator);
+    }
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(count, 8);
+    end.writeUInt16LE(count, 10);
+    end.writeUInt32LE(centralDirectory.length, 12);
+    end.writeUInt32LE(zip64 ? 0xffffffff : offset, 16);
+    return Buffer.concat([...locals, centralDirectory, ...zip64Records, end]);
+};
+
+const simpleWorkbook = {
+    'xl/workbook.xml': '<workbook><sheets><sheet name="Tasks" sheetId="1" r:id="rId1"/></sheets></workbook>',
+    'xl/_rels/workbook.xml.rels': '<Relationships><Relationship Id="rId1" Target="worksheets/sheet1.xml"/></Relationships>',
+    'xl/worksheets/sheet1.xml': '<worksheet><sheetData><row r="1"><c r="A1" t="inlineStr"><is><t>Title</t></is></c></row><row r="2"><c r="A2" t="inlineStr"><is><t>Train staff</t></is></c></row></sheetData></worksheet>'
+};
+
+test('xlsx reader returns the first sheet with shared, inline and numeric cells', () => {
+    const buffer = buildZip({
+        'xl/workbook.xml': '<workbook><sheets><sheet name="Projects" sheetId="1" r:id="rId1"/></sheets></workbook>',
+        'xl/_rels/workbook.xml.rels': '<Relationships><Relationship Id="rId1" Target="worksheets/sheet1.xml"/></Relationships>',
+        'xl/sharedStrings.xml': '<sst><si><t>Title</t></si><si><t>Start</t></si><si><r><t>Clinic </t></r><r><t>A &amp; B</t></r></si></sst>',
+        'xl/worksheets/sheet1.xml': [
+            '<worksheet><sheetData>',
+            '<row r="1"><c r="A1" t="s"><v>0</v></c><c r="B1" t="s"><v>1</v></c></row>',
+            '<row r="2"><c r="A2" t="s"><v>2</v></c><c r="B2"><v>46023</v></c></row>',
+            '<row r="4"><c r="B4" t="inlineStr"><is><t>only B</t></is></c></row>',
+            '</sheetData></worksheet>'
+        ].join('')
+    });
+
+    const parsed = parseSpreadsheet({ fileName: 'onboarding.xlsx', buffer });
+    assert.equal(parsed.sheetName, 'Projects');
+    assert.deepEqual(parsed.headers, ['Title', 'Start']);
+    assert.deepEqual(parsed.rows, [['Clinic A & B', '46023'], [], ['', 'only B']]);
+});
+
+test('spreadsheet parser reads csv and rejects unsupported or corrupt files', () => {
+    const csv = parseSpreadsheet({ fileName: 'tasks.csv', buffer: Buffer.from('Title,Due\r\n"Train, staff",2026-05-01\r\n') });
+    assert.deepEqual(csv, { sheetName: null, headers: ['Title', 'Due'], rows: [['Train, staff', '2026-05-01']] });
+
+    assert.match(parseSpreadsheet({ fileName: 'tasks.pdf', buffer: Buffer.from('x') }).error, /\.csv or \.xlsx/);
+    assert.match(parseSpreadsheet({ fileName: 'tasks.xlsx', buffer: Buffer.from('not a zip file at all, just text') }).error, /not a valid XLSX/);
+});
+
+test('xlsx reader handles data-descriptor entries and zip64 archives', () => {
+    [buildZip(simpleWorkbook, { dataDescriptor: true }), buildZip(simpleWorkbook, { zip64: true })].forEach((buffer) => {
+        const parsed = parseSpreadsheet({ fileName: 'tasks.xlsx', buffer });
+        assert.equal(parsed.sheetName, 'Tasks');
+        assert.deepEqual(parsed.headers, ['Title']);
+        assert.deepEqual(parsed.rows, [['Train staff']]);
+    });
+});
+
+test('xlsx reader accepts namespace-prefixed workbook parts', () => {
+    const buffer = buildZip({
+        'xl/workbook.xml': '<x:workbook xmlns:x="main" xmlns:r="rel"><x:sheets><x:sheet name="Goals" sheetId="1" r:id="rId7"/></x:sheets></x:workbook>',
+        'xl/_rels/workbook.xml.rels': '<Relationships><Relationship Id="rId7" Target="/xl/worksheets/goals.xml"/></Relationships>',
+        'xl/sharedStrings.xml': '<x:sst xmlns:x="main"><x:si><x:t xml:space="preserve">Goal </x:t></x:si></x:sst>',
+        'xl/worksheets/goals.xml': [
+            '<x:worksheet xmlns:x="main"><x:sheetData>',
+            '<x:row r="1"><x:c r="A1" t="s"><x:v>0</x:v></x:c><x:c r="B1" t="b"><x:v>1</x:v></x:c></x:row>',
+            '<x:row r="2"><x:c r="A2" t="inlineStr"><x:is><x:t>Access &#233;quity</x:t></x:is></x:c></x:row>',
+            '</x:sheetData></x:worksheet>'
+        ].join('')
+    });
+
+    const parsed = parseSpreadsheet({ fileName: 'goals.xlsx', buffer });
+    assert.equal(parsed.sheetName, 'Goals');
+    assert.deepEqual(parsed.headers, ['Goal', 'TRUE']);
+    assert.deepEqual(parsed.rows, [['Access équity']]);
+});
+
+test('malformed or unsupported archives return an error instead of throwing', () => {
+    const valid = buildZip(simpleWorkbook);
+    const truncated = valid.subarray(0, valid.length - 40);
+    const corruptDirectory = Buffer.from(valid);
+    corruptDirectory.writeUInt32LE(valid.length + 1000, valid.length - 6);
+
+    [
+        truncated,
+        corruptDirectory,
+        buildZip({ 'docProps/app.xml': '<Properties/>' }),
+        buildZip(simpleWorkbook, { method: 12 })
+    ].forEach((buffer) => {
+        const parsed = parseSpreadsheet({ fileName: 'tasks.xlsx', buffer });
+        assert.match(parsed.error, /not a valid XLSX/);
+    });
+});
@@ -0,0 +1,65 @@
+import { sql } from '../db.js';
+import { hasPermission } from '../middleware/authMiddleware.js';
+import { buildInClause, addParams } from './sqlHelpers.js';
+
+/**
+ * Resolve which users the actor may pick for assignment or @mentions.
+ * Org/sharing managers see every user; everyone else is limited to their
+ * organization (or only themselves when they have no organization).
+ * @param {Object} user - req.user
+ * @returns {Promise<{ allOrganizations: boolean, orgId: number|null, oid: string }>}
+ */
+export const resolveAssignableUserScope = async (user) => {
+    const allOrganizations = await hasPermission(user, [
+        'can_manage_organizations',
+        'can_manage_sharing_requests'
+    ]);
+    return {
+        allOrganizations,
+        orgId: user?.orgId || null,
+        oid: String(user?.oid || '')
+    };
+};
+
+/**
+ * Append the assignable-user scope to a query on `Users u`.
+ * @returns {string[]} WHERE conditions to AND together
+ */
+export const applyAssignableUserScope = (request, scope) => {
+    if (scope.allOrganizations) return [];
+    if (!scope.orgId) {
+        request.input('currentOid', sql.NVarChar(100), scope.oid);
+        return ['u.oid = @currentOid'];
+    }
+    request.input('scopeOrgId', sql.Int, scope.orgId);
+    return ['u.orgId = @scopeOrgId'];
+};
+
+/**
+ * Look up the given oids, returning only users inside the actor's assignable scope.
+ * @param {Object} pool
+ * @param {Object} user - req.user
+ * @param {string[]} oids
+ * @returns {Promise<Map<string, { oid: string, name: string, email: string|null }>>}
+ */
+export const fetchAssignableUsersByOid = async (pool, user, oids) => {
+    const uniqueOids = Array.from(new Set((oids || []).map((oid) => String(oid || '').trim()).filter(Boolean)));
+    const usersByOid = new Map();
+    if (uniqueOids.length === 0) return usersByOid;
+
+    const scope = await resolveAssignableUserScope(user);
+    const request = pool.request();
+    const { text: oidList, params } = buildInClause('mentionOid', uniqueOids);
+    addParams(request, params);
+    const whereConditions = [`u.oid IN (${oidList})`, ...applyAssignableUserScope(request, scope)];
+
+    const result = await request.query(`
+        SELECT u.oid, u.name, u.email
+        FROM Users u
+        WHERE ${whereConditions.join(' AND ')}
+    `);
+    result.recordset.forEach((row) => {
+        usersByOid.set(row.oid, { oid: row.oid, name: row.name, email: row.email || null });
+    });
+    return usersByOid;
+};
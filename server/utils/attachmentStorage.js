@@ -0,0 +1,119 @@
+/**
+ * Attachment Storage Adapters
+ *
+ * Attachment bytes are written through a small adapter interface so deployments can
+ * swap the default local filesystem store for blob/object storage without touching
+ * the routes. Metadata (size, MIME type, checksum, uploader, org) lives in SQL; the
+ * adapter only ever sees opaque storage keys.
+ *
+ * Adapter contract:
+ *   name                      - identifier persisted in Attachments.storageProvider
+ *   put(key, buffer)          - persist bytes under key (must not overwrite)
+ *   createReadStream(key)     - resolve to a readable stream of the stored bytes
+ *   remove(key)               - delete bytes; missing keys are not an error
+ *
+ * Select the active adapter with ATTACHMENT_STORAGE_ADAPTER (default "local").
+ */
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import fsp from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const DEFAULT_ATTACHMENT_STORAGE_DIR = path.resolve(__dirname, '../uploads/attachments');
+
+const STORAGE_KEY_PATTERN = /^[a-z]+\/\d+\/[0-9a-f-]{36}$/;
+
+/**
+ * Local filesystem adapter. Keys map to files below rootDir.
+ * @param {{ rootDir?: string }} [options]
+ */
+export const createLocalFileStorageAdapter = ({ rootDir = process.env.ATTACHMENT_STORAGE_DIR || DEFAULT_ATTACHMENT_STORAGE_DIR } = {}) => {
+    const root = path.resolve(rootDir);
+
+    const resolveKeyPath = (key) => {
+        if (!STORAGE_KEY_PATTERN.test(String(key || ''))) {
+            throw new Error('Invalid attachment storage key');
+        }
+        const filePath = path.resolve(root, key);
+        if (!filePath.startsWith(`${root}${path.sep}`)) {
+            throw new Error('Invalid attachment storage key');
+        }
+        return filePath;
+    };
+
+    return {
+        name: 'local',
+        async put(key, buffer) {
+            const filePath = resolveKeyPath(key);
+            await fsp.mkdir(path.dirname(filePath), { recursive: true });
+            await fsp.writeFile(filePath, buffer, { flag: 'wx' });
+        },
+        async createReadStream(key) {
+            const filePath = resolveKeyPath(key);
+            await fsp.access(filePath, fs.constants.R_OK);
+            return fs.createReadStream(filePath);
+        },
+        async remove(key) {
+            await fsp.rm(resolveKeyPath(key), { force: true });
+        }
+    };
+};
+
+const adapterFactories = new Map([
+    ['local', createLocalFileStorageAdapter]
+]);
+const adapterInstances = new Map();
+
+/**
+ * Register an additional storage adapter factory (e.g. Azure Blob) under a provider name.
+ * @param {string} name
+ * @param {() => object} factory
+ */
+export const registerAttachmentStorageAdapter = (name, factory) => {
+    const key = String(name || '').trim().toLowerCase();
+    if (!key || typeof factory !== 'function') {
+        throw new Error('Attachment storage adapters need a name and a factory function');
+    }
+    adapterFactories.set(key, factory);
+    adapterInstances.delete(key);
+};
+
+/**
+ * Resolve an adapter by provider name. Defaults to the configured active adapter,
+ * so downloads of older files keep working after the active adapter changes.
+ * @param {string} [name]
+ */
+export const getAttachmentStorage = (name = process.env.ATTACHMENT_STORAGE_ADAPTER || 'local') => {
+    const key = String(name).trim().toLowerCase();
+    if (!adapterInstances.has(key)) {
+        const factory = adapterFactories.get(key);
+        if (!factory) {
+            throw new Error(`Unknown attachment storage adapter "${name}"`);
+        }
+        adapterInstances.set(key, factory());
+    }
+    return adapterInstances.get(key);
+};
+
+export const buildAttachmentStorageKey = (entityType, entityId) => `${entityType}/${entityId}/${crypto.randomUUID()}`;
+
+export const computeAttachmentChecksum = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+/**
+ * Best-effort removal of stored bytes once their metadata rows are gone.
+ * Failures are logged rather than thrown so the parent delete still succeeds.
+ * @param {Array<{storageProvider: string, storageKey: string}>} rows
+ */
+export const removeStoredAttachments = async (rows) => {
+    for (const row of Array.isArray(rows) ? rows : []) {
+        try {
+            await getAttachmentStorage(row.storageProvider).remove(row.storageKey);
+        } catch (err) {
+            console.error(`Failed to remove attachment bytes for ${row.storageKey}:`, err);
+        }
+    }
+};
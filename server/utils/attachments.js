@@ -0,0 +1,50 @@
+import { sql } from '../db.js';
+import { removeStoredAttachments } from './attachmentStorage.js';
+
+export const ATTACHMENT_SCHEMA_MISSING_ERROR = 'Attachment schema is not installed. Run `npm run setup-db:full` in `server`.';
+
+export const hasAttachmentSchema = async (dbOrTx) => {
+    try {
+        const result = await dbOrTx.request().query(`
+            SELECT CASE WHEN OBJECT_ID('Attachments', 'U') IS NOT NULL THEN 1 ELSE 0 END AS hasAttachments
+        `);
+        return !!result.recordset[0]?.hasAttachments;
+    } catch {
+        return false;
+    }
+};
+
+export const mapAttachmentRow = (row) => ({
+    id: String(row.id),
+    entityType: row.entityType,
+    entityId: String(row.entityId),
+    orgId: row.orgId === null || row.orgId === undefined ? null : String(row.orgId),
+    fileName: row.fileName,
+    mimeType: row.mimeType,
+    sizeBytes: Number(row.sizeBytes) || 0,
+    checksumSha256: row.checksumSha256,
+    uploadedByOid: row.uploadedByOid,
+    uploadedByName: row.uploadedByName || null,
+    createdAt: row.createdAt
+});
+
+/**
+ * Delete the attachment metadata rows for a parent record.
+ * Run alongside the parent delete and pass the returned rows to removeStoredAttachments()
+ * only once that delete has succeeded, so a failure never leaves metadata without bytes.
+ * @returns {Promise<Array<{storageProvider: string, storageKey: string}>>}
+ */
+export const deleteAttachmentRowsForEntity = async (dbOrTx, entityType, entityId) => {
+    if (!(await hasAttachmentSchema(dbOrTx))) return [];
+    const result = await dbOrTx.request()
+        .input('entityType', sql.NVarChar(20), entityType)
+        .input('entityId', sql.Int, entityId)
+        .query(`
+            DELETE FROM Attachments
+            OUTPUT DELETED.storageProvider, DELETED.storageKey
+            WHERE entityType = @entityType AND entityId = @entityId
+        `);
+    return result.recordset;
+};
+
+export { removeStoredAttachments };
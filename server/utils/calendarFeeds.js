@@ -0,0 +1,268 @@
+import crypto from 'node:crypto';
+import { sql } from '../db.js';
+import { hasPermission } from '../middleware/authMiddleware.js';
+import { isAdminUser } from './orgOwnership.js';
+import { normalizeRoleList } from './rbacCatalog.js';
+import { hasTaskWorkflowSchema, taskStatusCategorySql } from './taskWorkflows.js';
+import { hasRecycleBinSchema, notDeletedSql } from './recycleBin.js';
+
+export const MAX_CALENDAR_FEEDS_PER_USER = 5;
+export const MAX_CALENDAR_FEED_LABEL_LENGTH = 100;
+
+// Feeds cover recent history plus everything upcoming; older items only clutter calendars.
+const FEED_LOOKBACK_DAYS = 90;
+const DEFAULT_SESSION_MINUTES = 60;
+const ICS_PRODUCT_ID = '-//Digital Health Atlas//Calendar Feed//EN';
+const ICS_UID_DOMAIN = 'dhatlas';
+
+export const hasCalendarFeedSchema = async (pool) => {
+    try {
+        const result = await pool.request().query(`
+            SELECT CASE WHEN OBJECT_ID('CalendarFeedTokens', 'U') IS NOT NULL THEN 1 ELSE 0 END AS hasFeeds
+        `);
+        return !!result.recordset[0]?.hasFeeds;
+    } catch {
+        return false;
+    }
+};
+
+// Only the hash is stored, so a leaked database row cannot be replayed as a feed URL.
+export const hashCalendarFeedToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+export const generateCalendarFeedToken = () => crypto.randomBytes(32).toString('base64url');
+
+/**
+ * Resolve a feed token to its owner. Revoked tokens and users that no longer exist resolve to null.
+ * Roles come from the Users row, which is re-synced from the identity token at each sign-in.
+ */
+export const resolveCalendarFeedOwner = async (pool, token) => {
+    if (!/^[A-Za-z0-9_-]{20,100}$/.test(String(token || ''))) return null;
+    const result = await pool.request()
+        .input('tokenHash', sql.Char(64), hashCalendarFeedToken(token))
+        .query(`
+            SELECT TOP 1 f.id AS feedId, u.oid, u.name, u.email, u.roles, u.orgId
+            FROM CalendarFeedTokens f
+            INNER JOIN Users u ON u.oid = f.userOid
+            WHERE f.tokenHash = @tokenHash
+              AND f.revokedAt IS NULL
+        `);
+    const row = result.recordset[0];
+    if (!row) return null;
+
+    let roles;
+    try {
+        roles = normalizeRoleList(JSON.parse(row.roles || '[]'));
+    } catch {
+        roles = [];
+    }
+    return {
+        feedId: row.feedId,
+        user: { oid: row.oid, name: row.name, email: row.email, roles, orgId: row.orgId || null }
+    };
+};
+
+const tableExists = async (pool, tableName) => {
+    const result = await pool.request()
+        .input('tableName', sql.NVarChar(128), tableName)
+        .query(`SELECT CASE WHEN OBJECT_ID(@tableName, 'U') IS NOT NULL THEN 1 ELSE 0 END AS hasTable`);
+    return !!result.recordset[0]?.hasTable;
+};
+
+// Same rule as withSharedScope: own org plus unexpired shares; admins see every project.
+const PROJECT_VISIBILITY_SQL = `(
+    @orgId IS NULL
+    OR p.orgId = @orgId
+    OR p.id IN (
+        SELECT projectId
+        FROM ProjectOrgAccess
+        WHERE orgId = @orgId
+          AND (expiresAt IS NULL OR expiresAt > GETDATE())
+    )
+)`;
+
+const toDateKey = (value) => {
+    if (!value) return null;
+    const date = value instanceof Date ? value : new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date.toISOString().slice(0, 10);
+};
+
+/**
+ * Collect calendar events for a user: open tasks assigned to them (by end date), milestones on
+ * projects they watch and scheduled sessions of governance boards they currently sit on.
+ * Visibility is evaluated on every fetch, so losing access or permissions empties the feed.
+ */
+export const loadCalendarFeedEvents = async (pool, user, now = new Date()) => {
+    const admin = isAdminUser(user);
+    const since = new Date(now.getTime() - FEED_LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
+    const events = [];
+
+    const canViewProjects = await hasPermission(user, 'can_view_projects');
+    if (canViewProjects && (admin || user.orgId)) {
+        const orgId = admin ? null : user.orgId;
+        const workflowSchemaReady = await hasTaskWorkflowSchema(pool);
+        const binReady = await hasRecycleBinSchema(pool);
+        const taskResult = await pool.request()
+            .input('userOid', sql.NVarChar(100), user.oid)
+            .input('orgId', sql.Int, orgId)
+            .input('since', sql.Date, since)
+            .query(`
+                SELECT t.id, t.title, t.description, t.endDate, p.id AS projectId, p.title AS projectTitle
+                FROM Tasks t
+                INNER JOIN Projects p ON p.id = t.projectId
+                WHERE t.assigneeOid = @userOid
+                  AND ${notDeletedSql('t.', binReady)}
+                  AND t.endDate IS NOT NULL
+                  AND t.endDate >= @since
+                  AND ${taskStatusCategorySql('t.', workflowSchemaReady)} <> 'done'
+                  AND p.lifecycleState <> 'archived'
+                  AND ${PROJECT_VISIBILITY_SQL}
+            `);
+        taskResult.recordset.forEach((row) => {
+            events.push({
+                uid: `task-${row.id}`,
+                date: toDateKey(row.endDate),
+                summary: `Task due: ${row.title}`,
+                description: [`Project: ${row.projectTitle}`, row.description].filter(Boolean).join('\n'),
+                categories: ['Task']
+            });
+        });
+
+        if (await tableExists(pool, 'ProjectMilestones')) {
+            const milestoneResult = await pool.request()
+                .input('userOid', sql.NVarChar(100), user.oid)
+                .input('orgId', sql.Int, orgId)
+                .input('since', sql.Date, since)
+                .query(`
+                    SELECT m.id, m.name, m.description, m.status,
+                           COALESCE(m.actualDate, m.forecastDate, m.plannedDate) AS milestoneDate,
+                           p.title AS projectTitle
+                    FROM ProjectMilestones m
+                    INNER JOIN Projects p ON p.id = m.projectId
+                    INNER JOIN ProjectWatchers pw ON pw.projectId = p.id AND pw.userOid = @userOid
+                    WHERE COALESCE(m.actualDate, m.forecastDate, m.plannedDate) >= @since
+                      AND p.lifecycleState <> 'archived'
+                      AND ${PROJECT_VISIBILITY_SQL}
+                `);
+            milestoneResult.recordset.forEach((row) => {
+                events.push({
+                    uid: `milestone-${row.id}`,
+                    date: toDateKey(row.milestoneDate),
+                    summary: `Milestone: ${row.name} (${row.projectTitle})`,
+                    description: [`Status: ${row.status}`, row.description].filter(Boolean).join('\n'),
+                    categories: ['Milestone']
+                });
+            });
+        }
+    }
+
+    const canViewGovernance = await hasPermission(user, 'can_view_governance_queue');
+    if (canViewGovernance && await tableExists(pool, 'GovernanceSession')) {
+        const sessionResult = await pool.request()
+            .input('userOid', sql.NVarChar(100), user.oid)
+            .input('since', sql.DateTime2, since)
+            .query(`
+                SELECT s.id, s.title, s.status, s.scheduledAt, s.startedAt, s.endedAt, b.name AS boardName
+                FROM GovernanceSession s
+                INNER JOIN GovernanceBoard b ON b.id = s.boardId
+                WHERE s.scheduledAt IS NOT NULL
+                  AND s.scheduledAt >= @since
+                  AND EXISTS (
+                      SELECT 1
+                      FROM GovernanceMembership gm
+                      WHERE gm.boardId = s.boardId
+                        AND gm.userOid = @userOid
+                        AND gm.isActive = 1
+                        AND gm.effectiveFrom <= GETDATE()
+                        AND (gm.effectiveTo IS NULL OR gm.effectiveTo > GETDATE())
+                  )
+            `);
+        sessionResult.recordset.forEach((row) => {
+            const start = new Date(row.scheduledAt);
+            const ended = row.endedAt && row.startedAt ? new Date(row.endedAt) : null;
+            const end = ended && ended > start
+                ? ended
+                : new Date(start.getTime() + DEFAULT_SESSION_MINUTES * 60 * 1000);
+            events.push({
+                uid: `governance-session-${row.id}`,
+                start,
+                end,
+                summary: `${row.boardName}: ${row.title}`,
+                description: `Governance session (${row.status})`,
+                categories: ['Governance']
+            });
+        });
+    }
+
+    return events.filter((event) => event.date || event.start);
+};
+
+const escapeIcsText = (value) => String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/\r?\n/g, '\\n')
+    .replace(/[,;]/g, (match) => `\\${match}`);
+
+// RFC 5545 limits content lines to 75 octets; continuation lines start with a space.
+const foldIcsLine = (line) => {
+    const bytes = Buffer.from(line, 'utf8');
+    if (bytes.length <= 75) return line;
+    const parts = [];
+    let current = '';
+    let currentBytes = 0;
+    for (const char of line) {
+        const charBytes = Buffer.byteLength(char, 'utf8');
+        const limit = parts.length === 0 ? 75 : 74;
+        if (currentBytes + charBytes > limit) {
+            parts.push(current);
+            current = '';
+            currentBytes = 0;
+        }
+        current += char;
+        currentBytes += charBytes;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+};
+
+const formatIcsDate = (dateKey) => dateKey.replace(/-/g, '');
+
+const formatIcsDateTime = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const nextDateKey = (dateKey) => {
+    const date = new Date(`${dateKey}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + 1);
+    return date.toISOString().slice(0, 10);
+};
+
+/**
+ * Render events as an iCalendar document. Events with `date` are all-day; events with
+ * `start`/`end` are timed and written in UTC.
+ */
+export const buildIcsCalendar = ({ name, events, now = new Date() }) => {
+    const stamp = formatIcsDateTime(now);
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${ICS_PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeIcsText(name)}`
+    ];
+    events.forEach((event) => {
+        lines.push('BEGIN:VEVENT', `UID:${event.uid}@${ICS_UID_DOMAIN}`, `DTSTAMP:${stamp}`);
+        if (event.date) {
+            lines.push(
+                `DTSTART;VALUE=DATE:${formatIcsDate(event.date)}`,
+                `DTEND;VALUE=DATE:${formatIcsDate(nextDateKey(event.date))}`,
+                'TRANSP:TRANSPARENT'
+            );
+        } else {
+            lines.push(`DTSTART:${formatIcsDateTime(event.start)}`, `DTEND:${formatIcsDateTime(event.end)}`);
+        }
+        lines.push(`SUMMARY:${escapeIcsText(event.summary)}`);
+        if (event.description) lines.push(`DESCRIPTION:${escapeIcsText(event.description)}`);
+        if (event.categories?.length) lines.push(`CATEGORIES:${event.categories.map(escapeIcsText).join(',')}`);
+        lines.push('END:VEVENT');
+    });
+    lines.push('END:VCALENDAR');
+    return `${lines.map(foldIcsLine).join('\r\n')}\r\n`;
+};
@@ -0,0 +1,235 @@
+import { sql } from '../db.js';
+import { buildInClause, addParams } from './sqlHelpers.js';
+import { fetchAssignableUsersByOid } from './assignableUsers.js';
+import {
+    CUSTOM_FIELD_ENTITY_TYPES,
+    FILTERABLE_CUSTOM_FIELD_TYPES,
+    normalizeCustomFieldValues,
+    parseStoredCustomFieldValue,
+    serializeCustomFieldValue
+} from '../../shared/customFields.js';
+
+export const CUSTOM_FIELD_SCHEMA_MISSING_ERROR = 'Custom field schema is not installed. Run `npm run setup-db:full` in `server`.';
+
+const VALUE_TABLES = Object.freeze({
+    project: { table: 'ProjectCustomFieldValues', column: 'projectId' },
+    task: { table: 'TaskCustomFieldValues', column: 'taskId' }
+});
+
+export const hasCustomFieldSchema = async (pool) => {
+    try {
+        const result = await pool.request().query(`
+            SELECT CASE
+                WHEN OBJECT_ID('CustomFieldDefinitions', 'U') IS NOT NULL
+                 AND OBJECT_ID('ProjectCustomFieldValues', 'U') IS NOT NULL
+                 AND OBJECT_ID('TaskCustomFieldValues', 'U') IS NOT NULL
+                THEN 1 ELSE 0
+            END AS hasCustomFields
+        `);
+        return !!result.recordset[0]?.hasCustomFields;
+    } catch {
+        return false;
+    }
+};
+
+const parseOptions = (value) => {
+    try {
+        const parsed = JSON.parse(value || '[]');
+        return Array.isArray(parsed) ? parsed.map(String) : [];
+    } catch {
+        return [];
+    }
+};
+
+export const mapCustomFieldDefinitionRow = (row) => ({
+    id: String(row.id),
+    orgId: String(row.orgId),
+    entityType: row.entityType,
+    label: row.label,
+    fieldType: row.fieldType,
+    options: parseOptions(row.options),
+    isRequired: !!row.isRequired,
+    isActive: !!row.isActive,
+    sortOrder: Number(row.sortOrder || 0),
+    createdAt: row.createdAt,
+    updatedAt: row.updatedAt
+});
+
+/**
+ * Definitions for one organization, in display order.
+ * @param {Object} db - pool or transaction
+ * @param {number} orgId
+ * @param {{ entityType?: string, activeOnly?: boolean }} [options]
+ */
+export const loadCustomFieldDefinitions = async (db, orgId, { entityType = null, activeOnly = false } = {}) => {
+    if (orgId === null || orgId === undefined || Number.isNaN(Number(orgId))) return [];
+    const request = db.request().input('orgId', sql.Int, Number(orgId));
+    const conditions = ['orgId = @orgId'];
+    if (entityType) {
+        request.input('entityType', sql.NVarChar(20), entityType);
+        conditions.push('entityType = @entityType');
+    }
+    if (activeOnly) conditions.push('isActive = 1');
+    const result = await request.query(`
+        SELECT *
+        FROM CustomFieldDefinitions
+        WHERE ${conditions.join(' AND ')}
+        ORDER BY sortOrder ASC, label ASC
+    `);
+    return result.recordset.map(mapCustomFieldDefinitionRow);
+};
+
+/**
+ * Active-field values for a set of projects or tasks.
+ * @returns {Promise<Map<string, Object<string, any>>>} entity id -> { [definitionId]: value }
+ */
+export const loadCustomFieldValues = async (db, entityType, entityIds) => {
+    const target = VALUE_TABLES[entityType];
+    const valuesById = new Map();
+    const ids = [...new Set((entityIds || []).map((id) => Number.parseInt(id, 10)).filter((id) => !Number.isNaN(id)))];
+    if (!target || ids.length === 0) return valuesById;
+
+    const { text, params } = buildInClause('cfEntityId', ids);
+    const request = db.request();
+    addParams(request, params);
+    const result = await request.query(`
+        SELECT v.${target.column} AS entityId, v.definitionId, v.value, d.fieldType
+        FROM ${target.table} v
+        INNER JOIN CustomFieldDefinitions d ON d.id = v.definitionId
+        WHERE v.${target.column} IN (${text})
+          AND d.isActive = 1
+    `);
+    result.recordset.forEach((row) => {
+        const key = String(row.entityId);
+        if (!valuesById.has(key)) valuesById.set(key, {});
+        const value = parseStoredCustomFieldValue(row.fieldType, row.value);
+        if (value !== null) valuesById.get(key)[String(row.definitionId)] = value;
+    });
+    return valuesById;
+};
+
+/**
+ * Names for the users referenced by user-type values, so views can label them.
+ * @param {Array<Object>} definitions
+ * @param {Array<Object<string, any>>} valueMaps
+ * @returns {Promise<Object<string, string>>} oid -> name
+ */
+export const loadCustomFieldUserNames = async (db, definitions, valueMaps) => {
+    const userFieldIds = new Set(definitions.filter((d) => d.fieldType === 'user').map((d) => d.id));
+    const oids = new Set();
+    valueMaps.forEach((values) => {
+        Object.entries(values || {}).forEach(([id, value]) => {
+            if (userFieldIds.has(id) && value) oids.add(String(value));
+        });
+    });
+    if (oids.size === 0) return {};
+
+    const { text, params } = buildInClause('cfUserOid', [...oids]);
+    const request = db.request();
+    addParams(request, params);
+    const result = await request.query(`SELECT oid, name FROM Users WHERE oid IN (${text})`);
+    return Object.fromEntries(result.recordset.map((row) => [String(row.oid), row.name]));
+};
+
+/**
+ * User fields may only point at people the editor could also assign work to.
+ * @returns {Promise<string|null>} error message, or null when every user is valid
+ */
+export const findInvalidCustomFieldUser = async (pool, user, definitions, values) => {
+    const userFields = definitions.filter((definition) => definition.fieldType === 'user' && values[definition.id]);
+    if (userFields.length === 0) return null;
+    const usersByOid = await fetchAssignableUsersByOid(pool, user, userFields.map((definition) => values[definition.id]));
+    const invalid = userFields.find((definition) => !usersByOid.has(String(values[definition.id])));
+    return invalid ? `${invalid.label} must be a user you can assign work to.` : null;
+};
+
+/**
+ * Replace the values of the given (active) definitions on one project or task.
+ * Values of inactive fields are left alone so re-activating a field restores them.
+ */
+export const saveCustomFieldValues = async (tx, entityType, entityId, definitions, values, updatedByOid) => {
+    const target = VALUE_TABLES[entityType];
+    if (!target || definitions.length === 0) return;
+
+    const { text, params } = buildInClause('cfDefinitionId', definitions.map((definition) => Number(definition.id)));
+    const deleteRequest = tx.request().input('entityId', sql.Int, entityId);
+    addParams(deleteRequest, params);
+    await deleteRequest.query(`
+        DELETE FROM ${target.table}
+        WHERE ${target.column} = @entityId AND definitionId IN (${text})
+    `);
+
+    for (const definition of definitions) {
+        const value = values[definition.id];
+        if (value === undefined || value === null) continue;
+        await tx.request()
+            .input('entityId', sql.Int, entityId)
+            .input('definitionId', sql.Int, Number(definition.id))
+            .input('value', sql.NVarChar(sql.MAX), serializeCustomFieldValue(definition, value))
+            .input('updatedByOid', sql.NVarChar(100), updatedByOid || null)
+            .query(`
+                INSERT INTO ${target.table} (${target.column}, definitionId, value, updatedByOid)
+                VALUES (@entityId, @definitionId, @value, @updatedByOid)
+            `);
+    }
+};
+
+/**
+ * Validate and store the complete set of values for one project or task against the
+ * owning organization's active definitions.
+ * @returns {Promise<{ before: Object, values: Object } | { status: number, error: string }>}
+ */
+export const replaceCustomFieldValues = async (pool, { entityType, entityId, orgId, rawValues, user }) => {
+    const definitions = await loadCustomFieldDefinitions(pool, orgId, { entityType, activeOnly: true });
+    const normalized = normalizeCustomFieldValues(definitions, rawValues);
+    if (normalized.error) return { status: 400, error: normalized.error };
+
+    const invalidUser = await findInvalidCustomFieldUser(pool, user, definitions, normalized.values);
+    if (invalidUser) return { status: 400, error: invalidUser };
+
+    const before = (await loadCustomFieldValues(pool, entityType, [entityId])).get(String(entityId)) || {};
+    const tx = pool.transaction();
+    await tx.begin();
+    try {
+        await saveCustomFieldValues(tx, entityType, entityId, definitions, normalized.values, user?.oid);
+        await tx.commit();
+    } catch (txErr) {
+        await tx.rollback();
+        throw txErr;
+    }
+    return { before, values: normalized.values };
+};
+
+/**
+ * WHERE conditions matching projects against `{ [definitionId]: [values] }` filters.
+ * Only select, multi-select and user fields filter; multi-select values are JSON arrays.
+ * @param {Object<string, string[]>} filters - output of normalizeCustomFieldFilters
+ * @param {string} [projectIdColumn]
+ * @returns {{ conditions: string[], params: Object }}
+ */
+export const buildCustomFieldFilterConditions = (filters, projectIdColumn = 'p.id') => {
+    const conditions = [];
+    const params = {};
+    Object.entries(filters || {}).forEach(([definitionId, values], index) => {
+        const { text, params: valueParams } = buildInClause(`cf${index}Value`, values);
+        params[`cf${index}Definition`] = Number(definitionId);
+        Object.assign(params, valueParams);
+        conditions.push(`EXISTS (
+            SELECT 1
+            FROM ProjectCustomFieldValues cfv${index}
+            INNER JOIN CustomFieldDefinitions cfd${index} ON cfd${index}.id = cfv${index}.definitionId
+            WHERE cfv${index}.projectId = ${projectIdColumn}
+              AND cfv${index}.definitionId = @cf${index}Definition
+              AND cfd${index}.fieldType IN (${FILTERABLE_CUSTOM_FIELD_TYPES.map((type) => `'${type}'`).join(', ')})
+              AND (
+                  (cfd${index}.fieldType <> 'multi-select' AND cfv${index}.value IN (${text}))
+                  OR (cfd${index}.fieldType = 'multi-select' AND EXISTS (
+                      SELECT 1 FROM OPENJSON(cfv${index}.value) cfj${index} WHERE cfj${index}.[value] IN (${text})
+                  ))
+              )
+        )`);
+    });
+    return { conditions, params };
+};
+
+export const isCustomFieldEntityType = (value) => CUSTOM_FIELD_ENTITY_TYPES.includes(value);
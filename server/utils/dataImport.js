@@ -0,0 +1,398 @@
+import { sql } from '../db.js';
+import { isAdminUser, resolveOwnedOrgId } from './orgOwnership.js';
+import { findGoalAccessGapsForOrg } from './goalAccess.js';
+import { validateGoalAssignment, validateGoalTypePosition } from './goalValidation.js';
+import { applyAssignableUserScope, resolveAssignableUserScope } from './assignableUsers.js';
+import { loadTaskWorkflowContext } from './taskWorkflows.js';
+import { TIME_ENTRY_SCHEMA_MISSING_ERROR, hasTimeEntrySchema } from './timeEntries.js';
+import { GOAL_LIFECYCLE_STATES, PROJECT_LIFECYCLE_STATES, deriveProjectLifecycleFromStatus } from './lifecycle.js';
+import { findWorkflowState, getInitialWorkflowStatus } from '../../shared/taskWorkflows.js';
+import { MAX_TASK_ESTIMATE_HOURS, normalizeEstimatedHours } from '../../shared/timeEntries.js';
+import { PROJECT_HOLD_SCHEMA_MISSING_ERROR, hasProjectHoldSchema } from './projectHolds.js';
+import { normalizeImportDate, normalizeImportProjectHold, splitImportList, validateImportRecordShape } from '../../shared/dataImport.js';
+
+const lower = (value) => String(value ?? '').trim().toLowerCase();
+const isIdReference = (value) => /^\d+$/.test(String(value ?? '').trim());
+
+/**
+ * Find one record by id or (case-insensitive) title. Titles that match several records
+ * are reported so the sheet can switch to ids.
+ * @returns {{ match: Object } | { error: string }}
+ */
+const resolveReference = (reference, candidates, noun) => {
+    if (isIdReference(reference)) {
+        const byId = candidates.find((candidate) => String(candidate.id) === String(reference).trim());
+        if (byId) return { match: byId };
+    }
+    const byTitle = candidates.filter((candidate) => lower(candidate.title) === lower(reference));
+    if (byTitle.length === 1) return { match: byTitle[0] };
+    if (byTitle.length > 1) return { error: `${noun} "${reference}" matches more than one ${noun.toLowerCase()}; use its id instead.` };
+    return { error: `Unknown ${noun.toLowerCase()} "${reference}".` };
+};
+
+const resolveRowOrgId = (row, { organizations, user, defaultOrgId }) => {
+    let requestedOrgId = defaultOrgId ?? null;
+    const label = row.values.organization;
+    if (label) {
+        const match = organizations.find((org) => String(org.id) === label || lower(org.name) === lower(label));
+        if (!match) {
+            row.errors.push(`Unknown organization "${label}".`);
+            return null;
+        }
+        requestedOrgId = match.id;
+    }
+    try {
+        return resolveOwnedOrgId({
+            user,
+            requestedOrgId,
+            missingUserOrgMessage: 'No organization assigned. Contact your administrator to import data.',
+            adminOrgRequiredMessage: 'Organization is required.',
+            orgMismatchMessage: 'You can only import into your own organization.'
+        });
+    } catch (orgErr) {
+        row.errors.push(orgErr.message);
+        return null;
+    }
+};
+
+const loadGoals = async (pool) => {
+    const result = await pool.request().query('SELECT id, parentId, title, type, orgId FROM Goals');
+    return result.recordset.map((goal) => ({ ...goal, orgId: goal.orgId === null ? null : Number(goal.orgId) }));
+};
+
+// Parents may be existing goals or goals on earlier rows of the same sheet.
+const validateGoalRows = async (pool, rows, context) => {
+    const goals = await loadGoals(pool);
+    const importedByKey = new Map();
+
+    rows.forEach((row) => {
+        const orgId = resolveRowOrgId(row, context);
+        let parentGoal = null;
+        let parentRowNumber = null;
+        const parentReference = row.values.parent;
+        if (parentReference && orgId !== null) {
+            const imported = importedByKey.get(`${orgId}:${lower(parentReference)}`);
+            if (imported) {
+                parentGoal = { type: imported.resolved.type };
+                parentRowNumber = imported.rowNumber;
+            } else {
+                const found = resolveReference(parentReference, goals.filter((goal) => goal.orgId === orgId), 'Parent goal');
+                if (found.error) row.errors.push(found.error);
+                else parentGoal = found.match;
+            }
+        }
+
+        if (row.values.type && (!parentReference || parentGoal)) {
+            const position = validateGoalTypePosition({ type: row.values.type, parentGoal });
+            if (!position.valid) {
+                row.errors.push(position.error);
+            } else {
+                row.resolved = {
+                    orgId,
+                    title: row.values.title,
+                    description: row.values.description || null,
+                    type: position.normalizedType,
+                    parentId: parentGoal && !parentRowNumber ? Number(parentGoal.id) : null,
+                    parentRowNumber
+                };
+            }
+        }
+
+        if (row.errors.length === 0 && orgId !== null) {
+            importedByKey.set(`${orgId}:${lower(row.values.title)}`, row);
+        }
+    });
+};
+
+const validateProjectRows = async (pool, rows, context) => {
+    const goals = await loadGoals(pool);
+    const holdReady = await hasProjectHoldSchema(pool);
+
+    for (const row of rows) {
+        const orgId = resolveRowOrgId(row, context);
+        const goalIds = [];
+        splitImportList(row.values.goals).forEach((reference) => {
+            const sameOrg = goals.filter((goal) => goal.orgId === orgId);
+            let found = resolveReference(reference, sameOrg, 'Goal');
+            if (found.error && !found.error.includes('more than one')) found = resolveReference(reference, goals, 'Goal');
+            if (found.error) row.errors.push(found.error);
+            else goalIds.push(Number(found.match.id));
+        });
+        const uniqueGoalIds = [...new Set(goalIds)];
+
+        if (uniqueGoalIds.length > 1) {
+            const validation = validateGoalAssignment(goals, uniqueGoalIds);
+            if (!validation.valid) row.errors.push(validation.error);
+        }
+        if (orgId !== null && uniqueGoalIds.length > 0) {
+            const gaps = await findGoalAccessGapsForOrg({ dbOrTx: pool, goalIds: uniqueGoalIds, orgId });
+            if (gaps.length > 0) {
+                row.errors.push(`Goals not visible to the project organization: ${gaps.map((goal) => goal.title).join(', ')}`);
+            }
+        }
+
+        const status = lower(row.values.status) || 'active';
+        let hold = null;
+        if (status === PROJECT_LIFECYCLE_STATES.ON_HOLD) {
+            const holdInput = normalizeImportProjectHold(row.values);
+            if (!holdReady) row.errors.push(PROJECT_HOLD_SCHEMA_MISSING_ERROR);
+            else if (holdInput.value) {
+                hold = {
+                    onHoldByOid: context.user?.oid || null,
+                    onHoldReason: holdInput.value.reason,
+                    expectedResumeDate: holdInput.value.expectedResumeDate
+                };
+            }
+        }
+
+        if (row.errors.length === 0) {
+            row.resolved = {
+                orgId,
+                title: row.values.title,
+                description: row.values.description || null,
+                status,
+                hold,
+                goalIds: uniqueGoalIds
+            };
+        }
+    }
+};
+
+// Projects the importer may add tasks to: their organization's own and those shared with write access.
+const loadWritableProjects = async (pool, user) => {
+    if (isAdminUser(user)) {
+        const result = await pool.request().query(`SELECT id, title, lifecycleState, 'owner' AS accessLevel FROM Projects`);
+        return result.recordset;
+    }
+    const result = await pool.request()
+        .input('orgId', sql.Int, Number(user?.orgId) || null)
+        .query(`
+            SELECT p.id, p.title, p.lifecycleState,
+                CASE
+                    WHEN p.orgId = @orgId THEN 'owner'
+                    WHEN poa.accessLevel = 'write' THEN 'write'
+                    ELSE 'read'
+                END AS accessLevel
+            FROM Projects p
+            LEFT JOIN ProjectOrgAccess poa
+                ON poa.projectId = p.id
+               AND poa.orgId = @orgId
+               AND (poa.expiresAt IS NULL OR poa.expiresAt > GETDATE())
+            WHERE p.orgId = @orgId OR poa.projectId IS NOT NULL
+        `);
+    return result.recordset;
+};
+
+const loadAssignableUsers = async (pool, user) => {
+    const scope = await resolveAssignableUserScope(user);
+    const request = pool.request();
+    const conditions = applyAssignableUserScope(request, scope);
+    const result = await request.query(`
+        SELECT u.oid, u.name, u.email
+        FROM Users u
+        ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+    `);
+    return result.recordset;
+};
+
+const validateTaskRows = async (pool, rows, { user }) => {
+    const projects = await loadWritableProjects(pool, user);
+    const needsUsers = rows.some((row) => row.values.assignee);
+    const users = needsUsers ? await loadAssignableUsers(pool, user) : [];
+    const needsEstimates = rows.some((row) => row.values.estimatedHours);
+    const timeEntriesReady = needsEstimates ? await hasTimeEntrySchema(pool) : true;
+    const workflows = new Map();
+
+    for (const row of rows) {
+        const { values } = row;
+        let project = null;
+        if (values.project) {
+            const found = resolveReference(values.project, projects, 'Project');
+            if (found.error) {
+                row.errors.push(found.error);
+            } else if (String(found.match.lifecycleState || '').toLowerCase() === PROJECT_LIFECYCLE_STATES.ARCHIVED) {
+                row.errors.push(`Project "${found.match.title}" is archived.`);
+            } else if (found.match.accessLevel === 'read') {
+                row.errors.push(`Your organization has read-only access to project "${found.match.title}".`);
+            } else {
+                project = found.match;
+            }
+        }
+
+        let workflow = null;
+        let workflowState = null;
+        if (project) {
+            const key = String(project.id);
+            if (!workflows.has(key)) workflows.set(key, await loadTaskWorkflowContext(pool, { projectId: project.id }));
+            workflow = workflows.get(key);
+            const status = values.status
+                ? (findWorkflowState(workflow.states, lower(values.status))
+                    || workflow.states.find((state) => lower(state.label) === lower(values.status)))
+                : findWorkflowState(workflow.states, getInitialWorkflowStatus(workflow.states));
+            if (status) workflowState = status;
+            else row.errors.push(`Status "${values.status}" must be one of: ${workflow.states.map((state) => state.key).join(', ')}.`);
+        }
+
+        let assignee = null;
+        if (values.assignee) {
+            assignee = users.find((candidate) => candidate.oid === values.assignee || lower(candidate.email) === lower(values.assignee)) || null;
+            if (!assignee) row.errors.push(`Assignee "${values.assignee}" is not a user you can assign work to.`);
+        }
+
+        let estimatedHours = null;
+        if (values.estimatedHours) {
+            estimatedHours = normalizeEstimatedHours(values.estimatedHours);
+            if (estimatedHours === undefined) {
+                row.errors.push(`Estimated hours must be between 0 and ${MAX_TASK_ESTIMATE_HOURS}.`);
+            } else if (!timeEntriesReady) {
+                row.errors.push(TIME_ENTRY_SCHEMA_MISSING_ERROR);
+            }
+        }
+
+        if (row.errors.length === 0) {
+            row.resolved = {
+                projectId: Number(project.id),
+                projectTitle: project.title,
+                workflowSchemaReady: workflow.schemaReady,
+                title: values.title,
+                status: workflowState.key,
+                statusCategory: workflowState.category,
+                priority: lower(values.priority) || 'medium',
+                description: values.description || '',
+                startDate: normalizeImportDate(values.startDate).value,
+                endDate: normalizeImportDate(values.endDate).value,
+                assigneeOid: assignee?.oid || null,
+                estimatedHours
+            };
+        }
+    }
+};
+
+const ROW_VALIDATORS = {
+    goal: validateGoalRows,
+    project: validateProjectRows,
+    task: validateTaskRows
+};
+
+/**
+ * Dry run: check every mapped record against the same rules as the create endpoints.
+ * Rows without errors carry a `resolved` payload that `applyImportRows` inserts.
+ * @param {Object} pool
+ * @param {{ entityType: string, records: Array<{ rowNumber: number, values: Object }>, user: Object, defaultOrgId: number|null }} options
+ * @returns {Promise<{ rows: Array<Object>, validCount: number, errorCount: number }>}
+ */
+export const validateImportRecords = async (pool, { entityType, records, user, defaultOrgId = null }) => {
+    const rows = records.map((record) => ({
+        rowNumber: record.rowNumber,
+        values: record.values,
+        errors: validateImportRecordShape(entityType, record.values),
+        resolved: null
+    }));
+    const organizations = (await pool.request().query('SELECT id, name FROM Organizations')).recordset;
+    await ROW_VALIDATORS[entityType](pool, rows, { organizations, user, defaultOrgId });
+
+    rows.forEach((row) => {
+        if (row.errors.length > 0) row.resolved = null;
+    });
+    const errorCount = rows.filter((row) => row.errors.length > 0).length;
+    return { rows, validCount: rows.length - errorCount, errorCount };
+};
+
+const insertGoal = async (tx, goal, parentId) => {
+    const result = await tx.request()
+        .input('title', sql.NVarChar, goal.title)
+        .input('description', sql.NVarChar(sql.MAX), goal.description)
+        .input('type', sql.NVarChar, goal.type)
+        .input('parentId', sql.Int, parentId)
+        .input('orgId', sql.Int, goal.orgId)
+        .input('lifecycleState', sql.NVarChar(20), GOAL_LIFECYCLE_STATES.ACTIVE)
+        .input('lastActivityAt', sql.DateTime2, new Date())
+        .input('retentionClass', sql.NVarChar(40), 'confidential')
+        .query(`
+            INSERT INTO Goals (title, description, type, parentId, orgId, lifecycleState, lastActivityAt, retentionClass)
+            OUTPUT INSERTED.id
+            VALUES (@title, @description, @type, @parentId, @orgId, @lifecycleState, @lastActivityAt, @retentionClass)
+        `);
+    return result.recordset[0].id;
+};
+
+const insertProject = async (tx, project, now) => {
+    const lifecycleSeed = deriveProjectLifecycleFromStatus({
+        currentLifecycleState: PROJECT_LIFECYCLE_STATES.ACTIVE,
+        status: project.status,
+        completedAt: null
+    });
+    const result = await tx.request()
+        .input('title', sql.NVarChar, project.title)
+        .input('description', sql.NVarChar(sql.MAX), project.description)
+        .input('status', sql.NVarChar, project.status)
+        .input('orgId', sql.Int, project.orgId)
+        .input('lifecycleState', sql.NVarChar(20), lifecycleSeed.lifecycleState)
+        .input('completedAt', sql.DateTime2, lifecycleSeed.completedAt)
+        .input('lastActivityAt', sql.DateTime2, now)
+        .input('retentionClass', sql.NVarChar(40), 'confidential')
+        .input('onHoldByOid', sql.NVarChar(100), project.hold?.onHoldByOid || null)
+        .input('onHoldReason', sql.NVarChar(500), project.hold?.onHoldReason || null)
+        .input('expectedResumeDate', sql.Date, project.hold?.expectedResumeDate || null)
+        .query(`
+            INSERT INTO Projects (title, description, status, orgId, lifecycleState, completedAt, lastActivityAt, retentionClass${project.hold ? ', onHoldAt, onHoldByOid, onHoldReason, expectedResumeDate' : ''})
+            OUTPUT INSERTED.id
+            VALUES (@title, @description, @status, @orgId, @lifecycleState, @completedAt, @lastActivityAt, @retentionClass${project.hold ? ', @lastActivityAt, @onHoldByOid, @onHoldReason, @expectedResumeDate' : ''})
+        `);
+    const projectId = result.recordset[0].id;
+    for (const goalId of project.goalIds) {
+        await tx.request()
+            .input('projectId', sql.Int, projectId)
+            .input('goalId', sql.Int, goalId)
+            .query('INSERT INTO ProjectGoals (projectId, goalId) VALUES (@projectId, @goalId)');
+    }
+    return projectId;
+};
+
+const insertTask = async (tx, task, now) => {
+    const withEstimate = task.estimatedHours !== null;
+    const result = await tx.request()
+        .input('projectId', sql.Int, task.projectId)
+        .input('title', sql.NVarChar, task.title)
+        .input('status', sql.NVarChar, task.status)
+        .input('priority', sql.NVarChar, task.priority)
+        .input('description', sql.NVarChar(sql.MAX), task.description)
+        .input('startDate', sql.Date, task.startDate)
+        .input('endDate', sql.Date, task.endDate)
+        .input('assigneeOid', sql.NVarChar(100), task.assigneeOid)
+        .input('updatedAt', sql.DateTime2, now)
+        .input('estimatedHours', sql.Decimal(9, 2), task.estimatedHours)
+        .input('statusCategory', sql.NVarChar(20), task.statusCategory)
+        .query(`
+            INSERT INTO Tasks (projectId, title, status, priority, description, startDate, endDate, assigneeOid, updatedAt${withEstimate ? ', estimatedHours' : ''}${task.workflowSchemaReady ? ', statusCategory' : ''})
+            OUTPUT INSERTED.id
+            VALUES (@projectId, @title, @status, @priority, @description, @startDate, @endDate, @assigneeOid, @updatedAt${withEstimate ? ', @estimatedHours' : ''}${task.workflowSchemaReady ? ', @statusCategory' : ''})
+        `);
+    return result.recordset[0].id;
+};
+
+/**
+ * Insert validated rows in sheet order inside the caller's transaction.
+ * @returns {Promise<Array<{ rowNumber: number, id: string, title: string, resolved: Object }>>}
+ */
+export const applyImportRows = async (tx, { entityType, rows }) => {
+    const created = [];
+    const goalIdByRow = new Map();
+    const now = new Date();
+
+    for (const row of rows) {
+        const { resolved } = row;
+        let id;
+        if (entityType === 'goal') {
+            const parentId = resolved.parentRowNumber ? goalIdByRow.get(resolved.parentRowNumber) : resolved.parentId;
+            id = await insertGoal(tx, resolved, parentId ?? null);
+            goalIdByRow.set(row.rowNumber, id);
+        } else if (entityType === 'project') {
+            id = await insertProject(tx, resolved, now);
+        } else {
+            id = await insertTask(tx, resolved, now);
+        }
+        created.push({ rowNumber: row.rowNumber, id: String(id), title: resolved.title, resolved });
+    }
+    return created;
+};
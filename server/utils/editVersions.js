@@ -0,0 +1,75 @@
+import { sql } from '../db.js';
+
+// Tables whose edit routes honour If-Match. Each has an editVersion INT column that those
+// routes bump on every save; the ETag is just the quoted version number.
+const EDIT_VERSION_TABLES = new Set(['Projects', 'Tasks', 'Goals', 'IntakeSubmissions']);
+
+export const hasEditVersionSchema = async (pool, table) => {
+    if (!EDIT_VERSION_TABLES.has(table)) return false;
+    try {
+        const result = await pool.request()
+            .input('tableName', sql.NVarChar(128), table)
+            .query(`
+                SELECT CASE WHEN COL_LENGTH(@tableName, 'editVersion') IS NOT NULL THEN 1 ELSE 0 END AS hasVersion
+            `);
+        return !!result.recordset[0]?.hasVersion;
+    } catch {
+        return false;
+    }
+};
+
+export const formatEtag = (version) => (
+    version === null || version === undefined ? null : `"${Number(version)}"`
+);
+
+/**
+ * Compare the request's If-Match header with the row's stored editVersion.
+ * No header, "*", or a database without version columns skips the check so older clients keep working.
+ * Weak tags never match, as If-Match requires strong comparison.
+ * @returns {{ ok: boolean, expectedVersion: number|null }} expectedVersion is set when the
+ *   UPDATE should also be guarded, so a save racing between the check and the write still fails
+ */
+export const checkIfMatch = (req, currentVersion) => {
+    const header = String(req.get('If-Match') || '').trim();
+    if (!header || header === '*' || currentVersion === null || currentVersion === undefined) {
+        return { ok: true, expectedVersion: null };
+    }
+    const currentTag = formatEtag(currentVersion);
+    const matched = header.split(',').some((tag) => tag.trim() === currentTag);
+    return matched
+        ? { ok: true, expectedVersion: Number(currentVersion) }
+        : { ok: false, expectedVersion: null };
+};
+
+const toComparable = (value) => {
+    if (value === undefined || value === null || value === '') return '';
+    if (value instanceof Date) return value.toISOString().slice(0, 10);
+    if (Array.isArray(value)) return value.map(toComparable).sort().join('\u0000');
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value).trim();
+    return /^\d{4}-\d{2}-\d{2}T/.test(text) ? text.slice(0, 10) : text;
+};
+
+/**
+ * Submitted fields whose stored value differs, i.e. what the rejected save would have overwritten.
+ * @param {string[]} fields fields the route accepts; anything the client did not send is ignored
+ * @returns {Array<{ field: string, current: unknown, submitted: unknown }>}
+ */
+export const findConflictingFields = (current, submitted, fields) => fields
+    .filter((field) => submitted?.[field] !== undefined
+        && toComparable(current?.[field]) !== toComparable(submitted[field]))
+    .map((field) => ({ field, current: current?.[field] ?? null, submitted: submitted[field] }));
+
+/**
+ * Reply 412 with the stored values and the fields that conflict with the rejected body.
+ * @param {{ label: string, version: number, current: object, submitted: object, fields: string[] }} conflict
+ */
+export const sendEditConflict = (res, { label, version, current, submitted, fields }) => {
+    const etag = formatEtag(version);
+    if (etag) res.set('ETag', etag);
+    return res.status(412).json({
+        error: `This ${label} was changed by someone else after you opened it. Review the conflicting fields and save again.`,
+        etag,
+        current,
+        conflicts: findConflictingFields(current, submitted, fields)
+    });
+};
@@ -1,4 +1,17 @@
 import { getPool } from '../db.js';
+import {
+    GOAL_LEAF_TYPE,
+    GOAL_LEVEL_CODES,
+    GOAL_ROOT_TYPE,
+    getGoalTypeLabel,
+    getNextGoalType,
+    isValidChildGoalType,
+    isValidGoalType,
+    isValidRootGoalType,
+    normalizeGoalType
+} from '../../shared/goalLevels.js';
+
+const formatAllowedGoalTypes = () => GOAL_LEVEL_CODES.join(', ');
 
 /**
  * Walk a goal up to its root (no parent), returning the chain of IDs.
@@ -109,3 +122,58 @@ export async function loadGoalsForValidation() {
     const result = await pool.request().query('SELECT id, parentId, title FROM Goals');
     return result.recordset;
 }
+
+/**
+ * Check that a goal's level fits under its parent (or is a root level) and above its children.
+ * @returns {{ valid: boolean, error?: string, normalizedType?: string }}
+ */
+export function validateGoalTypePosition({ type, parentGoal = null, childGoals = [] }) {
+    const normalizedType = normalizeGoalType(type);
+    if (!isValidGoalType(normalizedType)) {
+        return {
+            valid: false,
+            error: `Goal type must be one of: ${formatAllowedGoalTypes()}.`
+        };
+    }
+
+    if (!parentGoal) {
+        if (!isValidRootGoalType(normalizedType)) {
+            return {
+                valid: false,
+                error: `Root goals must use the "${GOAL_ROOT_TYPE}" type.`
+            };
+        }
+    } else if (!isValidChildGoalType(parentGoal.type, normalizedType)) {
+        const expectedType = getNextGoalType(parentGoal.type);
+        if (!expectedType) {
+            return {
+                valid: false,
+                error: `${getGoalTypeLabel(parentGoal.type)} goals cannot have child goals.`
+            };
+        }
+
+        return {
+            valid: false,
+            error: `Child goals under a ${getGoalTypeLabel(parentGoal.type).toLowerCase()} goal must use the "${expectedType}" type.`
+        };
+    }
+
+    if (Array.isArray(childGoals) && childGoals.length > 0) {
+        if (normalizedType === GOAL_LEAF_TYPE) {
+            return {
+                valid: false,
+                error: `${getGoalTypeLabel(normalizedType)} goals cannot have child goals.`
+            };
+        }
+
+        const invalidChild = childGoals.find((child) => !isValidChildGoalType(normalizedType, child.type));
+        if (invalidChild) {
+            return {
+                valid: false,
+                error: `Goals of type "${normalizedType}" can only contain "${getNextGoalType(normalizedType)}" child goals.`
+            };
+        }
+    }
+
+    return { valid: true, normalizedType };
+}
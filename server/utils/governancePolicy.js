@@ -0,0 +1,163 @@
+import { sql } from '../db.js';
+
+/**
+ * Quorum and vote-window policy shared by intake governance reviews and delivery stage gates.
+ * Boards may override each global setting; reviews snapshot the effective policy when opened.
+ */
+export const DEFAULT_GOVERNANCE_POLICY = Object.freeze({
+    quorumPercent: 60,
+    quorumMinCount: 1,
+    decisionRequiresQuorum: true,
+    voteWindowDays: null
+});
+
+export const normalizeGovernancePolicy = (policy) => {
+    const rawPercent = Number(policy?.quorumPercent);
+    const rawMinCount = Number(policy?.quorumMinCount);
+    const rawWindowDays = policy?.voteWindowDays === null || policy?.voteWindowDays === undefined || policy?.voteWindowDays === ''
+        ? null
+        : Number(policy.voteWindowDays);
+    const percent = Number.isFinite(rawPercent) ? Math.min(100, Math.max(1, Math.trunc(rawPercent))) : DEFAULT_GOVERNANCE_POLICY.quorumPercent;
+    const minCount = Number.isFinite(rawMinCount) ? Math.max(1, Math.trunc(rawMinCount)) : DEFAULT_GOVERNANCE_POLICY.quorumMinCount;
+    let voteWindowDays = null;
+    if (rawWindowDays !== null && Number.isFinite(rawWindowDays)) {
+        voteWindowDays = Math.min(90, Math.max(1, Math.trunc(rawWindowDays)));
+    }
+    const decisionRequiresQuorum = policy?.decisionRequiresQuorum === undefined
+        ? DEFAULT_GOVERNANCE_POLICY.decisionRequiresQuorum
+        : !!policy.decisionRequiresQuorum;
+    return {
+        quorumPercent: percent,
+        quorumMinCount: minCount,
+        decisionRequiresQuorum,
+        voteWindowDays
+    };
+};
+
+export const parsePolicySnapshot = (policySnapshotJson) => {
+    if (!policySnapshotJson) return null;
+    try {
+        return normalizeGovernancePolicy(JSON.parse(policySnapshotJson));
+    } catch {
+        return null;
+    }
+};
+
+export const calculateRequiredVotes = (eligibleVoterCount, policy) => {
+    if (!Number.isFinite(eligibleVoterCount) || eligibleVoterCount <= 0) return 0;
+    const normalized = normalizeGovernancePolicy(policy || {});
+    const byPercent = Math.ceil((eligibleVoterCount * normalized.quorumPercent) / 100);
+    return Math.max(normalized.quorumMinCount, byPercent);
+};
+
+export const hasGovernancePhase3Schema = async (pool) => {
+    try {
+        const result = await pool.request().query(`
+            SELECT
+                CASE WHEN COL_LENGTH('GovernanceSettings', 'quorumPercent') IS NOT NULL THEN 1 ELSE 0 END AS hasQuorumPercent,
+                CASE WHEN COL_LENGTH('GovernanceSettings', 'quorumMinCount') IS NOT NULL THEN 1 ELSE 0 END AS hasQuorumMinCount,
+                CASE WHEN COL_LENGTH('GovernanceSettings', 'decisionRequiresQuorum') IS NOT NULL THEN 1 ELSE 0 END AS hasDecisionRequiresQuorum,
+                CASE WHEN COL_LENGTH('GovernanceSettings', 'voteWindowDays') IS NOT NULL THEN 1 ELSE 0 END AS hasVoteWindowDays,
+                CASE WHEN COL_LENGTH('GovernanceReview', 'policySnapshotJson') IS NOT NULL THEN 1 ELSE 0 END AS hasPolicySnapshot,
+                CASE WHEN COL_LENGTH('GovernanceReview', 'voteDeadlineAt') IS NOT NULL THEN 1 ELSE 0 END AS hasVoteDeadline
+        `);
+        const row = result.recordset[0] || {};
+        return !!(
+            row.hasQuorumPercent &&
+            row.hasQuorumMinCount &&
+            row.hasDecisionRequiresQuorum &&
+            row.hasVoteWindowDays &&
+            row.hasPolicySnapshot &&
+            row.hasVoteDeadline
+        );
+    } catch {
+        return false;
+    }
+};
+
+export const hasGovernanceBoardPolicySchema = async (pool) => {
+    try {
+        const result = await pool.request().query(`
+            SELECT
+                CASE WHEN COL_LENGTH('GovernanceBoard', 'quorumPercentOverride') IS NOT NULL THEN 1 ELSE 0 END AS hasQuorumPercentOverride,
+                CASE WHEN COL_LENGTH('GovernanceBoard', 'quorumMinCountOverride') IS NOT NULL THEN 1 ELSE 0 END AS hasQuorumMinCountOverride,
+                CASE WHEN COL_LENGTH('GovernanceBoard', 'decisionRequiresQuorumOverride') IS NOT NULL THEN 1 ELSE 0 END AS hasDecisionRequiresQuorumOverride,
+                CASE WHEN COL_LENGTH('GovernanceBoard', 'voteWindowDaysOverride') IS NOT NULL THEN 1 ELSE 0 END AS hasVoteWindowDaysOverride
+        `);
+        const row = result.recordset[0] || {};
+        return !!(
+            row.hasQuorumPercentOverride &&
+            row.hasQuorumMinCountOverride &&
+            row.hasDecisionRequiresQuorumOverride &&
+            row.hasVoteWindowDaysOverride
+        );
+    } catch {
+        return false;
+    }
+};
+
+/**
+ * Effective policy for a board: global GovernanceSettings with any board overrides applied.
+ */
+export const fetchGovernancePolicySettings = async (pool, boardId = null) => {
+    const phase3Ready = await hasGovernancePhase3Schema(pool);
+    if (!phase3Ready) return { ...DEFAULT_GOVERNANCE_POLICY };
+    const settingsResult = await pool.request().query(`
+        SELECT TOP 1 quorumPercent, quorumMinCount, decisionRequiresQuorum, voteWindowDays
+        FROM GovernanceSettings
+        ORDER BY id
+    `);
+    const globalDefaults = normalizeGovernancePolicy(settingsResult.recordset[0] || {});
+
+    const parsedBoardId = Number(boardId);
+    if (!Number.isFinite(parsedBoardId)) {
+        return globalDefaults;
+    }
+
+    const boardPolicyReady = await hasGovernanceBoardPolicySchema(pool);
+    if (!boardPolicyReady) {
+        return globalDefaults;
+    }
+
+    const boardResult = await pool.request()
+        .input('boardId', sql.Int, Math.trunc(parsedBoardId))
+        .query(`
+            SELECT TOP 1
+                quorumPercentOverride,
+                quorumMinCountOverride,
+                decisionRequiresQuorumOverride,
+                voteWindowDaysOverride
+            FROM GovernanceBoard
+            WHERE id = @boardId
+        `);
+    if (boardResult.recordset.length === 0) {
+        return globalDefaults;
+    }
+
+    const board = boardResult.recordset[0];
+    return normalizeGovernancePolicy({
+        quorumPercent: board.quorumPercentOverride === null ? globalDefaults.quorumPercent : board.quorumPercentOverride,
+        quorumMinCount: board.quorumMinCountOverride === null ? globalDefaults.quorumMinCount : board.quorumMinCountOverride,
+        decisionRequiresQuorum: board.decisionRequiresQuorumOverride === null ? globalDefaults.decisionRequiresQuorum : !!board.decisionRequiresQuorumOverride,
+        voteWindowDays: board.voteWindowDaysOverride === null ? globalDefaults.voteWindowDays : board.voteWindowDaysOverride
+    });
+};
+
+/**
+ * Members who can take part in a review opened now, chairs first.
+ * Accepts a pool or a transaction.
+ */
+export const loadActiveBoardMembers = async (db, boardId) => {
+    const result = await db.request()
+        .input('boardId', sql.Int, Number(boardId))
+        .query(`
+            SELECT userOid, role
+            FROM GovernanceMembership
+            WHERE boardId = @boardId
+              AND isActive = 1
+              AND effectiveFrom <= GETDATE()
+              AND (effectiveTo IS NULL OR effectiveTo > GETDATE())
+            ORDER BY role DESC, createdAt ASC
+        `);
+    return result.recordset;
+};
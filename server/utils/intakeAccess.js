@@ -0,0 +1,57 @@
+import { sql } from '../db.js';
+import { isAdminUser, parseOptionalOrgId } from './orgOwnership.js';
+
+const hasMatchingOrgScope = (userOrgId, resourceOrgId) => (
+    Number.isFinite(userOrgId) &&
+    Number.isFinite(resourceOrgId) &&
+    userOrgId === resourceOrgId
+);
+
+const hasActiveBoardMembership = async ({ pool, boardId, userOid }) => {
+    const parsedBoardId = parseOptionalOrgId(boardId);
+    if (!Number.isFinite(parsedBoardId) || !userOid) return false;
+
+    const result = await pool.request()
+        .input('boardId', sql.Int, parsedBoardId)
+        .input('userOid', sql.NVarChar(100), userOid)
+        .query(`
+            SELECT TOP 1 id
+            FROM GovernanceMembership
+            WHERE boardId = @boardId
+              AND userOid = @userOid
+              AND isActive = 1
+              AND effectiveFrom <= GETDATE()
+              AND (effectiveTo IS NULL OR effectiveTo > GETDATE())
+        `);
+
+    return result.recordset.length > 0;
+};
+
+export const buildGovernanceSubmissionScope = async ({ pool, user, submission }) => {
+    const viewerOrgId = parseOptionalOrgId(user?.orgId);
+    const submissionOrgId = parseOptionalOrgId(submission?.orgId);
+    const boardOrgId = parseOptionalOrgId(submission?.boardOrgId);
+    const governanceBoardId = parseOptionalOrgId(submission?.governanceBoardId);
+
+    const scope = {
+        isOwner: submission?.submitterId === user?.oid,
+        sameSubmissionOrg: hasMatchingOrgScope(viewerOrgId, submissionOrgId),
+        sameBoardOrg: hasMatchingOrgScope(viewerOrgId, boardOrgId),
+        hasActiveBoardMembership: false
+    };
+
+    if (!isAdminUser(user)) {
+        scope.hasActiveBoardMembership = await hasActiveBoardMembership({
+            pool,
+            boardId: governanceBoardId,
+            userOid: user?.oid
+        });
+    }
+
+    return scope;
+};
+
+export const hasGovernanceSubmissionScope = (scope, { allowOwner = false } = {}) => {
+    if (allowOwner && scope.isOwner) return true;
+    return scope.sameSubmissionOrg || scope.sameBoardOrg || scope.hasActiveBoardMembership;
+};
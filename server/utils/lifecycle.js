@@ -71,6 +71,12 @@ export const deriveProjectLifecycleFromStatus = ({ currentLifecycleState, status
             completedAt: completedAt || new Date()
         };
     }
+    if (normalizedStatus === PROJECT_LIFECYCLE_STATES.ON_HOLD) {
+        return {
+            lifecycleState: PROJECT_LIFECYCLE_STATES.ON_HOLD,
+            completedAt: normalizedCurrent === PROJECT_LIFECYCLE_STATES.COMPLETED ? null : (completedAt || null)
+        };
+    }
     return {
         lifecycleState: PROJECT_LIFECYCLE_STATES.ACTIVE,
         completedAt: normalizedCurrent === PROJECT_LIFECYCLE_STATES.COMPLETED ? null : (completedAt || null)
@@ -79,9 +85,9 @@ export const deriveProjectLifecycleFromStatus = ({ currentLifecycleState, status
 
 export const getProjectRestoreLifecycleState = (status) => {
     const normalizedStatus = String(status || '').trim().toLowerCase();
-    return normalizedStatus === 'completed'
-        ? PROJECT_LIFECYCLE_STATES.COMPLETED
-        : PROJECT_LIFECYCLE_STATES.ACTIVE;
+    if (normalizedStatus === 'completed') return PROJECT_LIFECYCLE_STATES.COMPLETED;
+    if (normalizedStatus === PROJECT_LIFECYCLE_STATES.ON_HOLD) return PROJECT_LIFECYCLE_STATES.ON_HOLD;
+    return PROJECT_LIFECYCLE_STATES.ACTIVE;
 };
 
 export const touchProjectActivity = async (dbOrTx, projectId, when = new Date()) => {
@@ -1,5 +1,14 @@
 import { sql } from '../db.js';
 
+// Raised for ownership problems the caller caused; `status` is the HTTP status to answer with.
+export class OrgOwnershipError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'OrgOwnershipError';
+        this.status = status;
+    }
+}
+
 export const isAdminUser = (user) => {
     const roles = Array.isArray(user?.roles) ? user.roles : [];
     return roles.includes('Admin');
@@ -14,7 +23,7 @@ export const parseOptionalOrgId = (value) => {
 export const requireUserOrgId = (user, message = 'No organization assigned. Contact your administrator.') => {
     const parsed = parseOptionalOrgId(user?.orgId);
     if (!Number.isFinite(parsed)) {
-        throw new Error(message);
+        throw new OrgOwnershipError(message, 403);
     }
     return parsed;
 };
@@ -29,26 +38,26 @@ export const resolveOwnedOrgId = ({
 }) => {
     const parsedRequestedOrgId = parseOptionalOrgId(requestedOrgId);
     if (Number.isNaN(parsedRequestedOrgId)) {
-        throw new Error('orgId must be a valid organization id');
+        throw new OrgOwnershipError('orgId must be a valid organization id');
     }
 
     if (isAdminUser(user)) {
         if (parsedRequestedOrgId === null) {
             if (requireExplicitAdmin) {
-                throw new Error(adminOrgRequiredMessage);
+                throw new OrgOwnershipError(adminOrgRequiredMessage);
             }
             const adminOrgId = parseOptionalOrgId(user?.orgId);
             if (Number.isFinite(adminOrgId)) {
                 return adminOrgId;
             }
-            throw new Error(adminOrgRequiredMessage);
+            throw new OrgOwnershipError(adminOrgRequiredMessage);
         }
         return parsedRequestedOrgId;
     }
 
     const userOrgId = requireUserOrgId(user, missingUserOrgMessage);
     if (parsedRequestedOrgId !== null && parsedRequestedOrgId !== userOrgId) {
-        throw new Error(orgMismatchMessage);
+        throw new OrgOwnershipError(orgMismatchMessage, 403);
     }
     return userOrgId;
 };
@@ -58,7 +67,28 @@ export const ensureOrganizationExists = async (pool, orgId, label = 'orgId') =>
         .input('orgId', sql.Int, orgId)
         .query('SELECT TOP 1 id FROM Organizations WHERE id = @orgId');
     if (result.recordset.length === 0) {
-        throw new Error(`Invalid ${label}`);
+        throw new OrgOwnershipError(`Invalid ${label}`);
+    }
+};
+
+/**
+ * Organization an org-level settings route acts on: the caller's own, or any existing one for admins.
+ * Ownership problems are answered with 400/403 and resolve to null; anything else (e.g. a database
+ * failure) is rethrown for the route's handleError.
+ */
+export const resolveRequestOrgId = async (pool, req, res, requestedOrgId) => {
+    try {
+        const orgId = resolveOwnedOrgId({
+            user: req.user,
+            requestedOrgId,
+            adminOrgRequiredMessage: 'orgId is required'
+        });
+        await ensureOrganizationExists(pool, orgId);
+        return orgId;
+    } catch (orgErr) {
+        if (!(orgErr instanceof OrgOwnershipError)) throw orgErr;
+        res.status(orgErr.status).json({ error: orgErr.message });
+        return null;
     }
 };
 
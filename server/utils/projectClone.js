@@ -0,0 +1,211 @@
+import { sql } from '../db.js';
+import { insertSeedProjectTags } from './projectTemplates.js';
+import { shiftDateOnly, toStatusReportDraft } from '../../shared/projectClone.js';
+import { getInitialWorkflowStatus, getStatusCategory } from '../../shared/taskWorkflows.js';
+import { notDeletedSql } from './recycleBin.js';
+
+export const PROJECT_CLONE_SCHEMA_MISSING_ERROR = 'Project clone lineage is not installed. Run `npm run setup-db:full` in `server`.';
+
+export const hasProjectCloneSchema = async (pool) => {
+    try {
+        const result = await pool.request().query(`
+            SELECT CASE WHEN COL_LENGTH('Projects', 'clonedFromProjectId') IS NOT NULL THEN 1 ELSE 0 END AS hasCloneLineage
+        `);
+        return !!result.recordset[0]?.hasCloneLineage;
+    } catch {
+        return false;
+    }
+};
+
+const parseJson = (value) => {
+    if (!value) return null;
+    try {
+        return JSON.parse(value);
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * Read the parts of a source project a clone asked for, before the copy transaction opens.
+ * @param {{ components: Record<string, boolean>, estimatesReady?: boolean, subtasksReady?: boolean, binReady?: boolean }} options
+ * @returns {Promise<object|null>} null when the project does not exist
+ */
+export const loadCloneSource = async (pool, projectId, { components, estimatesReady = false, subtasksReady = false, binReady = false }) => {
+    const projectResult = await pool.request()
+        .input('projectId', sql.Int, projectId)
+        .query('SELECT id, title, description, orgId, retentionClass FROM Projects WHERE id = @projectId');
+    const project = projectResult.recordset[0];
+    if (!project) return null;
+
+    const source = { project, tasks: [], tags: [], goalIds: [], benefits: [], reportData: null };
+
+    if (components.tasks) {
+        const taskResult = await pool.request()
+            .input('projectId', sql.Int, projectId)
+            .query(`
+                SELECT id, title, priority, description, startDate, endDate${estimatesReady ? ', estimatedHours' : ''}${subtasksReady ? ', parentTaskId' : ''}
+                FROM Tasks
+                WHERE projectId = @projectId AND ${notDeletedSql('', binReady)}
+                ORDER BY id ASC
+            `);
+        const checklistByTask = new Map();
+        if (components.checklists) {
+            const checklistResult = await pool.request()
+                .input('projectId', sql.Int, projectId)
+                .query(`
+                    SELECT c.taskId, c.title
+                    FROM TaskChecklistItems c
+                    INNER JOIN Tasks t ON t.id = c.taskId
+                    WHERE t.projectId = @projectId
+                      AND ${notDeletedSql('t.', binReady)} AND ${notDeletedSql('c.', binReady)}
+                    ORDER BY c.taskId ASC, c.sortOrder ASC, c.id ASC
+                `);
+            checklistResult.recordset.forEach((row) => {
+                if (!checklistByTask.has(row.taskId)) checklistByTask.set(row.taskId, []);
+                checklistByTask.get(row.taskId).push(row.title);
+            });
+        }
+        source.tasks = taskResult.recordset.map((row) => ({
+            ...row,
+            checklist: checklistByTask.get(row.id) || []
+        }));
+    }
+
+    if (components.tags) {
+        const tagResult = await pool.request()
+            .input('projectId', sql.Int, projectId)
+            .query('SELECT tagId, isPrimary FROM ProjectTags WHERE projectId = @projectId');
+        source.tags = tagResult.recordset.map((row) => ({ tagId: Number(row.tagId), isPrimary: !!row.isPrimary }));
+    }
+
+    if (components.goals) {
+        const goalResult = await pool.request()
+            .input('projectId', sql.Int, projectId)
+            .query('SELECT goalId FROM ProjectGoals WHERE projectId = @projectId');
+        source.goalIds = goalResult.recordset.map((row) => Number(row.goalId));
+    }
+
+    if (components.benefits) {
+        const benefitResult = await pool.request()
+            .input('projectId', sql.Int, projectId)
+            .query(`
+                SELECT title, description, linkedKpiId, baselineValue, targetValue, unit, dueAt
+                FROM ProjectBenefitRealization
+                WHERE projectId = @projectId
+                ORDER BY id ASC
+            `);
+        source.benefits = benefitResult.recordset;
+    }
+
+    if (components.statusReport) {
+        const reportResult = await pool.request()
+            .input('projectId', sql.Int, projectId)
+            .query('SELECT TOP 1 reportData FROM StatusReports WHERE projectId = @projectId ORDER BY version DESC');
+        source.reportData = parseJson(reportResult.recordset[0]?.reportData);
+    }
+
+    return source;
+};
+
+/**
+ * Copy the loaded source components into a newly created project using the caller's transaction.
+ * Tasks restart in the workflow's first open state, unassigned, with checklists unticked;
+ * benefits restart as planned with no current value. Dates move by `shiftDays`.
+ * @param {import('mssql').Transaction} tx
+ * @param {{ projectId: number, source: object, shiftDays: number, workflow?: { schemaReady: boolean, states: object[] }, estimatesReady?: boolean, reportDefaultsReady?: boolean }} options
+ * @returns {Promise<{ taskCount: number, checklistItemCount: number, tagIds: number[], benefitCount: number, statusReportDraft: object|null }>}
+ */
+export const copyCloneComponents = async (tx, {
+    projectId,
+    source,
+    shiftDays,
+    workflow = {},
+    estimatesReady = false,
+    reportDefaultsReady = false
+}) => {
+    const now = new Date();
+    const status = getInitialWorkflowStatus(workflow.states);
+    const statusCategory = getStatusCategory(status, workflow.states);
+    let checklistItemCount = 0;
+    const newTaskIds = new Map();
+
+    for (const task of source.tasks) {
+        const estimatedHours = estimatesReady && task.estimatedHours !== null && task.estimatedHours !== undefined
+            ? Number(task.estimatedHours)
+            : null;
+        const inserted = await tx.request()
+            .input('projectId', sql.Int, projectId)
+            .input('title', sql.NVarChar(255), task.title)
+            .input('status', sql.NVarChar(20), status)
+            .input('statusCategory', sql.NVarChar(20), statusCategory)
+            .input('priority', sql.NVarChar(20), task.priority || 'medium')
+            .input('description', sql.NVarChar(sql.MAX), task.description || null)
+            .input('startDate', sql.Date, shiftDateOnly(task.startDate, shiftDays))
+            .input('endDate', sql.Date, shiftDateOnly(task.endDate, shiftDays))
+            .input('estimatedHours', sql.Decimal(9, 2), estimatedHours)
+            .input('updatedAt', sql.DateTime2, now)
+            .query(`
+                INSERT INTO Tasks (projectId, title, status, ${workflow.schemaReady ? 'statusCategory, ' : ''}priority, description, startDate, endDate, ${estimatedHours !== null ? 'estimatedHours, ' : ''}updatedAt)
+                OUTPUT INSERTED.id
+                VALUES (@projectId, @title, @status, ${workflow.schemaReady ? '@statusCategory, ' : ''}@priority, @description, @startDate, @endDate, ${estimatedHours !== null ? '@estimatedHours, ' : ''}@updatedAt)
+            `);
+        const taskId = inserted.recordset[0].id;
+        newTaskIds.set(task.id, taskId);
+
+        for (const [index, title] of task.checklist.entries()) {
+            await tx.request()
+                .input('taskId', sql.Int, taskId)
+                .input('title', sql.NVarChar(255), title)
+                .input('sortOrder', sql.Int, index)
+                .query('INSERT INTO TaskChecklistItems (taskId, title, sortOrder) VALUES (@taskId, @title, @sortOrder)');
+        }
+        checklistItemCount += task.checklist.length;
+    }
+
+    // Parents are linked once every copy exists, since a parent may have a higher id than its sub-task.
+    for (const task of source.tasks) {
+        if (!task.parentTaskId || !newTaskIds.has(task.parentTaskId)) continue;
+        await tx.request()
+            .input('id', sql.Int, newTaskIds.get(task.id))
+            .input('parentTaskId', sql.Int, newTaskIds.get(task.parentTaskId))
+            .query('UPDATE Tasks SET parentTaskId = @parentTaskId WHERE id = @id');
+    }
+
+    const primaryTag = source.tags.find((tag) => tag.isPrimary);
+    const tagIds = await insertSeedProjectTags(tx, projectId, source.tags.map((tag) => tag.tagId), {
+        primaryTagId: primaryTag ? primaryTag.tagId : null
+    });
+
+    for (const benefit of source.benefits) {
+        await tx.request()
+            .input('projectId', sql.Int, projectId)
+            .input('title', sql.NVarChar(255), benefit.title)
+            .input('description', sql.NVarChar(sql.MAX), benefit.description || null)
+            .input('linkedKpiId', sql.Int, benefit.linkedKpiId || null)
+            .input('baselineValue', sql.Decimal(18, 2), benefit.baselineValue ?? null)
+            .input('targetValue', sql.Decimal(18, 2), benefit.targetValue ?? null)
+            .input('unit', sql.NVarChar(50), benefit.unit || null)
+            .input('dueAt', sql.Date, shiftDateOnly(benefit.dueAt, shiftDays))
+            .query(`
+                INSERT INTO ProjectBenefitRealization (projectId, title, description, linkedKpiId, baselineValue, targetValue, unit, dueAt, status)
+                VALUES (@projectId, @title, @description, @linkedKpiId, @baselineValue, @targetValue, @unit, @dueAt, 'planned')
+            `);
+    }
+
+    const statusReportDraft = reportDefaultsReady ? toStatusReportDraft(source.reportData) : null;
+    if (statusReportDraft) {
+        await tx.request()
+            .input('projectId', sql.Int, projectId)
+            .input('statusReportDefaults', sql.NVarChar(sql.MAX), JSON.stringify(statusReportDraft))
+            .query('UPDATE Projects SET statusReportDefaults = @statusReportDefaults WHERE id = @projectId');
+    }
+
+    return {
+        taskCount: source.tasks.length,
+        checklistItemCount,
+        tagIds,
+        benefitCount: source.benefits.length,
+        statusReportDraft
+    };
+};
@@ -0,0 +1,260 @@
+import { sql } from '../db.js';
+import { buildInClause, addParams } from './sqlHelpers.js';
+import { fetchScheduleVarianceByProject } from './scheduleBaselines.js';
+import { hasRecycleBinSchema, notDeletedSql } from './recycleBin.js';
+import { getUpstreamDependencyIssues } from '../../shared/projectDependencies.js';
+
+export const PROJECT_DEPENDENCY_SCHEMA_MISSING_ERROR = 'Project dependency schema is not installed. Run `npm run setup-db:full` in `server`.';
+
+export const hasProjectDependencySchema = async (pool) => {
+    try {
+        const result = await pool.request().query(`
+            SELECT CASE WHEN OBJECT_ID('ProjectDependencies', 'U') IS NOT NULL THEN 1 ELSE 0 END AS hasProjectDependencies
+        `);
+        return !!result.recordset[0]?.hasProjectDependencies;
+    } catch {
+        return false;
+    }
+};
+
+const toDateOnly = (value) => (value ? new Date(value).toISOString().slice(0, 10) : null);
+
+export const mapProjectDependencyRow = (row) => ({
+    id: String(row.id),
+    upstreamProjectId: String(row.upstreamProjectId),
+    downstreamProjectId: String(row.downstreamProjectId),
+    dependencyType: row.dependencyType,
+    neededByDate: toDateOnly(row.neededByDate),
+    note: row.note || null,
+    createdByOid: row.createdByOid || null,
+    createdAt: row.createdAt,
+    updatedAt: row.updatedAt
+});
+
+// Visible when the caller is unscoped (admin), owns the project, or has an active share.
+const visibilitySql = (alias) => `
+    CASE WHEN @orgId IS NULL OR ${alias}.orgId = @orgId OR EXISTS (
+        SELECT 1 FROM ProjectOrgAccess poa
+        WHERE poa.projectId = ${alias}.id
+          AND poa.orgId = @orgId
+          AND (poa.expiresAt IS NULL OR poa.expiresAt > GETDATE())
+    ) THEN 1 ELSE 0 END
+`;
+
+export const isProjectVisibleToOrg = async (pool, projectId, orgId) => {
+    const result = await pool.request()
+        .input('projectId', sql.Int, Number(projectId))
+        .input('orgId', sql.Int, orgId || null)
+        .query(`
+            SELECT p.id, p.title, ${visibilitySql('p')} AS isVisible
+            FROM Projects p
+            WHERE p.id = @projectId
+        `);
+    const row = result.recordset[0];
+    return row && row.isVisible ? { id: String(row.id), title: row.title } : null;
+};
+
+/**
+ * Delivery state used to judge whether a project puts its dependents at risk: the latest
+ * report status, slip against the latest baseline and the latest scheduled task end.
+ * @returns {Promise<Map<string, { reportStatus: string, slipDays: number, finishDate: string|null }>>}
+ */
+export const fetchDeliveryStateByProject = async (pool, projectIds) => {
+    const stateByProject = new Map();
+    if (!Array.isArray(projectIds) || projectIds.length === 0) return stateByProject;
+
+    const { text, params } = buildInClause('deliveryProjectId', projectIds);
+    const binReady = await hasRecycleBinSchema(pool);
+    const request = pool.request();
+    addParams(request, params);
+    const result = await request.query(`
+        SELECT
+            p.id AS projectId,
+            (
+                SELECT TOP 1 COALESCE(NULLIF(LOWER(JSON_VALUE(sr.reportData, '$.overallStatus')), ''), 'unknown')
+                FROM StatusReports sr
+                WHERE sr.projectId = p.id
+                ORDER BY sr.version DESC
+            ) AS reportStatus,
+            (
+                SELECT MAX(COALESCE(t.endDate, t.startDate))
+                FROM Tasks t
+                WHERE t.projectId = p.id AND ${notDeletedSql('t.', binReady)}
+            ) AS finishDate
+        FROM Projects p
+        WHERE p.id IN (${text})
+    `);
+    const varianceByProject = await fetchScheduleVarianceByProject(pool, projectIds);
+
+    result.recordset.forEach((row) => {
+        const key = String(row.projectId);
+        stateByProject.set(key, {
+            reportStatus: row.reportStatus || 'unknown',
+            slipDays: varianceByProject.get(key)?.slipDays || 0,
+            finishDate: toDateOnly(row.finishDate)
+        });
+    });
+    return stateByProject;
+};
+
+const DEPENDENCY_SELECT = `
+    SELECT
+        d.*,
+        up.title AS upstreamTitle,
+        up.lifecycleState AS upstreamLifecycleState,
+        ${visibilitySql('up')} AS upstreamVisible,
+        down.title AS downstreamTitle,
+        down.lifecycleState AS downstreamLifecycleState,
+        ${visibilitySql('down')} AS downstreamVisible
+    FROM ProjectDependencies d
+    INNER JOIN Projects up ON up.id = d.upstreamProjectId
+    INNER JOIN Projects down ON down.id = d.downstreamProjectId
+`;
+
+const linkedProject = (row, side) => {
+    const visible = !!row[`${side}Visible`];
+    return {
+        id: String(row[`${side}ProjectId`]),
+        title: visible ? row[`${side}Title`] : null,
+        lifecycleState: row[`${side}LifecycleState`] || 'active',
+        visible
+    };
+};
+
+/**
+ * A project's dependencies in both directions. Each entry carries the linked project and,
+ * for active upstream projects, why they put this project at risk. Projects the caller
+ * cannot see are returned without their title.
+ */
+export const loadProjectDependencies = async (pool, projectId, orgId) => {
+    const result = await pool.request()
+        .input('projectId', sql.Int, Number(projectId))
+        .input('orgId', sql.Int, orgId || null)
+        .query(`
+            ${DEPENDENCY_SELECT}
+            WHERE d.upstreamProjectId = @projectId OR d.downstreamProjectId = @projectId
+            ORDER BY d.neededByDate ASC, d.id ASC
+        `);
+
+    const upstreamRows = result.recordset.filter((row) => String(row.downstreamProjectId) === String(projectId));
+    const downstreamRows = result.recordset.filter((row) => String(row.upstreamProjectId) === String(projectId));
+    const stateByProject = await fetchDeliveryStateByProject(pool, [
+        Number(projectId),
+        ...upstreamRows.map((row) => row.upstreamProjectId)
+    ]);
+    const ownState = stateByProject.get(String(projectId)) || {};
+
+    return {
+        upstream: upstreamRows.map((row) => {
+            const dependency = mapProjectDependencyRow(row);
+            const project = linkedProject(row, 'upstream');
+            const state = stateByProject.get(project.id) || {};
+            return {
+                ...dependency,
+                project,
+                ...(project.lifecycleState === 'active'
+                    ? getUpstreamDependencyIssues(dependency, state)
+                    : { atRisk: false, reasons: [], daysLate: 0 })
+            };
+        }),
+        downstream: downstreamRows.map((row) => {
+            const dependency = mapProjectDependencyRow(row);
+            return {
+                ...dependency,
+                project: linkedProject(row, 'downstream'),
+                ...getUpstreamDependencyIssues(dependency, ownState)
+            };
+        })
+    };
+};
+
+/**
+ * At-risk upstream dependencies keyed by downstream project id string. Only active
+ * upstream projects count; completed work no longer threatens its dependents.
+ * Used by the risk signal.
+ * @returns {Promise<Map<string, object[]>>}
+ */
+export const fetchUpstreamRisksByProject = async (pool, projectIds) => {
+    const risksByProject = new Map();
+    if (!Array.isArray(projectIds) || projectIds.length === 0) return risksByProject;
+    if (!(await hasProjectDependencySchema(pool))) return risksByProject;
+
+    const { text, params } = buildInClause('downstreamProjectId', projectIds);
+    const request = pool.request();
+    addParams(request, params);
+    const result = await request.query(`
+        SELECT d.*, up.title AS upstreamTitle
+        FROM ProjectDependencies d
+        INNER JOIN Projects up ON up.id = d.upstreamProjectId
+        WHERE d.downstreamProjectId IN (${text})
+          AND up.lifecycleState = 'active'
+    `);
+    if (result.recordset.length === 0) return risksByProject;
+
+    const stateByProject = await fetchDeliveryStateByProject(
+        pool,
+        [...new Set(result.recordset.map((row) => row.upstreamProjectId))]
+    );
+    result.recordset.forEach((row) => {
+        const dependency = mapProjectDependencyRow(row);
+        const issues = getUpstreamDependencyIssues(dependency, stateByProject.get(dependency.upstreamProjectId));
+        if (!issues.atRisk) return;
+        const key = dependency.downstreamProjectId;
+        if (!risksByProject.has(key)) risksByProject.set(key, []);
+        risksByProject.get(key).push({
+            dependencyId: dependency.id,
+            upstreamProjectId: dependency.upstreamProjectId,
+            upstreamTitle: row.upstreamTitle,
+            neededByDate: dependency.neededByDate,
+            reasons: issues.reasons,
+            daysLate: issues.daysLate
+        });
+    });
+    return risksByProject;
+};
+
+/**
+ * Dependencies between projects the caller can see, for the portfolio graph.
+ * Archived projects are left out.
+ */
+export const loadPortfolioDependencyGraph = async (pool, orgId) => {
+    const result = await pool.request()
+        .input('orgId', sql.Int, orgId || null)
+        .query(`
+            ${DEPENDENCY_SELECT}
+            WHERE up.lifecycleState <> 'archived'
+              AND down.lifecycleState <> 'archived'
+        `);
+    const rows = result.recordset.filter((row) => row.upstreamVisible && row.downstreamVisible);
+
+    const projectIds = [...new Set(rows.flatMap((row) => [row.upstreamProjectId, row.downstreamProjectId]))];
+    const stateByProject = await fetchDeliveryStateByProject(pool, projectIds);
+
+    const nodesById = new Map();
+    rows.forEach((row) => {
+        ['upstream', 'downstream'].forEach((side) => {
+            const project = linkedProject(row, side);
+            if (!nodesById.has(project.id)) {
+                nodesById.set(project.id, {
+                    id: project.id,
+                    title: project.title,
+                    lifecycleState: project.lifecycleState,
+                    ...(stateByProject.get(project.id) || { reportStatus: 'unknown', slipDays: 0, finishDate: null })
+                });
+            }
+        });
+    });
+
+    const edges = rows.map((row) => {
+        const dependency = mapProjectDependencyRow(row);
+        const upstream = nodesById.get(dependency.upstreamProjectId);
+        return {
+            ...dependency,
+            ...(upstream.lifecycleState === 'active'
+                ? getUpstreamDependencyIssues(dependency, upstream)
+                : { atRisk: false, reasons: [], daysLate: 0 })
+        };
+    });
+
+    return { nodes: [...nodesById.values()], edges };
+};
@@ -0,0 +1,74 @@
+import { sql } from '../db.js';
+import { buildInClause, addParams } from './sqlHelpers.js';
+import { summarizeFinancialLines } from '../../shared/projectFinancials.js';
+
+export const PROJECT_FINANCIAL_SCHEMA_MISSING_ERROR = 'Project financial schema is not installed. Run `npm run setup-db:full` in `server`.';
+
+export const hasProjectFinancialSchema = async (pool) => {
+    try {
+        const result = await pool.request().query(`
+            SELECT CASE WHEN OBJECT_ID('ProjectFinancialLines', 'U') IS NOT NULL THEN 1 ELSE 0 END AS hasFinancialLines
+        `);
+        return !!result.recordset[0]?.hasFinancialLines;
+    } catch {
+        return false;
+    }
+};
+
+const toAmount = (value) => (value === null || value === undefined ? null : Number(value));
+
+export const mapFinancialLineRow = (row) => ({
+    id: String(row.id),
+    projectId: String(row.projectId),
+    fiscalYear: Number(row.fiscalYear),
+    costType: row.costType,
+    category: row.category || null,
+    budgetAmount: toAmount(row.budgetAmount) ?? 0,
+    forecastAmount: toAmount(row.forecastAmount),
+    actualAmount: toAmount(row.actualAmount) ?? 0,
+    notes: row.notes || null,
+    updatedByOid: row.updatedByOid || null,
+    createdAt: row.createdAt,
+    updatedAt: row.updatedAt
+});
+
+export const loadProjectFinancialLines = async (pool, projectId) => {
+    const result = await pool.request()
+        .input('projectId', sql.Int, Number(projectId))
+        .query(`
+            SELECT *
+            FROM ProjectFinancialLines
+            WHERE projectId = @projectId
+            ORDER BY fiscalYear ASC, costType ASC, category ASC, id ASC
+        `);
+    return result.recordset.map(mapFinancialLineRow);
+};
+
+/**
+ * Financial summaries keyed by project id string, for projects with at least one budget line.
+ * Used by the executive summary, report packs and the risk signal.
+ * @returns {Promise<Map<string, object>>}
+ */
+export const fetchFinancialSummaryByProject = async (pool, projectIds) => {
+    const summaryByProject = new Map();
+    if (!Array.isArray(projectIds) || projectIds.length === 0) return summaryByProject;
+    if (!(await hasProjectFinancialSchema(pool))) return summaryByProject;
+
+    const { text, params } = buildInClause('financialProjectId', projectIds);
+    const request = pool.request();
+    addParams(request, params);
+    const result = await request.query(`
+        SELECT id, projectId, fiscalYear, costType, budgetAmount, forecastAmount, actualAmount
+        FROM ProjectFinancialLines
+        WHERE projectId IN (${text})
+    `);
+
+    const linesByProject = new Map();
+    result.recordset.forEach((row) => {
+        const key = String(row.projectId);
+        if (!linesByProject.has(key)) linesByProject.set(key, []);
+        linesByProject.get(key).push(mapFinancialLineRow(row));
+    });
+    linesByProject.forEach((lines, key) => summaryByProject.set(key, summarizeFinancialLines(lines)));
+    return summaryByProject;
+};
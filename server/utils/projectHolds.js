@@ -0,0 +1,83 @@
+import { sql } from '../db.js';
+import { PROJECT_LIFECYCLE_STATES } from './lifecycle.js';
+
+export const PROJECT_HOLD_SCHEMA_MISSING_ERROR = 'Project on-hold schema is not installed. Run `npm run setup-db:full` in `server`.';
+
+export const hasProjectHoldSchema = async (pool) => {
+    try {
+        const result = await pool.request().query(`
+            SELECT CASE WHEN COL_LENGTH('Projects', 'expectedResumeDate') IS NOT NULL THEN 1 ELSE 0 END AS hasHold
+        `);
+        return !!result.recordset[0]?.hasHold;
+    } catch {
+        return false;
+    }
+};
+
+/**
+ * Hold columns to add to a project SELECT list, with a leading comma. Empty before the schema is installed.
+ * @param {string} alias - table alias including the trailing dot (e.g. 'p.'), or ''
+ */
+export const projectHoldColumnsSql = (alias, schemaReady) => (schemaReady
+    ? `, ${alias}onHoldAt, ${alias}onHoldByOid, ${alias}onHoldReason, ${alias}expectedResumeDate`
+    : '');
+
+const toDateOnly = (value) => {
+    if (!value) return null;
+    const parsed = value instanceof Date ? value : new Date(value);
+    return Number.isNaN(parsed.getTime()) ? null : parsed.toISOString().slice(0, 10);
+};
+
+export const mapProjectHold = (row) => ({
+    onHoldAt: row.onHoldAt || null,
+    onHoldByOid: row.onHoldByOid || null,
+    onHoldReason: row.onHoldReason || null,
+    expectedResumeDate: toDateOnly(row.expectedResumeDate)
+});
+
+/**
+ * On-hold projects whose expected resume date has passed, for the user who placed the hold
+ * and anyone watching the project. Non-admins only see projects their organization owns or shares.
+ */
+export const listOverdueResumeProjects = async (pool, { userOid, orgId = null, isAdmin = false, limit = 20 }) => {
+    const request = pool.request()
+        .input('userOid', sql.NVarChar(100), userOid)
+        .input('onHold', sql.NVarChar(20), PROJECT_LIFECYCLE_STATES.ON_HOLD)
+        .input('limit', sql.Int, limit);
+    let scopeCondition = '';
+    if (!isAdmin) {
+        request.input('orgId', sql.Int, orgId);
+        scopeCondition = `AND (
+            p.orgId = @orgId
+            OR EXISTS (
+                SELECT 1 FROM ProjectOrgAccess poa
+                WHERE poa.projectId = p.id
+                  AND poa.orgId = @orgId
+                  AND (poa.expiresAt IS NULL OR poa.expiresAt > GETDATE())
+            )
+        )`;
+    }
+    const result = await request.query(`
+        SELECT TOP (@limit)
+            p.id, p.title, p.onHoldAt, p.onHoldByOid, p.onHoldReason, p.expectedResumeDate,
+            holder.name AS onHoldByName,
+            DATEDIFF(DAY, p.expectedResumeDate, CAST(GETDATE() AS DATE)) AS daysOverdue
+        FROM Projects p
+        LEFT JOIN Users holder ON holder.oid = p.onHoldByOid
+        WHERE p.lifecycleState = @onHold
+          AND p.expectedResumeDate < CAST(GETDATE() AS DATE)
+          AND (
+              p.onHoldByOid = @userOid
+              OR EXISTS (SELECT 1 FROM ProjectWatchers pw WHERE pw.projectId = p.id AND pw.userOid = @userOid)
+          )
+          ${scopeCondition}
+        ORDER BY p.expectedResumeDate ASC, p.id ASC
+    `);
+    return result.recordset.map((row) => ({
+        projectId: String(row.id),
+        projectTitle: row.title,
+        ...mapProjectHold(row),
+        onHoldByName: row.onHoldByName || null,
+        daysOverdue: Number(row.daysOverdue || 0)
+    }));
+};
@@ -0,0 +1,198 @@
+import { sql } from '../db.js';
+import { buildInClause, addParams } from './sqlHelpers.js';
+import {
+    buildTemplateTaskPlan,
+    normalizeTemplateDefinition,
+    toStatusReportSeed
+} from '../../shared/projectTemplates.js';
+import { getStatusCategory, resolveWorkflowStatus } from '../../shared/taskWorkflows.js';
+
+export const PROJECT_TEMPLATE_SCHEMA_MISSING_ERROR = 'Project template schema is not installed. Run `npm run setup-db:full` in `server`.';
+
+// Templates write provenance and report defaults onto Projects, so those columns must exist too.
+export const hasProjectTemplateSchema = async (pool) => {
+    try {
+        const result = await pool.request().query(`
+            SELECT
+                CASE WHEN OBJECT_ID('ProjectTemplates', 'U') IS NOT NULL THEN 1 ELSE 0 END AS hasTemplates,
+                CASE WHEN COL_LENGTH('Projects', 'templateId') IS NOT NULL THEN 1 ELSE 0 END AS hasTemplateId,
+                CASE WHEN COL_LENGTH('Projects', 'statusReportDefaults') IS NOT NULL THEN 1 ELSE 0 END AS hasReportDefaults
+        `);
+        const row = result.recordset[0] || {};
+        return !!(row.hasTemplates && row.hasTemplateId && row.hasReportDefaults);
+    } catch {
+        return false;
+    }
+};
+
+const parseDefinition = (value) => {
+    try {
+        const normalized = normalizeTemplateDefinition(JSON.parse(value || '{}'));
+        return normalized.definition || normalizeTemplateDefinition({}).definition;
+    } catch {
+        return normalizeTemplateDefinition({}).definition;
+    }
+};
+
+export const parseStatusReportDefaults = (value) => {
+    if (!value) return null;
+    try {
+        return JSON.parse(value);
+    } catch {
+        return null;
+    }
+};
+
+export const mapProjectTemplateRow = (row) => {
+    const definition = parseDefinition(row.definition);
+    return {
+        id: String(row.id),
+        orgId: String(row.orgId),
+        orgName: row.orgName || null,
+        name: row.name,
+        description: row.description || '',
+        isActive: !!row.isActive,
+        definition,
+        taskCount: definition.tasks.length,
+        createdAt: row.createdAt,
+        updatedAt: row.updatedAt,
+        updatedByOid: row.updatedByOid || null
+    };
+};
+
+/**
+ * Load a template for a project owned by `orgId`. Only active templates from the same org qualify.
+ * @returns {Promise<{ template: object } | { error: string, status: number }>}
+ */
+export const resolveProjectTemplate = async (pool, templateId, orgId) => {
+    const id = Number.parseInt(templateId, 10);
+    if (Number.isNaN(id)) {
+        return { error: 'Invalid templateId', status: 400 };
+    }
+    if (!(await hasProjectTemplateSchema(pool))) {
+        return { error: PROJECT_TEMPLATE_SCHEMA_MISSING_ERROR, status: 409 };
+    }
+    const result = await pool.request()
+        .input('id', sql.Int, id)
+        .query('SELECT * FROM ProjectTemplates WHERE id = @id');
+    const row = result.recordset[0];
+    if (!row) {
+        return { error: 'Project template not found', status: 404 };
+    }
+    if (!row.isActive) {
+        return { error: `Project template "${row.name}" is inactive.`, status: 409 };
+    }
+    if (Number(row.orgId) !== Number(orgId)) {
+        return { error: `Project template "${row.name}" belongs to a different organization.`, status: 400 };
+    }
+    return { template: mapProjectTemplateRow(row) };
+};
+
+/**
+ * Attach tags to a newly created project, skipping any deleted or deprecated since they were chosen.
+ * @param {{ primaryTagId?: number|null }} [options]
+ * @returns {Promise<number[]>} the tag ids applied
+ */
+export const insertSeedProjectTags = async (tx, projectId, candidateTagIds, { primaryTagId = null } = {}) => {
+    if (!Array.isArray(candidateTagIds) || candidateTagIds.length === 0) return [];
+    const { text, params } = buildInClause('seedTagId', candidateTagIds);
+    const tagRequest = tx.request();
+    addParams(tagRequest, params);
+    const tagResult = await tagRequest.query(`SELECT id FROM Tags WHERE id IN (${text}) AND status <> 'deprecated'`);
+    const tagIds = tagResult.recordset.map((row) => Number(row.id));
+    for (const tagId of tagIds) {
+        await tx.request()
+            .input('projectId', sql.Int, projectId)
+            .input('tagId', sql.Int, tagId)
+            .input('isPrimary', sql.Bit, tagId === primaryTagId)
+            .query('INSERT INTO ProjectTags (projectId, tagId, isPrimary) VALUES (@projectId, @tagId, @isPrimary)');
+    }
+    return tagIds;
+};
+
+/**
+ * Copy a template into a newly created project using the caller's transaction.
+ * Tags deleted or deprecated since the template was saved are skipped rather than failing the create.
+ * @param {import('mssql').Transaction} tx
+ * Template tasks start in the built-in "todo" status, mapped onto the org's workflow when one is passed.
+ * @param {{ projectId: number, template: object, startDate?: string|Date, workflow?: { schemaReady: boolean, states: object[] } }} options
+ * @returns {Promise<{ tasks: object[], tagIds: number[], benefitCount: number, statusReportDefaults: object|null }>}
+ */
+export const instantiateProjectTemplate = async (tx, { projectId, template, startDate, workflow = {} }) => {
+    const { definition } = template;
+    const now = new Date();
+    const tasks = [];
+
+    for (const task of buildTemplateTaskPlan(definition, startDate)) {
+        const status = resolveWorkflowStatus(workflow.states, task.status);
+        const statusCategory = getStatusCategory(status, workflow.states);
+        const inserted = await tx.request()
+            .input('projectId', sql.Int, projectId)
+            .input('title', sql.NVarChar(255), task.title)
+            .input('status', sql.NVarChar(20), status)
+            .input('statusCategory', sql.NVarChar(20), statusCategory)
+            .input('priority', sql.NVarChar(20), task.priority)
+            .input('description', sql.NVarChar(sql.MAX), task.description)
+            .input('startDate', sql.Date, task.startDate)
+            .input('endDate', sql.Date, task.endDate)
+            .input('updatedAt', sql.DateTime2, now)
+            .query(`
+                INSERT INTO Tasks (projectId, title, status, ${workflow.schemaReady ? 'statusCategory, ' : ''}priority, description, startDate, endDate, updatedAt)
+                OUTPUT INSERTED.id
+                VALUES (@projectId, @title, @status, ${workflow.schemaReady ? '@statusCategory, ' : ''}@priority, @description, @startDate, @endDate, @updatedAt)
+            `);
+        const taskId = inserted.recordset[0].id;
+
+        for (const [index, title] of task.checklist.entries()) {
+            await tx.request()
+                .input('taskId', sql.Int, taskId)
+                .input('title', sql.NVarChar(255), title)
+                .input('sortOrder', sql.Int, index)
+                .query('INSERT INTO TaskChecklistItems (taskId, title, sortOrder) VALUES (@taskId, @title, @sortOrder)');
+        }
+
+        tasks.push({
+            id: String(taskId),
+            title: task.title,
+            status,
+            statusCategory,
+            priority: task.priority,
+            description: task.description,
+            startDate: task.startDate,
+            endDate: task.endDate,
+            assigneeOid: null,
+            assigneeName: null,
+            checklistTotal: task.checklist.length,
+            checklistDone: 0
+        });
+    }
+
+    const tagIds = await insertSeedProjectTags(tx, projectId, definition.tagIds);
+
+    for (const benefit of definition.benefits) {
+        await tx.request()
+            .input('projectId', sql.Int, projectId)
+            .input('title', sql.NVarChar(255), benefit.title)
+            .input('description', sql.NVarChar(sql.MAX), benefit.description || null)
+            .input('targetValue', sql.Decimal(18, 2), benefit.targetValue)
+            .input('unit', sql.NVarChar(50), benefit.unit || null)
+            .query(`
+                INSERT INTO ProjectBenefitRealization (projectId, title, description, targetValue, unit, status)
+                VALUES (@projectId, @title, @description, @targetValue, @unit, 'planned')
+            `);
+    }
+
+    const statusReportDefaults = toStatusReportSeed(definition.statusReportDefaults);
+    await tx.request()
+        .input('projectId', sql.Int, projectId)
+        .input('templateId', sql.Int, Number(template.id))
+        .input('statusReportDefaults', sql.NVarChar(sql.MAX), statusReportDefaults ? JSON.stringify(statusReportDefaults) : null)
+        .query('UPDATE Projects SET templateId = @templateId, statusReportDefaults = @statusReportDefaults WHERE id = @projectId');
+
+    return {
+        tasks,
+        tagIds,
+        benefitCount: definition.benefits.length,
+        statusReportDefaults
+    };
+};
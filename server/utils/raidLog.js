@@ -0,0 +1,214 @@
+import { sql } from '../db.js';
+import { buildInClause, addParams } from './sqlHelpers.js';
+import { summarizeRaidItems } from '../../shared/raidLog.js';
+
+export const RAID_SCHEMA_MISSING_ERROR = 'RAID register schema is not installed. Run `npm run setup-db:full` in `server`.';
+
+export const hasRaidSchema = async (pool) => {
+    try {
+        const result = await pool.request().query(`
+            SELECT CASE
+                WHEN OBJECT_ID('ProjectRaidItems', 'U') IS NOT NULL
+                 AND OBJECT_ID('ProjectRaidItemHistory', 'U') IS NOT NULL
+                THEN 1 ELSE 0
+            END AS hasRaidItems
+        `);
+        return !!result.recordset[0]?.hasRaidItems;
+    } catch {
+        return false;
+    }
+};
+
+const toDateOnly = (value) => (value ? new Date(value).toISOString().slice(0, 10) : null);
+const toScore = (value) => (value === null || value === undefined ? null : Number(value));
+
+const RAID_ITEM_SELECT = `
+    SELECT r.*, u.name AS ownerName
+    FROM ProjectRaidItems r
+    LEFT JOIN Users u ON u.oid = r.ownerOid
+`;
+
+export const mapRaidItemRow = (row) => ({
+    id: String(row.id),
+    projectId: String(row.projectId),
+    type: row.type,
+    title: row.title,
+    description: row.description || null,
+    ownerOid: row.ownerOid || null,
+    ownerName: row.ownerName || null,
+    probability: toScore(row.probability),
+    impact: toScore(row.impact),
+    mitigation: row.mitigation || null,
+    dueDate: toDateOnly(row.dueDate),
+    status: row.status,
+    closedAt: row.closedAt || null,
+    createdByOid: row.createdByOid || null,
+    updatedByOid: row.updatedByOid || null,
+    createdAt: row.createdAt,
+    updatedAt: row.updatedAt
+});
+
+export const loadRaidItem = async (pool, projectId, itemId) => {
+    const result = await pool.request()
+        .input('projectId', sql.Int, Number(projectId))
+        .input('itemId', sql.Int, Number(itemId))
+        .query(`${RAID_ITEM_SELECT} WHERE r.projectId = @projectId AND r.id = @itemId`);
+    return result.recordset.length ? mapRaidItemRow(result.recordset[0]) : null;
+};
+
+export const loadProjectRaidItems = async (pool, projectId) => {
+    const result = await pool.request()
+        .input('projectId', sql.Int, Number(projectId))
+        .query(`
+            ${RAID_ITEM_SELECT}
+            WHERE r.projectId = @projectId
+            ORDER BY r.type ASC, ISNULL(r.probability, 0) * ISNULL(r.impact, 0) DESC, r.id ASC
+        `);
+    return result.recordset.map(mapRaidItemRow);
+};
+
+export const loadRaidItemHistory = async (pool, itemId) => {
+    const result = await pool.request()
+        .input('itemId', sql.Int, Number(itemId))
+        .query(`
+            SELECT h.*, u.name AS changedByName
+            FROM ProjectRaidItemHistory h
+            LEFT JOIN Users u ON u.oid = h.changedByOid
+            WHERE h.raidItemId = @itemId
+            ORDER BY h.changedAt DESC, h.id DESC
+        `);
+    return result.recordset.map((row) => ({
+        id: String(row.id),
+        raidItemId: String(row.raidItemId),
+        fromStatus: row.fromStatus || null,
+        toStatus: row.toStatus,
+        probability: toScore(row.probability),
+        impact: toScore(row.impact),
+        note: row.note || null,
+        changedByOid: row.changedByOid || null,
+        changedByName: row.changedByName || null,
+        changedAt: row.changedAt
+    }));
+};
+
+/**
+ * Append a status/score history row. Accepts a pool or a transaction.
+ */
+export const recordRaidHistory = async (runner, { raidItemId, fromStatus = null, item, note = null, userOid = null }) => {
+    await runner.request()
+        .input('raidItemId', sql.Int, Number(raidItemId))
+        .input('fromStatus', sql.NVarChar(20), fromStatus)
+        .input('toStatus', sql.NVarChar(20), item.status)
+        .input('probability', sql.TinyInt, item.probability)
+        .input('impact', sql.TinyInt, item.impact)
+        .input('note', sql.NVarChar(1000), note)
+        .input('userOid', sql.NVarChar(100), userOid)
+        .query(`
+            INSERT INTO ProjectRaidItemHistory (raidItemId, fromStatus, toStatus, probability, impact, note, changedByOid)
+            VALUES (@raidItemId, @fromStatus, @toStatus, @probability, @impact, @note, @userOid)
+        `);
+};
+
+/**
+ * Register summaries keyed by project id string, for projects with at least one RAID item.
+ * Used by the executive summary for the portfolio risk heat map.
+ * @returns {Promise<Map<string, object>>}
+ */
+export const fetchRaidSummaryByProject = async (pool, projectIds) => {
+    const summaryByProject = new Map();
+    if (!Array.isArray(projectIds) || projectIds.length === 0) return summaryByProject;
+    if (!(await hasRaidSchema(pool))) return summaryByProject;
+
+    const { text, params } = buildInClause('raidProjectId', projectIds);
+    const request = pool.request();
+    addParams(request, params);
+    const result = await request.query(`
+        SELECT id, projectId, type, probability, impact, dueDate, status
+        FROM ProjectRaidItems
+        WHERE projectId IN (${text})
+    `);
+
+    const itemsByProject = new Map();
+    result.recordset.forEach((row) => {
+        const key = String(row.projectId);
+        if (!itemsByProject.has(key)) itemsByProject.set(key, []);
+        itemsByProject.get(key).push(mapRaidItemRow(row));
+    });
+    itemsByProject.forEach((items, key) => summaryByProject.set(key, summarizeRaidItems(items)));
+    return summaryByProject;
+};
+
+const toRaidItemIds = (value) => (
+    Array.isArray(value)
+        ? [...new Set(value.map((id) => Number.parseInt(id, 10)).filter((id) => Number.isInteger(id) && id > 0))]
+        : []
+);
+
+/**
+ * Keep only referenced item ids that belong to the project, so a report cannot point at
+ * another project's register.
+ * @returns {Promise<string[]>}
+ */
+export const filterProjectRaidItemIds = async (pool, projectId, raidItemIds) => {
+    const ids = toRaidItemIds(raidItemIds);
+    if (ids.length === 0 || !(await hasRaidSchema(pool))) return [];
+
+    const { text, params } = buildInClause('raidItemId', ids);
+    const request = pool.request().input('projectId', sql.Int, Number(projectId));
+    addParams(request, params);
+    const result = await request.query(`
+        SELECT id FROM ProjectRaidItems WHERE projectId = @projectId AND id IN (${text})
+    `);
+    const known = new Set(result.recordset.map((row) => row.id));
+    return ids.filter((id) => known.has(id)).map(String);
+};
+
+/**
+ * Status reports store RAID item ids rather than copies. Resolve them to the register's
+ * current state as `raidItems`; items deleted since the report was filed are dropped.
+ * Mutates and returns the given reports.
+ */
+export const attachRaidItemsToReports = async (pool, reports = []) => {
+    const referencing = reports.filter((report) => report && Array.isArray(report.raidItemIds) && report.raidItemIds.length > 0);
+    if (referencing.length === 0) return reports;
+    if (!(await hasRaidSchema(pool))) {
+        referencing.forEach((report) => { report.raidItems = []; });
+        return reports;
+    }
+
+    const ids = [...new Set(referencing.flatMap((report) => toRaidItemIds(report.raidItemIds)))];
+    const itemsById = new Map();
+    if (ids.length > 0) {
+        const { text, params } = buildInClause('reportRaidItemId', ids);
+        const request = pool.request();
+        addParams(request, params);
+        const result = await request.query(`${RAID_ITEM_SELECT} WHERE r.id IN (${text})`);
+        result.recordset.forEach((row) => itemsById.set(String(row.id), mapRaidItemRow(row)));
+    }
+
+    referencing.forEach((report) => {
+        report.raidItems = toRaidItemIds(report.raidItemIds)
+            .map((id) => itemsById.get(String(id)))
+            .filter(Boolean);
+    });
+    return reports;
+};
+
+/**
+ * Owners must exist and, for org-scoped callers, belong to the caller's organization.
+ * @returns {Promise<{ error: string } | null>}
+ */
+export const validateRaidOwner = async (pool, ownerOid, orgId) => {
+    if (!ownerOid) return null;
+    const result = await pool.request()
+        .input('oid', sql.NVarChar(100), ownerOid)
+        .query('SELECT TOP 1 oid, orgId FROM Users WHERE oid = @oid');
+    if (!result.recordset.length) {
+        return { error: 'Owner not found.' };
+    }
+    const owner = result.recordset[0];
+    if (orgId && owner.orgId && owner.orgId !== orgId) {
+        return { error: 'Owner must belong to your organization.' };
+    }
+    return null;
+};
@@ -113,6 +113,11 @@ const PERMISSION_GROUPS = [
         category: 'Admin',
         items: [
             { key: 'can_manage_tags', label: 'Manage Tags & Groups' },
+            { key: 'can_manage_project_templates', label: 'Manage Project Templates' },
+            { key: 'can_manage_task_workflows', label: 'Manage Task Workflows' },
+            { key: 'can_manage_risk_model', label: 'Manage Risk Model' },
+            { key: 'can_manage_custom_fields', label: 'Manage Custom Fields' },
+            { key: 'can_import_data', label: 'Import Spreadsheets' },
             { key: 'can_manage_sharing_requests', label: 'Manage Sharing Requests' },
             { key: 'can_manage_organizations', label: 'Manage Organizations' },
             { key: 'can_manage_role_permissions', label: 'Manage Role Permissions' },
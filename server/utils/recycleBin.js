@@ -0,0 +1,148 @@
+import { sql } from '../db.js';
+import { RETENTION_WINDOWS } from '../../shared/dataLifecyclePolicy.js';
+import { ATTACHMENT_ENTITY_TYPES } from '../../shared/attachments.js';
+import { deleteAttachmentRowsForEntity } from './attachments.js';
+
+export const RECYCLE_BIN_SCHEMA_MISSING_ERROR = 'Recycle bin schema is not installed. Run `npm run setup-db:full` in `server`.';
+
+// Pools whose database already has the recycle bin columns. Columns are never dropped at runtime,
+// so a positive probe is kept; a missing schema is probed again until `setup-db` installs it.
+const recycleBinReadyPools = new WeakSet();
+
+export const hasRecycleBinSchema = async (pool) => {
+    if (recycleBinReadyPools.has(pool)) return true;
+    try {
+        const result = await pool.request().query(`
+            SELECT
+                CASE WHEN COL_LENGTH('Tasks', 'deletedAt') IS NOT NULL THEN 1 ELSE 0 END AS hasTaskBin,
+                CASE WHEN COL_LENGTH('TaskChecklistItems', 'deletedAt') IS NOT NULL THEN 1 ELSE 0 END AS hasChecklistBin,
+                CASE WHEN COL_LENGTH('KPIs', 'deletedAt') IS NOT NULL THEN 1 ELSE 0 END AS hasKpiBin
+        `);
+        const row = result.recordset[0] || {};
+        const ready = !!(row.hasTaskBin && row.hasChecklistBin && row.hasKpiBin);
+        if (ready) recycleBinReadyPools.add(pool);
+        return ready;
+    } catch {
+        return false;
+    }
+};
+
+/**
+ * SQL condition that leaves out rows sitting in the recycle bin. Before the schema is
+ * installed nothing can be soft-deleted, so the condition always holds.
+ * @param {string} alias - table alias including the trailing dot (e.g. 't.'), or ''
+ */
+export const notDeletedSql = (alias, schemaReady) => (schemaReady ? `${alias}deletedAt IS NULL` : '1 = 1');
+
+export const getRecycleBinPurgeDate = (deletedAt) => {
+    const parsed = deletedAt instanceof Date ? new Date(deletedAt.getTime()) : new Date(deletedAt);
+    if (Number.isNaN(parsed.getTime())) return null;
+    parsed.setDate(parsed.getDate() + RETENTION_WINDOWS.recycleBinDays);
+    return parsed;
+};
+
+const mapBinEntry = (row) => ({
+    deletedAt: row.deletedAt,
+    deletedByOid: row.deletedByOid || null,
+    deletedByName: row.deletedByName || null,
+    purgeAfter: getRecycleBinPurgeDate(row.deletedAt)
+});
+
+/**
+ * Tasks and checklist items deleted from a project, newest first. Checklist items of a
+ * task that is itself in the bin come back with the task, so they are not listed separately.
+ */
+export const listProjectRecycleBin = async (pool, projectId) => {
+    const tasksResult = await pool.request()
+        .input('projectId', sql.Int, projectId)
+        .query(`
+            SELECT t.id, t.title, t.status, t.parentTaskId, t.deletedAt, t.deletedByOid, u.name AS deletedByName
+            FROM Tasks t
+            LEFT JOIN Users u ON u.oid = t.deletedByOid
+            WHERE t.projectId = @projectId AND t.deletedAt IS NOT NULL
+            ORDER BY t.deletedAt DESC, t.id DESC
+        `);
+    const checklistResult = await pool.request()
+        .input('projectId', sql.Int, projectId)
+        .query(`
+            SELECT i.id, i.taskId, i.title, i.isDone, i.deletedAt, i.deletedByOid, t.title AS taskTitle, u.name AS deletedByName
+            FROM TaskChecklistItems i
+            INNER JOIN Tasks t ON t.id = i.taskId
+            LEFT JOIN Users u ON u.oid = i.deletedByOid
+            WHERE t.projectId = @projectId AND t.deletedAt IS NULL AND i.deletedAt IS NOT NULL
+            ORDER BY i.deletedAt DESC, i.id DESC
+        `);
+    return {
+        tasks: tasksResult.recordset.map((row) => ({
+            id: String(row.id),
+            title: row.title,
+            status: row.status,
+            parentTaskId: row.parentTaskId === null || row.parentTaskId === undefined ? null : String(row.parentTaskId),
+            ...mapBinEntry(row)
+        })),
+        checklistItems: checklistResult.recordset.map((row) => ({
+            id: String(row.id),
+            taskId: String(row.taskId),
+            taskTitle: row.taskTitle,
+            title: row.title,
+            isDone: !!row.isDone,
+            ...mapBinEntry(row)
+        }))
+    };
+};
+
+export const listGoalRecycleBin = async (pool, goalId) => {
+    const result = await pool.request()
+        .input('goalId', sql.Int, goalId)
+        .query(`
+            SELECT k.id, k.name, k.target, k.currentValue, k.unit, k.deletedAt, k.deletedByOid, u.name AS deletedByName
+            FROM KPIs k
+            LEFT JOIN Users u ON u.oid = k.deletedByOid
+            WHERE k.goalId = @goalId AND k.deletedAt IS NOT NULL
+            ORDER BY k.deletedAt DESC, k.id DESC
+        `);
+    return {
+        kpis: result.recordset.map((row) => ({
+            id: String(row.id),
+            name: row.name,
+            target: row.target,
+            current: row.currentValue,
+            unit: row.unit,
+            ...mapBinEntry(row)
+        }))
+    };
+};
+
+/**
+ * Permanently remove a task. Used by the retention purge, and by the delete route on databases
+ * without the recycle bin schema. Sub-tasks move up to the task's own parent rather than going with it.
+ * @returns {Promise<object[]>} removed attachment rows; delete their stored bytes once the caller commits
+ */
+export const purgeTask = async (dbOrTx, taskId) => {
+    const schema = await dbOrTx.request().query(`
+        SELECT
+            CASE WHEN OBJECT_ID('TaskDependencies', 'U') IS NOT NULL THEN 1 ELSE 0 END AS hasDependencies,
+            CASE WHEN COL_LENGTH('Tasks', 'parentTaskId') IS NOT NULL THEN 1 ELSE 0 END AS hasParent
+    `);
+    const { hasDependencies, hasParent } = schema.recordset[0] || {};
+    if (hasDependencies) {
+        // Successor links do not cascade, so clear both directions before the task row goes.
+        await dbOrTx.request()
+            .input('id', sql.Int, taskId)
+            .query('DELETE FROM TaskDependencies WHERE predecessorTaskId = @id OR successorTaskId = @id');
+    }
+    if (hasParent) {
+        await dbOrTx.request()
+            .input('id', sql.Int, taskId)
+            .query(`
+                UPDATE Tasks
+                SET parentTaskId = (SELECT parentTaskId FROM Tasks WHERE id = @id)
+                WHERE parentTaskId = @id
+            `);
+    }
+    const removedAttachments = await deleteAttachmentRowsForEntity(dbOrTx, ATTACHMENT_ENTITY_TYPES.TASK, taskId);
+    await dbOrTx.request()
+        .input('id', sql.Int, taskId)
+        .query('DELETE FROM Tasks WHERE id = @id');
+    return removedAttachments;
+};
@@ -0,0 +1,115 @@
+import { sql } from '../db.js';
+import { buildInClause, addParams } from './sqlHelpers.js';
+import { DEFAULT_RISK_MODEL, MAX_RISK_MODEL_NAME_LENGTH, normalizeRiskModel } from '../../shared/riskModel.js';
+
+export const RISK_MODEL_SCHEMA_MISSING_ERROR = 'Risk model schema is not installed. Run `npm run setup-db:full` in `server`.';
+
+export const hasRiskModelSchema = async (pool) => {
+    try {
+        const result = await pool.request().query(`
+            SELECT CASE WHEN OBJECT_ID('RiskModelVersions', 'U') IS NOT NULL THEN 1 ELSE 0 END AS hasRiskModels
+        `);
+        return !!result.recordset[0]?.hasRiskModels;
+    } catch {
+        return false;
+    }
+};
+
+const toDateOnly = (value) => (value ? new Date(value).toISOString().slice(0, 10) : null);
+
+// Stored models are re-normalized on read so versions saved before a new signal existed
+// pick up that signal's default weight.
+const parseStoredModel = (value) => {
+    try {
+        return normalizeRiskModel(JSON.parse(value)).model || DEFAULT_RISK_MODEL;
+    } catch {
+        return DEFAULT_RISK_MODEL;
+    }
+};
+
+export const mapRiskModelVersionRow = (row) => ({
+    id: String(row.id),
+    orgId: String(row.orgId),
+    version: Number(row.version),
+    name: row.name,
+    effectiveFrom: toDateOnly(row.effectiveFrom),
+    model: parseStoredModel(row.model),
+    createdByOid: row.createdByOid || null,
+    createdAt: row.createdAt
+});
+
+// What the exec summary and snapshots record as the producer of a score.
+export const describeRiskModelVersion = (version) => (version
+    ? { id: version.id, version: version.version, name: version.name, effectiveFrom: version.effectiveFrom }
+    : null);
+
+/**
+ * @returns {{ name: string, effectiveFrom: string|null, model: object } | { error: string }}
+ */
+export const parseRiskModelVersionInput = (body) => {
+    const name = String(body?.name ?? '').trim();
+    if (!name) return { error: 'Model name is required.' };
+    if (name.length > MAX_RISK_MODEL_NAME_LENGTH) {
+        return { error: `Model name must be ${MAX_RISK_MODEL_NAME_LENGTH} characters or fewer.` };
+    }
+
+    let effectiveFrom = null;
+    if (body?.effectiveFrom) {
+        const text = String(body.effectiveFrom).trim();
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(text) || Number.isNaN(Date.parse(`${text}T00:00:00Z`))) {
+            return { error: 'effectiveFrom must be a date (YYYY-MM-DD).' };
+        }
+        effectiveFrom = text;
+    }
+
+    const normalized = normalizeRiskModel(body?.model);
+    if (normalized.error) return normalized;
+    return { name, effectiveFrom, model: normalized.model };
+};
+
+export const loadRiskModelVersions = async (db, orgId) => {
+    const result = await db.request()
+        .input('orgId', sql.Int, orgId)
+        .query(`
+            SELECT *
+            FROM RiskModelVersions
+            WHERE orgId = @orgId
+            ORDER BY version DESC
+        `);
+    return result.recordset.map(mapRiskModelVersionRow);
+};
+
+/**
+ * The version in effect today for each organization: the latest effective date that has
+ * arrived, with the higher version winning a same-day tie. Organizations without one are
+ * absent from the map and score with DEFAULT_RISK_MODEL.
+ * @returns {Promise<Map<string, object>>} keyed by org id string
+ */
+export const loadEffectiveRiskModels = async (pool, orgIds) => {
+    const modelsByOrg = new Map();
+    const ids = [...new Set((orgIds || [])
+        .map((orgId) => Number.parseInt(orgId, 10))
+        .filter((orgId) => Number.isFinite(orgId)))];
+    if (ids.length === 0) return modelsByOrg;
+    if (!(await hasRiskModelSchema(pool))) return modelsByOrg;
+
+    const { text, params } = buildInClause('riskModelOrgId', ids);
+    const request = pool.request();
+    addParams(request, params);
+    const result = await request.query(`
+        WITH Ranked AS (
+            SELECT *,
+                ROW_NUMBER() OVER (PARTITION BY orgId ORDER BY effectiveFrom DESC, version DESC) AS rn
+            FROM RiskModelVersions
+            WHERE orgId IN (${text})
+              AND effectiveFrom <= CAST(GETDATE() AS DATE)
+        )
+        SELECT *
+        FROM Ranked
+        WHERE rn = 1
+    `);
+    result.recordset.forEach((row) => {
+        modelsByOrg.set(String(row.orgId), mapRiskModelVersionRow(row));
+    });
+    return modelsByOrg;
+};
@@ -0,0 +1,104 @@
+import { sql } from '../db.js';
+import { buildInClause, addParams } from './sqlHelpers.js';
+import { RISK_TREND_DAYS } from '../../shared/riskTrend.js';
+
+export const hasRiskSnapshotSchema = async (pool) => {
+    try {
+        const result = await pool.request().query(`
+            SELECT CASE WHEN OBJECT_ID('ProjectRiskSnapshots', 'U') IS NOT NULL THEN 1 ELSE 0 END AS hasSnapshots
+        `);
+        return !!result.recordset[0]?.hasSnapshots;
+    } catch {
+        return false;
+    }
+};
+
+const parseJson = (value, fallback) => {
+    if (!value) return fallback;
+    try {
+        return JSON.parse(value);
+    } catch {
+        return fallback;
+    }
+};
+
+const toDateOnly = (value) => (value ? new Date(value).toISOString().slice(0, 10) : null);
+
+export const mapRiskSnapshotRow = (row) => ({
+    date: toDateOnly(row.snapshotDate),
+    score: Number(row.score || 0),
+    level: row.level,
+    metrics: parseJson(row.metrics, {}),
+    signals: parseJson(row.signals, []),
+    modelVersion: row.modelVersion === null || row.modelVersion === undefined ? null : Number(row.modelVersion),
+    capturedAt: row.capturedAt
+});
+
+/**
+ * Store today's score for a project. Re-running on the same day replaces the snapshot.
+ */
+export const saveRiskSnapshot = async (db, projectId, riskSignal) => {
+    await db.request()
+        .input('projectId', sql.Int, projectId)
+        .input('score', sql.Int, riskSignal.score)
+        .input('level', sql.NVarChar(20), riskSignal.level)
+        .input('metrics', sql.NVarChar(sql.MAX), JSON.stringify(riskSignal.metrics || {}))
+        .input('signals', sql.NVarChar(sql.MAX), JSON.stringify(riskSignal.signals || []))
+        .input('modelVersion', sql.Int, riskSignal.modelVersion?.version ?? null)
+        .query(`
+            MERGE ProjectRiskSnapshots AS target
+            USING (SELECT @projectId AS projectId, CAST(GETDATE() AS DATE) AS snapshotDate) AS source
+                ON target.projectId = source.projectId AND target.snapshotDate = source.snapshotDate
+            WHEN MATCHED THEN
+                UPDATE SET score = @score, level = @level, metrics = @metrics, signals = @signals, modelVersion = @modelVersion, capturedAt = GETDATE()
+            WHEN NOT MATCHED THEN
+                INSERT (projectId, snapshotDate, score, level, metrics, signals, modelVersion)
+                VALUES (@projectId, source.snapshotDate, @score, @level, @metrics, @signals, @modelVersion);
+        `);
+};
+
+export const loadProjectRiskHistory = async (pool, projectId, days) => {
+    const result = await pool.request()
+        .input('projectId', sql.Int, projectId)
+        .input('days', sql.Int, days)
+        .query(`
+            SELECT snapshotDate, score, level, metrics, signals, modelVersion, capturedAt
+            FROM ProjectRiskSnapshots
+            WHERE projectId = @projectId
+              AND snapshotDate >= DATEADD(day, -@days, CAST(GETDATE() AS DATE))
+            ORDER BY snapshotDate ASC
+        `);
+    return result.recordset.map(mapRiskSnapshotRow);
+};
+
+/**
+ * Recent daily scores per project for sparklines. Metrics and signals are left out
+ * to keep the portfolio payload small.
+ * @returns {Promise<Map<string, { date: string, score: number, level: string }[]>>} keyed by project id string
+ */
+export const fetchRiskTrendByProject = async (pool, projectIds, days = RISK_TREND_DAYS) => {
+    const trendByProject = new Map();
+    if (!Array.isArray(projectIds) || projectIds.length === 0) return trendByProject;
+    if (!(await hasRiskSnapshotSchema(pool))) return trendByProject;
+
+    const { text, params } = buildInClause('riskTrendProjectId', projectIds);
+    const request = pool.request().input('days', sql.Int, days);
+    addParams(request, params);
+    const result = await request.query(`
+        SELECT projectId, snapshotDate, score, level
+        FROM ProjectRiskSnapshots
+        WHERE projectId IN (${text})
+          AND snapshotDate >= DATEADD(day, -@days, CAST(GETDATE() AS DATE))
+        ORDER BY projectId ASC, snapshotDate ASC
+    `);
+    result.recordset.forEach((row) => {
+        const key = String(row.projectId);
+        if (!trendByProject.has(key)) trendByProject.set(key, []);
+        trendByProject.get(key).push({
+            date: toDateOnly(row.snapshotDate),
+            score: Number(row.score || 0),
+            level: row.level
+        });
+    });
+    return trendByProject;
+};
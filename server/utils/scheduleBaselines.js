@@ -0,0 +1,109 @@
+import { buildInClause, addParams } from './sqlHelpers.js';
+import { computeScheduleVariance } from '../../shared/scheduleBaselines.js';
+import { hasRecycleBinSchema, notDeletedSql } from './recycleBin.js';
+
+export const SCHEDULE_BASELINE_SCHEMA_MISSING_ERROR = 'Schedule baseline schema is not installed. Run `npm run setup-db:full` in `server`.';
+
+// Baseline variance compares against milestones too, so both tables must exist.
+export const hasScheduleBaselineSchema = async (pool) => {
+    try {
+        const result = await pool.request().query(`
+            SELECT
+                CASE WHEN OBJECT_ID('ProjectBaselines', 'U') IS NOT NULL THEN 1 ELSE 0 END AS hasBaselines,
+                CASE WHEN OBJECT_ID('ProjectBaselineItems', 'U') IS NOT NULL THEN 1 ELSE 0 END AS hasBaselineItems,
+                CASE WHEN OBJECT_ID('ProjectMilestones', 'U') IS NOT NULL THEN 1 ELSE 0 END AS hasMilestones
+        `);
+        const row = result.recordset[0] || {};
+        return !!(row.hasBaselines && row.hasBaselineItems && row.hasMilestones);
+    } catch {
+        return false;
+    }
+};
+
+export const mapBaselineRow = (row) => ({
+    id: String(row.id),
+    projectId: String(row.projectId),
+    name: row.name,
+    note: row.note || null,
+    capturedByOid: row.capturedByOid || null,
+    capturedByName: row.capturedByName || null,
+    capturedAt: row.capturedAt,
+    itemCount: Number(row.itemCount || 0)
+});
+
+const toDateOnly = (value) => (value ? new Date(value).toISOString().slice(0, 10) : null);
+
+export const mapBaselineItemRow = (row) => ({
+    itemType: row.itemType,
+    itemId: String(row.itemId),
+    title: row.title,
+    startDate: toDateOnly(row.startDate),
+    endDate: toDateOnly(row.endDate)
+});
+
+/**
+ * Schedule variance against each project's most recent baseline.
+ * Projects without a baseline are absent from the returned map.
+ * @param {import('mssql').ConnectionPool} pool
+ * @param {number[]} projectIds
+ * @returns {Promise<Map<string, object>>} keyed by project id string
+ */
+export const fetchScheduleVarianceByProject = async (pool, projectIds) => {
+    const varianceByProject = new Map();
+    if (!Array.isArray(projectIds) || projectIds.length === 0) return varianceByProject;
+    if (!(await hasScheduleBaselineSchema(pool))) return varianceByProject;
+
+    const { text, params } = buildInClause('baselineProjectId', projectIds);
+    const binReady = await hasRecycleBinSchema(pool);
+    const request = pool.request();
+    addParams(request, params);
+    const result = await request.query(`
+        WITH LatestBaseline AS (
+            SELECT id, projectId, name, capturedAt,
+                ROW_NUMBER() OVER (PARTITION BY projectId ORDER BY capturedAt DESC, id DESC) AS rn
+            FROM ProjectBaselines
+            WHERE projectId IN (${text})
+        )
+        SELECT
+            lb.projectId,
+            lb.id AS baselineId,
+            lb.name AS baselineName,
+            lb.capturedAt,
+            i.endDate AS baselineEndDate,
+            CASE WHEN i.itemType = 'task' THEN t.id ELSE m.id END AS currentItemId,
+            CASE
+                WHEN i.itemType = 'task' THEN COALESCE(t.endDate, t.startDate)
+                ELSE COALESCE(m.actualDate, m.forecastDate, m.plannedDate)
+            END AS currentEndDate
+        FROM LatestBaseline lb
+        JOIN ProjectBaselineItems i ON i.baselineId = lb.id
+        LEFT JOIN Tasks t ON i.itemType = 'task' AND t.id = i.itemId AND t.projectId = lb.projectId AND ${notDeletedSql('t.', binReady)}
+        LEFT JOIN ProjectMilestones m ON i.itemType = 'milestone' AND m.id = i.itemId AND m.projectId = lb.projectId
+        WHERE lb.rn = 1
+    `);
+
+    const grouped = new Map();
+    result.recordset.forEach((row) => {
+        const key = String(row.projectId);
+        if (!grouped.has(key)) {
+            grouped.set(key, {
+                baselineId: String(row.baselineId),
+                baselineName: row.baselineName,
+                capturedAt: row.capturedAt,
+                items: []
+            });
+        }
+        grouped.get(key).items.push({
+            baselineEndDate: row.baselineEndDate,
+            currentEndDate: row.currentItemId === null || row.currentItemId === undefined ? undefined : row.currentEndDate
+        });
+    });
+
+    grouped.forEach(({ items, ...baseline }, projectId) => {
+        varianceByProject.set(projectId, {
+            ...baseline,
+            ...computeScheduleVariance(items)
+        });
+    });
+    return varianceByProject;
+};
@@ -0,0 +1,137 @@
+import { unzipSync } from 'fflate';
+import { XMLParser } from 'fast-xml-parser';
+import { MAX_IMPORT_ROWS, parseCsv } from '../../shared/dataImport.js';
+
+// Guards against zip bombs: no single part of a workbook we read should be this large.
+const MAX_XLSX_PART_BYTES = 50 * 1024 * 1024;
+
+// Messages from this error are safe to show; anything else thrown while reading means a corrupt file.
+class SpreadsheetError extends Error {}
+
+// Elements that repeat; the parser would otherwise collapse a single occurrence into an object.
+const XLSX_LIST_PATHS = new Set([
+    'workbook.sheets.sheet',
+    'Relationships.Relationship',
+    'sst.si',
+    'sst.si.r',
+    'worksheet.sheetData.row',
+    'worksheet.sheetData.row.c',
+    'worksheet.sheetData.row.c.is.r'
+]);
+
+// Namespace prefixes (e.g. <x:c>) are dropped, so `r:id` on a sheet reads as `id`.
+const xmlParser = new XMLParser({
+    ignoreAttributes: false,
+    attributeNamePrefix: '',
+    removeNSPrefix: true,
+    parseTagValue: false,
+    trimValues: false,
+    htmlEntities: true,
+    isArray: (_name, jpath, _isLeafNode, isAttribute) => !isAttribute && XLSX_LIST_PATHS.has(jpath)
+});
+
+const asList = (value) => (Array.isArray(value) ? value : []);
+
+const textOf = (node) => {
+    if (node === undefined || node === null) return '';
+    return typeof node === 'object' ? String(node['#text'] ?? '') : String(node);
+};
+
+// Rich-text cells split their text into several <r> runs.
+const readTextRuns = (node) => (node?.r ? asList(node.r).map((run) => textOf(run.t)).join('') : textOf(node?.t));
+
+const columnIndexFromRef = (ref) => {
+    const letters = String(ref || '').match(/^[A-Z]+/i)?.[0]?.toUpperCase() || '';
+    let index = 0;
+    for (const letter of letters) index = index * 26 + (letter.charCodeAt(0) - 64);
+    return index - 1;
+};
+
+// Unpack only the workbook XML parts; zip64 archives and data-descriptor entries are handled by fflate.
+const readWorkbookParts = (buffer) => unzipSync(new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.length), {
+    filter: (file) => {
+        if (!/^xl\/.*\.(xml|rels)$/.test(file.name)) return false;
+        if (file.originalSize > MAX_XLSX_PART_BYTES) {
+            throw new SpreadsheetError('The workbook is too large to import.');
+        }
+        return true;
+    }
+});
+
+/**
+ * Cell text of the first worksheet. Dates come through as Excel serial numbers, which
+ * the import date checks accept.
+ */
+const readXlsx = (buffer) => {
+    const parts = readWorkbookParts(buffer);
+    const readXml = (path) => (parts[path] ? xmlParser.parse(Buffer.from(parts[path]).toString('utf8')) : null);
+
+    const workbook = readXml('xl/workbook.xml')?.workbook;
+    if (!workbook) throw new SpreadsheetError('The file is not a valid XLSX workbook.');
+    const [firstSheet] = asList(workbook.sheets?.sheet);
+    if (!firstSheet) throw new SpreadsheetError('The workbook has no worksheets.');
+    const sheetName = firstSheet.name || 'Sheet1';
+
+    let sheetPath = 'xl/worksheets/sheet1.xml';
+    const relationships = asList(readXml('xl/_rels/workbook.xml.rels')?.Relationships?.Relationship);
+    const target = relationships.find((relationship) => relationship.Id === firstSheet.id)?.Target;
+    if (target) sheetPath = target.startsWith('/') ? target.slice(1) : `xl/${target.replace(/^\.\//, '')}`;
+
+    const sharedStrings = asList(readXml('xl/sharedStrings.xml')?.sst?.si).map(readTextRuns);
+
+    const sheet = readXml(sheetPath)?.worksheet;
+    if (!sheet) throw new SpreadsheetError('The first worksheet could not be read.');
+
+    const rows = [];
+    for (const row of asList(sheet.sheetData?.row)) {
+        const rowNumber = Number.parseInt(row.r, 10);
+        const cells = [];
+        for (const cell of asList(row.c)) {
+            const rawValue = cell.v === undefined ? undefined : textOf(cell.v);
+            let value = '';
+            if (cell.t === 's') value = sharedStrings[Number(rawValue)] ?? '';
+            else if (cell.t === 'inlineStr') value = readTextRuns(cell.is);
+            else if (cell.t === 'b') value = rawValue === '1' ? 'TRUE' : 'FALSE';
+            else if (rawValue !== undefined) value = rawValue;
+            const column = cell.r ? columnIndexFromRef(cell.r) : cells.length;
+            cells[column] = value;
+        }
+        const index = Number.isFinite(rowNumber) ? rowNumber - 1 : rows.length;
+        if (index > MAX_IMPORT_ROWS) {
+            throw new SpreadsheetError(`Imports are limited to ${MAX_IMPORT_ROWS} rows per file.`);
+        }
+        rows[index] = Array.from(cells, (cell) => cell ?? '');
+    }
+    return { sheetName, rows: Array.from(rows, (row) => row || []) };
+};
+
+/**
+ * Parse an uploaded CSV or XLSX file into a header row and data rows of cell text.
+ * @param {{ fileName: string, buffer: Buffer }} file
+ * @returns {{ sheetName: string|null, headers: string[], rows: string[][] } | { error: string }}
+ */
+export const parseSpreadsheet = ({ fileName, buffer }) => {
+    const extension = String(fileName || '').toLowerCase().split('.').pop();
+    let parsed;
+    try {
+        if (extension === 'xlsx') {
+            parsed = readXlsx(buffer);
+        } else if (extension === 'csv' || extension === 'txt') {
+            parsed = { sheetName: null, rows: parseCsv(buffer.toString('utf8')) };
+        } else {
+            return { error: 'Upload a .csv or .xlsx file.' };
+        }
+    } catch (err) {
+        return { error: err instanceof SpreadsheetError ? err.message : 'The file is not a valid XLSX workbook.' };
+    }
+
+    const [headerRow = [], ...dataRows] = parsed.rows;
+    const headers = headerRow.map((cell) => String(cell ?? '').trim());
+    if (headers.every((header) => !header)) {
+        return { error: 'The first row must contain column headers.' };
+    }
+    if (dataRows.length > MAX_IMPORT_ROWS) {
+        return { error: `Imports are limited to ${MAX_IMPORT_ROWS} rows per file.` };
+    }
+    return { sheetName: parsed.sheetName, headers, rows: dataRows };
+};
@@ -0,0 +1,334 @@
+import { sql } from '../db.js';
+import { buildInClause, addParams } from './sqlHelpers.js';
+import { calculateRequiredVotes, parsePolicySnapshot } from './governancePolicy.js';
+import {
+    DEFAULT_STAGE_GATE_PHASES,
+    getChecklistProgress,
+    getPhaseIndex,
+    normalizeStageGatePhases,
+    summarizeGateVotes
+} from '../../shared/stageGates.js';
+
+export const STAGE_GATE_SCHEMA_MISSING_ERROR = 'Stage-gate schema is not installed. Run `npm run setup-db:full` in `server`.';
+
+export const hasStageGateSchema = async (pool) => {
+    try {
+        const result = await pool.request().query(`
+            SELECT CASE
+                WHEN OBJECT_ID('StageGateModels', 'U') IS NOT NULL
+                 AND OBJECT_ID('ProjectStageGates', 'U') IS NOT NULL
+                 AND OBJECT_ID('ProjectGateReviews', 'U') IS NOT NULL
+                 AND OBJECT_ID('ProjectGateReviewParticipants', 'U') IS NOT NULL
+                 AND OBJECT_ID('ProjectGateVotes', 'U') IS NOT NULL
+                THEN 1 ELSE 0
+            END AS hasStageGates
+        `);
+        return !!result.recordset[0]?.hasStageGates;
+    } catch {
+        return false;
+    }
+};
+
+export const DEFAULT_STAGE_GATE_MODEL = Object.freeze({
+    id: null,
+    orgId: null,
+    name: 'Standard delivery lifecycle',
+    phases: DEFAULT_STAGE_GATE_PHASES,
+    boardId: null,
+    boardName: null
+});
+
+const parsePhases = (value) => {
+    try {
+        const normalized = normalizeStageGatePhases(JSON.parse(value || '[]'));
+        return normalized.phases || DEFAULT_STAGE_GATE_PHASES;
+    } catch {
+        return DEFAULT_STAGE_GATE_PHASES;
+    }
+};
+
+const parseJsonObject = (value) => {
+    try {
+        const parsed = JSON.parse(value || '{}');
+        return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+    } catch {
+        return {};
+    }
+};
+
+const toOptionalId = (value) => (value === null || value === undefined ? null : String(value));
+
+export const mapStageGateModelRow = (row) => ({
+    id: String(row.id),
+    orgId: String(row.orgId),
+    name: row.name,
+    phases: parsePhases(row.phases),
+    boardId: toOptionalId(row.boardId),
+    boardName: row.boardName || null,
+    updatedAt: row.updatedAt,
+    updatedByOid: row.updatedByOid || null
+});
+
+/**
+ * An organization's stage-gate model, else the built-in phases. Accepts a pool or a transaction.
+ */
+export const loadOrgStageGateModel = async (db, orgId, { schemaReady } = {}) => {
+    if (orgId === null || orgId === undefined || !Number.isFinite(Number(orgId))) return DEFAULT_STAGE_GATE_MODEL;
+    if (!(schemaReady ?? await hasStageGateSchema(db))) return DEFAULT_STAGE_GATE_MODEL;
+    const result = await db.request()
+        .input('orgId', sql.Int, Number(orgId))
+        .query(`
+            SELECT m.*, b.name AS boardName
+            FROM StageGateModels m
+            LEFT JOIN GovernanceBoard b ON b.id = m.boardId
+            WHERE m.orgId = @orgId
+        `);
+    return result.recordset[0] ? mapStageGateModelRow(result.recordset[0]) : DEFAULT_STAGE_GATE_MODEL;
+};
+
+/**
+ * Validate a stage-gate model save body.
+ * @returns {{ name: string, phases: object[], boardId: number|null } | { error: string }}
+ */
+export const parseStageGateModelInput = (body = {}) => {
+    const name = String(body.name || '').trim() || 'Delivery lifecycle';
+    if (name.length > 255) {
+        return { error: 'Model name must be 255 characters or fewer.' };
+    }
+    const normalized = normalizeStageGatePhases(body.phases);
+    if (normalized.error) return { error: normalized.error };
+    let boardId = null;
+    if (body.boardId !== undefined && body.boardId !== null && body.boardId !== '') {
+        boardId = Number.parseInt(body.boardId, 10);
+        if (Number.isNaN(boardId)) return { error: 'Invalid boardId' };
+    }
+    return { name, phases: normalized.phases, boardId };
+};
+
+const PROJECT_STAGE_GATE_SELECT = `
+    SELECT g.*, b.name AS boardName
+    FROM ProjectStageGates g
+    LEFT JOIN GovernanceBoard b ON b.id = g.boardId
+`;
+
+export const mapProjectStageGateRow = (row) => {
+    const phases = parsePhases(row.phases);
+    const checklist = parseJsonObject(row.checklist);
+    const phaseIndex = Math.max(0, getPhaseIndex(phases, row.currentPhaseKey));
+    const currentPhase = phases[phaseIndex] || null;
+    return {
+        projectId: String(row.projectId),
+        phases,
+        boardId: toOptionalId(row.boardId),
+        boardName: row.boardName || null,
+        currentPhaseKey: currentPhase?.key || row.currentPhaseKey,
+        currentPhaseName: currentPhase?.name || row.currentPhaseKey,
+        phaseIndex,
+        checklist,
+        checklistProgress: getChecklistProgress(currentPhase, checklist[currentPhase?.key] || []),
+        phaseStartedAt: row.phaseStartedAt,
+        completedAt: row.completedAt || null,
+        startedAt: row.startedAt,
+        startedByOid: row.startedByOid || null,
+        updatedAt: row.updatedAt
+    };
+};
+
+export const loadProjectStageGate = async (db, projectId) => {
+    const result = await db.request()
+        .input('projectId', sql.Int, Number(projectId))
+        .query(`${PROJECT_STAGE_GATE_SELECT} WHERE g.projectId = @projectId`);
+    return result.recordset[0] ? mapProjectStageGateRow(result.recordset[0]) : null;
+};
+
+/**
+ * Put a project at the first phase of its organization's model. The model's board reviews
+ * gates when it has one; otherwise `fallbackBoardId` (e.g. the intake form's board) is used.
+ * Accepts a pool or a transaction.
+ */
+export const initializeProjectStageGate = async (db, { projectId, orgId, fallbackBoardId = null, startedByOid = null }) => {
+    const model = await loadOrgStageGateModel(db, orgId, { schemaReady: true });
+    const boardId = model.boardId ?? fallbackBoardId ?? null;
+    await db.request()
+        .input('projectId', sql.Int, Number(projectId))
+        .input('phases', sql.NVarChar(sql.MAX), JSON.stringify(model.phases))
+        .input('boardId', sql.Int, boardId === null ? null : Number(boardId))
+        .input('currentPhaseKey', sql.NVarChar(30), model.phases[0].key)
+        .input('startedByOid', sql.NVarChar(100), startedByOid)
+        .query(`
+            INSERT INTO ProjectStageGates (projectId, phases, boardId, currentPhaseKey, checklist, startedByOid)
+            VALUES (@projectId, @phases, @boardId, @currentPhaseKey, '{}', @startedByOid)
+        `);
+    return loadProjectStageGate(db, projectId);
+};
+
+export const mapGateReviewRow = (row) => ({
+    id: String(row.id),
+    projectId: String(row.projectId),
+    phaseKey: row.phaseKey,
+    toPhaseKey: row.toPhaseKey || null,
+    boardId: String(row.boardId),
+    boardName: row.boardName || null,
+    status: row.status,
+    decision: row.decision || null,
+    decisionReason: row.decisionReason || null,
+    policy: parsePolicySnapshot(row.policySnapshotJson),
+    checklistSnapshot: row.checklistSnapshotJson ? parseJsonObject(row.checklistSnapshotJson) : null,
+    voteDeadlineAt: row.voteDeadlineAt || null,
+    requestedAt: row.requestedAt,
+    requestedByOid: row.requestedByOid || null,
+    requestedByName: row.requestedByName || null,
+    decidedAt: row.decidedAt || null,
+    decidedByOid: row.decidedByOid || null,
+    decidedByName: row.decidedByName || null
+});
+
+export const loadGateReview = async (db, projectId, reviewId) => {
+    const result = await db.request()
+        .input('projectId', sql.Int, Number(projectId))
+        .input('reviewId', sql.Int, Number(reviewId))
+        .query(`
+            SELECT r.*, b.name AS boardName
+            FROM ProjectGateReviews r
+            LEFT JOIN GovernanceBoard b ON b.id = r.boardId
+            WHERE r.projectId = @projectId AND r.id = @reviewId
+        `);
+    return result.recordset[0] ? mapGateReviewRow(result.recordset[0]) : null;
+};
+
+export const loadGateReviewParticipant = async (db, reviewId, userOid) => {
+    const result = await db.request()
+        .input('reviewId', sql.Int, Number(reviewId))
+        .input('userOid', sql.NVarChar(100), userOid || '')
+        .query(`
+            SELECT TOP 1 participantRole, isEligibleVoter
+            FROM ProjectGateReviewParticipants
+            WHERE reviewId = @reviewId AND userOid = @userOid
+        `);
+    return result.recordset[0] || null;
+};
+
+/**
+ * Vote tally and quorum for a gate review, using the policy snapshotted when it opened.
+ */
+export const loadGateReviewTally = async (db, review) => {
+    const [participants, votes] = await Promise.all([
+        db.request()
+            .input('reviewId', sql.Int, Number(review.id))
+            .query('SELECT COUNT(*) AS eligibleVoterCount FROM ProjectGateReviewParticipants WHERE reviewId = @reviewId AND isEligibleVoter = 1'),
+        db.request()
+            .input('reviewId', sql.Int, Number(review.id))
+            .query('SELECT vote FROM ProjectGateVotes WHERE reviewId = @reviewId')
+    ]);
+    const eligibleVoterCount = Number(participants.recordset[0]?.eligibleVoterCount || 0);
+    const requiredVotes = calculateRequiredVotes(eligibleVoterCount, review.policy);
+    const summary = summarizeGateVotes(votes.recordset);
+    return { ...summary, eligibleVoterCount, requiredVotes, quorumMet: summary.voteCount >= requiredVotes };
+};
+
+/**
+ * Gate history for a project, newest first, with votes and the viewer's role in each review.
+ */
+export const loadProjectGateReviews = async (pool, projectId, viewerOid) => {
+    const reviewResult = await pool.request()
+        .input('projectId', sql.Int, Number(projectId))
+        .query(`
+            SELECT
+                r.*,
+                b.name AS boardName,
+                requester.name AS requestedByName,
+                decider.name AS decidedByName
+            FROM ProjectGateReviews r
+            LEFT JOIN GovernanceBoard b ON b.id = r.boardId
+            LEFT JOIN Users requester ON requester.oid = r.requestedByOid
+            LEFT JOIN Users decider ON decider.oid = r.decidedByOid
+            WHERE r.projectId = @projectId
+            ORDER BY r.requestedAt DESC, r.id DESC
+        `);
+    const reviews = reviewResult.recordset.map(mapGateReviewRow);
+    if (reviews.length === 0) return [];
+
+    const { text, params } = buildInClause('reviewId', reviews.map((review) => Number(review.id)));
+    const participantRequest = pool.request();
+    addParams(participantRequest, params);
+    const voteRequest = pool.request();
+    addParams(voteRequest, params);
+    const [participantResult, voteResult] = await Promise.all([
+        participantRequest.query(`
+            SELECT reviewId, userOid, participantRole, isEligibleVoter
+            FROM ProjectGateReviewParticipants
+            WHERE reviewId IN (${text})
+        `),
+        voteRequest.query(`
+            SELECT v.reviewId, v.voterUserOid, v.vote, v.comment, v.submittedAt, v.updatedAt, u.name AS voterName
+            FROM ProjectGateVotes v
+            LEFT JOIN Users u ON u.oid = v.voterUserOid
+            WHERE v.reviewId IN (${text})
+            ORDER BY v.submittedAt
+        `)
+    ]);
+
+    return reviews.map((review) => {
+        const participants = participantResult.recordset.filter((row) => String(row.reviewId) === review.id);
+        const votes = voteResult.recordset
+            .filter((row) => String(row.reviewId) === review.id)
+            .map((row) => ({
+                voterUserOid: row.voterUserOid,
+                voterName: row.voterName || null,
+                vote: row.vote,
+                comment: row.comment || null,
+                submittedAt: row.updatedAt || row.submittedAt
+            }));
+        const eligibleVoterCount = participants.filter((row) => row.isEligibleVoter).length;
+        const requiredVotes = calculateRequiredVotes(eligibleVoterCount, review.policy);
+        const summary = summarizeGateVotes(votes);
+        const viewer = participants.find((row) => row.userOid === viewerOid);
+        return {
+            ...review,
+            ...summary,
+            eligibleVoterCount,
+            requiredVotes,
+            quorumMet: summary.voteCount >= requiredVotes,
+            votes,
+            viewer: {
+                isEligibleVoter: !!viewer?.isEligibleVoter,
+                isChair: viewer?.participantRole === 'chair' && !!viewer?.isEligibleVoter,
+                vote: votes.find((vote) => vote.voterUserOid === viewerOid)?.vote || null
+            }
+        };
+    });
+};
+
+/**
+ * Current phase per project for the executive summary, keyed by project id.
+ */
+export const fetchStageGateSummaryByProject = async (pool, projectIds) => {
+    const summaries = new Map();
+    if (!Array.isArray(projectIds) || projectIds.length === 0) return summaries;
+    if (!(await hasStageGateSchema(pool))) return summaries;
+    const { text, params } = buildInClause('stageGateProjectId', projectIds.map(Number));
+    const request = pool.request();
+    addParams(request, params);
+    const result = await request.query(`
+        SELECT
+            g.projectId, g.phases, g.currentPhaseKey, g.completedAt,
+            CASE WHEN EXISTS (
+                SELECT 1 FROM ProjectGateReviews r WHERE r.projectId = g.projectId AND r.status = 'in-review'
+            ) THEN 1 ELSE 0 END AS hasOpenReview
+        FROM ProjectStageGates g
+        WHERE g.projectId IN (${text})
+    `);
+    for (const row of result.recordset) {
+        const phases = parsePhases(row.phases);
+        const phaseIndex = Math.max(0, getPhaseIndex(phases, row.currentPhaseKey));
+        summaries.set(String(row.projectId), {
+            currentPhaseKey: phases[phaseIndex]?.key || row.currentPhaseKey,
+            currentPhaseName: phases[phaseIndex]?.name || row.currentPhaseKey,
+            phaseIndex,
+            phaseCount: phases.length,
+            completedAt: row.completedAt || null,
+            gateInReview: !!row.hasOpenReview
+        });
+    }
+    return summaries;
+};
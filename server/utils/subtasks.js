@@ -0,0 +1,40 @@
+import { sql } from '../db.js';
+import { validateSubtaskParent } from '../../shared/subtasks.js';
+import { hasRecycleBinSchema, notDeletedSql } from './recycleBin.js';
+
+export const SUBTASK_SCHEMA_MISSING_ERROR = 'Sub-task schema is not installed. Run `npm run setup-db:full` in `server`.';
+
+export const hasSubtaskSchema = async (pool) => {
+    try {
+        const result = await pool.request().query(`
+            SELECT CASE WHEN COL_LENGTH('Tasks', 'parentTaskId') IS NOT NULL THEN 1 ELSE 0 END AS hasParent
+        `);
+        return !!result.recordset[0]?.hasParent;
+    } catch {
+        return false;
+    }
+};
+
+/**
+ * Validate a requested parent for a new or existing task in a project.
+ * @param {{ projectId: number, taskId?: number|null, parentTaskId: unknown }} options
+ * @returns {Promise<{ error: string, status?: number } | { parentTaskId: number|null }>}
+ */
+export const checkTaskParent = async (pool, { projectId, taskId = null, parentTaskId }) => {
+    const clearing = parentTaskId === null || parentTaskId === '';
+    const parsed = clearing ? null : Number.parseInt(parentTaskId, 10);
+    if (!clearing && (!Number.isInteger(parsed) || String(parsed) !== String(parentTaskId).trim())) {
+        return { error: 'Invalid parentTaskId' };
+    }
+    if (!(await hasSubtaskSchema(pool))) {
+        return { error: SUBTASK_SCHEMA_MISSING_ERROR, status: 409 };
+    }
+    if (clearing) return { parentTaskId: null };
+
+    const binReady = await hasRecycleBinSchema(pool);
+    const result = await pool.request()
+        .input('projectId', sql.Int, projectId)
+        .query(`SELECT id, parentTaskId FROM Tasks WHERE projectId = @projectId AND ${notDeletedSql('', binReady)}`);
+    const error = validateSubtaskParent(result.recordset, taskId, parsed);
+    return error ? { error } : { parentTaskId: parsed };
+};
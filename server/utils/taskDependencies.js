@@ -0,0 +1,8 @@
+export const TASK_DEPENDENCY_SCHEMA_MISSING_ERROR = 'Task dependency schema is not installed. Run `npm run setup-db:full` in `server`.';
+
+export const hasTaskDependencySchema = async (pool) => {
+    const result = await pool.request().query(`
+        SELECT CASE WHEN OBJECT_ID('TaskDependencies', 'U') IS NOT NULL THEN 1 ELSE 0 END AS hasDependencyTable
+    `);
+    return !!result.recordset[0]?.hasDependencyTable;
+};
@@ -0,0 +1,293 @@
+import { sql } from '../db.js';
+import {
+    DEFAULT_TASK_WORKFLOW_STATES,
+    MAX_WORKFLOW_NAME_LENGTH,
+    normalizeWorkflowStates
+} from '../../shared/taskWorkflows.js';
+
+export const TASK_WORKFLOW_SCHEMA_MISSING_ERROR = 'Task workflow schema is not installed. Run `npm run setup-db:full` in `server`.';
+
+// Workflows rely on the denormalized Tasks.statusCategory column as well as the table.
+export const hasTaskWorkflowSchema = async (pool) => {
+    try {
+        const result = await pool.request().query(`
+            SELECT
+                CASE WHEN OBJECT_ID('TaskWorkflows', 'U') IS NOT NULL THEN 1 ELSE 0 END AS hasWorkflows,
+                CASE WHEN COL_LENGTH('Tasks', 'statusCategory') IS NOT NULL THEN 1 ELSE 0 END AS hasCategory
+        `);
+        const row = result.recordset[0] || {};
+        return !!(row.hasWorkflows && row.hasCategory);
+    } catch {
+        return false;
+    }
+};
+
+/**
+ * SQL expression for a task's status category. Before the workflow schema is installed
+ * every task uses a built-in status, so the category can be derived from it.
+ * @param {string} alias - table alias including the trailing dot (e.g. 't.'), or ''
+ */
+export const taskStatusCategorySql = (alias, schemaReady) => (schemaReady
+    ? `${alias}statusCategory`
+    : `CASE ${alias}status WHEN 'done' THEN 'done' WHEN 'blocked' THEN 'blocked' WHEN 'todo' THEN 'open' ELSE 'active' END`);
+
+export const DEFAULT_TASK_WORKFLOW = Object.freeze({
+    id: null,
+    scope: 'default',
+    orgId: null,
+    projectId: null,
+    name: 'Standard',
+    states: DEFAULT_TASK_WORKFLOW_STATES
+});
+
+const parseStates = (value) => {
+    try {
+        const normalized = normalizeWorkflowStates(JSON.parse(value || '[]'));
+        return normalized.states || DEFAULT_TASK_WORKFLOW_STATES;
+    } catch {
+        return DEFAULT_TASK_WORKFLOW_STATES;
+    }
+};
+
+export const mapTaskWorkflowRow = (row) => ({
+    id: String(row.id),
+    scope: row.projectId ? 'project' : 'org',
+    orgId: row.orgId === null || row.orgId === undefined ? null : String(row.orgId),
+    projectId: row.projectId === null || row.projectId === undefined ? null : String(row.projectId),
+    name: row.name,
+    states: parseStates(row.states),
+    updatedAt: row.updatedAt,
+    updatedByOid: row.updatedByOid || null
+});
+
+export const loadOrgTaskWorkflow = async (db, orgId, { schemaReady } = {}) => {
+    if (orgId === null || orgId === undefined || !Number.isFinite(Number(orgId))) return DEFAULT_TASK_WORKFLOW;
+    if (!(schemaReady ?? await hasTaskWorkflowSchema(db))) return DEFAULT_TASK_WORKFLOW;
+    const result = await db.request()
+        .input('orgId', sql.Int, Number(orgId))
+        .query('SELECT * FROM TaskWorkflows WHERE orgId = @orgId');
+    return result.recordset[0] ? mapTaskWorkflowRow(result.recordset[0]) : DEFAULT_TASK_WORKFLOW;
+};
+
+/**
+ * Effective workflow for a project: its own workflow, else its organization's, else the built-in states.
+ * Accepts a pool or a transaction.
+ */
+export const loadProjectTaskWorkflow = async (db, projectId, { schemaReady } = {}) => {
+    if (!(schemaReady ?? await hasTaskWorkflowSchema(db))) return DEFAULT_TASK_WORKFLOW;
+    const result = await db.request()
+        .input('projectId', sql.Int, Number(projectId))
+        .query(`
+            SELECT TOP 1 w.*
+            FROM Projects p
+            INNER JOIN TaskWorkflows w
+                ON w.projectId = p.id
+                OR (w.projectId IS NULL AND w.orgId = p.orgId)
+            WHERE p.id = @projectId
+            ORDER BY CASE WHEN w.projectId IS NOT NULL THEN 0 ELSE 1 END
+        `);
+    return result.recordset[0] ? mapTaskWorkflowRow(result.recordset[0]) : DEFAULT_TASK_WORKFLOW;
+};
+
+/**
+ * Validate a workflow save body shared by the org and project endpoints.
+ * @returns {{ name: string, states: object[] } | { error: string }}
+ */
+export const parseTaskWorkflowInput = (body = {}) => {
+    const name = String(body.name || '').trim() || 'Custom workflow';
+    if (name.length > MAX_WORKFLOW_NAME_LENGTH) {
+        return { error: `Workflow name must be ${MAX_WORKFLOW_NAME_LENGTH} characters or fewer.` };
+    }
+    const normalized = normalizeWorkflowStates(body.states);
+    if (normalized.error) return { error: normalized.error };
+    return { name, states: normalized.states };
+};
+
+/**
+ * Tasks governed by a workflow scope. An org workflow only covers projects without their own.
+ * @returns {string} SQL predicate over Tasks alias `t`; binds @scopeOrgId or @scopeProjectId
+ */
+const applyWorkflowScope = (request, { orgId, projectId }) => {
+    if (projectId) {
+        request.input('scopeProjectId', sql.Int, Number(projectId));
+        return 't.projectId = @scopeProjectId';
+    }
+    request.input('scopeOrgId', sql.Int, Number(orgId));
+    return `t.projectId IN (
+        SELECT p.id FROM Projects p
+        WHERE p.orgId = @scopeOrgId
+          AND NOT EXISTS (SELECT 1 FROM TaskWorkflows pw WHERE pw.projectId = p.id)
+    )`;
+};
+
+/**
+ * Parse a `{ fromStatus: toStatus }` remap for tasks whose state is being removed.
+ * @returns {{ remap: Map<string, string> } | { error: string }}
+ */
+const normalizeStatusRemap = (raw, states) => {
+    const remap = new Map();
+    if (raw === undefined || raw === null) return { remap };
+    if (typeof raw !== 'object' || Array.isArray(raw)) return { error: 'remap must be an object of { fromStatus: toStatus }.' };
+    const keys = new Set(states.map((state) => state.key));
+    for (const [from, to] of Object.entries(raw)) {
+        const target = String(to || '').trim().toLowerCase();
+        if (!keys.has(target)) return { error: `Cannot move "${from}" tasks to unknown state "${to}".` };
+        remap.set(String(from).trim().toLowerCase(), target);
+    }
+    return { remap };
+};
+
+/**
+ * Statuses in use within a scope that the given states do not define, after applying remap.
+ * @returns {Promise<Array<{ status: string, taskCount: number }>>}
+ */
+const findUnmappedTaskStatuses = async (db, scope, states, remap = new Map()) => {
+    const request = db.request();
+    const scopeClause = applyWorkflowScope(request, scope);
+    const result = await request.query(`
+        SELECT t.status, COUNT(*) AS taskCount
+        FROM Tasks t
+        WHERE ${scopeClause}
+        GROUP BY t.status
+    `);
+    const keys = new Set(states.map((state) => state.key));
+    return result.recordset
+        .filter((row) => !keys.has(row.status) && !remap.has(row.status))
+        .map((row) => ({ status: row.status, taskCount: Number(row.taskCount) }));
+};
+
+/**
+ * Move remapped tasks to their new state and refresh every task's category for the scope.
+ * Runs inside the caller's transaction.
+ */
+const syncTaskStatusesToWorkflow = async (tx, scope, states, remap = new Map()) => {
+    for (const [from, to] of remap) {
+        const request = tx.request()
+            .input('fromStatus', sql.NVarChar(20), from)
+            .input('toStatus', sql.NVarChar(20), to);
+        const scopeClause = applyWorkflowScope(request, scope);
+        await request.query(`
+            UPDATE t SET status = @toStatus, updatedAt = GETDATE()
+            FROM Tasks t
+            WHERE t.status = @fromStatus AND ${scopeClause}
+        `);
+    }
+
+    const request = tx.request();
+    const cases = states.map((state, index) => {
+        request.input(`stateKey${index}`, sql.NVarChar(20), state.key);
+        request.input(`stateCategory${index}`, sql.NVarChar(20), state.category);
+        return `WHEN @stateKey${index} THEN @stateCategory${index}`;
+    });
+    const scopeClause = applyWorkflowScope(request, scope);
+    await request.query(`
+        UPDATE t SET statusCategory = CASE t.status ${cases.join(' ')} ELSE t.statusCategory END
+        FROM Tasks t
+        WHERE ${scopeClause}
+    `);
+    // Tasks that left a blocked state drop their blocker note, matching single task updates.
+    const blockedRequest = tx.request();
+    const blockedScope = applyWorkflowScope(blockedRequest, scope);
+    await blockedRequest.query(`
+        UPDATE t SET blockerNote = NULL
+        FROM Tasks t
+        WHERE t.blockerNote IS NOT NULL AND t.statusCategory <> 'blocked' AND ${blockedScope}
+    `);
+};
+
+/**
+ * Create or replace the workflow for an org or project scope, remapping or re-categorizing tasks.
+ * @returns {Promise<{ workflow: object } | { error: string, status: number, unmappedStatuses?: object[] }>}
+ */
+export const saveTaskWorkflow = async (pool, { scope, name, states, remap: rawRemap, userOid }) => {
+    const parsedRemap = normalizeStatusRemap(rawRemap, states);
+    if (parsedRemap.error) return { error: parsedRemap.error, status: 400 };
+    const { remap } = parsedRemap;
+    const unmappedStatuses = await findUnmappedTaskStatuses(pool, scope, states, remap);
+    if (unmappedStatuses.length > 0) {
+        return {
+            error: `Tasks use states this workflow removes (${unmappedStatuses.map((row) => row.status).join(', ')}). Choose where to move them.`,
+            status: 409,
+            unmappedStatuses
+        };
+    }
+
+    const transaction = pool.transaction();
+    await transaction.begin();
+    try {
+        const request = transaction.request()
+            .input('name', sql.NVarChar(255), name)
+            .input('states', sql.NVarChar(sql.MAX), JSON.stringify(states))
+            .input('userOid', sql.NVarChar(100), userOid || null)
+            .input('orgId', sql.Int, scope.projectId ? null : Number(scope.orgId))
+            .input('projectId', sql.Int, scope.projectId ? Number(scope.projectId) : null);
+        const scopeColumn = scope.projectId ? 'projectId' : 'orgId';
+        await request.query(`
+            IF EXISTS (SELECT 1 FROM TaskWorkflows WHERE ${scopeColumn} = @${scopeColumn})
+                UPDATE TaskWorkflows
+                SET name = @name, states = @states, updatedByOid = @userOid, updatedAt = GETDATE()
+                WHERE ${scopeColumn} = @${scopeColumn};
+            ELSE
+                INSERT INTO TaskWorkflows (orgId, projectId, name, states, createdByOid, updatedByOid)
+                VALUES (@orgId, @projectId, @name, @states, @userOid, @userOid);
+        `);
+        await syncTaskStatusesToWorkflow(transaction, scope, states, remap);
+        await transaction.commit();
+    } catch (txErr) {
+        await transaction.rollback();
+        throw txErr;
+    }
+
+    const saved = await pool.request()
+        .input('scopeId', sql.Int, Number(scope.projectId || scope.orgId))
+        .query(`SELECT * FROM TaskWorkflows WHERE ${scope.projectId ? 'projectId' : 'orgId'} = @scopeId`);
+    return { workflow: mapTaskWorkflowRow(saved.recordset[0]) };
+};
+
+/**
+ * Remove a scope's workflow so its tasks fall back to the org workflow (for projects) or the built-in states.
+ * @returns {Promise<{ workflow: object } | { error: string, status: number, unmappedStatuses?: object[] }>}
+ */
+export const deleteTaskWorkflow = async (pool, { scope, remap: rawRemap, fallbackOrgId }) => {
+    const fallback = scope.projectId
+        ? await loadOrgTaskWorkflow(pool, fallbackOrgId, { schemaReady: true })
+        : DEFAULT_TASK_WORKFLOW;
+    const parsedRemap = normalizeStatusRemap(rawRemap, fallback.states);
+    if (parsedRemap.error) return { error: parsedRemap.error, status: 400 };
+    const unmappedStatuses = await findUnmappedTaskStatuses(pool, scope, fallback.states, parsedRemap.remap);
+    if (unmappedStatuses.length > 0) {
+        return {
+            error: `Tasks use states the ${fallback.scope === 'org' ? 'organization' : 'standard'} workflow does not have (${unmappedStatuses.map((row) => row.status).join(', ')}). Choose where to move them.`,
+            status: 409,
+            unmappedStatuses
+        };
+    }
+
+    const transaction = pool.transaction();
+    await transaction.begin();
+    try {
+        const scopeColumn = scope.projectId ? 'projectId' : 'orgId';
+        await transaction.request()
+            .input('scopeId', sql.Int, Number(scope.projectId || scope.orgId))
+            .query(`DELETE FROM TaskWorkflows WHERE ${scopeColumn} = @scopeId`);
+        await syncTaskStatusesToWorkflow(transaction, scope, fallback.states, parsedRemap.remap);
+        await transaction.commit();
+    } catch (txErr) {
+        await transaction.rollback();
+        throw txErr;
+    }
+    return { workflow: fallback };
+};
+
+/**
+ * Workflow for validating task writes, plus whether Tasks.statusCategory can be written.
+ * New projects have no workflow of their own yet, so callers creating one pass the owning orgId.
+ * @returns {Promise<{ schemaReady: boolean, workflow: object, states: object[] }>}
+ */
+export const loadTaskWorkflowContext = async (db, { projectId, orgId } = {}) => {
+    const schemaReady = await hasTaskWorkflowSchema(db);
+    const workflow = projectId
+        ? await loadProjectTaskWorkflow(db, projectId, { schemaReady })
+        : await loadOrgTaskWorkflow(db, orgId, { schemaReady });
+    return { schemaReady, workflow, states: workflow.states };
+};
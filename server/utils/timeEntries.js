@@ -0,0 +1,93 @@
+import { sql } from '../db.js';
+import { BURN_WINDOW_WEEKS, getWeekStart, shiftWeek } from '../../shared/timeEntries.js';
+import { hasRecycleBinSchema, notDeletedSql } from './recycleBin.js';
+
+export const TIME_ENTRY_SCHEMA_MISSING_ERROR = 'Time entry schema is not installed. Run `npm run setup-db:full` in `server`.';
+
+// Entries and task estimates ship together, so both must be present.
+export const hasTimeEntrySchema = async (pool) => {
+    try {
+        const result = await pool.request().query(`
+            SELECT
+                CASE WHEN OBJECT_ID('TaskTimeEntries', 'U') IS NOT NULL THEN 1 ELSE 0 END AS hasTimeEntries,
+                CASE WHEN COL_LENGTH('Tasks', 'estimatedHours') IS NOT NULL THEN 1 ELSE 0 END AS hasEstimate
+        `);
+        const row = result.recordset[0] || {};
+        return !!(row.hasTimeEntries && row.hasEstimate);
+    } catch {
+        return false;
+    }
+};
+
+const toDateOnly = (value) => (value ? new Date(value).toISOString().slice(0, 10) : null);
+
+export const mapTimeEntryRow = (row) => ({
+    id: String(row.id),
+    taskId: String(row.taskId),
+    userOid: row.userOid,
+    userName: row.userName || null,
+    entryDate: toDateOnly(row.entryDate),
+    hours: Number(row.hours),
+    note: row.note || null,
+    createdAt: row.createdAt,
+    updatedAt: row.updatedAt
+});
+
+/**
+ * Project visibility clause for time rollups. Admins see everything; everyone else
+ * sees projects owned by or shared with their organization.
+ * @returns {string} SQL fragment referencing alias `p`
+ */
+export const applyTimeEntryProjectScope = (request, user, isAdmin) => {
+    if (isAdmin) return '1 = 1';
+    request.input('scopeOrgId', sql.Int, user?.orgId || null);
+    return `(
+        p.orgId = @scopeOrgId
+        OR EXISTS (
+            SELECT 1 FROM ProjectOrgAccess poa
+            WHERE poa.projectId = p.id
+              AND poa.orgId = @scopeOrgId
+              AND (poa.expiresAt IS NULL OR poa.expiresAt > GETDATE())
+        )
+    )`;
+};
+
+/**
+ * Average weekly hours logged on active projects over the trailing burn window
+ * (full weeks only, so a half-finished current week does not drag the average down).
+ * @param {import('mssql').ConnectionPool} pool
+ * @param {{ orgId?: number|null, weeks?: number, today?: Date }} options
+ * @returns {Promise<{ averageWeeklyHours: number, totalHours: number, windowWeeks: number, from: string, to: string }|null>}
+ *   null when the time entry schema is not installed
+ */
+export const fetchWeeklyBurnHours = async (pool, { orgId = null, weeks = BURN_WINDOW_WEEKS, today = new Date() } = {}) => {
+    if (!(await hasTimeEntrySchema(pool))) return null;
+
+    const binReady = await hasRecycleBinSchema(pool);
+    const currentWeekStart = getWeekStart(today);
+    const from = shiftWeek(currentWeekStart, -weeks);
+    const result = await pool.request()
+        .input('orgId', sql.Int, orgId)
+        .input('fromDate', sql.Date, from)
+        .input('toDate', sql.Date, currentWeekStart)
+        .query(`
+            SELECT SUM(te.hours) AS totalHours
+            FROM TaskTimeEntries te
+            INNER JOIN Tasks t ON t.id = te.taskId
+            INNER JOIN Projects p ON p.id = t.projectId
+            WHERE p.status = 'active'
+              AND (@orgId IS NULL OR p.orgId = @orgId)
+              AND ${notDeletedSql('t.', binReady)}
+              AND te.entryDate >= @fromDate
+              AND te.entryDate < @toDate
+        `);
+
+    const totalHours = Math.round(Number(result.recordset[0]?.totalHours || 0) * 100) / 100;
+    return {
+        averageWeeklyHours: Math.round((totalHours / weeks) * 100) / 100,
+        totalHours,
+        windowWeeks: weeks,
+        from,
+        to: currentWeekStart
+    };
+};
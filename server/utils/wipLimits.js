@@ -0,0 +1,145 @@
+import { sql } from '../db.js';
+import { buildInClause, addParams } from './sqlHelpers.js';
+import { getWipLimitViolation } from '../../shared/wipLimits.js';
+import { hasRecycleBinSchema, notDeletedSql } from './recycleBin.js';
+
+export const WIP_LIMIT_SCHEMA_MISSING_ERROR = 'WIP limit schema is not installed. Run `npm run setup-db:full` in `server`.';
+
+export const hasWipLimitSchema = async (db) => {
+    try {
+        const result = await db.request().query(`
+            SELECT
+                CASE WHEN OBJECT_ID('ProjectWipLimits', 'U') IS NOT NULL THEN 1 ELSE 0 END AS hasLimits,
+                CASE WHEN COL_LENGTH('Projects', 'enforceWipLimits') IS NOT NULL THEN 1 ELSE 0 END AS hasEnforce
+        `);
+        const row = result.recordset[0] || {};
+        return !!(row.hasLimits && row.hasEnforce);
+    } catch {
+        return false;
+    }
+};
+
+const EMPTY_WIP_SETTINGS = Object.freeze({ enforce: false, limits: {} });
+
+/**
+ * WIP settings for a project. Limits left behind by states removed from the workflow
+ * are dropped when `states` is given. Accepts a pool or a transaction.
+ * @returns {Promise<{ schemaReady: boolean, enforce: boolean, limits: Record<string, number> }>}
+ */
+export const loadProjectWipLimits = async (db, projectId, { states, schemaReady } = {}) => {
+    const ready = schemaReady ?? await hasWipLimitSchema(db);
+    if (!ready) return { schemaReady: false, ...EMPTY_WIP_SETTINGS };
+
+    const result = await db.request()
+        .input('projectId', sql.Int, Number(projectId))
+        .query(`
+            SELECT p.enforceWipLimits, l.status, l.wipLimit
+            FROM Projects p
+            LEFT JOIN ProjectWipLimits l ON l.projectId = p.id
+            WHERE p.id = @projectId
+        `);
+
+    const stateKeys = Array.isArray(states) ? new Set(states.map((state) => state.key)) : null;
+    const limits = {};
+    result.recordset.forEach((row) => {
+        if (!row.status || (stateKeys && !stateKeys.has(row.status))) return;
+        limits[row.status] = Number(row.wipLimit);
+    });
+    return {
+        schemaReady: true,
+        enforce: !!result.recordset[0]?.enforceWipLimits,
+        limits
+    };
+};
+
+/**
+ * Replace a project's limits with a validated map (see normalizeWipLimits). Accepts a transaction.
+ */
+export const saveProjectWipLimits = async (db, { projectId, enforce, limits, userOid }) => {
+    await db.request()
+        .input('projectId', sql.Int, Number(projectId))
+        .input('enforce', sql.Bit, enforce ? 1 : 0)
+        .query(`
+            UPDATE Projects SET enforceWipLimits = @enforce WHERE id = @projectId;
+            DELETE FROM ProjectWipLimits WHERE projectId = @projectId;
+        `);
+
+    for (const [status, wipLimit] of Object.entries(limits)) {
+        await db.request()
+            .input('projectId', sql.Int, Number(projectId))
+            .input('status', sql.NVarChar(20), status)
+            .input('wipLimit', sql.Int, wipLimit)
+            .input('userOid', sql.NVarChar(100), userOid || null)
+            .query(`
+                INSERT INTO ProjectWipLimits (projectId, status, wipLimit, updatedByOid)
+                VALUES (@projectId, @status, @wipLimit, @userOid)
+            `);
+    }
+};
+
+/**
+ * Columns over their WIP limit, keyed by project id string. Feeds the risk signal in batches.
+ * @returns {Promise<Map<string, { status: string, taskCount: number, wipLimit: number }[]>>}
+ */
+export const fetchWipBreachesByProject = async (pool, projectIds) => {
+    const breachesByProject = new Map();
+    if (!Array.isArray(projectIds) || projectIds.length === 0) return breachesByProject;
+    if (!(await hasWipLimitSchema(pool))) return breachesByProject;
+
+    const { text, params } = buildInClause('wipProjectId', projectIds);
+    const binReady = await hasRecycleBinSchema(pool);
+    const request = pool.request();
+    addParams(request, params);
+    const result = await request.query(`
+        SELECT l.projectId, l.status, l.wipLimit, COUNT(t.id) AS taskCount
+        FROM ProjectWipLimits l
+        JOIN Tasks t ON t.projectId = l.projectId AND t.status = l.status AND ${notDeletedSql('t.', binReady)}
+        WHERE l.projectId IN (${text})
+        GROUP BY l.projectId, l.status, l.wipLimit
+        HAVING COUNT(t.id) > l.wipLimit
+    `);
+
+    result.recordset.forEach((row) => {
+        const key = String(row.projectId);
+        if (!breachesByProject.has(key)) breachesByProject.set(key, []);
+        breachesByProject.get(key).push({
+            status: row.status,
+            taskCount: Number(row.taskCount),
+            wipLimit: Number(row.wipLimit)
+        });
+    });
+    return breachesByProject;
+};
+
+const loadColumnTasks = async (db, projectId, statuses) => {
+    const { text, params } = buildInClause('wipStatus', statuses);
+    const binReady = await hasRecycleBinSchema(db);
+    const request = db.request().input('projectId', sql.Int, Number(projectId));
+    addParams(request, params);
+    const result = await request.query(`
+        SELECT id, status FROM Tasks WHERE projectId = @projectId AND status IN (${text}) AND ${notDeletedSql('', binReady)}
+    `);
+    return result.recordset.map((row) => ({ id: String(row.id), status: row.status }));
+};
+
+/**
+ * First enforced WIP limit that a set of status moves would break, or null when limits are
+ * not enforced for the project. `moves` lists { taskId, status } pairs with the target status.
+ * @returns {Promise<{ status: string, taskCount: number, wipLimit: number } | null>}
+ */
+export const findWipMoveViolation = async (db, projectId, moves, { states } = {}) => {
+    if (!Array.isArray(moves) || moves.length === 0) return null;
+    const settings = await loadProjectWipLimits(db, projectId, { states });
+    if (!settings.enforce) return null;
+
+    const targets = [...new Set(moves.map((move) => move.status))].filter((status) => settings.limits[status]);
+    if (targets.length === 0) return null;
+
+    const tasks = await loadColumnTasks(db, projectId, targets);
+    for (const targetStatus of targets) {
+        const movingTaskIds = moves.filter((move) => move.status === targetStatus).map((move) => move.taskId);
+        const violation = getWipLimitViolation({ tasks, limits: settings.limits, targetStatus, movingTaskIds });
+        if (violation) return violation;
+    }
+    return null;
+};
@@ -0,0 +1,39 @@
+export const ATTACHMENT_ENTITY_TYPES = Object.freeze({
+    PROJECT: 'project',
+    TASK: 'task',
+    SUBMISSION: 'submission'
+});
+
+const ATTACHMENT_ENTITY_TYPE_VALUES = new Set(Object.values(ATTACHMENT_ENTITY_TYPES));
+
+// Uploads travel as base64 inside the JSON body, so keep this well under the API's 50mb body limit.
+export const MAX_ATTACHMENT_BYTES = 15 * 1024 * 1024;
+
+export const MAX_ATTACHMENT_FILE_NAME_LENGTH = 255;
+
+export const normalizeAttachmentEntityType = (value) => {
+    const normalized = String(value || '').trim().toLowerCase();
+    return ATTACHMENT_ENTITY_TYPE_VALUES.has(normalized) ? normalized : null;
+};
+
+/**
+ * Reduce a client-supplied file name to a safe display name (no path segments or control characters).
+ * @param {string} value
+ * @returns {string} empty string when nothing usable remains
+ */
+export const sanitizeAttachmentFileName = (value) => {
+    const baseName = String(value || '').split(/[\\/]/).pop() || '';
+    const cleaned = Array.from(baseName)
+        .filter((char) => char.charCodeAt(0) >= 32 && char.charCodeAt(0) !== 127 && !'"<>|:*?'.includes(char))
+        .join('')
+        .trim();
+    if (!cleaned || cleaned === '.' || cleaned === '..') return '';
+    return cleaned.slice(0, MAX_ATTACHMENT_FILE_NAME_LENGTH);
+};
+
+export const formatAttachmentSize = (sizeBytes) => {
+    const bytes = Number(sizeBytes) || 0;
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
@@ -0,0 +1,244 @@
+// Custom fields: organization-defined attributes on projects and tasks.
+// Definitions are validated here so the admin editor, the value forms and the API agree.
+
+export const CUSTOM_FIELD_ENTITY_TYPES = Object.freeze(['project', 'task']);
+
+export const CUSTOM_FIELD_TYPES = Object.freeze([
+    { key: 'text', label: 'Text' },
+    { key: 'number', label: 'Number' },
+    { key: 'date', label: 'Date' },
+    { key: 'select', label: 'Single select' },
+    { key: 'multi-select', label: 'Multi select' },
+    { key: 'user', label: 'User' }
+]);
+
+// Types with a closed set of values; these are the ones offered as filters.
+export const FILTERABLE_CUSTOM_FIELD_TYPES = Object.freeze(['select', 'multi-select', 'user']);
+
+export const MAX_CUSTOM_FIELD_LABEL_LENGTH = 100;
+export const MAX_CUSTOM_FIELD_OPTIONS = 50;
+export const MAX_CUSTOM_FIELD_OPTION_LENGTH = 100;
+export const MAX_CUSTOM_FIELD_TEXT_LENGTH = 1000;
+
+const FIELD_TYPE_KEYS = new Set(CUSTOM_FIELD_TYPES.map((type) => type.key));
+const OPTION_TYPES = new Set(['select', 'multi-select']);
+
+export const getCustomFieldTypeLabel = (fieldType) => (
+    CUSTOM_FIELD_TYPES.find((type) => type.key === fieldType)?.label || fieldType
+);
+
+export const isCustomFieldValueEmpty = (value) => (
+    value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0)
+);
+
+/**
+ * Validate an admin-submitted definition. `existing` is the stored definition on update;
+ * its field type cannot change because stored values would no longer parse.
+ * @returns {{ definition: object } | { error: string }}
+ */
+export const normalizeCustomFieldDefinition = (raw, existing = null) => {
+    const entityType = existing?.entityType || String(raw?.entityType || '').trim();
+    if (!CUSTOM_FIELD_ENTITY_TYPES.includes(entityType)) {
+        return { error: `entityType must be one of: ${CUSTOM_FIELD_ENTITY_TYPES.join(', ')}.` };
+    }
+
+    const label = String(raw?.label ?? existing?.label ?? '').trim();
+    if (!label) return { error: 'Field label is required.' };
+    if (label.length > MAX_CUSTOM_FIELD_LABEL_LENGTH) {
+        return { error: `Field label must be ${MAX_CUSTOM_FIELD_LABEL_LENGTH} characters or fewer.` };
+    }
+
+    const fieldType = String(raw?.fieldType ?? existing?.fieldType ?? '').trim();
+    if (!FIELD_TYPE_KEYS.has(fieldType)) {
+        return { error: `fieldType must be one of: ${[...FIELD_TYPE_KEYS].join(', ')}.` };
+    }
+    if (existing && existing.fieldType !== fieldType) {
+        return { error: 'The type of an existing field cannot be changed.' };
+    }
+
+    let options = [];
+    if (OPTION_TYPES.has(fieldType)) {
+        const rawOptions = raw?.options ?? existing?.options;
+        if (!Array.isArray(rawOptions)) return { error: 'Select fields need a list of options.' };
+        const seen = new Set();
+        for (const item of rawOptions) {
+            const option = String(item ?? '').trim();
+            if (!option) continue;
+            if (option.length > MAX_CUSTOM_FIELD_OPTION_LENGTH) {
+                return { error: `Options must be ${MAX_CUSTOM_FIELD_OPTION_LENGTH} characters or fewer.` };
+            }
+            const key = option.toLowerCase();
+            if (seen.has(key)) return { error: `Option "${option}" is listed twice.` };
+            seen.add(key);
+            options.push(option);
+        }
+        if (options.length === 0) return { error: 'Select fields need at least one option.' };
+        if (options.length > MAX_CUSTOM_FIELD_OPTIONS) {
+            return { error: `Select fields can have at most ${MAX_CUSTOM_FIELD_OPTIONS} options.` };
+        }
+    }
+
+    const sortOrder = Number.parseInt(raw?.sortOrder ?? existing?.sortOrder ?? 0, 10);
+    return {
+        definition: {
+            entityType,
+            label,
+            fieldType,
+            options,
+            isRequired: !!(raw?.isRequired ?? existing?.isRequired),
+            isActive: raw?.isActive === undefined ? existing?.isActive !== false : !!raw.isActive,
+            sortOrder: Number.isNaN(sortOrder) ? 0 : sortOrder
+        }
+    };
+};
+
+/**
+ * Validate one value against its definition. Empty input yields `null` (cleared).
+ * Numbers are returned as numbers, dates as YYYY-MM-DD, multi-select as an array in option order,
+ * and user fields as the user's oid (the API checks the oid separately).
+ * @returns {{ value: any } | { error: string }}
+ */
+export const normalizeCustomFieldValue = (definition, raw) => {
+    const label = definition.label;
+    if (isCustomFieldValueEmpty(raw) || (typeof raw === 'string' && !raw.trim())) return { value: null };
+
+    switch (definition.fieldType) {
+        case 'text': {
+            const text = String(raw).trim();
+            if (text.length > MAX_CUSTOM_FIELD_TEXT_LENGTH) {
+                return { error: `${label} must be ${MAX_CUSTOM_FIELD_TEXT_LENGTH} characters or fewer.` };
+            }
+            return { value: text };
+        }
+        case 'number': {
+            const parsed = typeof raw === 'number' ? raw : Number(String(raw).trim());
+            if (!Number.isFinite(parsed)) return { error: `${label} must be a number.` };
+            return { value: parsed };
+        }
+        case 'date': {
+            const text = String(raw).trim();
+            const parsed = new Date(`${text}T00:00:00Z`);
+            if (!/^\d{4}-\d{2}-\d{2}$/.test(text) || Number.isNaN(parsed.getTime())
+                || parsed.toISOString().slice(0, 10) !== text) {
+                return { error: `${label} must be a date (YYYY-MM-DD).` };
+            }
+            return { value: text };
+        }
+        case 'select': {
+            const text = String(raw).trim();
+            if (!definition.options.includes(text)) return { error: `"${text}" is not an option for ${label}.` };
+            return { value: text };
+        }
+        case 'multi-select': {
+            const picked = new Set((Array.isArray(raw) ? raw : [raw]).map((item) => String(item).trim()));
+            const unknown = [...picked].find((item) => !definition.options.includes(item));
+            if (unknown !== undefined) return { error: `"${unknown}" is not an option for ${label}.` };
+            const value = definition.options.filter((option) => picked.has(option));
+            return { value: value.length > 0 ? value : null };
+        }
+        case 'user':
+            return { value: String(raw).trim() };
+        default:
+            return { error: `${label} has an unsupported type.` };
+    }
+};
+
+/**
+ * Validate a full `{ [definitionId]: value }` map for one project or task. Unknown or inactive
+ * definitions are rejected; active required fields must have a value.
+ * @returns {{ values: Object<string, any> } | { error: string }}
+ */
+export const normalizeCustomFieldValues = (definitions, rawValues) => {
+    if (rawValues !== undefined && rawValues !== null
+        && (typeof rawValues !== 'object' || Array.isArray(rawValues))) {
+        return { error: 'customFields must be an object keyed by field id.' };
+    }
+    const input = rawValues || {};
+    const activeById = new Map(
+        definitions.filter((definition) => definition.isActive).map((definition) => [String(definition.id), definition])
+    );
+
+    const unknownId = Object.keys(input).find((id) => !activeById.has(String(id)));
+    if (unknownId !== undefined) return { error: `Custom field ${unknownId} is not available here.` };
+
+    const values = {};
+    for (const [id, definition] of activeById) {
+        const normalized = normalizeCustomFieldValue(definition, input[id]);
+        if (normalized.error) return normalized;
+        if (normalized.value === null) {
+            if (definition.isRequired) return { error: `${definition.label} is required.` };
+            continue;
+        }
+        values[id] = normalized.value;
+    }
+    return { values };
+};
+
+// Values travel as JSON but are stored as text: scalars as-is, multi-select as a JSON array.
+export const serializeCustomFieldValue = (definition, value) => (
+    definition.fieldType === 'multi-select' ? JSON.stringify(value) : String(value)
+);
+
+export const parseStoredCustomFieldValue = (fieldType, stored) => {
+    if (stored === null || stored === undefined) return null;
+    if (fieldType === 'number') {
+        const parsed = Number(stored);
+        return Number.isFinite(parsed) ? parsed : null;
+    }
+    if (fieldType === 'multi-select') {
+        try {
+            const parsed = JSON.parse(stored);
+            return Array.isArray(parsed) ? parsed.map(String) : null;
+        } catch {
+            return null;
+        }
+    }
+    return String(stored);
+};
+
+/**
+ * Display text for a value. `userNames` maps oid to name for user fields.
+ */
+export const formatCustomFieldValue = (definition, value, userNames = null) => {
+    if (isCustomFieldValueEmpty(value)) return '';
+    if (definition.fieldType === 'multi-select') return [].concat(value).join(', ');
+    if (definition.fieldType === 'user') return userNames?.get?.(String(value)) || String(value);
+    return String(value);
+};
+
+/**
+ * Filters are `{ [definitionId]: [values] }`: a project matches when, for every listed field,
+ * its value (or one of its multi-select values) is in the list. Accepts the JSON string form
+ * used in query parameters.
+ */
+export const normalizeCustomFieldFilters = (raw) => {
+    let input = raw;
+    if (typeof input === 'string') {
+        if (!input.trim()) return {};
+        try {
+            input = JSON.parse(input);
+        } catch {
+            return {};
+        }
+    }
+    if (!input || typeof input !== 'object' || Array.isArray(input)) return {};
+
+    const filters = {};
+    Object.entries(input).forEach(([id, values]) => {
+        if (!/^\d+$/.test(String(id))) return;
+        const list = [...new Set((Array.isArray(values) ? values : [values])
+            .map((value) => String(value ?? '').trim())
+            .filter(Boolean))];
+        if (list.length > 0) filters[String(id)] = list;
+    });
+    return filters;
+};
+
+// Case-insensitive, like the database collation the API filters with.
+export const matchesCustomFieldFilters = (customFields, filters) => Object.entries(filters || {})
+    .every(([id, allowed]) => {
+        const value = customFields?.[id];
+        if (isCustomFieldValueEmpty(value)) return false;
+        const allowedSet = new Set(allowed.map((item) => String(item).toLowerCase()));
+        return [].concat(value).some((item) => allowedSet.has(String(item).toLowerCase()));
+    });
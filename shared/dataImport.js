@@ -0,0 +1,220 @@
+// Spreadsheet import: column mapping, CSV parsing and the cell-level checks shared by the
+// import wizard and the API. Lookups against the database (goals, projects, users) run on the server.
+import { validateProjectHold } from './dataLifecyclePolicy.js';
+
+export const IMPORT_ENTITY_TYPES = Object.freeze(['goal', 'project', 'task']);
+
+export const IMPORT_ENTITY_LABELS = Object.freeze({
+    goal: 'Goals',
+    project: 'Projects',
+    task: 'Tasks'
+});
+
+export const MAX_IMPORT_ROWS = 1000;
+export const MAX_IMPORT_FILE_BYTES = 5 * 1024 * 1024;
+export const MAX_IMPORT_TITLE_LENGTH = 255;
+
+export const PROJECT_IMPORT_STATUSES = Object.freeze(['active', 'on-hold', 'completed']);
+export const TASK_IMPORT_PRIORITIES = Object.freeze(['low', 'medium', 'high']);
+
+// `aliases` are matched against normalized header text when suggesting a mapping.
+export const IMPORT_FIELDS = Object.freeze({
+    goal: [
+        { key: 'title', label: 'Title', required: true, aliases: ['goal', 'goal title', 'name'] },
+        { key: 'type', label: 'Level', required: true, aliases: ['type', 'goal type', 'goal level'] },
+        { key: 'description', label: 'Description', aliases: ['details'] },
+        { key: 'parent', label: 'Parent goal', aliases: ['parent', 'parent title', 'parent id'] },
+        { key: 'organization', label: 'Organization', aliases: ['org', 'organisation'] }
+    ],
+    project: [
+        { key: 'title', label: 'Title', required: true, aliases: ['project', 'project title', 'name'] },
+        { key: 'description', label: 'Description', aliases: ['details'] },
+        { key: 'status', label: 'Status', aliases: ['project status'] },
+        { key: 'onHoldReason', label: 'Hold reason', aliases: ['on hold reason', 'reason on hold'] },
+        { key: 'expectedResumeDate', label: 'Expected resume date', aliases: ['resume date', 'resume on'] },
+        { key: 'goals', label: 'Goals', aliases: ['goal', 'linked goals'] },
+        { key: 'organization', label: 'Organization', aliases: ['org', 'organisation'] }
+    ],
+    task: [
+        { key: 'project', label: 'Project', required: true, aliases: ['project title', 'project id'] },
+        { key: 'title', label: 'Title', required: true, aliases: ['task', 'task title', 'name'] },
+        { key: 'status', label: 'Status', aliases: ['task status'] },
+        { key: 'priority', label: 'Priority', aliases: [] },
+        { key: 'description', label: 'Description', aliases: ['details'] },
+        { key: 'startDate', label: 'Start date', aliases: ['start'] },
+        { key: 'endDate', label: 'End date', aliases: ['end', 'due', 'due date'] },
+        { key: 'assignee', label: 'Assignee', aliases: ['owner', 'assigned to', 'assignee email'] },
+        { key: 'estimatedHours', label: 'Estimated hours', aliases: ['estimate', 'hours'] }
+    ]
+});
+
+const normalizeHeader = (value) => String(value ?? '').trim().toLowerCase().replace(/[\s_-]+/g, ' ');
+
+/**
+ * Guess which column feeds each field from the header row.
+ * @returns {Object<string, number>} field key -> column index
+ */
+export const suggestImportMapping = (entityType, headers) => {
+    const fields = IMPORT_FIELDS[entityType] || [];
+    const normalizedHeaders = (headers || []).map(normalizeHeader);
+    const mapping = {};
+    const used = new Set();
+    fields.forEach((field) => {
+        const candidates = [field.key, field.label, ...field.aliases].map(normalizeHeader);
+        const index = normalizedHeaders.findIndex((header, columnIndex) => !used.has(columnIndex) && candidates.includes(header));
+        if (index >= 0) {
+            mapping[field.key] = index;
+            used.add(index);
+        }
+    });
+    return mapping;
+};
+
+/**
+ * Turn data rows into `{ rowNumber, values }` records using a field -> column mapping.
+ * Row numbers are spreadsheet rows (the header is row 1); blank rows are skipped.
+ */
+export const applyImportMapping = (entityType, rows, mapping) => {
+    const fields = IMPORT_FIELDS[entityType] || [];
+    const records = [];
+    (rows || []).forEach((row, index) => {
+        const cells = Array.isArray(row) ? row : [];
+        if (cells.every((cell) => !String(cell ?? '').trim())) return;
+        const values = {};
+        fields.forEach((field) => {
+            const column = mapping?.[field.key];
+            if (column === undefined || column === null || column === '') return;
+            values[field.key] = String(cells[Number(column)] ?? '').trim();
+        });
+        records.push({ rowNumber: index + 2, values });
+    });
+    return records;
+};
+
+/**
+ * Minimal RFC 4180 reader: quoted fields, doubled quotes, CRLF or LF line ends.
+ * Semicolon- and tab-delimited exports are detected from the header line.
+ * @returns {string[][]}
+ */
+export const parseCsv = (text) => {
+    const source = String(text ?? '').replace(/^\uFEFF/, '');
+    const headerLine = source.split(/\r?\n/, 1)[0] || '';
+    const counts = [',', ';', '\t'].map((delimiter) => [delimiter, headerLine.split(delimiter).length]);
+    const delimiter = counts.sort((a, b) => b[1] - a[1])[0][0];
+
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    for (let index = 0; index < source.length; index += 1) {
+        const char = source[index];
+        if (inQuotes) {
+            if (char === '"' && source[index + 1] === '"') {
+                field += '"';
+                index += 1;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[index + 1] === '\n') index += 1;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows;
+};
+
+const EXCEL_EPOCH_MS = Date.UTC(1899, 11, 30);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Strict date cell: YYYY-MM-DD (a time part is ignored) or an Excel serial day number,
+ * which is how XLSX stores dates.
+ * @returns {{ value: string|null } | { error: string }}
+ */
+export const normalizeImportDate = (raw, label = 'Date') => {
+    const text = String(raw ?? '').trim();
+    if (!text) return { value: null };
+    if (/^\d{1,6}(\.\d+)?$/.test(text)) {
+        const serial = Math.floor(Number(text));
+        if (serial >= 1 && serial < 2958466) {
+            return { value: new Date(EXCEL_EPOCH_MS + serial * DAY_MS).toISOString().slice(0, 10) };
+        }
+    }
+    const match = text.match(/^(\d{4}-\d{2}-\d{2})(?:[T ][\d:.]+Z?)?$/);
+    if (match) {
+        const parsed = new Date(`${match[1]}T00:00:00Z`);
+        if (!Number.isNaN(parsed.getTime()) && parsed.toISOString().slice(0, 10) === match[1]) {
+            return { value: match[1] };
+        }
+    }
+    return { error: `${label} "${text}" is not a valid date (use YYYY-MM-DD).` };
+};
+
+// Multi-value cells (e.g. several goals) are separated by semicolons or line breaks.
+export const splitImportList = (raw) => [...new Set(
+    String(raw ?? '').split(/[;\n]/).map((item) => item.trim()).filter(Boolean)
+)];
+
+/**
+ * Hold details for a project row imported with status on-hold. The resume date accepts the
+ * same cell formats as other import dates.
+ * @returns {{ value?: { reason: string, expectedResumeDate: string }, error?: string }}
+ */
+export const normalizeImportProjectHold = (values) => {
+    const resume = normalizeImportDate(values?.expectedResumeDate, 'Expected resume date');
+    if (resume.error) return { error: resume.error };
+    return validateProjectHold({ reason: values?.onHoldReason, expectedResumeDate: resume.value });
+};
+
+/**
+ * Checks that need no database: required fields, lengths, enumerations and dates.
+ * @returns {string[]} errors for the row
+ */
+export const validateImportRecordShape = (entityType, values) => {
+    const errors = [];
+    (IMPORT_FIELDS[entityType] || []).forEach((field) => {
+        if (field.required && !values?.[field.key]) errors.push(`${field.label} is required.`);
+    });
+    if ((values?.title || '').length > MAX_IMPORT_TITLE_LENGTH) {
+        errors.push(`Title must be ${MAX_IMPORT_TITLE_LENGTH} characters or fewer.`);
+    }
+
+    if (entityType === 'project' && values?.status
+        && !PROJECT_IMPORT_STATUSES.includes(values.status.toLowerCase())) {
+        errors.push(`Status "${values.status}" must be one of: ${PROJECT_IMPORT_STATUSES.join(', ')}.`);
+    }
+    if (entityType === 'project' && values?.status?.toLowerCase() === 'on-hold') {
+        const hold = normalizeImportProjectHold(values);
+        if (hold.error) errors.push(hold.error);
+    }
+
+    if (entityType === 'task') {
+        if (values?.priority && !TASK_IMPORT_PRIORITIES.includes(values.priority.toLowerCase())) {
+            errors.push(`Priority "${values.priority}" must be one of: ${TASK_IMPORT_PRIORITIES.join(', ')}.`);
+        }
+        const start = normalizeImportDate(values?.startDate, 'Start date');
+        const end = normalizeImportDate(values?.endDate, 'End date');
+        if (start.error) errors.push(start.error);
+        if (end.error) errors.push(end.error);
+        if (start.value && end.value && end.value < start.value) {
+            errors.push('End date cannot be earlier than start date.');
+        }
+    }
+    return errors;
+};
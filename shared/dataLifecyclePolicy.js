@@ -7,6 +7,7 @@ export const DATA_CLASSIFICATIONS = Object.freeze({
 
 export const PROJECT_LIFECYCLE_STATES = Object.freeze({
     ACTIVE: 'active',
+    ON_HOLD: 'on-hold',
     COMPLETED: 'completed',
     ARCHIVED: 'archived'
 });
@@ -46,7 +47,8 @@ export const RETENTION_WINDOWS = Object.freeze({
     executiveRunSuccessMonths: 18,
     executiveRunFailureMonths: 24,
     auditHotRetentionMonths: 36,
-    sharingHistoryMonths: 24
+    sharingHistoryMonths: 24,
+    recycleBinDays: 30
 });
 
 export const DATA_LIFECYCLE_POLICY = Object.freeze({
@@ -97,6 +99,7 @@ export const normalizeIntakeFormLifecycleState = (value) => {
 };
 
 export const isArchivedProjectLifecycleState = (value) => normalizeProjectLifecycleState(value) === PROJECT_LIFECYCLE_STATES.ARCHIVED;
+export const isOnHoldProjectLifecycleState = (value) => normalizeProjectLifecycleState(value) === PROJECT_LIFECYCLE_STATES.ON_HOLD;
 export const isArchivedGoalLifecycleState = (value) => {
     const normalized = normalizeGoalLifecycleState(value);
     return normalized === GOAL_LIFECYCLE_STATES.RETIRED || normalized === GOAL_LIFECYCLE_STATES.ARCHIVED;
@@ -110,7 +113,7 @@ export const getProjectLifecycleViewStates = (view = LIFECYCLE_VIEW_MODES.ACTIVE
     const normalized = normalizeLifecycleView(view);
     if (normalized === LIFECYCLE_VIEW_MODES.ARCHIVED) return [PROJECT_LIFECYCLE_STATES.ARCHIVED];
     if (normalized === LIFECYCLE_VIEW_MODES.ALL) return [...PROJECT_LIFECYCLE_VALUES];
-    return [PROJECT_LIFECYCLE_STATES.ACTIVE, PROJECT_LIFECYCLE_STATES.COMPLETED];
+    return [PROJECT_LIFECYCLE_STATES.ACTIVE, PROJECT_LIFECYCLE_STATES.ON_HOLD, PROJECT_LIFECYCLE_STATES.COMPLETED];
 };
 
 export const getGoalLifecycleViewStates = (view = LIFECYCLE_VIEW_MODES.ACTIVE) => {
@@ -126,3 +129,55 @@ export const getIntakeFormLifecycleViewStates = (view = LIFECYCLE_VIEW_MODES.ACT
     if (normalized === LIFECYCLE_VIEW_MODES.ALL) return [...INTAKE_FORM_LIFECYCLE_VALUES];
     return [INTAKE_FORM_LIFECYCLE_STATES.ACTIVE];
 };
+
+export const MAX_PROJECT_HOLD_REASON_LENGTH = 500;
+
+const toDateOnly = (value) => {
+    if (!value) return null;
+    if (value instanceof Date) {
+        return Number.isNaN(value.getTime()) ? null : value.toISOString().slice(0, 10);
+    }
+    const match = String(value).trim().match(/^(\d{4}-\d{2}-\d{2})/);
+    if (!match) return null;
+    const parsed = new Date(`${match[1]}T00:00:00Z`);
+    return !Number.isNaN(parsed.getTime()) && parsed.toISOString().slice(0, 10) === match[1] ? match[1] : null;
+};
+
+const todayDateOnly = (now = new Date()) => {
+    const local = new Date(now.getTime() - now.getTimezoneOffset() * 60000);
+    return local.toISOString().slice(0, 10);
+};
+
+/**
+ * Check the details needed to put a project on hold: a reason and an expected resume date.
+ * The date may not be in the past, except when it is unchanged from `previousResumeDate`, so a
+ * project whose resume date has passed can still be edited without picking a new date.
+ * @returns {{ value?: { reason: string, expectedResumeDate: string }, error?: string }}
+ */
+export const validateProjectHold = ({ reason, expectedResumeDate } = {}, { previousResumeDate = null, now = new Date() } = {}) => {
+    const normalizedReason = String(reason ?? '').trim();
+    if (!normalizedReason) {
+        return { error: 'A reason is required to put a project on hold.' };
+    }
+    if (normalizedReason.length > MAX_PROJECT_HOLD_REASON_LENGTH) {
+        return { error: `Hold reason must be ${MAX_PROJECT_HOLD_REASON_LENGTH} characters or fewer.` };
+    }
+    if (!expectedResumeDate) {
+        return { error: 'An expected resume date is required to put a project on hold.' };
+    }
+    const resumeDate = toDateOnly(expectedResumeDate);
+    if (!resumeDate) {
+        return { error: 'Expected resume date must be a valid date (YYYY-MM-DD).' };
+    }
+    if (resumeDate < todayDateOnly(now) && resumeDate !== toDateOnly(previousResumeDate)) {
+        return { error: 'Expected resume date cannot be in the past.' };
+    }
+    return { value: { reason: normalizedReason, expectedResumeDate: resumeDate } };
+};
+
+// True once an on-hold project's expected resume date is behind us.
+export const isProjectResumeOverdue = (project, now = new Date()) => {
+    if (!isOnHoldProjectLifecycleState(project?.lifecycleState)) return false;
+    const resumeDate = toDateOnly(project?.expectedResumeDate);
+    return !!resumeDate && resumeDate < todayDateOnly(now);
+};
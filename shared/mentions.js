@@ -0,0 +1,69 @@
+// Mentions are stored inline in comment bodies as `@[Display Name](oid)` tokens.
+const MENTION_TOKEN_PATTERN = /@\[([^\]\n]{1,200})\]\(([^()\s]{1,100})\)/g;
+
+export const MAX_COMMENT_LENGTH = 4000;
+
+const escapeRegExp = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const sanitizeMentionName = (name) => String(name || '').replace(/[[\]\n]/g, ' ').trim() || 'user';
+
+export const formatMentionToken = ({ oid, name }) => `@[${sanitizeMentionName(name)}](${oid})`;
+
+export const extractMentionOids = (body) => {
+    const oids = new Set();
+    for (const match of String(body || '').matchAll(MENTION_TOKEN_PATTERN)) {
+        oids.add(match[2]);
+    }
+    return Array.from(oids);
+};
+
+/**
+ * Split a comment body into plain text and mention segments for rendering.
+ * @param {string} body
+ * @returns {Array<{type: 'text', text: string} | {type: 'mention', name: string, oid: string}>}
+ */
+export const splitMentionSegments = (body) => {
+    const text = String(body || '');
+    const segments = [];
+    let cursor = 0;
+    for (const match of text.matchAll(MENTION_TOKEN_PATTERN)) {
+        if (match.index > cursor) {
+            segments.push({ type: 'text', text: text.slice(cursor, match.index) });
+        }
+        segments.push({ type: 'mention', name: match[1], oid: match[2] });
+        cursor = match.index + match[0].length;
+    }
+    if (cursor < text.length) {
+        segments.push({ type: 'text', text: text.slice(cursor) });
+    }
+    return segments;
+};
+
+/**
+ * Replace mention tokens with their plain `@Name` form (for editing and excerpts).
+ */
+export const stripMentionTokens = (body) => String(body || '').replace(MENTION_TOKEN_PATTERN, (_match, name) => `@${name}`);
+
+/**
+ * Turn `@Name` occurrences for the selected users back into mention tokens.
+ * Users whose `@Name` no longer appears in the text are dropped.
+ * @param {string} text - plain composer text
+ * @param {Array<{oid: string, name: string}>} mentionedUsers
+ * @returns {string}
+ */
+export const encodeMentions = (text, mentionedUsers = []) => {
+    let encoded = String(text || '');
+    const usersByOid = new Map();
+    (Array.isArray(mentionedUsers) ? mentionedUsers : []).forEach((user) => {
+        if (user?.oid && !usersByOid.has(user.oid)) usersByOid.set(user.oid, user);
+    });
+    [...usersByOid.values()]
+        // Longest names first so "@Ann Lee" is not consumed by "@Ann".
+        .sort((a, b) => sanitizeMentionName(b.name).length - sanitizeMentionName(a.name).length)
+        .forEach((user) => {
+            const name = sanitizeMentionName(user.name);
+            const pattern = new RegExp(`(^|[^\\w\\[])@${escapeRegExp(name)}(?![\\w\\]])`, 'g');
+            encoded = encoded.replace(pattern, (_match, prefix) => `${prefix}${formatMentionToken({ oid: user.oid, name })}`);
+        });
+    return encoded;
+};
@@ -0,0 +1,109 @@
+export const PROJECT_MILESTONE_STATUSES = Object.freeze({
+    PENDING: 'pending',
+    IN_PROGRESS: 'in-progress',
+    COMPLETE: 'complete',
+    MISSED: 'missed'
+});
+
+export const PROJECT_MILESTONE_STATUS_LABELS = Object.freeze({
+    [PROJECT_MILESTONE_STATUSES.PENDING]: 'Pending',
+    [PROJECT_MILESTONE_STATUSES.IN_PROGRESS]: 'In Progress',
+    [PROJECT_MILESTONE_STATUSES.COMPLETE]: 'Complete',
+    [PROJECT_MILESTONE_STATUSES.MISSED]: 'Missed'
+});
+
+export const MAX_MILESTONE_NAME_LENGTH = 255;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MILESTONE_STATUS_VALUES = new Set(Object.values(PROJECT_MILESTONE_STATUSES));
+
+export const normalizeMilestoneStatus = (value) => {
+    if (value === undefined || value === null || value === '') {
+        return PROJECT_MILESTONE_STATUSES.PENDING;
+    }
+    const normalized = String(value).trim().toLowerCase();
+    return MILESTONE_STATUS_VALUES.has(normalized) ? normalized : null;
+};
+
+const toDateOnly = (value) => {
+    if (!value) return null;
+    const parsed = value instanceof Date ? value : new Date(value);
+    if (Number.isNaN(parsed.getTime())) return null;
+    return parsed.toISOString().slice(0, 10);
+};
+
+const toDayNumber = (value) => {
+    const dateOnly = toDateOnly(value);
+    return dateOnly ? Math.floor(Date.parse(`${dateOnly}T00:00:00Z`) / DAY_MS) : null;
+};
+
+/**
+ * The date a milestone is currently expected (or was met): actual, then forecast, then planned.
+ * @returns {string|null} YYYY-MM-DD
+ */
+export const getMilestoneDisplayDate = (milestone) => toDateOnly(
+    milestone?.actualDate || milestone?.forecastDate || milestone?.plannedDate
+);
+
+/**
+ * Days between the planned date and the actual/forecast date. Positive means late.
+ * @returns {number} 0 when there is nothing to compare
+ */
+export const getMilestoneSlipDays = (milestone) => {
+    const planned = toDayNumber(milestone?.plannedDate);
+    const current = toDayNumber(milestone?.actualDate || milestone?.forecastDate);
+    if (planned === null || current === null) return 0;
+    return current - planned;
+};
+
+export const isMilestoneOverdue = (milestone, today = new Date()) => {
+    if (milestone?.status === PROJECT_MILESTONE_STATUSES.COMPLETE) return false;
+    const due = toDayNumber(milestone?.forecastDate || milestone?.plannedDate);
+    const todayNumber = toDayNumber(today);
+    return due !== null && todayNumber !== null && due < todayNumber;
+};
+
+export const sortMilestones = (milestones) => [...(Array.isArray(milestones) ? milestones : [])].sort((a, b) => {
+    const aDate = getMilestoneDisplayDate(a) || '9999-12-31';
+    const bDate = getMilestoneDisplayDate(b) || '9999-12-31';
+    if (aDate !== bDate) return aDate < bDate ? -1 : 1;
+    return (Number(a?.sortOrder) || 0) - (Number(b?.sortOrder) || 0);
+});
+
+/**
+ * Shape a project milestone the way status reports have always stored them
+ * ({ name, date, status }) so existing report views keep rendering snapshots.
+ */
+export const toReportMilestone = (milestone) => ({
+    id: milestone.id,
+    name: milestone.name,
+    date: getMilestoneDisplayDate(milestone) || '',
+    status: milestone.status || PROJECT_MILESTONE_STATUSES.PENDING,
+    plannedDate: toDateOnly(milestone.plannedDate),
+    forecastDate: toDateOnly(milestone.forecastDate),
+    actualDate: toDateOnly(milestone.actualDate)
+});
+
+/**
+ * Portfolio-level rollup used by the executive summary.
+ * @returns {{ total: number, completed: number, overdue: number, next: object|null }}
+ */
+export const summarizeMilestones = (milestones, today = new Date()) => {
+    const list = sortMilestones(milestones);
+    const open = list.filter((milestone) => milestone.status !== PROJECT_MILESTONE_STATUSES.COMPLETE);
+    const next = open[0] || null;
+    return {
+        total: list.length,
+        completed: list.length - open.length,
+        overdue: open.filter((milestone) => isMilestoneOverdue(milestone, today)).length,
+        next: next
+            ? {
+                id: next.id,
+                name: next.name,
+                date: getMilestoneDisplayDate(next),
+                status: next.status,
+                slipDays: getMilestoneSlipDays(next)
+            }
+            : null
+    };
+};
@@ -0,0 +1,98 @@
+// Project cloning: which parts of a source project are copied and how far its dates move.
+
+export const MAX_PROJECT_TITLE_LENGTH = 255;
+
+export const PROJECT_CLONE_COMPONENTS = Object.freeze([
+    { key: 'tasks', label: 'Tasks' },
+    { key: 'checklists', label: 'Task checklists', requires: 'tasks' },
+    { key: 'tags', label: 'Tags' },
+    { key: 'goals', label: 'Goal links' },
+    { key: 'benefits', label: 'Benefits' },
+    { key: 'statusReport', label: 'Latest status report as a draft' }
+]);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toDateOnly = (value) => {
+    if (!value) return null;
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) return value;
+    const parsed = new Date(value);
+    if (Number.isNaN(parsed.getTime())) return null;
+    return parsed.toISOString().slice(0, 10);
+};
+
+export const shiftDateOnly = (value, days) => {
+    const dateOnly = toDateOnly(value);
+    if (!dateOnly) return null;
+    return new Date(Date.parse(`${dateOnly}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+};
+
+/**
+ * Whole days to move cloned dates so the source's earliest task date lands on `startDate`.
+ * Zero when no start date is requested or the source has no dated tasks.
+ */
+export const computeCloneShiftDays = (tasks, startDate) => {
+    const target = toDateOnly(startDate);
+    if (!target) return 0;
+    const anchor = (Array.isArray(tasks) ? tasks : [])
+        .map((task) => toDateOnly(task?.startDate) || toDateOnly(task?.endDate))
+        .filter(Boolean)
+        .sort()[0];
+    if (!anchor) return 0;
+    return Math.round((Date.parse(`${target}T00:00:00Z`) - Date.parse(`${anchor}T00:00:00Z`)) / DAY_MS);
+};
+
+/**
+ * Validate a clone request. Components default to copied; checklists need tasks.
+ * @returns {{ title: string, startDate: string|null, components: Record<string, boolean> } | { error: string }}
+ */
+export const normalizeCloneRequest = (body = {}) => {
+    const source = body && typeof body === 'object' ? body : {};
+    const title = String(source.title ?? '').trim();
+    if (title.length > MAX_PROJECT_TITLE_LENGTH) {
+        return { error: `title must be ${MAX_PROJECT_TITLE_LENGTH} characters or fewer` };
+    }
+
+    let startDate = null;
+    if (source.startDate !== undefined && source.startDate !== null && source.startDate !== '') {
+        const text = String(source.startDate).trim();
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(text) || Number.isNaN(Date.parse(`${text}T00:00:00Z`))) {
+            return { error: 'Invalid startDate. Use YYYY-MM-DD.' };
+        }
+        startDate = text;
+    }
+
+    const requested = source.components && typeof source.components === 'object' ? source.components : {};
+    const components = {};
+    for (const component of PROJECT_CLONE_COMPONENTS) {
+        const value = requested[component.key];
+        components[component.key] = value === undefined ? true : value === true || value === 'true';
+    }
+    if (!components.tasks) components.checklists = false;
+
+    return { title, startDate, components };
+};
+
+export const buildCloneTitle = (sourceTitle, requestedTitle) => {
+    if (requestedTitle) return requestedTitle;
+    return `${String(sourceTitle || 'Project').trim()} (copy)`.slice(0, MAX_PROJECT_TITLE_LENGTH);
+};
+
+/**
+ * The latest report reshaped as a report editor seed. RAID references point at the
+ * source project's register, so they are dropped.
+ */
+export const toStatusReportDraft = (reportData) => {
+    if (!reportData || typeof reportData !== 'object' || Array.isArray(reportData)) return null;
+    const {
+        id: _id,
+        version: _version,
+        createdAt: _createdAt,
+        createdBy: _createdBy,
+        restoredFrom: _restoredFrom,
+        raidItemIds: _raidItemIds,
+        raidItems: _raidItems,
+        ...draft
+    } = reportData;
+    return draft;
+};
@@ -0,0 +1,157 @@
+/**
+ * Project-to-project dependencies. The upstream project delivers something the downstream
+ * project needs, optionally by a needed-by date. Downstream projects inherit risk when an
+ * upstream project reports red, slips against its baseline or is forecast to finish late.
+ */
+import { wouldCreateDependencyCycle } from './taskDependencies.js';
+
+export const PROJECT_DEPENDENCY_TYPES = Object.freeze({
+    FINISH_TO_START: 'finish-to-start',
+    DELIVERABLE: 'deliverable',
+    SHARED_RESOURCE: 'shared-resource'
+});
+
+export const PROJECT_DEPENDENCY_TYPE_LABELS = Object.freeze({
+    [PROJECT_DEPENDENCY_TYPES.FINISH_TO_START]: 'Must finish first',
+    [PROJECT_DEPENDENCY_TYPES.DELIVERABLE]: 'Needs a deliverable',
+    [PROJECT_DEPENDENCY_TYPES.SHARED_RESOURCE]: 'Shares resources'
+});
+
+export const MAX_PROJECT_DEPENDENCY_NOTE_LENGTH = 1000;
+
+// Baseline slip, in days, at which an upstream project is treated as slipping.
+export const UPSTREAM_SLIP_THRESHOLD_DAYS = 7;
+
+export const UPSTREAM_ISSUE_LABELS = Object.freeze({
+    red: 'reporting red',
+    slipped: 'slipping against baseline',
+    late: 'forecast after the needed-by date'
+});
+
+const TYPE_VALUES = new Set(Object.values(PROJECT_DEPENDENCY_TYPES));
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toDateOnly = (value) => {
+    if (!value) return null;
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) return value;
+    const parsed = value instanceof Date ? value : new Date(value);
+    if (Number.isNaN(parsed.getTime())) return null;
+    return parsed.toISOString().slice(0, 10);
+};
+
+/**
+ * Validate a dependency's editable fields. Fields missing from `input` keep their
+ * `fallback` value, so the same function serves create and partial update.
+ * @returns {{ dependency: object } | { error: string }}
+ */
+export const normalizeProjectDependency = (input = {}, fallback = null) => {
+    const pick = (key) => (input[key] === undefined ? fallback?.[key] : input[key]);
+
+    const rawType = pick('dependencyType');
+    const dependencyType = rawType === undefined || rawType === null || rawType === ''
+        ? PROJECT_DEPENDENCY_TYPES.FINISH_TO_START
+        : String(rawType).trim().toLowerCase();
+    if (!TYPE_VALUES.has(dependencyType)) {
+        return { error: `dependencyType must be one of ${[...TYPE_VALUES].join(', ')}` };
+    }
+
+    const rawNeededBy = pick('neededByDate');
+    const neededByDate = toDateOnly(rawNeededBy);
+    if (rawNeededBy && !neededByDate) return { error: 'neededByDate must be a valid date' };
+
+    const note = typeof pick('note') === 'string' ? pick('note').trim() : '';
+    if (note.length > MAX_PROJECT_DEPENDENCY_NOTE_LENGTH) {
+        return { error: `note must be ${MAX_PROJECT_DEPENDENCY_NOTE_LENGTH} characters or fewer` };
+    }
+
+    return { dependency: { dependencyType, neededByDate, note: note || null } };
+};
+
+/**
+ * Whether adding upstream -> downstream would make a project (indirectly) depend on itself.
+ * @param {Array<{ upstreamProjectId, downstreamProjectId }>} dependencies
+ */
+export const wouldCreateProjectDependencyCycle = (dependencies, upstreamProjectId, downstreamProjectId) => (
+    wouldCreateDependencyCycle(
+        (Array.isArray(dependencies) ? dependencies : []).map((dependency) => ({
+            predecessorTaskId: dependency.upstreamProjectId,
+            successorTaskId: dependency.downstreamProjectId
+        })),
+        upstreamProjectId,
+        downstreamProjectId
+    )
+);
+
+/**
+ * Why an upstream project puts its downstream at risk.
+ * @param {{ neededByDate?: string|null }} dependency
+ * @param {{ reportStatus?: string, slipDays?: number, finishDate?: string|null }} upstream
+ * @returns {{ atRisk: boolean, reasons: Array<'red'|'slipped'|'late'>, daysLate: number }}
+ */
+export const getUpstreamDependencyIssues = (dependency, upstream = {}) => {
+    const reasons = [];
+    if (String(upstream.reportStatus || '').toLowerCase() === 'red') reasons.push('red');
+    if (Number(upstream.slipDays) >= UPSTREAM_SLIP_THRESHOLD_DAYS) reasons.push('slipped');
+
+    let daysLate = 0;
+    const neededByDate = toDateOnly(dependency?.neededByDate);
+    const finishDate = toDateOnly(upstream.finishDate);
+    if (neededByDate && finishDate && finishDate > neededByDate) {
+        daysLate = Math.round((Date.parse(`${finishDate}T00:00:00Z`) - Date.parse(`${neededByDate}T00:00:00Z`)) / DAY_MS);
+        reasons.push('late');
+    }
+
+    return { atRisk: reasons.length > 0, reasons, daysLate };
+};
+
+export const describeUpstreamIssues = (reasons = [], daysLate = 0) => reasons
+    .map((reason) => (reason === 'late' && daysLate > 0
+        ? `forecast ${daysLate} day${daysLate === 1 ? '' : 's'} after the needed-by date`
+        : UPSTREAM_ISSUE_LABELS[reason] || reason))
+    .join(', ');
+
+/**
+ * Assign each project a column (longest upstream chain) and a row within it, for drawing
+ * the portfolio graph left to right. Projects caught in a cycle stay in column 0.
+ * @param {Array<{ id, title? }>} nodes
+ * @param {Array<{ upstreamProjectId, downstreamProjectId }>} edges
+ * @returns {Map<string, { column: number, row: number }>}
+ */
+export const layoutDependencyGraph = (nodes = [], edges = []) => {
+    const ids = nodes.map((node) => String(node.id));
+    const known = new Set(ids);
+    const outgoing = new Map(ids.map((id) => [id, []]));
+    const inDegree = new Map(ids.map((id) => [id, 0]));
+    edges.forEach((edge) => {
+        const from = String(edge.upstreamProjectId);
+        const to = String(edge.downstreamProjectId);
+        if (!known.has(from) || !known.has(to) || from === to) return;
+        outgoing.get(from).push(to);
+        inDegree.set(to, inDegree.get(to) + 1);
+    });
+
+    const column = new Map(ids.map((id) => [id, 0]));
+    const queue = ids.filter((id) => inDegree.get(id) === 0);
+    while (queue.length > 0) {
+        const id = queue.shift();
+        outgoing.get(id).forEach((next) => {
+            column.set(next, Math.max(column.get(next), column.get(id) + 1));
+            const remaining = inDegree.get(next) - 1;
+            inDegree.set(next, remaining);
+            if (remaining === 0) queue.push(next);
+        });
+    }
+
+    const titleById = new Map(nodes.map((node) => [String(node.id), String(node.title || '')]));
+    const rowsUsed = new Map();
+    const layout = new Map();
+    [...ids]
+        .sort((a, b) => column.get(a) - column.get(b) || titleById.get(a).localeCompare(titleById.get(b)))
+        .forEach((id) => {
+            const col = column.get(id);
+            const row = rowsUsed.get(col) || 0;
+            rowsUsed.set(col, row + 1);
+            layout.set(id, { column: col, row });
+        });
+    return layout;
+};
@@ -0,0 +1,154 @@
+/**
+ * Project financials: budget lines per fiscal year and cost type, each with a budget,
+ * an optional forecast (estimate at completion) and actual spend to date.
+ */
+export const FINANCIAL_COST_TYPES = Object.freeze({
+    CAPITAL: 'capital',
+    OPERATING: 'operating'
+});
+
+export const FINANCIAL_COST_TYPE_LABELS = Object.freeze({
+    [FINANCIAL_COST_TYPES.CAPITAL]: 'Capital',
+    [FINANCIAL_COST_TYPES.OPERATING]: 'Operating'
+});
+
+export const MAX_FINANCIAL_CATEGORY_LENGTH = 100;
+export const MAX_FINANCIAL_AMOUNT = 999999999999.99;
+export const MIN_FISCAL_YEAR = 2000;
+export const MAX_FISCAL_YEAR = 2100;
+
+// Forecast overrun, as a share of budget, at which the risk signal flags cost variance.
+export const COST_VARIANCE_THRESHOLDS = Object.freeze({ medium: 0.05, high: 0.15 });
+
+const COST_TYPE_VALUES = new Set(Object.values(FINANCIAL_COST_TYPES));
+
+const roundAmount = (value) => Math.round(Number(value || 0) * 100) / 100;
+
+const parseAmount = (value, field, { nullable = false } = {}) => {
+    if (value === undefined || value === null || value === '') {
+        return nullable ? { value: null } : { value: 0 };
+    }
+    const parsed = Number(value);
+    if (!Number.isFinite(parsed) || parsed < 0 || parsed > MAX_FINANCIAL_AMOUNT) {
+        return { error: `${field} must be a number between 0 and ${MAX_FINANCIAL_AMOUNT}` };
+    }
+    return { value: roundAmount(parsed) };
+};
+
+/**
+ * Validate a budget line. Fields missing from `input` keep their `fallback` value,
+ * so the same function serves create and partial update.
+ * @returns {{ line: object } | { error: string }}
+ */
+export const normalizeFinancialLine = (input = {}, fallback = null) => {
+    const pick = (key) => (input[key] === undefined ? fallback?.[key] : input[key]);
+
+    const fiscalYear = Number(pick('fiscalYear'));
+    if (!Number.isInteger(fiscalYear) || fiscalYear < MIN_FISCAL_YEAR || fiscalYear > MAX_FISCAL_YEAR) {
+        return { error: `fiscalYear must be a year between ${MIN_FISCAL_YEAR} and ${MAX_FISCAL_YEAR}` };
+    }
+
+    const costType = String(pick('costType') || '').trim().toLowerCase();
+    if (!COST_TYPE_VALUES.has(costType)) {
+        return { error: `costType must be one of ${[...COST_TYPE_VALUES].join(', ')}` };
+    }
+
+    const category = typeof pick('category') === 'string' ? pick('category').trim() : '';
+    if (category.length > MAX_FINANCIAL_CATEGORY_LENGTH) {
+        return { error: `category must be ${MAX_FINANCIAL_CATEGORY_LENGTH} characters or fewer` };
+    }
+
+    const budget = parseAmount(pick('budgetAmount'), 'budgetAmount');
+    if (budget.error) return { error: budget.error };
+    const forecast = parseAmount(pick('forecastAmount'), 'forecastAmount', { nullable: true });
+    if (forecast.error) return { error: forecast.error };
+    const actual = parseAmount(pick('actualAmount'), 'actualAmount');
+    if (actual.error) return { error: actual.error };
+
+    const notes = typeof pick('notes') === 'string' ? pick('notes').trim() : '';
+
+    return {
+        line: {
+            fiscalYear,
+            costType,
+            category: category || null,
+            budgetAmount: budget.value,
+            forecastAmount: forecast.value,
+            actualAmount: actual.value,
+            notes: notes || null
+        }
+    };
+};
+
+/**
+ * Estimate at completion for a line: the forecast when one is recorded, otherwise the
+ * budget, or actual spend once it has passed the budget.
+ */
+export const getLineForecast = (line) => (
+    line?.forecastAmount === null || line?.forecastAmount === undefined
+        ? Math.max(Number(line?.budgetAmount || 0), Number(line?.actualAmount || 0))
+        : Number(line.forecastAmount)
+);
+
+const emptyTotals = () => ({ budget: 0, forecast: 0, actual: 0 });
+
+const addLine = (totals, line) => {
+    totals.budget += Number(line.budgetAmount || 0);
+    totals.forecast += getLineForecast(line);
+    totals.actual += Number(line.actualAmount || 0);
+};
+
+const finishTotals = (totals) => {
+    const budget = roundAmount(totals.budget);
+    const forecast = roundAmount(totals.forecast);
+    const variance = roundAmount(forecast - budget);
+    return {
+        budget,
+        forecast,
+        actual: roundAmount(totals.actual),
+        variance,
+        variancePct: budget > 0 ? Math.round((variance / budget) * 1000) / 1000 : null
+    };
+};
+
+/**
+ * Roll budget lines up into project totals, per cost type and per fiscal year.
+ * Variance is forecast minus budget, so a positive value is a projected overrun.
+ */
+export const summarizeFinancialLines = (lines = []) => {
+    const totals = emptyTotals();
+    const byCostType = Object.fromEntries([...COST_TYPE_VALUES].map((costType) => [costType, emptyTotals()]));
+    const byFiscalYear = new Map();
+
+    for (const line of lines) {
+        addLine(totals, line);
+        if (byCostType[line.costType]) addLine(byCostType[line.costType], line);
+        if (!byFiscalYear.has(line.fiscalYear)) byFiscalYear.set(line.fiscalYear, emptyTotals());
+        addLine(byFiscalYear.get(line.fiscalYear), line);
+    }
+
+    return {
+        lineCount: lines.length,
+        ...finishTotals(totals),
+        byCostType: Object.fromEntries(Object.entries(byCostType).map(([costType, value]) => [costType, finishTotals(value)])),
+        fiscalYears: [...byFiscalYear.entries()]
+            .sort(([a], [b]) => a - b)
+            .map(([fiscalYear, value]) => ({ fiscalYear, ...finishTotals(value) }))
+    };
+};
+
+/**
+ * @returns {'high'|'medium'|null} null when on or under budget, or when there is no budget to compare
+ */
+export const getCostVarianceLevel = (variancePct) => {
+    if (variancePct === null || variancePct === undefined || !Number.isFinite(Number(variancePct))) return null;
+    if (variancePct >= COST_VARIANCE_THRESHOLDS.high) return 'high';
+    if (variancePct >= COST_VARIANCE_THRESHOLDS.medium) return 'medium';
+    return null;
+};
+
+// Amounts carry no currency code; organizations record them in their reporting currency.
+export const formatFinancialAmount = (value) => {
+    const rounded = Math.round(Number(value || 0));
+    return `${rounded < 0 ? '-' : ''}$${Math.abs(rounded).toLocaleString('en-US')}`;
+};
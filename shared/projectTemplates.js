@@ -0,0 +1,170 @@
+export const MAX_TEMPLATE_NAME_LENGTH = 255;
+export const MAX_TEMPLATE_TASKS = 100;
+export const MAX_TEMPLATE_CHECKLIST_ITEMS = 25;
+export const MAX_TEMPLATE_BENEFITS = 20;
+export const MAX_TEMPLATE_TAGS = 8;
+export const MAX_TEMPLATE_OFFSET_DAYS = 730;
+
+const TASK_PRIORITIES = new Set(['low', 'medium', 'high']);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const cleanText = (value, maxLength) => String(value ?? '').trim().slice(0, maxLength);
+
+const toIdList = (values) => [...new Set((Array.isArray(values) ? values : [])
+    .map((value) => Number.parseInt(value, 10))
+    .filter((value) => Number.isInteger(value) && value > 0))];
+
+const toOffset = (value, { min }) => {
+    if (value === undefined || value === null || value === '') return min;
+    const parsed = Number(value);
+    if (!Number.isInteger(parsed) || parsed < min || parsed > MAX_TEMPLATE_OFFSET_DAYS) return null;
+    return parsed;
+};
+
+const toOptionalNumber = (value) => {
+    if (value === undefined || value === null || value === '') return null;
+    const parsed = Number(value);
+    return Number.isFinite(parsed) ? parsed : undefined;
+};
+
+const toDateOnly = (value) => {
+    if (!value) return null;
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) return value;
+    const parsed = new Date(value);
+    if (Number.isNaN(parsed.getTime())) return null;
+    return parsed.toISOString().slice(0, 10);
+};
+
+const addDays = (dateOnly, days) => new Date(Date.parse(`${dateOnly}T00:00:00Z`) + days * DAY_MS)
+    .toISOString()
+    .slice(0, 10);
+
+/**
+ * Validate and normalize a template body. Task dates are stored as offsets from the
+ * project start so one template fits any kickoff date.
+ * @returns {{ definition: object } | { error: string }}
+ */
+export const normalizeTemplateDefinition = (raw = {}) => {
+    const source = raw && typeof raw === 'object' ? raw : {};
+    const rawTasks = Array.isArray(source.tasks) ? source.tasks : [];
+    if (rawTasks.length > MAX_TEMPLATE_TASKS) {
+        return { error: `Templates are limited to ${MAX_TEMPLATE_TASKS} tasks.` };
+    }
+
+    const tasks = [];
+    for (const [index, task] of rawTasks.entries()) {
+        const title = cleanText(task?.title, 255);
+        if (!title) return { error: `Task ${index + 1} needs a title.` };
+        const priority = String(task?.priority || 'medium').trim().toLowerCase();
+        if (!TASK_PRIORITIES.has(priority)) return { error: `Task "${title}" has an invalid priority.` };
+        const startOffsetDays = toOffset(task?.startOffsetDays, { min: 0 });
+        const durationDays = toOffset(task?.durationDays, { min: 0 });
+        if (startOffsetDays === null || durationDays === null) {
+            return { error: `Task "${title}" offsets must be whole days between 0 and ${MAX_TEMPLATE_OFFSET_DAYS}.` };
+        }
+        const checklist = (Array.isArray(task?.checklist) ? task.checklist : [])
+            .map((item) => cleanText(typeof item === 'string' ? item : item?.title, 255))
+            .filter(Boolean);
+        if (checklist.length > MAX_TEMPLATE_CHECKLIST_ITEMS) {
+            return { error: `Task "${title}" can have at most ${MAX_TEMPLATE_CHECKLIST_ITEMS} checklist items.` };
+        }
+        tasks.push({
+            title,
+            description: cleanText(task?.description, 4000),
+            priority,
+            startOffsetDays,
+            durationDays,
+            checklist
+        });
+    }
+
+    const tagIds = toIdList(source.tagIds);
+    if (tagIds.length > MAX_TEMPLATE_TAGS) {
+        return { error: `Templates can apply at most ${MAX_TEMPLATE_TAGS} tags.` };
+    }
+
+    const rawBenefits = Array.isArray(source.benefits) ? source.benefits : [];
+    if (rawBenefits.length > MAX_TEMPLATE_BENEFITS) {
+        return { error: `Templates are limited to ${MAX_TEMPLATE_BENEFITS} benefits.` };
+    }
+    const benefits = [];
+    for (const benefit of rawBenefits) {
+        const title = cleanText(benefit?.title, 255);
+        if (!title) return { error: 'Each benefit placeholder needs a title.' };
+        const targetValue = toOptionalNumber(benefit?.targetValue);
+        if (targetValue === undefined) return { error: `Benefit "${title}" has an invalid target value.` };
+        benefits.push({
+            title,
+            description: cleanText(benefit?.description, 4000),
+            unit: cleanText(benefit?.unit, 50),
+            targetValue
+        });
+    }
+
+    const reportSource = source.statusReportDefaults && typeof source.statusReportDefaults === 'object'
+        ? source.statusReportDefaults
+        : {};
+    const statusReportDefaults = {
+        purpose: cleanText(reportSource.purpose, 4000),
+        executiveSummary: cleanText(reportSource.executiveSummary, 4000),
+        kpis: cleanText(reportSource.kpis, 4000),
+        workstreams: [...new Set((Array.isArray(reportSource.workstreams) ? reportSource.workstreams : [])
+            .map((name) => cleanText(typeof name === 'string' ? name : name?.name, 255))
+            .filter(Boolean))]
+    };
+
+    return {
+        definition: {
+            tasks,
+            tagIds,
+            goalIds: toIdList(source.goalIds),
+            benefits,
+            statusReportDefaults
+        }
+    };
+};
+
+/**
+ * Resolve template task offsets against a project start date.
+ * @returns {Array<{ title, description, priority, status, startDate, endDate, checklist }>}
+ */
+export const buildTemplateTaskPlan = (definition, startDate = new Date()) => {
+    const anchor = toDateOnly(startDate) || toDateOnly(new Date());
+    return (definition?.tasks || []).map((task) => {
+        const taskStart = addDays(anchor, Number(task.startOffsetDays) || 0);
+        return {
+            title: task.title,
+            description: task.description || '',
+            priority: task.priority || 'medium',
+            status: 'todo',
+            startDate: taskStart,
+            endDate: addDays(taskStart, Number(task.durationDays) || 0),
+            checklist: Array.isArray(task.checklist) ? task.checklist : []
+        };
+    });
+};
+
+/**
+ * Status report defaults in the shape the report editor seeds from, or null when the template sets none.
+ */
+export const toStatusReportSeed = (statusReportDefaults) => {
+    const defaults = statusReportDefaults || {};
+    const workstreams = Array.isArray(defaults.workstreams) ? defaults.workstreams : [];
+    if (!defaults.purpose && !defaults.executiveSummary && !defaults.kpis && workstreams.length === 0) {
+        return null;
+    }
+    return {
+        overallStatus: 'green',
+        purpose: defaults.purpose || '',
+        executiveSummary: defaults.executiveSummary || '',
+        kpis: defaults.kpis || '',
+        workstreams: workstreams.map((name, index) => ({
+            id: index + 1,
+            name,
+            progressLastPeriod: '',
+            workAhead: '',
+            barriers: '',
+            status: 'green'
+        }))
+    };
+};
@@ -0,0 +1,201 @@
+/**
+ * RAID register: risks, assumptions, issues and dependencies tracked per project.
+ * Items are scored on 1-5 probability and impact scales; the score is their product.
+ */
+export const RAID_ITEM_TYPES = Object.freeze({
+    RISK: 'risk',
+    ASSUMPTION: 'assumption',
+    ISSUE: 'issue',
+    DEPENDENCY: 'dependency'
+});
+
+export const RAID_ITEM_TYPE_LABELS = Object.freeze({
+    [RAID_ITEM_TYPES.RISK]: 'Risk',
+    [RAID_ITEM_TYPES.ASSUMPTION]: 'Assumption',
+    [RAID_ITEM_TYPES.ISSUE]: 'Issue',
+    [RAID_ITEM_TYPES.DEPENDENCY]: 'Dependency'
+});
+
+export const RAID_ITEM_STATUSES = Object.freeze({
+    OPEN: 'open',
+    MONITORING: 'monitoring',
+    RESOLVED: 'resolved',
+    CLOSED: 'closed'
+});
+
+export const RAID_ITEM_STATUS_LABELS = Object.freeze({
+    [RAID_ITEM_STATUSES.OPEN]: 'Open',
+    [RAID_ITEM_STATUSES.MONITORING]: 'Monitoring',
+    [RAID_ITEM_STATUSES.RESOLVED]: 'Resolved',
+    [RAID_ITEM_STATUSES.CLOSED]: 'Closed'
+});
+
+export const RAID_SCORE_MIN = 1;
+export const RAID_SCORE_MAX = 5;
+export const MAX_RAID_TITLE_LENGTH = 255;
+
+// Probability x impact at which an item is graded critical, high or medium.
+export const RAID_SEVERITY_THRESHOLDS = Object.freeze({ critical: 15, high: 10, medium: 5 });
+
+const TYPE_VALUES = new Set(Object.values(RAID_ITEM_TYPES));
+const STATUS_VALUES = new Set(Object.values(RAID_ITEM_STATUSES));
+const CLOSED_STATUSES = new Set([RAID_ITEM_STATUSES.RESOLVED, RAID_ITEM_STATUSES.CLOSED]);
+
+const parseScore = (value, field) => {
+    if (value === undefined || value === null || value === '') return { value: null };
+    const parsed = Number(value);
+    if (!Number.isInteger(parsed) || parsed < RAID_SCORE_MIN || parsed > RAID_SCORE_MAX) {
+        return { error: `${field} must be a whole number between ${RAID_SCORE_MIN} and ${RAID_SCORE_MAX}` };
+    }
+    return { value: parsed };
+};
+
+const toDateOnly = (value) => {
+    if (!value) return null;
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) return value;
+    const parsed = value instanceof Date ? value : new Date(value);
+    if (Number.isNaN(parsed.getTime())) return null;
+    return parsed.toISOString().slice(0, 10);
+};
+
+const pickText = (value) => (typeof value === 'string' ? value.trim() : '');
+
+/**
+ * Validate a RAID item. Fields missing from `input` keep their `fallback` value,
+ * so the same function serves create and partial update.
+ * @returns {{ item: object } | { error: string }}
+ */
+export const normalizeRaidItem = (input = {}, fallback = null) => {
+    const pick = (key) => (input[key] === undefined ? fallback?.[key] : input[key]);
+
+    const type = String(pick('type') || '').trim().toLowerCase();
+    if (!TYPE_VALUES.has(type)) {
+        return { error: `type must be one of ${[...TYPE_VALUES].join(', ')}` };
+    }
+
+    const title = pickText(pick('title'));
+    if (!title) return { error: 'title is required' };
+    if (title.length > MAX_RAID_TITLE_LENGTH) {
+        return { error: `title must be ${MAX_RAID_TITLE_LENGTH} characters or fewer` };
+    }
+
+    const status = String(pick('status') || RAID_ITEM_STATUSES.OPEN).trim().toLowerCase();
+    if (!STATUS_VALUES.has(status)) {
+        return { error: `status must be one of ${[...STATUS_VALUES].join(', ')}` };
+    }
+
+    const probability = parseScore(pick('probability'), 'probability');
+    if (probability.error) return { error: probability.error };
+    const impact = parseScore(pick('impact'), 'impact');
+    if (impact.error) return { error: impact.error };
+
+    const rawDueDate = pick('dueDate');
+    const dueDate = toDateOnly(rawDueDate);
+    if (rawDueDate && !dueDate) return { error: 'dueDate must be a valid date' };
+
+    const ownerOid = pickText(pick('ownerOid'));
+
+    return {
+        item: {
+            type,
+            title,
+            description: pickText(pick('description')) || null,
+            ownerOid: ownerOid || null,
+            probability: probability.value,
+            impact: impact.value,
+            mitigation: pickText(pick('mitigation')) || null,
+            dueDate,
+            status
+        }
+    };
+};
+
+export const isRaidItemOpen = (item) => !CLOSED_STATUSES.has(item?.status);
+
+/**
+ * @returns {number|null} null until both probability and impact are scored
+ */
+export const getRaidScore = (item) => {
+    const probability = Number(item?.probability);
+    const impact = Number(item?.impact);
+    if (!(probability > 0) || !(impact > 0)) return null;
+    return probability * impact;
+};
+
+/**
+ * @returns {'critical'|'high'|'medium'|'low'|null}
+ */
+export const getRaidSeverity = (score) => {
+    if (score === null || score === undefined || !(Number(score) > 0)) return null;
+    if (score >= RAID_SEVERITY_THRESHOLDS.critical) return 'critical';
+    if (score >= RAID_SEVERITY_THRESHOLDS.high) return 'high';
+    if (score >= RAID_SEVERITY_THRESHOLDS.medium) return 'medium';
+    return 'low';
+};
+
+export const isRaidItemOverdue = (item, today = new Date()) => {
+    const dueDate = toDateOnly(item?.dueDate);
+    return !!dueDate && isRaidItemOpen(item) && dueDate < toDateOnly(today);
+};
+
+/**
+ * Count open, scored risks per probability/impact cell.
+ * cells[probability - 1][impact - 1] holds the count.
+ */
+export const buildRiskHeatMap = (items = []) => {
+    const cells = Array.from({ length: RAID_SCORE_MAX }, () => Array(RAID_SCORE_MAX).fill(0));
+    items.forEach((item) => {
+        if (item?.type !== RAID_ITEM_TYPES.RISK || !isRaidItemOpen(item) || getRaidScore(item) === null) return;
+        cells[item.probability - 1][item.impact - 1] += 1;
+    });
+    return cells;
+};
+
+/**
+ * Add one heat map into another of the same shape; used to roll projects up to the portfolio.
+ */
+export const mergeRiskHeatMaps = (heatMaps = []) => {
+    const merged = buildRiskHeatMap([]);
+    heatMaps.forEach((cells) => {
+        if (!Array.isArray(cells)) return;
+        cells.forEach((row, probabilityIndex) => {
+            if (!Array.isArray(row) || probabilityIndex >= RAID_SCORE_MAX) return;
+            row.forEach((count, impactIndex) => {
+                if (impactIndex < RAID_SCORE_MAX) merged[probabilityIndex][impactIndex] += Number(count) || 0;
+            });
+        });
+    });
+    return merged;
+};
+
+/**
+ * Roll a project's register up into open counts per type, overdue and high-severity
+ * counts, and the open-risk heat map.
+ */
+export const summarizeRaidItems = (items = [], today = new Date()) => {
+    const openByType = Object.fromEntries([...TYPE_VALUES].map((type) => [type, 0]));
+    let openCount = 0;
+    let overdueCount = 0;
+    let criticalCount = 0;
+    let highCount = 0;
+
+    items.forEach((item) => {
+        if (!isRaidItemOpen(item)) return;
+        openCount += 1;
+        if (openByType[item.type] !== undefined) openByType[item.type] += 1;
+        if (isRaidItemOverdue(item, today)) overdueCount += 1;
+        const severity = getRaidSeverity(getRaidScore(item));
+        if (severity === 'critical') criticalCount += 1;
+        if (severity === 'high') highCount += 1;
+    });
+
+    return {
+        totalCount: items.length,
+        openCount,
+        openByType,
+        overdueCount,
+        criticalCount,
+        highCount,
+        heatMap: buildRiskHeatMap(items)
+    };
+};
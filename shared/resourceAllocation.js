@@ -0,0 +1,231 @@
+/**
+ * Cross-project resource allocation. Open tasks are spread over time buckets (weeks or months)
+ * by their start/end dates, and each assignee's estimated hours per bucket are compared with
+ * a weekly capacity to find overallocation.
+ */
+import { getWeekStart } from './timeEntries.js';
+
+export const RESOURCE_BUCKET_SIZES = Object.freeze(['week', 'month']);
+
+export const DEFAULT_RESOURCE_BUCKET_COUNT = Object.freeze({ week: 12, month: 6 });
+export const MAX_RESOURCE_BUCKET_COUNT = Object.freeze({ week: 26, month: 12 });
+
+export const DEFAULT_WEEKLY_CAPACITY_HOURS = 40;
+export const MAX_WEEKLY_CAPACITY_HOURS = 168;
+
+// Share of capacity at which a bucket is flagged as nearly full.
+export const HIGH_UTILIZATION_THRESHOLD = 0.85;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WORKDAYS_PER_WEEK = 5;
+
+const roundHours = (value) => Math.round(value * 100) / 100;
+
+const toDateOnly = (value) => {
+    if (!value) return null;
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) return value;
+    const parsed = value instanceof Date ? value : new Date(value);
+    if (Number.isNaN(parsed.getTime())) return null;
+    return parsed.toISOString().slice(0, 10);
+};
+
+const toTime = (dateOnly) => Date.parse(`${dateOnly}T00:00:00Z`);
+const fromTime = (time) => new Date(time).toISOString().slice(0, 10);
+
+const addMonths = (dateOnly, months) => {
+    const date = new Date(`${dateOnly}T00:00:00Z`);
+    return fromTime(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + months, 1));
+};
+
+/**
+ * Monday-to-Friday days in [from, toExclusive).
+ */
+export const countWorkingDays = (from, toExclusive) => {
+    let count = 0;
+    for (let time = toTime(from); time < toTime(toExclusive); time += DAY_MS) {
+        const weekday = new Date(time).getUTCDay();
+        if (weekday !== 0 && weekday !== 6) count += 1;
+    }
+    return count;
+};
+
+/**
+ * Consecutive buckets starting at the week or month containing `start`.
+ * @returns {{ key: string, start: string, end: string, workingDays: number }[]} end is exclusive
+ */
+export const buildResourceBuckets = ({ start = new Date(), size = 'week', count } = {}) => {
+    const bucketSize = RESOURCE_BUCKET_SIZES.includes(size) ? size : 'week';
+    const anchor = toDateOnly(start) || toDateOnly(new Date());
+    const total = Math.min(
+        Math.max(1, Number.parseInt(count, 10) || DEFAULT_RESOURCE_BUCKET_COUNT[bucketSize]),
+        MAX_RESOURCE_BUCKET_COUNT[bucketSize]
+    );
+
+    const buckets = [];
+    let bucketStart = bucketSize === 'week' ? getWeekStart(anchor) : `${anchor.slice(0, 7)}-01`;
+    for (let index = 0; index < total; index += 1) {
+        const bucketEnd = bucketSize === 'week'
+            ? fromTime(toTime(bucketStart) + 7 * DAY_MS)
+            : addMonths(bucketStart, 1);
+        buckets.push({
+            key: bucketStart,
+            start: bucketStart,
+            end: bucketEnd,
+            workingDays: countWorkingDays(bucketStart, bucketEnd)
+        });
+        bucketStart = bucketEnd;
+    }
+    return buckets;
+};
+
+/**
+ * Spread a task's estimate over the buckets its dates touch, in proportion to working days.
+ * A task with one date sits on that day. Open tasks already past their end date are still
+ * outstanding work, so they land in the first bucket.
+ * @returns {{ bucketKey: string, hours: number }[]} empty when the task is unscheduled or outside the range
+ */
+export const allocateTaskEffort = (task, buckets = []) => {
+    if (buckets.length === 0) return [];
+    const startDate = toDateOnly(task?.startDate) || toDateOnly(task?.endDate);
+    const endDate = toDateOnly(task?.endDate) || startDate;
+    if (!startDate) return [];
+
+    const estimate = Number(task?.estimatedHours);
+    const hours = Number.isFinite(estimate) && estimate > 0 ? estimate : 0;
+    const rangeStart = buckets[0].start;
+    const rangeEnd = buckets[buckets.length - 1].end;
+
+    if (endDate < rangeStart) {
+        return [{ bucketKey: buckets[0].key, hours: roundHours(hours) }];
+    }
+    if (startDate >= rangeEnd) return [];
+
+    const spanEnd = fromTime(toTime(endDate) + DAY_MS);
+    const spanWorkingDays = countWorkingDays(startDate, spanEnd);
+    // Weekend-only tasks fall back to calendar days so their hours are not lost.
+    const measure = spanWorkingDays > 0
+        ? countWorkingDays
+        : (from, to) => Math.max(0, (toTime(to) - toTime(from)) / DAY_MS);
+    const spanDays = measure(startDate, spanEnd);
+
+    return buckets
+        .map((bucket) => {
+            const overlapStart = startDate > bucket.start ? startDate : bucket.start;
+            const overlapEnd = spanEnd < bucket.end ? spanEnd : bucket.end;
+            if (overlapStart >= overlapEnd) return null;
+            const share = spanDays > 0 ? measure(overlapStart, overlapEnd) / spanDays : 0;
+            return { bucketKey: bucket.key, hours: roundHours(hours * share) };
+        })
+        .filter(Boolean);
+};
+
+/**
+ * @returns {'over'|'high'|'normal'|'idle'}
+ */
+export const getUtilizationLevel = (hours, capacityHours) => {
+    if (!(hours > 0)) return 'idle';
+    if (!(capacityHours > 0) || hours > capacityHours) return 'over';
+    if (hours / capacityHours >= HIGH_UTILIZATION_THRESHOLD) return 'high';
+    return 'normal';
+};
+
+const finishCell = (cell, capacityHours) => {
+    const hours = roundHours(cell.hours);
+    return {
+        ...cell,
+        hours,
+        capacityHours: roundHours(capacityHours),
+        utilization: capacityHours > 0 ? Math.round((hours / capacityHours) * 100) / 100 : null,
+        level: getUtilizationLevel(hours, capacityHours)
+    };
+};
+
+/**
+ * Aggregate open, assigned tasks into a per-user and per-organization heatmap.
+ * @param {{ tasks: object[], buckets: object[], weeklyCapacityHours?: number }} input
+ *   tasks carry assigneeOid, assigneeName, assigneeOrgId, assigneeOrgName, projectId, dates and estimatedHours
+ * @returns {{ users: object[], orgs: object[] }}
+ */
+export const buildResourceHeatmap = ({ tasks = [], buckets = [], weeklyCapacityHours = DEFAULT_WEEKLY_CAPACITY_HOURS } = {}) => {
+    const capacityByBucket = new Map(buckets.map((bucket) => [
+        bucket.key,
+        (weeklyCapacityHours * bucket.workingDays) / WORKDAYS_PER_WEEK
+    ]));
+    const emptyCells = () => new Map(buckets.map((bucket) => [bucket.key, { bucketKey: bucket.key, hours: 0, taskIds: [] }]));
+    const usersByOid = new Map();
+
+    for (const task of tasks) {
+        const userOid = task?.assigneeOid ? String(task.assigneeOid) : '';
+        if (!userOid) continue;
+        if (!usersByOid.has(userOid)) {
+            usersByOid.set(userOid, {
+                userOid,
+                name: task.assigneeName || userOid,
+                orgId: task.assigneeOrgId === null || task.assigneeOrgId === undefined ? null : String(task.assigneeOrgId),
+                orgName: task.assigneeOrgName || null,
+                openTaskCount: 0,
+                unscheduledTaskCount: 0,
+                unestimatedTaskCount: 0,
+                projectIds: new Set(),
+                cells: emptyCells()
+            });
+        }
+        const user = usersByOid.get(userOid);
+        user.openTaskCount += 1;
+        user.projectIds.add(String(task.projectId));
+        if (!(Number(task.estimatedHours) > 0)) user.unestimatedTaskCount += 1;
+
+        if (!task.startDate && !task.endDate) user.unscheduledTaskCount += 1;
+        allocateTaskEffort(task, buckets).forEach(({ bucketKey, hours }) => {
+            const cell = user.cells.get(bucketKey);
+            cell.hours += hours;
+            cell.taskIds.push(String(task.id));
+        });
+    }
+
+    const users = [...usersByOid.values()].map(({ projectIds, cells, ...user }) => {
+        const finished = [...cells.values()].map((cell) => finishCell(cell, capacityByBucket.get(cell.bucketKey)));
+        return {
+            ...user,
+            projectCount: projectIds.size,
+            totalHours: roundHours(finished.reduce((sum, cell) => sum + cell.hours, 0)),
+            overallocatedBucketCount: finished.filter((cell) => cell.level === 'over').length,
+            cells: finished
+        };
+    }).sort((a, b) => (
+        b.overallocatedBucketCount - a.overallocatedBucketCount
+        || b.totalHours - a.totalHours
+        || b.openTaskCount - a.openTaskCount
+        || a.name.localeCompare(b.name)
+    ));
+
+    const orgsByKey = new Map();
+    users.forEach((user) => {
+        const key = user.orgId || '';
+        if (!orgsByKey.has(key)) {
+            orgsByKey.set(key, {
+                orgId: user.orgId,
+                orgName: user.orgName || 'No organization',
+                userCount: 0,
+                openTaskCount: 0,
+                overallocatedUserCount: 0,
+                hoursByBucket: new Map(buckets.map((bucket) => [bucket.key, 0]))
+            });
+        }
+        const org = orgsByKey.get(key);
+        org.userCount += 1;
+        org.openTaskCount += user.openTaskCount;
+        if (user.overallocatedBucketCount > 0) org.overallocatedUserCount += 1;
+        user.cells.forEach((cell) => org.hoursByBucket.set(cell.bucketKey, org.hoursByBucket.get(cell.bucketKey) + cell.hours));
+    });
+
+    const orgs = [...orgsByKey.values()].map(({ hoursByBucket, ...org }) => ({
+        ...org,
+        cells: [...hoursByBucket.entries()].map(([bucketKey, hours]) => finishCell(
+            { bucketKey, hours },
+            capacityByBucket.get(bucketKey) * org.userCount
+        ))
+    })).sort((a, b) => a.orgName.localeCompare(b.orgName));
+
+    return { users, orgs };
+};
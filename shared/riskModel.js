@@ -0,0 +1,312 @@
+// Predictive risk model: signal weights, caps and level thresholds.
+// Organizations can publish their own versions; without one the defaults below apply.
+
+import { getCostVarianceLevel } from './projectFinancials.js';
+import { describeUpstreamIssues } from './projectDependencies.js';
+
+export const MAX_RISK_MODEL_NAME_LENGTH = 120;
+export const MAX_RISK_SIGNAL_POINTS = 100;
+export const MAX_RISK_SIGNAL_DAYS = 365;
+
+// Field limits shared by the API validation and the admin form.
+export const RISK_MODEL_FIELD_LIMITS = Object.freeze({
+    points: { min: 0, max: MAX_RISK_SIGNAL_POINTS, step: 1, label: 'Points' },
+    cap: { min: 0, max: MAX_RISK_SIGNAL_POINTS, step: 1, label: 'Cap' },
+    afterDays: { min: 1, max: MAX_RISK_SIGNAL_DAYS, step: 1, label: 'After days' },
+    ratio: { min: 0.05, max: 1, step: 0.05, label: 'Overdue share' },
+    minTasks: { min: 1, max: 1000, step: 1, label: 'Min tasks' }
+});
+
+/**
+ * One entry per signal the model can raise. `points` is per item for signals with a cap.
+ */
+export const RISK_SIGNAL_DEFINITIONS = Object.freeze([
+    { key: 'overdue_tasks', label: 'Overdue tasks (per task)', defaults: { points: 6, cap: 30 } },
+    { key: 'blocked_tasks', label: 'Blocked tasks (per task)', defaults: { points: 8, cap: 25 } },
+    { key: 'status_report_red', label: 'Latest status report red', defaults: { points: 25 } },
+    { key: 'status_report_yellow', label: 'Latest status report yellow', defaults: { points: 12 } },
+    { key: 'status_report_unknown', label: 'No status report', defaults: { points: 6 } },
+    { key: 'stale_report_high', label: 'Status report stale', defaults: { points: 20, afterDays: 21 } },
+    { key: 'stale_report_medium', label: 'Status report aging', defaults: { points: 10, afterDays: 14 } },
+    { key: 'stale_task_activity', label: 'Task activity stalled', defaults: { points: 8, afterDays: 14 } },
+    { key: 'schedule_slip_high', label: 'Schedule slip (major)', defaults: { points: 20, afterDays: 30 } },
+    { key: 'schedule_slip_medium', label: 'Schedule slip (minor)', defaults: { points: 10, afterDays: 7 } },
+    { key: 'wip_limit_breach', label: 'WIP limit breaches (per column)', defaults: { points: 5, cap: 15 } },
+    { key: 'cost_variance_high', label: 'Forecast well over budget', defaults: { points: 20 } },
+    { key: 'cost_variance_medium', label: 'Forecast over budget', defaults: { points: 10 } },
+    { key: 'upstream_dependency_risk', label: 'At-risk upstream projects (per project)', defaults: { points: 10, cap: 20 } },
+    { key: 'overdue_ratio', label: 'High share of overdue tasks', defaults: { points: 10, ratio: 0.35, minTasks: 3 } }
+]);
+
+export const RISK_LEVEL_THRESHOLD_KEYS = Object.freeze(['medium', 'high', 'critical']);
+
+export const DEFAULT_RISK_MODEL = Object.freeze({
+    signals: Object.freeze(Object.fromEntries(
+        RISK_SIGNAL_DEFINITIONS.map((definition) => [definition.key, Object.freeze({ ...definition.defaults })])
+    )),
+    thresholds: Object.freeze({ medium: 30, high: 50, critical: 75 })
+});
+
+const readNumber = (value, fallback, { min, max, step }) => {
+    if (value === undefined || value === null || value === '') return { value: fallback };
+    const parsed = Number(value);
+    if (!Number.isFinite(parsed) || parsed < min || parsed > max) return { error: true };
+    return { value: step >= 1 ? Math.round(parsed) : Math.round(parsed * 100) / 100 };
+};
+
+/**
+ * Validate a risk model. Missing signals or fields fall back to the defaults so a model
+ * only needs to list what it changes; unknown keys are dropped.
+ * @returns {{ model: object } | { error: string }}
+ */
+export const normalizeRiskModel = (raw) => {
+    const source = raw && typeof raw === 'object' ? raw : {};
+    const signals = {};
+    for (const definition of RISK_SIGNAL_DEFINITIONS) {
+        const input = source.signals?.[definition.key] || {};
+        const normalized = {};
+        for (const [field, fallback] of Object.entries(definition.defaults)) {
+            const limits = RISK_MODEL_FIELD_LIMITS[field];
+            const result = readNumber(input[field], fallback, limits);
+            if (result.error) {
+                return { error: `${definition.label}: ${limits.label.toLowerCase()} must be between ${limits.min} and ${limits.max}.` };
+            }
+            normalized[field] = result.value;
+        }
+        signals[definition.key] = normalized;
+    }
+
+    const thresholds = {};
+    for (const level of RISK_LEVEL_THRESHOLD_KEYS) {
+        const result = readNumber(source.thresholds?.[level], DEFAULT_RISK_MODEL.thresholds[level], { min: 1, max: 100, step: 1 });
+        if (result.error) return { error: `The ${level} threshold must be between 1 and 100.` };
+        thresholds[level] = result.value;
+    }
+    if (!(thresholds.medium < thresholds.high && thresholds.high < thresholds.critical)) {
+        return { error: 'Level thresholds must increase from medium to high to critical.' };
+    }
+
+    return { model: { signals, thresholds } };
+};
+
+export const computeRiskLevel = (score, thresholds = DEFAULT_RISK_MODEL.thresholds) => {
+    if (score >= thresholds.critical) return 'critical';
+    if (score >= thresholds.high) return 'high';
+    if (score >= thresholds.medium) return 'medium';
+    return 'low';
+};
+
+const toRiskDate = (value) => {
+    if (!value) return null;
+    const parsed = new Date(value);
+    return Number.isNaN(parsed.getTime()) ? null : parsed;
+};
+
+export const normalizeRiskCount = (value) => {
+    const parsed = Number(value);
+    if (!Number.isFinite(parsed)) return 0;
+    return Math.max(0, Math.round(parsed));
+};
+
+/**
+ * Score a project from its already-loaded inputs using the given model.
+ * On-hold projects are paused on purpose, so the time-driven signals (overdue tasks, stale
+ * reports and task activity, schedule slip) are left out until the project resumes.
+ * @returns {{ score: number, level: string, metrics: object, signals: object[] }}
+ */
+export const buildRiskSignalFromInputs = ({
+    taskStats = {},
+    reportStatus = 'unknown',
+    latestReportAt = null,
+    lastTaskActivityAt = null,
+    scheduleSlipDays = 0,
+    wipBreaches = [],
+    costVariancePct = null,
+    upstreamRisks = [],
+    onHold = false,
+    nowMs = Date.now()
+}, model = DEFAULT_RISK_MODEL) => {
+    const weights = model.signals;
+    const totalTasks = normalizeRiskCount(taskStats.totalTasks);
+    const blockedTasks = normalizeRiskCount(taskStats.blockedTasks);
+    const overdueTasks = normalizeRiskCount(taskStats.overdueTasks);
+    const inFlightTasks = normalizeRiskCount(taskStats.inFlightTasks);
+    const overdueRatio = totalTasks > 0 ? overdueTasks / totalTasks : 0;
+    const normalizedReportStatus = String(reportStatus || 'unknown').trim().toLowerCase() || 'unknown';
+    const slipDays = normalizeRiskCount(scheduleSlipDays);
+    const wipBreachCount = Array.isArray(wipBreaches) ? wipBreaches.length : 0;
+    const costVarianceLevel = getCostVarianceLevel(costVariancePct);
+    const atRiskUpstream = Array.isArray(upstreamRisks) ? upstreamRisks : [];
+
+    const latestReportDate = toRiskDate(latestReportAt);
+    const lastTaskActivityDate = toRiskDate(lastTaskActivityAt);
+    const daysSinceLastReport = latestReportDate
+        ? Math.floor((nowMs - latestReportDate.getTime()) / 86400000)
+        : null;
+    const daysSinceTaskActivity = lastTaskActivityDate
+        ? Math.floor((nowMs - lastTaskActivityDate.getTime()) / 86400000)
+        : null;
+
+    let score = 0;
+    const signals = [];
+    // Zero-point signals are switched off, so they are not listed either.
+    const add = (signal) => {
+        if (signal.points <= 0) return;
+        score += signal.points;
+        signals.push(signal);
+    };
+
+    if (!onHold && overdueTasks > 0) {
+        add({
+            key: 'overdue_tasks',
+            severity: overdueTasks >= 4 ? 'high' : 'medium',
+            points: Math.min(weights.overdue_tasks.cap, overdueTasks * weights.overdue_tasks.points),
+            message: `${overdueTasks} overdue task${overdueTasks === 1 ? '' : 's'} are at risk of delaying delivery.`
+        });
+    }
+
+    if (blockedTasks > 0) {
+        add({
+            key: 'blocked_tasks',
+            severity: blockedTasks >= 2 ? 'high' : 'medium',
+            points: Math.min(weights.blocked_tasks.cap, blockedTasks * weights.blocked_tasks.points),
+            message: `${blockedTasks} blocked task${blockedTasks === 1 ? '' : 's'} need dependency resolution.`
+        });
+    }
+
+    if (normalizedReportStatus === 'red') {
+        add({
+            key: 'status_report_red',
+            severity: 'high',
+            points: weights.status_report_red.points,
+            message: 'Latest status report is red.'
+        });
+    } else if (normalizedReportStatus === 'yellow') {
+        add({
+            key: 'status_report_yellow',
+            severity: 'medium',
+            points: weights.status_report_yellow.points,
+            message: 'Latest status report is yellow.'
+        });
+    } else if (normalizedReportStatus === 'unknown') {
+        add({
+            key: 'status_report_unknown',
+            severity: 'low',
+            points: weights.status_report_unknown.points,
+            message: 'No current status report is available.'
+        });
+    }
+
+    if (!onHold && daysSinceLastReport !== null) {
+        if (daysSinceLastReport > weights.stale_report_high.afterDays) {
+            add({
+                key: 'stale_report_high',
+                severity: 'high',
+                points: weights.stale_report_high.points,
+                message: `Status report is stale (${daysSinceLastReport} days since last update).`
+            });
+        } else if (daysSinceLastReport > weights.stale_report_medium.afterDays) {
+            add({
+                key: 'stale_report_medium',
+                severity: 'medium',
+                points: weights.stale_report_medium.points,
+                message: `Status report is aging (${daysSinceLastReport} days since last update).`
+            });
+        }
+    }
+
+    if (!onHold && daysSinceTaskActivity !== null && daysSinceTaskActivity > weights.stale_task_activity.afterDays) {
+        add({
+            key: 'stale_task_activity',
+            severity: 'medium',
+            points: weights.stale_task_activity.points,
+            message: `Task activity appears stalled (${daysSinceTaskActivity} days since last task update).`
+        });
+    }
+
+    const scoredSlipDays = onHold ? 0 : slipDays;
+    if (scoredSlipDays >= weights.schedule_slip_high.afterDays) {
+        add({
+            key: 'schedule_slip_high',
+            severity: 'high',
+            points: weights.schedule_slip_high.points,
+            message: `Schedule has slipped ${slipDays} days against the latest baseline.`
+        });
+    } else if (scoredSlipDays >= weights.schedule_slip_medium.afterDays) {
+        add({
+            key: 'schedule_slip_medium',
+            severity: 'medium',
+            points: weights.schedule_slip_medium.points,
+            message: `Schedule has slipped ${slipDays} days against the latest baseline.`
+        });
+    }
+
+    if (wipBreachCount > 0) {
+        add({
+            key: 'wip_limit_breach',
+            severity: wipBreachCount >= 2 ? 'high' : 'medium',
+            points: Math.min(weights.wip_limit_breach.cap, wipBreachCount * weights.wip_limit_breach.points),
+            message: `${wipBreachCount} board column${wipBreachCount === 1 ? ' is' : 's are'} over the WIP limit.`
+        });
+    }
+
+    if (costVarianceLevel) {
+        add({
+            key: `cost_variance_${costVarianceLevel}`,
+            severity: costVarianceLevel,
+            points: weights[`cost_variance_${costVarianceLevel}`].points,
+            message: `Forecast spend is ${Math.round(costVariancePct * 100)}% over budget.`
+        });
+    }
+
+    if (atRiskUpstream.length > 0) {
+        const anyRed = atRiskUpstream.some((risk) => Array.isArray(risk.reasons) && risk.reasons.includes('red'));
+        const [first] = atRiskUpstream;
+        add({
+            key: 'upstream_dependency_risk',
+            severity: anyRed || atRiskUpstream.length >= 2 ? 'high' : 'medium',
+            points: Math.min(weights.upstream_dependency_risk.cap, atRiskUpstream.length * weights.upstream_dependency_risk.points),
+            message: atRiskUpstream.length === 1
+                ? `Upstream project "${first.upstreamTitle || first.upstreamProjectId}" is ${describeUpstreamIssues(first.reasons, first.daysLate)}.`
+                : `${atRiskUpstream.length} upstream projects this project depends on are at risk.`
+        });
+    }
+
+    if (!onHold && overdueRatio >= weights.overdue_ratio.ratio && totalTasks >= weights.overdue_ratio.minTasks) {
+        add({
+            key: 'overdue_ratio',
+            severity: 'medium',
+            points: weights.overdue_ratio.points,
+            message: `${Math.round(overdueRatio * 100)}% of tracked tasks are overdue.`
+        });
+    }
+
+    score = Math.min(100, Math.round(score));
+    const level = computeRiskLevel(score, model.thresholds);
+
+    return {
+        score,
+        level,
+        metrics: {
+            totalTasks,
+            inFlightTasks,
+            blockedTasks,
+            overdueTasks,
+            overdueRatio: Math.round(overdueRatio * 1000) / 1000,
+            reportStatus: normalizedReportStatus,
+            daysSinceLastReport,
+            daysSinceTaskActivity,
+            scheduleSlipDays: slipDays,
+            wipBreaches: wipBreachCount,
+            costVariancePct: costVariancePct ?? null,
+            upstreamRisks: atRiskUpstream.length,
+            onHold: !!onHold
+        },
+        signals
+    };
+};
+
+// Short label for the model that produced a score; scores without one used the built-in weights.
+export const formatRiskModelVersion = (modelVersion) => (modelVersion
+    ? `Model v${modelVersion.version} · ${modelVersion.name}`
+    : 'Default model');
@@ -0,0 +1,59 @@
+// Daily risk-score snapshots and the trend summaries built from them.
+
+export const RISK_TREND_DAYS = 30;
+export const DEFAULT_RISK_HISTORY_DAYS = 90;
+export const MAX_RISK_HISTORY_DAYS = 365;
+
+const DAY_MS = 86400000;
+
+const toDateKey = (value) => {
+    if (!value) return null;
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) return value;
+    const parsed = new Date(value);
+    return Number.isNaN(parsed.getTime()) ? null : parsed.toISOString().slice(0, 10);
+};
+
+export const normalizeRiskHistoryDays = (value) => {
+    const parsed = Number.parseInt(value, 10);
+    if (!Number.isFinite(parsed) || parsed <= 0) return DEFAULT_RISK_HISTORY_DAYS;
+    return Math.min(MAX_RISK_HISTORY_DAYS, parsed);
+};
+
+/**
+ * Week-over-week movement of a project's score. The comparison point is the latest
+ * snapshot taken at least seven days ago, so a missed snapshot day still yields a delta.
+ * @param {{ date: string, score: number }[]} points ascending by date
+ * @param {number} currentScore live score from the risk model
+ * @returns {{ points: object[], previousScore: number|null, weekDelta: number|null }}
+ */
+export const summarizeRiskTrend = (points, currentScore, today = new Date()) => {
+    const sorted = (Array.isArray(points) ? points : [])
+        .map((point) => ({ ...point, date: toDateKey(point.date), score: Number(point.score) }))
+        .filter((point) => point.date && Number.isFinite(point.score))
+        .sort((a, b) => a.date.localeCompare(b.date));
+    const cutoff = toDateKey(new Date(new Date(today).getTime() - 7 * DAY_MS));
+    const previous = [...sorted].reverse().find((point) => point.date <= cutoff) || null;
+    const current = Number(currentScore);
+    return {
+        points: sorted,
+        previousScore: previous ? previous.score : null,
+        weekDelta: previous && Number.isFinite(current) ? current - previous.score : null
+    };
+};
+
+/**
+ * SVG polyline coordinates for a sparkline over a 0-100 score range.
+ */
+export const buildSparklinePoints = (scores, width, height) => {
+    const values = (Array.isArray(scores) ? scores : []).map(Number).filter(Number.isFinite);
+    if (values.length === 0) return '';
+    const step = values.length > 1 ? width / (values.length - 1) : 0;
+    return values
+        .map((score, index) => {
+            const clamped = Math.max(0, Math.min(100, score));
+            const x = values.length > 1 ? index * step : width / 2;
+            const y = height - (clamped / 100) * height;
+            return `${Math.round(x * 10) / 10},${Math.round(y * 10) / 10}`;
+        })
+        .join(' ');
+};
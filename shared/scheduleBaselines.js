@@ -0,0 +1,64 @@
+export const BASELINE_ITEM_TYPES = Object.freeze({
+    TASK: 'task',
+    MILESTONE: 'milestone'
+});
+
+export const MAX_BASELINE_NAME_LENGTH = 120;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toDateOnly = (value) => {
+    if (!value) return null;
+    const parsed = value instanceof Date ? value : new Date(value);
+    if (Number.isNaN(parsed.getTime())) return null;
+    return parsed.toISOString().slice(0, 10);
+};
+
+const toDayNumber = (value) => {
+    const dateOnly = toDateOnly(value);
+    return dateOnly ? Math.floor(Date.parse(`${dateOnly}T00:00:00Z`) / DAY_MS) : null;
+};
+
+export const getBaselineItemKey = (itemType, itemId) => `${itemType}:${itemId}`;
+
+/**
+ * Compare baseline end dates with current end dates.
+ * slipDays is the movement of the overall finish (latest end date); positive means late.
+ * Items whose current record no longer exists (currentEndDate undefined) are counted as removed.
+ * @param {Array<{ baselineEndDate, currentEndDate }>} items
+ */
+export const computeScheduleVariance = (items = []) => {
+    let baselineFinish = null;
+    let currentFinish = null;
+    let maxItemSlipDays = 0;
+    let slippedItemCount = 0;
+    let comparedItemCount = 0;
+    let removedItemCount = 0;
+
+    (Array.isArray(items) ? items : []).forEach((item) => {
+        if (item?.currentEndDate === undefined) {
+            removedItemCount += 1;
+            return;
+        }
+        const baselineEnd = toDayNumber(item.baselineEndDate);
+        const currentEnd = toDayNumber(item.currentEndDate);
+        if (baselineEnd === null || currentEnd === null) return;
+
+        comparedItemCount += 1;
+        baselineFinish = baselineFinish === null ? baselineEnd : Math.max(baselineFinish, baselineEnd);
+        currentFinish = currentFinish === null ? currentEnd : Math.max(currentFinish, currentEnd);
+        const slip = currentEnd - baselineEnd;
+        if (slip > 0) {
+            slippedItemCount += 1;
+            maxItemSlipDays = Math.max(maxItemSlipDays, slip);
+        }
+    });
+
+    return {
+        slipDays: baselineFinish === null ? 0 : currentFinish - baselineFinish,
+        maxItemSlipDays,
+        slippedItemCount,
+        comparedItemCount,
+        removedItemCount
+    };
+};
@@ -0,0 +1,157 @@
+/**
+ * Stage-gate delivery lifecycle. After intake conversion a project moves through ordered
+ * phases; leaving a phase needs its checklist finished and a governance board approval.
+ */
+export const MAX_STAGE_GATE_PHASES = 10;
+export const MAX_STAGE_GATE_CRITERIA = 10;
+export const MAX_STAGE_GATE_CHECKLIST_ITEMS = 20;
+export const MAX_STAGE_GATE_TEXT_LENGTH = 200;
+export const MAX_STAGE_GATE_PHASE_KEY_LENGTH = 30;
+
+export const GATE_VOTES = {
+    APPROVE: 'approve',
+    REWORK: 'rework'
+};
+
+export const GATE_VOTE_LABELS = {
+    approve: 'Approve',
+    rework: 'Needs rework'
+};
+
+export const GATE_DECISIONS = {
+    APPROVED: 'approved',
+    REWORK: 'rework'
+};
+
+export const GATE_DECISION_LABELS = {
+    approved: 'Approved',
+    rework: 'Sent back for rework'
+};
+
+const KEY_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+const toKey = (value, maxLength) => String(value ?? '')
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, maxLength)
+    .replace(/-+$/g, '');
+
+const checklist = (...labels) => labels.map((label) => ({ id: toKey(label, 40), label }));
+
+export const DEFAULT_STAGE_GATE_PHASES = Object.freeze([
+    {
+        key: 'initiate',
+        name: 'Initiate',
+        criteria: ['Business case and expected benefits are agreed', 'Sponsor and project lead are named'],
+        checklist: checklist('Project charter drafted', 'Stakeholders identified', 'Initial budget estimate recorded')
+    },
+    {
+        key: 'plan',
+        name: 'Plan',
+        criteria: ['Scope, schedule and budget are baselined', 'Key risks have owners and mitigations'],
+        checklist: checklist('Schedule baseline captured', 'Budget lines entered', 'RAID register reviewed')
+    },
+    {
+        key: 'build',
+        name: 'Build',
+        criteria: ['Solution is built and tested', 'Clinical safety and privacy reviews are signed off'],
+        checklist: checklist('Testing complete', 'Clinical safety review complete', 'Privacy impact assessment complete')
+    },
+    {
+        key: 'deploy',
+        name: 'Deploy',
+        criteria: ['Go-live readiness is confirmed', 'Support and training are in place'],
+        checklist: checklist('Go-live plan approved', 'Training delivered', 'Service desk handover done')
+    },
+    {
+        key: 'close',
+        name: 'Close',
+        criteria: ['Benefits tracking is handed to the business', 'Lessons learned are captured'],
+        checklist: checklist('Benefits owner confirmed', 'Lessons learned recorded', 'Open RAID items closed or transferred')
+    }
+]);
+
+const normalizeTextList = (raw, max, label) => {
+    const values = (Array.isArray(raw) ? raw : [])
+        .map((value) => String(value ?? '').trim())
+        .filter(Boolean);
+    if (values.length > max) return { error: `${label} is limited to ${max} entries.` };
+    if (values.some((value) => value.length > MAX_STAGE_GATE_TEXT_LENGTH)) {
+        return { error: `${label} entries must be ${MAX_STAGE_GATE_TEXT_LENGTH} characters or fewer.` };
+    }
+    return { values };
+};
+
+/**
+ * Validate an ordered list of delivery phases with their gate criteria and checklists.
+ * Checklist items keep their id across edits so ticked items survive a model change.
+ * @returns {{ phases: object[] } | { error: string }}
+ */
+export const normalizeStageGatePhases = (raw) => {
+    const source = Array.isArray(raw) ? raw : [];
+    if (source.length < 2) return { error: 'A stage-gate model needs at least two phases.' };
+    if (source.length > MAX_STAGE_GATE_PHASES) {
+        return { error: `Stage-gate models are limited to ${MAX_STAGE_GATE_PHASES} phases.` };
+    }
+
+    const phases = [];
+    const seen = new Set();
+    for (const [index, phase] of source.entries()) {
+        const name = String(phase?.name ?? '').trim().slice(0, 60);
+        if (!name) return { error: `Phase ${index + 1} needs a name.` };
+        const key = phase?.key ? String(phase.key).trim().toLowerCase() : toKey(name, MAX_STAGE_GATE_PHASE_KEY_LENGTH);
+        if (!key || key.length > MAX_STAGE_GATE_PHASE_KEY_LENGTH || !KEY_PATTERN.test(key)) {
+            return { error: `Phase "${name}" needs a key of lowercase letters, numbers and hyphens (max ${MAX_STAGE_GATE_PHASE_KEY_LENGTH}).` };
+        }
+        if (seen.has(key)) return { error: `Phase key "${key}" is used more than once.` };
+        seen.add(key);
+
+        const criteria = normalizeTextList(phase?.criteria, MAX_STAGE_GATE_CRITERIA, `Gate criteria for "${name}"`);
+        if (criteria.error) return criteria;
+
+        const items = (Array.isArray(phase?.checklist) ? phase.checklist : [])
+            .map((item) => (typeof item === 'string' ? { label: item } : item))
+            .filter((item) => String(item?.label ?? '').trim());
+        const labels = normalizeTextList(items.map((item) => item.label), MAX_STAGE_GATE_CHECKLIST_ITEMS, `Checklist for "${name}"`);
+        if (labels.error) return labels;
+        const itemIds = new Set();
+        const checklistItems = labels.values.map((label, itemIndex) => {
+            let id = toKey(items[itemIndex]?.id || label, 40) || `item-${itemIndex + 1}`;
+            while (itemIds.has(id)) id = `${id}-${itemIndex + 1}`;
+            itemIds.add(id);
+            return { id, label };
+        });
+
+        phases.push({ key, name, criteria: criteria.values, checklist: checklistItems });
+    }
+    return { phases };
+};
+
+export const getPhaseIndex = (phases, phaseKey) => (phases || []).findIndex((phase) => phase.key === phaseKey);
+
+export const getNextPhase = (phases, phaseKey) => {
+    const index = getPhaseIndex(phases, phaseKey);
+    return index >= 0 ? phases[index + 1] || null : null;
+};
+
+/**
+ * Checklist progress for one phase. Ids that are no longer on the checklist are ignored.
+ */
+export const getChecklistProgress = (phase, checkedIds = []) => {
+    const items = phase?.checklist || [];
+    const checked = new Set(checkedIds);
+    const checkedCount = items.filter((item) => checked.has(item.id)).length;
+    return {
+        checkedCount,
+        total: items.length,
+        complete: checkedCount === items.length
+    };
+};
+
+export const summarizeGateVotes = (votes = []) => ({
+    voteCount: votes.length,
+    approveCount: votes.filter((vote) => vote.vote === GATE_VOTES.APPROVE).length,
+    reworkCount: votes.filter((vote) => vote.vote === GATE_VOTES.REWORK).length
+});
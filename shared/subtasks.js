@@ -0,0 +1,136 @@
+// Sub-tasks are ordinary tasks with a parentTaskId in the same project. Nesting is capped so
+// tables and the Gantt chart stay readable: a top-level task is level 0.
+export const MAX_SUBTASK_LEVELS = 2;
+
+const toKey = (value) => (value === null || value === undefined || value === '' ? null : String(value));
+
+const toDateKey = (value) => {
+    if (!value) return null;
+    const parsed = value instanceof Date ? value : new Date(value);
+    return Number.isNaN(parsed.getTime()) ? null : parsed.toISOString().slice(0, 10);
+};
+
+/**
+ * Children keyed by parent task id. Tasks whose parent is not in the list count as top-level
+ * (key null), so a filtered list never hides a sub-task.
+ */
+export function buildSubtaskIndex(tasks = []) {
+    const byId = new Map(tasks.map((task) => [toKey(task.id), task]));
+    const children = new Map();
+    tasks.forEach((task) => {
+        const parentKey = toKey(task.parentTaskId);
+        const key = parentKey && byId.has(parentKey) && parentKey !== toKey(task.id) ? parentKey : null;
+        if (!children.has(key)) children.set(key, []);
+        children.get(key).push(task);
+    });
+    return { byId, children };
+}
+
+/**
+ * All sub-tasks below a task, depth first.
+ */
+export function getSubtaskDescendants(tasks, taskId, index = buildSubtaskIndex(tasks)) {
+    const result = [];
+    const seen = new Set([toKey(taskId)]);
+    const visit = (parentKey) => {
+        (index.children.get(parentKey) || []).forEach((child) => {
+            const childKey = toKey(child.id);
+            if (seen.has(childKey)) return;
+            seen.add(childKey);
+            result.push(child);
+            visit(childKey);
+        });
+    };
+    visit(toKey(taskId));
+    return result;
+}
+
+const getTaskLevel = (index, taskId) => {
+    let level = 0;
+    let current = index.byId.get(toKey(taskId));
+    const seen = new Set();
+    while (current && toKey(current.parentTaskId) && !seen.has(toKey(current.id))) {
+        seen.add(toKey(current.id));
+        current = index.byId.get(toKey(current.parentTaskId));
+        if (current) level += 1;
+    }
+    return level;
+};
+
+const getSubtreeHeight = (index, taskId) => {
+    const children = index.children.get(toKey(taskId)) || [];
+    return children.reduce((max, child) => Math.max(max, 1 + getSubtreeHeight(index, child.id)), 0);
+};
+
+/**
+ * Check a parent assignment against the project's tasks ({ id, parentTaskId }).
+ * Pass taskId null for a task that does not exist yet.
+ * @returns {string|null} error message, or null when the assignment is allowed
+ */
+export function validateSubtaskParent(tasks, taskId, parentTaskId) {
+    const parentKey = toKey(parentTaskId);
+    if (!parentKey) return null;
+    const taskKey = toKey(taskId);
+    const index = buildSubtaskIndex(tasks);
+    if (!index.byId.has(parentKey)) {
+        return 'Parent task must belong to the same project.';
+    }
+    if (taskKey && parentKey === taskKey) {
+        return 'A task cannot be its own parent.';
+    }
+    if (taskKey && getSubtaskDescendants(tasks, taskKey, index).some((task) => toKey(task.id) === parentKey)) {
+        return 'A task cannot be moved under one of its own sub-tasks.';
+    }
+    const subtreeHeight = taskKey ? getSubtreeHeight(index, taskKey) : 0;
+    if (getTaskLevel(index, parentKey) + 1 + subtreeHeight > MAX_SUBTASK_LEVELS) {
+        return `Sub-tasks can only be nested ${MAX_SUBTASK_LEVELS} levels deep.`;
+    }
+    return null;
+}
+
+/**
+ * Order tasks so each parent is followed by its sub-tasks. Siblings keep their input order.
+ * @returns {Array<{ task: object, level: number, hasSubtasks: boolean }>}
+ */
+export function orderTasksAsTree(tasks = []) {
+    const index = buildSubtaskIndex(tasks);
+    const rows = [];
+    const seen = new Set();
+    const visit = (parentKey, level) => {
+        (index.children.get(parentKey) || []).forEach((task) => {
+            const key = toKey(task.id);
+            if (seen.has(key)) return;
+            seen.add(key);
+            rows.push({ task, level, hasSubtasks: (index.children.get(key) || []).length > 0 });
+            visit(key, level + 1);
+        });
+    };
+    visit(null, 0);
+    // Anything left is part of a parent cycle in bad data; show it flat rather than dropping it.
+    tasks.forEach((task) => {
+        if (!seen.has(toKey(task.id))) rows.push({ task, level: 0, hasSubtasks: false });
+    });
+    return rows;
+}
+
+/**
+ * Roll sub-task progress and dates up to a parent. Dates span the parent and every descendant.
+ * @param {(task: object) => boolean} isDone
+ * @returns {{ total: number, done: number, percent: number, startDate: string|null, endDate: string|null } | null}
+ *   null when the task has no sub-tasks
+ */
+export function summarizeSubtasks(tasks, taskId, isDone, index = buildSubtaskIndex(tasks)) {
+    const descendants = getSubtaskDescendants(tasks, taskId, index);
+    if (descendants.length === 0) return null;
+    const done = descendants.filter((task) => isDone(task)).length;
+    const spanTasks = [index.byId.get(toKey(taskId)), ...descendants].filter(Boolean);
+    const starts = spanTasks.map((task) => toDateKey(task.startDate || task.endDate)).filter(Boolean).sort();
+    const ends = spanTasks.map((task) => toDateKey(task.endDate || task.startDate)).filter(Boolean).sort();
+    return {
+        total: descendants.length,
+        done,
+        percent: Math.round((done / descendants.length) * 100),
+        startDate: starts[0] || null,
+        endDate: ends[ends.length - 1] || null
+    };
+}
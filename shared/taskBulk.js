@@ -0,0 +1,55 @@
+export const MAX_BULK_TASK_UPDATES = 200;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toDateOnly = (value) => {
+    if (!value) return null;
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) return value;
+    const parsed = new Date(value);
+    if (Number.isNaN(parsed.getTime())) return null;
+    return parsed.toISOString().slice(0, 10);
+};
+
+export const shiftDateOnly = (value, days) => {
+    const dateOnly = toDateOnly(value);
+    if (!dateOnly) return null;
+    return new Date(Date.parse(`${dateOnly}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+};
+
+/**
+ * Turn one bulk action into the per-task payload the bulk endpoint expects.
+ * Date shifts are computed per task so each keeps its own duration; undated tasks are skipped.
+ * @param {Array<{ id, startDate?, endDate?, dueDate? }>} tasks
+ * @param {{ type: string, value: * }} action
+ * @returns {Array<{ taskId: string }>}
+ */
+export const buildBulkTaskUpdates = (tasks = [], { type, value } = {}) => {
+    const list = Array.isArray(tasks) ? tasks : [];
+    switch (type) {
+        case 'status':
+            return list.map((task) => ({ taskId: String(task.id), status: value }));
+        case 'priority':
+            return list.map((task) => ({ taskId: String(task.id), priority: value }));
+        case 'assignee':
+            return list.map((task) => ({ taskId: String(task.id), assigneeOid: value || null }));
+        case 'endDate':
+            return list.map((task) => ({ taskId: String(task.id), endDate: value || null }));
+        case 'shiftDates': {
+            const days = Number.parseInt(value, 10);
+            if (!Number.isInteger(days) || days === 0) return [];
+            return list.reduce((updates, task) => {
+                const startDate = shiftDateOnly(task.startDate, days);
+                const endDate = shiftDateOnly(task.endDate || task.dueDate, days);
+                if (!startDate && !endDate) return updates;
+                updates.push({
+                    taskId: String(task.id),
+                    ...(startDate ? { startDate } : {}),
+                    ...(endDate ? { endDate } : {})
+                });
+                return updates;
+            }, []);
+        }
+        default:
+            return [];
+    }
+};
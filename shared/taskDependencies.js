@@ -0,0 +1,223 @@
+export const TASK_DEPENDENCY_TYPES = Object.freeze({
+    FINISH_TO_START: 'finish-to-start',
+    START_TO_START: 'start-to-start'
+});
+
+export const TASK_DEPENDENCY_TYPE_LABELS = Object.freeze({
+    [TASK_DEPENDENCY_TYPES.FINISH_TO_START]: 'Finish to start',
+    [TASK_DEPENDENCY_TYPES.START_TO_START]: 'Start to start'
+});
+
+export const MAX_DEPENDENCY_LAG_DAYS = 365;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEPENDENCY_TYPE_VALUES = new Set(Object.values(TASK_DEPENDENCY_TYPES));
+
+export const normalizeDependencyType = (value) => {
+    if (value === undefined || value === null || value === '') {
+        return TASK_DEPENDENCY_TYPES.FINISH_TO_START;
+    }
+    const normalized = String(value).trim().toLowerCase();
+    return DEPENDENCY_TYPE_VALUES.has(normalized) ? normalized : null;
+};
+
+export const normalizeLagDays = (value) => {
+    if (value === undefined || value === null || value === '') return 0;
+    const parsed = Number(value);
+    if (!Number.isInteger(parsed)) return null;
+    if (Math.abs(parsed) > MAX_DEPENDENCY_LAG_DAYS) return null;
+    return parsed;
+};
+
+// Convert a date-only value (YYYY-MM-DD, ISO string or Date) to a UTC day number.
+const toDayNumber = (value) => {
+    if (!value) return null;
+    const parsed = value instanceof Date ? value : new Date(value);
+    const time = parsed.getTime();
+    if (Number.isNaN(time)) return null;
+    return Math.floor(Date.UTC(parsed.getUTCFullYear(), parsed.getUTCMonth(), parsed.getUTCDate()) / DAY_MS);
+};
+
+const dayNumberToDateOnly = (dayNumber) => new Date(dayNumber * DAY_MS).toISOString().slice(0, 10);
+
+const getTaskSpan = (task) => {
+    const start = toDayNumber(task?.startDate || task?.dueDate);
+    const end = toDayNumber(task?.endDate || task?.dueDate);
+    if (start === null && end === null) return null;
+    return {
+        start: start ?? end,
+        end: end ?? start
+    };
+};
+
+/**
+ * Check whether linking predecessor -> successor would close a loop in the
+ * existing dependency graph (including a task depending on itself).
+ * @param {Array<{predecessorTaskId, successorTaskId}>} dependencies
+ * @param {number|string} predecessorTaskId
+ * @param {number|string} successorTaskId
+ * @returns {boolean}
+ */
+export function wouldCreateDependencyCycle(dependencies, predecessorTaskId, successorTaskId) {
+    const target = String(predecessorTaskId);
+    const start = String(successorTaskId);
+    if (target === start) return true;
+
+    const successorsByTask = new Map();
+    (Array.isArray(dependencies) ? dependencies : []).forEach((dependency) => {
+        const from = String(dependency.predecessorTaskId);
+        if (!successorsByTask.has(from)) successorsByTask.set(from, []);
+        successorsByTask.get(from).push(String(dependency.successorTaskId));
+    });
+
+    const visited = new Set();
+    const queue = [start];
+    while (queue.length > 0) {
+        const current = queue.shift();
+        if (current === target) return true;
+        if (visited.has(current)) continue;
+        visited.add(current);
+        (successorsByTask.get(current) || []).forEach((next) => {
+            if (!visited.has(next)) queue.push(next);
+        });
+    }
+    return false;
+}
+
+/**
+ * Earliest date-only start the successor may have under a dependency.
+ * Finish-to-start successors start the day after the predecessor ends (plus lag);
+ * start-to-start successors start no earlier than the predecessor (plus lag).
+ */
+const getEarliestSuccessorStart = (dependency, predecessorSpan) => {
+    const lagDays = Number(dependency.lagDays || 0);
+    if (dependency.dependencyType === TASK_DEPENDENCY_TYPES.START_TO_START) {
+        return predecessorSpan.start + lagDays;
+    }
+    return predecessorSpan.end + 1 + lagDays;
+};
+
+/**
+ * Find dependencies whose successor is scheduled before its predecessor allows.
+ * Tasks without dates are ignored.
+ * @param {Array} tasks - [{id, startDate, endDate}]
+ * @param {Array} dependencies - [{id, predecessorTaskId, successorTaskId, dependencyType, lagDays}]
+ * @returns {Array<{dependencyId, predecessorTaskId, successorTaskId, dependencyType, lagDays, earliestStart, daysEarly}>}
+ */
+export function findDependencyViolations(tasks, dependencies) {
+    const spanByTask = new Map();
+    (Array.isArray(tasks) ? tasks : []).forEach((task) => {
+        const span = getTaskSpan(task);
+        if (span) spanByTask.set(String(task.id), span);
+    });
+
+    const violations = [];
+    (Array.isArray(dependencies) ? dependencies : []).forEach((dependency) => {
+        const predecessorSpan = spanByTask.get(String(dependency.predecessorTaskId));
+        const successorSpan = spanByTask.get(String(dependency.successorTaskId));
+        if (!predecessorSpan || !successorSpan) return;
+
+        const earliestStart = getEarliestSuccessorStart(dependency, predecessorSpan);
+        if (successorSpan.start < earliestStart) {
+            violations.push({
+                dependencyId: dependency.id === undefined ? null : String(dependency.id),
+                predecessorTaskId: String(dependency.predecessorTaskId),
+                successorTaskId: String(dependency.successorTaskId),
+                dependencyType: dependency.dependencyType,
+                lagDays: Number(dependency.lagDays || 0),
+                earliestStart: dayNumberToDateOnly(earliestStart),
+                daysEarly: earliestStart - successorSpan.start
+            });
+        }
+    });
+    return violations;
+}
+
+/**
+ * Compute the critical path of a project's dated tasks.
+ *
+ * Runs a backward pass from the latest task end date through the dependency
+ * graph; tasks with no remaining slack against that finish are critical.
+ * @param {Array} tasks - [{id, startDate, endDate}]
+ * @param {Array} dependencies - [{id, predecessorTaskId, successorTaskId, dependencyType, lagDays}]
+ * @returns {{ taskIds: Set<string>, dependencyIds: Set<string>, slackByTask: Map<string, number> }}
+ */
+export function computeCriticalPath(tasks, dependencies) {
+    const spanByTask = new Map();
+    (Array.isArray(tasks) ? tasks : []).forEach((task) => {
+        const span = getTaskSpan(task);
+        if (span) spanByTask.set(String(task.id), span);
+    });
+
+    const result = { taskIds: new Set(), dependencyIds: new Set(), slackByTask: new Map() };
+    if (spanByTask.size === 0) return result;
+
+    const edges = (Array.isArray(dependencies) ? dependencies : [])
+        .map((dependency) => ({
+            id: dependency.id === undefined ? null : String(dependency.id),
+            from: String(dependency.predecessorTaskId),
+            to: String(dependency.successorTaskId),
+            dependencyType: dependency.dependencyType,
+            lagDays: Number(dependency.lagDays || 0)
+        }))
+        .filter((edge) => spanByTask.has(edge.from) && spanByTask.has(edge.to));
+
+    const outgoing = new Map();
+    const inDegree = new Map();
+    spanByTask.forEach((_span, taskId) => {
+        outgoing.set(taskId, []);
+        inDegree.set(taskId, 0);
+    });
+    edges.forEach((edge) => {
+        outgoing.get(edge.from).push(edge);
+        inDegree.set(edge.to, inDegree.get(edge.to) + 1);
+    });
+
+    // Kahn topological order; tasks caught in a cycle are left out of the pass.
+    const order = [];
+    const queue = [...inDegree.entries()].filter(([, degree]) => degree === 0).map(([taskId]) => taskId);
+    while (queue.length > 0) {
+        const taskId = queue.shift();
+        order.push(taskId);
+        outgoing.get(taskId).forEach((edge) => {
+            const remaining = inDegree.get(edge.to) - 1;
+            inDegree.set(edge.to, remaining);
+            if (remaining === 0) queue.push(edge.to);
+        });
+    }
+
+    const projectFinish = Math.max(...[...spanByTask.values()].map((span) => span.end));
+    const lateStart = new Map();
+
+    for (let index = order.length - 1; index >= 0; index -= 1) {
+        const taskId = order[index];
+        const span = spanByTask.get(taskId);
+        const duration = span.end - span.start;
+        let lateFinish = projectFinish;
+        outgoing.get(taskId).forEach((edge) => {
+            const successorLateStart = lateStart.get(edge.to);
+            if (successorLateStart === undefined) return;
+            const limit = edge.dependencyType === TASK_DEPENDENCY_TYPES.START_TO_START
+                ? successorLateStart - edge.lagDays + duration
+                : successorLateStart - 1 - edge.lagDays;
+            lateFinish = Math.min(lateFinish, limit);
+        });
+        const taskLateStart = lateFinish - duration;
+        lateStart.set(taskId, taskLateStart);
+        const slack = taskLateStart - span.start;
+        result.slackByTask.set(taskId, slack);
+        if (slack <= 0) result.taskIds.add(taskId);
+    }
+
+    edges.forEach((edge) => {
+        if (!edge.id || !result.taskIds.has(edge.from) || !result.taskIds.has(edge.to)) return;
+        const predecessorSpan = spanByTask.get(edge.from);
+        const successorSpan = spanByTask.get(edge.to);
+        const earliestStart = getEarliestSuccessorStart(edge, predecessorSpan);
+        if (successorSpan.start <= earliestStart) {
+            result.dependencyIds.add(edge.id);
+        }
+    });
+
+    return result;
+}
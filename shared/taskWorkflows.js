@@ -0,0 +1,168 @@
+/**
+ * Task workflow states. Each state maps onto one category so risk, progress and My Work
+ * logic can reason about custom states without knowing their names:
+ *   open    - not started
+ *   active  - in flight
+ *   blocked - waiting on something outside the team
+ *   done    - complete
+ */
+export const TASK_STATUS_CATEGORIES = ['open', 'active', 'blocked', 'done'];
+
+export const TASK_STATUS_CATEGORY_LABELS = {
+    open: 'Not started',
+    active: 'In flight',
+    blocked: 'Blocked',
+    done: 'Done'
+};
+
+export const MAX_WORKFLOW_STATES = 12;
+export const MAX_WORKFLOW_STATE_KEY_LENGTH = 20;
+export const MAX_WORKFLOW_NAME_LENGTH = 255;
+
+const STATE_KEY_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+
+// Built-in statuses predate workflows; every task without a custom workflow uses these.
+export const DEFAULT_TASK_WORKFLOW_STATES = Object.freeze([
+    { key: 'todo', label: 'To Do', category: 'open', color: '#64748b', transitions: [] },
+    { key: 'in-progress', label: 'In Progress', category: 'active', color: '#3b82f6', transitions: [] },
+    { key: 'blocked', label: 'Blocked', category: 'blocked', color: '#ef4444', transitions: [] },
+    { key: 'review', label: 'Review', category: 'active', color: '#00558c', transitions: [] },
+    { key: 'done', label: 'Done', category: 'done', color: '#22c55e', transitions: [] }
+]);
+
+const BUILTIN_STATUS_CATEGORIES = new Map(DEFAULT_TASK_WORKFLOW_STATES.map((state) => [state.key, state.category]));
+
+const CATEGORY_COLORS = {
+    open: '#64748b',
+    active: '#3b82f6',
+    blocked: '#ef4444',
+    done: '#22c55e'
+};
+
+export const toWorkflowStateKey = (value) => String(value ?? '')
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, MAX_WORKFLOW_STATE_KEY_LENGTH)
+    .replace(/-+$/g, '');
+
+/**
+ * Validate an ordered list of workflow states.
+ * Transitions list the states a task may move to next; an empty list allows any move.
+ * @returns {{ states: object[] } | { error: string }}
+ */
+export const normalizeWorkflowStates = (raw) => {
+    const source = Array.isArray(raw) ? raw : [];
+    if (source.length === 0) return { error: 'A workflow needs at least one state.' };
+    if (source.length > MAX_WORKFLOW_STATES) {
+        return { error: `Workflows are limited to ${MAX_WORKFLOW_STATES} states.` };
+    }
+
+    const states = [];
+    const seen = new Set();
+    for (const [index, state] of source.entries()) {
+        const label = String(state?.label ?? '').trim().slice(0, 60);
+        if (!label) return { error: `State ${index + 1} needs a label.` };
+        const key = state?.key ? String(state.key).trim().toLowerCase() : toWorkflowStateKey(label);
+        if (!key || key.length > MAX_WORKFLOW_STATE_KEY_LENGTH || !STATE_KEY_PATTERN.test(key)) {
+            return { error: `State "${label}" needs a key of lowercase letters, numbers and hyphens (max ${MAX_WORKFLOW_STATE_KEY_LENGTH}).` };
+        }
+        if (seen.has(key)) return { error: `State key "${key}" is used more than once.` };
+        seen.add(key);
+        const category = String(state?.category || '').trim().toLowerCase();
+        if (!TASK_STATUS_CATEGORIES.includes(category)) {
+            return { error: `State "${label}" needs a category of ${TASK_STATUS_CATEGORIES.join(', ')}.` };
+        }
+        const color = COLOR_PATTERN.test(String(state?.color || '')) ? state.color : CATEGORY_COLORS[category];
+        states.push({
+            key,
+            label,
+            category,
+            color,
+            transitions: Array.isArray(state?.transitions) ? state.transitions.map((value) => String(value).trim().toLowerCase()) : []
+        });
+    }
+
+    for (const state of states) {
+        const unknown = state.transitions.find((target) => !seen.has(target));
+        if (unknown) return { error: `State "${state.label}" allows a move to unknown state "${unknown}".` };
+        state.transitions = [...new Set(state.transitions.filter((target) => target !== state.key))];
+    }
+    if (!states.some((state) => state.category === 'open')) {
+        return { error: 'A workflow needs at least one not-started (open) state.' };
+    }
+    if (!states.some((state) => state.category === 'done')) {
+        return { error: 'A workflow needs at least one done state.' };
+    }
+
+    return { states };
+};
+
+export const getWorkflowStates = (workflow) => (
+    Array.isArray(workflow?.states) && workflow.states.length > 0 ? workflow.states : DEFAULT_TASK_WORKFLOW_STATES
+);
+
+export const findWorkflowState = (states, key) => {
+    const normalizedKey = String(key ?? '').toLowerCase();
+    return (states || DEFAULT_TASK_WORKFLOW_STATES).find((state) => state.key === normalizedKey) || null;
+};
+
+/** New tasks start in the first not-started state. */
+export const getInitialWorkflowStatus = (states) => {
+    const list = states && states.length > 0 ? states : DEFAULT_TASK_WORKFLOW_STATES;
+    return (list.find((state) => state.category === 'open') || list[0]).key;
+};
+
+export const getStatusCategory = (status, states = DEFAULT_TASK_WORKFLOW_STATES) => {
+    const state = findWorkflowState(states, status);
+    if (state) return state.category;
+    return BUILTIN_STATUS_CATEGORIES.get(String(status ?? '').toLowerCase()) || 'open';
+};
+
+/**
+ * Category for a task as loaded from the API. The server stores it alongside the status,
+ * so prefer that and fall back to the workflow or built-in mapping for older payloads.
+ */
+export const getTaskStatusCategory = (task, states) => {
+    if (task?.statusCategory && TASK_STATUS_CATEGORIES.includes(task.statusCategory)) return task.statusCategory;
+    return getStatusCategory(task?.status || 'todo', states);
+};
+
+export const isTaskDone = (task, states) => getTaskStatusCategory(task, states) === 'done';
+
+export const getStatusLabel = (status, states) => {
+    const state = findWorkflowState(states, status) || findWorkflowState(DEFAULT_TASK_WORKFLOW_STATES, status);
+    return state ? state.label : String(status || 'todo').replace(/-/g, ' ');
+};
+
+export const getStatusColor = (status, states) => {
+    const state = findWorkflowState(states, status);
+    return state ? state.color : CATEGORY_COLORS[getStatusCategory(status, states)];
+};
+
+/**
+ * Whether a task may move between two states. Unknown current states (left over after a
+ * workflow change) may move anywhere so tasks never get stuck.
+ */
+export const isWorkflowTransitionAllowed = (states, fromStatus, toStatus) => {
+    if (!findWorkflowState(states, toStatus)) return false;
+    if (String(fromStatus ?? '').toLowerCase() === String(toStatus).toLowerCase()) return true;
+    const fromState = findWorkflowState(states, fromStatus);
+    if (!fromState || fromState.transitions.length === 0) return true;
+    return fromState.transitions.includes(String(toStatus).toLowerCase());
+};
+
+/**
+ * Map a requested status (often a built-in one from kickoff plans or templates) onto a
+ * workflow: exact key first, then the first state with the same category.
+ */
+export const resolveWorkflowStatus = (states, requestedStatus) => {
+    const list = states && states.length > 0 ? states : DEFAULT_TASK_WORKFLOW_STATES;
+    const exact = findWorkflowState(list, requestedStatus);
+    if (exact) return exact.key;
+    const category = BUILTIN_STATUS_CATEGORIES.get(String(requestedStatus ?? '').toLowerCase());
+    const sameCategory = category ? list.find((state) => state.category === category) : null;
+    return sameCategory ? sameCategory.key : getInitialWorkflowStatus(list);
+};
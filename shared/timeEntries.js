@@ -0,0 +1,131 @@
+export const MAX_TIME_ENTRY_HOURS = 24;
+export const MAX_TIME_ENTRY_NOTE_LENGTH = 500;
+export const MAX_TASK_ESTIMATE_HOURS = 9999;
+
+// Governance capacity averages logged effort over this many trailing weeks.
+export const BURN_WINDOW_WEEKS = 4;
+
+export const TIME_SUMMARY_GROUPS = Object.freeze(['project', 'user', 'week']);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const roundHours = (value) => Math.round(value * 100) / 100;
+
+const toDateOnly = (value) => {
+    if (!value) return null;
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) return value;
+    const parsed = value instanceof Date ? value : new Date(value);
+    if (Number.isNaN(parsed.getTime())) return null;
+    return parsed.toISOString().slice(0, 10);
+};
+
+const addDays = (dateOnly, days) => new Date(Date.parse(`${dateOnly}T00:00:00Z`) + days * DAY_MS)
+    .toISOString()
+    .slice(0, 10);
+
+/**
+ * Hours for a single entry: positive, at most one day, rounded to the two decimals the column stores.
+ * @returns {number|null} null when the value is not a loggable amount
+ */
+export const normalizeTimeEntryHours = (value) => {
+    if (value === undefined || value === null || value === '') return null;
+    const parsed = Number(value);
+    if (!Number.isFinite(parsed) || parsed <= 0 || parsed > MAX_TIME_ENTRY_HOURS) return null;
+    return roundHours(parsed);
+};
+
+/**
+ * Task estimate in hours. Empty clears the estimate.
+ * @returns {number|null|undefined} undefined when the value is invalid
+ */
+export const normalizeEstimatedHours = (value) => {
+    if (value === null || value === '') return null;
+    const parsed = Number(value);
+    if (!Number.isFinite(parsed) || parsed < 0 || parsed > MAX_TASK_ESTIMATE_HOURS) return undefined;
+    return roundHours(parsed);
+};
+
+/**
+ * Monday of the ISO week containing the given date.
+ * @returns {string|null} YYYY-MM-DD
+ */
+export const getWeekStart = (value = new Date()) => {
+    const dateOnly = toDateOnly(value);
+    if (!dateOnly) return null;
+    const weekday = new Date(`${dateOnly}T00:00:00Z`).getUTCDay();
+    return addDays(dateOnly, -((weekday + 6) % 7));
+};
+
+export const buildWeekDays = (weekStart) => {
+    const start = getWeekStart(weekStart);
+    return start ? Array.from({ length: 7 }, (_, index) => addDays(start, index)) : [];
+};
+
+export const shiftWeek = (weekStart, weeks) => {
+    const start = getWeekStart(weekStart);
+    return start ? addDays(start, weeks * 7) : null;
+};
+
+/**
+ * Pivot one user's entries into a task x weekday grid.
+ * @param {Array<{ taskId, taskTitle, projectId, projectTitle, entryDate, hours }>} entries
+ * @returns {{ weekStart: string, days: string[], rows: object[], dayTotals: number[], total: number }}
+ */
+export const summarizeTimesheet = (entries = [], weekStart) => {
+    const days = buildWeekDays(weekStart);
+    const dayIndex = new Map(days.map((day, index) => [day, index]));
+    const rowsByTask = new Map();
+    const dayTotals = days.map(() => 0);
+
+    (Array.isArray(entries) ? entries : []).forEach((entry) => {
+        const index = dayIndex.get(toDateOnly(entry?.entryDate));
+        const hours = Number(entry?.hours);
+        if (index === undefined || !Number.isFinite(hours)) return;
+
+        const key = String(entry.taskId);
+        if (!rowsByTask.has(key)) {
+            rowsByTask.set(key, {
+                taskId: key,
+                taskTitle: entry.taskTitle || 'Untitled task',
+                projectId: entry.projectId === undefined || entry.projectId === null ? null : String(entry.projectId),
+                projectTitle: entry.projectTitle || null,
+                hoursByDay: days.map(() => 0),
+                total: 0
+            });
+        }
+        const row = rowsByTask.get(key);
+        row.hoursByDay[index] = roundHours(row.hoursByDay[index] + hours);
+        row.total = roundHours(row.total + hours);
+        dayTotals[index] = roundHours(dayTotals[index] + hours);
+    });
+
+    const rows = [...rowsByTask.values()].sort((a, b) => (
+        String(a.projectTitle || '').localeCompare(String(b.projectTitle || ''))
+        || a.taskTitle.localeCompare(b.taskTitle)
+    ));
+    return {
+        weekStart: days[0] || null,
+        days,
+        rows,
+        dayTotals,
+        total: roundHours(dayTotals.reduce((sum, hours) => sum + hours, 0))
+    };
+};
+
+/**
+ * Estimate vs actual for a task. remainingHours never goes negative; overrunHours carries the excess.
+ */
+export const getEffortProgress = (estimatedHours, actualHours) => {
+    const estimate = estimatedHours === null || estimatedHours === undefined ? null : Number(estimatedHours);
+    const actual = roundHours(Number(actualHours) || 0);
+    if (estimate === null || !Number.isFinite(estimate) || estimate <= 0) {
+        return { estimatedHours: null, actualHours: actual, remainingHours: null, overrunHours: 0, percentUsed: null };
+    }
+    return {
+        estimatedHours: estimate,
+        actualHours: actual,
+        remainingHours: roundHours(Math.max(0, estimate - actual)),
+        overrunHours: roundHours(Math.max(0, actual - estimate)),
+        percentUsed: Math.round((actual / estimate) * 100)
+    };
+};
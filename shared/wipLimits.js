@@ -0,0 +1,71 @@
+/**
+ * Kanban WIP limits. A project may cap the number of tasks in any board column (task status).
+ * Columns over their cap are breaches; with enforcement on, moves that would push a column
+ * past its cap are refused.
+ */
+export const MAX_WIP_LIMIT = 999;
+
+/**
+ * Validate a { [status]: limit } map against the project's workflow states.
+ * A null or empty limit clears the cap for that column.
+ * @returns {{ limits: Record<string, number> } | { error: string }}
+ */
+export const normalizeWipLimits = (raw, states = []) => {
+    if (raw === null || raw === undefined) return { limits: {} };
+    if (typeof raw !== 'object' || Array.isArray(raw)) {
+        return { error: 'wipLimits must be an object keyed by task status' };
+    }
+
+    const stateKeys = new Set(states.map((state) => state.key));
+    const limits = {};
+    for (const [status, value] of Object.entries(raw)) {
+        if (!stateKeys.has(status)) {
+            return { error: `wipLimits references unknown status "${status}"` };
+        }
+        if (value === null || value === '') continue;
+        const parsed = Number(value);
+        if (!Number.isInteger(parsed) || parsed < 1 || parsed > MAX_WIP_LIMIT) {
+            return { error: `wipLimits.${status} must be null or an integer between 1 and ${MAX_WIP_LIMIT}` };
+        }
+        limits[status] = parsed;
+    }
+    return { limits };
+};
+
+export const countTasksByStatus = (tasks = []) => {
+    const counts = {};
+    for (const task of tasks) {
+        if (!task?.status) continue;
+        counts[task.status] = (counts[task.status] || 0) + 1;
+    }
+    return counts;
+};
+
+/**
+ * Columns holding more tasks than their limit.
+ * @returns {{ status: string, taskCount: number, wipLimit: number }[]}
+ */
+export const findWipBreaches = (tasks = [], limits = {}) => {
+    const counts = countTasksByStatus(tasks);
+    return Object.entries(limits)
+        .filter(([status, wipLimit]) => (counts[status] || 0) > wipLimit)
+        .map(([status, wipLimit]) => ({ status, taskCount: counts[status], wipLimit }));
+};
+
+/**
+ * Whether moving tasks into a column would take it past its limit. Tasks already in the
+ * target column do not count as moving, so re-saving a task in an over-limit column still works.
+ * @returns {{ status: string, taskCount: number, wipLimit: number } | null}
+ */
+export const getWipLimitViolation = ({ tasks = [], limits = {}, targetStatus, movingTaskIds = [] }) => {
+    const wipLimit = limits[targetStatus];
+    if (!wipLimit) return null;
+    const inColumn = new Set(tasks.filter((task) => task.status === targetStatus).map((task) => String(task.id)));
+    const incoming = new Set(movingTaskIds.map(String).filter((taskId) => !inColumn.has(taskId)));
+    if (incoming.size === 0 || inColumn.size + incoming.size <= wipLimit) return null;
+    return { status: targetStatus, taskCount: inColumn.size, wipLimit };
+};
+
+export const formatWipLimitViolation = (violation, label = violation.status) => (
+    `WIP limit reached for ${label} (${violation.taskCount}/${violation.wipLimit}). Finish or move work out of the column first.`
+);
@@ -1,10 +1,16 @@
 import React, { useState, useEffect, useCallback, useMemo } from 'react';
 import { useData } from '../../context/DataContext';
-import { Save, Shield, AlertTriangle, RefreshCw, Tag, Activity, Scale, Building2 } from 'lucide-react';
+import { Save, Shield, AlertTriangle, RefreshCw, Tag, Activity, Scale, Building2, LayoutTemplate, Workflow, Flag, Gauge, ListPlus, FileSpreadsheet } from 'lucide-react';
 import { useToast } from '../../context/ToastContext';
 import { TagManager } from './TagManager';
+import { ProjectTemplateManager } from './ProjectTemplateManager';
+import { TaskWorkflowManager } from './TaskWorkflowManager';
 import { AuditLogView } from './AuditLogView';
 import { GovernanceConfig } from './GovernanceConfig';
+import { StageGateModelManager } from './StageGateModelManager';
+import { RiskModelManager } from './RiskModelManager';
+import { CustomFieldManager } from './CustomFieldManager';
+import { DataImportWizard } from './DataImportWizard';
 import { OrganizationManager } from './OrganizationManager';
 import './AdminPanel.css';
 
@@ -28,8 +34,13 @@ export function AdminPanel({
     const [activeTabState, setActiveTabState] = useState('permissions');
     const canManageRolePermissions = hasPermission('can_manage_role_permissions');
     const canManageTags = hasPermission('can_manage_tags');
+    const canManageProjectTemplates = hasPermission('can_manage_project_templates');
+    const canManageTaskWorkflows = hasPermission('can_manage_task_workflows');
     const canViewAuditLog = hasPermission('can_view_audit_log');
     const canManageGovernance = hasPermission('can_manage_governance');
+    const canManageRiskModel = hasPermission('can_manage_risk_model');
+    const canManageCustomFields = hasPermission('can_manage_custom_fields');
+    const canImportData = hasPermission('can_import_data');
     const canManageOrganizations = hasPermission('can_manage_organizations') || hasPermission('can_manage_sharing_requests');
 
     const fallbackPermissionGroups = useMemo(() => ([
@@ -104,6 +115,11 @@ export function AdminPanel({
             category: 'Admin',
             items: [
                 { key: 'can_manage_tags', label: 'Manage Tags & Groups' },
+                { key: 'can_manage_project_templates', label: 'Manage Project Templates' },
+                { key: 'can_manage_task_workflows', label: 'Manage Task Workflows' },
+                { key: 'can_manage_risk_model', label: 'Manage Risk Model' },
+                { key: 'can_manage_custom_fields', label: 'Manage Custom Fields' },
+                { key: 'can_import_data', label: 'Import Spreadsheets' },
                 { key: 'can_manage_sharing_requests', label: 'Manage Sharing Requests' },
                 { key: 'can_manage_organizations', label: 'Manage Organizations' },
                 { key: 'can_manage_role_permissions', label: 'Manage Role Permissions' },
@@ -167,8 +183,14 @@ export function AdminPanel({
     const availableTabs = [
         canManageRolePermissions ? 'permissions' : null,
         canManageTags ? 'tags' : null,
+        canManageProjectTemplates ? 'templates' : null,
+        canManageTaskWorkflows ? 'workflows' : null,
         canViewAuditLog ? 'audit-log' : null,
         canManageGovernance ? 'governance' : null,
+        canManageGovernance ? 'stage-gates' : null,
+        canManageRiskModel ? 'risk-model' : null,
+        canManageCustomFields ? 'custom-fields' : null,
+        canImportData ? 'import' : null,
         canManageOrganizations ? 'organizations' : null
     ].filter(Boolean);
     const isActiveTabControlled = typeof onTabChange === 'function';
@@ -398,6 +420,22 @@ export function AdminPanel({
                             <Tag size={16} /> Tag Management
                         </button>
                     )}
+                    {canManageProjectTemplates && (
+                        <button
+                            className={`admin-tab ${activeTab === 'templates' ? 'active' : ''}`}
+                            onClick={() => openAdminTab('templates')}
+                        >
+                            <LayoutTemplate size={16} /> Project Templates
+                        </button>
+                    )}
+                    {canManageTaskWorkflows && (
+                        <button
+                            className={`admin-tab ${activeTab === 'workflows' ? 'active' : ''}`}
+                            onClick={() => openAdminTab('workflows')}
+                        >
+                            <Workflow size={16} /> Task Workflows
+                        </button>
+                    )}
                     {canViewAuditLog && (
                         <button
                             className={`admin-tab ${activeTab === 'audit-log' ? 'active' : ''}`}
@@ -414,6 +452,38 @@ export function AdminPanel({
                             <Scale size={16} /> Governance
                         </button>
                     )}
+                    {canManageGovernance && (
+                        <button
+                            className={`admin-tab ${activeTab === 'stage-gates' ? 'active' : ''}`}
+                            onClick={() => openAdminTab('stage-gates')}
+                        >
+                            <Flag size={16} /> Stage Gates
+                        </button>
+                    )}
+                    {canManageRiskModel && (
+                        <button
+                            className={`admin-tab ${activeTab === 'risk-model' ? 'active' : ''}`}
+                            onClick={() => openAdminTab('risk-model')}
+                        >
+                            <Gauge size={16} /> Risk Model
+                        </button>
+                    )}
+                    {canManageCustomFields && (
+                        <button
+                            className={`admin-tab ${activeTab === 'custom-fields' ? 'active' : ''}`}
+                            onClick={() => openAdminTab('custom-fields')}
+                        >
+                            <ListPlus size={16} /> Custom Fields
+                        </button>
+                    )}
+                    {canImportData && (
+                        <button
+                            className={`admin-tab ${activeTab === 'import' ? 'active' : ''}`}
+                            onClick={() => openAdminTab('import')}
+                        >
+                            <FileSpreadsheet size={16} /> Import
+                        </button>
+                    )}
                     {canManageOrganizations && (
                         <button
                             className={`admin-tab ${activeTab === 'organizations' ? 'active' : ''}`}
@@ -594,6 +664,14 @@ export function AdminPanel({
                         <TagManager />
                     )}
 
+                    {activeTab === 'templates' && canManageProjectTemplates && (
+                        <ProjectTemplateManager />
+                    )}
+
+                    {activeTab === 'workflows' && canManageTaskWorkflows && (
+                        <TaskWorkflowManager />
+                    )}
+
                     {activeTab === 'audit-log' && canViewAuditLog && (
                         <AuditLogView />
                     )}
@@ -605,6 +683,22 @@ export function AdminPanel({
                         />
                     )}
 
+                    {activeTab === 'stage-gates' && canManageGovernance && (
+                        <StageGateModelManager />
+                    )}
+
+                    {activeTab === 'risk-model' && canManageRiskModel && (
+                        <RiskModelManager />
+                    )}
+
+                    {activeTab === 'custom-fields' && canManageCustomFields && (
+                        <CustomFieldManager />
+                    )}
+
+                    {activeTab === 'import' && canImportData && (
+                        <DataImportWizard />
+                    )}
+
                     {activeTab === 'organizations' && canManageOrganizations && (
                         <OrganizationManager
                             initialSection={organizationSection}
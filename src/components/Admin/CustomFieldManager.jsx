@@ -0,0 +1,295 @@
+import { useCallback, useEffect, useState } from 'react';
+import { AlertTriangle, Edit2, Plus, Save, Trash2, X } from 'lucide-react';
+import { useData } from '../../context/DataContext';
+import { useToast } from '../../context/ToastContext';
+import {
+    CUSTOM_FIELD_TYPES,
+    MAX_CUSTOM_FIELD_LABEL_LENGTH,
+    getCustomFieldTypeLabel,
+    normalizeCustomFieldDefinition
+} from '../../../shared/customFields.js';
+import './ProjectTemplateManager.css';
+
+const ENTITY_TABS = [
+    { key: 'project', label: 'Project fields' },
+    { key: 'task', label: 'Task fields' }
+];
+
+const OPTION_TYPES = new Set(['select', 'multi-select']);
+
+const EMPTY_DRAFT = {
+    id: null,
+    label: '',
+    fieldType: 'text',
+    optionsText: '',
+    isRequired: false,
+    isActive: true,
+    sortOrder: '0'
+};
+
+const toDraft = (definition) => ({
+    id: definition.id,
+    label: definition.label,
+    fieldType: definition.fieldType,
+    optionsText: definition.options.join('\n'),
+    isRequired: definition.isRequired,
+    isActive: definition.isActive,
+    sortOrder: String(definition.sortOrder)
+});
+
+/**
+ * Organization-defined fields on projects and tasks. Deactivating a field hides it and keeps
+ * its stored values; deleting removes the values too.
+ */
+export function CustomFieldManager() {
+    const {
+        fetchCustomFieldDefinitions, createCustomFieldDefinition, updateCustomFieldDefinition,
+        deleteCustomFieldDefinition, fetchOrganizations, currentUser, hasRole
+    } = useData();
+    const { success, error: showError } = useToast();
+    const isAdmin = hasRole('Admin');
+
+    const [organizations, setOrganizations] = useState([]);
+    const [orgId, setOrgId] = useState(currentUser?.orgId ? String(currentUser.orgId) : '');
+    const [entityType, setEntityType] = useState('project');
+    const [schemaReady, setSchemaReady] = useState(true);
+    const [definitions, setDefinitions] = useState([]);
+    const [draft, setDraft] = useState(null);
+    const [saving, setSaving] = useState(false);
+
+    const loadDefinitions = useCallback(async () => {
+        if (!orgId) {
+            setDefinitions([]);
+            return;
+        }
+        try {
+            const data = await fetchCustomFieldDefinitions({ orgId, entityType, includeInactive: true });
+            setSchemaReady(data?.schemaReady !== false);
+            setDefinitions(Array.isArray(data?.definitions) ? data.definitions : []);
+        } catch (err) {
+            showError(err.message);
+        }
+    }, [orgId, entityType, fetchCustomFieldDefinitions, showError]);
+
+    useEffect(() => {
+        loadDefinitions();
+        setDraft(null);
+    }, [loadDefinitions]);
+
+    useEffect(() => {
+        if (!isAdmin) return;
+        fetchOrganizations()
+            .then((orgs) => setOrganizations(Array.isArray(orgs) ? orgs : []))
+            .catch((err) => console.warn('Failed to load organizations for custom fields', err));
+    }, [fetchOrganizations, isAdmin]);
+
+    const updateDraft = (patch) => setDraft((prev) => ({ ...prev, ...patch }));
+
+    const handleSave = async () => {
+        const existing = draft.id ? definitions.find((definition) => definition.id === draft.id) : null;
+        const normalized = normalizeCustomFieldDefinition({
+            entityType,
+            label: draft.label,
+            fieldType: draft.fieldType,
+            options: draft.optionsText.split('\n'),
+            isRequired: draft.isRequired,
+            isActive: draft.isActive,
+            sortOrder: draft.sortOrder
+        }, existing);
+        if (normalized.error) {
+            showError(normalized.error);
+            return;
+        }
+        setSaving(true);
+        try {
+            if (existing) {
+                await updateCustomFieldDefinition(existing.id, normalized.definition);
+                success(`Updated "${normalized.definition.label}"`);
+            } else {
+                await createCustomFieldDefinition(orgId, normalized.definition);
+                success(`Added "${normalized.definition.label}"`);
+            }
+            setDraft(null);
+            await loadDefinitions();
+        } catch (err) {
+            showError(err.message || 'Failed to save custom field');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleToggleActive = async (definition) => {
+        setSaving(true);
+        try {
+            await updateCustomFieldDefinition(definition.id, { isActive: !definition.isActive });
+            await loadDefinitions();
+        } catch (err) {
+            showError(err.message || 'Failed to update custom field');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleDelete = async (definition) => {
+        if (!window.confirm(`Delete "${definition.label}" and every value stored in it? Deactivate the field instead to keep the values.`)) {
+            return;
+        }
+        setSaving(true);
+        try {
+            await deleteCustomFieldDefinition(definition.id);
+            success(`Deleted "${definition.label}"`);
+            if (draft?.id === definition.id) setDraft(null);
+            await loadDefinitions();
+        } catch (err) {
+            showError(err.message || 'Failed to delete custom field');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    if (!schemaReady) {
+        return (
+            <div className="empty-state">
+                <AlertTriangle size={40} />
+                <h3>Custom fields are not installed</h3>
+                <p>Run <code>npm run setup-db:full</code> in <code>server</code> to enable custom fields.</p>
+            </div>
+        );
+    }
+
+    return (
+        <div className="project-template-manager">
+            <div className="project-template-header">
+                <p className="form-hint">
+                    Extra fields shown on every project or task in the organization. Select, multi-select and user fields can be used as filters on the board and in reports.
+                </p>
+                {isAdmin && (
+                    <select value={orgId} onChange={(e) => setOrgId(e.target.value)} aria-label="Organization">
+                        <option value="">Select organization</option>
+                        {organizations.map((org) => (
+                            <option key={org.id} value={String(org.id)}>{org.name}</option>
+                        ))}
+                    </select>
+                )}
+            </div>
+
+            {!orgId && (
+                <div className="empty-state">
+                    <p>{isAdmin ? 'Select an organization to edit its custom fields.' : 'No organization assigned to your account.'}</p>
+                </div>
+            )}
+
+            {orgId && (
+                <>
+                    <div className="custom-field-entity-tabs">
+                        {ENTITY_TABS.map((tab) => (
+                            <button
+                                key={tab.key}
+                                className={`btn-sm ${entityType === tab.key ? 'btn-primary' : 'btn-ghost'}`}
+                                onClick={() => setEntityType(tab.key)}
+                            >
+                                {tab.label}
+                            </button>
+                        ))}
+                        <button className="btn-ghost btn-sm" onClick={() => setDraft({ ...EMPTY_DRAFT })} disabled={saving}>
+                            <Plus size={14} /> Add Field
+                        </button>
+                    </div>
+
+                    {draft && (
+                        <div className="custom-field-editor">
+                            <label>
+                                Label
+                                <input
+                                    type="text"
+                                    value={draft.label}
+                                    maxLength={MAX_CUSTOM_FIELD_LABEL_LENGTH}
+                                    onChange={(e) => updateDraft({ label: e.target.value })}
+                                />
+                            </label>
+                            <label>
+                                Type
+                                <select
+                                    value={draft.fieldType}
+                                    onChange={(e) => updateDraft({ fieldType: e.target.value })}
+                                    disabled={!!draft.id}
+                                    title={draft.id ? 'The type of an existing field cannot be changed' : undefined}
+                                >
+                                    {CUSTOM_FIELD_TYPES.map((type) => (
+                                        <option key={type.key} value={type.key}>{type.label}</option>
+                                    ))}
+                                </select>
+                            </label>
+                            <label>
+                                Sort order
+                                <input type="number" value={draft.sortOrder} onChange={(e) => updateDraft({ sortOrder: e.target.value })} />
+                            </label>
+                            {OPTION_TYPES.has(draft.fieldType) && (
+                                <label className="custom-field-editor-options">
+                                    Options (one per line)
+                                    <textarea rows={4} value={draft.optionsText} onChange={(e) => updateDraft({ optionsText: e.target.value })} />
+                                </label>
+                            )}
+                            <label className="custom-field-editor-check">
+                                <input type="checkbox" checked={draft.isRequired} onChange={(e) => updateDraft({ isRequired: e.target.checked })} />
+                                Required
+                            </label>
+                            <label className="custom-field-editor-check">
+                                <input type="checkbox" checked={draft.isActive} onChange={(e) => updateDraft({ isActive: e.target.checked })} />
+                                Active
+                            </label>
+                            <div className="custom-field-editor-actions">
+                                <button className="btn-primary btn-sm" onClick={handleSave} disabled={saving}>
+                                    <Save size={14} /> {saving ? 'Saving...' : 'Save Field'}
+                                </button>
+                                <button className="btn-ghost btn-sm" onClick={() => setDraft(null)} disabled={saving}>
+                                    <X size={14} /> Cancel
+                                </button>
+                            </div>
+                        </div>
+                    )}
+
+                    {definitions.length === 0 ? (
+                        <p className="form-hint">No {entityType} fields defined yet.</p>
+                    ) : (
+                        <table className="risk-model-table">
+                            <thead>
+                                <tr>
+                                    <th>Label</th>
+                                    <th>Type</th>
+                                    <th>Options</th>
+                                    <th>Required</th>
+                                    <th>Status</th>
+                                    <th />
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {definitions.map((definition) => (
+                                    <tr key={definition.id}>
+                                        <td>{definition.label}</td>
+                                        <td>{getCustomFieldTypeLabel(definition.fieldType)}</td>
+                                        <td>{definition.options.join(', ')}</td>
+                                        <td>{definition.isRequired ? 'Yes' : 'No'}</td>
+                                        <td>
+                                            <button className="btn-link btn-sm" onClick={() => handleToggleActive(definition)} disabled={saving}>
+                                                {definition.isActive ? 'Active' : 'Inactive'}
+                                            </button>
+                                        </td>
+                                        <td className="risk-model-row-actions">
+                                            <button className="btn-icon" onClick={() => setDraft(toDraft(definition))} title="Edit">
+                                                <Edit2 size={14} />
+                                            </button>
+                                            <button className="btn-icon danger" onClick={() => handleDelete(definition)} disabled={saving} title="Delete">
+                                                <Trash2 size={14} />
+                                            </button>
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    )}
+                </>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,243 @@
+import { useEffect, useMemo, useState } from 'react';
+import { AlertTriangle, CheckCircle2, FileSpreadsheet, RotateCcw, Upload } from 'lucide-react';
+import { useData } from '../../context/DataContext';
+import { useToast } from '../../context/ToastContext';
+import {
+    IMPORT_ENTITY_LABELS,
+    IMPORT_ENTITY_TYPES,
+    IMPORT_FIELDS,
+    MAX_IMPORT_ROWS,
+    applyImportMapping,
+    suggestImportMapping
+} from '../../../shared/dataImport.js';
+import './ProjectTemplateManager.css';
+
+const ENTITY_HINTS = {
+    goal: 'Parents can be existing goals (title or id) or goals on earlier rows. Levels follow the goal hierarchy.',
+    project: 'Separate several goals with semicolons. Goals must be visible to the project organization.',
+    task: 'Projects can be referenced by title or id. Dates use YYYY-MM-DD; assignees by email.'
+};
+
+/**
+ * Spreadsheet import for onboarding: upload a CSV or XLSX file, map its columns, dry-run the
+ * rows against the create rules and then import them all in one transaction.
+ */
+export function DataImportWizard() {
+    const { parseImportFile, previewImport, applyImport, fetchOrganizations, currentUser, hasRole } = useData();
+    const { success, error: showError } = useToast();
+    const isAdmin = hasRole('Admin');
+
+    const [organizations, setOrganizations] = useState([]);
+    const [orgId, setOrgId] = useState(currentUser?.orgId ? String(currentUser.orgId) : '');
+    const [entityType, setEntityType] = useState('project');
+    const [file, setFile] = useState(null);
+    const [sheet, setSheet] = useState(null);
+    const [mapping, setMapping] = useState({});
+    const [preview, setPreview] = useState(null);
+    const [result, setResult] = useState(null);
+    const [busy, setBusy] = useState(false);
+
+    useEffect(() => {
+        if (!isAdmin) return;
+        fetchOrganizations()
+            .then((orgs) => setOrganizations(Array.isArray(orgs) ? orgs : []))
+            .catch((err) => console.warn('Failed to load organizations for import', err));
+    }, [fetchOrganizations, isAdmin]);
+
+    useEffect(() => {
+        setMapping(sheet ? suggestImportMapping(entityType, sheet.headers) : {});
+        setPreview(null);
+    }, [sheet, entityType]);
+
+    const records = useMemo(
+        () => (sheet ? applyImportMapping(entityType, sheet.rows, mapping) : []),
+        [sheet, entityType, mapping]
+    );
+    const fields = IMPORT_FIELDS[entityType];
+    const missingRequired = fields.filter((field) => field.required && mapping[field.key] === undefined);
+    const payload = { entityType, orgId: orgId || null, fileName: file?.name || null, records };
+
+    const reset = () => {
+        setFile(null);
+        setSheet(null);
+        setPreview(null);
+        setResult(null);
+    };
+
+    const handleUpload = async (event) => {
+        const selected = event.target.files?.[0];
+        event.target.value = '';
+        if (!selected) return;
+        setBusy(true);
+        setResult(null);
+        try {
+            const parsed = await parseImportFile(selected);
+            setFile(selected);
+            setSheet(parsed);
+        } catch (err) {
+            showError(err.message || 'Failed to read file');
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const updateMapping = (fieldKey, column) => {
+        setMapping((prev) => {
+            const next = { ...prev };
+            if (column === '') delete next[fieldKey];
+            else next[fieldKey] = Number(column);
+            return next;
+        });
+        setPreview(null);
+    };
+
+    const handlePreview = async () => {
+        setBusy(true);
+        try {
+            setPreview(await previewImport(payload));
+        } catch (err) {
+            showError(err.message || 'Failed to validate import');
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const handleApply = async () => {
+        setBusy(true);
+        try {
+            const applied = await applyImport(payload);
+            success(`Imported ${applied.count} ${IMPORT_ENTITY_LABELS[entityType].toLowerCase()}`);
+            setResult(applied);
+            setSheet(null);
+            setFile(null);
+            setPreview(null);
+        } catch (err) {
+            showError(err.message || 'Import failed');
+            // Data may have changed since the dry run; show the current row errors.
+            setPreview(await previewImport(payload).catch(() => null));
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const rowsWithErrors = preview ? preview.rows.filter((row) => row.errors.length > 0) : [];
+
+    return (
+        <div className="project-template-manager">
+            <div className="project-template-header">
+                <p className="form-hint">
+                    Upload a CSV or XLSX file (first sheet, header in row 1, up to {MAX_IMPORT_ROWS} rows). Each import adds one kind of record;
+                    import goals first, then projects, then tasks. Nothing is saved until every row passes validation.
+                </p>
+                {isAdmin && (
+                    <select value={orgId} onChange={(e) => { setOrgId(e.target.value); setPreview(null); }} aria-label="Organization">
+                        <option value="">Organization from each row</option>
+                        {organizations.map((org) => (
+                            <option key={org.id} value={String(org.id)}>{org.name}</option>
+                        ))}
+                    </select>
+                )}
+            </div>
+
+            <div className="custom-field-entity-tabs">
+                {IMPORT_ENTITY_TYPES.map((type) => (
+                    <button
+                        key={type}
+                        className={`btn-sm ${entityType === type ? 'btn-primary' : 'btn-ghost'}`}
+                        onClick={() => setEntityType(type)}
+                        disabled={busy}
+                    >
+                        {IMPORT_ENTITY_LABELS[type]}
+                    </button>
+                ))}
+                <label className="btn-ghost btn-sm data-import-upload">
+                    <Upload size={14} /> {busy && !sheet ? 'Reading...' : 'Choose File'}
+                    <input type="file" accept=".csv,.xlsx" onChange={handleUpload} disabled={busy} hidden />
+                </label>
+                {sheet && (
+                    <button className="btn-ghost btn-sm" onClick={reset} disabled={busy}>
+                        <RotateCcw size={14} /> Start over
+                    </button>
+                )}
+            </div>
+            <p className="form-hint">{ENTITY_HINTS[entityType]}</p>
+
+            {result && (
+                <div className="data-import-result">
+                    <CheckCircle2 size={16} /> Imported {result.count} {IMPORT_ENTITY_LABELS[result.entityType].toLowerCase()}.
+                </div>
+            )}
+
+            {sheet && (
+                <>
+                    <h4>
+                        <FileSpreadsheet size={16} /> {file?.name}{sheet.sheetName ? ` - ${sheet.sheetName}` : ''} ({records.length} rows)
+                    </h4>
+                    <div className="custom-field-editor">
+                        {fields.map((field) => (
+                            <label key={field.key}>
+                                {field.label}{field.required ? ' *' : ''}
+                                <select
+                                    value={mapping[field.key] ?? ''}
+                                    onChange={(e) => updateMapping(field.key, e.target.value)}
+                                >
+                                    <option value="">Not imported</option>
+                                    {sheet.headers.map((header, index) => (
+                                        <option key={index} value={index}>{header || `Column ${index + 1}`}</option>
+                                    ))}
+                                </select>
+                            </label>
+                        ))}
+                        <div className="custom-field-editor-actions">
+                            <button className="btn-ghost btn-sm" onClick={handlePreview} disabled={busy || missingRequired.length > 0 || records.length === 0}>
+                                {busy ? 'Checking...' : 'Validate'}
+                            </button>
+                            <button
+                                className="btn-primary btn-sm"
+                                onClick={handleApply}
+                                disabled={busy || !preview || preview.errorCount > 0 || preview.validCount === 0}
+                            >
+                                Import {preview?.validCount || 0} rows
+                            </button>
+                            {missingRequired.length > 0 && (
+                                <span className="form-hint">Map {missingRequired.map((field) => field.label).join(', ')} to continue.</span>
+                            )}
+                        </div>
+                    </div>
+
+                    {preview && (
+                        preview.errorCount === 0 ? (
+                            <div className="data-import-result">
+                                <CheckCircle2 size={16} /> All {preview.validCount} rows are valid.
+                            </div>
+                        ) : (
+                            <>
+                                <p className="data-import-errors">
+                                    <AlertTriangle size={16} /> {preview.errorCount} of {preview.rows.length} rows have errors.
+                                </p>
+                                <table className="risk-model-table">
+                                    <thead>
+                                        <tr>
+                                            <th>Row</th>
+                                            <th>Title</th>
+                                            <th>Errors</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {rowsWithErrors.map((row) => (
+                                            <tr key={row.rowNumber}>
+                                                <td>{row.rowNumber}</td>
+                                                <td>{row.values.title}</td>
+                                                <td>{row.errors.join(' ')}</td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </>
+                        )
+                    )}
+                </>
+            )}
+        </div>
+    );
+}
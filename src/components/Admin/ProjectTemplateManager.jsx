@@ -0,0 +1,480 @@
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import { useData } from '../../context/DataContext';
+import { useToast } from '../../context/ToastContext';
+import { Plus, Edit2, Trash2, Save, X, LayoutTemplate, AlertTriangle } from 'lucide-react';
+import { Modal } from '../UI/Modal';
+import {
+    MAX_TEMPLATE_BENEFITS,
+    MAX_TEMPLATE_TAGS,
+    MAX_TEMPLATE_TASKS
+} from '../../../shared/projectTemplates.js';
+import './ProjectTemplateManager.css';
+
+const EMPTY_TASK = { title: '', priority: 'medium', startOffsetDays: 0, durationDays: 5, checklistText: '' };
+const EMPTY_BENEFIT = { title: '', unit: '', targetValue: '' };
+
+const createEmptyForm = (orgId = '') => ({
+    name: '',
+    description: '',
+    orgId,
+    isActive: true,
+    tasks: [],
+    tagIds: [],
+    goalIds: [],
+    benefits: [],
+    purpose: '',
+    executiveSummary: '',
+    kpis: '',
+    workstreamsText: ''
+});
+
+const splitLines = (value) => String(value || '').split('\n').map((line) => line.trim()).filter(Boolean);
+
+const toForm = (template) => ({
+    name: template.name,
+    description: template.description || '',
+    orgId: template.orgId,
+    isActive: template.isActive,
+    tasks: template.definition.tasks.map((task) => ({
+        title: task.title,
+        priority: task.priority,
+        startOffsetDays: task.startOffsetDays,
+        durationDays: task.durationDays,
+        checklistText: task.checklist.join('\n')
+    })),
+    tagIds: template.definition.tagIds.map(String),
+    goalIds: template.definition.goalIds.map(String),
+    benefits: template.definition.benefits.map((benefit) => ({
+        title: benefit.title,
+        unit: benefit.unit || '',
+        targetValue: benefit.targetValue ?? ''
+    })),
+    purpose: template.definition.statusReportDefaults.purpose,
+    executiveSummary: template.definition.statusReportDefaults.executiveSummary,
+    kpis: template.definition.statusReportDefaults.kpis,
+    workstreamsText: template.definition.statusReportDefaults.workstreams.join('\n')
+});
+
+const toPayload = (form) => ({
+    name: form.name,
+    description: form.description,
+    isActive: form.isActive,
+    ...(form.orgId ? { orgId: form.orgId } : {}),
+    definition: {
+        tasks: form.tasks.map((task) => ({
+            title: task.title,
+            priority: task.priority,
+            startOffsetDays: task.startOffsetDays,
+            durationDays: task.durationDays,
+            checklist: splitLines(task.checklistText)
+        })),
+        tagIds: form.tagIds,
+        goalIds: form.goalIds,
+        benefits: form.benefits,
+        statusReportDefaults: {
+            purpose: form.purpose,
+            executiveSummary: form.executiveSummary,
+            kpis: form.kpis,
+            workstreams: splitLines(form.workstreamsText)
+        }
+    }
+});
+
+export function ProjectTemplateManager() {
+    const {
+        fetchProjectTemplates, saveProjectTemplate, deleteProjectTemplate,
+        fetchOrganizations, tagGroups, goals, currentUser, hasRole
+    } = useData();
+    const { success, error: showError } = useToast();
+    const isAdmin = hasRole('Admin');
+
+    const [templates, setTemplates] = useState([]);
+    const [schemaReady, setSchemaReady] = useState(true);
+    const [loading, setLoading] = useState(true);
+    const [organizations, setOrganizations] = useState([]);
+    const [editingId, setEditingId] = useState(null); // template id or 'new'
+    const [form, setForm] = useState(() => createEmptyForm());
+    const [saving, setSaving] = useState(false);
+    const [deleteConfirm, setDeleteConfirm] = useState(null);
+
+    const loadTemplates = useCallback(async () => {
+        setLoading(true);
+        try {
+            const data = await fetchProjectTemplates({ includeInactive: true });
+            setSchemaReady(data?.schemaReady !== false);
+            setTemplates(Array.isArray(data?.templates) ? data.templates : []);
+        } catch (err) {
+            showError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    }, [fetchProjectTemplates, showError]);
+
+    useEffect(() => {
+        loadTemplates();
+    }, [loadTemplates]);
+
+    useEffect(() => {
+        if (!isAdmin) return;
+        fetchOrganizations()
+            .then((orgs) => setOrganizations(Array.isArray(orgs) ? orgs : []))
+            .catch((err) => console.warn('Failed to load organizations for templates', err));
+    }, [fetchOrganizations, isAdmin]);
+
+    const orgGoals = useMemo(() => goals.filter((goal) => (
+        !form.orgId || goal.orgId === undefined || goal.orgId === null || String(goal.orgId) === String(form.orgId)
+    )), [goals, form.orgId]);
+
+    const updateForm = (patch) => setForm((prev) => ({ ...prev, ...patch }));
+
+    const updateRow = (key, index, patch) => setForm((prev) => ({
+        ...prev,
+        [key]: prev[key].map((row, rowIndex) => (rowIndex === index ? { ...row, ...patch } : row))
+    }));
+
+    const removeRow = (key, index) => setForm((prev) => ({
+        ...prev,
+        [key]: prev[key].filter((_, rowIndex) => rowIndex !== index)
+    }));
+
+    const toggleId = (key, id) => setForm((prev) => ({
+        ...prev,
+        [key]: prev[key].includes(id) ? prev[key].filter((value) => value !== id) : [...prev[key], id]
+    }));
+
+    const startCreate = () => {
+        setEditingId('new');
+        setForm(createEmptyForm(currentUser?.orgId ? String(currentUser.orgId) : ''));
+    };
+
+    const startEdit = (template) => {
+        setEditingId(template.id);
+        setForm(toForm(template));
+    };
+
+    const cancelEdit = () => {
+        setEditingId(null);
+        setForm(createEmptyForm());
+    };
+
+    const handleSave = async () => {
+        if (!form.name.trim()) return showError('Template name is required');
+        setSaving(true);
+        try {
+            await saveProjectTemplate({
+                ...(editingId !== 'new' ? { id: editingId } : {}),
+                ...toPayload(form)
+            });
+            success(editingId === 'new' ? 'Template created' : 'Template updated');
+            cancelEdit();
+            await loadTemplates();
+        } catch (err) {
+            showError(err.message);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const confirmDelete = async () => {
+        if (!deleteConfirm) return;
+        try {
+            await deleteProjectTemplate(deleteConfirm.id);
+            success('Template deleted');
+            if (editingId === deleteConfirm.id) cancelEdit();
+            await loadTemplates();
+        } catch (err) {
+            showError(err.message);
+        } finally {
+            setDeleteConfirm(null);
+        }
+    };
+
+    if (!schemaReady) {
+        return (
+            <div className="empty-state">
+                <AlertTriangle size={40} />
+                <h3>Project templates are not installed</h3>
+                <p>Run <code>npm run setup-db:full</code> in <code>server</code> to enable templates.</p>
+            </div>
+        );
+    }
+
+    const renderEditor = () => (
+        <div className="template-editor">
+            <h4><LayoutTemplate size={16} /> {editingId === 'new' ? 'New Template' : 'Edit Template'}</h4>
+
+            <div className="template-editor-grid">
+                <label>
+                    Name
+                    <input type="text" value={form.name} onChange={(e) => updateForm({ name: e.target.value })} autoFocus />
+                </label>
+                {isAdmin && (
+                    <label>
+                        Organization
+                        <select
+                            value={form.orgId}
+                            onChange={(e) => updateForm({ orgId: e.target.value, goalIds: [] })}
+                            disabled={editingId !== 'new'}
+                        >
+                            <option value="">Select organization</option>
+                            {organizations.map((org) => (
+                                <option key={org.id} value={String(org.id)}>{org.name}</option>
+                            ))}
+                        </select>
+                    </label>
+                )}
+                <label className="template-editor-wide">
+                    Description
+                    <input type="text" value={form.description} onChange={(e) => updateForm({ description: e.target.value })} />
+                </label>
+                <label className="template-editor-checkbox">
+                    <input type="checkbox" checked={form.isActive} onChange={(e) => updateForm({ isActive: e.target.checked })} />
+                    Active (available when creating projects)
+                </label>
+            </div>
+
+            <section className="template-editor-section">
+                <div className="template-editor-section-header">
+                    <strong>Tasks ({form.tasks.length})</strong>
+                    <button
+                        type="button"
+                        className="btn-ghost btn-sm"
+                        onClick={() => updateForm({ tasks: [...form.tasks, { ...EMPTY_TASK }] })}
+                        disabled={form.tasks.length >= MAX_TEMPLATE_TASKS}
+                    >
+                        <Plus size={14} /> Add Task
+                    </button>
+                </div>
+                <p className="form-hint">Offsets are whole days counted from the project kickoff date.</p>
+                {form.tasks.map((task, index) => (
+                    <div key={index} className="template-row">
+                        <input
+                            type="text"
+                            placeholder="Task title"
+                            value={task.title}
+                            onChange={(e) => updateRow('tasks', index, { title: e.target.value })}
+                        />
+                        <select value={task.priority} onChange={(e) => updateRow('tasks', index, { priority: e.target.value })}>
+                            <option value="low">Low</option>
+                            <option value="medium">Medium</option>
+                            <option value="high">High</option>
+                        </select>
+                        <label title="Start offset (days)">
+                            Start +
+                            <input
+                                type="number"
+                                min="0"
+                                value={task.startOffsetDays}
+                                onChange={(e) => updateRow('tasks', index, { startOffsetDays: e.target.value })}
+                            />
+                        </label>
+                        <label title="Duration (days)">
+                            Days
+                            <input
+                                type="number"
+                                min="0"
+                                value={task.durationDays}
+                                onChange={(e) => updateRow('tasks', index, { durationDays: e.target.value })}
+                            />
+                        </label>
+                        <button type="button" className="btn-icon danger" onClick={() => removeRow('tasks', index)} title="Remove task">
+                            <Trash2 size={14} />
+                        </button>
+                        <textarea
+                            className="template-row-wide"
+                            rows={2}
+                            placeholder="Checklist items, one per line"
+                            value={task.checklistText}
+                            onChange={(e) => updateRow('tasks', index, { checklistText: e.target.value })}
+                        />
+                    </div>
+                ))}
+            </section>
+
+            <section className="template-editor-section">
+                <strong>Default Tags ({form.tagIds.length}/{MAX_TEMPLATE_TAGS})</strong>
+                {tagGroups.map((group) => {
+                    const activeTags = group.tags.filter((tag) => tag.status !== 'deprecated');
+                    if (activeTags.length === 0) return null;
+                    return (
+                        <div key={group.id} className="template-chip-group">
+                            <span className="template-chip-group-label">{group.name}</span>
+                            {activeTags.map((tag) => {
+                                const tagId = String(tag.id);
+                                const selected = form.tagIds.includes(tagId);
+                                return (
+                                    <button
+                                        key={tag.id}
+                                        type="button"
+                                        className={`template-chip ${selected ? 'selected' : ''}`}
+                                        onClick={() => toggleId('tagIds', tagId)}
+                                        disabled={!selected && form.tagIds.length >= MAX_TEMPLATE_TAGS}
+                                    >
+                                        {tag.name}
+                                    </button>
+                                );
+                            })}
+                        </div>
+                    );
+                })}
+            </section>
+
+            <section className="template-editor-section">
+                <strong>Default Goals ({form.goalIds.length})</strong>
+                <div className="template-chip-group">
+                    {orgGoals.map((goal) => {
+                        const goalId = String(goal.id);
+                        return (
+                            <button
+                                key={goal.id}
+                                type="button"
+                                className={`template-chip ${form.goalIds.includes(goalId) ? 'selected' : ''}`}
+                                onClick={() => toggleId('goalIds', goalId)}
+                            >
+                                {goal.title}
+                            </button>
+                        );
+                    })}
+                    {orgGoals.length === 0 && <span className="form-hint">No goals available for this organization.</span>}
+                </div>
+            </section>
+
+            <section className="template-editor-section">
+                <div className="template-editor-section-header">
+                    <strong>Benefit Placeholders ({form.benefits.length})</strong>
+                    <button
+                        type="button"
+                        className="btn-ghost btn-sm"
+                        onClick={() => updateForm({ benefits: [...form.benefits, { ...EMPTY_BENEFIT }] })}
+                        disabled={form.benefits.length >= MAX_TEMPLATE_BENEFITS}
+                    >
+                        <Plus size={14} /> Add Benefit
+                    </button>
+                </div>
+                {form.benefits.map((benefit, index) => (
+                    <div key={index} className="template-row">
+                        <input
+                            type="text"
+                            placeholder="Benefit title"
+                            value={benefit.title}
+                            onChange={(e) => updateRow('benefits', index, { title: e.target.value })}
+                        />
+                        <input
+                            type="number"
+                            placeholder="Target"
+                            value={benefit.targetValue}
+                            onChange={(e) => updateRow('benefits', index, { targetValue: e.target.value })}
+                        />
+                        <input
+                            type="text"
+                            placeholder="Unit"
+                            value={benefit.unit}
+                            onChange={(e) => updateRow('benefits', index, { unit: e.target.value })}
+                        />
+                        <button type="button" className="btn-icon danger" onClick={() => removeRow('benefits', index)} title="Remove benefit">
+                            <Trash2 size={14} />
+                        </button>
+                    </div>
+                ))}
+            </section>
+
+            <section className="template-editor-section">
+                <strong>Status Report Defaults</strong>
+                <div className="template-editor-grid">
+                    <label className="template-editor-wide">
+                        Purpose
+                        <textarea rows={2} value={form.purpose} onChange={(e) => updateForm({ purpose: e.target.value })} />
+                    </label>
+                    <label className="template-editor-wide">
+                        Executive Summary
+                        <textarea rows={2} value={form.executiveSummary} onChange={(e) => updateForm({ executiveSummary: e.target.value })} />
+                    </label>
+                    <label>
+                        KPIs
+                        <textarea rows={3} value={form.kpis} onChange={(e) => updateForm({ kpis: e.target.value })} />
+                    </label>
+                    <label>
+                        Workstreams (one per line)
+                        <textarea rows={3} value={form.workstreamsText} onChange={(e) => updateForm({ workstreamsText: e.target.value })} />
+                    </label>
+                </div>
+            </section>
+
+            <div className="template-editor-actions">
+                <button className="btn-primary btn-sm" onClick={handleSave} disabled={saving}>
+                    <Save size={14} /> {saving ? 'Saving...' : 'Save Template'}
+                </button>
+                <button className="btn-ghost btn-sm" onClick={cancelEdit}><X size={14} /> Cancel</button>
+            </div>
+        </div>
+    );
+
+    return (
+        <div className="project-template-manager">
+            <div className="project-template-header">
+                <p className="form-hint">
+                    Templates seed new projects with tasks, checklists, tags, goals, benefit placeholders and status report defaults.
+                </p>
+                {!editingId && (
+                    <button className="btn-primary btn-sm" onClick={startCreate}>
+                        <Plus size={16} /> New Template
+                    </button>
+                )}
+            </div>
+
+            {editingId && renderEditor()}
+
+            {!editingId && !loading && templates.length === 0 && (
+                <div className="empty-state">
+                    <LayoutTemplate size={40} />
+                    <h3>No Project Templates</h3>
+                    <p>Create a template to standardize how new projects start.</p>
+                </div>
+            )}
+
+            {!editingId && templates.map((template) => (
+                <div key={template.id} className={`project-template-card ${template.isActive ? '' : 'inactive'}`}>
+                    <div>
+                        <div className="project-template-name">
+                            {template.name}
+                            {!template.isActive && <span className="project-template-badge">inactive</span>}
+                        </div>
+                        <div className="project-template-meta">
+                            {isAdmin && template.orgName ? `${template.orgName} · ` : ''}
+                            {template.taskCount} task(s) · {template.definition.tagIds.length} tag(s) · {template.definition.benefits.length} benefit(s)
+                        </div>
+                        {template.description && <div className="project-template-description">{template.description}</div>}
+                    </div>
+                    <div className="project-template-actions">
+                        <button className="btn-icon" onClick={() => startEdit(template)} title="Edit template">
+                            <Edit2 size={16} />
+                        </button>
+                        <button className="btn-icon danger" onClick={() => setDeleteConfirm({ id: template.id, name: template.name })} title="Delete template">
+                            <Trash2 size={16} />
+                        </button>
+                    </div>
+                </div>
+            ))}
+
+            <Modal
+                isOpen={!!deleteConfirm}
+                onClose={() => setDeleteConfirm(null)}
+                title="Delete Template"
+                size="sm"
+            >
+                <div className="delete-modal-content">
+                    <p>
+                        Are you sure you want to delete <strong>{deleteConfirm?.name}</strong>?
+                        Projects already created from it keep their tasks, tags and benefits.
+                    </p>
+                    <div className="modal-actions" style={{ display: 'flex', justifyContent: 'flex-end', gap: '1rem', marginTop: '1.5rem' }}>
+                        <button className="btn-secondary" onClick={() => setDeleteConfirm(null)}>Cancel</button>
+                        <button className="btn-primary" style={{ background: '#ef4444' }} onClick={confirmDelete}>
+                            <Trash2 size={16} /> Delete
+                        </button>
+                    </div>
+                </div>
+            </Modal>
+        </div>
+    );
+}
@@ -0,0 +1,287 @@
+import { useCallback, useEffect, useState } from 'react';
+import { AlertTriangle, Copy, RotateCcw, Send, Trash2 } from 'lucide-react';
+import { useData } from '../../context/DataContext';
+import { useToast } from '../../context/ToastContext';
+import {
+    DEFAULT_RISK_MODEL,
+    RISK_LEVEL_THRESHOLD_KEYS,
+    RISK_MODEL_FIELD_LIMITS,
+    RISK_SIGNAL_DEFINITIONS,
+    normalizeRiskModel
+} from '../../../shared/riskModel.js';
+import './ProjectTemplateManager.css';
+
+const FIELD_ORDER = ['points', 'cap', 'afterDays', 'ratio', 'minTasks'];
+
+const todayKey = () => {
+    const now = new Date();
+    return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+};
+
+// Form values stay strings while editing so a cleared input does not snap back to 0.
+const toDraft = (model) => ({
+    signals: Object.fromEntries(Object.entries(model.signals).map(([key, fields]) => [
+        key,
+        Object.fromEntries(Object.entries(fields).map(([field, value]) => [field, String(value)]))
+    ])),
+    thresholds: Object.fromEntries(Object.entries(model.thresholds).map(([level, value]) => [level, String(value)]))
+});
+
+const describeVersionStatus = (version, effectiveId, today) => {
+    if (version.id === effectiveId) return 'In effect';
+    if (version.effectiveFrom > today) return 'Scheduled';
+    return 'Superseded';
+};
+
+/**
+ * Organization-level predictive risk model. Each publish creates a new version with an
+ * effective date so earlier scores can still be traced to the weights that produced them.
+ */
+export function RiskModelManager() {
+    const {
+        fetchRiskModel, publishRiskModelVersion, withdrawRiskModelVersion,
+        fetchOrganizations, currentUser, hasRole
+    } = useData();
+    const { success, error: showError } = useToast();
+    const isAdmin = hasRole('Admin');
+    const today = todayKey();
+
+    const [organizations, setOrganizations] = useState([]);
+    const [orgId, setOrgId] = useState(currentUser?.orgId ? String(currentUser.orgId) : '');
+    const [schemaReady, setSchemaReady] = useState(true);
+    const [effective, setEffective] = useState(null);
+    const [versions, setVersions] = useState([]);
+    const [name, setName] = useState('');
+    const [effectiveFrom, setEffectiveFrom] = useState(today);
+    const [draft, setDraft] = useState(() => toDraft(DEFAULT_RISK_MODEL));
+    const [saving, setSaving] = useState(false);
+
+    const loadModel = useCallback(async () => {
+        if (!orgId) return;
+        try {
+            const data = await fetchRiskModel(orgId);
+            setSchemaReady(data?.schemaReady !== false);
+            setEffective(data?.effective || null);
+            setVersions(Array.isArray(data?.versions) ? data.versions : []);
+            setDraft(toDraft(data?.effective?.model || DEFAULT_RISK_MODEL));
+        } catch (err) {
+            showError(err.message);
+        }
+    }, [orgId, fetchRiskModel, showError]);
+
+    useEffect(() => {
+        loadModel();
+    }, [loadModel]);
+
+    useEffect(() => {
+        if (!isAdmin) return;
+        fetchOrganizations()
+            .then((orgs) => setOrganizations(Array.isArray(orgs) ? orgs : []))
+            .catch((err) => console.warn('Failed to load organizations for risk model', err));
+    }, [fetchOrganizations, isAdmin]);
+
+    const updateSignal = (key, field, value) => setDraft((prev) => ({
+        ...prev,
+        signals: { ...prev.signals, [key]: { ...prev.signals[key], [field]: value } }
+    }));
+
+    const updateThreshold = (level, value) => setDraft((prev) => ({
+        ...prev,
+        thresholds: { ...prev.thresholds, [level]: value }
+    }));
+
+    const handlePublish = async () => {
+        const normalized = normalizeRiskModel(draft);
+        if (normalized.error) {
+            showError(normalized.error);
+            return;
+        }
+        if (!name.trim()) {
+            showError('Give this version a name');
+            return;
+        }
+        setSaving(true);
+        try {
+            const version = await publishRiskModelVersion(orgId, {
+                name: name.trim(),
+                effectiveFrom,
+                model: normalized.model
+            });
+            success(`Published version ${version.version}`);
+            setName('');
+            await loadModel();
+        } catch (err) {
+            showError(err.message || 'Failed to publish risk model');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleWithdraw = async (version) => {
+        setSaving(true);
+        try {
+            await withdrawRiskModelVersion(orgId, version.id);
+            success(`Withdrew version ${version.version}`);
+            await loadModel();
+        } catch (err) {
+            showError(err.message || 'Failed to withdraw version');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    if (!schemaReady) {
+        return (
+            <div className="empty-state">
+                <AlertTriangle size={40} />
+                <h3>Risk model versions are not installed</h3>
+                <p>Run <code>npm run setup-db:full</code> in <code>server</code> to configure risk weights.</p>
+            </div>
+        );
+    }
+
+    const inEffect = effective?.modelVersion;
+
+    return (
+        <div className="project-template-manager">
+            <div className="project-template-header">
+                <p className="form-hint">
+                    Points, caps and level thresholds used for project risk signals. Publishing creates a new version from its effective date;
+                    {inEffect
+                        ? ` version ${inEffect.version} "${inEffect.name}" is in effect since ${inEffect.effectiveFrom}.`
+                        : ' the built-in default model is in effect.'}
+                </p>
+                {isAdmin && (
+                    <select value={orgId} onChange={(e) => setOrgId(e.target.value)} aria-label="Organization">
+                        <option value="">Select organization</option>
+                        {organizations.map((org) => (
+                            <option key={org.id} value={String(org.id)}>{org.name}</option>
+                        ))}
+                    </select>
+                )}
+            </div>
+
+            {!orgId && (
+                <div className="empty-state">
+                    <p>{isAdmin ? 'Select an organization to edit its risk model.' : 'No organization assigned to your account.'}</p>
+                </div>
+            )}
+
+            {orgId && (
+                <>
+                    <table className="risk-model-table">
+                        <thead>
+                            <tr>
+                                <th>Signal</th>
+                                {FIELD_ORDER.map((field) => (
+                                    <th key={field}>{RISK_MODEL_FIELD_LIMITS[field].label}</th>
+                                ))}
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {RISK_SIGNAL_DEFINITIONS.map((definition) => (
+                                <tr key={definition.key}>
+                                    <td>{definition.label}</td>
+                                    {FIELD_ORDER.map((field) => {
+                                        const limits = RISK_MODEL_FIELD_LIMITS[field];
+                                        return (
+                                            <td key={field}>
+                                                {field in definition.defaults && (
+                                                    <input
+                                                        type="number"
+                                                        min={limits.min}
+                                                        max={limits.max}
+                                                        step={limits.step}
+                                                        value={draft.signals[definition.key]?.[field] ?? ''}
+                                                        onChange={(e) => updateSignal(definition.key, field, e.target.value)}
+                                                        aria-label={`${definition.label} ${limits.label}`}
+                                                    />
+                                                )}
+                                            </td>
+                                        );
+                                    })}
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+
+                    <div className="risk-model-thresholds">
+                        <span>Level starts at score</span>
+                        {RISK_LEVEL_THRESHOLD_KEYS.map((level) => (
+                            <label key={level}>
+                                {level.charAt(0).toUpperCase() + level.slice(1)}
+                                <input
+                                    type="number"
+                                    min={1}
+                                    max={100}
+                                    value={draft.thresholds[level] ?? ''}
+                                    onChange={(e) => updateThreshold(level, e.target.value)}
+                                />
+                            </label>
+                        ))}
+                    </div>
+
+                    <div className="risk-model-publish">
+                        <input
+                            type="text"
+                            placeholder="Version name, e.g. Higher schedule sensitivity"
+                            value={name}
+                            maxLength={120}
+                            onChange={(e) => setName(e.target.value)}
+                        />
+                        <label>
+                            Effective from
+                            <input type="date" min={today} value={effectiveFrom} onChange={(e) => setEffectiveFrom(e.target.value)} />
+                        </label>
+                        <button className="btn-primary btn-sm" onClick={handlePublish} disabled={saving}>
+                            <Send size={14} /> {saving ? 'Publishing...' : 'Publish Version'}
+                        </button>
+                        <button className="btn-ghost btn-sm" onClick={() => setDraft(toDraft(DEFAULT_RISK_MODEL))} disabled={saving}>
+                            <RotateCcw size={14} /> Load defaults
+                        </button>
+                    </div>
+
+                    <h4>Version history</h4>
+                    {versions.length === 0 ? (
+                        <p className="form-hint">No versions published yet.</p>
+                    ) : (
+                        <table className="risk-model-table">
+                            <thead>
+                                <tr>
+                                    <th>Version</th>
+                                    <th>Name</th>
+                                    <th>Effective from</th>
+                                    <th>Status</th>
+                                    <th />
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {versions.map((version) => {
+                                    const status = describeVersionStatus(version, inEffect?.id, today);
+                                    return (
+                                        <tr key={version.id}>
+                                            <td>v{version.version}</td>
+                                            <td>{version.name}</td>
+                                            <td>{version.effectiveFrom}</td>
+                                            <td>{status}</td>
+                                            <td className="risk-model-row-actions">
+                                                <button className="btn-icon" onClick={() => setDraft(toDraft(version.model))} title="Copy into editor">
+                                                    <Copy size={14} />
+                                                </button>
+                                                {status === 'Scheduled' && (
+                                                    <button className="btn-icon danger" onClick={() => handleWithdraw(version)} disabled={saving} title="Withdraw">
+                                                        <Trash2 size={14} />
+                                                    </button>
+                                                )}
+                                            </td>
+                                        </tr>
+                                    );
+                                })}
+                            </tbody>
+                        </table>
+                    )}
+                </>
+            )}
+        </div>
+    );
+}
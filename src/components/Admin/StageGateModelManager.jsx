@@ -0,0 +1,251 @@
+import { useCallback, useEffect, useState } from 'react';
+import { AlertTriangle, ArrowDown, ArrowUp, Plus, RotateCcw, Save, Trash2 } from 'lucide-react';
+import { useData } from '../../context/DataContext';
+import { useToast } from '../../context/ToastContext';
+import { MAX_STAGE_GATE_PHASES, normalizeStageGatePhases } from '../../../shared/stageGates.js';
+import './ProjectTemplateManager.css';
+import '../Kanban/TaskWorkflowEditor.css';
+
+const toLines = (values) => values.join('\n');
+const fromLines = (text) => text.split('\n').map((line) => line.trim()).filter(Boolean);
+
+const toDraftPhases = (phases) => phases.map((phase) => ({
+    key: phase.key,
+    name: phase.name,
+    criteriaText: toLines(phase.criteria),
+    checklistText: toLines(phase.checklist.map((item) => item.label)),
+    checklist: phase.checklist,
+    isSaved: true
+}));
+
+// Reuse item ids for unchanged labels so ticks on running projects keep matching.
+const buildPhases = (drafts) => drafts.map((draft) => ({
+    key: draft.key || undefined,
+    name: draft.name,
+    criteria: fromLines(draft.criteriaText),
+    checklist: fromLines(draft.checklistText).map((label) => ({
+        id: draft.checklist?.find((item) => item.label === label)?.id,
+        label
+    }))
+}));
+
+/**
+ * Organization-level delivery phases with gate criteria, checklists and the governance
+ * board that votes on gates. Projects snapshot the model when they enter the lifecycle.
+ */
+export function StageGateModelManager() {
+    const {
+        fetchStageGateModel, saveStageGateModel, deleteStageGateModel,
+        fetchGovernanceBoards, fetchOrganizations, currentUser, hasRole
+    } = useData();
+    const { success, error: showError } = useToast();
+    const isAdmin = hasRole('Admin');
+
+    const [organizations, setOrganizations] = useState([]);
+    const [boards, setBoards] = useState([]);
+    const [orgId, setOrgId] = useState(currentUser?.orgId ? String(currentUser.orgId) : '');
+    const [model, setModel] = useState(null);
+    const [schemaReady, setSchemaReady] = useState(true);
+    const [name, setName] = useState('');
+    const [boardId, setBoardId] = useState('');
+    const [phases, setPhases] = useState([]);
+    const [saving, setSaving] = useState(false);
+
+    const applyModel = useCallback((next) => {
+        setModel(next);
+        setName(next?.id ? next.name : '');
+        setBoardId(next?.boardId || '');
+        setPhases(toDraftPhases(next?.phases || []));
+    }, []);
+
+    const loadModel = useCallback(async () => {
+        if (!orgId) {
+            setModel(null);
+            return;
+        }
+        try {
+            const data = await fetchStageGateModel(orgId);
+            setSchemaReady(data?.schemaReady !== false);
+            applyModel(data?.model || null);
+        } catch (err) {
+            showError(err.message);
+        }
+    }, [orgId, fetchStageGateModel, applyModel, showError]);
+
+    useEffect(() => {
+        loadModel();
+    }, [loadModel]);
+
+    useEffect(() => {
+        if (!isAdmin) return;
+        fetchOrganizations()
+            .then((orgs) => setOrganizations(Array.isArray(orgs) ? orgs : []))
+            .catch((err) => console.warn('Failed to load organizations for stage gates', err));
+    }, [fetchOrganizations, isAdmin]);
+
+    useEffect(() => {
+        fetchGovernanceBoards()
+            .then((rows) => setBoards(Array.isArray(rows) ? rows.filter((board) => board.isActive !== false) : []))
+            .catch((err) => console.warn('Failed to load governance boards for stage gates', err));
+    }, [fetchGovernanceBoards]);
+
+    const updatePhase = (index, patch) => setPhases((prev) => prev.map((phase, phaseIndex) => (
+        phaseIndex === index ? { ...phase, ...patch } : phase
+    )));
+
+    const movePhase = (index, offset) => setPhases((prev) => {
+        const next = [...prev];
+        const [moved] = next.splice(index, 1);
+        next.splice(index + offset, 0, moved);
+        return next;
+    });
+
+    const addPhase = () => setPhases((prev) => [
+        ...prev,
+        { key: '', name: '', criteriaText: '', checklistText: '', checklist: [], isSaved: false }
+    ]);
+
+    const handleSave = async () => {
+        const normalized = normalizeStageGatePhases(buildPhases(phases));
+        if (normalized.error) {
+            showError(normalized.error);
+            return;
+        }
+        setSaving(true);
+        try {
+            applyModel(await saveStageGateModel(orgId, {
+                name: name.trim() || 'Delivery lifecycle',
+                phases: normalized.phases,
+                boardId: boardId || null
+            }));
+            success('Stage-gate model saved');
+        } catch (err) {
+            showError(err.message || 'Failed to save stage-gate model');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleReset = async () => {
+        setSaving(true);
+        try {
+            applyModel(await deleteStageGateModel(orgId));
+            success('Now using the standard phases');
+        } catch (err) {
+            showError(err.message || 'Failed to reset stage-gate model');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    if (!schemaReady) {
+        return (
+            <div className="empty-state">
+                <AlertTriangle size={40} />
+                <h3>Stage gates are not installed</h3>
+                <p>Run <code>npm run setup-db:full</code> in <code>server</code> to enable delivery phases.</p>
+            </div>
+        );
+    }
+
+    return (
+        <div className="project-template-manager">
+            <div className="project-template-header">
+                <p className="form-hint">
+                    Define the delivery phases projects move through after intake conversion. Each gate needs its checklist complete and a board approval.
+                    Changes apply to projects that enter the lifecycle afterwards.
+                </p>
+                {isAdmin && (
+                    <select value={orgId} onChange={(e) => setOrgId(e.target.value)} aria-label="Organization">
+                        <option value="">Select organization</option>
+                        {organizations.map((org) => (
+                            <option key={org.id} value={String(org.id)}>{org.name}</option>
+                        ))}
+                    </select>
+                )}
+            </div>
+
+            {!orgId && (
+                <div className="empty-state">
+                    <p>{isAdmin ? 'Select an organization to edit its delivery phases.' : 'No organization assigned to your account.'}</p>
+                </div>
+            )}
+
+            {orgId && model && (
+                <div className="task-workflow-editor">
+                    <p className="form-hint">
+                        {model.id ? 'Phases are listed in delivery order.' : 'Using the standard phases. Saving creates a model for this organization.'}
+                    </p>
+                    <label className="task-workflow-name">
+                        Model name
+                        <input type="text" value={name} placeholder="Delivery lifecycle" onChange={(e) => setName(e.target.value)} />
+                    </label>
+                    <label className="task-workflow-name">
+                        Gate review board
+                        <select value={boardId} onChange={(e) => setBoardId(e.target.value)}>
+                            <option value="">Board that approved the intake request</option>
+                            {boards.map((board) => (
+                                <option key={board.id} value={String(board.id)}>{board.name}</option>
+                            ))}
+                        </select>
+                    </label>
+
+                    {phases.map((phase, index) => (
+                        <div key={phase.isSaved ? phase.key : `new-${index}`} className="task-workflow-state">
+                            <div className="stage-gate-phase-row">
+                                <input
+                                    type="text"
+                                    placeholder="Phase name"
+                                    value={phase.name}
+                                    onChange={(e) => updatePhase(index, { name: e.target.value })}
+                                />
+                                <div className="task-workflow-state-actions">
+                                    <button type="button" className="btn-icon" onClick={() => movePhase(index, -1)} disabled={index === 0} title="Move up">
+                                        <ArrowUp size={14} />
+                                    </button>
+                                    <button type="button" className="btn-icon" onClick={() => movePhase(index, 1)} disabled={index === phases.length - 1} title="Move down">
+                                        <ArrowDown size={14} />
+                                    </button>
+                                    <button
+                                        type="button"
+                                        className="btn-icon danger"
+                                        onClick={() => setPhases((prev) => prev.filter((_, phaseIndex) => phaseIndex !== index))}
+                                        disabled={phases.length <= 2}
+                                        title="Remove phase"
+                                    >
+                                        <Trash2 size={14} />
+                                    </button>
+                                </div>
+                            </div>
+                            <div className="stage-gate-phase-lists">
+                                <label className="task-workflow-name">
+                                    Gate criteria (one per line)
+                                    <textarea rows={3} value={phase.criteriaText} onChange={(e) => updatePhase(index, { criteriaText: e.target.value })} />
+                                </label>
+                                <label className="task-workflow-name">
+                                    Checklist (one per line)
+                                    <textarea rows={3} value={phase.checklistText} onChange={(e) => updatePhase(index, { checklistText: e.target.value })} />
+                                </label>
+                            </div>
+                        </div>
+                    ))}
+
+                    <button type="button" className="btn-ghost btn-sm" onClick={addPhase} disabled={phases.length >= MAX_STAGE_GATE_PHASES}>
+                        <Plus size={14} /> Add Phase
+                    </button>
+
+                    <div className="task-workflow-actions">
+                        <button className="btn-primary btn-sm" onClick={handleSave} disabled={saving}>
+                            <Save size={14} /> {saving ? 'Saving...' : 'Save Model'}
+                        </button>
+                        {model.id && (
+                            <button className="btn-ghost btn-sm" onClick={handleReset} disabled={saving}>
+                                <RotateCcw size={14} /> Use standard phases
+                            </button>
+                        )}
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,100 @@
+import { useCallback, useEffect, useState } from 'react';
+import { AlertTriangle } from 'lucide-react';
+import { useData } from '../../context/DataContext';
+import { useToast } from '../../context/ToastContext';
+import { TaskWorkflowEditor } from '../Kanban/TaskWorkflowEditor';
+import './ProjectTemplateManager.css';
+
+/**
+ * Organization-level task workflow. Projects without their own workflow use it for
+ * board columns, task status choices and the category-based rollups.
+ */
+export function TaskWorkflowManager() {
+    const {
+        fetchTaskWorkflow, saveOrgTaskWorkflow, deleteOrgTaskWorkflow,
+        fetchOrganizations, currentUser, hasRole
+    } = useData();
+    const { error: showError } = useToast();
+    const isAdmin = hasRole('Admin');
+
+    const [organizations, setOrganizations] = useState([]);
+    const [orgId, setOrgId] = useState(currentUser?.orgId ? String(currentUser.orgId) : '');
+    const [workflow, setWorkflow] = useState(null);
+    const [schemaReady, setSchemaReady] = useState(true);
+
+    const loadWorkflow = useCallback(async () => {
+        if (!orgId) {
+            setWorkflow(null);
+            return;
+        }
+        try {
+            const data = await fetchTaskWorkflow(orgId);
+            setSchemaReady(data?.schemaReady !== false);
+            setWorkflow(data?.workflow || null);
+        } catch (err) {
+            showError(err.message);
+        }
+    }, [orgId, fetchTaskWorkflow, showError]);
+
+    useEffect(() => {
+        loadWorkflow();
+    }, [loadWorkflow]);
+
+    useEffect(() => {
+        if (!isAdmin) return;
+        fetchOrganizations()
+            .then((orgs) => setOrganizations(Array.isArray(orgs) ? orgs : []))
+            .catch((err) => console.warn('Failed to load organizations for workflows', err));
+    }, [fetchOrganizations, isAdmin]);
+
+    const handleSave = useCallback(async (payload) => {
+        setWorkflow(await saveOrgTaskWorkflow(orgId, payload));
+    }, [orgId, saveOrgTaskWorkflow]);
+
+    const handleReset = useCallback(async (remap) => {
+        setWorkflow(await deleteOrgTaskWorkflow(orgId, remap));
+    }, [orgId, deleteOrgTaskWorkflow]);
+
+    if (!schemaReady) {
+        return (
+            <div className="empty-state">
+                <AlertTriangle size={40} />
+                <h3>Task workflows are not installed</h3>
+                <p>Run <code>npm run setup-db:full</code> in <code>server</code> to enable custom workflows.</p>
+            </div>
+        );
+    }
+
+    return (
+        <div className="project-template-manager">
+            <div className="project-template-header">
+                <p className="form-hint">
+                    Define the task states your teams work through. Projects can override this with their own workflow from the project board.
+                </p>
+                {isAdmin && (
+                    <select value={orgId} onChange={(e) => setOrgId(e.target.value)} aria-label="Organization">
+                        <option value="">Select organization</option>
+                        {organizations.map((org) => (
+                            <option key={org.id} value={String(org.id)}>{org.name}</option>
+                        ))}
+                    </select>
+                )}
+            </div>
+
+            {!orgId && (
+                <div className="empty-state">
+                    <p>{isAdmin ? 'Select an organization to edit its workflow.' : 'No organization assigned to your account.'}</p>
+                </div>
+            )}
+
+            {orgId && workflow && (
+                <TaskWorkflowEditor
+                    workflow={workflow}
+                    ownScope="org"
+                    onSave={handleSave}
+                    onReset={handleReset}
+                />
+            )}
+        </div>
+    );
+}
@@ -16,6 +16,8 @@ const IntakeFormView = lazy(() => import('./Intake/IntakeFormView').then(module
 const MetricsPage = lazy(() => import('./Metrics/MetricsPage').then(module => ({ default: module.MetricsPage })));
 const AdminPanel = lazy(() => import('./Admin/AdminPanel').then(module => ({ default: module.AdminPanel })));
 const MyWorkPage = lazy(() => import('./MyWork/MyWorkPage').then(module => ({ default: module.MyWorkPage })));
+const ResourcesPage = lazy(() => import('./Resources/ResourcesPage').then(module => ({ default: module.ResourcesPage })));
+const DependencyGraphPage = lazy(() => import('./Dependencies/DependencyGraphPage').then(module => ({ default: module.DependencyGraphPage })));
 
 const VIEW_QUERY_KEY = 'view';
 const INTAKE_STAGE_QUERY_KEY = 'stage';
@@ -35,7 +37,7 @@ const ADMIN_TAB_STORAGE_KEY = 'dha_admin_tab';
 const ADMIN_GOVERNANCE_TAB_STORAGE_KEY = 'dha_admin_governance_tab';
 const ADMIN_ORG_SECTION_STORAGE_KEY = 'dha_admin_org_section';
 const ADMIN_ORG_SHARING_TAB_STORAGE_KEY = 'dha_admin_org_sharing_tab';
-const ADMIN_TABS = new Set(['permissions', 'tags', 'audit-log', 'governance', 'organizations']);
+const ADMIN_TABS = new Set(['permissions', 'tags', 'templates', 'workflows', 'audit-log', 'governance', 'stage-gates', 'risk-model', 'custom-fields', 'import', 'organizations']);
 const ADMIN_GOVERNANCE_TABS = new Set(['settings', 'boards', 'members', 'criteria']);
 const ADMIN_ORG_SECTIONS = new Set(['orgs', 'members', 'sharing']);
 const ADMIN_ORG_SHARING_TABS = new Set(['projects', 'goals']);
@@ -45,6 +47,8 @@ const NAVIGABLE_VIEWS = new Set([
     'exec-dashboard',
     'goals',
     'projects',
+    'resources',
+    'dependencies',
     'reports',
     'metrics',
     'intake',
@@ -224,7 +228,12 @@ export function AppContent() {
         hasPermission('can_manage_role_permissions') ||
         hasPermission('can_view_audit_log') ||
         hasPermission('can_manage_tags') ||
+        hasPermission('can_manage_project_templates') ||
+        hasPermission('can_manage_task_workflows') ||
         hasPermission('can_manage_governance') ||
+        hasPermission('can_manage_risk_model') ||
+        hasPermission('can_manage_custom_fields') ||
+        hasPermission('can_import_data') ||
         hasPermission('can_manage_organizations') ||
         hasPermission('can_manage_sharing_requests');
     const accessibleViews = useMemo(() => {
@@ -234,6 +243,8 @@ export function AppContent() {
         if (hasPermission('can_view_metrics')) views.push('metrics');
         if (hasPermission('can_view_dashboard')) views.push('dashboard');
         if (hasPermission('can_view_projects')) views.push('projects');
+        if (hasPermission('can_view_exec_dashboard')) views.push('resources');
+        if (hasPermission('can_view_projects')) views.push('dependencies');
         if (hasPermission('can_view_exec_packs')) views.push('reports');
         if (canAccessIntakeWorkspace) views.push('intake');
         if (canAccessAdminPanel) views.push('admin');
@@ -452,6 +463,14 @@ export function AppContent() {
                                     onClearFilter={() => setProjectFilter(null)}
                                 />
                             ) : <div className="p-4">Access Denied</div>;
+                        case 'resources':
+                            return hasPermission('can_view_exec_dashboard') ?
+                                <ResourcesPage onViewChange={handleViewChange} /> :
+                                <div className="p-4">Access Denied</div>;
+                        case 'dependencies':
+                            return hasPermission('can_view_projects') ?
+                                <DependencyGraphPage onViewChange={handleViewChange} /> :
+                                <div className="p-4">Access Denied</div>;
                         case 'reports':
                             return hasPermission('can_view_exec_packs') ?
                                 <ReportsView /> :
@@ -1,6 +1,6 @@
 import React, { useState, useMemo, useRef, useCallback } from 'react';
 import { useData } from '../../context/DataContext';
-import { Search, Download, X, AlertTriangle } from 'lucide-react';
+import { Search, Download, X, AlertTriangle, Flag, Milestone, TrendingUp, PauseCircle } from 'lucide-react';
 import { Modal } from '../UI/Modal';
 import { StatusReportView } from '../StatusReport/StatusReportView';
 
@@ -15,6 +15,12 @@ import { API_BASE } from '../../apiClient';
 import { getDescendantGoalIds } from '../../utils/goalHelpers';
 import { getGoalHierarchy } from '../../utils/goalHierarchy';
 import { GOAL_LEVELS } from '../../../shared/goalLevels.js';
+import { formatFinancialAmount, getCostVarianceLevel } from '../../../shared/projectFinancials.js';
+import { mergeRiskHeatMaps } from '../../../shared/raidLog.js';
+import { formatRiskModelVersion } from '../../../shared/riskModel.js';
+import { isOnHoldProjectLifecycleState, isProjectResumeOverdue } from '../../../shared/dataLifecyclePolicy.js';
+import { RiskHeatMap } from '../UI/RiskHeatMap';
+import { RiskDelta, RiskSparkline } from '../UI/RiskSparkline';
 
 const EXEC_PROJECT_VIEW_PREFERENCE_STORAGE_KEY = 'dha_project_view_preference';
 const PRIMARY_GOAL_LEVEL = GOAL_LEVELS[0];
@@ -52,10 +58,39 @@ const normalizeRiskSignal = (project, reportStatus = 'unknown') => {
         level: resolvedLevel,
         label: RISK_LEVEL_CONFIG[resolvedLevel].label,
         color: RISK_LEVEL_CONFIG[resolvedLevel].color,
-        sortIndex: RISK_LEVEL_CONFIG[resolvedLevel].sort
+        sortIndex: RISK_LEVEL_CONFIG[resolvedLevel].sort,
+        modelVersion: incoming.modelVersion || null
     };
 };
 
+// Phase filter ids are keyed by phase name so organizations with different models still group together
+const getStagePhaseFilterId = (stageGate) => {
+    if (!stageGate) return 'none';
+    if (stageGate.completedAt) return 'closed';
+    return `phase:${String(stageGate.currentPhaseName || stageGate.currentPhaseKey).toLowerCase()}`;
+};
+
+const RISK_TREND_OPTIONS = [
+    { id: 'worsening', label: 'Worsening this week', color: '#dc2626' },
+    { id: 'improving', label: 'Improving this week', color: '#16a34a' },
+    { id: 'steady', label: 'No change', color: '#94a3b8' }
+];
+
+const getRiskTrendFilterId = (riskTrend) => {
+    const delta = riskTrend?.weekDelta;
+    if (delta === null || delta === undefined) return null;
+    if (delta > 0) return 'worsening';
+    if (delta < 0) return 'improving';
+    return 'steady';
+};
+
+const PROJECT_STATE_OPTIONS = [
+    { id: 'in-flight', label: 'In flight', color: '#2563eb' },
+    { id: 'on-hold', label: 'On hold', color: '#f59e0b' }
+];
+
+const getProjectStateFilterId = (item) => (isOnHoldProjectLifecycleState(item.lifecycleState) ? 'on-hold' : 'in-flight');
+
 // Helper to get hierarchy for a project
 const getProjectHierarchy = (goals, goalId) => getGoalHierarchy(goals, goalId);
 
@@ -66,6 +101,9 @@ export function ExecDashboard({ onViewChange }) {
     const [selectedTags, setSelectedTags] = useState([]);
     const [selectedStatuses, setSelectedStatuses] = useState([]);
     const [selectedRiskLevels, setSelectedRiskLevels] = useState([]);
+    const [selectedPhases, setSelectedPhases] = useState([]);
+    const [selectedRiskTrends, setSelectedRiskTrends] = useState([]);
+    const [selectedProjectStates, setSelectedProjectStates] = useState([]);
     const [watchedOnly, setWatchedOnly] = useState(false);
     const [riskSort, setRiskSort] = useState('none');
     const [selectedProject, setSelectedProject] = useState(null);
@@ -380,6 +418,30 @@ export function ExecDashboard({ onViewChange }) {
         return options;
     }, [allProjects, projects, getLatestStatusReport, watchedOnly]);
 
+    const phaseOptions = useMemo(() => {
+        const sourceProjects = allProjects.length > 0 ? allProjects : projects;
+        if (!sourceProjects.some((project) => project.stageGate)) return [];
+        const phases = new Map();
+        sourceProjects.forEach((project) => {
+            const stageGate = project.stageGate;
+            if (!stageGate || stageGate.completedAt) return;
+            const id = getStagePhaseFilterId(stageGate);
+            const existing = phases.get(id);
+            // Order by the earliest position the phase holds in any model
+            if (!existing || stageGate.phaseIndex < existing.order) {
+                phases.set(id, { id, label: stageGate.currentPhaseName, order: stageGate.phaseIndex ?? 0 });
+            }
+        });
+        const ordered = [...phases.values()]
+            .sort((a, b) => a.order - b.order || a.label.localeCompare(b.label))
+            .map(({ id, label }) => ({ id, label }));
+        return [
+            ...ordered,
+            { id: 'closed', label: 'Closed', color: '#16a34a' },
+            { id: 'none', label: 'Not in lifecycle', color: '#94a3b8' }
+        ];
+    }, [allProjects, projects]);
+
     const groupedData = useMemo(() => {
         // Use allProjects if available, otherwise fallback to context projects (paginated)
         const sourceProjects = allProjects.length > 0 ? allProjects : projects;
@@ -442,12 +504,21 @@ export function ExecDashboard({ onViewChange }) {
             return {
                 id: p.id,
                 title: p.title,
+                lifecycleState: p.lifecycleState,
+                onHoldReason: p.onHoldReason || null,
+                expectedResumeDate: p.expectedResumeDate || null,
                 ...h,
                 overallStatus: normalizedStatus,
                 execSummary: report ? report.executiveSummary : 'No report filed',
                 report: report,
                 reportCount: p.reportCount || 0,
-                riskSignal
+                riskSignal,
+                riskTrend: p.riskTrend || null,
+                milestoneSummary: p.milestoneSummary || null,
+                scheduleVariance: p.scheduleVariance || null,
+                financials: p.financials || null,
+                raidSummary: p.raidSummary || null,
+                stageGate: p.stageGate || null
             };
         });
 
@@ -461,7 +532,16 @@ export function ExecDashboard({ onViewChange }) {
             const matchesRisk = selectedRiskLevels.length === 0
                 ? true
                 : selectedRiskLevels.includes(item.riskSignal.level);
-            return matchesSearch && matchesStatus && matchesRisk;
+            const matchesPhase = selectedPhases.length === 0
+                ? true
+                : selectedPhases.includes(getStagePhaseFilterId(item.stageGate));
+            const matchesRiskTrend = selectedRiskTrends.length === 0
+                ? true
+                : selectedRiskTrends.includes(getRiskTrendFilterId(item.riskTrend));
+            const matchesProjectState = selectedProjectStates.length === 0
+                ? true
+                : selectedProjectStates.includes(getProjectStateFilterId(item));
+            return matchesSearch && matchesStatus && matchesRisk && matchesPhase && matchesRiskTrend && matchesProjectState;
         });
 
         // Group by the top two goal levels in the cascade.
@@ -509,10 +589,48 @@ export function ExecDashboard({ onViewChange }) {
         selectedTags,
         selectedStatuses,
         selectedRiskLevels,
+        selectedPhases,
+        selectedRiskTrends,
+        selectedProjectStates,
         watchedOnly,
         riskSort
     ]);
 
+    const portfolioFinancials = useMemo(() => {
+        const totals = { fundedProjectCount: 0, budget: 0, forecast: 0, actual: 0 };
+        Object.values(groupedData).forEach((secondaryGroups) => {
+            Object.values(secondaryGroups).forEach((items) => {
+                items.forEach((item) => {
+                    if (!item.financials) return;
+                    totals.fundedProjectCount += 1;
+                    totals.budget += item.financials.budget || 0;
+                    totals.forecast += item.financials.forecast || 0;
+                    totals.actual += item.financials.actual || 0;
+                });
+            });
+        });
+        return totals;
+    }, [groupedData]);
+
+    // Portfolio RAID roll-up over the projects currently shown
+    const portfolioRaid = useMemo(() => {
+        const totals = { projectCount: 0, openRisks: 0, openIssues: 0, criticalCount: 0, overdueCount: 0, heatMaps: [] };
+        Object.values(groupedData).forEach((secondaryGroups) => {
+            Object.values(secondaryGroups).forEach((items) => {
+                items.forEach((item) => {
+                    if (!item.raidSummary) return;
+                    totals.projectCount += 1;
+                    totals.openRisks += item.raidSummary.openByType?.risk || 0;
+                    totals.openIssues += item.raidSummary.openByType?.issue || 0;
+                    totals.criticalCount += item.raidSummary.criticalCount || 0;
+                    totals.overdueCount += item.raidSummary.overdueCount || 0;
+                    totals.heatMaps.push(item.raidSummary.heatMap);
+                });
+            });
+        });
+        return { ...totals, heatMap: mergeRiskHeatMaps(totals.heatMaps) };
+    }, [groupedData]);
+
     function getStatusColor(status) {
         switch (status) {
             case 'green': return '#10b981';
@@ -573,6 +691,33 @@ export function ExecDashboard({ onViewChange }) {
                         selectedValues: selectedRiskLevels,
                         onChange: setSelectedRiskLevels,
                         clearLabel: 'Clear Risk'
+                    },
+                    {
+                        key: 'risk-trend',
+                        label: 'Risk Trend',
+                        icon: TrendingUp,
+                        options: RISK_TREND_OPTIONS,
+                        selectedValues: selectedRiskTrends,
+                        onChange: setSelectedRiskTrends,
+                        clearLabel: 'Clear Trend'
+                    },
+                    {
+                        key: 'delivery-phase',
+                        label: 'Delivery Phase',
+                        icon: Milestone,
+                        options: phaseOptions,
+                        selectedValues: selectedPhases,
+                        onChange: setSelectedPhases,
+                        clearLabel: 'Clear Phase'
+                    },
+                    {
+                        key: 'project-state',
+                        label: 'Project State',
+                        icon: PauseCircle,
+                        options: PROJECT_STATE_OPTIONS,
+                        selectedValues: selectedProjectStates,
+                        onChange: setSelectedProjectStates,
+                        clearLabel: 'Clear State'
                     }
                 ]}
                 countLabel={`${Object.values(groupedData).reduce((acc, org) => acc + Object.values(org).reduce((acc2, div) => acc2 + div.length, 0), 0)} project(s)`}
@@ -584,6 +729,36 @@ export function ExecDashboard({ onViewChange }) {
                 )}
             </FilterBar>
 
+            {portfolioFinancials.fundedProjectCount > 0 && (
+                <div className="exec-financial-strip">
+                    <span>Budget <strong>{formatFinancialAmount(portfolioFinancials.budget)}</strong></span>
+                    <span>Forecast <strong>{formatFinancialAmount(portfolioFinancials.forecast)}</strong></span>
+                    <span>Actual <strong>{formatFinancialAmount(portfolioFinancials.actual)}</strong></span>
+                    <span className="exec-financial-strip-note">
+                        across {portfolioFinancials.fundedProjectCount} funded project(s)
+                    </span>
+                </div>
+            )}
+
+            {portfolioRaid.projectCount > 0 && (
+                <div className="exec-raid-panel glass">
+                    <RiskHeatMap cells={portfolioRaid.heatMap} title="Portfolio Risk Heat Map" compact />
+                    <div className="exec-raid-stats">
+                        <span>Open risks <strong>{portfolioRaid.openRisks}</strong></span>
+                        <span>Open issues <strong>{portfolioRaid.openIssues}</strong></span>
+                        <span className={portfolioRaid.criticalCount > 0 ? 'exec-raid-alert' : ''}>
+                            Critical items <strong>{portfolioRaid.criticalCount}</strong>
+                        </span>
+                        <span className={portfolioRaid.overdueCount > 0 ? 'exec-raid-alert' : ''}>
+                            Overdue items <strong>{portfolioRaid.overdueCount}</strong>
+                        </span>
+                        <span className="exec-financial-strip-note">
+                            across {portfolioRaid.projectCount} project(s) with a RAID register
+                        </span>
+                    </div>
+                </div>
+            )}
+
             {/* Table */}
             <div className="table-container glass">
                 {fetchError && (
@@ -620,7 +795,8 @@ export function ExecDashboard({ onViewChange }) {
                             >
                                 Risk Signal <span className="exec-risk-sort-indicator">{riskSortIndicator}</span>
                             </th>
-                            <th style={{ width: '44%' }}>Executive Summary</th>
+                            <th style={{ width: '10%' }} title="Daily risk score over the last 30 days and change since a week ago">Trend (7d)</th>
+                            <th style={{ width: '34%' }}>Executive Summary</th>
                             <th style={{ width: '10%' }}>Last Report</th>
                         </tr>
                     </thead>
@@ -652,7 +828,7 @@ export function ExecDashboard({ onViewChange }) {
                             ))
                         ) : Object.keys(groupedData).length === 0 ? (
                             <tr>
-                                <td colSpan={5} style={{ textAlign: 'center', padding: '2rem', color: 'var(--text-tertiary)' }}>
+                                <td colSpan={6} style={{ textAlign: 'center', padding: '2rem', color: 'var(--text-tertiary)' }}>
                                     <EmptyState
                                         title="No projects found"
                                         message="No projects found matching your filters."
@@ -665,14 +841,14 @@ export function ExecDashboard({ onViewChange }) {
                                 .map(([primaryGroupName, secondaryGroups]) => (
                                     <React.Fragment key={primaryGroupName}>
                                         <tr className="org-header-row">
-                                            <td colSpan={5}>{primaryGroupName}</td>
+                                            <td colSpan={6}>{primaryGroupName}</td>
                                         </tr>
                                         {Object.entries(secondaryGroups)
                                             .sort(([a], [b]) => a.localeCompare(b))
                                             .map(([secondaryGroupName, projects]) => (
                                                 <React.Fragment key={`${primaryGroupName}-${secondaryGroupName}`}>
                                                     <tr className="div-header-row">
-                                                        <td colSpan={5}>{secondaryGroupName}</td>
+                                                        <td colSpan={6}>{secondaryGroupName}</td>
                                                     </tr>
                                                     {projects.map(project => {
                                                         const report = project.report || getLatestStatusReport(project.id);
@@ -693,6 +869,69 @@ export function ExecDashboard({ onViewChange }) {
                                                             >
                                                                 <td className="text-sm text-gray-600 font-normal">
                                                                     <div className="exec-project-title">{project.title}</div>
+                                                                    {isOnHoldProjectLifecycleState(project.lifecycleState) && (
+                                                                        <div className="exec-project-milestone" title={project.onHoldReason || 'On hold'}>
+                                                                            <PauseCircle size={12} />
+                                                                            <span>
+                                                                                On hold{project.expectedResumeDate ? ` · resumes ${formatShortDate(project.expectedResumeDate)}` : ''}
+                                                                            </span>
+                                                                            {isProjectResumeOverdue(project) && (
+                                                                                <span className="exec-milestone-overdue">Resume overdue</span>
+                                                                            )}
+                                                                        </div>
+                                                                    )}
+                                                                    {project.stageGate && (
+                                                                        <div
+                                                                            className="exec-project-milestone"
+                                                                            title={project.stageGate.gateInReview ? 'Gate review in progress' : 'Current delivery phase'}
+                                                                        >
+                                                                            <Milestone size={12} />
+                                                                            <span className="exec-project-phase">
+                                                                                {project.stageGate.completedAt
+                                                                                    ? 'Closed'
+                                                                                    : `${project.stageGate.currentPhaseName} · ${project.stageGate.phaseIndex + 1}/${project.stageGate.phaseCount}`}
+                                                                            </span>
+                                                                            {project.stageGate.gateInReview && (
+                                                                                <span className="exec-phase-review">Gate review</span>
+                                                                            )}
+                                                                        </div>
+                                                                    )}
+                                                                    {project.milestoneSummary?.next && (
+                                                                        <div
+                                                                            className="exec-project-milestone"
+                                                                            title={`${project.milestoneSummary.completed} of ${project.milestoneSummary.total} milestones complete`}
+                                                                        >
+                                                                            <Flag size={12} />
+                                                                            <span>
+                                                                                {project.milestoneSummary.next.name} · {formatShortDate(project.milestoneSummary.next.date)}
+                                                                            </span>
+                                                                            {project.milestoneSummary.overdue > 0 && (
+                                                                                <span className="exec-milestone-overdue">
+                                                                                    {project.milestoneSummary.overdue} overdue
+                                                                                </span>
+                                                                            )}
+                                                                        </div>
+                                                                    )}
+                                                                    {project.scheduleVariance?.slipDays > 0 && (
+                                                                        <div
+                                                                            className="exec-project-milestone"
+                                                                            title={`Compared with baseline "${project.scheduleVariance.baselineName}"`}
+                                                                        >
+                                                                            <span className="exec-milestone-overdue">
+                                                                                +{project.scheduleVariance.slipDays}d vs baseline
+                                                                            </span>
+                                                                        </div>
+                                                                    )}
+                                                                    {getCostVarianceLevel(project.financials?.variancePct) && (
+                                                                        <div
+                                                                            className="exec-project-milestone"
+                                                                            title={`Forecast ${formatFinancialAmount(project.financials.forecast)} against budget ${formatFinancialAmount(project.financials.budget)}`}
+                                                                        >
+                                                                            <span className="exec-milestone-overdue">
+                                                                                +{Math.round(project.financials.variancePct * 100)}% over budget
+                                                                            </span>
+                                                                        </div>
+                                                                    )}
                                                                 </td>
                                                                 <td className="text-center">
                                                                     <div
@@ -716,6 +955,18 @@ export function ExecDashboard({ onViewChange }) {
                                                                             {riskSignal.label} ({riskSignal.score})
                                                                         </span>
                                                                     )}
+                                                                    <span
+                                                                        className="exec-risk-model"
+                                                                        title={riskSignal.modelVersion ? `Scored with ${formatRiskModelVersion(riskSignal.modelVersion)}, effective ${riskSignal.modelVersion.effectiveFrom}` : 'Scored with the built-in default model'}
+                                                                    >
+                                                                        {riskSignal.modelVersion ? `v${riskSignal.modelVersion.version}` : 'default'}
+                                                                    </span>
+                                                                </td>
+                                                                <td className="text-sm">
+                                                                    <div className="exec-risk-trend">
+                                                                        <RiskSparkline points={project.riskTrend?.points} />
+                                                                        <RiskDelta delta={project.riskTrend?.weekDelta ?? null} />
+                                                                    </div>
                                                                 </td>
                                                                 <td className="text-sm text-gray-600 max-w-md truncate-cell">
                                                                     {report?.executiveSummary || (
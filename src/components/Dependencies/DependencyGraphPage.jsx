@@ -0,0 +1,221 @@
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import { AlertTriangle, RefreshCw } from 'lucide-react';
+import { useData } from '../../context/DataContext';
+import { EmptyState } from '../UI/EmptyState';
+import {
+    PROJECT_DEPENDENCY_TYPE_LABELS,
+    describeUpstreamIssues,
+    layoutDependencyGraph
+} from '../../../shared/projectDependencies.js';
+import './DependencyGraphPage.css';
+
+const PROJECT_VIEW_PREFERENCE_STORAGE_KEY = 'dha_project_view_preference';
+
+const NODE_WIDTH = 210;
+const NODE_HEIGHT = 58;
+const COLUMN_GAP = 90;
+const ROW_GAP = 22;
+const PADDING = 16;
+
+const STATUS_LABELS = {
+    green: 'On track',
+    yellow: 'At risk',
+    red: 'Off track',
+    unknown: 'No report'
+};
+
+const truncate = (value, max) => (value.length > max ? `${value.slice(0, max - 1)}…` : value);
+
+const formatDate = (value) => (value ? new Date(`${value}T00:00:00`).toLocaleDateString() : '');
+
+/**
+ * Portfolio view of project-to-project dependencies, drawn left (upstream) to right
+ * (downstream). Edges turn red when the upstream project puts its dependent at risk.
+ */
+export function DependencyGraphPage({ onViewChange }) {
+    const { fetchProjectDependencyGraph } = useData();
+    const [data, setData] = useState(null);
+    const [loading, setLoading] = useState(false);
+    const [loadError, setLoadError] = useState('');
+    const [atRiskOnly, setAtRiskOnly] = useState(false);
+    const [hoveredEdgeId, setHoveredEdgeId] = useState('');
+    const [reloadKey, setReloadKey] = useState(0);
+
+    useEffect(() => {
+        let cancelled = false;
+        setLoading(true);
+        setLoadError('');
+        fetchProjectDependencyGraph()
+            .then((result) => {
+                if (!cancelled) setData(result);
+            })
+            .catch((err) => {
+                if (!cancelled) setLoadError(err?.message || 'Unable to load the dependency graph.');
+            })
+            .finally(() => {
+                if (!cancelled) setLoading(false);
+            });
+        return () => { cancelled = true; };
+    }, [fetchProjectDependencyGraph, reloadKey]);
+
+    // With the at-risk filter on, keep only risky edges and the projects they connect.
+    const { nodes, edges } = useMemo(() => {
+        const allEdges = data?.edges || [];
+        const visibleEdges = atRiskOnly ? allEdges.filter((edge) => edge.atRisk) : allEdges;
+        const connected = new Set(visibleEdges.flatMap((edge) => [edge.upstreamProjectId, edge.downstreamProjectId]));
+        return {
+            nodes: (data?.nodes || []).filter((node) => connected.has(node.id)),
+            edges: visibleEdges
+        };
+    }, [data, atRiskOnly]);
+
+    const layout = useMemo(() => layoutDependencyGraph(nodes, edges), [nodes, edges]);
+
+    const position = useCallback((id) => {
+        const cell = layout.get(String(id)) || { column: 0, row: 0 };
+        return {
+            x: PADDING + cell.column * (NODE_WIDTH + COLUMN_GAP),
+            y: PADDING + cell.row * (NODE_HEIGHT + ROW_GAP)
+        };
+    }, [layout]);
+
+    const columnCount = Math.max(0, ...[...layout.values()].map((cell) => cell.column + 1));
+    const rowCount = Math.max(0, ...[...layout.values()].map((cell) => cell.row + 1));
+    const width = PADDING * 2 + columnCount * NODE_WIDTH + Math.max(0, columnCount - 1) * COLUMN_GAP;
+    const height = PADDING * 2 + rowCount * NODE_HEIGHT + Math.max(0, rowCount - 1) * ROW_GAP;
+
+    const atRiskEdges = (data?.edges || []).filter((edge) => edge.atRisk);
+    const atRiskDownstreamCount = new Set(atRiskEdges.map((edge) => edge.downstreamProjectId)).size;
+    const titleById = useMemo(() => new Map((data?.nodes || []).map((node) => [node.id, node.title])), [data]);
+    const hoveredEdge = edges.find((edge) => edge.id === hoveredEdgeId) || null;
+
+    const openProject = useCallback((projectId) => {
+        localStorage.setItem(PROJECT_VIEW_PREFERENCE_STORAGE_KEY, JSON.stringify({
+            projectId: String(projectId),
+            viewMode: 'dependencies',
+            requestedAt: Date.now()
+        }));
+        onViewChange?.('projects', {
+            preserveSelectedProject: true,
+            selectedProjectId: String(projectId)
+        });
+    }, [onViewChange]);
+
+    return (
+        <div className="dependency-graph-page">
+            <div className="dependency-graph-toolbar glass-panel">
+                <div className="dependency-graph-legend">
+                    <span><i className="legend-edge" /> Dependency</span>
+                    <span><i className="legend-edge at-risk" /> Upstream red, slipping or late</span>
+                </div>
+                <div className="dependency-graph-actions">
+                    <label>
+                        <input type="checkbox" checked={atRiskOnly} onChange={(e) => setAtRiskOnly(e.target.checked)} />
+                        At-risk links only
+                    </label>
+                    <button className="btn-secondary btn-sm" onClick={() => setReloadKey((key) => key + 1)} disabled={loading}>
+                        <RefreshCw size={14} /> Refresh
+                    </button>
+                </div>
+            </div>
+
+            {atRiskEdges.length > 0 && (
+                <div className="dependency-graph-alert">
+                    <AlertTriangle size={15} />
+                    {atRiskDownstreamCount} project{atRiskDownstreamCount === 1 ? ' is' : 's are'} waiting on upstream work that is red, slipping or late.
+                </div>
+            )}
+            {data && data.schemaReady === false && (
+                <div className="dependency-graph-note">
+                    Project dependency schema is unavailable. Run `npm run setup-db:full` in `server`.
+                </div>
+            )}
+
+            <div className="dependency-graph-canvas glass-panel">
+                {loadError ? (
+                    <div className="dependency-graph-note">{loadError}</div>
+                ) : loading && !data ? (
+                    <div className="dependency-graph-note">Loading dependency graph...</div>
+                ) : nodes.length === 0 ? (
+                    <EmptyState
+                        title={atRiskOnly ? 'No at-risk dependencies' : 'No project dependencies'}
+                        message="Add dependencies from a project's Dependencies view."
+                    />
+                ) : (
+                    <svg width={width} height={height} role="img" aria-label="Project dependency graph">
+                        <defs>
+                            <marker id="dependency-arrow" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="7" markerHeight="7" orient="auto-start-reverse">
+                                <path d="M 0 0 L 10 5 L 0 10 z" className="dependency-arrow" />
+                            </marker>
+                            <marker id="dependency-arrow-risk" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="7" markerHeight="7" orient="auto-start-reverse">
+                                <path d="M 0 0 L 10 5 L 0 10 z" className="dependency-arrow at-risk" />
+                            </marker>
+                        </defs>
+                        {edges.map((edge) => {
+                            const from = position(edge.upstreamProjectId);
+                            const to = position(edge.downstreamProjectId);
+                            const x1 = from.x + NODE_WIDTH;
+                            const y1 = from.y + NODE_HEIGHT / 2;
+                            const x2 = to.x;
+                            const y2 = to.y + NODE_HEIGHT / 2;
+                            const bend = Math.max(30, (x2 - x1) / 2);
+                            return (
+                                <path
+                                    key={edge.id}
+                                    d={`M ${x1} ${y1} C ${x1 + bend} ${y1}, ${x2 - bend} ${y2}, ${x2} ${y2}`}
+                                    className={`dependency-edge ${edge.atRisk ? 'at-risk' : ''} ${hoveredEdgeId === edge.id ? 'hovered' : ''}`}
+                                    markerEnd={`url(#${edge.atRisk ? 'dependency-arrow-risk' : 'dependency-arrow'})`}
+                                    onMouseEnter={() => setHoveredEdgeId(edge.id)}
+                                    onMouseLeave={() => setHoveredEdgeId('')}
+                                />
+                            );
+                        })}
+                        {nodes.map((node) => {
+                            const { x, y } = position(node.id);
+                            const status = STATUS_LABELS[node.reportStatus] ? node.reportStatus : 'unknown';
+                            return (
+                                <g
+                                    key={node.id}
+                                    className={`dependency-node status-${status}`}
+                                    transform={`translate(${x}, ${y})`}
+                                    onClick={() => openProject(node.id)}
+                                    role="button"
+                                    tabIndex={0}
+                                    onKeyDown={(e) => { if (e.key === 'Enter') openProject(node.id); }}
+                                >
+                                    <title>{node.title}</title>
+                                    <rect width={NODE_WIDTH} height={NODE_HEIGHT} rx="8" />
+                                    <rect className="dependency-node-status" width="6" height={NODE_HEIGHT} rx="3" />
+                                    <text x="16" y="23" className="dependency-node-title">{truncate(node.title || 'Untitled project', 26)}</text>
+                                    <text x="16" y="43" className="dependency-node-meta">
+                                        {STATUS_LABELS[status]}
+                                        {node.slipDays > 0 ? ` · +${node.slipDays}d` : ''}
+                                        {node.lifecycleState === 'completed' ? ' · Completed' : ''}
+                                    </text>
+                                </g>
+                            );
+                        })}
+                    </svg>
+                )}
+            </div>
+
+            {hoveredEdge && (
+                <div className="dependency-graph-detail glass-panel">
+                    <strong>{titleById.get(hoveredEdge.upstreamProjectId)}</strong>
+                    {' → '}
+                    <strong>{titleById.get(hoveredEdge.downstreamProjectId)}</strong>
+                    <span>
+                        {PROJECT_DEPENDENCY_TYPE_LABELS[hoveredEdge.dependencyType] || hoveredEdge.dependencyType}
+                        {hoveredEdge.neededByDate ? ` · needed by ${formatDate(hoveredEdge.neededByDate)}` : ''}
+                    </span>
+                    {hoveredEdge.atRisk && (
+                        <span className="dependency-graph-detail-risk">
+                            Upstream is {describeUpstreamIssues(hoveredEdge.reasons, hoveredEdge.daysLate)}
+                        </span>
+                    )}
+                    {hoveredEdge.note && <span>{hoveredEdge.note}</span>}
+                </div>
+            )}
+        </div>
+    );
+}
@@ -7,10 +7,13 @@ import {
     GOAL_ROOT_TYPE,
     isValidChildGoalType
 } from '../../../shared/goalLevels.js';
+import { describeEditConflict } from '../../utils/editConflicts';
+
+const GOAL_FIELD_LABELS = { title: 'Title', description: 'Description', type: 'Goal level' };
 
 export function EditGoalForm({ goal, onClose }) {
     const { goals, updateGoal } = useData();
-    const { success } = useToast();
+    const { success, error: showError } = useToast();
     const [title, setTitle] = useState(goal.title || '');
     const [description, setDescription] = useState(goal.description || '');
     const parentGoal = useMemo(
@@ -29,12 +32,23 @@ export function EditGoalForm({ goal, onClose }) {
         return constrainedOptions.length > 0 ? constrainedOptions : [goal.type || GOAL_ROOT_TYPE];
     }, [childGoals, goal.type, parentGoal?.type]);
     const [type, setType] = useState(() => typeOptions[0] || goal.type || GOAL_ROOT_TYPE);
+    // Set to the server's newer version after a 412, so saving again keeps this user's edits.
+    const [saveEtag, setSaveEtag] = useState(goal.etag || null);
 
-    const handleSubmit = (e) => {
+    const handleSubmit = async (e) => {
         e.preventDefault();
-        updateGoal(goal.id, { title, description, type });
-        success('Goal updated successfully');
-        onClose();
+        try {
+            await updateGoal(goal.id, { title, description, type }, { etag: saveEtag });
+            success('Goal updated successfully');
+            onClose();
+        } catch (err) {
+            if (err?.status === 412) {
+                setSaveEtag(err.data?.etag || null);
+                showError(describeEditConflict(err, GOAL_FIELD_LABELS));
+                return;
+            }
+            showError(err?.message || 'Failed to update goal');
+        }
     };
 
 
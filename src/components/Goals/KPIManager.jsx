@@ -1,13 +1,14 @@
 import { useState } from 'react';
 import { useData } from '../../context/DataContext';
-import { useToast } from '../../context/ToastContext';
-import { Plus, Trash2, TrendingUp } from 'lucide-react';
+import { useToast, UNDO_TOAST_DURATION_MS } from '../../context/ToastContext';
+import { Plus, RotateCcw, Trash2, TrendingUp } from 'lucide-react';
 import './KPI.css';
 
 export function KPIManager({ goalId, kpis = [] }) {
-    const { addKpi, updateKpi, deleteKpi } = useData();
-    const { success } = useToast();
+    const { addKpi, updateKpi, deleteKpi, restoreKpi, fetchGoalRecycleBin } = useData();
+    const { success, error } = useToast();
     const [showAddForm, setShowAddForm] = useState(false);
+    const [deletedKpis, setDeletedKpis] = useState(null);
     const [newKpi, setNewKpi] = useState({ name: '', target: '', current: '', unit: '' });
 
     const handleAddKpi = (e) => {
@@ -28,9 +29,42 @@ export function KPIManager({ goalId, kpis = [] }) {
         updateKpi(goalId, kpiId, { current: parseFloat(value) || 0 });
     };
 
-    const handleDeleteKpi = (kpiId) => {
-        deleteKpi(goalId, kpiId);
-        success('KPI removed');
+    const handleDeleteKpi = async (kpiId) => {
+        const result = await deleteKpi(goalId, kpiId);
+        if (result?.recycled) {
+            success('KPI removed', UNDO_TOAST_DURATION_MS, {
+                label: 'Undo',
+                onClick: () => restoreKpi(goalId, kpiId)
+                    .then(() => success('KPI restored'))
+                    .catch((err) => error(err?.message || 'Failed to restore KPI'))
+            });
+        } else {
+            success('KPI removed');
+        }
+        if (deletedKpis) setDeletedKpis(null);
+    };
+
+    const toggleDeletedKpis = async () => {
+        if (deletedKpis) {
+            setDeletedKpis(null);
+            return;
+        }
+        try {
+            const bin = await fetchGoalRecycleBin(goalId);
+            setDeletedKpis(Array.isArray(bin?.kpis) ? bin.kpis : []);
+        } catch (err) {
+            error(err?.message || 'Failed to load deleted KPIs');
+        }
+    };
+
+    const handleRestoreDeletedKpi = async (kpi) => {
+        try {
+            await restoreKpi(goalId, kpi.id);
+            setDeletedKpis((prev) => (prev || []).filter((k) => k.id !== kpi.id));
+            success('KPI restored');
+        } catch (err) {
+            error(err?.message || 'Failed to restore KPI');
+        }
     };
 
 
@@ -51,11 +85,36 @@ export function KPIManager({ goalId, kpis = [] }) {
         <div className="kpi-manager">
             <div className="kpi-header">
                 <h4><TrendingUp size={18} /> Key Performance Indicators</h4>
-                <button className="icon-btn" onClick={() => setShowAddForm(!showAddForm)}>
-                    <Plus size={18} />
-                </button>
+                <div className="kpi-header-actions">
+                    <button
+                        className={`icon-btn ${deletedKpis ? 'active' : ''}`}
+                        onClick={toggleDeletedKpis}
+                        title="Recently deleted KPIs"
+                        aria-label="Recently deleted KPIs"
+                    >
+                        <RotateCcw size={16} />
+                    </button>
+                    <button className="icon-btn" onClick={() => setShowAddForm(!showAddForm)}>
+                        <Plus size={18} />
+                    </button>
+                </div>
             </div>
 
+            {deletedKpis && (
+                <div className="kpi-recycle-bin">
+                    {deletedKpis.length === 0 ? (
+                        <p className="kpi-empty">No recently deleted KPIs.</p>
+                    ) : deletedKpis.map((kpi) => (
+                        <div key={kpi.id} className="kpi-recycle-bin-item">
+                            <span>{kpi.name}</span>
+                            <button type="button" className="btn-secondary btn-sm" onClick={() => handleRestoreDeletedKpi(kpi)}>
+                                Restore
+                            </button>
+                        </div>
+                    ))}
+                </div>
+            )}
+
             {showAddForm && (
                 <form className="kpi-add-form" onSubmit={handleAddKpi}>
                     <input
@@ -3,6 +3,8 @@ import { Eye, Copy, Check, MessageSquare, CheckCircle, XCircle, ArrowRight, Cloc
 import { useData } from '../../context/DataContext';
 import { useToast } from '../../context/ToastContext';
 import { Modal } from '../UI/Modal';
+import { AttachmentsPanel } from '../UI/AttachmentsPanel';
+import { ProjectTemplatePicker } from '../UI/ProjectTemplatePicker';
 import { canRouteGovernanceSubmission, getGovernanceReviewPermissions } from '../../utils/governanceAccess';
 import { getIntakeSystemField, INTAKE_SYSTEM_FIELD_KEYS } from '../../../shared/intakeSystemFields.js';
 import { GOAL_LEVELS } from '../../../shared/goalLevels.js';
@@ -240,6 +242,8 @@ export function IntakeRequestsList({ initialFilter = 'all', showFilterTabs = tru
     const [newMessage, setNewMessage] = useState('');
     const [convertGoalId, setConvertGoalId] = useState('');
     const [convertBlueprintId, setConvertBlueprintId] = useState('governance-ready');
+    const [convertTemplateId, setConvertTemplateId] = useState('');
+    const [convertTemplateStartDate, setConvertTemplateStartDate] = useState(() => new Date().toISOString().slice(0, 10));
     const [convertSharedOrgIds, setConvertSharedOrgIds] = useState([]);
     const [convertSharedGoalIdsByOrg, setConvertSharedGoalIdsByOrg] = useState({});
     const [organizations, setOrganizations] = useState([]);
@@ -560,6 +564,11 @@ export function IntakeRequestsList({ initialFilter = 'all', showFilterTabs = tru
         setConvertSharedOrgIds([]);
         setConvertSharedGoalIdsByOrg({});
         setConvertBlueprintId('governance-ready');
+        setConvertTemplateId('');
+    }, []);
+
+    const handleConvertTemplateChange = useCallback((template) => {
+        setConvertTemplateId(template ? template.id : '');
     }, []);
 
     const openConvertModal = useCallback(() => {
@@ -567,6 +576,7 @@ export function IntakeRequestsList({ initialFilter = 'all', showFilterTabs = tru
         setConvertSharedOrgIds([]);
         setConvertSharedGoalIdsByOrg({});
         setConvertBlueprintId('governance-ready');
+        setConvertTemplateId('');
         setShowConvertModal(true);
     }, []);
 
@@ -938,7 +948,8 @@ export function IntakeRequestsList({ initialFilter = 'all', showFilterTabs = tru
         try {
             const result = await convertSubmissionToProject(selectedSubmission.id, projectData, {
                 conversionContext,
-                kickoffTasks
+                kickoffTasks,
+                ...(convertTemplateId ? { templateId: convertTemplateId, templateStartDate: convertTemplateStartDate } : {})
             });
             setShowConvertModal(false);
             setSelectedSubmission(null);
@@ -946,6 +957,7 @@ export function IntakeRequestsList({ initialFilter = 'all', showFilterTabs = tru
             setConvertSharedOrgIds([]);
             setConvertSharedGoalIdsByOrg({});
             setConvertBlueprintId('governance-ready');
+            setConvertTemplateId('');
 
             if (result?.seededTaskErrors?.length > 0) {
                 toast.warning(
@@ -1305,6 +1317,11 @@ export function IntakeRequestsList({ initialFilter = 'all', showFilterTabs = tru
                                         <span>Active projects: {queueCapacity.activeProjectCount}</span>
                                         <span>Pending decisions: {queueCapacity.pendingDecisionCount}</span>
                                         <span>Pending effort: {queueCapacity.pendingDecisionEffortHours}h</span>
+                                        {queueCapacity.actualWeeklyBurnHours !== null && queueCapacity.actualWeeklyBurnHours !== undefined && (
+                                            <span title={`Average hours logged per week over the last ${queueCapacity.burnWindowWeeks} weeks`}>
+                                                Actual burn: {queueCapacity.actualWeeklyBurnHours}h/wk
+                                            </span>
+                                        )}
                                     </div>
                                     {queueCapacityScenario && (
                                         <div className="governance-session-item-list">
@@ -1317,7 +1334,10 @@ export function IntakeRequestsList({ initialFilter = 'all', showFilterTabs = tru
                                                 </span>
                                             </div>
                                             <div className="governance-session-item">
-                                                <span>Approve-now demand</span>
+                                                <span>
+                                                    Approve-now demand
+                                                    {queueCapacity.demandBasis === 'actual-burn' ? ' (burn + pending)' : ' (estimates)'}
+                                                </span>
                                                 <span>
                                                     {queueCapacityScenario.projectedWeeklyDemandHours}h
                                                     {queueCapacity.weeklyCapacityHours !== null ? ` / ${queueCapacity.weeklyCapacityHours}h` : ''}
@@ -1518,6 +1538,10 @@ export function IntakeRequestsList({ initialFilter = 'all', showFilterTabs = tru
                             )}
                         </div>
 
+                        <div style={{ marginTop: '1.25rem' }}>
+                            <AttachmentsPanel entityType="submission" entityId={selectedSubmission.id} />
+                        </div>
+
                         {(canViewGovernanceQueue || canRouteGovernance) && (
                             <div className="conversation-section" style={{ marginTop: '1.25rem' }}>
                                 <div className="conversation-header">
@@ -2066,6 +2090,13 @@ export function IntakeRequestsList({ initialFilter = 'all', showFilterTabs = tru
                         </div>
                     )}
                 </div>
+                <ProjectTemplatePicker
+                    orgId={convertOwnerOrgId || undefined}
+                    value={convertTemplateId}
+                    onChange={handleConvertTemplateChange}
+                    startDate={convertTemplateStartDate}
+                    onStartDateChange={setConvertTemplateStartDate}
+                />
                 <p style={{ fontSize: '0.875rem', color: 'var(--text-tertiary)', marginBottom: '1rem' }}>
                     This will create a new project from this request and mark the request as approved.
                 </p>
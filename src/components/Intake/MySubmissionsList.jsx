@@ -2,6 +2,7 @@ import { useState, useRef, useEffect } from 'react';
 import { Clock, MessageSquare, Send, CheckCircle, XCircle } from 'lucide-react';
 import { useData } from '../../context/DataContext';
 import { Modal } from '../UI/Modal';
+import { AttachmentsPanel } from '../UI/AttachmentsPanel';
 import { getIntakeSystemField, INTAKE_SYSTEM_FIELD_KEYS } from '../../../shared/intakeSystemFields.js';
 import './Intake.css';
 
@@ -255,6 +256,10 @@ export function MySubmissionsList() {
                             </div>
                         </div>
 
+                        <div style={{ marginTop: '2rem' }}>
+                            <AttachmentsPanel entityType="submission" entityId={selectedSubmission.id} />
+                        </div>
+
                         {/* Conversation */}
                         <div className="conversation-section" style={{ marginTop: '2rem' }}>
                             <div className="conversation-header">
@@ -1,8 +1,9 @@
-import { useEffect, useState } from 'react';
+import { useCallback, useEffect, useState } from 'react';
 import { useData } from '../../context/DataContext';
 import { useToast } from '../../context/ToastContext';
 import { CascadingGoalFilter } from '../UI/CascadingGoalFilter';
 import { ProjectTagSelector } from '../UI/ProjectTagSelector';
+import { ProjectTemplatePicker } from '../UI/ProjectTemplatePicker';
 import { validateGoalAssignment } from '../../utils/goalAssignmentValidation';
 import { X } from 'lucide-react';
 import { formatGoalOptionLabel } from '../../utils/goalHierarchy';
@@ -18,6 +19,8 @@ export function AddProjectForm({ onClose }) {
     const [projectTags, setProjectTags] = useState([]);
     const [organizations, setOrganizations] = useState([]);
     const [selectedOrgId, setSelectedOrgId] = useState(currentUser?.orgId ? String(currentUser.orgId) : '');
+    const [templateId, setTemplateId] = useState('');
+    const [templateStartDate, setTemplateStartDate] = useState(() => new Date().toISOString().slice(0, 10));
 
     useEffect(() => {
         let cancelled = false;
@@ -69,6 +72,19 @@ export function AddProjectForm({ onClose }) {
         return goal ? formatGoalOptionLabel(goal) : id;
     };
 
+    // Template goals and tags prefill empty selections so they stay visible and editable before create.
+    const handleTemplateChange = useCallback((template) => {
+        setTemplateId(template ? template.id : '');
+        if (!template) return;
+        const knownGoalIds = new Set(goals.map((goal) => String(goal.id)));
+        setGoalIds((prev) => (prev.length > 0
+            ? prev
+            : template.definition.goalIds.map(String).filter((goalId) => knownGoalIds.has(goalId))));
+        setProjectTags((prev) => (prev.length > 0
+            ? prev
+            : template.definition.tagIds.map((tagId) => ({ tagId: String(tagId), isPrimary: false }))));
+    }, [goals]);
+
     const handleSubmit = async (e) => {
         e.preventDefault();
         const normalizedPendingGoalId = String(pendingGoalId || '').trim();
@@ -101,7 +117,8 @@ export function AddProjectForm({ onClose }) {
                 goalIds: effectiveGoalIds,
                 description,
                 status: 'active',
-                ...(isAdmin ? { orgId: selectedOrgId } : {})
+                ...(isAdmin ? { orgId: selectedOrgId } : {}),
+                ...(templateId ? { templateId, templateStartDate } : {})
             });
             if (projectTags.length > 0) {
                 try {
@@ -153,6 +170,14 @@ export function AddProjectForm({ onClose }) {
                 </div>
             )}
 
+            <ProjectTemplatePicker
+                orgId={isAdmin ? selectedOrgId : undefined}
+                value={templateId}
+                onChange={handleTemplateChange}
+                startDate={templateStartDate}
+                onStartDateChange={setTemplateStartDate}
+            />
+
             <div className="form-group">
                 <label>Linked Goals</label>
                 {goalIds.length > 0 && (
@@ -1,8 +1,10 @@
 import { useState } from 'react';
 import { useData } from '../../context/DataContext';
 import { useToast } from '../../context/ToastContext';
+import { DEFAULT_TASK_WORKFLOW_STATES, getInitialWorkflowStatus } from '../../../shared/taskWorkflows.js';
+import { validateSubtaskParent } from '../../../shared/subtasks.js';
 
-export function AddTaskForm({ onClose, projectId, assigneeOptions = [], currentUser = null }) {
+export function AddTaskForm({ onClose, projectId, workflowStates = DEFAULT_TASK_WORKFLOW_STATES, assigneeOptions = [], currentUser = null, projectTasks = [] }) {
     const { addTask } = useData();
     const toast = useToast();
     const [title, setTitle] = useState('');
@@ -11,6 +13,7 @@ export function AddTaskForm({ onClose, projectId, assigneeOptions = [], currentU
     const [endDate, setEndDate] = useState('');
     const [description, setDescription] = useState('');
     const [assigneeOid, setAssigneeOid] = useState('');
+    const [parentTaskId, setParentTaskId] = useState('');
     const [submitting, setSubmitting] = useState(false);
 
     const handleSubmit = async (e) => {
@@ -25,8 +28,9 @@ export function AddTaskForm({ onClose, projectId, assigneeOptions = [], currentU
                 endDate: endDate || null,
                 description,
                 assigneeOid: assigneeOid || null,
-                status: 'todo',
-                createdAt: new Date().toISOString()
+                status: getInitialWorkflowStatus(workflowStates),
+                createdAt: new Date().toISOString(),
+                ...(parentTaskId ? { parentTaskId } : {})
             });
             toast.success('Task added');
             onClose();
@@ -40,6 +44,7 @@ export function AddTaskForm({ onClose, projectId, assigneeOptions = [], currentU
 
     // Get today's date for default
     const today = new Date().toISOString().split('T')[0];
+    const parentOptions = projectTasks.filter((task) => !validateSubtaskParent(projectTasks, null, task.id));
 
     return (
         <form onSubmit={handleSubmit}>
@@ -114,6 +119,22 @@ export function AddTaskForm({ onClose, projectId, assigneeOptions = [], currentU
                 )}
             </div>
 
+            {parentOptions.length > 0 && (
+                <div className="form-group">
+                    <label>Parent Task (optional)</label>
+                    <select
+                        value={parentTaskId}
+                        onChange={e => setParentTaskId(e.target.value)}
+                        className="form-select"
+                    >
+                        <option value="">None (top-level task)</option>
+                        {parentOptions.map(task => (
+                            <option key={task.id} value={task.id}>{task.title}</option>
+                        ))}
+                    </select>
+                </div>
+            )}
+
             <div className="form-group">
                 <label>Description (optional)</label>
                 <textarea
@@ -0,0 +1,136 @@
+import { useEffect, useState } from 'react';
+import { useData } from '../../context/DataContext';
+import { useToast } from '../../context/ToastContext';
+import { PROJECT_CLONE_COMPONENTS, buildCloneTitle } from '../../../shared/projectClone.js';
+
+/**
+ * Copy a project into a new one, e.g. the next site of a rollout.
+ *
+ * Props:
+ *   project: the source project
+ *   onClose: () => void
+ *   onCloned: (newProject) => void, called after a successful clone
+ */
+export function CloneProjectForm({ project, onClose, onCloned }) {
+    const { cloneProject, currentUser, fetchOrganizations, hasRole } = useData();
+    const { success, error: showError } = useToast();
+    const isAdmin = hasRole('Admin');
+    const [title, setTitle] = useState(() => buildCloneTitle(project.title, ''));
+    const [startDate, setStartDate] = useState('');
+    const [components, setComponents] = useState(() => Object.fromEntries(
+        PROJECT_CLONE_COMPONENTS.map((component) => [component.key, true])
+    ));
+    const [organizations, setOrganizations] = useState([]);
+    const [selectedOrgId, setSelectedOrgId] = useState(
+        project.orgId ? String(project.orgId) : (currentUser?.orgId ? String(currentUser.orgId) : '')
+    );
+    const [saving, setSaving] = useState(false);
+
+    useEffect(() => {
+        if (!isAdmin) return;
+        fetchOrganizations()
+            .then((orgs) => setOrganizations(Array.isArray(orgs) ? orgs : []))
+            .catch((err) => console.warn('Failed to load organizations for project clone', err));
+    }, [fetchOrganizations, isAdmin]);
+
+    const toggleComponent = (key) => setComponents((prev) => ({ ...prev, [key]: !prev[key] }));
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setSaving(true);
+        try {
+            const newProject = await cloneProject(project.id, {
+                title: title.trim(),
+                startDate: startDate || null,
+                components,
+                ...(isAdmin && selectedOrgId ? { orgId: selectedOrgId } : {})
+            });
+            success(`Created "${newProject.title}" from ${project.title}`);
+            onCloned?.(newProject);
+            onClose();
+        } catch (err) {
+            showError(err.message || 'Failed to clone project');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    return (
+        <form onSubmit={handleSubmit}>
+            <div className="form-group">
+                <label>New Project Title</label>
+                <input
+                    type="text"
+                    required
+                    maxLength={255}
+                    value={title}
+                    onChange={(e) => setTitle(e.target.value)}
+                    className="form-input"
+                    autoFocus
+                />
+            </div>
+
+            {isAdmin && (
+                <div className="form-group">
+                    <label>Owning Organization</label>
+                    <select
+                        value={selectedOrgId}
+                        onChange={(e) => setSelectedOrgId(e.target.value)}
+                        className="form-select"
+                        required
+                    >
+                        <option value="">Select organization</option>
+                        {organizations.map((organization) => (
+                            <option key={organization.id} value={organization.id}>
+                                {organization.name}
+                            </option>
+                        ))}
+                    </select>
+                </div>
+            )}
+
+            <div className="form-group">
+                <label>Copy</label>
+                {PROJECT_CLONE_COMPONENTS.map((component) => {
+                    const disabled = !!component.requires && !components[component.requires];
+                    return (
+                        <label key={component.key} className="clone-project-option">
+                            <input
+                                type="checkbox"
+                                checked={components[component.key] && !disabled}
+                                disabled={disabled}
+                                onChange={() => toggleComponent(component.key)}
+                            />
+                            {component.label}
+                        </label>
+                    );
+                })}
+                <span className="form-hint">
+                    Copied tasks start unassigned in the first workflow state; benefits start as planned.
+                </span>
+            </div>
+
+            {components.tasks && (
+                <div className="form-group">
+                    <label>Task Start Date</label>
+                    <input
+                        type="date"
+                        value={startDate}
+                        onChange={(e) => setStartDate(e.target.value)}
+                        className="form-input"
+                    />
+                    <span className="form-hint">
+                        The earliest task moves to this date and the rest keep their spacing; benefit due dates move by the same amount. Leave blank to keep the original dates.
+                    </span>
+                </div>
+            )}
+
+            <div className="form-actions">
+                <button type="button" onClick={onClose} className="btn-secondary" disabled={saving}>Cancel</button>
+                <button type="submit" className="btn-primary" disabled={saving}>
+                    {saving ? 'Cloning...' : 'Clone Project'}
+                </button>
+            </div>
+        </form>
+    );
+}
@@ -3,18 +3,42 @@ import { useData } from '../../context/DataContext';
 import { useToast } from '../../context/ToastContext';
 import { ProjectTagSelector } from '../UI/ProjectTagSelector';
 import { CascadingGoalFilter } from '../UI/CascadingGoalFilter';
+import { CustomFieldInputs } from '../UI/CustomFieldInputs';
+import { EditConflictDialog } from '../UI/EditConflictDialog';
 import { validateGoalAssignment } from '../../utils/goalAssignmentValidation';
 import { X } from 'lucide-react';
 import { formatGoalOptionLabel } from '../../utils/goalHierarchy';
+import { MAX_PROJECT_HOLD_REASON_LENGTH, validateProjectHold } from '../../../shared/dataLifecyclePolicy.js';
+
+const CONFLICT_FIELD_LABELS = {
+    title: 'Title',
+    description: 'Description',
+    status: 'Status',
+    onHoldReason: 'Hold reason',
+    expectedResumeDate: 'Expected resume date',
+    orgId: 'Owning organization',
+    goalIds: 'Linked goals'
+};
 
 export function EditProjectForm({
     project,
     onClose,
     canEditProject = true,
     canDeleteProject = false,
-    canRestoreProject = false
+    canRestoreProject = false,
+    userOptions = []
 }) {
-    const { updateProject, updateProjectTags, deleteProject, restoreProject, goals, currentUser, fetchOrganizations, hasRole } = useData();
+    const {
+        updateProject,
+        updateProjectTags,
+        updateProjectCustomFields,
+        deleteProject,
+        restoreProject,
+        goals,
+        currentUser,
+        fetchOrganizations,
+        hasRole
+    } = useData();
     const { success, error: showError } = useToast();
     const isAdmin = hasRole('Admin');
     const [title, setTitle] = useState(project.title || '');
@@ -27,6 +51,9 @@ export function EditProjectForm({
     const [pendingGoalId, setPendingGoalId] = useState('');
     const [description, setDescription] = useState(project.description || '');
     const [status, setStatus] = useState(project.status || 'active');
+    const [onHoldReason, setOnHoldReason] = useState(project.onHoldReason || '');
+    const [expectedResumeDate, setExpectedResumeDate] = useState(project.expectedResumeDate || '');
+    const isOnHold = status === 'on-hold';
     const [projectTags, setProjectTags] = useState(() =>
         (project.tags || []).map((tag) => ({
             tagId: String(tag.tagId ?? tag.id),
@@ -38,6 +65,12 @@ export function EditProjectForm({
         project.orgId || (currentUser?.orgId ? String(currentUser.orgId) : '')
     );
     const [confirmDelete, setConfirmDelete] = useState(false);
+    const customFieldDefinitions = project.customFieldDefinitions?.project || [];
+    const [customFieldValues, setCustomFieldValues] = useState(() => ({ ...(project.customFields || {}) }));
+    // Version the form was opened against; a 412 on save opens the merge step instead of overwriting.
+    const [baseEtag, setBaseEtag] = useState(project.etag || null);
+    const [conflict, setConflict] = useState(null);
+    const [saving, setSaving] = useState(false);
 
     useEffect(() => {
         let cancelled = false;
@@ -144,24 +177,82 @@ export function EditProjectForm({
             showError('Select an owning organization for this project');
             return;
         }
+        let hold = null;
+        if (isOnHold) {
+            const holdValidation = validateProjectHold(
+                { reason: onHoldReason, expectedResumeDate },
+                { previousResumeDate: project.expectedResumeDate || null }
+            );
+            if (holdValidation.error) {
+                showError(holdValidation.error);
+                return;
+            }
+            hold = holdValidation.value;
+        }
+        await saveProject({
+            title,
+            goalIds: effectiveGoalIds,
+            description,
+            status,
+            ...(hold ? { onHoldReason: hold.reason, expectedResumeDate: hold.expectedResumeDate } : {}),
+            ...(isAdmin ? { orgId: selectedOrgId } : {})
+        }, baseEtag);
+    };
+
+    const saveProject = async (payload, etag) => {
+        setSaving(true);
         try {
-            await updateProject(project.id, {
-                title,
-                goalIds: effectiveGoalIds,
-                description,
-                status,
-                ...(isAdmin ? { orgId: selectedOrgId } : {})
-            });
+            await updateProject(project.id, payload, { etag });
             await updateProjectTags(project.id, projectTags);
+            if (customFieldDefinitions.length > 0
+                && JSON.stringify(customFieldValues) !== JSON.stringify(project.customFields || {})) {
+                await updateProjectCustomFields(project.id, customFieldValues);
+            }
             success('Project and tags updated successfully');
             onClose();
         } catch (err) {
+            if (err?.status === 412 && Array.isArray(err.data?.conflicts)) {
+                if (err.data.conflicts.length === 0) {
+                    // The other save did not touch anything this form changes.
+                    await saveProject(payload, err.data.etag);
+                    return;
+                }
+                setConflict({ payload, etag: err.data.etag, conflicts: err.data.conflicts });
+                return;
+            }
             if (typeof err?.message === 'string' && err.message.toLowerCase().includes('maximum 8 tags')) {
                 showError('Maximum 8 tags per project');
                 return;
             }
             showError(err.message || 'Failed to update project');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleResolveConflict = async (chosenValues) => {
+        const merged = { ...conflict.payload, ...chosenValues };
+        setTitle(merged.title || '');
+        setDescription(merged.description || '');
+        setStatus(merged.status || 'active');
+        setOnHoldReason(merged.onHoldReason || '');
+        setExpectedResumeDate(merged.expectedResumeDate || '');
+        setGoalIds((merged.goalIds || []).map(String));
+        if (merged.orgId !== undefined) setSelectedOrgId(merged.orgId ? String(merged.orgId) : '');
+        const { etag } = conflict;
+        setConflict(null);
+        await saveProject(merged, etag);
+    };
+
+    const formatConflictValue = (field, value) => {
+        if (field === 'goalIds') {
+            return Array.isArray(value) && value.length ? value.map(getGoalTitle).join(', ') : '(none)';
+        }
+        if (field === 'orgId') {
+            const organization = organizations.find((org) => String(org.id) === String(value));
+            return organization?.name || (value ? `Organization ${value}` : '(none)');
         }
+        return value === null || value === undefined || value === '' ? '(empty)' : String(value);
     };
 
     const handleDelete = () => {
@@ -212,6 +303,23 @@ export function EditProjectForm({
         </span>
     );
 
+    if (conflict) {
+        return (
+            <EditConflictDialog
+                conflicts={conflict.conflicts}
+                fieldLabels={CONFLICT_FIELD_LABELS}
+                formatValue={formatConflictValue}
+                onResolve={handleResolveConflict}
+                onCancel={() => {
+                    // The user has now seen the other save, so the next attempt is made against it.
+                    setBaseEtag(conflict.etag);
+                    setConflict(null);
+                }}
+                busy={saving}
+            />
+        );
+    }
+
     return (
         <form onSubmit={handleSubmit}>
             <div style={{ display: 'grid', gridTemplateColumns: '2fr 1fr', gap: '1.5rem' }}>
@@ -243,6 +351,40 @@ export function EditProjectForm({
                 </div>
             </div>
 
+            {isOnHold && (
+                <div style={{ display: 'grid', gridTemplateColumns: '2fr 1fr', gap: '1.5rem' }}>
+                    <div className="form-group">
+                        <label htmlFor="project-hold-reason">Hold Reason</label>
+                        <textarea
+                            id="project-hold-reason"
+                            value={onHoldReason}
+                            onChange={e => setOnHoldReason(e.target.value)}
+                            className="form-textarea"
+                            rows={2}
+                            maxLength={MAX_PROJECT_HOLD_REASON_LENGTH}
+                            placeholder="Why is work paused?"
+                            disabled={!canEditProject}
+                            required
+                        />
+                    </div>
+                    <div className="form-group">
+                        <label htmlFor="project-resume-date">Expected Resume Date</label>
+                        <input
+                            id="project-resume-date"
+                            type="date"
+                            value={expectedResumeDate}
+                            onChange={e => setExpectedResumeDate(e.target.value)}
+                            className="form-input"
+                            disabled={!canEditProject}
+                            required
+                        />
+                        <div className="form-hint">
+                            Overdue and risk penalties pause while the project is on hold.
+                        </div>
+                    </div>
+                </div>
+            )}
+
             {isAdmin && (
                 <div className="form-group">
                     <label>Owning Organization</label>
@@ -344,6 +486,15 @@ export function EditProjectForm({
                 />
             </div>
 
+            <CustomFieldInputs
+                definitions={customFieldDefinitions}
+                values={customFieldValues}
+                onChange={setCustomFieldValues}
+                userOptions={userOptions}
+                userNames={project.customFieldUsers}
+                disabled={!canEditProject}
+            />
+
             <div className="form-group">
                 <label>Project Tags</label>
                 <div style={{ pointerEvents: canEditProject ? 'auto' : 'none', opacity: canEditProject ? 1 : 0.65 }}>
@@ -386,7 +537,7 @@ export function EditProjectForm({
                 </div>
                 <div style={{ display: 'flex', gap: '1rem' }}>
                     <button type="button" onClick={onClose} className="btn-secondary">Cancel</button>
-                    {canEditProject && <button type="submit" className="btn-primary">Save Changes</button>}
+                    {canEditProject && <button type="submit" className="btn-primary" disabled={saving}>Save Changes</button>}
                 </div>
             </div>
         </form>
@@ -1,15 +1,29 @@
-import { useState, useMemo } from 'react';
-import { Calendar, ChevronLeft, ChevronRight } from 'lucide-react';
+import { Fragment, useState, useMemo, useRef, useLayoutEffect, useId, useEffect, useCallback } from 'react';
+import { Calendar, ChevronLeft, ChevronRight, AlertTriangle, Route, Flag, Bookmark, Trash2 } from 'lucide-react';
+import { useData } from '../../context/DataContext';
+import { useToast } from '../../context/ToastContext';
+import {
+    TASK_DEPENDENCY_TYPES,
+    TASK_DEPENDENCY_TYPE_LABELS,
+    computeCriticalPath,
+    findDependencyViolations
+} from '../../../shared/taskDependencies.js';
+import {
+    PROJECT_MILESTONE_STATUS_LABELS,
+    getMilestoneDisplayDate,
+    getMilestoneSlipDays,
+    sortMilestones
+} from '../../../shared/milestones.js';
+import {
+    BASELINE_ITEM_TYPES,
+    MAX_BASELINE_NAME_LENGTH,
+    computeScheduleVariance,
+    getBaselineItemKey
+} from '../../../shared/scheduleBaselines.js';
+import { getStatusColor, getStatusLabel, getWorkflowStates, isTaskDone } from '../../../shared/taskWorkflows.js';
+import { buildSubtaskIndex, orderTasksAsTree, summarizeSubtasks } from '../../../shared/subtasks.js';
 import './Gantt.css';
 
-const STATUS_COLORS = {
-    'todo': '#6b7280',
-    'in-progress': '#3b82f6',
-    'blocked': '#ef4444',
-    'review': '#00558c',
-    'done': '#059669'
-};
-
 const PRIORITY_COLORS = {
     high: '#ef4444',
     medium: '#f59e0b',
@@ -42,9 +56,106 @@ const getTaskEndDate = (task) => {
 };
 // End Helper Functions
 
-export function GanttView({ project, onTaskClick }) {
+const ARROW_VARIANTS = ['default', 'critical', 'violated'];
+
+const MILESTONE_COLORS = {
+    pending: '#6b7280',
+    'in-progress': '#f59e0b',
+    complete: '#059669',
+    missed: '#ef4444'
+};
+
+const formatLag = (lagDays) => {
+    if (!lagDays) return '';
+    return lagDays > 0 ? ` +${lagDays}d` : ` ${lagDays}d`;
+};
+
+const formatSlip = (days) => {
+    if (!days) return 'on baseline';
+    const unit = Math.abs(days) === 1 ? 'day' : 'days';
+    return days > 0 ? `${days} ${unit} late` : `${Math.abs(days)} ${unit} early`;
+};
+
+export function GanttView({ project, onTaskClick, canCaptureBaseline = false }) {
+    const { fetchProjectBaselines, fetchProjectBaseline, captureProjectBaseline, deleteProjectBaseline } = useData();
+    const { success, error } = useToast();
     const [periodOffset, setPeriodOffset] = useState(0);
     const [viewPeriod, setViewPeriod] = useState('month');
+    const [showCriticalPath, setShowCriticalPath] = useState(false);
+    const [rowMetrics, setRowMetrics] = useState({});
+    const [baselines, setBaselines] = useState([]);
+    const [selectedBaselineId, setSelectedBaselineId] = useState('');
+    const [baselineItems, setBaselineItems] = useState([]);
+    const [baselineBusy, setBaselineBusy] = useState(false);
+    const rowRefs = useRef(new Map());
+    const arrowMarkerId = `gantt-arrow-${useId().replace(/:/g, '')}`;
+    const workflowStates = getWorkflowStates(project.taskWorkflow);
+
+    const loadBaselines = useCallback(async () => {
+        try {
+            const data = await fetchProjectBaselines(project.id);
+            setBaselines(Array.isArray(data?.baselines) ? data.baselines : []);
+        } catch (err) {
+            console.error('Failed to load schedule baselines:', err);
+            setBaselines([]);
+        }
+    }, [fetchProjectBaselines, project.id]);
+
+    useEffect(() => {
+        if (!project.id) return;
+        setSelectedBaselineId('');
+        loadBaselines();
+    }, [project.id, loadBaselines]);
+
+    useEffect(() => {
+        if (!selectedBaselineId) {
+            setBaselineItems([]);
+            return undefined;
+        }
+        let cancelled = false;
+        fetchProjectBaseline(project.id, selectedBaselineId)
+            .then((data) => {
+                if (!cancelled) setBaselineItems(Array.isArray(data?.items) ? data.items : []);
+            })
+            .catch((err) => {
+                if (cancelled) return;
+                setBaselineItems([]);
+                error(err?.message || 'Failed to load schedule baseline');
+            });
+        return () => { cancelled = true; };
+    }, [fetchProjectBaseline, project.id, selectedBaselineId, error]);
+
+    const handleCaptureBaseline = async () => {
+        const name = window.prompt('Name this baseline (e.g. "Governance approval"):');
+        if (!name || !name.trim()) return;
+        setBaselineBusy(true);
+        try {
+            const baseline = await captureProjectBaseline(project.id, { name: name.trim().slice(0, MAX_BASELINE_NAME_LENGTH) });
+            await loadBaselines();
+            setSelectedBaselineId(baseline.id);
+            success(`Baseline "${baseline.name}" captured (${baseline.itemCount} items)`);
+        } catch (err) {
+            error(err?.message || 'Failed to capture schedule baseline');
+        } finally {
+            setBaselineBusy(false);
+        }
+    };
+
+    const handleDeleteBaseline = async () => {
+        const baseline = baselines.find((item) => item.id === selectedBaselineId);
+        if (!baseline || !window.confirm(`Delete baseline "${baseline.name}"?`)) return;
+        setBaselineBusy(true);
+        try {
+            await deleteProjectBaseline(project.id, baseline.id);
+            setSelectedBaselineId('');
+            await loadBaselines();
+            success('Baseline deleted');
+        } catch (err) {
+            error(err?.message || 'Failed to delete schedule baseline');
+        } finally {
+            setBaselineBusy(false);
+        }
+    };
 
     const periodConfig = VIEW_PERIODS[viewPeriod];
     const periodDays = periodConfig.days;
@@ -140,16 +251,47 @@ export function GanttView({ project, onTaskClick }) {
         const durationDays = (visibleEnd - visibleStart) / (1000 * 60 * 60 * 24) + 1;
 
         const left = (startDays / totalDays) * 100;
-        const width = (durationDays / totalDays) * 100;
+        const width = Math.max((durationDays / totalDays) * 100, 1);
 
         return {
             left: `${left}%`,
-            width: `${Math.max(width, 1)}%`,
+            width: `${width}%`,
+            leftPct: left,
+            rightPct: left + width,
             overflowLeft: taskStart < rangeStart,
             overflowRight: taskEnd > rangeEnd
         };
     };
 
+    // Horizontal position (percent) of a single day inside the visible range, or null when outside it.
+    const getDatePosition = (value) => {
+        if (!value) return null;
+        const date = normalizeDate(value);
+        if (date < rangeStart || date > rangeEnd) return null;
+        const totalDays = (rangeEnd - rangeStart) / (1000 * 60 * 60 * 24) + 1;
+        const dayOffset = (date - rangeStart) / (1000 * 60 * 60 * 24);
+        return ((dayOffset + 0.5) / totalDays) * 100;
+    };
+
+    // Sub-task nesting and roll-ups; parents are drawn across their sub-tasks' combined dates.
+    const subtaskInfo = useMemo(() => {
+        const tasks = project.tasks || [];
+        const states = getWorkflowStates(project.taskWorkflow);
+        const index = buildSubtaskIndex(tasks);
+        const rollups = new Map();
+        tasks.forEach((task) => {
+            const rollup = summarizeSubtasks(tasks, task.id, (item) => isTaskDone(item, states), index);
+            if (rollup) rollups.set(String(task.id), rollup);
+        });
+        const levels = new Map(orderTasksAsTree(tasks).map(({ task, level }) => [String(task.id), level]));
+        return { rollups, levels };
+    }, [project.tasks, project.taskWorkflow]);
+
+    const getScheduleTask = useCallback((task) => {
+        const rollup = subtaskInfo.rollups.get(String(task.id));
+        return rollup ? { ...task, startDate: rollup.startDate, endDate: rollup.endDate } : task;
+    }, [subtaskInfo]);
+
     const sortedTasks = useMemo(() => {
         const normalize = (date) => {
             const d = new Date(date);
@@ -166,22 +308,29 @@ export function GanttView({ project, onTaskClick }) {
             if (task.dueDate) return normalize(task.dueDate);
             return null;
         };
-        return [...(project.tasks || [])].sort((a, b) => {
-            const aDate = getStart(a) || getEnd(a);
-            const bDate = getStart(b) || getEnd(b);
+        const sorted = [...(project.tasks || [])].sort((a, b) => {
+            const aSchedule = getScheduleTask(a);
+            const bSchedule = getScheduleTask(b);
+            const aDate = getStart(aSchedule) || getEnd(aSchedule);
+            const bDate = getStart(bSchedule) || getEnd(bSchedule);
             if (!aDate && !bDate) return 0;
             if (!aDate) return 1;
             if (!bDate) return -1;
             return aDate - bDate;
         });
-    }, [project.tasks]);
+        // Group each parent with its sub-tasks, keeping date order among siblings.
+        return orderTasksAsTree(sorted).map(({ task }) => task);
+    }, [project.tasks, getScheduleTask]);
 
     // Memoize task filtering with proper dependencies
     const { visibleTasks, tasksWithDatesButNotVisible, tasksWithoutDates } = useMemo(() => {
-        const hasDates = (task) => task.startDate || task.endDate || task.dueDate;
+        const hasDates = (task) => {
+            const schedule = getScheduleTask(task);
+            return schedule.startDate || schedule.endDate || schedule.dueDate;
+        };
         const isVisible = (task) => {
-            const startDate = getTaskStartDate(task);
-            const endDate = getTaskEndDate(task);
+            const startDate = getTaskStartDate(getScheduleTask(task));
+            const endDate = getTaskEndDate(getScheduleTask(task));
             if (!startDate && !endDate) return false;
             const taskStart = startDate || endDate;
             const taskEnd = endDate || startDate;
@@ -193,7 +342,144 @@ export function GanttView({ project, onTaskClick }) {
             tasksWithDatesButNotVisible: sortedTasks.filter(t => hasDates(t) && !isVisible(t)),
             tasksWithoutDates: sortedTasks.filter(t => !hasDates(t))
         };
-    }, [sortedTasks, rangeStart, rangeEnd]);
+    }, [sortedTasks, rangeStart, rangeEnd, getScheduleTask]);
+
+    const dependencies = useMemo(() => project.dependencies || [], [project.dependencies]);
+
+    const milestones = useMemo(() => sortMilestones(project.milestones), [project.milestones]);
+
+    const baselineByItem = useMemo(() => new Map(
+        baselineItems.map((item) => [getBaselineItemKey(item.itemType, item.itemId), item])
+    ), [baselineItems]);
+
+    const baselineVariance = useMemo(() => {
+        if (!selectedBaselineId || baselineItems.length === 0) return null;
+        const tasksById = new Map((project.tasks || []).map((task) => [String(task.id), task]));
+        const milestonesById = new Map(milestones.map((milestone) => [String(milestone.id), milestone]));
+        return computeScheduleVariance(baselineItems.map((item) => {
+            let currentEndDate;
+            if (item.itemType === BASELINE_ITEM_TYPES.TASK && tasksById.has(item.itemId)) {
+                const task = tasksById.get(item.itemId);
+                currentEndDate = task.endDate || task.startDate || null;
+            } else if (item.itemType === BASELINE_ITEM_TYPES.MILESTONE && milestonesById.has(item.itemId)) {
+                currentEndDate = getMilestoneDisplayDate(milestonesById.get(item.itemId));
+            }
+            return { baselineEndDate: item.endDate, currentEndDate };
+        }));
+    }, [selectedBaselineId, baselineItems, project.tasks, milestones]);
+
+    const milestoneMarkers = milestones
+        .map((milestone) => {
+            const left = getDatePosition(getMilestoneDisplayDate(milestone));
+            if (left === null) return null;
+            const slipDays = getMilestoneSlipDays(milestone);
+            const baselineItem = baselineByItem.get(getBaselineItemKey(BASELINE_ITEM_TYPES.MILESTONE, milestone.id));
+            return {
+                milestone,
+                left,
+                plannedLeft: slipDays !== 0 ? getDatePosition(milestone.plannedDate) : null,
+                baselineLeft: baselineItem ? getDatePosition(baselineItem.endDate) : null,
+                slipDays
+            };
+        })
+        .filter(Boolean);
+
+    const describeMilestone = (milestone, slipDays) => {
+        const parts = [
+            milestone.name,
+            `${PROJECT_MILESTONE_STATUS_LABELS[milestone.status] || 'Pending'}`,
+            `Planned ${milestone.plannedDate || '-'}`
+        ];
+        if (milestone.forecastDate) parts.push(`Forecast ${milestone.forecastDate}`);
+        if (milestone.actualDate) parts.push(`Actual ${milestone.actualDate}`);
+        if (slipDays > 0) parts.push(`${slipDays}d late`);
+        return parts.join('\n');
+    };
+
+    const taskTitleById = useMemo(() => new Map(
+        (project.tasks || []).map((task) => [String(task.id), task.title])
+    ), [project.tasks]);
+
+    const criticalPath = useMemo(
+        () => computeCriticalPath(project.tasks || [], dependencies),
+        [project.tasks, dependencies]
+    );
+
+    const violations = useMemo(
+        () => findDependencyViolations(project.tasks || [], dependencies),
+        [project.tasks, dependencies]
+    );
+
+    const violationsBySuccessor = useMemo(() => {
+        const grouped = new Map();
+        violations.forEach((violation) => {
+            const key = violation.successorTaskId;
+            if (!grouped.has(key)) grouped.set(key, []);
+            grouped.get(key).push(violation);
+        });
+        return grouped;
+    }, [violations]);
+
+    const violatedDependencyIds = useMemo(
+        () => new Set(violations.map((violation) => violation.dependencyId).filter(Boolean)),
+        [violations]
+    );
+
+    const describeViolation = (violation) => {
+        const predecessorTitle = taskTitleById.get(violation.predecessorTaskId) || 'predecessor';
+        const typeLabel = TASK_DEPENDENCY_TYPE_LABELS[violation.dependencyType] || 'Dependency';
+        const dayLabel = violation.daysEarly === 1 ? 'day' : 'days';
+        return `${typeLabel}${formatLag(violation.lagDays)} on "${predecessorTitle}": starts ${violation.daysEarly} ${dayLabel} too early (earliest ${violation.earliestStart})`;
+    };
+
+    // Measure visible rows so dependency arrows can be drawn between bars.
+    useLayoutEffect(() => {
+        const next = {};
+        rowRefs.current.forEach((node, taskId) => {
+            if (node) {
+                next[taskId] = { top: node.offsetTop, height: node.offsetHeight };
+            }
+        });
+        setRowMetrics((prev) => (JSON.stringify(prev) === JSON.stringify(next) ? prev : next));
+    }, [visibleTasks, viewPeriod, periodOffset]);
+
+    const barByTask = new Map();
+    visibleTasks.forEach((task) => {
+        const bar = getTaskBar(getScheduleTask(task));
+        if (bar) barByTask.set(String(task.id), bar);
+    });
+
+    const dependencyArrows = dependencies
+        .map((dependency) => {
+            const fromKey = String(dependency.predecessorTaskId);
+            const toKey = String(dependency.successorTaskId);
+            const fromBar = barByTask.get(fromKey);
+            const toBar = barByTask.get(toKey);
+            const fromRow = rowMetrics[fromKey];
+            const toRow = rowMetrics[toKey];
+            if (!fromBar || !toBar || !fromRow || !toRow) return null;
+            const fromX = dependency.dependencyType === TASK_DEPENDENCY_TYPES.START_TO_START
+                ? fromBar.leftPct
+                : fromBar.rightPct;
+            return {
+                id: String(dependency.id),
+                fromX,
+                toX: toBar.leftPct,
+                fromY: fromRow.top + (fromRow.height / 2),
+                toY: toRow.top + (toRow.height / 2),
+                isCritical: showCriticalPath && criticalPath.dependencyIds.has(String(dependency.id)),
+                isViolated: violatedDependencyIds.has(String(dependency.id))
+            };
+        })
+        .filter(Boolean);
+
+    const setRowRef = (taskId) => (node) => {
+        if (node) {
+            rowRefs.current.set(String(taskId), node);
+        } else {
+            rowRefs.current.delete(String(taskId));
+        }
+    };
 
     const handlePeriodChange = (newPeriod) => {
         setViewPeriod(newPeriod);
@@ -238,20 +524,107 @@ export function GanttView({ project, onTaskClick }) {
                     </button>
                 </div>
 
-                {/* View Period Selector */}
-                <div className="gantt-period-selector">
-                    {Object.entries(VIEW_PERIODS).map(([key, { label }]) => (
+                <div className="gantt-nav-right">
+                    {dependencies.length > 0 && (
                         <button
-                            key={key}
-                            className={`gantt-period-btn ${viewPeriod === key ? 'active' : ''}`}
-                            onClick={() => handlePeriodChange(key)}
+                            type="button"
+                            className={`gantt-nav-btn gantt-critical-toggle ${showCriticalPath ? 'active' : ''}`}
+                            onClick={() => setShowCriticalPath((value) => !value)}
+                            aria-pressed={showCriticalPath}
+                            title="Highlight tasks with no schedule slack"
                         >
-                            {label}
+                            <Route size={16} />
+                            Critical Path
                         </button>
-                    ))}
+                    )}
+
+                    {(baselines.length > 0 || canCaptureBaseline) && (
+                        <div className="gantt-baseline-controls">
+                            <select
+                                className="gantt-baseline-select"
+                                value={selectedBaselineId}
+                                onChange={(e) => setSelectedBaselineId(e.target.value)}
+                                aria-label="Compare with baseline"
+                                disabled={baselines.length === 0}
+                            >
+                                <option value="">{baselines.length === 0 ? 'No baselines' : 'No baseline overlay'}</option>
+                                {baselines.map((baseline) => (
+                                    <option key={baseline.id} value={baseline.id}>
+                                        {baseline.name} ({new Date(baseline.capturedAt).toLocaleDateString()})
+                                    </option>
+                                ))}
+                            </select>
+                            {canCaptureBaseline && selectedBaselineId && (
+                                <button
+                                    type="button"
+                                    className="gantt-nav-btn"
+                                    onClick={handleDeleteBaseline}
+                                    disabled={baselineBusy}
+                                    title="Delete selected baseline"
+                                >
+                                    <Trash2 size={16} />
+                                </button>
+                            )}
+                            {canCaptureBaseline && (
+                                <button
+                                    type="button"
+                                    className="gantt-nav-btn"
+                                    onClick={handleCaptureBaseline}
+                                    disabled={baselineBusy}
+                                    title="Snapshot current task and milestone dates"
+                                >
+                                    <Bookmark size={16} />
+                                    Capture Baseline
+                                </button>
+                            )}
+                        </div>
+                    )}
+
+                    {/* View Period Selector */}
+                    <div className="gantt-period-selector">
+                        {Object.entries(VIEW_PERIODS).map(([key, { label }]) => (
+                            <button
+                                key={key}
+                                className={`gantt-period-btn ${viewPeriod === key ? 'active' : ''}`}
+                                onClick={() => handlePeriodChange(key)}
+                            >
+                                {label}
+                            </button>
+                        ))}
+                    </div>
                 </div>
             </div>
 
+            {baselineVariance && (
+                <div className={`gantt-baseline-summary ${baselineVariance.slipDays > 0 ? 'late' : ''}`}>
+                    <Bookmark size={16} />
+                    <span>
+                        Finish {formatSlip(baselineVariance.slipDays)}
+                        {' · '}
+                        {baselineVariance.slippedItemCount} of {baselineVariance.comparedItemCount} items slipped
+                        {baselineVariance.removedItemCount > 0 && ` · ${baselineVariance.removedItemCount} removed since baseline`}
+                    </span>
+                </div>
+            )}
+
+            {violations.length > 0 && (
+                <div className="gantt-dependency-warning" role="alert">
+                    <AlertTriangle size={16} />
+                    <div>
+                        <strong>
+                            {violations.length} dependency {violations.length === 1 ? 'conflict' : 'conflicts'}
+                        </strong>
+                        <ul>
+                            {violations.map((violation) => (
+                                <li key={violation.dependencyId || `${violation.predecessorTaskId}-${violation.successorTaskId}`}>
+                                    {taskTitleById.get(violation.successorTaskId) || 'Task'}: {describeViolation(violation)}
+                                </li>
+                            ))}
+                        </ul>
+                    </div>
+                </div>
+            )}
+
             <div className="gantt-chart">
                 {/* Header */}
                 <div className="gantt-header">
@@ -295,38 +668,147 @@ export function GanttView({ project, onTaskClick }) {
 
                 {/* Tasks */}
                 <div className="gantt-body">
-                    {visibleTasks.map(task => {
-                        const bar = getTaskBar(task);
-                        return (
-                            <div key={task.id} className="gantt-row" onClick={() => onTaskClick(task)}>
+                    <div className="gantt-rows">
+                        {milestones.length > 0 && (
+                            <div className="gantt-row gantt-milestone-row">
                                 <div className="gantt-task-info">
-                                    <span
-                                        className="gantt-priority-dot"
-                                        style={{ background: PRIORITY_COLORS[task.priority] }}
-                                    />
-                                    <span className="gantt-task-title">{task.title}</span>
-                                    <span className="gantt-task-status" style={{ color: STATUS_COLORS[task.status] }}>
-                                        {(task.status || 'todo').replace('-', ' ')}
+                                    <Flag size={14} className="gantt-milestone-icon" />
+                                    <span className="gantt-task-title">Milestones</span>
+                                    <span className="gantt-task-status">
+                                        {milestoneMarkers.length}/{milestones.length} in view
                                     </span>
                                 </div>
                                 <div className="gantt-timeline">
                                     {renderGridCells()}
-                                    {bar && (
-                                        <div
-                                            className={`gantt-bar ${task.status} ${bar.overflowLeft ? 'overflow-left' : ''} ${bar.overflowRight ? 'overflow-right' : ''}`}
-                                            style={{
-                                                left: bar.left,
-                                                width: bar.width,
-                                                background: STATUS_COLORS[task.status]
-                                            }}
-                                        >
-                                            <span className="gantt-bar-label">{task.title}</span>
-                                        </div>
-                                    )}
+                                    {milestoneMarkers.map(({ milestone, left, plannedLeft, baselineLeft, slipDays }) => (
+                                        <Fragment key={milestone.id}>
+                                            {baselineLeft !== null && (
+                                                <span
+                                                    className="gantt-milestone-marker baseline"
+                                                    style={{ left: `${baselineLeft}%` }}
+                                                    aria-hidden="true"
+                                                />
+                                            )}
+                                            {plannedLeft !== null && (
+                                                <span
+                                                    className="gantt-milestone-marker planned"
+                                                    style={{ left: `${plannedLeft}%` }}
+                                                    aria-hidden="true"
+                                                />
+                                            )}
+                                            <span
+                                                className="gantt-milestone-marker"
+                                                style={{ left: `${left}%`, background: MILESTONE_COLORS[milestone.status] || MILESTONE_COLORS.pending }}
+                                                title={describeMilestone(milestone, slipDays)}
+                                                aria-label={`Milestone ${milestone.name}`}
+                                            />
+                                        </Fragment>
+                                    ))}
                                 </div>
                             </div>
-                        );
-                    })}
+                        )}
+
+                        {visibleTasks.map(task => {
+                            const bar = getTaskBar(getScheduleTask(task));
+                            const rollup = subtaskInfo.rollups.get(String(task.id));
+                            const level = subtaskInfo.levels.get(String(task.id)) || 0;
+                            const baselineItem = baselineByItem.get(getBaselineItemKey(BASELINE_ITEM_TYPES.TASK, task.id));
+                            const baselineBar = baselineItem ? getTaskBar(baselineItem) : null;
+                            const taskViolations = violationsBySuccessor.get(String(task.id)) || [];
+                            const isCritical = showCriticalPath && criticalPath.taskIds.has(String(task.id));
+                            return (
+                                <div
+                                    key={task.id}
+                                    ref={setRowRef(task.id)}
+                                    className={`gantt-row ${isCritical ? 'critical' : ''}`}
+                                    onClick={() => onTaskClick(task)}
+                                >
+                                    <div className="gantt-task-info" style={level > 0 ? { paddingLeft: `${1 + level * 1.25}rem` } : undefined}>
+                                        <span
+                                            className="gantt-priority-dot"
+                                            style={{ background: PRIORITY_COLORS[task.priority] }}
+                                        />
+                                        <span className="gantt-task-title">{task.title}</span>
+                                        {rollup && (
+                                            <span className="gantt-subtask-count" title={`${rollup.percent}% of sub-tasks done`}>
+                                                {rollup.done}/{rollup.total}
+                                            </span>
+                                        )}
+                                        {taskViolations.length > 0 && (
+                                            <span
+                                                className="gantt-dependency-flag"
+                                                title={taskViolations.map(describeViolation).join('\n')}
+                                                aria-label="Dependency conflict"
+                                            >
+                                                <AlertTriangle size={14} />
+                                            </span>
+                                        )}
+                                        <span className="gantt-task-status" style={{ color: getStatusColor(task.status, workflowStates) }}>
+                                            {getStatusLabel(task.status, workflowStates)}
+                                        </span>
+                                    </div>
+                                    <div className="gantt-timeline">
+                                        {renderGridCells()}
+                                        {baselineBar && (
+                                            <div
+                                                className="gantt-baseline-bar"
+                                                style={{ left: baselineBar.left, width: baselineBar.width }}
+                                                title={`Baseline: ${baselineItem.startDate || '-'} to ${baselineItem.endDate || '-'}`}
+                                            />
+                                        )}
+                                        {bar && (
+                                            <div
+                                                className={`gantt-bar ${task.status} ${rollup ? 'summary' : ''} ${bar.overflowLeft ? 'overflow-left' : ''} ${bar.overflowRight ? 'overflow-right' : ''} ${isCritical ? 'critical' : ''}`}
+                                                style={{
+                                                    left: bar.left,
+                                                    width: bar.width,
+                                                    background: getStatusColor(task.status, workflowStates)
+                                                }}
+                                            >
+                                                <span className="gantt-bar-label">{task.title}</span>
+                                            </div>
+                                        )}
+                                    </div>
+                                </div>
+                            );
+                        })}
+
+                        {dependencyArrows.length > 0 && (
+                            <svg className="gantt-dependency-layer" aria-hidden="true">
+                                <defs>
+                                    {ARROW_VARIANTS.map((variant) => (
+                                        <marker
+                                            key={variant}
+                                            id={`${arrowMarkerId}-${variant}`}
+                                            viewBox="0 0 8 8"
+                                            refX="7"
+                                            refY="4"
+                                            markerWidth="6"
+                                            markerHeight="6"
+                                            orient="auto"
+                                        >
+                                            <path d="M0,0 L8,4 L0,8 z" className={`gantt-dependency-arrowhead ${variant}`} />
+                                        </marker>
+                                    ))}
+                                </defs>
+                                {dependencyArrows.map((arrow) => {
+                                    const variant = arrow.isViolated ? 'violated' : (arrow.isCritical ? 'critical' : 'default');
+                                    return (
+                                        <g key={arrow.id} className={`gantt-dependency-arrow ${variant}`}>
+                                            <line x1={`${arrow.fromX}%`} y1={arrow.fromY} x2={`${arrow.fromX}%`} y2={arrow.toY} />
+                                            <line
+                                                x1={`${arrow.fromX}%`}
+                                                y1={arrow.toY}
+                                                x2={`${arrow.toX}%`}
+                                                y2={arrow.toY}
+                                                markerEnd={`url(#${arrowMarkerId}-${variant})`}
+                                            />
+                                        </g>
+                                    );
+                                })}
+                            </svg>
+                        )}
+                    </div>
 
                     {/* Tasks outside visible range */}
                     {tasksWithDatesButNotVisible.length > 0 && (
@@ -340,13 +822,13 @@ export function GanttView({ project, onTaskClick }) {
                                             style={{ background: PRIORITY_COLORS[task.priority] }}
                                         />
                                         <span className="gantt-task-title">{task.title}</span>
-                                        <span className="gantt-task-status" style={{ color: STATUS_COLORS[task.status] }}>
-                                            {(task.status || 'todo').replace('-', ' ')}
+                                        <span className="gantt-task-status" style={{ color: getStatusColor(task.status, workflowStates) }}>
+                                            {getStatusLabel(task.status, workflowStates)}
                                         </span>
                                     </div>
                                     <div className="gantt-timeline empty">
                                         <span className="no-date-label">
-                                            {getTaskStartDate(task)?.toLocaleDateString()} - {getTaskEndDate(task)?.toLocaleDateString()}
+                                            {getTaskStartDate(getScheduleTask(task))?.toLocaleDateString()} - {getTaskEndDate(getScheduleTask(task))?.toLocaleDateString()}
                                         </span>
                                     </div>
                                 </div>
@@ -366,8 +848,8 @@ export function GanttView({ project, onTaskClick }) {
                                             style={{ background: PRIORITY_COLORS[task.priority] }}
                                         />
                                         <span className="gantt-task-title">{task.title}</span>
-                                        <span className="gantt-task-status" style={{ color: STATUS_COLORS[task.status] }}>
-                                            {(task.status || 'todo').replace('-', ' ')}
+                                        <span className="gantt-task-status" style={{ color: getStatusColor(task.status, workflowStates) }}>
+                                            {getStatusLabel(task.status, workflowStates)}
                                         </span>
                                     </div>
                                     <div className="gantt-timeline empty">
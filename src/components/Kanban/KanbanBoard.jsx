@@ -1,55 +1,97 @@
-import { useState, useCallback, useMemo, useEffect } from 'react';
-import { Settings, LayoutGrid, Table, GanttChart, FileText, Activity, Star, BarChart3 } from 'lucide-react';
+import { Fragment, useState, useCallback, useMemo, useEffect } from 'react';
+import { Settings, LayoutGrid, Table, GanttChart, FileText, Activity, Star, BarChart3, Paperclip, Workflow, Gauge, DollarSign, ShieldAlert, Link2, Flag, Copy, Trash2, PlayCircle } from 'lucide-react';
 import { useData } from '../../context/DataContext';
+import { useToast } from '../../context/ToastContext';
 import { KanbanColumn } from './KanbanColumn';
 import { TaskTableView } from './TaskTableView';
 import { GanttView } from './GanttView';
 import { StatusReportPage } from '../StatusReport/StatusReportPage';
 import { ProjectBenefitsPanel } from './ProjectBenefitsPanel';
+import { ProjectFinancialsPanel } from './ProjectFinancialsPanel';
+import { ProjectRecycleBinPanel } from './ProjectRecycleBinPanel';
+import { ProjectRaidPanel } from './ProjectRaidPanel';
+import { ProjectDependenciesPanel } from './ProjectDependenciesPanel';
+import { ProjectStageGatePanel } from './ProjectStageGatePanel';
 import { Modal } from '../UI/Modal';
+import { AttachmentsPanel } from '../UI/AttachmentsPanel';
 import { AddTaskForm } from './AddTaskForm';
 import { EditProjectForm } from './EditProjectForm';
+import { CloneProjectForm } from './CloneProjectForm';
 import { TaskDetailPanel } from './TaskDetailPanel';
+import { TaskBulkActionBar } from './TaskBulkActionBar';
 import { ProjectActivityFeed } from './ProjectActivityFeed';
+import { TaskWorkflowEditor } from './TaskWorkflowEditor';
+import { WipLimitsEditor } from './WipLimitsEditor';
+import { ProjectHoldChip } from './ProjectHoldChip';
+import {
+    findWorkflowState,
+    getStatusLabel,
+    getTaskStatusCategory,
+    getWorkflowStates,
+    isTaskDone,
+    isWorkflowTransitionAllowed
+} from '../../../shared/taskWorkflows.js';
+import { countTasksByStatus, formatWipLimitViolation, getWipLimitViolation } from '../../../shared/wipLimits.js';
+import { formatCustomFieldValue, isCustomFieldValueEmpty } from '../../../shared/customFields.js';
+import { isOnHoldProjectLifecycleState } from '../../../shared/dataLifecyclePolicy.js';
 import './Kanban.css';
 
 const PROJECT_TASK_FOCUS_STORAGE_KEY = 'dha_project_focus_task_payload';
 const PROJECT_TASK_FOCUS_TTL_MS = 2 * 60 * 1000;
 const PROJECT_VIEW_PREFERENCE_STORAGE_KEY = 'dha_project_view_preference';
 const PROJECT_VIEW_PREFERENCE_TTL_MS = 2 * 60 * 1000;
-const PROJECT_VIEW_MODES = new Set(['table', 'gantt', 'kanban', 'reports', 'benefits', 'activity']);
-
-const COLUMNS = [
-    { id: 'todo', title: 'To Do', color: 'var(--text-secondary)' },
-    { id: 'in-progress', title: 'In Progress', color: '#3b82f6' },
-    { id: 'blocked', title: 'Blocked', color: '#ef4444' },
-    { id: 'review', title: 'Review', color: '#00558c' },
-    { id: 'done', title: 'Done', color: '#10b981' }
-];
+const PROJECT_VIEW_MODES = new Set(['table', 'gantt', 'kanban', 'reports', 'benefits', 'raid', 'dependencies', 'gates', 'financials', 'files', 'activity', 'bin']);
+const TASK_VIEW_MODES = new Set(['table', 'gantt', 'kanban']);
 
 const PRIORITY_ORDER = { high: 0, medium: 1, low: 2 };
 
-export function KanbanBoard({ project, onBack, goalTitle }) {
+export function KanbanBoard({ project, onBack, onOpenProject, goalTitle }) {
     const {
         watchProject,
         unwatchProject,
+        moveTask,
+        fetchTaskWorkflow,
+        saveProjectTaskWorkflow,
+        deleteProjectTaskWorkflow,
+        saveProjectWipLimits,
         fetchAssignableUsers,
+        resumeProject,
         currentUser,
         hasPermission
     } = useData();
+    const { success, warning, error: showError } = useToast();
     const projectHasWriteAccess = project?.hasWriteAccess !== false;
     const isArchivedProject = String(project?.lifecycleState || '').toLowerCase() === 'archived';
+    const isOnHoldProject = isOnHoldProjectLifecycleState(project?.lifecycleState);
     const canEditProject = hasPermission('can_edit_project') && projectHasWriteAccess && !isArchivedProject;
     const canDeleteProject = hasPermission('can_delete_project') && projectHasWriteAccess && !isArchivedProject;
     const canRestoreProject = hasPermission('can_edit_project') && projectHasWriteAccess && isArchivedProject;
     const canManageProject = canEditProject || canDeleteProject || canRestoreProject;
+    const canCloneProject = hasPermission('can_create_project');
     const [showAddModal, setShowAddModal] = useState(false);
     const [showEditModal, setShowEditModal] = useState(false);
+    const [showCloneModal, setShowCloneModal] = useState(false);
+    const [showWorkflowModal, setShowWorkflowModal] = useState(false);
+    const [showWipModal, setShowWipModal] = useState(false);
+    const [orgWorkflow, setOrgWorkflow] = useState(null);
     const [selectedTask, setSelectedTask] = useState(null);
-    const [viewMode, setViewMode] = useState('table'); // 'table', 'gantt', 'kanban', 'reports', 'benefits', 'activity'
+    const [viewMode, setViewMode] = useState('table'); // 'table', 'gantt', 'kanban', 'reports', 'benefits', 'raid', 'dependencies', 'gates', 'financials', 'files', 'activity', 'bin'
     const [isUpdatingWatch, setIsUpdatingWatch] = useState(false);
+    const [isResuming, setIsResuming] = useState(false);
     const [taskQuickFilter, setTaskQuickFilter] = useState('all');
     const [assigneeOptions, setAssigneeOptions] = useState([]);
+    const [selectedTaskIds, setSelectedTaskIds] = useState(() => new Set());
+
+    // Board columns follow the project's workflow (its own, its organization's, or the standard states).
+    const workflowStates = useMemo(() => getWorkflowStates(project.taskWorkflow), [project.taskWorkflow]);
+    const columns = useMemo(() => workflowStates.map((state) => ({
+        id: state.key,
+        title: state.label,
+        color: state.color
+    })), [workflowStates]);
+
+    const wipLimits = project.wipLimits;
+    const wipCounts = useMemo(() => countTasksByStatus(project.tasks || []), [project.tasks]);
 
     const sortTasks = useCallback((tasks) => {
         return [...tasks].sort((a, b) => {
@@ -75,7 +117,7 @@ export function KanbanBoard({ project, onBack, goalTitle }) {
         const isOverdue = (task) => {
             const endDate = task.endDate || task.dueDate;
             if (!endDate) return false;
-            return new Date(endDate) < today && task.status !== 'done';
+            return new Date(endDate) < today && !isTaskDone(task, workflowStates);
         };
 
         if (taskQuickFilter === 'mine') {
@@ -92,25 +134,83 @@ export function KanbanBoard({ project, onBack, goalTitle }) {
         }
 
         if (taskQuickFilter === 'done') {
-            return tasks.filter((task) => task.status === 'done');
+            return tasks.filter((task) => isTaskDone(task, workflowStates));
         }
 
         return tasks;
-    }, [project.tasks, taskQuickFilter, currentUser?.oid]);
+    }, [project.tasks, taskQuickFilter, currentUser?.oid, workflowStates]);
 
+    // A status the workflow no longer defines lands in the first column of the same category.
     const tasksByStatus = useMemo(() => {
-        return COLUMNS.reduce((acc, col) => {
-            const columnTasks = filteredTasks.filter(t => t.status === col.id);
-            acc[col.id] = sortTasks(columnTasks);
-            return acc;
-        }, {});
-    }, [filteredTasks, sortTasks]);
+        const acc = Object.fromEntries(columns.map((col) => [col.id, []]));
+        filteredTasks.forEach((task) => {
+            const columnId = findWorkflowState(workflowStates, task.status)
+                ? task.status
+                : (workflowStates.find((state) => state.category === getTaskStatusCategory(task, workflowStates)) || workflowStates[0]).key;
+            acc[columnId].push(task);
+        });
+        Object.keys(acc).forEach((columnId) => {
+            acc[columnId] = sortTasks(acc[columnId]);
+        });
+        return acc;
+    }, [columns, filteredTasks, sortTasks, workflowStates]);
+
+    const handleMoveTask = useCallback(async (taskId, nextStatus) => {
+        const task = (project.tasks || []).find((item) => String(item.id) === String(taskId));
+        if (!task || task.status === nextStatus) return;
+        if (!isWorkflowTransitionAllowed(workflowStates, task.status, nextStatus)) {
+            warning(`${getStatusLabel(task.status, workflowStates)} tasks cannot move to ${getStatusLabel(nextStatus, workflowStates)} in this workflow.`);
+            return;
+        }
+        const wipViolation = wipLimits?.enforce && getWipLimitViolation({
+            tasks: project.tasks || [],
+            limits: wipLimits.limits,
+            targetStatus: nextStatus,
+            movingTaskIds: [taskId]
+        });
+        if (wipViolation) {
+            warning(formatWipLimitViolation(wipViolation, getStatusLabel(nextStatus, workflowStates)));
+            return;
+        }
+        try {
+            await moveTask(project.id, taskId, nextStatus);
+        } catch (err) {
+            showError(err?.message || 'Failed to move task');
+        }
+    }, [project.id, project.tasks, workflowStates, wipLimits, moveTask, warning, showError]);
 
     const projectForView = useMemo(() => ({
         ...project,
         tasks: filteredTasks
     }), [project, filteredTasks]);
 
+    // A reset falls back to the owning organization's workflow, so load it for the remap choices.
+    useEffect(() => {
+        if (!showWorkflowModal) return;
+        let cancelled = false;
+        fetchTaskWorkflow(project.orgId)
+            .then((data) => {
+                if (!cancelled) setOrgWorkflow(data?.workflow || null);
+            })
+            .catch((err) => console.warn('Failed to load organization workflow', err));
+        return () => { cancelled = true; };
+    }, [showWorkflowModal, project.orgId, fetchTaskWorkflow]);
+
+    const handleSaveWorkflow = useCallback(
+        (workflow) => saveProjectTaskWorkflow(project.id, workflow),
+        [project.id, saveProjectTaskWorkflow]
+    );
+
+    const handleResetWorkflow = useCallback(
+        (remap) => deleteProjectTaskWorkflow(project.id, remap),
+        [project.id, deleteProjectTaskWorkflow]
+    );
+
+    const handleSaveWipLimits = useCallback(
+        (settings) => saveProjectWipLimits(project.id, settings),
+        [project.id, saveProjectWipLimits]
+    );
+
     const handleEditClose = useCallback((wasDeleted) => {
         setShowEditModal(false);
         if (wasDeleted) {
@@ -122,6 +222,41 @@ export function KanbanBoard({ project, onBack, goalTitle }) {
         setSelectedTask(task);
     }, []);
 
+    const handleToggleTaskSelection = useCallback((taskId) => {
+        setSelectedTaskIds((prev) => {
+            const next = new Set(prev);
+            if (next.has(taskId)) next.delete(taskId);
+            else next.add(taskId);
+            return next;
+        });
+    }, []);
+
+    const handleToggleAllTasks = useCallback((taskIds, selected) => {
+        setSelectedTaskIds((prev) => {
+            const next = new Set(prev);
+            taskIds.forEach((taskId) => (selected ? next.add(taskId) : next.delete(taskId)));
+            return next;
+        });
+    }, []);
+
+    const clearTaskSelection = useCallback(() => setSelectedTaskIds(new Set()), []);
+
+    // Only visible tasks stay selected, so a bulk action never touches rows hidden by a filter.
+    useEffect(() => {
+        setSelectedTaskIds((prev) => {
+            if (prev.size === 0) return prev;
+            const visibleIds = new Set(filteredTasks.map((task) => String(task.id)));
+            const next = new Set([...prev].filter((taskId) => visibleIds.has(taskId)));
+            return next.size === prev.size ? prev : next;
+        });
+    }, [filteredTasks]);
+
+    const selectedTasks = useMemo(
+        () => filteredTasks.filter((task) => selectedTaskIds.has(String(task.id))),
+        [filteredTasks, selectedTaskIds]
+    );
+    const canBulkEdit = canEditProject && (viewMode === 'table' || viewMode === 'kanban');
+
     const handleToggleWatch = useCallback(async () => {
         if (isUpdatingWatch) return;
         setIsUpdatingWatch(true);
@@ -138,6 +273,19 @@ export function KanbanBoard({ project, onBack, goalTitle }) {
         }
     }, [isUpdatingWatch, project.isWatched, project.id, unwatchProject, watchProject]);
 
+    const handleResume = useCallback(async () => {
+        if (isResuming) return;
+        setIsResuming(true);
+        try {
+            await resumeProject(project.id, { etag: project.etag });
+            success('Project resumed');
+        } catch (err) {
+            showError(err.message || 'Failed to resume project');
+        } finally {
+            setIsResuming(false);
+        }
+    }, [isResuming, project.id, project.etag, resumeProject, success, showError]);
+
     useEffect(() => {
         if (!canEditProject) return;
         let cancelled = false;
@@ -248,6 +396,18 @@ export function KanbanBoard({ project, onBack, goalTitle }) {
                         {isArchivedProject && (
                             <span className="project-goal-chip project-goal-chip-more">Archived</span>
                         )}
+                        {isOnHoldProject && <ProjectHoldChip project={project} />}
+                        {isOnHoldProject && canEditProject && (
+                            <button
+                                type="button"
+                                onClick={handleResume}
+                                className="btn-secondary btn-sm"
+                                disabled={isResuming}
+                                title="Take the project off hold"
+                            >
+                                <PlayCircle size={14} /> {isResuming ? 'Resuming...' : 'Resume'}
+                            </button>
+                        )}
                         <button
                             type="button"
                             onClick={handleToggleWatch}
@@ -258,6 +418,33 @@ export function KanbanBoard({ project, onBack, goalTitle }) {
                         >
                             <Star size={16} fill={project.isWatched ? 'currentColor' : 'none'} />
                         </button>
+                        {canEditProject && (
+                            <button
+                                onClick={() => setShowWorkflowModal(true)}
+                                className="icon-btn"
+                                title="Task Workflow"
+                            >
+                                <Workflow size={18} />
+                            </button>
+                        )}
+                        {canEditProject && wipLimits?.schemaReady && (
+                            <button
+                                onClick={() => setShowWipModal(true)}
+                                className="icon-btn"
+                                title="WIP Limits"
+                            >
+                                <Gauge size={18} />
+                            </button>
+                        )}
+                        {canCloneProject && (
+                            <button
+                                onClick={() => setShowCloneModal(true)}
+                                className="icon-btn"
+                                title="Clone Project"
+                            >
+                                <Copy size={18} />
+                            </button>
+                        )}
                         {canManageProject && (
                             <button
                                 onClick={() => setShowEditModal(true)}
@@ -272,6 +459,33 @@ export function KanbanBoard({ project, onBack, goalTitle }) {
                         <span className="meta-item">🎯 {goalTitle || 'Unlinked'}</span>
                         <span className="meta-divider">•</span>
                         <span className="meta-item">{project.completion}% Complete</span>
+                        {project.clonedFrom && (
+                            <>
+                                <span className="meta-divider">•</span>
+                                <span className="meta-item">
+                                    Cloned from{' '}
+                                    {project.clonedFrom.title && onOpenProject ? (
+                                        <button type="button" className="board-lineage-link" onClick={() => onOpenProject(project.clonedFrom.id)}>
+                                            {project.clonedFrom.title}
+                                        </button>
+                                    ) : (project.clonedFrom.title || 'a project outside your organization')}
+                                </span>
+                            </>
+                        )}
+                        {(project.customFieldDefinitions?.project || [])
+                            .filter((definition) => !isCustomFieldValueEmpty(project.customFields?.[definition.id]))
+                            .map((definition) => (
+                                <Fragment key={definition.id}>
+                                    <span className="meta-divider">•</span>
+                                    <span className="meta-item">
+                                        {definition.label}: {formatCustomFieldValue(
+                                            definition,
+                                            project.customFields[definition.id],
+                                            new Map(Object.entries(project.customFieldUsers || {}))
+                                        )}
+                                    </span>
+                                </Fragment>
+                            ))}
                         {!projectHasWriteAccess && (
                             <>
                                 <span className="meta-divider">•</span>
@@ -321,6 +535,41 @@ export function KanbanBoard({ project, onBack, goalTitle }) {
                         >
                             <BarChart3 size={18} />
                         </button>
+                        <button
+                            className={`view-toggle-btn ${viewMode === 'raid' ? 'active' : ''}`}
+                            onClick={() => setViewMode('raid')}
+                            title="RAID Register"
+                        >
+                            <ShieldAlert size={18} />
+                        </button>
+                        <button
+                            className={`view-toggle-btn ${viewMode === 'dependencies' ? 'active' : ''}`}
+                            onClick={() => setViewMode('dependencies')}
+                            title="Project Dependencies"
+                        >
+                            <Link2 size={18} />
+                        </button>
+                        <button
+                            className={`view-toggle-btn ${viewMode === 'gates' ? 'active' : ''}`}
+                            onClick={() => setViewMode('gates')}
+                            title="Delivery Phases and Gates"
+                        >
+                            <Flag size={18} />
+                        </button>
+                        <button
+                            className={`view-toggle-btn ${viewMode === 'financials' ? 'active' : ''}`}
+                            onClick={() => setViewMode('financials')}
+                            title="Project Financials"
+                        >
+                            <DollarSign size={18} />
+                        </button>
+                        <button
+                            className={`view-toggle-btn ${viewMode === 'files' ? 'active' : ''}`}
+                            onClick={() => setViewMode('files')}
+                            title="Project Files"
+                        >
+                            <Paperclip size={18} />
+                        </button>
                         <button
                             className={`view-toggle-btn ${viewMode === 'activity' ? 'active' : ''}`}
                             onClick={() => setViewMode('activity')}
@@ -328,15 +577,22 @@ export function KanbanBoard({ project, onBack, goalTitle }) {
                         >
                             <Activity size={18} />
                         </button>
+                        <button
+                            className={`view-toggle-btn ${viewMode === 'bin' ? 'active' : ''}`}
+                            onClick={() => setViewMode('bin')}
+                            title="Recycle Bin"
+                        >
+                            <Trash2 size={18} />
+                        </button>
                     </div>
 
-                    {viewMode !== 'reports' && viewMode !== 'activity' && viewMode !== 'benefits' && canEditProject && (
+                    {TASK_VIEW_MODES.has(viewMode) && canEditProject && (
                         <button className="btn-primary" onClick={() => setShowAddModal(true)}>New Task</button>
                     )}
                 </div>
             </div>
 
-            {viewMode !== 'reports' && viewMode !== 'activity' && viewMode !== 'benefits' && (
+            {TASK_VIEW_MODES.has(viewMode) && (
                 <div className="task-quick-filters">
                     <button
                         type="button"
@@ -377,16 +633,32 @@ export function KanbanBoard({ project, onBack, goalTitle }) {
                 </div>
             )}
 
+            {canBulkEdit && selectedTasks.length > 0 && (
+                <TaskBulkActionBar
+                    projectId={project.id}
+                    selectedTasks={selectedTasks}
+                    workflowStates={workflowStates}
+                    assigneeOptions={assigneeOptions}
+                    onClearSelection={clearTaskSelection}
+                />
+            )}
+
             {viewMode === 'kanban' && (
                 <div className="kanban-columns">
-                    {COLUMNS.map(col => (
+                    {columns.map(col => (
                         <KanbanColumn
                             key={col.id}
                             column={col}
                             tasks={tasksByStatus[col.id] || []}
                             projectId={project.id}
+                            workflowStates={workflowStates}
+                            wipLimit={wipLimits?.limits?.[col.id] || null}
+                            wipCount={wipCounts[col.id] || 0}
+                            onMoveTask={handleMoveTask}
                             onTaskClick={handleTaskClick}
                             canEditTask={canEditProject}
+                            selectedTaskIds={canBulkEdit ? selectedTaskIds : undefined}
+                            onToggleTask={canBulkEdit ? handleToggleTaskSelection : undefined}
                         />
                     ))}
                 </div>
@@ -396,6 +668,9 @@ export function KanbanBoard({ project, onBack, goalTitle }) {
                 <TaskTableView
                     project={projectForView}
                     onTaskClick={handleTaskClick}
+                    selectedTaskIds={canBulkEdit ? selectedTaskIds : undefined}
+                    onToggleTask={canBulkEdit ? handleToggleTaskSelection : undefined}
+                    onToggleAll={canBulkEdit ? handleToggleAllTasks : undefined}
                 />
             )}
 
@@ -405,6 +680,7 @@ export function KanbanBoard({ project, onBack, goalTitle }) {
                 <GanttView
                     project={projectForView}
                     onTaskClick={handleTaskClick}
+                    canCaptureBaseline={canEditProject}
                 />
             )}
 
@@ -422,10 +698,52 @@ export function KanbanBoard({ project, onBack, goalTitle }) {
                 />
             )}
 
+            {viewMode === 'raid' && (
+                <ProjectRaidPanel
+                    projectId={project.id}
+                    canEditProject={canEditProject}
+                    ownerOptions={assigneeOptions}
+                />
+            )}
+
+            {viewMode === 'dependencies' && (
+                <ProjectDependenciesPanel
+                    projectId={project.id}
+                    canEditProject={canEditProject}
+                />
+            )}
+
+            {viewMode === 'gates' && (
+                <ProjectStageGatePanel
+                    projectId={project.id}
+                    canEditProject={canEditProject}
+                />
+            )}
+
+            {viewMode === 'financials' && (
+                <ProjectFinancialsPanel
+                    projectId={project.id}
+                    canEditProject={canEditProject}
+                />
+            )}
+
+            {viewMode === 'files' && (
+                <div className="project-files-panel glass-panel">
+                    <AttachmentsPanel entityType="project" entityId={project.id} title="Project files" />
+                </div>
+            )}
+
             {viewMode === 'activity' && (
                 <ProjectActivityFeed projectId={project.id} />
             )}
 
+            {viewMode === 'bin' && (
+                <ProjectRecycleBinPanel
+                    projectId={project.id}
+                    canEditProject={canEditProject}
+                />
+            )}
+
             <Modal
                 isOpen={showAddModal}
                 onClose={() => setShowAddModal(false)}
@@ -435,8 +753,43 @@ export function KanbanBoard({ project, onBack, goalTitle }) {
                 <AddTaskForm
                     onClose={() => setShowAddModal(false)}
                     projectId={project.id}
+                    workflowStates={workflowStates}
                     assigneeOptions={assigneeOptions}
                     currentUser={currentUser}
+                    projectTasks={project.tasks || []}
+                />
+            </Modal>
+
+            <Modal
+                isOpen={showWorkflowModal}
+                onClose={() => setShowWorkflowModal(false)}
+                title="Task Workflow"
+                size="large"
+                closeOnOverlayClick={false}
+            >
+                <TaskWorkflowEditor
+                    workflow={project.taskWorkflow}
+                    ownScope="project"
+                    fallbackLabel={orgWorkflow?.scope === 'org' ? 'organization' : 'standard'}
+                    fallbackStates={orgWorkflow?.states}
+                    onSave={handleSaveWorkflow}
+                    onReset={handleResetWorkflow}
+                    onCancel={() => setShowWorkflowModal(false)}
+                />
+            </Modal>
+
+            <Modal
+                isOpen={showWipModal}
+                onClose={() => setShowWipModal(false)}
+                title="WIP Limits"
+                closeOnOverlayClick={false}
+            >
+                <WipLimitsEditor
+                    wipLimits={wipLimits}
+                    workflowStates={workflowStates}
+                    taskCounts={wipCounts}
+                    onSave={handleSaveWipLimits}
+                    onCancel={() => setShowWipModal(false)}
                 />
             </Modal>
 
@@ -453,6 +806,20 @@ export function KanbanBoard({ project, onBack, goalTitle }) {
                     canEditProject={canEditProject}
                     canDeleteProject={canDeleteProject}
                     canRestoreProject={canRestoreProject}
+                    userOptions={assigneeOptions}
+                />
+            </Modal>
+
+            <Modal
+                isOpen={showCloneModal}
+                onClose={() => setShowCloneModal(false)}
+                title={`Clone ${project.title}`}
+                closeOnOverlayClick={false}
+            >
+                <CloneProjectForm
+                    project={project}
+                    onClose={() => setShowCloneModal(false)}
+                    onCloned={(newProject) => onOpenProject?.(newProject.id)}
                 />
             </Modal>
 
@@ -460,8 +827,14 @@ export function KanbanBoard({ project, onBack, goalTitle }) {
                 <TaskDetailPanel
                     task={selectedTask}
                     projectId={project.id}
+                    projectTasks={project.tasks || []}
+                    dependencies={project.dependencies || []}
+                    workflowStates={workflowStates}
                     assigneeOptions={assigneeOptions}
+                    customFieldDefinitions={project.customFieldDefinitions?.task || []}
+                    customFieldUsers={project.customFieldUsers || {}}
                     canEditTask={canEditProject}
+                    canComment={!isArchivedProject}
                     onClose={() => setSelectedTask(null)}
                 />
             )}
@@ -1,6 +1,6 @@
 import { memo } from 'react';
 import { Calendar, AlertCircle } from 'lucide-react';
-import { useData } from '../../context/DataContext';
+import { isWorkflowTransitionAllowed } from '../../../shared/taskWorkflows.js';
 
 // Get end date (supports legacy dueDate)
 function getEndDate(task) {
@@ -43,13 +43,11 @@ function formatEndDate(task) {
     return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
 }
 
-export const KanbanCard = memo(function KanbanCard({ task, projectId, onClick, canEditTask = false }) {
-    const { moveTask } = useData();
-
+export const KanbanCard = memo(function KanbanCard({ task, projectId, workflowStates, onMoveTask, onClick, canEditTask = false, isSelected = false, onToggleSelect }) {
     const handleStatusChange = (e) => {
         if (!canEditTask) return;
         e.stopPropagation();
-        moveTask(projectId, task.id, e.target.value);
+        onMoveTask(task.id, e.target.value);
     };
 
     const priorityColors = {
@@ -76,13 +74,23 @@ export const KanbanCard = memo(function KanbanCard({ task, projectId, onClick, c
 
     return (
         <div
-            className={`kanban-card ${overdue ? 'overdue' : ''} ${dueSoon && !overdue ? 'due-soon' : ''}`}
+            className={`kanban-card ${overdue ? 'overdue' : ''} ${dueSoon && !overdue ? 'due-soon' : ''} ${isSelected ? 'selected' : ''}`}
             draggable={canEditTask}
             onDragStart={handleDragStart}
             onDragEnd={handleDragEnd}
             onClick={() => onClick && onClick(task)}
         >
             <div className="card-header">
+                {onToggleSelect && (
+                    <input
+                        type="checkbox"
+                        className="card-select"
+                        checked={isSelected}
+                        onChange={() => onToggleSelect(String(task.id))}
+                        onClick={e => e.stopPropagation()}
+                        aria-label={`Select ${task.title}`}
+                    />
+                )}
                 <span
                     className="priority-dot"
                     style={{ backgroundColor: priorityColors[task.priority] || 'gray' }}
@@ -96,11 +104,11 @@ export const KanbanCard = memo(function KanbanCard({ task, projectId, onClick, c
                         onClick={e => e.stopPropagation()}
                         disabled={!canEditTask}
                     >
-                        <option value="todo">To Do</option>
-                        <option value="in-progress">In Prog</option>
-                        <option value="blocked">Blocked</option>
-                        <option value="review">Review</option>
-                        <option value="done">Done</option>
+                        {workflowStates
+                            .filter((state) => isWorkflowTransitionAllowed(workflowStates, task.status, state.key))
+                            .map((state) => (
+                                <option key={state.key} value={state.key}>{state.label}</option>
+                            ))}
                     </select>
                 </div>
             </div>
@@ -1,10 +1,10 @@
 import { useState, memo } from 'react';
-import { useData } from '../../context/DataContext';
 import { KanbanCard } from './KanbanCard';
 
-export const KanbanColumn = memo(function KanbanColumn({ column, tasks, projectId, onTaskClick, canEditTask = false }) {
-    const { moveTask } = useData();
+export const KanbanColumn = memo(function KanbanColumn({ column, tasks, projectId, workflowStates, wipLimit = null, wipCount = 0, onMoveTask, onTaskClick, canEditTask = false, selectedTaskIds, onToggleTask }) {
     const [isDragOver, setIsDragOver] = useState(false);
+    // wipCount covers every task in the column, including ones hidden by a quick filter.
+    const wipState = !wipLimit ? '' : wipCount > wipLimit ? 'wip-breached' : wipCount === wipLimit ? 'wip-at-limit' : '';
 
     const handleDragOver = (e) => {
         if (!canEditTask) return;
@@ -28,13 +28,13 @@ export const KanbanColumn = memo(function KanbanColumn({ column, tasks, projectI
         const sourceProjectId = e.dataTransfer.getData('projectId');
 
         if (taskId && String(sourceProjectId) === String(projectId)) {
-            moveTask(projectId, taskId, column.id);
+            onMoveTask(taskId, column.id);
         }
     };
 
     return (
         <div
-            className={`kanban-column ${isDragOver ? 'drag-over' : ''}`}
+            className={`kanban-column ${isDragOver ? 'drag-over' : ''} ${wipState}`}
             onDragOver={handleDragOver}
             onDragLeave={handleDragLeave}
             onDrop={handleDrop}
@@ -42,7 +42,16 @@ export const KanbanColumn = memo(function KanbanColumn({ column, tasks, projectI
             <div className="column-header">
                 <div className="column-indicator" style={{ backgroundColor: column.color }}></div>
                 <h3 className="column-title">{column.title}</h3>
-                <span className="column-count">{tasks.length}</span>
+                {wipLimit ? (
+                    <span
+                        className="column-count"
+                        title={wipCount > wipLimit ? `Over WIP limit by ${wipCount - wipLimit}` : `WIP limit ${wipLimit}`}
+                    >
+                        {wipCount}/{wipLimit}
+                    </span>
+                ) : (
+                    <span className="column-count">{tasks.length}</span>
+                )}
             </div>
 
             <div className="column-body">
@@ -51,8 +60,12 @@ export const KanbanColumn = memo(function KanbanColumn({ column, tasks, projectI
                         key={task.id}
                         task={task}
                         projectId={projectId}
+                        workflowStates={workflowStates}
+                        onMoveTask={onMoveTask}
                         onClick={onTaskClick}
                         canEditTask={canEditTask}
+                        isSelected={selectedTaskIds?.has(String(task.id)) || false}
+                        onToggleSelect={onToggleTask}
                     />
                 ))}
             </div>
@@ -1,4 +1,4 @@
-import { useState, useEffect, useCallback } from 'react';
+import { Fragment, useState, useEffect, useCallback, useMemo } from 'react';
 import { useData } from '../../context/DataContext';
 import { KanbanBoard } from './KanbanBoard';
 import { Plus, Folder, Target, Search, X, LayoutGrid, Table, Star, Archive } from 'lucide-react';
@@ -10,6 +10,9 @@ import { ProjectTagBadges } from '../UI/ProjectTagSelector';
 import './KanbanView.css';
 import { EmptyState } from '../UI/EmptyState';
 import { API_BASE } from '../../apiClient';
+import { useCustomFieldFilterFields } from '../../hooks/useCustomFieldFilterFields';
+import { ProjectHoldChip } from './ProjectHoldChip';
+import { isOnHoldProjectLifecycleState } from '../../../shared/dataLifecyclePolicy.js';
 
 const STATUS_OPTIONS = [
     { id: 'red', label: 'Red', color: '#ef4444' },
@@ -67,6 +70,8 @@ export default function KanbanView({ initialGoalFilter, onClearFilter }) {
     const [isLoadingDetails, setIsLoadingDetails] = useState(false);
     const [ownershipFilter, setOwnershipFilter] = useState([]);
     const [projectLifecycleFilter, setProjectLifecycleFilter] = useState('active');
+    const customFieldFilterFields = useCustomFieldFilterFields();
+    const [customFieldFilters, setCustomFieldFilters] = useState({});
 
     // Server-side filtered projects state
     const [filteredServerProjects, setFilteredServerProjects] = useState(null);
@@ -83,9 +88,25 @@ export default function KanbanView({ initialGoalFilter, onClearFilter }) {
         exactProjectFilterId ||
         watchedOnly ||
         ownershipFilter.length > 0 ||
+        Object.keys(customFieldFilters).length > 0 ||
         projectLifecycleFilter !== 'active'
     );
 
+    // FilterBar lower-cases option ids, so selections are mapped back to the stored values.
+    const customFieldFilterGroups = useMemo(() => customFieldFilterFields.map((field) => ({
+        key: `custom-field-${field.id}`,
+        label: field.label,
+        options: field.filterOptions,
+        selectedValues: customFieldFilters[field.id] || [],
+        onChange: (next) => setCustomFieldFilters((prev) => {
+            const selected = new Set(next.map((value) => String(value).toLowerCase()));
+            const values = field.filterOptions.map((option) => option.id).filter((id) => selected.has(id.toLowerCase()));
+            const updated = { ...prev };
+            if (values.length > 0) updated[field.id] = values; else delete updated[field.id];
+            return updated;
+        })
+    })), [customFieldFilterFields, customFieldFilters]);
+
     // Sync with external filter changes
     useEffect(() => {
         if (initialGoalFilter) {
@@ -161,9 +182,12 @@ export default function KanbanView({ initialGoalFilter, onClearFilter }) {
         if (ownershipFilter.length > 0) {
             params.set('ownership', ownershipFilter.join(','));
         }
+        if (Object.keys(customFieldFilters).length > 0) {
+            params.set('customFields', JSON.stringify(customFieldFilters));
+        }
         params.set('lifecycle', projectLifecycleFilter);
         return params;
-    }, [exactProjectFilterId, goalFilter, selectedTags, selectedStatuses, searchTerm, watchedOnly, ownershipFilter, projectLifecycleFilter, goals]);
+    }, [exactProjectFilterId, goalFilter, selectedTags, selectedStatuses, searchTerm, watchedOnly, ownershipFilter, customFieldFilters, projectLifecycleFilter, goals]);
 
     // Fetch filtered projects from server when filters change
     useEffect(() => {
@@ -203,7 +227,7 @@ export default function KanbanView({ initialGoalFilter, onClearFilter }) {
 
         fetchFiltered();
         return () => { cancelled = true; };
-    }, [exactProjectFilterId, goalFilter, selectedTags, selectedStatuses, searchTerm, watchedOnly, ownershipFilter, projectLifecycleFilter, goals, authFetch, buildFilterParams, hasActiveFilters]);
+    }, [exactProjectFilterId, goalFilter, selectedTags, selectedStatuses, searchTerm, watchedOnly, ownershipFilter, customFieldFilters, projectLifecycleFilter, goals, authFetch, buildFilterParams, hasActiveFilters]);
 
     // Load more filtered projects
     const loadMoreFilteredProjects = useCallback(async () => {
@@ -252,6 +276,13 @@ export default function KanbanView({ initialGoalFilter, onClearFilter }) {
 
     // Use server-filtered projects when filters are active, otherwise global paginated projects
     const displayProjects = hasActiveFilters ? (filteredServerProjects ?? projects) : projects;
+    // Paused projects get their own swimlane below the work in flight.
+    const onHoldProjects = displayProjects.filter((project) => isOnHoldProjectLifecycleState(project.lifecycleState));
+    const projectLanes = [
+        { id: 'in-flight', label: 'In flight', projects: displayProjects.filter((project) => !isOnHoldProjectLifecycleState(project.lifecycleState)) },
+        { id: 'on-hold', label: 'On hold', projects: onHoldProjects }
+    ].filter((lane) => lane.projects.length > 0);
+    const showLaneHeads = onHoldProjects.length > 0;
     const needsOrganizationAssignment = !isAdminUser && currentUser && !currentUser.orgId;
 
     const getEmptyStateConfig = () => {
@@ -425,6 +456,7 @@ export default function KanbanView({ initialGoalFilter, onClearFilter }) {
             <KanbanBoard
                 project={selectedProject}
                 onBack={() => setSelectedProjectId(null)}
+                onOpenProject={setSelectedProjectId}
                 goalTitle={getProjectGoalSummary(selectedProject)}
             />
         );
@@ -492,7 +524,8 @@ export default function KanbanView({ initialGoalFilter, onClearFilter }) {
                         ],
                         selectedValues: ownershipFilter,
                         onChange: setOwnershipFilter
-                    }
+                    },
+                    ...customFieldFilterGroups
                 ]}
                 countLabel={hasActiveFilters
                     ? `${displayProjects.length} of ${filteredPagination?.total || displayProjects.length} project(s)`
@@ -567,19 +600,131 @@ export default function KanbanView({ initialGoalFilter, onClearFilter }) {
                             </tr>
                         </thead>
                         <tbody>
-                            {displayProjects.map(project => {
-                                const goalTitles = getProjectGoalTitles(project);
-                                const visibleGoalTitles = goalTitles.slice(0, 2);
-                                const hiddenGoalCount = Math.max(0, goalTitles.length - visibleGoalTitles.length);
-                                return (
-                                <tr
-                                    key={project.id}
-                                    className="project-table-row"
-                                    onClick={() => setSelectedProjectId(project.id)}
-                                >
-                                    <td>
-                                        <div className="project-cell-primary">
-                                            <div className="project-cell-title-row">
+                            {projectLanes.map((lane) => (
+                                <Fragment key={lane.id}>
+                                    {showLaneHeads && (
+                                        <tr className="project-table-lane-row">
+                                            <td colSpan={6}>{lane.label} ({lane.projects.length})</td>
+                                        </tr>
+                                    )}
+                                    {lane.projects.map(project => {
+                                        const goalTitles = getProjectGoalTitles(project);
+                                        const visibleGoalTitles = goalTitles.slice(0, 2);
+                                        const hiddenGoalCount = Math.max(0, goalTitles.length - visibleGoalTitles.length);
+                                        return (
+                                        <tr
+                                            key={project.id}
+                                            className="project-table-row"
+                                            onClick={() => setSelectedProjectId(project.id)}
+                                        >
+                                            <td>
+                                                <div className="project-cell-primary">
+                                                    <div className="project-cell-title-row">
+                                                        <button
+                                                            type="button"
+                                                            className={`project-watch-btn ${project.isWatched ? 'active' : ''}`}
+                                                            onClick={(event) => handleToggleWatch(event, project)}
+                                                            title={project.isWatched ? 'Remove from watchlist' : 'Add to watchlist'}
+                                                            aria-label={project.isWatched ? 'Remove from watchlist' : 'Add to watchlist'}
+                                                        >
+                                                            <Star size={15} fill={project.isWatched ? 'currentColor' : 'none'} />
+                                                        </button>
+                                                        <span className="project-cell-title">{project.title}</span>
+                                                        {project.lifecycleState === 'archived' && (
+                                                            <span className="project-goal-chip project-goal-chip-more">Archived</span>
+                                                        )}
+                                                        {isOnHoldProjectLifecycleState(project.lifecycleState) && (
+                                                            <ProjectHoldChip project={project} />
+                                                        )}
+                                                    </div>
+                                                    <span className="project-cell-desc">{project.description || 'No description'}</span>
+                                                </div>
+                                            </td>
+                                            <td>
+                                                {goalTitles.length > 0 ? (
+                                                    <div className="project-goals-cell" title={goalTitles.join(', ')}>
+                                                        {visibleGoalTitles.map((title, index) => (
+                                                            <span
+                                                                key={`${project.id}-goal-${index}`}
+                                                                className="project-goal-chip"
+                                                            >
+                                                                {title}
+                                                            </span>
+                                                        ))}
+                                                        {hiddenGoalCount > 0 && (
+                                                            <span className="project-goal-chip project-goal-chip-more">
+                                                                +{hiddenGoalCount} more
+                                                            </span>
+                                                        )}
+                                                    </div>
+                                                ) : (
+                                                    <span className="project-table-empty">Unlinked</span>
+                                                )}
+                                            </td>
+                                            <td>
+                                                <span
+                                                    className="project-status-badge"
+                                                    style={{
+                                                        backgroundColor: `${getProjectStatusColor(project)}20`,
+                                                        color: getProjectStatusColor(project)
+                                                    }}
+                                                >
+                                                    {getProjectStatusLabel(project)}
+                                                </span>
+                                            </td>
+                                            <td>{project.taskCount || project.tasks?.length || 0}</td>
+                                            <td>
+                                                <div className="project-table-progress">
+                                                    <div className="progress-bar-track">
+                                                        <div
+                                                            className="progress-bar-fill"
+                                                            style={{ width: `${project.completion || 0}%` }}
+                                                        ></div>
+                                                    </div>
+                                                    <span className="progress-label">{project.completion || 0}%</span>
+                                                </div>
+                                            </td>
+                                            <td>
+                                                {project.tags && project.tags.length > 0 ? (
+                                                    <ProjectTagBadges tags={project.tags} maxDisplay={2} />
+                                                ) : (
+                                                    <span className="project-table-empty">No tags</span>
+                                                )}
+                                            </td>
+                                        </tr>
+                                        );
+                                    })}
+                                </Fragment>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            ) : (
+                <div className="project-lanes">
+                    {projectLanes.map((lane) => (
+                        <section key={lane.id} className="project-lane">
+                            {showLaneHeads && (
+                                <h3 className="project-lane-head">
+                                    {lane.label}
+                                    <span className="project-lane-count">{lane.projects.length}</span>
+                                </h3>
+                            )}
+                            <div className="projects-grid">
+                                {lane.projects.map(project => {
+                                    const goalTitles = getProjectGoalTitles(project);
+                                    const visibleGoalTitles = goalTitles.slice(0, 2);
+                                    const hiddenGoalCount = Math.max(0, goalTitles.length - visibleGoalTitles.length);
+                                    return (
+                                    <div
+                                        key={project.id}
+                                        className="project-card"
+                                        onClick={() => setSelectedProjectId(project.id)}
+                                    >
+                                        <div className="project-card-header">
+                                            <div className="project-icon">
+                                                <Folder size={22} />
+                                            </div>
+                                            <div className="project-card-header-actions">
                                                 <button
                                                     type="button"
                                                     className={`project-watch-btn ${project.isWatched ? 'active' : ''}`}
@@ -587,22 +732,43 @@ export default function KanbanView({ initialGoalFilter, onClearFilter }) {
                                                     title={project.isWatched ? 'Remove from watchlist' : 'Add to watchlist'}
                                                     aria-label={project.isWatched ? 'Remove from watchlist' : 'Add to watchlist'}
                                                 >
-                                                    <Star size={15} fill={project.isWatched ? 'currentColor' : 'none'} />
+                                                    <Star size={16} fill={project.isWatched ? 'currentColor' : 'none'} />
                                                 </button>
-                                                <span className="project-cell-title">{project.title}</span>
-                                                {project.lifecycleState === 'archived' && (
-                                                    <span className="project-goal-chip project-goal-chip-more">Archived</span>
-                                                )}
+                                                <span className="project-task-count">
+                                                    {project.taskCount || project.tasks?.length || 0} Tasks
+                                                </span>
                                             </div>
-                                            <span className="project-cell-desc">{project.description || 'No description'}</span>
                                         </div>
-                                    </td>
-                                    <td>
-                                        {goalTitles.length > 0 ? (
-                                            <div className="project-goals-cell" title={goalTitles.join(', ')}>
+
+                                        <h3 className="project-title">{project.title}</h3>
+                                        {project.lifecycleState === 'archived' && (
+                                            <div style={{ marginBottom: '0.5rem' }}>
+                                                <span className="project-goal-chip project-goal-chip-more">Archived</span>
+                                            </div>
+                                        )}
+                                        {isOnHoldProjectLifecycleState(project.lifecycleState) && (
+                                            <div style={{ marginBottom: '0.5rem' }}>
+                                                <ProjectHoldChip project={project} />
+                                            </div>
+                                        )}
+                                        <p className="project-description">{project.description || 'No description'}</p>
+
+                                        {project.tags && project.tags.length > 0 && (
+                                            <ProjectTagBadges tags={project.tags} maxDisplay={3} />
+                                        )}
+
+                                        <div className="project-goal-section">
+                                            <div className="project-goal-label">
+                                                <Target size={14} />
+                                                <span>Goals</span>
+                                            </div>
+                                            <div className="project-goal-links" title={goalTitles.join(', ')}>
+                                                {goalTitles.length === 0 && (
+                                                    <span className="project-goal-chip project-goal-chip-empty">Unlinked</span>
+                                                )}
                                                 {visibleGoalTitles.map((title, index) => (
                                                     <span
-                                                        key={`${project.id}-goal-${index}`}
+                                                        key={`${project.id}-goal-card-${index}`}
                                                         className="project-goal-chip"
                                                     >
                                                         {title}
@@ -614,127 +780,23 @@ export default function KanbanView({ initialGoalFilter, onClearFilter }) {
                                                     </span>
                                                 )}
                                             </div>
-                                        ) : (
-                                            <span className="project-table-empty">Unlinked</span>
-                                        )}
-                                    </td>
-                                    <td>
-                                        <span
-                                            className="project-status-badge"
-                                            style={{
-                                                backgroundColor: `${getProjectStatusColor(project)}20`,
-                                                color: getProjectStatusColor(project)
-                                            }}
-                                        >
-                                            {getProjectStatusLabel(project)}
-                                        </span>
-                                    </td>
-                                    <td>{project.taskCount || project.tasks?.length || 0}</td>
-                                    <td>
-                                        <div className="project-table-progress">
+                                        </div>
+
+                                        <div className="project-progress">
                                             <div className="progress-bar-track">
                                                 <div
                                                     className="progress-bar-fill"
                                                     style={{ width: `${project.completion || 0}%` }}
                                                 ></div>
                                             </div>
-                                            <span className="progress-label">{project.completion || 0}%</span>
+                                            <span className="progress-label">{project.completion || 0}% Complete</span>
                                         </div>
-                                    </td>
-                                    <td>
-                                        {project.tags && project.tags.length > 0 ? (
-                                            <ProjectTagBadges tags={project.tags} maxDisplay={2} />
-                                        ) : (
-                                            <span className="project-table-empty">No tags</span>
-                                        )}
-                                    </td>
-                                </tr>
-                                );
-                            })}
-                        </tbody>
-                    </table>
-                </div>
-            ) : (
-                <div className="projects-grid">
-                    {displayProjects.map(project => {
-                        const goalTitles = getProjectGoalTitles(project);
-                        const visibleGoalTitles = goalTitles.slice(0, 2);
-                        const hiddenGoalCount = Math.max(0, goalTitles.length - visibleGoalTitles.length);
-                        return (
-                        <div
-                            key={project.id}
-                            className="project-card"
-                            onClick={() => setSelectedProjectId(project.id)}
-                        >
-                            <div className="project-card-header">
-                                <div className="project-icon">
-                                    <Folder size={22} />
-                                </div>
-                                <div className="project-card-header-actions">
-                                    <button
-                                        type="button"
-                                        className={`project-watch-btn ${project.isWatched ? 'active' : ''}`}
-                                        onClick={(event) => handleToggleWatch(event, project)}
-                                        title={project.isWatched ? 'Remove from watchlist' : 'Add to watchlist'}
-                                        aria-label={project.isWatched ? 'Remove from watchlist' : 'Add to watchlist'}
-                                    >
-                                        <Star size={16} fill={project.isWatched ? 'currentColor' : 'none'} />
-                                    </button>
-                                    <span className="project-task-count">
-                                        {project.taskCount || project.tasks?.length || 0} Tasks
-                                    </span>
-                                </div>
+                                    </div>
+                                    );
+                                })}
                             </div>
-
-                            <h3 className="project-title">{project.title}</h3>
-                            {project.lifecycleState === 'archived' && (
-                                <div style={{ marginBottom: '0.5rem' }}>
-                                    <span className="project-goal-chip project-goal-chip-more">Archived</span>
-                                </div>
-                            )}
-                            <p className="project-description">{project.description || 'No description'}</p>
-
-                            {project.tags && project.tags.length > 0 && (
-                                <ProjectTagBadges tags={project.tags} maxDisplay={3} />
-                            )}
-
-                            <div className="project-goal-section">
-                                <div className="project-goal-label">
-                                    <Target size={14} />
-                                    <span>Goals</span>
-                                </div>
-                                <div className="project-goal-links" title={goalTitles.join(', ')}>
-                                    {goalTitles.length === 0 && (
-                                        <span className="project-goal-chip project-goal-chip-empty">Unlinked</span>
-                                    )}
-                                    {visibleGoalTitles.map((title, index) => (
-                                        <span
-                                            key={`${project.id}-goal-card-${index}`}
-                                            className="project-goal-chip"
-                                        >
-                                            {title}
-                                        </span>
-                                    ))}
-                                    {hiddenGoalCount > 0 && (
-                                        <span className="project-goal-chip project-goal-chip-more">
-                                            +{hiddenGoalCount} more
-                                        </span>
-                                    )}
-                                </div>
-                            </div>
-
-                            <div className="project-progress">
-                                <div className="progress-bar-track">
-                                    <div
-                                        className="progress-bar-fill"
-                                        style={{ width: `${project.completion || 0}%` }}
-                                    ></div>
-                                </div>
-                                <span className="progress-label">{project.completion || 0}% Complete</span>
-                            </div>
-                        </div>
-                        );
-                    })}
+                        </section>
+                    ))}
                 </div>
             )}
 
@@ -15,11 +15,29 @@ const ACTION_LABELS = {
     'task.create': 'Task added',
     'task.update': 'Task updated',
     'task.delete': 'Task removed',
+    'task.restore': 'Task restored',
+    'task.dependency.add': 'Dependency added',
+    'task.dependency.update': 'Dependency updated',
+    'task.dependency.delete': 'Dependency removed',
+    'task.comment.add': 'Comment added',
+    'task.comment.update': 'Comment edited',
+    'task.comment.delete': 'Comment deleted',
+    'task.time.add': 'Time logged',
+    'task.time.update': 'Time entry updated',
+    'task.time.delete': 'Time entry removed',
+    'task.bulk_update': 'Tasks bulk updated',
+    'attachment.upload': 'File attached',
+    'attachment.delete': 'File removed',
+    'project_milestone.create': 'Milestone added',
+    'project_milestone.update': 'Milestone updated',
+    'project_milestone.delete': 'Milestone removed',
+    'project_baseline.create': 'Schedule baseline captured',
+    'project_baseline.delete': 'Schedule baseline deleted',
     'report.create': 'Status report submitted',
 };
 
 function getActionType(action) {
-    if (action.includes('create')) return 'create';
+    if (action.includes('create') || action.endsWith('.add') || action.endsWith('.upload')) return 'create';
     if (action.includes('update') || action.includes('tags')) return 'update';
     if (action.includes('delete')) return 'delete';
     return 'other';
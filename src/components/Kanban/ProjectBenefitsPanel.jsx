@@ -2,6 +2,9 @@ import { useCallback, useEffect, useMemo, useState } from 'react';
 import { AlertTriangle, TrendingUp } from 'lucide-react';
 import { useData } from '../../context/DataContext';
 import { useToast } from '../../context/ToastContext';
+import { RiskDelta, RiskSparkline } from '../UI/RiskSparkline';
+import { summarizeRiskTrend } from '../../../shared/riskTrend.js';
+import { formatRiskModelVersion } from '../../../shared/riskModel.js';
 
 const EMPTY_FORM = {
     title: '',
@@ -25,6 +28,7 @@ const STATUS_LABELS = {
 export function ProjectBenefitsPanel({ projectId, canEditProject }) {
     const {
         fetchProjectBenefitsRisk,
+        fetchProjectRiskHistory,
         createProjectBenefit,
         updateProjectBenefit,
         deleteProjectBenefit
@@ -34,6 +38,7 @@ export function ProjectBenefitsPanel({ projectId, canEditProject }) {
     const [loading, setLoading] = useState(false);
     const [schemaReady, setSchemaReady] = useState(true);
     const [riskSignal, setRiskSignal] = useState(null);
+    const [riskHistory, setRiskHistory] = useState([]);
     const [governanceRationale, setGovernanceRationale] = useState(null);
     const [benefits, setBenefits] = useState([]);
     const [form, setForm] = useState(EMPTY_FORM);
@@ -61,8 +66,17 @@ export function ProjectBenefitsPanel({ projectId, canEditProject }) {
         loadData();
     }, [loadData]);
 
+    // History is a nice-to-have next to the live score, so a failure only logs.
+    useEffect(() => {
+        if (!projectId) return;
+        fetchProjectRiskHistory(projectId)
+            .then((data) => setRiskHistory(Array.isArray(data?.points) ? data.points : []))
+            .catch((err) => console.warn('Failed to load risk history:', err));
+    }, [projectId, fetchProjectRiskHistory]);
+
     const riskLevel = riskSignal?.level || 'low';
     const riskScore = Number(riskSignal?.score || 0);
+    const riskTrend = useMemo(() => summarizeRiskTrend(riskHistory, riskScore), [riskHistory, riskScore]);
     const sortedSignals = useMemo(() => {
         const rows = Array.isArray(riskSignal?.signals) ? riskSignal.signals : [];
         return [...rows].sort((a, b) => Number(b.points || 0) - Number(a.points || 0));
@@ -153,7 +167,16 @@ export function ProjectBenefitsPanel({ projectId, canEditProject }) {
                         <span>Overdue: {riskSignal?.metrics?.overdueTasks ?? 0}</span>
                         <span>Blocked: {riskSignal?.metrics?.blockedTasks ?? 0}</span>
                         <span>Report: {(riskSignal?.metrics?.reportStatus || 'unknown').toUpperCase()}</span>
+                        <span>{formatRiskModelVersion(riskSignal?.modelVersion)}</span>
                     </div>
+                    {riskTrend.points.length > 0 && (
+                        <div className="project-risk-trend">
+                            <span>Risk trend</span>
+                            <RiskSparkline points={riskTrend.points} width={140} height={24} />
+                            <RiskDelta delta={riskTrend.weekDelta} />
+                            <span>vs last week</span>
+                        </div>
+                    )}
                     {sortedSignals.length > 0 ? (
                         <ul className="project-risk-signal-list">
                             {sortedSignals.slice(0, 4).map((signal) => (
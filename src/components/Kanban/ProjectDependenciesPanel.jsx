@@ -0,0 +1,317 @@
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import { AlertTriangle, Link2 } from 'lucide-react';
+import { useData } from '../../context/DataContext';
+import { useToast } from '../../context/ToastContext';
+import {
+    PROJECT_DEPENDENCY_TYPES,
+    PROJECT_DEPENDENCY_TYPE_LABELS,
+    describeUpstreamIssues,
+    normalizeProjectDependency
+} from '../../../shared/projectDependencies.js';
+
+const EMPTY_FORM = {
+    upstreamProjectId: '',
+    dependencyType: PROJECT_DEPENDENCY_TYPES.FINISH_TO_START,
+    neededByDate: '',
+    note: ''
+};
+
+const formatDate = (value) => (value ? new Date(`${value}T00:00:00`).toLocaleDateString() : '');
+
+const projectLabel = (project) => (project?.visible === false ? 'Project outside your organization' : project?.title || 'Untitled project');
+
+function DependencyTable({ rows, emptyText, canEdit, onEdit, onDelete, riskLabel }) {
+    if (rows.length === 0) {
+        return <div className="project-benefits-muted">{emptyText}</div>;
+    }
+    return (
+        <table className="project-financial-table project-raid-table">
+            <thead>
+                <tr>
+                    <th>Project</th>
+                    <th>Type</th>
+                    <th>Needed By</th>
+                    <th>Status</th>
+                    {canEdit && <th />}
+                </tr>
+            </thead>
+            <tbody>
+                {rows.map((dependency) => (
+                    <tr key={dependency.id}>
+                        <td>
+                            <strong>{projectLabel(dependency.project)}</strong>
+                            {dependency.note && <span className="project-raid-description">{dependency.note}</span>}
+                        </td>
+                        <td>{PROJECT_DEPENDENCY_TYPE_LABELS[dependency.dependencyType] || dependency.dependencyType}</td>
+                        <td>{formatDate(dependency.neededByDate) || '-'}</td>
+                        <td>
+                            {dependency.atRisk ? (
+                                <span className="project-dependency-risk">
+                                    <AlertTriangle size={13} /> {riskLabel} {describeUpstreamIssues(dependency.reasons, dependency.daysLate)}
+                                </span>
+                            ) : dependency.project?.lifecycleState === 'completed' ? 'Completed' : 'On track'}
+                        </td>
+                        {canEdit && (
+                            <td className="project-benefit-card-actions">
+                                <button className="btn-secondary btn-sm" onClick={() => onEdit(dependency)}>Edit</button>
+                                <button className="btn-secondary btn-sm" onClick={() => onDelete(dependency.id)}>Remove</button>
+                            </td>
+                        )}
+                    </tr>
+                ))}
+            </tbody>
+        </table>
+    );
+}
+
+export function ProjectDependenciesPanel({ projectId, canEditProject }) {
+    const {
+        fetchProjectDependencies,
+        createProjectDependency,
+        updateProjectDependency,
+        deleteProjectDependency,
+        fetchExecSummaryProjects
+    } = useData();
+    const toast = useToast();
+
+    const [loading, setLoading] = useState(false);
+    const [schemaReady, setSchemaReady] = useState(true);
+    const [upstream, setUpstream] = useState([]);
+    const [downstream, setDownstream] = useState([]);
+    const [projectOptions, setProjectOptions] = useState([]);
+    const [form, setForm] = useState(EMPTY_FORM);
+    const [editingId, setEditingId] = useState('');
+    const [saving, setSaving] = useState(false);
+
+    const loadData = useCallback(async () => {
+        if (!projectId) return;
+        setLoading(true);
+        try {
+            const data = await fetchProjectDependencies(projectId);
+            setSchemaReady(data?.schemaReady !== false);
+            setUpstream(Array.isArray(data?.upstream) ? data.upstream : []);
+            setDownstream(Array.isArray(data?.downstream) ? data.downstream : []);
+        } catch (err) {
+            console.error('Failed to load project dependencies:', err);
+            toast.error(err.message || 'Failed to load project dependencies');
+        } finally {
+            setLoading(false);
+        }
+    }, [projectId, fetchProjectDependencies, toast]);
+
+    useEffect(() => {
+        loadData();
+    }, [loadData]);
+
+    useEffect(() => {
+        if (!canEditProject) return undefined;
+        let isMounted = true;
+        fetchExecSummaryProjects().then((data) => {
+            if (isMounted && Array.isArray(data)) {
+                setProjectOptions(data
+                    .map((project) => ({ id: String(project.id), title: project.title }))
+                    .sort((a, b) => String(a.title).localeCompare(String(b.title))));
+            }
+        }).catch((err) => console.error('Failed to load projects for dependency picker:', err));
+        return () => { isMounted = false; };
+    }, [canEditProject, fetchExecSummaryProjects]);
+
+    // Hide projects already upstream and direct dependents; the server rejects longer cycles.
+    const availableUpstream = useMemo(() => {
+        const linked = new Set(upstream.map((dependency) => dependency.upstreamProjectId));
+        const downstreamIds = new Set(downstream.map((dependency) => dependency.downstreamProjectId));
+        return projectOptions.filter((project) => (
+            project.id !== String(projectId)
+            && !linked.has(project.id)
+            && !downstreamIds.has(project.id)
+        ));
+    }, [projectOptions, upstream, downstream, projectId]);
+
+    const atRiskCount = upstream.filter((dependency) => dependency.atRisk).length;
+
+    const resetForm = () => {
+        setEditingId('');
+        setForm(EMPTY_FORM);
+    };
+
+    const startEdit = (dependency) => {
+        setEditingId(String(dependency.id));
+        setForm({
+            upstreamProjectId: dependency.upstreamProjectId,
+            dependencyType: dependency.dependencyType,
+            neededByDate: dependency.neededByDate || '',
+            note: dependency.note || ''
+        });
+    };
+
+    const handleSave = async () => {
+        const normalized = normalizeProjectDependency(form);
+        if (normalized.error) {
+            toast.error(normalized.error);
+            return;
+        }
+        if (!editingId && !form.upstreamProjectId) {
+            toast.error('Choose the project this one depends on');
+            return;
+        }
+        try {
+            setSaving(true);
+            if (editingId) {
+                await updateProjectDependency(projectId, editingId, normalized.dependency);
+                toast.success('Dependency updated');
+            } else {
+                await createProjectDependency(projectId, { ...normalized.dependency, upstreamProjectId: form.upstreamProjectId });
+                toast.success('Dependency added');
+            }
+            resetForm();
+            await loadData();
+        } catch (err) {
+            console.error('Failed to save project dependency:', err);
+            toast.error(err.message || 'Failed to save project dependency');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleDelete = async (dependencyId) => {
+        try {
+            await deleteProjectDependency(projectId, dependencyId);
+            toast.success('Dependency removed');
+            if (editingId === String(dependencyId)) resetForm();
+            await loadData();
+        } catch (err) {
+            console.error('Failed to remove project dependency:', err);
+            toast.error(err.message || 'Failed to remove project dependency');
+        }
+    };
+
+    const editingDependency = upstream.find((dependency) => String(dependency.id) === editingId);
+
+    return (
+        <section className="project-benefits-panel">
+            <div className="project-benefits-grid">
+                <article className="project-financial-summary">
+                    <h3><Link2 size={16} /> Dependencies</h3>
+                    <div className="project-financial-totals">
+                        <div>
+                            <span>Depends on</span>
+                            <strong>{upstream.length}</strong>
+                        </div>
+                        <div>
+                            <span>Upstream at risk</span>
+                            <strong className={atRiskCount > 0 ? 'over-budget' : ''}>{atRiskCount}</strong>
+                        </div>
+                        <div>
+                            <span>Needed by</span>
+                            <strong>{downstream.length}</strong>
+                        </div>
+                    </div>
+                </article>
+            </div>
+
+            {!schemaReady && (
+                <div className="project-benefits-warning">
+                    <AlertTriangle size={15} />
+                    Project dependency schema is unavailable. Run `npm run setup-db:full` in `server`.
+                </div>
+            )}
+
+            {canEditProject && schemaReady && (
+                <article className="project-benefit-editor">
+                    <h3>{editingId ? 'Edit Dependency' : 'Add Dependency'}</h3>
+                    <div className="project-benefit-editor-grid">
+                        <div className="form-group">
+                            <label>Depends On</label>
+                            {editingId ? (
+                                <input type="text" value={projectLabel(editingDependency?.project)} disabled />
+                            ) : (
+                                <select
+                                    value={form.upstreamProjectId}
+                                    onChange={(e) => setForm((prev) => ({ ...prev, upstreamProjectId: e.target.value }))}
+                                >
+                                    <option value="">Select a project</option>
+                                    {availableUpstream.map((project) => (
+                                        <option key={project.id} value={project.id}>{project.title}</option>
+                                    ))}
+                                </select>
+                            )}
+                        </div>
+                        <div className="form-group">
+                            <label>Type</label>
+                            <select
+                                value={form.dependencyType}
+                                onChange={(e) => setForm((prev) => ({ ...prev, dependencyType: e.target.value }))}
+                            >
+                                {Object.entries(PROJECT_DEPENDENCY_TYPE_LABELS).map(([value, label]) => (
+                                    <option key={value} value={value}>{label}</option>
+                                ))}
+                            </select>
+                        </div>
+                        <div className="form-group">
+                            <label>Needed By</label>
+                            <input
+                                type="date"
+                                value={form.neededByDate}
+                                onChange={(e) => setForm((prev) => ({ ...prev, neededByDate: e.target.value }))}
+                            />
+                        </div>
+                    </div>
+                    <div className="form-group">
+                        <label>Note</label>
+                        <input
+                            type="text"
+                            value={form.note}
+                            onChange={(e) => setForm((prev) => ({ ...prev, note: e.target.value }))}
+                            placeholder="Example: Portal launch needs the upgraded EMR interface engine"
+                        />
+                    </div>
+                    <div className="project-benefit-editor-actions">
+                        {editingId && (
+                            <button className="btn-secondary" onClick={resetForm} disabled={saving}>
+                                Cancel
+                            </button>
+                        )}
+                        <button className="btn-primary" onClick={handleSave} disabled={saving}>
+                            {saving ? 'Saving...' : editingId ? 'Save Changes' : 'Add Dependency'}
+                        </button>
+                    </div>
+                </article>
+            )}
+
+            <article className="project-benefit-list">
+                <div className="project-benefit-list-head">
+                    <h3>Depends On</h3>
+                    <button className="btn-secondary btn-sm" onClick={loadData} disabled={loading}>
+                        {loading ? 'Refreshing...' : 'Refresh'}
+                    </button>
+                </div>
+                {loading ? (
+                    <div className="project-benefits-muted">Loading dependencies...</div>
+                ) : (
+                    <DependencyTable
+                        rows={upstream}
+                        emptyText="This project does not depend on any other project."
+                        canEdit={canEditProject && schemaReady}
+                        onEdit={startEdit}
+                        onDelete={handleDelete}
+                        riskLabel="Upstream is"
+                    />
+                )}
+            </article>
+
+            <article className="project-benefit-list">
+                <div className="project-benefit-list-head">
+                    <h3>Needed By</h3>
+                </div>
+                {!loading && (
+                    <DependencyTable
+                        rows={downstream}
+                        emptyText="No other project depends on this one."
+                        canEdit={false}
+                        riskLabel="This project is"
+                    />
+                )}
+            </article>
+        </section>
+    );
+}
@@ -0,0 +1,292 @@
+import { useCallback, useEffect, useState } from 'react';
+import { AlertTriangle, DollarSign } from 'lucide-react';
+import { useData } from '../../context/DataContext';
+import { useToast } from '../../context/ToastContext';
+import {
+    FINANCIAL_COST_TYPES,
+    FINANCIAL_COST_TYPE_LABELS,
+    formatFinancialAmount,
+    getCostVarianceLevel,
+    getLineForecast,
+    normalizeFinancialLine
+} from '../../../shared/projectFinancials.js';
+
+const EMPTY_FORM = {
+    fiscalYear: String(new Date().getFullYear()),
+    costType: FINANCIAL_COST_TYPES.OPERATING,
+    category: '',
+    budgetAmount: '',
+    forecastAmount: '',
+    actualAmount: '',
+    notes: ''
+};
+
+const formatVariance = (variance, variancePct) => {
+    const sign = variance > 0 ? '+' : '';
+    const pct = variancePct === null || variancePct === undefined ? '' : ` (${sign}${Math.round(variancePct * 100)}%)`;
+    return `${sign}${formatFinancialAmount(variance)}${pct}`;
+};
+
+export function ProjectFinancialsPanel({ projectId, canEditProject }) {
+    const {
+        fetchProjectFinancials,
+        createProjectFinancialLine,
+        updateProjectFinancialLine,
+        deleteProjectFinancialLine
+    } = useData();
+    const toast = useToast();
+
+    const [loading, setLoading] = useState(false);
+    const [schemaReady, setSchemaReady] = useState(true);
+    const [lines, setLines] = useState([]);
+    const [summary, setSummary] = useState(null);
+    const [form, setForm] = useState(EMPTY_FORM);
+    const [editingLineId, setEditingLineId] = useState('');
+    const [saving, setSaving] = useState(false);
+
+    const loadData = useCallback(async () => {
+        if (!projectId) return;
+        setLoading(true);
+        try {
+            const data = await fetchProjectFinancials(projectId);
+            setSchemaReady(data?.schemaReady !== false);
+            setLines(Array.isArray(data?.lines) ? data.lines : []);
+            setSummary(data?.summary || null);
+        } catch (err) {
+            console.error('Failed to load project financials:', err);
+            toast.error(err.message || 'Failed to load project financials');
+        } finally {
+            setLoading(false);
+        }
+    }, [projectId, fetchProjectFinancials, toast]);
+
+    useEffect(() => {
+        loadData();
+    }, [loadData]);
+
+    const resetForm = () => {
+        setEditingLineId('');
+        setForm(EMPTY_FORM);
+    };
+
+    const startEdit = (line) => {
+        setEditingLineId(String(line.id));
+        setForm({
+            fiscalYear: String(line.fiscalYear),
+            costType: line.costType,
+            category: line.category || '',
+            budgetAmount: String(line.budgetAmount ?? ''),
+            forecastAmount: line.forecastAmount === null ? '' : String(line.forecastAmount),
+            actualAmount: String(line.actualAmount ?? ''),
+            notes: line.notes || ''
+        });
+    };
+
+    const handleSave = async () => {
+        const normalized = normalizeFinancialLine(form);
+        if (normalized.error) {
+            toast.error(normalized.error);
+            return;
+        }
+        try {
+            setSaving(true);
+            if (editingLineId) {
+                await updateProjectFinancialLine(projectId, editingLineId, normalized.line);
+                toast.success('Budget line updated');
+            } else {
+                await createProjectFinancialLine(projectId, normalized.line);
+                toast.success('Budget line added');
+            }
+            resetForm();
+            await loadData();
+        } catch (err) {
+            console.error('Failed to save budget line:', err);
+            toast.error(err.message || 'Failed to save budget line');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleDelete = async (lineId) => {
+        try {
+            await deleteProjectFinancialLine(projectId, lineId);
+            toast.success('Budget line removed');
+            if (editingLineId === String(lineId)) resetForm();
+            await loadData();
+        } catch (err) {
+            console.error('Failed to delete budget line:', err);
+            toast.error(err.message || 'Failed to delete budget line');
+        }
+    };
+
+    const varianceLevel = getCostVarianceLevel(summary?.variancePct);
+
+    return (
+        <section className="project-benefits-panel">
+            <article className={`project-financial-summary ${varianceLevel ? `variance-${varianceLevel}` : ''}`}>
+                <h3><DollarSign size={16} /> Financial Summary</h3>
+                <div className="project-financial-totals">
+                    <div><span>Budget</span><strong>{formatFinancialAmount(summary?.budget)}</strong></div>
+                    <div><span>Forecast</span><strong>{formatFinancialAmount(summary?.forecast)}</strong></div>
+                    <div><span>Actual to date</span><strong>{formatFinancialAmount(summary?.actual)}</strong></div>
+                    <div>
+                        <span>Variance</span>
+                        <strong className="project-financial-variance">
+                            {formatVariance(summary?.variance || 0, summary?.variancePct)}
+                        </strong>
+                    </div>
+                </div>
+                {summary && Object.entries(summary.byCostType || {}).some(([, totals]) => totals.budget > 0 || totals.forecast > 0) && (
+                    <div className="project-risk-metrics">
+                        {Object.entries(summary.byCostType).map(([costType, totals]) => (
+                            <span key={costType}>
+                                {FINANCIAL_COST_TYPE_LABELS[costType]}: {formatFinancialAmount(totals.forecast)} of {formatFinancialAmount(totals.budget)}
+                            </span>
+                        ))}
+                    </div>
+                )}
+            </article>
+
+            {!schemaReady && (
+                <div className="project-benefits-warning">
+                    <AlertTriangle size={15} />
+                    Financials schema is unavailable. Run `npm run setup-db:full` in `server`.
+                </div>
+            )}
+
+            {canEditProject && schemaReady && (
+                <article className="project-benefit-editor">
+                    <h3>{editingLineId ? 'Edit Budget Line' : 'Add Budget Line'}</h3>
+                    <div className="project-benefit-editor-grid">
+                        <div className="form-group">
+                            <label>Fiscal Year</label>
+                            <input
+                                type="number"
+                                value={form.fiscalYear}
+                                onChange={(e) => setForm((prev) => ({ ...prev, fiscalYear: e.target.value }))}
+                            />
+                        </div>
+                        <div className="form-group">
+                            <label>Cost Type</label>
+                            <select
+                                value={form.costType}
+                                onChange={(e) => setForm((prev) => ({ ...prev, costType: e.target.value }))}
+                            >
+                                {Object.entries(FINANCIAL_COST_TYPE_LABELS).map(([value, label]) => (
+                                    <option key={value} value={value}>{label}</option>
+                                ))}
+                            </select>
+                        </div>
+                        <div className="form-group">
+                            <label>Category</label>
+                            <input
+                                type="text"
+                                value={form.category}
+                                onChange={(e) => setForm((prev) => ({ ...prev, category: e.target.value }))}
+                                placeholder="Example: Vendor licences"
+                            />
+                        </div>
+                        <div className="form-group">
+                            <label>Budget</label>
+                            <input
+                                type="number"
+                                min="0"
+                                value={form.budgetAmount}
+                                onChange={(e) => setForm((prev) => ({ ...prev, budgetAmount: e.target.value }))}
+                            />
+                        </div>
+                        <div className="form-group">
+                            <label>Forecast</label>
+                            <input
+                                type="number"
+                                min="0"
+                                value={form.forecastAmount}
+                                onChange={(e) => setForm((prev) => ({ ...prev, forecastAmount: e.target.value }))}
+                                placeholder="Same as budget"
+                            />
+                        </div>
+                        <div className="form-group">
+                            <label>Actual</label>
+                            <input
+                                type="number"
+                                min="0"
+                                value={form.actualAmount}
+                                onChange={(e) => setForm((prev) => ({ ...prev, actualAmount: e.target.value }))}
+                            />
+                        </div>
+                    </div>
+                    <div className="form-group">
+                        <label>Notes</label>
+                        <textarea
+                            value={form.notes}
+                            onChange={(e) => setForm((prev) => ({ ...prev, notes: e.target.value }))}
+                            placeholder="Funding source, approval reference, forecast assumptions."
+                        />
+                    </div>
+                    <div className="project-benefit-editor-actions">
+                        {editingLineId && (
+                            <button className="btn-secondary" onClick={resetForm} disabled={saving}>
+                                Cancel
+                            </button>
+                        )}
+                        <button className="btn-primary" onClick={handleSave} disabled={saving}>
+                            {saving ? 'Saving...' : editingLineId ? 'Save Changes' : 'Add Budget Line'}
+                        </button>
+                    </div>
+                </article>
+            )}
+
+            <article className="project-benefit-list">
+                <div className="project-benefit-list-head">
+                    <h3>Budget Lines</h3>
+                    <button className="btn-secondary btn-sm" onClick={loadData} disabled={loading}>
+                        {loading ? 'Refreshing...' : 'Refresh'}
+                    </button>
+                </div>
+
+                {loading ? (
+                    <div className="project-benefits-muted">Loading financials...</div>
+                ) : lines.length === 0 ? (
+                    <div className="project-benefits-muted">No budget lines recorded yet.</div>
+                ) : (
+                    <table className="project-financial-table">
+                        <thead>
+                            <tr>
+                                <th>Fiscal Year</th>
+                                <th>Type</th>
+                                <th>Category</th>
+                                <th className="amount">Budget</th>
+                                <th className="amount">Forecast</th>
+                                <th className="amount">Actual</th>
+                                {canEditProject && schemaReady && <th />}
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {lines.map((line) => {
+                                const forecast = getLineForecast(line);
+                                return (
+                                    <tr key={line.id} title={line.notes || undefined}>
+                                        <td>FY{line.fiscalYear}</td>
+                                        <td>{FINANCIAL_COST_TYPE_LABELS[line.costType] || line.costType}</td>
+                                        <td>{line.category || '-'}</td>
+                                        <td className="amount">{formatFinancialAmount(line.budgetAmount)}</td>
+                                        <td className={`amount ${forecast > line.budgetAmount ? 'over-budget' : ''}`}>
+                                            {formatFinancialAmount(forecast)}
+                                        </td>
+                                        <td className="amount">{formatFinancialAmount(line.actualAmount)}</td>
+                                        {canEditProject && schemaReady && (
+                                            <td className="project-benefit-card-actions">
+                                                <button className="btn-secondary btn-sm" onClick={() => startEdit(line)}>Edit</button>
+                                                <button className="btn-secondary btn-sm" onClick={() => handleDelete(line.id)}>Delete</button>
+                                            </td>
+                                        )}
+                                    </tr>
+                                );
+                            })}
+                        </tbody>
+                    </table>
+                )}
+            </article>
+        </section>
+    );
+}
@@ -0,0 +1,16 @@
+import { formatCompactDate } from '../../utils';
+import { isProjectResumeOverdue } from '../../../shared/dataLifecyclePolicy.js';
+
+export function ProjectHoldChip({ project }) {
+    const overdue = isProjectResumeOverdue(project);
+    return (
+        <span
+            className={`project-goal-chip project-hold-chip ${overdue ? 'overdue' : ''}`}
+            title={project.onHoldReason || 'On hold'}
+        >
+            {project.expectedResumeDate
+                ? `On hold · ${overdue ? 'resume overdue since' : 'resumes'} ${formatCompactDate(project.expectedResumeDate)}`
+                : 'On hold'}
+        </span>
+    );
+}
@@ -0,0 +1,428 @@
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import { AlertTriangle, History, ShieldAlert } from 'lucide-react';
+import { useData } from '../../context/DataContext';
+import { useToast } from '../../context/ToastContext';
+import { RiskHeatMap } from '../UI/RiskHeatMap';
+import {
+    RAID_ITEM_STATUSES,
+    RAID_ITEM_STATUS_LABELS,
+    RAID_ITEM_TYPES,
+    RAID_ITEM_TYPE_LABELS,
+    RAID_SCORE_MAX,
+    getRaidScore,
+    getRaidSeverity,
+    isRaidItemOverdue,
+    normalizeRaidItem
+} from '../../../shared/raidLog.js';
+
+const EMPTY_FORM = {
+    type: RAID_ITEM_TYPES.RISK,
+    title: '',
+    description: '',
+    ownerOid: '',
+    probability: '',
+    impact: '',
+    mitigation: '',
+    dueDate: '',
+    status: RAID_ITEM_STATUSES.OPEN,
+    note: ''
+};
+
+const SCORE_OPTIONS = Array.from({ length: RAID_SCORE_MAX }, (_, index) => String(index + 1));
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : '');
+
+export function ProjectRaidPanel({ projectId, canEditProject, ownerOptions = [] }) {
+    const {
+        fetchProjectRaidItems,
+        createProjectRaidItem,
+        updateProjectRaidItem,
+        deleteProjectRaidItem,
+        fetchProjectRaidItemHistory
+    } = useData();
+    const toast = useToast();
+
+    const [loading, setLoading] = useState(false);
+    const [schemaReady, setSchemaReady] = useState(true);
+    const [items, setItems] = useState([]);
+    const [summary, setSummary] = useState(null);
+    const [form, setForm] = useState(EMPTY_FORM);
+    const [editingItemId, setEditingItemId] = useState('');
+    const [saving, setSaving] = useState(false);
+    const [typeFilter, setTypeFilter] = useState('all');
+    const [showClosed, setShowClosed] = useState(false);
+    const [historyItemId, setHistoryItemId] = useState('');
+    const [history, setHistory] = useState([]);
+    const [loadingHistory, setLoadingHistory] = useState(false);
+
+    const loadData = useCallback(async () => {
+        if (!projectId) return;
+        setLoading(true);
+        try {
+            const data = await fetchProjectRaidItems(projectId);
+            setSchemaReady(data?.schemaReady !== false);
+            setItems(Array.isArray(data?.items) ? data.items : []);
+            setSummary(data?.summary || null);
+        } catch (err) {
+            console.error('Failed to load RAID register:', err);
+            toast.error(err.message || 'Failed to load RAID register');
+        } finally {
+            setLoading(false);
+        }
+    }, [projectId, fetchProjectRaidItems, toast]);
+
+    useEffect(() => {
+        loadData();
+    }, [loadData]);
+
+    const visibleItems = useMemo(() => items.filter((item) => (
+        (typeFilter === 'all' || item.type === typeFilter)
+        && (showClosed || item.status === RAID_ITEM_STATUSES.OPEN || item.status === RAID_ITEM_STATUSES.MONITORING)
+    )), [items, typeFilter, showClosed]);
+
+    const resetForm = () => {
+        setEditingItemId('');
+        setForm(EMPTY_FORM);
+    };
+
+    const startEdit = (item) => {
+        setEditingItemId(String(item.id));
+        setForm({
+            type: item.type,
+            title: item.title || '',
+            description: item.description || '',
+            ownerOid: item.ownerOid || '',
+            probability: item.probability ? String(item.probability) : '',
+            impact: item.impact ? String(item.impact) : '',
+            mitigation: item.mitigation || '',
+            dueDate: item.dueDate || '',
+            status: item.status,
+            note: ''
+        });
+    };
+
+    const handleSave = async () => {
+        const normalized = normalizeRaidItem(form);
+        if (normalized.error) {
+            toast.error(normalized.error);
+            return;
+        }
+        try {
+            setSaving(true);
+            if (editingItemId) {
+                await updateProjectRaidItem(projectId, editingItemId, { ...normalized.item, note: form.note.trim() || undefined });
+                toast.success('RAID item updated');
+            } else {
+                await createProjectRaidItem(projectId, normalized.item);
+                toast.success('RAID item added');
+            }
+            resetForm();
+            if (historyItemId && historyItemId === editingItemId) setHistoryItemId('');
+            await loadData();
+        } catch (err) {
+            console.error('Failed to save RAID item:', err);
+            toast.error(err.message || 'Failed to save RAID item');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleDelete = async (itemId) => {
+        try {
+            await deleteProjectRaidItem(projectId, itemId);
+            toast.success('RAID item removed');
+            if (editingItemId === String(itemId)) resetForm();
+            if (historyItemId === String(itemId)) setHistoryItemId('');
+            await loadData();
+        } catch (err) {
+            console.error('Failed to delete RAID item:', err);
+            toast.error(err.message || 'Failed to delete RAID item');
+        }
+    };
+
+    const toggleHistory = async (itemId) => {
+        if (historyItemId === String(itemId)) {
+            setHistoryItemId('');
+            return;
+        }
+        setHistoryItemId(String(itemId));
+        setHistory([]);
+        setLoadingHistory(true);
+        try {
+            setHistory(await fetchProjectRaidItemHistory(projectId, itemId));
+        } catch (err) {
+            console.error('Failed to load RAID item history:', err);
+            toast.error(err.message || 'Failed to load RAID item history');
+        } finally {
+            setLoadingHistory(false);
+        }
+    };
+
+    const editingExisting = items.find((item) => String(item.id) === editingItemId);
+    const scoreOrStatusChanged = editingExisting && (
+        form.status !== editingExisting.status
+        || form.probability !== (editingExisting.probability ? String(editingExisting.probability) : '')
+        || form.impact !== (editingExisting.impact ? String(editingExisting.impact) : '')
+    );
+
+    return (
+        <section className="project-benefits-panel">
+            <div className="project-benefits-grid">
+                <article className="project-financial-summary">
+                    <h3><ShieldAlert size={16} /> RAID Summary</h3>
+                    <div className="project-financial-totals">
+                        {Object.entries(RAID_ITEM_TYPE_LABELS).map(([type, label]) => (
+                            <div key={type}>
+                                <span>Open {label.toLowerCase()}s</span>
+                                <strong>{summary?.openByType?.[type] || 0}</strong>
+                            </div>
+                        ))}
+                    </div>
+                    <div className="project-risk-metrics">
+                        <span>Critical: {summary?.criticalCount || 0}</span>
+                        <span>High: {summary?.highCount || 0}</span>
+                        <span>Overdue: {summary?.overdueCount || 0}</span>
+                    </div>
+                </article>
+                <article className="project-financial-summary">
+                    <RiskHeatMap cells={summary?.heatMap} compact />
+                </article>
+            </div>
+
+            {!schemaReady && (
+                <div className="project-benefits-warning">
+                    <AlertTriangle size={15} />
+                    RAID register schema is unavailable. Run `npm run setup-db:full` in `server`.
+                </div>
+            )}
+
+            {canEditProject && schemaReady && (
+                <article className="project-benefit-editor">
+                    <h3>{editingItemId ? 'Edit RAID Item' : 'Add RAID Item'}</h3>
+                    <div className="project-benefit-editor-grid">
+                        <div className="form-group">
+                            <label>Type</label>
+                            <select
+                                value={form.type}
+                                onChange={(e) => setForm((prev) => ({ ...prev, type: e.target.value }))}
+                            >
+                                {Object.entries(RAID_ITEM_TYPE_LABELS).map(([value, label]) => (
+                                    <option key={value} value={value}>{label}</option>
+                                ))}
+                            </select>
+                        </div>
+                        <div className="form-group">
+                            <label>Title</label>
+                            <input
+                                type="text"
+                                value={form.title}
+                                onChange={(e) => setForm((prev) => ({ ...prev, title: e.target.value }))}
+                                placeholder="Example: Vendor API not ready for pilot"
+                            />
+                        </div>
+                        <div className="form-group">
+                            <label>Owner</label>
+                            <select
+                                value={form.ownerOid}
+                                onChange={(e) => setForm((prev) => ({ ...prev, ownerOid: e.target.value }))}
+                            >
+                                <option value="">Unassigned</option>
+                                {editingExisting?.ownerOid && !ownerOptions.some((user) => user.oid === editingExisting.ownerOid) && (
+                                    <option value={editingExisting.ownerOid}>{editingExisting.ownerName || editingExisting.ownerOid}</option>
+                                )}
+                                {ownerOptions.map((user) => (
+                                    <option key={user.oid} value={user.oid}>{user.name}</option>
+                                ))}
+                            </select>
+                        </div>
+                        <div className="form-group">
+                            <label>Probability (1-5)</label>
+                            <select
+                                value={form.probability}
+                                onChange={(e) => setForm((prev) => ({ ...prev, probability: e.target.value }))}
+                            >
+                                <option value="">Not scored</option>
+                                {SCORE_OPTIONS.map((value) => <option key={value} value={value}>{value}</option>)}
+                            </select>
+                        </div>
+                        <div className="form-group">
+                            <label>Impact (1-5)</label>
+                            <select
+                                value={form.impact}
+                                onChange={(e) => setForm((prev) => ({ ...prev, impact: e.target.value }))}
+                            >
+                                <option value="">Not scored</option>
+                                {SCORE_OPTIONS.map((value) => <option key={value} value={value}>{value}</option>)}
+                            </select>
+                        </div>
+                        <div className="form-group">
+                            <label>Due Date</label>
+                            <input
+                                type="date"
+                                value={form.dueDate}
+                                onChange={(e) => setForm((prev) => ({ ...prev, dueDate: e.target.value }))}
+                            />
+                        </div>
+                        <div className="form-group">
+                            <label>Status</label>
+                            <select
+                                value={form.status}
+                                onChange={(e) => setForm((prev) => ({ ...prev, status: e.target.value }))}
+                            >
+                                {Object.entries(RAID_ITEM_STATUS_LABELS).map(([value, label]) => (
+                                    <option key={value} value={value}>{label}</option>
+                                ))}
+                            </select>
+                        </div>
+                    </div>
+                    <div className="form-group">
+                        <label>Description</label>
+                        <textarea
+                            value={form.description}
+                            onChange={(e) => setForm((prev) => ({ ...prev, description: e.target.value }))}
+                        />
+                    </div>
+                    <div className="form-group">
+                        <label>Mitigation / Response</label>
+                        <textarea
+                            value={form.mitigation}
+                            onChange={(e) => setForm((prev) => ({ ...prev, mitigation: e.target.value }))}
+                            placeholder="Planned actions, contingency, or who is being chased."
+                        />
+                    </div>
+                    {scoreOrStatusChanged && (
+                        <div className="form-group">
+                            <label>Change Note</label>
+                            <input
+                                type="text"
+                                value={form.note}
+                                onChange={(e) => setForm((prev) => ({ ...prev, note: e.target.value }))}
+                                placeholder="Why the status or score changed (kept in the item history)"
+                            />
+                        </div>
+                    )}
+                    <div className="project-benefit-editor-actions">
+                        {editingItemId && (
+                            <button className="btn-secondary" onClick={resetForm} disabled={saving}>
+                                Cancel
+                            </button>
+                        )}
+                        <button className="btn-primary" onClick={handleSave} disabled={saving}>
+                            {saving ? 'Saving...' : editingItemId ? 'Save Changes' : 'Add RAID Item'}
+                        </button>
+                    </div>
+                </article>
+            )}
+
+            <article className="project-benefit-list">
+                <div className="project-benefit-list-head">
+                    <h3>RAID Register</h3>
+                    <div className="project-raid-filters">
+                        <select value={typeFilter} onChange={(e) => setTypeFilter(e.target.value)} aria-label="Filter by type">
+                            <option value="all">All types</option>
+                            {Object.entries(RAID_ITEM_TYPE_LABELS).map(([value, label]) => (
+                                <option key={value} value={value}>{label}s</option>
+                            ))}
+                        </select>
+                        <label>
+                            <input type="checkbox" checked={showClosed} onChange={(e) => setShowClosed(e.target.checked)} />
+                            Show resolved and closed
+                        </label>
+                        <button className="btn-secondary btn-sm" onClick={loadData} disabled={loading}>
+                            {loading ? 'Refreshing...' : 'Refresh'}
+                        </button>
+                    </div>
+                </div>
+
+                {loading ? (
+                    <div className="project-benefits-muted">Loading RAID register...</div>
+                ) : visibleItems.length === 0 ? (
+                    <div className="project-benefits-muted">
+                        {items.length === 0 ? 'No RAID items recorded yet.' : 'No items match the current filter.'}
+                    </div>
+                ) : (
+                    <table className="project-financial-table project-raid-table">
+                        <thead>
+                            <tr>
+                                <th>Type</th>
+                                <th>Title</th>
+                                <th>Owner</th>
+                                <th>P x I</th>
+                                <th>Due</th>
+                                <th>Status</th>
+                                <th />
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {visibleItems.map((item) => {
+                                const score = getRaidScore(item);
+                                const severity = getRaidSeverity(score);
+                                const showingHistory = historyItemId === String(item.id);
+                                return [
+                                    <tr key={item.id} title={item.mitigation ? `Mitigation: ${item.mitigation}` : undefined}>
+                                        <td>{RAID_ITEM_TYPE_LABELS[item.type] || item.type}</td>
+                                        <td>
+                                            <strong>{item.title}</strong>
+                                            {item.description && <span className="project-raid-description">{item.description}</span>}
+                                        </td>
+                                        <td>{item.ownerName || '-'}</td>
+                                        <td>
+                                            {score === null ? '-' : (
+                                                <span className={`project-raid-score severity-${severity}`}>
+                                                    {item.probability} x {item.impact} = {score}
+                                                </span>
+                                            )}
+                                        </td>
+                                        <td className={isRaidItemOverdue(item) ? 'over-budget' : ''}>{formatDate(item.dueDate) || '-'}</td>
+                                        <td>{RAID_ITEM_STATUS_LABELS[item.status] || item.status}</td>
+                                        <td className="project-benefit-card-actions">
+                                            <button
+                                                className="btn-secondary btn-sm"
+                                                onClick={() => toggleHistory(item.id)}
+                                                title="Status history"
+                                                aria-label={`Status history for ${item.title}`}
+                                            >
+                                                <History size={13} />
+                                            </button>
+                                            {canEditProject && schemaReady && (
+                                                <>
+                                                    <button className="btn-secondary btn-sm" onClick={() => startEdit(item)}>Edit</button>
+                                                    <button className="btn-secondary btn-sm" onClick={() => handleDelete(item.id)}>Delete</button>
+                                                </>
+                                            )}
+                                        </td>
+                                    </tr>,
+                                    showingHistory && (
+                                        <tr key={`${item.id}-history`} className="project-raid-history-row">
+                                            <td colSpan={7}>
+                                                {loadingHistory ? (
+                                                    <span className="project-benefits-muted">Loading history...</span>
+                                                ) : history.length === 0 ? (
+                                                    <span className="project-benefits-muted">No history recorded.</span>
+                                                ) : (
+                                                    <ul className="project-raid-history">
+                                                        {history.map((entry) => (
+                                                            <li key={entry.id}>
+                                                                <span>{new Date(entry.changedAt).toLocaleString()}</span>
+                                                                {entry.fromStatus && entry.fromStatus !== entry.toStatus
+                                                                    ? `${RAID_ITEM_STATUS_LABELS[entry.fromStatus] || entry.fromStatus} → ${RAID_ITEM_STATUS_LABELS[entry.toStatus] || entry.toStatus}`
+                                                                    : RAID_ITEM_STATUS_LABELS[entry.toStatus] || entry.toStatus}
+                                                                {entry.probability && entry.impact ? ` · P${entry.probability} x I${entry.impact}` : ''}
+                                                                {entry.changedByName ? ` · ${entry.changedByName}` : ''}
+                                                                {entry.note ? ` · ${entry.note}` : ''}
+                                                            </li>
+                                                        ))}
+                                                    </ul>
+                                                )}
+                                            </td>
+                                        </tr>
+                                    )
+                                ];
+                            })}
+                        </tbody>
+                    </table>
+                )}
+            </article>
+        </section>
+    );
+}
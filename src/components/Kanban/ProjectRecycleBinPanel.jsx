@@ -0,0 +1,189 @@
+import { useCallback, useEffect, useState } from 'react';
+import { AlertTriangle, Trash2 } from 'lucide-react';
+import { useData } from '../../context/DataContext';
+import { useToast } from '../../context/ToastContext';
+
+const formatDate = (value) => {
+    if (!value) return '-';
+    const parsed = new Date(value);
+    return Number.isNaN(parsed.getTime()) ? '-' : parsed.toLocaleDateString();
+};
+
+export function ProjectRecycleBinPanel({ projectId, canEditProject }) {
+    const {
+        fetchProjectRecycleBin,
+        restoreTask,
+        restoreTaskChecklistItem,
+        loadProjectDetails
+    } = useData();
+    const toast = useToast();
+
+    const [loading, setLoading] = useState(false);
+    const [schemaReady, setSchemaReady] = useState(true);
+    const [tasks, setTasks] = useState([]);
+    const [checklistItems, setChecklistItems] = useState([]);
+    const [retentionDays, setRetentionDays] = useState(null);
+    const [restoringKey, setRestoringKey] = useState('');
+
+    const loadData = useCallback(async () => {
+        if (!projectId) return;
+        setLoading(true);
+        try {
+            const data = await fetchProjectRecycleBin(projectId);
+            setSchemaReady(data?.schemaReady !== false);
+            setTasks(Array.isArray(data?.tasks) ? data.tasks : []);
+            setChecklistItems(Array.isArray(data?.checklistItems) ? data.checklistItems : []);
+            setRetentionDays(data?.retentionDays ?? null);
+        } catch (err) {
+            console.error('Failed to load recycle bin:', err);
+            toast.error(err.message || 'Failed to load recycle bin');
+        } finally {
+            setLoading(false);
+        }
+    }, [projectId, fetchProjectRecycleBin, toast]);
+
+    useEffect(() => {
+        loadData();
+    }, [loadData]);
+
+    const handleRestoreTask = async (task) => {
+        setRestoringKey(`task-${task.id}`);
+        try {
+            await restoreTask(projectId, task.id);
+            toast.success(`Restored "${task.title}"`);
+            await loadData();
+        } catch (err) {
+            console.error('Failed to restore task:', err);
+            toast.error(err.message || 'Failed to restore task');
+        } finally {
+            setRestoringKey('');
+        }
+    };
+
+    const handleRestoreChecklistItem = async (item) => {
+        setRestoringKey(`checklist-${item.id}`);
+        try {
+            await restoreTaskChecklistItem(item.taskId, item.id);
+            toast.success(`Restored "${item.title}"`);
+            await Promise.all([loadData(), loadProjectDetails(projectId)]);
+        } catch (err) {
+            console.error('Failed to restore checklist item:', err);
+            toast.error(err.message || 'Failed to restore checklist item');
+        } finally {
+            setRestoringKey('');
+        }
+    };
+
+    const canRestore = canEditProject && schemaReady;
+
+    return (
+        <section className="project-benefits-panel">
+            {!schemaReady && (
+                <div className="project-benefits-warning">
+                    <AlertTriangle size={15} />
+                    Recycle bin schema is unavailable, so deletions are permanent. Run `npm run setup-db:full` in `server`.
+                </div>
+            )}
+
+            <article className="project-benefit-list">
+                <div className="project-benefit-list-head">
+                    <h3><Trash2 size={16} /> Deleted Tasks</h3>
+                    <button className="btn-secondary btn-sm" onClick={loadData} disabled={loading}>
+                        {loading ? 'Refreshing...' : 'Refresh'}
+                    </button>
+                </div>
+                {retentionDays !== null && schemaReady && (
+                    <div className="project-benefits-muted">
+                        Items are permanently deleted {retentionDays} days after they were removed.
+                    </div>
+                )}
+
+                {loading ? (
+                    <div className="project-benefits-muted">Loading recycle bin...</div>
+                ) : tasks.length === 0 ? (
+                    <div className="project-benefits-muted">No deleted tasks.</div>
+                ) : (
+                    <table className="project-financial-table">
+                        <thead>
+                            <tr>
+                                <th>Task</th>
+                                <th>Deleted</th>
+                                <th>Deleted by</th>
+                                <th>Purged after</th>
+                                {canRestore && <th />}
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {tasks.map((task) => (
+                                <tr key={task.id}>
+                                    <td>{task.title}</td>
+                                    <td>{formatDate(task.deletedAt)}</td>
+                                    <td>{task.deletedByName || '-'}</td>
+                                    <td>{formatDate(task.purgeAfter)}</td>
+                                    {canRestore && (
+                                        <td className="project-benefit-card-actions">
+                                            <button
+                                                className="btn-secondary btn-sm"
+                                                onClick={() => handleRestoreTask(task)}
+                                                disabled={!!restoringKey}
+                                            >
+                                                {restoringKey === `task-${task.id}` ? 'Restoring...' : 'Restore'}
+                                            </button>
+                                        </td>
+                                    )}
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                )}
+            </article>
+
+            <article className="project-benefit-list">
+                <div className="project-benefit-list-head">
+                    <h3>Deleted Checklist Items</h3>
+                </div>
+
+                {loading ? (
+                    <div className="project-benefits-muted">Loading recycle bin...</div>
+                ) : checklistItems.length === 0 ? (
+                    <div className="project-benefits-muted">No deleted checklist items.</div>
+                ) : (
+                    <table className="project-financial-table">
+                        <thead>
+                            <tr>
+                                <th>Item</th>
+                                <th>Task</th>
+                                <th>Deleted</th>
+                                <th>Deleted by</th>
+                                <th>Purged after</th>
+                                {canRestore && <th />}
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {checklistItems.map((item) => (
+                                <tr key={item.id}>
+                                    <td>{item.title}</td>
+                                    <td>{item.taskTitle}</td>
+                                    <td>{formatDate(item.deletedAt)}</td>
+                                    <td>{item.deletedByName || '-'}</td>
+                                    <td>{formatDate(item.purgeAfter)}</td>
+                                    {canRestore && (
+                                        <td className="project-benefit-card-actions">
+                                            <button
+                                                className="btn-secondary btn-sm"
+                                                onClick={() => handleRestoreChecklistItem(item)}
+                                                disabled={!!restoringKey}
+                                            >
+                                                {restoringKey === `checklist-${item.id}` ? 'Restoring...' : 'Restore'}
+                                            </button>
+                                        </td>
+                                    )}
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                )}
+            </article>
+        </section>
+    );
+}
@@ -0,0 +1,391 @@
+import { useCallback, useEffect, useState } from 'react';
+import { AlertTriangle, CheckCircle2, Flag } from 'lucide-react';
+import { useData } from '../../context/DataContext';
+import { useToast } from '../../context/ToastContext';
+import {
+    GATE_DECISIONS,
+    GATE_DECISION_LABELS,
+    GATE_VOTES,
+    GATE_VOTE_LABELS
+} from '../../../shared/stageGates.js';
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : '');
+
+const phaseName = (phases, key) => phases.find((phase) => phase.key === key)?.name || key;
+
+const describeGate = (phases, review) => (review.toPhaseKey
+    ? `${phaseName(phases, review.phaseKey)} → ${phaseName(phases, review.toPhaseKey)}`
+    : `${phaseName(phases, review.phaseKey)} → Closed`);
+
+const describeOutcome = (review) => {
+    if (review.status === 'in-review') return 'In review';
+    if (review.status === 'cancelled') return 'Cancelled';
+    return GATE_DECISION_LABELS[review.decision] || review.decision;
+};
+
+function OpenGateReview({ review, phases, canEditProject, busy, onVote, onDecide, onCancel }) {
+    const [comment, setComment] = useState('');
+    const [decisionReason, setDecisionReason] = useState('');
+
+    return (
+        <article className="project-benefit-editor">
+            <h3>Gate Review: {describeGate(phases, review)}</h3>
+            <div className="project-financial-totals">
+                <div>
+                    <span>Board</span>
+                    <strong>{review.boardName || 'Governance board'}</strong>
+                </div>
+                <div>
+                    <span>Votes</span>
+                    <strong className={review.quorumMet ? '' : 'over-budget'}>
+                        {review.voteCount}/{review.requiredVotes}
+                    </strong>
+                </div>
+                <div>
+                    <span>Approve / Rework</span>
+                    <strong>{review.approveCount} / {review.reworkCount}</strong>
+                </div>
+                {review.voteDeadlineAt && (
+                    <div>
+                        <span>Voting closes</span>
+                        <strong>{formatDate(review.voteDeadlineAt)}</strong>
+                    </div>
+                )}
+            </div>
+
+            {review.viewer?.isEligibleVoter && (
+                <>
+                    <div className="form-group">
+                        <label>Vote comment</label>
+                        <input
+                            type="text"
+                            value={comment}
+                            onChange={(e) => setComment(e.target.value)}
+                            placeholder="Optional note for the board"
+                        />
+                    </div>
+                    <div className="project-benefit-editor-actions">
+                        {review.viewer.vote && (
+                            <span className="project-benefits-muted">Your vote: {GATE_VOTE_LABELS[review.viewer.vote]}</span>
+                        )}
+                        {Object.values(GATE_VOTES).map((vote) => (
+                            <button
+                                key={vote}
+                                className={vote === GATE_VOTES.APPROVE ? 'btn-primary' : 'btn-secondary'}
+                                onClick={() => onVote(review.id, { vote, comment })}
+                                disabled={busy}
+                            >
+                                {GATE_VOTE_LABELS[vote]}
+                            </button>
+                        ))}
+                    </div>
+                </>
+            )}
+
+            {review.viewer?.isChair && (
+                <>
+                    <div className="form-group">
+                        <label>Decision reason</label>
+                        <input
+                            type="text"
+                            value={decisionReason}
+                            onChange={(e) => setDecisionReason(e.target.value)}
+                            placeholder="Recorded with the gate decision"
+                        />
+                    </div>
+                    <div className="project-benefit-editor-actions">
+                        {Object.values(GATE_DECISIONS).map((decision) => (
+                            <button
+                                key={decision}
+                                className={decision === GATE_DECISIONS.APPROVED ? 'btn-primary' : 'btn-secondary'}
+                                onClick={() => onDecide(review.id, { decision, decisionReason })}
+                                disabled={busy}
+                            >
+                                {decision === GATE_DECISIONS.APPROVED ? 'Approve Gate' : 'Send Back for Rework'}
+                            </button>
+                        ))}
+                    </div>
+                </>
+            )}
+
+            {review.votes.length > 0 && (
+                <ul className="project-stage-gate-votes">
+                    {review.votes.map((vote) => (
+                        <li key={vote.voterUserOid}>
+                            <strong>{vote.voterName || 'Board member'}</strong>: {GATE_VOTE_LABELS[vote.vote] || vote.vote}
+                            {vote.comment && <span className="project-raid-description">{vote.comment}</span>}
+                        </li>
+                    ))}
+                </ul>
+            )}
+
+            {canEditProject && (
+                <div className="project-benefit-editor-actions">
+                    <button className="btn-secondary btn-sm" onClick={() => onCancel(review.id)} disabled={busy}>
+                        Withdraw Review
+                    </button>
+                </div>
+            )}
+        </article>
+    );
+}
+
+/**
+ * Delivery phases and gate reviews for a project. Gate votes and decisions come from the
+ * governance board assigned to the project's stage-gate model.
+ */
+export function ProjectStageGatePanel({ projectId, canEditProject }) {
+    const {
+        fetchProjectStageGate,
+        startProjectStageGate,
+        updateStageGateChecklist,
+        requestGateReview,
+        submitGateVote,
+        decideGateReview,
+        cancelGateReview
+    } = useData();
+    const toast = useToast();
+
+    const [loading, setLoading] = useState(false);
+    const [busy, setBusy] = useState(false);
+    const [schemaReady, setSchemaReady] = useState(true);
+    const [stageGate, setStageGate] = useState(null);
+    const [reviews, setReviews] = useState([]);
+
+    const applyData = useCallback((data) => {
+        setSchemaReady(data?.schemaReady !== false);
+        setStageGate(data?.stageGate || null);
+        setReviews(Array.isArray(data?.reviews) ? data.reviews : []);
+    }, []);
+
+    const loadData = useCallback(async () => {
+        if (!projectId) return;
+        setLoading(true);
+        try {
+            applyData(await fetchProjectStageGate(projectId));
+        } catch (err) {
+            console.error('Failed to load project stage gate:', err);
+            toast.error(err.message || 'Failed to load project stage gate');
+        } finally {
+            setLoading(false);
+        }
+    }, [projectId, fetchProjectStageGate, applyData, toast]);
+
+    useEffect(() => {
+        loadData();
+    }, [loadData]);
+
+    // Vote and decide responses only carry the tally, so those reload the full state.
+    const run = async (action, successMessage, { reload = false } = {}) => {
+        try {
+            setBusy(true);
+            const data = await action();
+            if (reload) {
+                await loadData();
+            } else {
+                applyData(data);
+            }
+            if (successMessage) toast.success(successMessage);
+        } catch (err) {
+            console.error('Stage-gate action failed:', err);
+            toast.error(err.message || 'Stage-gate action failed');
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const openReview = reviews.find((review) => review.status === 'in-review') || null;
+    const phases = stageGate?.phases || [];
+    const currentPhase = phases[stageGate?.phaseIndex ?? 0] || null;
+    const checkedIds = stageGate?.checklist?.[currentPhase?.key] || [];
+    const checklistLocked = !canEditProject || !!openReview || !!stageGate?.completedAt || busy;
+
+    const toggleChecklistItem = (itemId) => {
+        const next = checkedIds.includes(itemId)
+            ? checkedIds.filter((id) => id !== itemId)
+            : [...checkedIds, itemId];
+        run(() => updateStageGateChecklist(projectId, next));
+    };
+
+    if (!schemaReady) {
+        return (
+            <section className="project-benefits-panel">
+                <div className="project-benefits-warning">
+                    <AlertTriangle size={15} />
+                    Stage-gate schema is unavailable. Run `npm run setup-db:full` in `server`.
+                </div>
+            </section>
+        );
+    }
+
+    if (loading && !stageGate) {
+        return (
+            <section className="project-benefits-panel">
+                <div className="project-benefits-muted">Loading delivery lifecycle...</div>
+            </section>
+        );
+    }
+
+    if (!stageGate) {
+        return (
+            <section className="project-benefits-panel">
+                <article className="project-financial-summary">
+                    <h3><Flag size={16} /> Delivery Lifecycle</h3>
+                    <div className="project-benefits-muted">
+                        This project is not tracked through delivery phases. Projects converted from intake enter the lifecycle automatically.
+                    </div>
+                    {canEditProject && (
+                        <div className="project-benefit-editor-actions">
+                            <button
+                                className="btn-primary"
+                                onClick={() => run(() => startProjectStageGate(projectId), 'Delivery lifecycle started')}
+                                disabled={busy}
+                            >
+                                Start Delivery Lifecycle
+                            </button>
+                        </div>
+                    )}
+                </article>
+            </section>
+        );
+    }
+
+    return (
+        <section className="project-benefits-panel">
+            <article className="project-financial-summary">
+                <h3><Flag size={16} /> Delivery Lifecycle</h3>
+                <ol className="project-stage-stepper">
+                    {phases.map((phase, index) => {
+                        const state = stageGate.completedAt || index < stageGate.phaseIndex
+                            ? 'done'
+                            : index === stageGate.phaseIndex ? 'current' : 'upcoming';
+                        return (
+                            <li key={phase.key} className={`project-stage-step ${state}`}>
+                                {state === 'done' && <CheckCircle2 size={14} />}
+                                {phase.name}
+                            </li>
+                        );
+                    })}
+                </ol>
+                <div className="project-financial-totals">
+                    <div>
+                        <span>Current phase</span>
+                        <strong>{stageGate.completedAt ? 'Closed' : stageGate.currentPhaseName}</strong>
+                    </div>
+                    <div>
+                        <span>{stageGate.completedAt ? 'Closed on' : 'Phase started'}</span>
+                        <strong>{formatDate(stageGate.completedAt || stageGate.phaseStartedAt)}</strong>
+                    </div>
+                    <div>
+                        <span>Gate board</span>
+                        <strong>{stageGate.boardName || 'Not assigned'}</strong>
+                    </div>
+                </div>
+            </article>
+
+            {!stageGate.completedAt && currentPhase && (
+                <article className="project-benefit-editor">
+                    <h3>{currentPhase.name} Gate</h3>
+                    {currentPhase.criteria.length > 0 && (
+                        <div className="form-group">
+                            <label>Gate criteria</label>
+                            <ul className="project-stage-gate-criteria">
+                                {currentPhase.criteria.map((criterion) => <li key={criterion}>{criterion}</li>)}
+                            </ul>
+                        </div>
+                    )}
+                    <div className="form-group">
+                        <label>
+                            Checklist ({stageGate.checklistProgress.checkedCount}/{stageGate.checklistProgress.total})
+                        </label>
+                        {currentPhase.checklist.length === 0 ? (
+                            <div className="project-benefits-muted">No checklist items for this phase.</div>
+                        ) : currentPhase.checklist.map((item) => (
+                            <label key={item.id} className="project-stage-gate-check">
+                                <input
+                                    type="checkbox"
+                                    checked={checkedIds.includes(item.id)}
+                                    onChange={() => toggleChecklistItem(item.id)}
+                                    disabled={checklistLocked}
+                                />
+                                {item.label}
+                            </label>
+                        ))}
+                    </div>
+                    {canEditProject && !openReview && (
+                        <div className="project-benefit-editor-actions">
+                            <button
+                                className="btn-primary"
+                                onClick={() => run(() => requestGateReview(projectId), 'Gate review requested')}
+                                disabled={busy || !stageGate.checklistProgress.complete}
+                                title={stageGate.checklistProgress.complete ? '' : 'Complete the checklist first'}
+                            >
+                                Request Gate Review
+                            </button>
+                        </div>
+                    )}
+                </article>
+            )}
+
+            {openReview && (
+                <OpenGateReview
+                    key={openReview.id}
+                    review={openReview}
+                    phases={phases}
+                    canEditProject={canEditProject}
+                    busy={busy}
+                    onVote={(reviewId, payload) => run(() => submitGateVote(projectId, reviewId, payload), 'Vote recorded', { reload: true })}
+                    onDecide={(reviewId, payload) => run(() => decideGateReview(projectId, reviewId, payload), 'Gate decision recorded', { reload: true })}
+                    onCancel={(reviewId) => run(() => cancelGateReview(projectId, reviewId), 'Gate review withdrawn')}
+                />
+            )}
+
+            <article className="project-benefit-list">
+                <div className="project-benefit-list-head">
+                    <h3>Gate History</h3>
+                    <button className="btn-secondary btn-sm" onClick={loadData} disabled={loading}>
+                        {loading ? 'Refreshing...' : 'Refresh'}
+                    </button>
+                </div>
+                {reviews.length === 0 ? (
+                    <div className="project-benefits-muted">No gate reviews yet.</div>
+                ) : (
+                    <table className="project-financial-table project-raid-table">
+                        <thead>
+                            <tr>
+                                <th>Gate</th>
+                                <th>Requested</th>
+                                <th>Outcome</th>
+                                <th>Votes</th>
+                                <th>Decided</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {reviews.map((review) => (
+                                <tr key={review.id}>
+                                    <td>
+                                        <strong>{describeGate(phases, review)}</strong>
+                                        {review.boardName && <span className="project-raid-description">{review.boardName}</span>}
+                                    </td>
+                                    <td>
+                                        {formatDate(review.requestedAt)}
+                                        {review.requestedByName && <span className="project-raid-description">{review.requestedByName}</span>}
+                                    </td>
+                                    <td>
+                                        {describeOutcome(review)}
+                                        {review.decisionReason && <span className="project-raid-description">{review.decisionReason}</span>}
+                                    </td>
+                                    <td>{review.approveCount} approve, {review.reworkCount} rework</td>
+                                    <td>
+                                        {formatDate(review.decidedAt) || '-'}
+                                        {review.decidedByName && <span className="project-raid-description">{review.decidedByName}</span>}
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                )}
+            </article>
+        </section>
+    );
+}
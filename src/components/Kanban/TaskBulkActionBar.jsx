@@ -0,0 +1,156 @@
+import { useState } from 'react';
+import { CheckSquare, X } from 'lucide-react';
+import { useData } from '../../context/DataContext';
+import { useToast } from '../../context/ToastContext';
+import { MAX_BULK_TASK_UPDATES, buildBulkTaskUpdates } from '../../../shared/taskBulk.js';
+import { DEFAULT_TASK_WORKFLOW_STATES } from '../../../shared/taskWorkflows.js';
+
+const ACTIONS = [
+    { id: 'status', label: 'Set status' },
+    { id: 'priority', label: 'Set priority' },
+    { id: 'assignee', label: 'Assign to' },
+    { id: 'endDate', label: 'Set end date' },
+    { id: 'shiftDates', label: 'Shift dates (days)' }
+];
+
+const PRIORITY_OPTIONS = ['high', 'medium', 'low'];
+
+const DEFAULT_VALUES = { priority: 'medium', assignee: '', endDate: '', shiftDates: '7' };
+
+/**
+ * Apply one change to every selected task in a single all-or-nothing request.
+ * When the server rejects the batch, the rows that failed are listed by task title.
+ */
+export function TaskBulkActionBar({ projectId, selectedTasks, workflowStates = DEFAULT_TASK_WORKFLOW_STATES, assigneeOptions = [], onClearSelection }) {
+    const { bulkUpdateTasks } = useData();
+    const { success, error } = useToast();
+    // Status defaults to the workflow's first done state, mirroring the built-in "done".
+    const defaultValues = {
+        ...DEFAULT_VALUES,
+        status: (workflowStates.find((state) => state.category === 'done') || workflowStates[0]).key
+    };
+    const [actionType, setActionType] = useState('status');
+    const [value, setValue] = useState(defaultValues.status);
+    const [isApplying, setIsApplying] = useState(false);
+    const [failures, setFailures] = useState([]);
+
+    const titleById = new Map(selectedTasks.map((task) => [String(task.id), task.title]));
+    const overLimit = selectedTasks.length > MAX_BULK_TASK_UPDATES;
+
+    const handleActionChange = (nextType) => {
+        setActionType(nextType);
+        setValue(defaultValues[nextType]);
+        setFailures([]);
+    };
+
+    const handleApply = async () => {
+        const updates = buildBulkTaskUpdates(selectedTasks, { type: actionType, value });
+        if (updates.length === 0) {
+            error(actionType === 'shiftDates'
+                ? 'Enter a non-zero number of days; only tasks with dates can be shifted.'
+                : 'Nothing to update.');
+            return;
+        }
+        setIsApplying(true);
+        setFailures([]);
+        try {
+            const result = await bulkUpdateTasks(projectId, updates);
+            const updatedCount = result?.updatedCount ?? updates.length;
+            success(`Updated ${updatedCount} task${updatedCount === 1 ? '' : 's'}`);
+            onClearSelection?.();
+        } catch (err) {
+            setFailures((err?.results || []).filter((row) => !row.ok));
+            error(err?.message || 'Failed to update tasks');
+        } finally {
+            setIsApplying(false);
+        }
+    };
+
+    const renderValueInput = () => {
+        if (actionType === 'status') {
+            return (
+                <select className="form-input" value={value} onChange={(e) => setValue(e.target.value)} aria-label="New status">
+                    {workflowStates.map((state) => (
+                        <option key={state.key} value={state.key}>{state.label}</option>
+                    ))}
+                </select>
+            );
+        }
+        if (actionType === 'priority') {
+            return (
+                <select className="form-input" value={value} onChange={(e) => setValue(e.target.value)} aria-label="New priority">
+                    {PRIORITY_OPTIONS.map((priority) => (
+                        <option key={priority} value={priority}>{priority}</option>
+                    ))}
+                </select>
+            );
+        }
+        if (actionType === 'assignee') {
+            return (
+                <select className="form-input" value={value} onChange={(e) => setValue(e.target.value)} aria-label="New owner">
+                    <option value="">Unassigned</option>
+                    {assigneeOptions.map((user) => (
+                        <option key={user.oid} value={user.oid}>{user.name}</option>
+                    ))}
+                </select>
+            );
+        }
+        if (actionType === 'endDate') {
+            return (
+                <input type="date" className="form-input" value={value} onChange={(e) => setValue(e.target.value)} aria-label="New end date" />
+            );
+        }
+        return (
+            <input
+                type="number"
+                step="1"
+                className="form-input task-bulk-days"
+                value={value}
+                onChange={(e) => setValue(e.target.value)}
+                aria-label="Days to shift (negative moves earlier)"
+            />
+        );
+    };
+
+    return (
+        <div className="task-bulk-bar glass-panel" role="region" aria-label="Bulk task actions">
+            <div className="task-bulk-row">
+                <span className="task-bulk-count">
+                    <CheckSquare size={16} /> {selectedTasks.length} selected
+                </span>
+                <select
+                    className="form-input"
+                    value={actionType}
+                    onChange={(e) => handleActionChange(e.target.value)}
+                    aria-label="Bulk action"
+                >
+                    {ACTIONS.map((action) => (
+                        <option key={action.id} value={action.id}>{action.label}</option>
+                    ))}
+                </select>
+                {renderValueInput()}
+                <button
+                    type="button"
+                    className="btn-primary"
+                    onClick={handleApply}
+                    disabled={isApplying || overLimit}
+                    title={overLimit ? `Select at most ${MAX_BULK_TASK_UPDATES} tasks` : undefined}
+                >
+                    {isApplying ? 'Applying...' : 'Apply'}
+                </button>
+                <button type="button" className="icon-btn" onClick={onClearSelection} title="Clear selection">
+                    <X size={16} />
+                </button>
+            </div>
+            {failures.length > 0 && (
+                <ul className="task-bulk-failures">
+                    {failures.map((row) => (
+                        <li key={row.taskId}>
+                            <strong>{titleById.get(String(row.taskId)) || `Task ${row.taskId}`}:</strong> {row.error}
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,383 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { MessageSquare, Reply, Edit, Trash2, History, Send } from 'lucide-react';
+import { useData } from '../../context/DataContext';
+import { useToast } from '../../context/ToastContext';
+import {
+    MAX_COMMENT_LENGTH,
+    encodeMentions,
+    splitMentionSegments,
+    stripMentionTokens
+} from '../../../shared/mentions.js';
+
+const MENTION_QUERY_PATTERN = /(^|\s)@([^\s@]{0,40})$/;
+
+function formatCommentTime(value) {
+    if (!value) return '';
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) return '';
+    return date.toLocaleString(undefined, { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+}
+
+function CommentBody({ body }) {
+    return (
+        <p className="task-comment-body">
+            {splitMentionSegments(body).map((segment, index) => (
+                segment.type === 'mention'
+                    ? <span key={index} className="task-comment-mention" title={segment.oid}>@{segment.name}</span>
+                    : <span key={index}>{segment.text}</span>
+            ))}
+        </p>
+    );
+}
+
+function MentionComposer({ initialBody = '', placeholder, submitLabel, onSubmit, onCancel, autoFocus = false }) {
+    const { fetchAssignableUsers } = useData();
+    const [text, setText] = useState(() => stripMentionTokens(initialBody));
+    const [mentionedUsers, setMentionedUsers] = useState(() => (
+        splitMentionSegments(initialBody)
+            .filter((segment) => segment.type === 'mention')
+            .map((segment) => ({ oid: segment.oid, name: segment.name }))
+    ));
+    const [mentionQuery, setMentionQuery] = useState(null);
+    const [suggestions, setSuggestions] = useState([]);
+    const [submitting, setSubmitting] = useState(false);
+    const textareaRef = useRef(null);
+
+    useEffect(() => {
+        if (mentionQuery === null) {
+            setSuggestions([]);
+            return undefined;
+        }
+        let cancelled = false;
+        fetchAssignableUsers(mentionQuery)
+            .then((users) => {
+                if (!cancelled) setSuggestions(Array.isArray(users) ? users.slice(0, 6) : []);
+            })
+            .catch(() => {
+                if (!cancelled) setSuggestions([]);
+            });
+        return () => { cancelled = true; };
+    }, [mentionQuery, fetchAssignableUsers]);
+
+    const updateMentionQuery = (value, caret) => {
+        const match = MENTION_QUERY_PATTERN.exec(value.slice(0, caret));
+        setMentionQuery(match ? match[2] : null);
+    };
+
+    const handleChange = (e) => {
+        setText(e.target.value);
+        updateMentionQuery(e.target.value, e.target.selectionStart ?? e.target.value.length);
+    };
+
+    const handleSelectMention = (user) => {
+        const textarea = textareaRef.current;
+        const caret = textarea?.selectionStart ?? text.length;
+        const before = text.slice(0, caret).replace(MENTION_QUERY_PATTERN, (_match, prefix) => `${prefix}@${user.name} `);
+        const nextText = `${before}${text.slice(caret)}`;
+        setText(nextText);
+        setMentionedUsers((prev) => (
+            prev.some((existing) => existing.oid === user.oid) ? prev : [...prev, { oid: user.oid, name: user.name }]
+        ));
+        setMentionQuery(null);
+        requestAnimationFrame(() => {
+            textarea?.focus();
+            textarea?.setSelectionRange(before.length, before.length);
+        });
+    };
+
+    const handleSubmit = async () => {
+        const trimmed = text.trim();
+        if (!trimmed || submitting) return;
+        setSubmitting(true);
+        try {
+            const saved = await onSubmit(encodeMentions(trimmed, mentionedUsers));
+            if (saved !== false) {
+                setText('');
+                setMentionedUsers([]);
+            }
+        } finally {
+            setSubmitting(false);
+        }
+    };
+
+    return (
+        <div className="task-comment-composer">
+            <textarea
+                ref={textareaRef}
+                value={text}
+                onChange={handleChange}
+                onKeyDown={(e) => {
+                    if (e.key === 'Escape' && mentionQuery !== null) {
+                        setMentionQuery(null);
+                    } else if (e.key === 'Enter' && (e.metaKey || e.ctrlKey)) {
+                        e.preventDefault();
+                        handleSubmit();
+                    }
+                }}
+                className="form-textarea"
+                rows={2}
+                maxLength={MAX_COMMENT_LENGTH}
+                placeholder={placeholder}
+                autoFocus={autoFocus}
+            />
+            {mentionQuery !== null && suggestions.length > 0 && (
+                <ul className="task-comment-suggestions" role="listbox">
+                    {suggestions.map((user) => (
+                        <li key={user.oid}>
+                            <button
+                                type="button"
+                                onMouseDown={(e) => e.preventDefault()}
+                                onClick={() => handleSelectMention(user)}
+                            >
+                                <strong>{user.name}</strong>
+                                {user.email && <span>{user.email}</span>}
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+            )}
+            <div className="task-comment-composer-actions">
+                {onCancel && (
+                    <button type="button" className="btn-secondary" onClick={onCancel} disabled={submitting}>
+                        Cancel
+                    </button>
+                )}
+                <button
+                    type="button"
+                    className="btn-primary"
+                    onClick={handleSubmit}
+                    disabled={submitting || !text.trim()}
+                >
+                    <Send size={14} />
+                    {submitLabel}
+                </button>
+            </div>
+        </div>
+    );
+}
+
+export function TaskComments({ taskId, canComment }) {
+    const {
+        currentUser,
+        hasRole,
+        fetchTaskComments,
+        addTaskComment,
+        updateTaskComment,
+        deleteTaskComment,
+        fetchTaskCommentHistory
+    } = useData();
+    const { success, error } = useToast();
+    const [comments, setComments] = useState([]);
+    const [loading, setLoading] = useState(false);
+    const [replyToId, setReplyToId] = useState(null);
+    const [editingId, setEditingId] = useState(null);
+    const [historyById, setHistoryById] = useState({});
+    const currentOid = String(currentUser?.oid || '');
+    const isAdmin = hasRole('Admin');
+
+    useEffect(() => {
+        let cancelled = false;
+        setLoading(true);
+        setReplyToId(null);
+        setEditingId(null);
+        setHistoryById({});
+        fetchTaskComments(taskId)
+            .then((data) => {
+                if (!cancelled) setComments(Array.isArray(data?.comments) ? data.comments : []);
+            })
+            .catch((err) => {
+                console.error('Failed to fetch comments:', err);
+            })
+            .finally(() => {
+                if (!cancelled) setLoading(false);
+            });
+        return () => { cancelled = true; };
+    }, [taskId, fetchTaskComments]);
+
+    const threads = useMemo(() => {
+        const roots = comments.filter((comment) => !comment.parentCommentId);
+        return roots.map((root) => ({
+            root,
+            replies: comments.filter((comment) => comment.parentCommentId === root.id)
+        }));
+    }, [comments]);
+
+    const visibleCount = comments.filter((comment) => !comment.isDeleted).length;
+
+    const handleAdd = useCallback(async (body, parentCommentId = null) => {
+        try {
+            const comment = await addTaskComment(taskId, { body, parentCommentId });
+            setComments((prev) => [...prev, comment]);
+            setReplyToId(null);
+            return true;
+        } catch (err) {
+            error(err?.message || 'Failed to add comment');
+            return false;
+        }
+    }, [addTaskComment, taskId, error]);
+
+    const handleEdit = useCallback(async (commentId, body) => {
+        try {
+            const updated = await updateTaskComment(taskId, commentId, { body });
+            setComments((prev) => prev.map((comment) => comment.id === commentId ? updated : comment));
+            setHistoryById((prev) => {
+                const next = { ...prev };
+                delete next[commentId];
+                return next;
+            });
+            setEditingId(null);
+            return true;
+        } catch (err) {
+            error(err?.message || 'Failed to update comment');
+            return false;
+        }
+    }, [updateTaskComment, taskId, error]);
+
+    const handleDelete = useCallback(async (comment) => {
+        if (!window.confirm('Delete this comment?')) return;
+        try {
+            await deleteTaskComment(taskId, comment.id);
+            setComments((prev) => prev.map((existing) => (
+                existing.id === comment.id
+                    ? { ...existing, isDeleted: true, body: null, mentions: [], revisionCount: existing.revisionCount + 1 }
+                    : existing
+            )));
+            success('Comment deleted');
+        } catch (err) {
+            error(err?.message || 'Failed to delete comment');
+        }
+    }, [deleteTaskComment, taskId, success, error]);
+
+    const toggleHistory = useCallback(async (commentId) => {
+        if (historyById[commentId]) {
+            setHistoryById((prev) => {
+                const next = { ...prev };
+                delete next[commentId];
+                return next;
+            });
+            return;
+        }
+        try {
+            const data = await fetchTaskCommentHistory(taskId, commentId);
+            setHistoryById((prev) => ({ ...prev, [commentId]: data?.revisions || [] }));
+        } catch (err) {
+            error(err?.message || 'Failed to load comment history');
+        }
+    }, [historyById, fetchTaskCommentHistory, taskId, error]);
+
+    const renderComment = (comment, isReply = false) => {
+        const isAuthor = comment.authorOid === currentOid;
+        const history = historyById[comment.id];
+        return (
+            <div key={comment.id} className={`task-comment ${isReply ? 'reply' : ''} ${comment.isDeleted ? 'deleted' : ''}`}>
+                <div className="task-comment-meta">
+                    <strong>{comment.authorName || 'Unknown user'}</strong>
+                    <span>{formatCommentTime(comment.createdAt)}</span>
+                    {comment.revisionCount > 0 && (
+                        <button
+                            type="button"
+                            className="task-comment-history-toggle"
+                            onClick={() => toggleHistory(comment.id)}
+                            title="Show edit history"
+                        >
+                            <History size={12} />
+                            {comment.isDeleted ? 'history' : 'edited'}
+                        </button>
+                    )}
+                </div>
+
+                {comment.isDeleted ? (
+                    <p className="task-comment-body text-muted">This comment was deleted.</p>
+                ) : editingId === comment.id ? (
+                    <MentionComposer
+                        initialBody={comment.body}
+                        submitLabel="Save"
+                        onSubmit={(body) => handleEdit(comment.id, body)}
+                        onCancel={() => setEditingId(null)}
+                        autoFocus
+                    />
+                ) : (
+                    <CommentBody body={comment.body} />
+                )}
+
+                {history && (
+                    <ul className="task-comment-history">
+                        {history.length === 0 && <li className="text-muted">No earlier versions.</li>}
+                        {history.map((revision) => (
+                            <li key={revision.id}>
+                                <span className="task-comment-history-meta">
+                                    {revision.changeType === 'delete' ? 'Deleted' : 'Edited'} by {revision.changedByName || 'unknown'} · {formatCommentTime(revision.changedAt)}
+                                </span>
+                                <CommentBody body={revision.previousBody} />
+                            </li>
+                        ))}
+                    </ul>
+                )}
+
+                {!comment.isDeleted && editingId !== comment.id && canComment && (
+                    <div className="task-comment-actions">
+                        {!isReply && (
+                            <button type="button" onClick={() => setReplyToId(replyToId === comment.id ? null : comment.id)}>
+                                <Reply size={12} /> Reply
+                            </button>
+                        )}
+                        {isAuthor && (
+                            <button type="button" onClick={() => setEditingId(comment.id)}>
+                                <Edit size={12} /> Edit
+                            </button>
+                        )}
+                        {(isAuthor || isAdmin) && (
+                            <button type="button" className="danger" onClick={() => handleDelete(comment)}>
+                                <Trash2 size={12} /> Delete
+                            </button>
+                        )}
+                    </div>
+                )}
+            </div>
+        );
+    };
+
+    return (
+        <>
+            <div className="section-label" style={{ marginTop: '1rem' }}>
+                <MessageSquare size={16} />
+                Comments ({visibleCount})
+            </div>
+
+            {loading ? (
+                <p className="text-muted" style={{ marginTop: '0.5rem' }}>Loading comments...</p>
+            ) : (
+                <div className="task-comments">
+                    {threads.length === 0 && (
+                        <p className="text-muted" style={{ marginTop: '0.5rem' }}>No comments yet.</p>
+                    )}
+                    {threads.map(({ root, replies }) => (
+                        <div key={root.id} className="task-comment-thread">
+                            {renderComment(root)}
+                            {replies.map((reply) => renderComment(reply, true))}
+                            {replyToId === root.id && (
+                                <div className="task-comment reply">
+                                    <MentionComposer
+                                        placeholder="Write a reply... use @ to mention someone"
+                                        submitLabel="Reply"
+                                        onSubmit={(body) => handleAdd(body, root.id)}
+                                        onCancel={() => setReplyToId(null)}
+                                        autoFocus
+                                    />
+                                </div>
+                            )}
+                        </div>
+                    ))}
+
+                    {canComment && (
+                        <MentionComposer
+                            placeholder="Add a comment... use @ to mention someone"
+                            submitLabel="Comment"
+                            onSubmit={(body) => handleAdd(body)}
+                        />
+                    )}
+                </div>
+            )}
+        </>
+    );
+}
@@ -1,18 +1,67 @@
 import { useEffect, useMemo, useState } from 'react';
-import { X, Calendar, Flag, Edit, Trash2, AlignLeft, CheckCircle2, User, ListChecks, Plus, Check, Square } from 'lucide-react';
+import { X, Calendar, Flag, Edit, Trash2, AlignLeft, CheckCircle2, User, ListChecks, Plus, Check, Square, Link2, AlertTriangle, CornerDownRight } from 'lucide-react';
 import { useData } from '../../context/DataContext';
-import { useToast } from '../../context/ToastContext';
+import { useToast, UNDO_TOAST_DURATION_MS } from '../../context/ToastContext';
+import {
+    TASK_DEPENDENCY_TYPES,
+    TASK_DEPENDENCY_TYPE_LABELS,
+    MAX_DEPENDENCY_LAG_DAYS,
+    findDependencyViolations
+} from '../../../shared/taskDependencies.js';
+import {
+    DEFAULT_TASK_WORKFLOW_STATES,
+    getStatusCategory,
+    getStatusColor,
+    getStatusLabel,
+    isTaskDone,
+    isWorkflowTransitionAllowed
+} from '../../../shared/taskWorkflows.js';
+import { buildSubtaskIndex, summarizeSubtasks, validateSubtaskParent } from '../../../shared/subtasks.js';
+import { TaskComments } from './TaskComments';
+import { TaskTimeEntries } from './TaskTimeEntries';
+import { AttachmentsPanel } from '../UI/AttachmentsPanel';
+import { CustomFieldInputs, CustomFieldValues } from '../UI/CustomFieldInputs';
+import { describeEditConflict } from '../../utils/editConflicts';
 import './TaskDetail.css';
 
-export function TaskDetailPanel({ task, projectId, assigneeOptions = [], canEditTask, onClose }) {
+const TASK_FIELD_LABELS = {
+    title: 'Title',
+    description: 'Description',
+    priority: 'Priority',
+    status: 'Status',
+    assigneeOid: 'Assignee',
+    blockerNote: 'Blocker note',
+    startDate: 'Start date',
+    endDate: 'End date',
+    parentTaskId: 'Parent task'
+};
+
+export function TaskDetailPanel({
+    task,
+    projectId,
+    projectTasks = [],
+    dependencies = [],
+    workflowStates = DEFAULT_TASK_WORKFLOW_STATES,
+    assigneeOptions = [],
+    customFieldDefinitions = [],
+    customFieldUsers = {},
+    canEditTask,
+    canComment = true,
+    onClose
+}) {
     const {
         updateTask,
+        updateTaskCustomFields,
         deleteTask,
         hasPermission,
         fetchTaskChecklist,
         addTaskChecklistItem,
         updateTaskChecklistItem,
-        deleteTaskChecklistItem
+        deleteTaskChecklistItem,
+        restoreTask,
+        restoreTaskChecklistItem,
+        addTaskDependency,
+        removeTaskDependency
     } = useData();
     const { success, error } = useToast();
     const canEdit = canEditTask ?? hasPermission('can_edit_project');
@@ -45,26 +94,45 @@ export function TaskDetailPanel({ task, projectId, assigneeOptions = [], canEdit
     const [priority, setPriority] = useState(task.priority || 'medium');
     const [status, setStatus] = useState(task.status || 'todo');
     const [assigneeOid, setAssigneeOid] = useState(task.assigneeOid || '');
+    const [parentTaskId, setParentTaskId] = useState(task.parentTaskId ? String(task.parentTaskId) : '');
     const [blockerNote, setBlockerNote] = useState(task.blockerNote || '');
     const [startDate, setStartDate] = useState(formatDateForInput(task.startDate || task.dueDate));
     const [endDate, setEndDate] = useState(formatDateForInput(task.endDate || task.dueDate));
+    const [customFieldValues, setCustomFieldValues] = useState(() => ({ ...(task.customFields || {}) }));
     const [confirmDelete, setConfirmDelete] = useState(false);
     const [saving, setSaving] = useState(false);
+    // Set to the server's newer version after a 412, so saving again keeps this user's edits.
+    const [saveEtag, setSaveEtag] = useState(task.etag || null);
 
     const [checklistItems, setChecklistItems] = useState([]);
     const [checklistLoading, setChecklistLoading] = useState(false);
     const [newChecklistTitle, setNewChecklistTitle] = useState('');
     const [checklistBusyId, setChecklistBusyId] = useState(null);
 
+    const [newPredecessorId, setNewPredecessorId] = useState('');
+    const [newDependencyType, setNewDependencyType] = useState(TASK_DEPENDENCY_TYPES.FINISH_TO_START);
+    const [newLagDays, setNewLagDays] = useState('0');
+    const [dependencyBusyId, setDependencyBusyId] = useState(null);
+
+    // Only states the workflow allows from the saved status are offered.
+    const statusOptions = useMemo(
+        () => workflowStates.filter((state) => isWorkflowTransitionAllowed(workflowStates, task.status, state.key)),
+        [workflowStates, task.status]
+    );
+    const isBlockedStatus = getStatusCategory(status, workflowStates) === 'blocked';
+
     useEffect(() => {
         setTitle(task.title || '');
         setDescription(task.description || '');
         setPriority(task.priority || 'medium');
         setStatus(task.status || 'todo');
         setAssigneeOid(task.assigneeOid || '');
+        setParentTaskId(task.parentTaskId ? String(task.parentTaskId) : '');
         setBlockerNote(task.blockerNote || '');
         setStartDate(formatDateForInput(task.startDate || task.dueDate));
         setEndDate(formatDateForInput(task.endDate || task.dueDate));
+        setCustomFieldValues({ ...(task.customFields || {}) });
+        setSaveEtag(task.etag || null);
         setConfirmDelete(false);
         setIsEditing(false);
     }, [task]);
@@ -97,13 +165,26 @@ export function TaskDetailPanel({ task, projectId, assigneeOptions = [], canEdit
                 priority,
                 status,
                 assigneeOid: assigneeOid || null,
-                blockerNote: status === 'blocked' ? (blockerNote || null) : null,
+                blockerNote: isBlockedStatus ? (blockerNote || null) : null,
                 startDate: startDate || null,
-                endDate: endDate || null
-            });
+                endDate: endDate || null,
+                // Only sent when changed so servers without the sub-task schema accept other edits.
+                ...(parentTaskId !== (task.parentTaskId ? String(task.parentTaskId) : '')
+                    ? { parentTaskId: parentTaskId || null }
+                    : {})
+            }, { etag: saveEtag });
+            if (customFieldDefinitions.length > 0
+                && JSON.stringify(customFieldValues) !== JSON.stringify(task.customFields || {})) {
+                await updateTaskCustomFields(projectId, task.id, customFieldValues);
+            }
             success('Task updated successfully');
             setIsEditing(false);
         } catch (err) {
+            if (err?.status === 412) {
+                setSaveEtag(err.data?.etag || null);
+                error(describeEditConflict(err, TASK_FIELD_LABELS));
+                return;
+            }
             error(err?.message || 'Failed to update task');
         } finally {
             setSaving(false);
@@ -113,8 +194,17 @@ export function TaskDetailPanel({ task, projectId, assigneeOptions = [], canEdit
     const handleDelete = async () => {
         if (confirmDelete) {
             try {
-                await deleteTask(projectId, task.id);
-                success('Task deleted');
+                const result = await deleteTask(projectId, task.id);
+                if (result?.recycled) {
+                    success('Task moved to the recycle bin', UNDO_TOAST_DURATION_MS, {
+                        label: 'Undo',
+                        onClick: () => restoreTask(projectId, task.id)
+                            .then(() => success('Task restored'))
+                            .catch((err) => error(err?.message || 'Failed to restore task'))
+                    });
+                } else {
+                    success('Task deleted');
+                }
                 onClose();
             } catch (err) {
                 error(err?.message || 'Failed to delete task');
@@ -149,22 +239,6 @@ export function TaskDetailPanel({ task, projectId, assigneeOptions = [], canEdit
         low: '#10b981'
     };
 
-    const statusColors = {
-        'todo': '#64748b',
-        'in-progress': '#3b82f6',
-        'blocked': '#ef4444',
-        'review': '#00558c',
-        'done': '#22c55e'
-    };
-
-    const statusLabels = {
-        'todo': 'To Do',
-        'in-progress': 'In Progress',
-        'blocked': 'Blocked',
-        'review': 'Review',
-        'done': 'Done'
-    };
-
     const checklistSummary = useMemo(() => {
         const total = checklistItems.length;
         const done = checklistItems.filter((item) => item.isDone).length;
@@ -202,8 +276,19 @@ export function TaskDetailPanel({ task, projectId, assigneeOptions = [], canEdit
     const handleChecklistDelete = async (item) => {
         setChecklistBusyId(item.id);
         try {
-            await deleteTaskChecklistItem(task.id, item.id);
+            const result = await deleteTaskChecklistItem(task.id, item.id);
             setChecklistItems((prev) => prev.filter((i) => String(i.id) !== String(item.id)));
+            if (result?.recycled) {
+                success('Checklist item deleted', UNDO_TOAST_DURATION_MS, {
+                    label: 'Undo',
+                    onClick: () => restoreTaskChecklistItem(task.id, item.id)
+                        .then((restored) => setChecklistItems((prev) => [
+                            ...prev.filter((i) => String(i.id) !== String(restored.id)),
+                            restored
+                        ].sort((a, b) => (a.sortOrder ?? 0) - (b.sortOrder ?? 0) || Number(a.id) - Number(b.id))))
+                        .catch((err) => error(err?.message || 'Failed to restore checklist item'))
+                });
+            }
         } catch (err) {
             error(err?.message || 'Failed to delete checklist item');
         } finally {
@@ -211,6 +296,77 @@ export function TaskDetailPanel({ task, projectId, assigneeOptions = [], canEdit
         }
     };
 
+    const taskId = String(task.id);
+    const taskTitleById = useMemo(() => new Map(
+        projectTasks.map((projectTask) => [String(projectTask.id), projectTask.title])
+    ), [projectTasks]);
+
+    const predecessorLinks = useMemo(
+        () => dependencies.filter((dependency) => String(dependency.successorTaskId) === taskId),
+        [dependencies, taskId]
+    );
+    const successorLinks = useMemo(
+        () => dependencies.filter((dependency) => String(dependency.predecessorTaskId) === taskId),
+        [dependencies, taskId]
+    );
+    const predecessorCandidates = useMemo(() => {
+        const linkedIds = new Set(predecessorLinks.map((dependency) => String(dependency.predecessorTaskId)));
+        return projectTasks.filter((projectTask) => (
+            String(projectTask.id) !== taskId && !linkedIds.has(String(projectTask.id))
+        ));
+    }, [projectTasks, predecessorLinks, taskId]);
+    const subtaskIndex = useMemo(() => buildSubtaskIndex(projectTasks), [projectTasks]);
+    const parentTask = task.parentTaskId ? subtaskIndex.byId.get(String(task.parentTaskId)) : null;
+    const subtasks = subtaskIndex.children.get(taskId) || [];
+    const subtaskRollup = useMemo(
+        () => summarizeSubtasks(projectTasks, taskId, (item) => isTaskDone(item, workflowStates), subtaskIndex),
+        [projectTasks, taskId, workflowStates, subtaskIndex]
+    );
+    const parentCandidates = useMemo(
+        () => projectTasks.filter((projectTask) => !validateSubtaskParent(projectTasks, taskId, projectTask.id)),
+        [projectTasks, taskId]
+    );
+    const dependencyViolations = useMemo(
+        () => findDependencyViolations(projectTasks, predecessorLinks),
+        [projectTasks, predecessorLinks]
+    );
+
+    const describeDependency = (dependency) => {
+        const lagDays = Number(dependency.lagDays || 0);
+        const lagLabel = lagDays ? ` (${lagDays > 0 ? '+' : ''}${lagDays}d lag)` : '';
+        return `${TASK_DEPENDENCY_TYPE_LABELS[dependency.dependencyType] || 'Dependency'}${lagLabel}`;
+    };
+
+    const handleDependencyAdd = async () => {
+        if (!newPredecessorId) return;
+        setDependencyBusyId('new');
+        try {
+            await addTaskDependency(projectId, task.id, {
+                predecessorTaskId: newPredecessorId,
+                dependencyType: newDependencyType,
+                lagDays: Number.parseInt(newLagDays, 10) || 0
+            });
+            setNewPredecessorId('');
+            setNewLagDays('0');
+            success('Dependency added');
+        } catch (err) {
+            error(err?.message || 'Failed to add dependency');
+        } finally {
+            setDependencyBusyId(null);
+        }
+    };
+
+    const handleDependencyRemove = async (dependency) => {
+        setDependencyBusyId(dependency.id);
+        try {
+            await removeTaskDependency(projectId, task.id, dependency.id);
+        } catch (err) {
+            error(err?.message || 'Failed to remove dependency');
+        } finally {
+            setDependencyBusyId(null);
+        }
+    };
+
     const selectedAssigneeName = assigneeOptions.find((u) => String(u.oid) === String(task.assigneeOid || ''))?.name
         || task.assigneeName
         || null;
@@ -256,11 +412,9 @@ export function TaskDetailPanel({ task, projectId, assigneeOptions = [], canEdit
                                 <div className="form-group">
                                     <label>Status</label>
                                     <select value={status} onChange={e => setStatus(e.target.value)} className="form-select">
-                                        <option value="todo">To Do</option>
-                                        <option value="in-progress">In Progress</option>
-                                        <option value="blocked">Blocked</option>
-                                        <option value="review">Review</option>
-                                        <option value="done">Done</option>
+                                        {statusOptions.map((state) => (
+                                            <option key={state.key} value={state.key}>{state.label}</option>
+                                        ))}
                                     </select>
                                 </div>
                                 <div className="form-group">
@@ -287,7 +441,20 @@ export function TaskDetailPanel({ task, projectId, assigneeOptions = [], canEdit
                                     ))}
                                 </select>
                             </div>
-                            {status === 'blocked' && (
+                            <div className="form-group">
+                                <label>Parent Task</label>
+                                <select
+                                    value={parentTaskId}
+                                    onChange={e => setParentTaskId(e.target.value)}
+                                    className="form-select"
+                                >
+                                    <option value="">None (top-level task)</option>
+                                    {parentCandidates.map(projectTask => (
+                                        <option key={projectTask.id} value={String(projectTask.id)}>{projectTask.title}</option>
+                                    ))}
+                                </select>
+                            </div>
+                            {isBlockedStatus && (
                                 <div className="form-group">
                                     <label>Blocker Note</label>
                                     <textarea
@@ -320,21 +487,33 @@ export function TaskDetailPanel({ task, projectId, assigneeOptions = [], canEdit
                                     />
                                 </div>
                             </div>
+                            <CustomFieldInputs
+                                definitions={customFieldDefinitions}
+                                values={customFieldValues}
+                                onChange={setCustomFieldValues}
+                                userOptions={assigneeOptions}
+                                userNames={customFieldUsers}
+                            />
                         </>
                     ) : (
                         <>
                             <h2 className="task-title-display">{task.title}</h2>
+                            {parentTask && (
+                                <p className="task-parent-link text-muted">
+                                    <CornerDownRight size={14} /> Sub-task of {parentTask.title}
+                                </p>
+                            )}
 
                             <div className="meta-grid">
                                 <div className="meta-item">
                                     <span className="meta-label">Status</span>
                                     <div className="meta-value">
                                         <span className="status-badge-lg" style={{
-                                            backgroundColor: `${statusColors[currentStatus]}20`,
-                                            color: statusColors[currentStatus]
+                                            backgroundColor: `${getStatusColor(currentStatus, workflowStates)}20`,
+                                            color: getStatusColor(currentStatus, workflowStates)
                                         }}>
                                             <CheckCircle2 size={14} />
-                                            {statusLabels[currentStatus]}
+                                            {getStatusLabel(currentStatus, workflowStates)}
                                         </span>
                                     </div>
                                 </div>
@@ -370,6 +549,13 @@ export function TaskDetailPanel({ task, projectId, assigneeOptions = [], canEdit
                                 </div>
                             </div>
 
+                            <CustomFieldValues
+                                definitions={customFieldDefinitions}
+                                values={task.customFields || {}}
+                                userOptions={assigneeOptions}
+                                userNames={customFieldUsers}
+                            />
+
                             {task.blockerNote && (
                                 <>
                                     <div className="section-label">
@@ -392,6 +578,26 @@ export function TaskDetailPanel({ task, projectId, assigneeOptions = [], canEdit
                         </>
                     )}
 
+                    {subtasks.length > 0 && (
+                        <>
+                            <div className="section-label" style={{ marginTop: '1rem' }}>
+                                <CornerDownRight size={16} />
+                                Sub-tasks ({subtaskRollup.done}/{subtaskRollup.total} done, {subtaskRollup.percent}%)
+                            </div>
+                            <div className="task-checklist">
+                                {subtasks.map((subtask) => (
+                                    <div key={subtask.id} className="task-checklist-item">
+                                        {isTaskDone(subtask, workflowStates) ? <Check size={14} /> : <Square size={14} />}
+                                        <span className={`task-checklist-title ${isTaskDone(subtask, workflowStates) ? 'done' : ''}`}>
+                                            {subtask.title}
+                                            <span className="task-dependency-meta">{getStatusLabel(subtask.status, workflowStates)}</span>
+                                        </span>
+                                    </div>
+                                ))}
+                            </div>
+                        </>
+                    )}
+
                     <div className="section-label" style={{ marginTop: '1rem' }}>
                         <ListChecks size={16} />
                         Checklist ({checklistSummary.done}/{checklistSummary.total})
@@ -458,6 +664,114 @@ export function TaskDetailPanel({ task, projectId, assigneeOptions = [], canEdit
                             )}
                         </div>
                     )}
+
+                    <div className="section-label" style={{ marginTop: '1rem' }}>
+                        <Link2 size={16} />
+                        Dependencies
+                    </div>
+
+                    {dependencyViolations.length > 0 && (
+                        <div className="task-dependency-warning">
+                            <AlertTriangle size={14} />
+                            Scheduled before its predecessors allow (earliest start {dependencyViolations
+                                .map((violation) => violation.earliestStart)
+                                .sort()
+                                .pop()}).
+                        </div>
+                    )}
+
+                    <div className="task-checklist task-dependencies">
+                        {predecessorLinks.length === 0 && successorLinks.length === 0 && (
+                            <p className="text-muted" style={{ marginTop: '0.5rem' }}>No dependencies yet.</p>
+                        )}
+                        {predecessorLinks.map((dependency) => (
+                            <div key={dependency.id} className="task-checklist-item">
+                                <span className="task-dependency-direction">Waits on</span>
+                                <span className="task-checklist-title">
+                                    {taskTitleById.get(String(dependency.predecessorTaskId)) || 'Unknown task'}
+                                    <span className="task-dependency-meta">{describeDependency(dependency)}</span>
+                                </span>
+                                {canEdit && (
+                                    <button
+                                        type="button"
+                                        className="task-checklist-delete"
+                                        onClick={() => handleDependencyRemove(dependency)}
+                                        disabled={dependencyBusyId === dependency.id}
+                                        title="Remove dependency"
+                                    >
+                                        <Trash2 size={14} />
+                                    </button>
+                                )}
+                            </div>
+                        ))}
+                        {successorLinks.map((dependency) => (
+                            <div key={dependency.id} className="task-checklist-item">
+                                <span className="task-dependency-direction">Blocks</span>
+                                <span className="task-checklist-title">
+                                    {taskTitleById.get(String(dependency.successorTaskId)) || 'Unknown task'}
+                                    <span className="task-dependency-meta">{describeDependency(dependency)}</span>
+                                </span>
+                            </div>
+                        ))}
+
+                        {canEdit && predecessorCandidates.length > 0 && (
+                            <div className="task-checklist-add task-dependency-add">
+                                <select
+                                    value={newPredecessorId}
+                                    onChange={(e) => setNewPredecessorId(e.target.value)}
+                                    className="form-select"
+                                    aria-label="Predecessor task"
+                                >
+                                    <option value="">Add predecessor...</option>
+                                    {predecessorCandidates.map((candidate) => (
+                                        <option key={candidate.id} value={candidate.id}>{candidate.title}</option>
+                                    ))}
+                                </select>
+                                <select
+                                    value={newDependencyType}
+                                    onChange={(e) => setNewDependencyType(e.target.value)}
+                                    className="form-select"
+                                    aria-label="Dependency type"
+                                >
+                                    {Object.values(TASK_DEPENDENCY_TYPES).map((type) => (
+                                        <option key={type} value={type}>{TASK_DEPENDENCY_TYPE_LABELS[type]}</option>
+                                    ))}
+                                </select>
+                                <input
+                                    type="number"
+                                    value={newLagDays}
+                                    onChange={(e) => setNewLagDays(e.target.value)}
+                                    className="form-input task-dependency-lag"
+                                    min={-MAX_DEPENDENCY_LAG_DAYS}
+                                    max={MAX_DEPENDENCY_LAG_DAYS}
+                                    aria-label="Lag days"
+                                    title="Lag days"
+                                />
+                                <button
+                                    type="button"
+                                    className="btn-secondary"
+                                    onClick={handleDependencyAdd}
+                                    disabled={dependencyBusyId === 'new' || !newPredecessorId}
+                                >
+                                    <Plus size={14} />
+                                    Add
+                                </button>
+                            </div>
+                        )}
+                    </div>
+
+                    <TaskTimeEntries
+                        task={task}
+                        projectId={projectId}
+                        canLog={canComment}
+                        canEditEstimate={canEdit}
+                    />
+
+                    <div style={{ marginTop: '1rem' }}>
+                        <AttachmentsPanel entityType="task" entityId={task.id} />
+                    </div>
+
+                    <TaskComments taskId={task.id} canComment={canComment} />
                 </div>
 
                 <div className="panel-actions">
@@ -1,5 +1,7 @@
 import { useState } from 'react';
-import { Calendar, Flag, ArrowUpDown, ChevronUp, ChevronDown } from 'lucide-react';
+import { Calendar, Flag, ArrowUpDown, ChevronUp, ChevronDown, CornerDownRight } from 'lucide-react';
+import { getStatusColor, getStatusLabel, getWorkflowStates, isTaskDone } from '../../../shared/taskWorkflows.js';
+import { buildSubtaskIndex, orderTasksAsTree, summarizeSubtasks } from '../../../shared/subtasks.js';
 import './TaskTable.css';
 
 // Get end date (supports legacy dueDate)
@@ -27,25 +29,12 @@ const priorityColors = {
     low: '#10b981'
 };
 
-const statusLabels = {
-    'todo': 'To Do',
-    'in-progress': 'In Progress',
-    'blocked': 'Blocked',
-    'review': 'Review',
-    'done': 'Done'
-};
-
-export function TaskTableView({ project, onTaskClick }) {
+export function TaskTableView({ project, onTaskClick, selectedTaskIds, onToggleTask, onToggleAll }) {
+    const selectable = Boolean(selectedTaskIds && onToggleTask);
     const [sortField, setSortField] = useState('priority');
     const [sortDirection, setSortDirection] = useState('asc');
 
-    const statusColors = {
-        'todo': '#64748b',
-        'in-progress': '#3b82f6',
-        'blocked': '#ef4444',
-        'review': '#00558c',
-        'done': '#22c55e'
-    };
+    const workflowStates = getWorkflowStates(project.taskWorkflow);
 
     const handleSort = (field) => {
         if (sortField === field) {
@@ -57,7 +46,8 @@ export function TaskTableView({ project, onTaskClick }) {
     };
 
     const priorityOrder = { high: 0, medium: 1, low: 2 };
-    const statusOrder = { 'todo': 0, 'in-progress': 1, 'blocked': 2, 'review': 3, 'done': 4 };
+    // Status sorts follow the workflow's column order.
+    const statusOrder = Object.fromEntries(workflowStates.map((state, index) => [state.key, index]));
 
     const sortedTasks = [...(project.tasks || [])].sort((a, b) => {
         let comparison;
@@ -97,6 +87,13 @@ export function TaskTableView({ project, onTaskClick }) {
         return sortDirection === 'asc' ? comparison : -comparison;
     });
 
+    // Sub-tasks follow their parent (indented); the sort applies among siblings.
+    const taskRows = orderTasksAsTree(sortedTasks);
+    const subtaskIndex = buildSubtaskIndex(project.tasks || []);
+    const isDone = (task) => isTaskDone(task, workflowStates);
+
+    const allSelected = sortedTasks.length > 0 && sortedTasks.every((task) => selectedTaskIds?.has(String(task.id)));
+
     const renderSortIcon = (field) => {
         if (sortField !== field) return <ArrowUpDown size={14} className="sort-icon inactive" />;
         return sortDirection === 'asc'
@@ -109,6 +106,17 @@ export function TaskTableView({ project, onTaskClick }) {
             <table className="task-table">
                 <thead>
                     <tr>
+                        {selectable && (
+                            <th className="task-select-cell">
+                                <input
+                                    type="checkbox"
+                                    checked={allSelected}
+                                    onChange={() => onToggleAll?.(sortedTasks.map((task) => String(task.id)), !allSelected)}
+                                    disabled={sortedTasks.length === 0}
+                                    aria-label="Select all tasks"
+                                />
+                            </th>
+                        )}
                         <th onClick={() => handleSort('title')} className="sortable">
                             Task {renderSortIcon('title')}
                         </th>
@@ -131,22 +139,40 @@ export function TaskTableView({ project, onTaskClick }) {
                 <tbody>
                     {sortedTasks.length === 0 ? (
                         <tr>
-                            <td colSpan="7" className="empty-row">No tasks yet. Add one to get started!</td>
+                            <td colSpan={selectable ? 8 : 7} className="empty-row">No tasks yet. Add one to get started!</td>
                         </tr>
                     ) : (
-                        sortedTasks.map(task => {
-                            const overdue = isOverdue(task) && task.status !== 'done';
-                            const startDate = getStartDate(task);
-                            const endDate = getEndDate(task);
+                        taskRows.map(({ task, level }) => {
+                            const overdue = isOverdue(task) && !isTaskDone(task, workflowStates);
+                            const rollup = summarizeSubtasks(project.tasks || [], task.id, isDone, subtaskIndex);
+                            const startDate = rollup?.startDate || getStartDate(task);
+                            const endDate = rollup?.endDate || getEndDate(task);
                             const status = task.status || 'todo';
+                            const isSelected = selectable && selectedTaskIds.has(String(task.id));
                             return (
                                 <tr
                                     key={task.id}
-                                    className={`task-row ${overdue ? 'overdue' : ''}`}
+                                    className={`task-row ${overdue ? 'overdue' : ''} ${isSelected ? 'selected' : ''}`}
                                     onClick={() => onTaskClick && onTaskClick(task)}
                                 >
-                                    <td className="task-title-cell">
+                                    {selectable && (
+                                        <td className="task-select-cell" onClick={(e) => e.stopPropagation()}>
+                                            <input
+                                                type="checkbox"
+                                                checked={isSelected}
+                                                onChange={() => onToggleTask(String(task.id))}
+                                                aria-label={`Select ${task.title}`}
+                                            />
+                                        </td>
+                                    )}
+                                    <td className="task-title-cell" style={level > 0 ? { paddingLeft: `${1 + level * 1.25}rem` } : undefined}>
+                                        {level > 0 && <CornerDownRight size={12} className="subtask-marker" aria-label="Sub-task" />}
                                         {task.title}
+                                        {rollup && (
+                                            <span className="subtask-progress" title={`${rollup.percent}% of sub-tasks done; dates include sub-tasks`}>
+                                                {rollup.done}/{rollup.total} sub-tasks
+                                            </span>
+                                        )}
                                     </td>
                                     <td>
                                         <span
@@ -164,8 +190,8 @@ export function TaskTableView({ project, onTaskClick }) {
                                         <span
                                             className="status-badge"
                                             style={{
-                                                backgroundColor: `${statusColors[status]}20`,
-                                                color: statusColors[status],
+                                                backgroundColor: `${getStatusColor(status, workflowStates)}20`,
+                                                color: getStatusColor(status, workflowStates),
                                                 padding: '4px 8px',
                                                 borderRadius: '4px',
                                                 fontSize: '0.85rem',
@@ -173,7 +199,7 @@ export function TaskTableView({ project, onTaskClick }) {
                                                 display: 'inline-block'
                                             }}
                                         >
-                                            {statusLabels[status]}
+                                            {getStatusLabel(status, workflowStates)}
                                         </span>
                                     </td>
                                     <td>
@@ -0,0 +1,232 @@
+import { useEffect, useMemo, useState } from 'react';
+import { Clock, Plus, Trash2 } from 'lucide-react';
+import { useData } from '../../context/DataContext';
+import { useToast } from '../../context/ToastContext';
+import {
+    MAX_TIME_ENTRY_HOURS,
+    MAX_TIME_ENTRY_NOTE_LENGTH,
+    getEffortProgress,
+    normalizeTimeEntryHours
+} from '../../../shared/timeEntries.js';
+
+const todayDateOnly = () => {
+    const now = new Date();
+    return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+};
+
+const EMPTY_DRAFT = { entryDate: '', hours: '', note: '' };
+
+/**
+ * Estimate vs actual effort for a task, plus the individual time entries behind the actual.
+ * Anyone who can discuss the task may log their own time; only project editors set the estimate.
+ */
+export function TaskTimeEntries({ task, projectId, canLog, canEditEstimate }) {
+    const {
+        currentUser,
+        hasRole,
+        updateTask,
+        fetchTaskTimeEntries,
+        addTaskTimeEntry,
+        deleteTaskTimeEntry
+    } = useData();
+    const { success, error } = useToast();
+    const [entries, setEntries] = useState([]);
+    const [schemaReady, setSchemaReady] = useState(true);
+    const [loading, setLoading] = useState(false);
+    const [draft, setDraft] = useState(() => ({ ...EMPTY_DRAFT, entryDate: todayDateOnly() }));
+    const [estimateDraft, setEstimateDraft] = useState('');
+    const [busyId, setBusyId] = useState(null);
+    const currentOid = String(currentUser?.oid || '');
+    const isAdmin = hasRole('Admin');
+
+    useEffect(() => {
+        let cancelled = false;
+        setLoading(true);
+        fetchTaskTimeEntries(task.id)
+            .then((data) => {
+                if (cancelled) return;
+                setSchemaReady(data?.schemaReady !== false);
+                setEntries(Array.isArray(data?.entries) ? data.entries : []);
+            })
+            .catch((err) => {
+                console.error('Failed to fetch time entries:', err);
+            })
+            .finally(() => {
+                if (!cancelled) setLoading(false);
+            });
+        return () => { cancelled = true; };
+    }, [task.id, fetchTaskTimeEntries]);
+
+    useEffect(() => {
+        setEstimateDraft(task.estimatedHours === null || task.estimatedHours === undefined ? '' : String(task.estimatedHours));
+    }, [task.estimatedHours]);
+
+    const actualHours = useMemo(
+        () => Math.round(entries.reduce((sum, entry) => sum + Number(entry.hours || 0), 0) * 100) / 100,
+        [entries]
+    );
+    const progress = getEffortProgress(task.estimatedHours, actualHours);
+
+    const handleEstimateSave = async () => {
+        const next = estimateDraft.trim() === '' ? null : Number(estimateDraft);
+        const current = task.estimatedHours ?? null;
+        if (next === current || (next !== null && (!Number.isFinite(next) || next < 0))) return;
+        setBusyId('estimate');
+        try {
+            await updateTask(projectId, task.id, { estimatedHours: next });
+        } catch (err) {
+            error(err?.message || 'Failed to update estimate');
+        } finally {
+            setBusyId(null);
+        }
+    };
+
+    const handleAdd = async () => {
+        const hours = normalizeTimeEntryHours(draft.hours);
+        if (!hours || !draft.entryDate) {
+            error(`Enter a date and between 0 and ${MAX_TIME_ENTRY_HOURS} hours`);
+            return;
+        }
+        setBusyId('new');
+        try {
+            const entry = await addTaskTimeEntry(projectId, task.id, {
+                entryDate: draft.entryDate,
+                hours,
+                note: draft.note.trim() || null
+            });
+            setEntries((prev) => [entry, ...prev]);
+            setDraft((prev) => ({ ...EMPTY_DRAFT, entryDate: prev.entryDate }));
+            success('Time logged');
+        } catch (err) {
+            error(err?.message || 'Failed to log time');
+        } finally {
+            setBusyId(null);
+        }
+    };
+
+    const handleDelete = async (entry) => {
+        if (!window.confirm(`Delete ${entry.hours}h logged on ${entry.entryDate}?`)) return;
+        setBusyId(entry.id);
+        try {
+            await deleteTaskTimeEntry(projectId, task.id, entry);
+            setEntries((prev) => prev.filter((existing) => existing.id !== entry.id));
+        } catch (err) {
+            error(err?.message || 'Failed to delete time entry');
+        } finally {
+            setBusyId(null);
+        }
+    };
+
+    return (
+        <>
+            <div className="section-label" style={{ marginTop: '1rem' }}>
+                <Clock size={16} />
+                Time ({actualHours}h logged{progress.estimatedHours !== null ? ` of ${progress.estimatedHours}h estimated` : ''})
+            </div>
+
+            {!schemaReady ? (
+                <p className="text-muted" style={{ marginTop: '0.5rem' }}>Time tracking is not set up on this server yet.</p>
+            ) : loading ? (
+                <p className="text-muted" style={{ marginTop: '0.5rem' }}>Loading time entries...</p>
+            ) : (
+                <div className="task-checklist task-time">
+                    {progress.percentUsed !== null && (
+                        <div className="task-time-progress" title={`${progress.percentUsed}% of estimate used`}>
+                            <div
+                                className={`task-time-progress-fill ${progress.overrunHours > 0 ? 'over' : ''}`}
+                                style={{ width: `${Math.min(100, progress.percentUsed)}%` }}
+                            />
+                        </div>
+                    )}
+                    {progress.overrunHours > 0 && (
+                        <div className="task-dependency-warning">
+                            Over estimate by {progress.overrunHours}h.
+                        </div>
+                    )}
+
+                    {canEditEstimate && (
+                        <div className="task-checklist-add">
+                            <label className="task-time-label" htmlFor={`task-estimate-${task.id}`}>Estimate (h)</label>
+                            <input
+                                id={`task-estimate-${task.id}`}
+                                type="number"
+                                min="0"
+                                step="0.5"
+                                value={estimateDraft}
+                                onChange={(e) => setEstimateDraft(e.target.value)}
+                                onBlur={handleEstimateSave}
+                                className="form-input task-time-hours"
+                                disabled={busyId === 'estimate'}
+                            />
+                        </div>
+                    )}
+
+                    {entries.length === 0 && (
+                        <p className="text-muted" style={{ marginTop: '0.5rem' }}>No time logged yet.</p>
+                    )}
+                    {entries.map((entry) => (
+                        <div key={entry.id} className="task-checklist-item">
+                            <span className="task-time-hours-value">{entry.hours}h</span>
+                            <span className="task-checklist-title">
+                                {entry.userName || 'Unknown user'} · {entry.entryDate}
+                                {entry.note && <span className="task-dependency-meta">{entry.note}</span>}
+                            </span>
+                            {(entry.userOid === currentOid || isAdmin) && (
+                                <button
+                                    type="button"
+                                    className="task-checklist-delete"
+                                    onClick={() => handleDelete(entry)}
+                                    disabled={busyId === entry.id}
+                                    title="Delete time entry"
+                                >
+                                    <Trash2 size={14} />
+                                </button>
+                            )}
+                        </div>
+                    ))}
+
+                    {canLog && (
+                        <div className="task-checklist-add task-time-add">
+                            <input
+                                type="date"
+                                value={draft.entryDate}
+                                onChange={(e) => setDraft((prev) => ({ ...prev, entryDate: e.target.value }))}
+                                className="form-input task-time-date"
+                                aria-label="Date worked"
+                            />
+                            <input
+                                type="number"
+                                min="0.25"
+                                max={MAX_TIME_ENTRY_HOURS}
+                                step="0.25"
+                                value={draft.hours}
+                                onChange={(e) => setDraft((prev) => ({ ...prev, hours: e.target.value }))}
+                                className="form-input task-time-hours"
+                                placeholder="Hours"
+                                aria-label="Hours worked"
+                            />
+                            <input
+                                type="text"
+                                value={draft.note}
+                                onChange={(e) => setDraft((prev) => ({ ...prev, note: e.target.value }))}
+                                className="form-input"
+                                placeholder="Note (optional)"
+                                maxLength={MAX_TIME_ENTRY_NOTE_LENGTH}
+                                aria-label="Time entry note"
+                            />
+                            <button
+                                type="button"
+                                className="btn-secondary"
+                                onClick={handleAdd}
+                                disabled={busyId === 'new' || !draft.hours}
+                            >
+                                <Plus size={14} />
+                                Log
+                            </button>
+                        </div>
+                    )}
+                </div>
+            )}
+        </>
+    );
+}
@@ -0,0 +1,250 @@
+import { useEffect, useState } from 'react';
+import { Plus, Trash2, Save, X, ArrowUp, ArrowDown, RotateCcw, AlertTriangle } from 'lucide-react';
+import { useToast } from '../../context/ToastContext';
+import {
+    DEFAULT_TASK_WORKFLOW_STATES,
+    MAX_WORKFLOW_STATES,
+    TASK_STATUS_CATEGORIES,
+    TASK_STATUS_CATEGORY_LABELS,
+    normalizeWorkflowStates,
+    toWorkflowStateKey
+} from '../../../shared/taskWorkflows.js';
+import './TaskWorkflowEditor.css';
+
+const toDraftStates = (states) => states.map((state) => ({
+    ...state,
+    transitions: [...state.transitions],
+    isSaved: true
+}));
+
+/**
+ * Edit an ordered list of workflow states for an organization or a project.
+ * When the server reports statuses still in use that the change drops (409 with
+ * unmappedStatuses), the editor asks where to move those tasks and retries with a remap.
+ *
+ * Props:
+ *   workflow: effective workflow ({ scope, name, states })
+ *   ownScope: 'org' | 'project' — the scope being edited; reset is offered when workflow.scope matches
+ *   fallbackLabel: name of the workflow used after a reset (e.g. "standard")
+ *   fallbackStates: states tasks fall back to after a reset
+ *   onSave: async ({ name, states, remap }) => void
+ *   onReset: async (remap) => void
+ *   onCancel: () => void
+ */
+export function TaskWorkflowEditor({
+    workflow,
+    ownScope,
+    fallbackLabel = 'standard',
+    fallbackStates = DEFAULT_TASK_WORKFLOW_STATES,
+    onSave,
+    onReset,
+    onCancel
+}) {
+    const { success, error: showError } = useToast();
+    const [name, setName] = useState('');
+    const [states, setStates] = useState([]);
+    const [pending, setPending] = useState(null); // { action: 'save' | 'reset', unmappedStatuses, remap }
+    const [saving, setSaving] = useState(false);
+    const isCustom = workflow?.scope === ownScope;
+
+    useEffect(() => {
+        setName(isCustom ? workflow.name : '');
+        setStates(toDraftStates(workflow?.states || DEFAULT_TASK_WORKFLOW_STATES));
+        setPending(null);
+    }, [workflow, isCustom]);
+
+    const updateState = (index, patch) => setStates((prev) => prev.map((state, stateIndex) => (
+        stateIndex === index ? { ...state, ...patch } : state
+    )));
+
+    const moveState = (index, offset) => setStates((prev) => {
+        const next = [...prev];
+        const [moved] = next.splice(index, 1);
+        next.splice(index + offset, 0, moved);
+        return next;
+    });
+
+    const removeState = (index) => setStates((prev) => {
+        const removedKey = prev[index].key;
+        return prev
+            .filter((_, stateIndex) => stateIndex !== index)
+            .map((state) => ({ ...state, transitions: state.transitions.filter((key) => key !== removedKey) }));
+    });
+
+    const toggleTransition = (index, targetKey) => {
+        const state = states[index];
+        updateState(index, {
+            transitions: state.transitions.includes(targetKey)
+                ? state.transitions.filter((key) => key !== targetKey)
+                : [...state.transitions, targetKey]
+        });
+    };
+
+    const addState = () => setStates((prev) => [
+        ...prev,
+        { key: '', label: '', category: 'active', color: '#3b82f6', transitions: [], isSaved: false }
+    ]);
+
+    // Keys of saved states are fixed; renaming a key is a remove plus an add.
+    const buildStates = () => states.map((state) => ({
+        key: state.key || toWorkflowStateKey(state.label),
+        label: state.label,
+        category: state.category,
+        color: state.color,
+        transitions: state.transitions
+    }));
+
+    const runAction = async (action, remap) => {
+        setSaving(true);
+        try {
+            if (action === 'save') {
+                const normalized = normalizeWorkflowStates(buildStates());
+                if (normalized.error) {
+                    showError(normalized.error);
+                    return;
+                }
+                await onSave({ name: name.trim() || 'Custom workflow', states: normalized.states, remap });
+                success('Workflow saved');
+            } else {
+                await onReset(remap);
+                success(`Now using the ${fallbackLabel} workflow`);
+            }
+            setPending(null);
+        } catch (err) {
+            const unmappedStatuses = err?.data?.unmappedStatuses;
+            if (Array.isArray(unmappedStatuses) && unmappedStatuses.length > 0) {
+                setPending({ action, unmappedStatuses, remap: remap || {} });
+            }
+            showError(err?.message || 'Failed to update workflow');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const remapTargets = pending?.action === 'reset' ? fallbackStates : buildStates().filter((state) => state.key);
+    const remapComplete = pending
+        ? pending.unmappedStatuses.every((row) => pending.remap[row.status])
+        : false;
+
+    return (
+        <div className="task-workflow-editor">
+            <p className="form-hint">
+                {isCustom
+                    ? 'States are listed in board column order. Each maps onto a category that drives progress, risk and My Work.'
+                    : `Using the ${workflow?.scope === 'org' ? 'organization' : 'standard'} workflow. Saving creates a custom workflow.`}
+            </p>
+
+            <label className="task-workflow-name">
+                Workflow name
+                <input type="text" value={name} placeholder="Custom workflow" onChange={(e) => setName(e.target.value)} />
+            </label>
+
+            {states.map((state, index) => (
+                <div key={state.isSaved ? state.key : `new-${index}`} className="task-workflow-state">
+                    <div className="task-workflow-state-row">
+                        <input
+                            type="color"
+                            value={state.color}
+                            onChange={(e) => updateState(index, { color: e.target.value })}
+                            aria-label="State color"
+                        />
+                        <input
+                            type="text"
+                            placeholder="State label"
+                            value={state.label}
+                            onChange={(e) => updateState(index, { label: e.target.value })}
+                        />
+                        <input
+                            type="text"
+                            placeholder={toWorkflowStateKey(state.label) || 'key'}
+                            value={state.key}
+                            onChange={(e) => updateState(index, { key: e.target.value })}
+                            disabled={state.isSaved}
+                            aria-label="State key"
+                        />
+                        <select value={state.category} onChange={(e) => updateState(index, { category: e.target.value })}>
+                            {TASK_STATUS_CATEGORIES.map((category) => (
+                                <option key={category} value={category}>{TASK_STATUS_CATEGORY_LABELS[category]}</option>
+                            ))}
+                        </select>
+                        <div className="task-workflow-state-actions">
+                            <button type="button" className="btn-icon" onClick={() => moveState(index, -1)} disabled={index === 0} title="Move up">
+                                <ArrowUp size={14} />
+                            </button>
+                            <button type="button" className="btn-icon" onClick={() => moveState(index, 1)} disabled={index === states.length - 1} title="Move down">
+                                <ArrowDown size={14} />
+                            </button>
+                            <button type="button" className="btn-icon danger" onClick={() => removeState(index)} disabled={states.length <= 1} title="Remove state">
+                                <Trash2 size={14} />
+                            </button>
+                        </div>
+                    </div>
+                    {state.isSaved && states.filter((target) => target.isSaved).length > 1 && (
+                        <div className="task-workflow-transitions">
+                            <span className="task-workflow-transitions-label">
+                                Can move to{state.transitions.length === 0 ? ' (any)' : ''}
+                            </span>
+                            {states.filter((target) => target.isSaved && target.key !== state.key).map((target) => (
+                                <button
+                                    key={target.key}
+                                    type="button"
+                                    className={`task-workflow-chip ${state.transitions.includes(target.key) ? 'selected' : ''}`}
+                                    onClick={() => toggleTransition(index, target.key)}
+                                >
+                                    {target.label}
+                                </button>
+                            ))}
+                        </div>
+                    )}
+                </div>
+            ))}
+
+            <button type="button" className="btn-ghost btn-sm" onClick={addState} disabled={states.length >= MAX_WORKFLOW_STATES}>
+                <Plus size={14} /> Add State
+            </button>
+
+            {pending && (
+                <div className="task-workflow-remap">
+                    <strong><AlertTriangle size={14} /> Move tasks from removed states</strong>
+                    {pending.unmappedStatuses.map((row) => (
+                        <label key={row.status}>
+                            {row.status} ({row.taskCount} task{row.taskCount === 1 ? '' : 's'}) →
+                            <select
+                                value={pending.remap[row.status] || ''}
+                                onChange={(e) => setPending((prev) => ({
+                                    ...prev,
+                                    remap: { ...prev.remap, [row.status]: e.target.value }
+                                }))}
+                            >
+                                <option value="">Choose a state</option>
+                                {remapTargets.map((target) => (
+                                    <option key={target.key} value={target.key}>{target.label || target.key}</option>
+                                ))}
+                            </select>
+                        </label>
+                    ))}
+                </div>
+            )}
+
+            <div className="task-workflow-actions">
+                <button
+                    className="btn-primary btn-sm"
+                    onClick={() => runAction(pending?.action || 'save', pending?.remap)}
+                    disabled={saving || (pending && !remapComplete)}
+                >
+                    <Save size={14} /> {saving ? 'Saving...' : pending?.action === 'reset' ? 'Move Tasks and Reset' : 'Save Workflow'}
+                </button>
+                {isCustom && onReset && !pending && (
+                    <button className="btn-ghost btn-sm" onClick={() => runAction('reset')} disabled={saving}>
+                        <RotateCcw size={14} /> Use {fallbackLabel} workflow
+                    </button>
+                )}
+                {(pending || onCancel) && (
+                    <button className="btn-ghost btn-sm" onClick={() => (pending ? setPending(null) : onCancel())}>
+                        <X size={14} /> Cancel
+                    </button>
+                )}
+            </div>
+        </div>
+    );
+}
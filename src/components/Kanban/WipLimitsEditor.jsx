@@ -0,0 +1,81 @@
+import { useEffect, useState } from 'react';
+import { Save, X } from 'lucide-react';
+import { useToast } from '../../context/ToastContext';
+import { MAX_WIP_LIMIT, normalizeWipLimits } from '../../../shared/wipLimits.js';
+
+/**
+ * Edit per-column WIP limits for a project board. Blank columns have no limit.
+ *
+ * Props:
+ *   wipLimits: current settings ({ enforce, limits })
+ *   workflowStates: board columns, in order
+ *   taskCounts: current task count per status, shown next to each limit
+ *   onSave: async ({ enforce, limits }) => void
+ *   onCancel: () => void
+ */
+export function WipLimitsEditor({ wipLimits, workflowStates, taskCounts = {}, onSave, onCancel }) {
+    const { success, error: showError } = useToast();
+    const [draft, setDraft] = useState({});
+    const [enforce, setEnforce] = useState(false);
+    const [saving, setSaving] = useState(false);
+
+    useEffect(() => {
+        const limits = wipLimits?.limits || {};
+        setDraft(Object.fromEntries(workflowStates.map((state) => [state.key, limits[state.key] ? String(limits[state.key]) : ''])));
+        setEnforce(!!wipLimits?.enforce);
+    }, [wipLimits, workflowStates]);
+
+    const handleSave = async () => {
+        const normalized = normalizeWipLimits(draft, workflowStates);
+        if (normalized.error) {
+            showError(normalized.error);
+            return;
+        }
+        setSaving(true);
+        try {
+            await onSave({ enforce, limits: normalized.limits });
+            success('WIP limits saved');
+            onCancel();
+        } catch (err) {
+            showError(err?.message || 'Failed to save WIP limits');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    return (
+        <div className="wip-limits-editor">
+            <p className="form-hint">
+                Cap how many tasks each column may hold. Columns over their limit are flagged on the board and raise the project risk score.
+            </p>
+            {workflowStates.map((state) => (
+                <label key={state.key} className="wip-limits-row">
+                    <span className="column-indicator" style={{ backgroundColor: state.color }}></span>
+                    <span className="wip-limits-label">{state.label}</span>
+                    <span className="wip-limits-count">{taskCounts[state.key] || 0} now</span>
+                    <input
+                        type="number"
+                        min="1"
+                        max={MAX_WIP_LIMIT}
+                        placeholder="No limit"
+                        value={draft[state.key] ?? ''}
+                        onChange={(e) => setDraft((prev) => ({ ...prev, [state.key]: e.target.value }))}
+                        aria-label={`${state.label} WIP limit`}
+                    />
+                </label>
+            ))}
+            <label className="wip-limits-enforce">
+                <input type="checkbox" checked={enforce} onChange={(e) => setEnforce(e.target.checked)} />
+                Block moves into a column that is at its limit
+            </label>
+            <div className="wip-limits-actions">
+                <button className="btn-primary btn-sm" onClick={handleSave} disabled={saving}>
+                    <Save size={14} /> {saving ? 'Saving...' : 'Save Limits'}
+                </button>
+                <button className="btn-ghost btn-sm" onClick={onCancel} disabled={saving}>
+                    <X size={14} /> Cancel
+                </button>
+            </div>
+        </div>
+    );
+}
@@ -13,7 +13,9 @@ import {
     Search,
     Sun,
     Moon,
-    ArrowRight
+    ArrowRight,
+    Users,
+    Network
 } from 'lucide-react';
 import { useState, useEffect, useMemo, useCallback } from 'react';
 import { useData } from '../../context/DataContext';
@@ -98,7 +100,12 @@ export function Layout({ children, currentView, onViewChange }) {
         hasPermission('can_manage_role_permissions') ||
         hasPermission('can_view_audit_log') ||
         hasPermission('can_manage_tags') ||
+        hasPermission('can_manage_project_templates') ||
+        hasPermission('can_manage_task_workflows') ||
         hasPermission('can_manage_governance') ||
+        hasPermission('can_manage_risk_model') ||
+        hasPermission('can_manage_custom_fields') ||
+        hasPermission('can_import_data') ||
         hasPermission('can_manage_organizations') ||
         hasPermission('can_manage_sharing_requests');
 
@@ -109,6 +116,8 @@ export function Layout({ children, currentView, onViewChange }) {
         { id: 'metrics', label: 'Metrics', icon: TrendingUp, permission: 'can_view_metrics' },
         { id: 'dashboard', label: 'Project Dashboard', icon: BarChart3, permission: 'can_view_dashboard' },
         { id: 'projects', label: 'Projects', icon: Folder, permission: 'can_view_projects' },
+        { id: 'resources', label: 'Resources', icon: Users, permission: 'can_view_exec_dashboard' },
+        { id: 'dependencies', label: 'Dependencies', icon: Network, permission: 'can_view_projects' },
         { id: 'reports', label: 'Reports', icon: FileText, permission: 'can_view_exec_packs' },
         { id: 'intake', label: 'Intake', icon: Inbox, permission: 'can_view_intake' },
     ];
@@ -139,6 +148,8 @@ export function Layout({ children, currentView, onViewChange }) {
         metrics: 'Explore KPI performance and trend visibility.',
         dashboard: 'Cross-project delivery status and operational movement.',
         projects: 'Deep project execution with task-level visibility.',
+        resources: 'Assigned work and capacity per person and organization across projects.',
+        dependencies: 'How projects depend on each other, and where upstream delays put others at risk.',
         reports: 'Create and compare status narratives across projects.',
         intake: 'Submit, triage, govern, and resolve incoming requests.',
         admin: 'Manage access, governance settings, and platform controls.'
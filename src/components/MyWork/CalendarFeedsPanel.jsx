@@ -0,0 +1,141 @@
+import { useEffect, useState } from 'react';
+import { CalendarDays, Copy, Trash2 } from 'lucide-react';
+import { useData } from '../../context/DataContext';
+import { API_BASE } from '../../apiClient';
+
+function formatDateTime(value) {
+    if (!value) return 'never';
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) return 'never';
+    return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+}
+
+function buildFeedUrl(feedPath) {
+    const base = new URL(API_BASE, window.location.origin).href.replace(/\/$/, '');
+    return `${base}${feedPath}`;
+}
+
+/**
+ * Personal iCalendar subscriptions: assigned task due dates, milestones on watched projects and
+ * governance sessions for the user's boards. The secret URL is only shown once, when created.
+ */
+export function CalendarFeedsPanel() {
+    const { fetchCalendarFeeds, createCalendarFeed, revokeCalendarFeed } = useData();
+    const [feeds, setFeeds] = useState([]);
+    const [schemaReady, setSchemaReady] = useState(true);
+    const [label, setLabel] = useState('');
+    const [newFeedUrl, setNewFeedUrl] = useState('');
+    const [copied, setCopied] = useState(false);
+    const [busy, setBusy] = useState(false);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        let cancelled = false;
+        fetchCalendarFeeds()
+            .then((data) => {
+                if (cancelled) return;
+                setSchemaReady(data?.schemaReady !== false);
+                setFeeds(Array.isArray(data?.feeds) ? data.feeds : []);
+            })
+            .catch((err) => {
+                if (!cancelled) setError(err?.message || 'Unable to load calendar feeds.');
+            });
+        return () => { cancelled = true; };
+    }, [fetchCalendarFeeds]);
+
+    const handleCreate = async (event) => {
+        event.preventDefault();
+        setBusy(true);
+        setError('');
+        try {
+            const created = await createCalendarFeed(label.trim());
+            const { token: _token, feedPath, ...feed } = created;
+            setFeeds((prev) => [feed, ...prev]);
+            setNewFeedUrl(buildFeedUrl(feedPath));
+            setCopied(false);
+            setLabel('');
+        } catch (err) {
+            setError(err?.message || 'Unable to create calendar feed.');
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const handleRevoke = async (feed) => {
+        if (!window.confirm(`Revoke "${feed.label}"? Calendars subscribed to it will stop updating.`)) return;
+        setBusy(true);
+        setError('');
+        try {
+            await revokeCalendarFeed(feed.id);
+            setFeeds((prev) => prev.filter((item) => item.id !== feed.id));
+        } catch (err) {
+            setError(err?.message || 'Unable to revoke calendar feed.');
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const handleCopy = async () => {
+        try {
+            await navigator.clipboard.writeText(newFeedUrl);
+            setCopied(true);
+        } catch {
+            setCopied(false);
+        }
+    };
+
+    return (
+        <article className="my-work-panel my-work-panel-wide glass-panel">
+            <header className="my-work-panel-head">
+                <h3><CalendarDays size={16} /> Calendar Feeds</h3>
+            </header>
+            {!schemaReady ? (
+                <div className="my-work-empty">Calendar feeds are not set up on this server yet.</div>
+            ) : (
+                <>
+                    <p className="my-work-list-secondary">
+                        Subscribe from Outlook or Google Calendar to see your task due dates, milestones on watched projects and governance sessions.
+                    </p>
+                    <form className="my-work-feed-form" onSubmit={handleCreate}>
+                        <input
+                            type="text"
+                            value={label}
+                            onChange={(e) => setLabel(e.target.value)}
+                            placeholder="Feed name (e.g. Work laptop)"
+                            maxLength={100}
+                            aria-label="Feed name"
+                        />
+                        <button type="submit" className="btn-secondary" disabled={busy}>New feed URL</button>
+                    </form>
+                    {newFeedUrl && (
+                        <div className="my-work-feed-url">
+                            <input type="text" value={newFeedUrl} readOnly aria-label="New calendar feed URL" onFocus={(e) => e.target.select()} />
+                            <button className="btn-link" onClick={handleCopy}>
+                                <Copy size={14} /> {copied ? 'Copied' : 'Copy'}
+                            </button>
+                            <span className="my-work-list-secondary">Copy it now; it will not be shown again. Anyone with the link can read the feed.</span>
+                        </div>
+                    )}
+                    {error && <div className="my-work-empty">{error}</div>}
+                    {feeds.length === 0 ? (
+                        <div className="my-work-empty">No calendar feeds yet.</div>
+                    ) : (
+                        <div className="my-work-list">
+                            {feeds.map((feed) => (
+                                <div key={feed.id} className="my-work-feed-row">
+                                    <span className="my-work-list-primary">{feed.label}</span>
+                                    <span className="my-work-list-secondary">
+                                        Created {formatDateTime(feed.createdAt)} - Last used {formatDateTime(feed.lastAccessedAt)}
+                                    </span>
+                                    <button className="btn-link" onClick={() => handleRevoke(feed)} disabled={busy} aria-label={`Revoke ${feed.label}`}>
+                                        <Trash2 size={14} /> Revoke
+                                    </button>
+                                </div>
+                            ))}
+                        </div>
+                    )}
+                </>
+            )}
+        </article>
+    );
+}
@@ -0,0 +1,130 @@
+import { useEffect, useState } from 'react';
+import { ChevronLeft, ChevronRight, Clock } from 'lucide-react';
+import { useData } from '../../context/DataContext';
+import { getWeekStart, shiftWeek, summarizeTimesheet } from '../../../shared/timeEntries.js';
+
+const WEEKDAY_LABELS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+function formatWeekLabel(weekStart) {
+    const start = new Date(`${weekStart}T00:00:00Z`);
+    if (Number.isNaN(start.getTime())) return weekStart;
+    return `Week of ${start.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC' })}`;
+}
+
+function formatHours(hours) {
+    return hours ? `${hours}` : '';
+}
+
+/**
+ * The signed-in user's logged hours for one week, task by task.
+ */
+export function MyTimesheetPanel({ onOpenTask }) {
+    const { fetchTimesheet } = useData();
+    const [weekStart, setWeekStart] = useState(() => getWeekStart(new Date()));
+    const [timesheet, setTimesheet] = useState(() => summarizeTimesheet([], getWeekStart(new Date())));
+    const [schemaReady, setSchemaReady] = useState(true);
+    const [loading, setLoading] = useState(false);
+    const [loadError, setLoadError] = useState('');
+
+    useEffect(() => {
+        let cancelled = false;
+        setLoading(true);
+        setLoadError('');
+        fetchTimesheet({ weekStart })
+            .then((data) => {
+                if (cancelled) return;
+                setSchemaReady(data?.schemaReady !== false);
+                setTimesheet(Array.isArray(data?.rows) ? data : summarizeTimesheet([], weekStart));
+            })
+            .catch((err) => {
+                if (!cancelled) setLoadError(err?.message || 'Unable to load timesheet.');
+            })
+            .finally(() => {
+                if (!cancelled) setLoading(false);
+            });
+        return () => { cancelled = true; };
+    }, [weekStart, fetchTimesheet]);
+
+    const isCurrentWeek = weekStart === getWeekStart(new Date());
+
+    return (
+        <article className="my-work-panel my-work-panel-wide glass-panel">
+            <header className="my-work-panel-head">
+                <h3>
+                    <Clock size={16} /> My Timesheet
+                    {timesheet.total > 0 && <span className="my-work-badge">{timesheet.total}h</span>}
+                </h3>
+                <div className="my-work-week-nav">
+                    <button
+                        className="btn-link"
+                        onClick={() => setWeekStart((prev) => shiftWeek(prev, -1))}
+                        aria-label="Previous week"
+                    >
+                        <ChevronLeft size={14} />
+                    </button>
+                    <span>{formatWeekLabel(weekStart)}</span>
+                    <button
+                        className="btn-link"
+                        onClick={() => setWeekStart((prev) => shiftWeek(prev, 1))}
+                        disabled={isCurrentWeek}
+                        aria-label="Next week"
+                    >
+                        <ChevronRight size={14} />
+                    </button>
+                </div>
+            </header>
+            {!schemaReady ? (
+                <div className="my-work-empty">Time tracking is not set up on this server yet.</div>
+            ) : loading ? (
+                <div className="my-work-empty">Loading timesheet...</div>
+            ) : loadError ? (
+                <div className="my-work-empty">{loadError}</div>
+            ) : timesheet.rows.length === 0 ? (
+                <div className="my-work-empty">No time logged this week. Log hours from a task&apos;s detail panel.</div>
+            ) : (
+                <table className="my-work-timesheet">
+                    <thead>
+                        <tr>
+                            <th scope="col">Task</th>
+                            {WEEKDAY_LABELS.map((label, index) => (
+                                <th key={label} scope="col" title={timesheet.days[index]}>{label}</th>
+                            ))}
+                            <th scope="col">Total</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {timesheet.rows.map((row) => (
+                            <tr key={row.taskId}>
+                                <th scope="row">
+                                    <button
+                                        className="my-work-timesheet-task"
+                                        onClick={() => onOpenTask?.({ id: row.taskId, projectId: row.projectId })}
+                                        title={row.projectTitle ? `${row.projectTitle}: ${row.taskTitle}` : row.taskTitle}
+                                    >
+                                        <span className="my-work-list-primary">{row.taskTitle}</span>
+                                        {row.projectTitle && <span className="my-work-list-secondary">{row.projectTitle}</span>}
+                                    </button>
+                                </th>
+                                {row.hoursByDay.map((hours, index) => (
+                                    <td key={timesheet.days[index]}>{formatHours(hours)}</td>
+                                ))}
+                                <td className="my-work-timesheet-total">{row.total}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                    <tfoot>
+                        <tr>
+                            <th scope="row">Total</th>
+                            {timesheet.dayTotals.map((hours, index) => (
+                                <td key={timesheet.days[index]}>{formatHours(hours)}</td>
+                            ))}
+                            <td className="my-work-timesheet-total">{timesheet.total}</td>
+                        </tr>
+                    </tfoot>
+                </table>
+            )}
+        </article>
+    );
+}
+
+export default MyTimesheetPanel;
@@ -5,11 +5,17 @@ import {
     BriefcaseBusiness,
     ClipboardList,
     FolderOpen,
+    AtSign,
     Inbox,
+    PauseCircle,
     Scale,
     Star
 } from 'lucide-react';
 import { useData } from '../../context/DataContext';
+import { MyTimesheetPanel } from './MyTimesheetPanel';
+import { CalendarFeedsPanel } from './CalendarFeedsPanel';
+import { getStatusLabel, getWorkflowStates, isTaskDone } from '../../../shared/taskWorkflows.js';
+import { buildSubtaskIndex, summarizeSubtasks } from '../../../shared/subtasks.js';
 import './MyWorkPage.css';
 
 const OPEN_SUBMISSION_STATUSES = new Set(['pending', 'awaiting-response']);
@@ -34,12 +40,19 @@ export function MyWorkPage({ onViewChange }) {
         projects,
         mySubmissions,
         hasPermission,
-        fetchIntakeGovernanceQueue
+        fetchIntakeGovernanceQueue,
+        fetchMyMentions,
+        markMentionsRead,
+        fetchResumeReminders
     } = useData();
 
     const [pendingVotes, setPendingVotes] = useState([]);
     const [governanceLoading, setGovernanceLoading] = useState(false);
     const [governanceLoadError, setGovernanceLoadError] = useState('');
+    const [mentions, setMentions] = useState([]);
+    const [unreadMentionCount, setUnreadMentionCount] = useState(0);
+    const [mentionsLoading, setMentionsLoading] = useState(false);
+    const [resumeReminders, setResumeReminders] = useState([]);
 
     const canViewProjects = hasPermission('can_view_projects');
     const canViewIntake =
@@ -86,6 +99,47 @@ export function MyWorkPage({ onViewChange }) {
         return () => { cancelled = true; };
     }, [canViewGovernanceQueue, fetchIntakeGovernanceQueue]);
 
+    useEffect(() => {
+        if (!canViewProjects) {
+            setMentions([]);
+            setUnreadMentionCount(0);
+            return;
+        }
+
+        let cancelled = false;
+        setMentionsLoading(true);
+        fetchMyMentions({ limit: 8 })
+            .then((result) => {
+                if (cancelled) return;
+                setMentions(Array.isArray(result?.mentions) ? result.mentions : []);
+                setUnreadMentionCount(Number(result?.unreadCount) || 0);
+            })
+            .catch(() => {
+                if (!cancelled) setMentions([]);
+            })
+            .finally(() => {
+                if (!cancelled) setMentionsLoading(false);
+            });
+        return () => { cancelled = true; };
+    }, [canViewProjects, fetchMyMentions]);
+
+    useEffect(() => {
+        if (!canViewProjects) {
+            setResumeReminders([]);
+            return;
+        }
+
+        let cancelled = false;
+        fetchResumeReminders()
+            .then((result) => {
+                if (!cancelled) setResumeReminders(Array.isArray(result?.reminders) ? result.reminders : []);
+            })
+            .catch(() => {
+                if (!cancelled) setResumeReminders([]);
+            });
+        return () => { cancelled = true; };
+    }, [canViewProjects, fetchResumeReminders]);
+
     const watchedProjects = useMemo(() => {
         return projects.filter((project) => !!project.isWatched);
     }, [projects]);
@@ -105,13 +159,19 @@ export function MyWorkPage({ onViewChange }) {
         const items = [];
         projects.forEach((project) => {
             const taskList = Array.isArray(project.tasks) ? project.tasks : [];
+            const workflowStates = getWorkflowStates(project.taskWorkflow);
+            const subtaskIndex = buildSubtaskIndex(taskList);
             taskList.forEach((task) => {
                 if (String(task.assigneeOid || '') !== currentOid) return;
-                if (String(task.status || '').toLowerCase() === 'done') return;
+                if (isTaskDone(task, workflowStates)) return;
+                const parent = task.parentTaskId ? subtaskIndex.byId.get(String(task.parentTaskId)) : null;
                 items.push({
                     ...task,
                     projectId: String(project.id),
-                    projectTitle: project.title
+                    projectTitle: project.title,
+                    statusLabel: getStatusLabel(task.status, workflowStates),
+                    parentTitle: parent?.title || null,
+                    subtaskRollup: summarizeSubtasks(taskList, task.id, (item) => isTaskDone(item, workflowStates), subtaskIndex)
                 });
             });
         });
@@ -161,6 +221,17 @@ export function MyWorkPage({ onViewChange }) {
         });
     }, [onViewChange]);
 
+    const openMention = useCallback((mention) => {
+        if (!mention.readAt) {
+            setMentions((prev) => prev.map((item) => (
+                item.id === mention.id ? { ...item, readAt: new Date().toISOString() } : item
+            )));
+            setUnreadMentionCount((prev) => Math.max(0, prev - 1));
+            markMentionsRead([mention.id]).catch(() => { });
+        }
+        openTask({ id: mention.taskId, projectId: mention.projectId });
+    }, [markMentionsRead, openTask]);
+
     const openIntakeStage = useCallback((stage = 'my-requests') => {
         onViewChange?.('intake', { stage });
     }, [onViewChange]);
@@ -243,6 +314,32 @@ export function MyWorkPage({ onViewChange }) {
             </section>
 
             <section className="my-work-grid">
+                {resumeReminders.length > 0 && (
+                    <article className="my-work-panel glass-panel">
+                        <header className="my-work-panel-head">
+                            <h3>
+                                <PauseCircle size={16} /> Past Resume Date
+                                <span className="my-work-badge">{resumeReminders.length}</span>
+                            </h3>
+                        </header>
+                        <div className="my-work-list">
+                            {resumeReminders.map((reminder) => (
+                                <button
+                                    key={reminder.projectId}
+                                    className="my-work-list-item unread"
+                                    onClick={() => openProject({ id: reminder.projectId })}
+                                    title={reminder.onHoldReason || reminder.projectTitle}
+                                >
+                                    <span className="my-work-list-primary">{reminder.projectTitle}</span>
+                                    <span className="my-work-list-secondary">
+                                        Expected back {formatDate(`${reminder.expectedResumeDate}T00:00:00`)} - {reminder.daysOverdue} day(s) overdue. Resume it or set a new date.
+                                    </span>
+                                </button>
+                            ))}
+                        </div>
+                    </article>
+                )}
+
                 <article className="my-work-panel glass-panel">
                     <header className="my-work-panel-head">
                         <h3><Star size={16} /> Watched Projects</h3>
@@ -309,7 +406,48 @@ export function MyWorkPage({ onViewChange }) {
                                 >
                                     <span className="my-work-list-primary">{task.title}</span>
                                     <span className="my-work-list-secondary">
-                                        {task.projectTitle} - {String(task.status || 'todo').replace(/-/g, ' ')}
+                                        {task.projectTitle} - {task.statusLabel}
+                                        {task.parentTitle && ` - Sub-task of ${task.parentTitle}`}
+                                        {task.subtaskRollup && ` - ${task.subtaskRollup.done}/${task.subtaskRollup.total} sub-tasks done`}
+                                    </span>
+                                </button>
+                            ))}
+                        </div>
+                    )}
+                </article>
+
+                <article className="my-work-panel glass-panel">
+                    <header className="my-work-panel-head">
+                        <h3>
+                            <AtSign size={16} /> Mentions
+                            {unreadMentionCount > 0 && (
+                                <span className="my-work-badge">{unreadMentionCount} new</span>
+                            )}
+                        </h3>
+                    </header>
+                    {!canViewProjects ? (
+                        <div className="my-work-empty">
+                            <AlertCircle size={16} />
+                            Project access is restricted for your account.
+                        </div>
+                    ) : mentionsLoading ? (
+                        <div className="my-work-empty">Loading mentions...</div>
+                    ) : mentions.length === 0 ? (
+                        <div className="my-work-empty">Nobody has mentioned you in a task comment yet.</div>
+                    ) : (
+                        <div className="my-work-list">
+                            {mentions.map((mention) => (
+                                <button
+                                    key={mention.id}
+                                    className={`my-work-list-item ${mention.readAt ? '' : 'unread'}`}
+                                    onClick={() => openMention(mention)}
+                                    title={`${mention.projectTitle}: ${mention.taskTitle}`}
+                                >
+                                    <span className="my-work-list-primary">
+                                        {mention.authorName || 'Someone'} on {mention.taskTitle}
+                                    </span>
+                                    <span className="my-work-list-secondary">
+                                        {mention.excerpt} - {formatDate(mention.createdAt)}
                                     </span>
                                 </button>
                             ))}
@@ -390,6 +528,9 @@ export function MyWorkPage({ onViewChange }) {
                         </div>
                     )}
                 </article>
+
+                {canViewProjects && <MyTimesheetPanel onOpenTask={openTask} />}
+                <CalendarFeedsPanel />
             </section>
         </div>
     );
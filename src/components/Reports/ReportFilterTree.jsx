@@ -1,10 +1,11 @@
 import { useState, useMemo, useEffect } from 'react';
-import { ChevronRight, ChevronDown, Folder, CheckSquare, Square, Tag, Activity, X, Search, Filter, Maximize2, Minimize2, Trash2, Star } from 'lucide-react';
+import { ChevronRight, ChevronDown, Folder, CheckSquare, Square, Tag, Activity, X, Search, Filter, Maximize2, Minimize2, Trash2, Star, ListChecks } from 'lucide-react';
 import { useData } from '../../context/DataContext';
 import { getDescendantGoalIds } from '../../utils/goalHelpers';
+import { matchesCustomFieldFilters } from '../../../shared/customFields.js';
 import '../UI/ProjectTagSelector.css';
 
-export function ReportFilterTree({ onSelectionChange, allProjects = [] }) {
+export function ReportFilterTree({ onSelectionChange, allProjects = [], customFieldFields = [] }) {
     const { goals, projects, tagGroups } = useData();
     const [selectedIds, setSelectedIds] = useState(new Set());
     const [expandedIds, setExpandedIds] = useState(new Set());
@@ -13,6 +14,8 @@ export function ReportFilterTree({ onSelectionChange, allProjects = [] }) {
     const [showAdvancedFilters, setShowAdvancedFilters] = useState(false);
     const [searchQuery, setSearchQuery] = useState('');
     const [watchedOnly, setWatchedOnly] = useState(false);
+    const [selectedCustomFields, setSelectedCustomFields] = useState({});
+    const hasCustomFieldFilters = Object.keys(selectedCustomFields).length > 0;
 
     // Get only active tags grouped for the filter UI
     const activeTags = useMemo(() => {
@@ -42,6 +45,19 @@ export function ReportFilterTree({ onSelectionChange, allProjects = [] }) {
         );
     };
 
+    const toggleCustomFieldValue = (fieldId, value) => {
+        setSelectedCustomFields(prev => {
+            const current = prev[fieldId] || [];
+            const nextValues = current.includes(value)
+                ? current.filter(item => item !== value)
+                : [...current, value];
+            const next = { ...prev };
+            if (nextValues.length > 0) next[fieldId] = nextValues;
+            else delete next[fieldId];
+            return next;
+        });
+    };
+
     const statusOptions = useMemo(() => {
         const source = allProjects.length > 0 ? allProjects : projects;
         const seen = new Set();
@@ -109,8 +125,12 @@ export function ReportFilterTree({ onSelectionChange, allProjects = [] }) {
             });
         }
 
+        if (hasCustomFieldFilters) {
+            filtered = filtered.filter(p => matchesCustomFieldFilters(p.customFields, selectedCustomFields));
+        }
+
         return filtered;
-    }, [projects, allProjects, selectedTags, selectedStatuses, searchQuery, watchedOnly]);
+    }, [projects, allProjects, selectedTags, selectedStatuses, searchQuery, watchedOnly, selectedCustomFields, hasCustomFieldFilters]);
 
     const treeData = useMemo(() => {
         // Build hierarchy tree using filtered projects
@@ -135,14 +155,14 @@ export function ReportFilterTree({ onSelectionChange, allProjects = [] }) {
 
         const raw = buildTree(null);
         // When filters or search are active, hide empty branches
-        if (selectedTags.length > 0 || selectedStatuses.length > 0 || searchQuery.trim()) {
+        if (selectedTags.length > 0 || selectedStatuses.length > 0 || hasCustomFieldFilters || searchQuery.trim()) {
             const prune = (nodes) => nodes
                 .filter(n => hasProjects(n))
                 .map(n => ({ ...n, children: prune(n.children) }));
             return prune(raw);
         }
         return raw;
-    }, [goals, filteredProjects, selectedTags, selectedStatuses, searchQuery]);
+    }, [goals, filteredProjects, selectedTags, selectedStatuses, hasCustomFieldFilters, searchQuery]);
 
     // Expand nodes when searching
     useEffect(() => {
@@ -319,7 +339,7 @@ export function ReportFilterTree({ onSelectionChange, allProjects = [] }) {
                         title="Advanced Filters"
                     >
                         <Filter size={16} /> Filters
-                        {(selectedTags.length > 0 || selectedStatuses.length > 0) && (
+                        {(selectedTags.length > 0 || selectedStatuses.length > 0 || hasCustomFieldFilters) && (
                             <span style={{ width: 8, height: 8, borderRadius: '50%', background: 'var(--accent-primary)', display: 'inline-block', marginLeft: '0.25rem' }} />
                         )}
                     </button>
@@ -397,6 +417,33 @@ export function ReportFilterTree({ onSelectionChange, allProjects = [] }) {
                             </div>
                         </div>
                     )}
+
+                    {customFieldFields.map(field => (
+                        <div key={field.id} className="report-tag-panel" style={{ marginTop: '1rem' }}>
+                            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '0.5rem' }}>
+                                <span style={{ fontSize: '0.85rem', fontWeight: 600, color: 'var(--text-secondary)' }}><ListChecks size={12} style={{ marginRight: 4, display: 'inline' }} /> {field.label}</span>
+                                {selectedCustomFields[field.id] && (
+                                    <button className="btn-link btn-sm" style={{ padding: 0 }} onClick={() => setSelectedCustomFields(prev => {
+                                        const next = { ...prev };
+                                        delete next[field.id];
+                                        return next;
+                                    })}>Clear</button>
+                                )}
+                            </div>
+                            <div className="report-tag-options" style={{ display: 'flex', flexWrap: 'wrap', gap: '0.25rem' }}>
+                                {field.filterOptions.map(option => (
+                                    <button
+                                        key={option.id}
+                                        className={`exec-tag-pill ${(selectedCustomFields[field.id] || []).includes(option.id) ? 'selected' : ''}`}
+                                        onClick={() => toggleCustomFieldValue(field.id, option.id)}
+                                        style={{ '--tag-color': 'var(--accent-primary)', padding: '2px 8px', fontSize: '0.75rem' }}
+                                    >
+                                        {option.label}
+                                    </button>
+                                ))}
+                            </div>
+                        </div>
+                    ))}
                 </div>
             )}
 
@@ -6,13 +6,18 @@ import { ReportFilterTree } from './ReportFilterTree';
 import { ReportPreview } from './ReportPreview';
 import './Reports.css';
 import { GOAL_LEVELS } from '../../../shared/goalLevels.js';
+import { formatFinancialAmount } from '../../../shared/projectFinancials.js';
+import { normalizeCustomFieldFilters } from '../../../shared/customFields.js';
+import { useCustomFieldFilterFields } from '../../hooks/useCustomFieldFilterFields';
 
 const DEFAULT_PACK_FILTERS = {
     goalIds: [],
     tagIds: [],
     statuses: [],
     watchedOnly: false,
-    includeArchived: false
+    includeArchived: false,
+    includeFinancials: false,
+    customFields: {}
 };
 
 const STATUS_FILTER_OPTIONS = [
@@ -40,6 +45,7 @@ export function ReportsView() {
         hasPermission
     } = useData();
     const toast = useToast();
+    const customFieldFilterFields = useCustomFieldFilterFields();
     const [selectedProjectIds, setSelectedProjectIds] = useState([]);
     const [allProjects, setAllProjects] = useState([]);
     const [packs, setPacks] = useState([]);
@@ -255,7 +261,9 @@ export function ReportsView() {
                     ? filters.statuses.map((status) => String(status).toLowerCase().trim()).filter(Boolean)
                     : [],
                 watchedOnly: !!filters.watchedOnly,
-                includeArchived: !!filters.includeArchived
+                includeArchived: !!filters.includeArchived,
+                includeFinancials: !!filters.includeFinancials,
+                customFields: normalizeCustomFieldFilters(filters.customFields)
             }
         });
         setShowPackEditor(true);
@@ -299,6 +307,18 @@ export function ReportsView() {
         });
     };
 
+    const toggleCustomFieldFilter = (fieldId, value) => {
+        updatePackFilters((filters) => {
+            const customFields = { ...(filters.customFields || {}) };
+            const current = new Set(customFields[fieldId] || []);
+            if (current.has(value)) current.delete(value);
+            else current.add(value);
+            if (current.size > 0) customFields[fieldId] = Array.from(current);
+            else delete customFields[fieldId];
+            return { ...filters, customFields };
+        });
+    };
+
     const clearPackFilters = () => {
         updatePackFilters(() => ({ ...DEFAULT_PACK_FILTERS }));
     };
@@ -330,7 +350,9 @@ export function ReportsView() {
                     .map((status) => String(status).toLowerCase().trim())
                     .filter((status) => normalizedStatuses.has(status)))),
                 watchedOnly: !!packForm.filters?.watchedOnly,
-                includeArchived: !!packForm.filters?.includeArchived
+                includeArchived: !!packForm.filters?.includeArchived,
+                includeFinancials: !!packForm.filters?.includeFinancials,
+                customFields: normalizeCustomFieldFilters(packForm.filters?.customFields)
             }
         };
 
@@ -415,13 +437,16 @@ export function ReportsView() {
         const tagCount = Array.isArray(filters.tagIds) ? filters.tagIds.length : 0;
         const statusCount = Array.isArray(filters.statuses) ? filters.statuses.length : 0;
         const watchedOnly = !!filters.watchedOnly;
+        const customFieldCount = Object.keys(normalizeCustomFieldFilters(filters.customFields)).length;
 
         const parts = [];
         if (goalCount > 0) parts.push(`${goalCount} goal${goalCount === 1 ? '' : 's'}`);
         if (tagCount > 0) parts.push(`${tagCount} tag${tagCount === 1 ? '' : 's'}`);
         if (statusCount > 0) parts.push(`${statusCount} status${statusCount === 1 ? '' : 'es'}`);
+        if (customFieldCount > 0) parts.push(`${customFieldCount} custom field${customFieldCount === 1 ? '' : 's'}`);
         if (watchedOnly) parts.push('watched only');
         if (filters.includeArchived) parts.push('include archived');
+        if (filters.includeFinancials) parts.push('financials section');
 
         return parts.length > 0 ? `Filters: ${parts.join(' | ')}` : 'Filters: none';
     };
@@ -540,6 +565,19 @@ export function ReportsView() {
                                 Include archived projects in this pack
                             </label>
                         </div>
+                        <div className="form-group" style={{ marginBottom: '0.75rem' }}>
+                            <label style={{ display: 'inline-flex', alignItems: 'center', gap: '0.5rem' }}>
+                                <input
+                                    type="checkbox"
+                                    checked={!!packForm.filters?.includeFinancials}
+                                    onChange={(e) => updatePackFilters((filters) => ({
+                                        ...filters,
+                                        includeFinancials: e.target.checked
+                                    }))}
+                                />
+                                Include financials section (budget, forecast and actuals)
+                            </label>
+                        </div>
                         <div className="reports-pack-filter-grid">
                             <div className="form-group">
                                 <label>Goals</label>
@@ -601,6 +639,26 @@ export function ReportsView() {
                                     })}
                                 </div>
                             </div>
+                            {customFieldFilterFields.map((field) => (
+                                <div key={`custom-field-filter-${field.id}`} className="form-group">
+                                    <label>{field.label}</label>
+                                    <div className="reports-pack-filter-options">
+                                        {field.filterOptions.map((option) => {
+                                            const selected = (packForm.filters?.customFields?.[field.id] || []).includes(option.id);
+                                            return (
+                                                <button
+                                                    key={`custom-field-filter-${field.id}-${option.id}`}
+                                                    type="button"
+                                                    className={`reports-filter-chip ${selected ? 'active' : ''}`}
+                                                    onClick={() => toggleCustomFieldFilter(field.id, option.id)}
+                                                >
+                                                    {option.label}
+                                                </button>
+                                            );
+                                        })}
+                                    </div>
+                                </div>
+                            ))}
                         </div>
                         <div className="reports-pack-editor-toggles">
                             <label>
@@ -710,6 +768,9 @@ export function ReportsView() {
                                         <span>
                                             {run.summary?.totalProjects ?? 0} projects
                                             {run.summary?.exceptionOnly ? ' - exceptions only' : ''}
+                                            {run.summary?.financials
+                                                ? ` - forecast ${formatFinancialAmount(run.summary.financials.forecast)} of ${formatFinancialAmount(run.summary.financials.budget)} budget`
+                                                : ''}
                                         </span>
                                     </div>
                                 ))}
@@ -728,6 +789,7 @@ export function ReportsView() {
                         <ReportFilterTree
                             onSelectionChange={setSelectedProjectIds}
                             allProjects={allProjects}
+                            customFieldFields={customFieldFilterFields}
                         />
                     </div>
                 </div>
@@ -0,0 +1,319 @@
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import { AlertTriangle, ChevronLeft, ChevronRight, RefreshCw } from 'lucide-react';
+import { useData } from '../../context/DataContext';
+import { Modal } from '../UI/Modal';
+import { EmptyState } from '../UI/EmptyState';
+import { getWeekStart } from '../../../shared/timeEntries.js';
+import {
+    DEFAULT_RESOURCE_BUCKET_COUNT,
+    DEFAULT_WEEKLY_CAPACITY_HOURS,
+    MAX_WEEKLY_CAPACITY_HOURS
+} from '../../../shared/resourceAllocation.js';
+import './ResourcesPage.css';
+
+const PROJECT_TASK_FOCUS_STORAGE_KEY = 'dha_project_focus_task_payload';
+
+const LEVEL_LABELS = {
+    over: 'Overallocated',
+    high: 'Near capacity',
+    normal: 'Within capacity',
+    idle: 'No scheduled work'
+};
+
+function formatBucketLabel(bucketKey, bucketSize) {
+    const date = new Date(`${bucketKey}T00:00:00Z`);
+    if (Number.isNaN(date.getTime())) return bucketKey;
+    return bucketSize === 'month'
+        ? date.toLocaleDateString('en-US', { month: 'short', year: 'numeric', timeZone: 'UTC' })
+        : date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' });
+}
+
+function shiftAnchor(anchor, bucketSize, direction) {
+    const date = new Date(`${anchor}T00:00:00Z`);
+    if (bucketSize === 'month') {
+        date.setUTCMonth(date.getUTCMonth() + direction * DEFAULT_RESOURCE_BUCKET_COUNT.month);
+    } else {
+        date.setUTCDate(date.getUTCDate() + direction * 7 * DEFAULT_RESOURCE_BUCKET_COUNT.week);
+    }
+    return date.toISOString().slice(0, 10);
+}
+
+function HeatmapCell({ cell, onClick }) {
+    const content = (
+        <>
+            <strong>{cell.hours > 0 ? `${Math.round(cell.hours)}h` : '-'}</strong>
+            {cell.taskIds?.length > 0 && <span>{cell.taskIds.length} task{cell.taskIds.length === 1 ? '' : 's'}</span>}
+        </>
+    );
+    const title = `${LEVEL_LABELS[cell.level]}: ${cell.hours}h of ${cell.capacityHours}h capacity`;
+
+    if (!onClick || !cell.taskIds?.length) {
+        return <td className={`resource-cell level-${cell.level}`} title={title}>{content}</td>;
+    }
+    return (
+        <td className={`resource-cell level-${cell.level}`} title={title}>
+            <button type="button" className="resource-cell-btn" onClick={onClick}>
+                {content}
+            </button>
+        </td>
+    );
+}
+
+/**
+ * Cross-project workload: open assigned tasks per person and per organization over time.
+ */
+export function ResourcesPage({ onViewChange }) {
+    const { fetchResourceHeatmap } = useData();
+    const [bucketSize, setBucketSize] = useState('week');
+    const [anchor, setAnchor] = useState(() => getWeekStart(new Date()));
+    const [capacityInput, setCapacityInput] = useState(String(DEFAULT_WEEKLY_CAPACITY_HOURS));
+    const [weeklyCapacityHours, setWeeklyCapacityHours] = useState(DEFAULT_WEEKLY_CAPACITY_HOURS);
+    const [groupBy, setGroupBy] = useState('user');
+    const [orgFilter, setOrgFilter] = useState('');
+    const [overallocatedOnly, setOverallocatedOnly] = useState(false);
+    const [data, setData] = useState(null);
+    const [loading, setLoading] = useState(false);
+    const [loadError, setLoadError] = useState('');
+    const [selectedCell, setSelectedCell] = useState(null);
+    const [reloadKey, setReloadKey] = useState(0);
+
+    useEffect(() => {
+        let cancelled = false;
+        setLoading(true);
+        setLoadError('');
+        fetchResourceHeatmap({ bucket: bucketSize, from: anchor, weeklyCapacityHours })
+            .then((result) => {
+                if (!cancelled) setData(result);
+            })
+            .catch((err) => {
+                if (!cancelled) setLoadError(err?.message || 'Unable to load resource allocation.');
+            })
+            .finally(() => {
+                if (!cancelled) setLoading(false);
+            });
+        return () => { cancelled = true; };
+    }, [fetchResourceHeatmap, bucketSize, anchor, weeklyCapacityHours, reloadKey]);
+
+    const taskById = useMemo(
+        () => new Map((data?.tasks || []).map((task) => [String(task.id), task])),
+        [data]
+    );
+
+    const visibleUsers = useMemo(() => (data?.users || []).filter((user) => (
+        (!orgFilter || (user.orgId || '') === orgFilter)
+        && (!overallocatedOnly || user.overallocatedBucketCount > 0)
+    )), [data, orgFilter, overallocatedOnly]);
+
+    const visibleOrgs = useMemo(() => (data?.orgs || []).filter((org) => (
+        (!orgFilter || (org.orgId || '') === orgFilter)
+        && (!overallocatedOnly || org.overallocatedUserCount > 0)
+    )), [data, orgFilter, overallocatedOnly]);
+
+    const overallocatedUserCount = (data?.users || []).filter((user) => user.overallocatedBucketCount > 0).length;
+
+    const handleBucketSizeChange = (nextSize) => {
+        setBucketSize(nextSize);
+        setAnchor(nextSize === 'month' ? `${new Date().toISOString().slice(0, 7)}-01` : getWeekStart(new Date()));
+    };
+
+    const applyCapacity = () => {
+        const parsed = Number(capacityInput);
+        if (Number.isFinite(parsed) && parsed > 0 && parsed <= MAX_WEEKLY_CAPACITY_HOURS) {
+            setWeeklyCapacityHours(parsed);
+        } else {
+            setCapacityInput(String(weeklyCapacityHours));
+        }
+    };
+
+    const openTask = useCallback((task) => {
+        localStorage.removeItem('dha_project_filter_payload');
+        localStorage.setItem(PROJECT_TASK_FOCUS_STORAGE_KEY, JSON.stringify({
+            projectId: String(task.projectId),
+            taskId: String(task.id),
+            requestedAt: Date.now()
+        }));
+        onViewChange?.('projects', {
+            preserveSelectedProject: true,
+            selectedProjectId: String(task.projectId)
+        });
+    }, [onViewChange]);
+
+    const selectedTasks = selectedCell
+        ? selectedCell.cell.taskIds.map((taskId) => taskById.get(taskId)).filter(Boolean)
+        : [];
+    const buckets = data?.buckets || [];
+
+    return (
+        <div className="resources-page">
+            <div className="resources-toolbar glass-panel">
+                <div className="resources-toolbar-group">
+                    <div className="resources-segmented">
+                        <button
+                            className={groupBy === 'user' ? 'active' : ''}
+                            onClick={() => setGroupBy('user')}
+                        >
+                            People
+                        </button>
+                        <button
+                            className={groupBy === 'org' ? 'active' : ''}
+                            onClick={() => setGroupBy('org')}
+                        >
+                            Organizations
+                        </button>
+                    </div>
+                    <select value={bucketSize} onChange={(e) => handleBucketSizeChange(e.target.value)} aria-label="Time bucket">
+                        <option value="week">Weekly</option>
+                        <option value="month">Monthly</option>
+                    </select>
+                    <div className="resources-range-nav">
+                        <button className="btn-link" onClick={() => setAnchor((prev) => shiftAnchor(prev, bucketSize, -1))} aria-label="Earlier">
+                            <ChevronLeft size={14} />
+                        </button>
+                        <span>
+                            {buckets.length > 0
+                                ? `${formatBucketLabel(buckets[0].key, bucketSize)} - ${formatBucketLabel(buckets[buckets.length - 1].key, bucketSize)}`
+                                : '...'}
+                        </span>
+                        <button className="btn-link" onClick={() => setAnchor((prev) => shiftAnchor(prev, bucketSize, 1))} aria-label="Later">
+                            <ChevronRight size={14} />
+                        </button>
+                    </div>
+                </div>
+                <div className="resources-toolbar-group">
+                    <select value={orgFilter} onChange={(e) => setOrgFilter(e.target.value)} aria-label="Organization">
+                        <option value="">All organizations</option>
+                        {(data?.orgs || []).map((org) => (
+                            <option key={org.orgId || 'none'} value={org.orgId || ''}>{org.orgName}</option>
+                        ))}
+                    </select>
+                    <label className="resources-capacity">
+                        Capacity
+                        <input
+                            type="number"
+                            min="1"
+                            max={MAX_WEEKLY_CAPACITY_HOURS}
+                            value={capacityInput}
+                            onChange={(e) => setCapacityInput(e.target.value)}
+                            onBlur={applyCapacity}
+                            onKeyDown={(e) => { if (e.key === 'Enter') applyCapacity(); }}
+                        />
+                        h/week
+                    </label>
+                    <label className="resources-toggle">
+                        <input type="checkbox" checked={overallocatedOnly} onChange={(e) => setOverallocatedOnly(e.target.checked)} />
+                        Overallocated only
+                    </label>
+                    <button className="btn-secondary btn-sm" onClick={() => setReloadKey((key) => key + 1)} disabled={loading}>
+                        <RefreshCw size={14} /> Refresh
+                    </button>
+                </div>
+            </div>
+
+            {overallocatedUserCount > 0 && (
+                <div className="resources-alert">
+                    <AlertTriangle size={15} />
+                    {overallocatedUserCount} {overallocatedUserCount === 1 ? 'person is' : 'people are'} over capacity in at least one period.
+                </div>
+            )}
+            {data && data.estimatesAvailable === false && (
+                <div className="resources-note">
+                    Task estimates are not set up on this server, so only task counts are shown.
+                </div>
+            )}
+
+            <div className="resources-table-wrap glass-panel">
+                {loadError ? (
+                    <div className="resources-note">{loadError}</div>
+                ) : loading && !data ? (
+                    <div className="resources-note">Loading resource allocation...</div>
+                ) : (groupBy === 'user' ? visibleUsers : visibleOrgs).length === 0 ? (
+                    <EmptyState title="No assigned work" message="No open assigned tasks match these filters." />
+                ) : (
+                    <table className="resources-table">
+                        <thead>
+                            <tr>
+                                <th className="resources-name-col">{groupBy === 'user' ? 'Person' : 'Organization'}</th>
+                                <th>Open tasks</th>
+                                {buckets.map((bucket) => (
+                                    <th key={bucket.key}>{formatBucketLabel(bucket.key, bucketSize)}</th>
+                                ))}
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {groupBy === 'user' ? visibleUsers.map((user) => (
+                                <tr key={user.userOid}>
+                                    <td className="resources-name-col">
+                                        <div className="resources-name">{user.name}</div>
+                                        <div className="resources-meta">
+                                            {user.orgName || 'No organization'} · {user.projectCount} project{user.projectCount === 1 ? '' : 's'}
+                                            {user.unestimatedTaskCount > 0 && ` · ${user.unestimatedTaskCount} unestimated`}
+                                        </div>
+                                    </td>
+                                    <td className="resources-count">
+                                        {user.openTaskCount}
+                                        {user.unscheduledTaskCount > 0 && (
+                                            <span className="resources-meta" title="Open tasks without start or end dates">
+                                                {user.unscheduledTaskCount} undated
+                                            </span>
+                                        )}
+                                    </td>
+                                    {user.cells.map((cell) => (
+                                        <HeatmapCell
+                                            key={cell.bucketKey}
+                                            cell={cell}
+                                            onClick={() => setSelectedCell({ user, cell })}
+                                        />
+                                    ))}
+                                </tr>
+                            )) : visibleOrgs.map((org) => (
+                                <tr key={org.orgId || 'none'}>
+                                    <td className="resources-name-col">
+                                        <div className="resources-name">{org.orgName}</div>
+                                        <div className="resources-meta">
+                                            {org.userCount} {org.userCount === 1 ? 'person' : 'people'}
+                                            {org.overallocatedUserCount > 0 && ` · ${org.overallocatedUserCount} overallocated`}
+                                        </div>
+                                    </td>
+                                    <td className="resources-count">{org.openTaskCount}</td>
+                                    {org.cells.map((cell) => (
+                                        <HeatmapCell key={cell.bucketKey} cell={cell} />
+                                    ))}
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                )}
+            </div>
+
+            <Modal
+                isOpen={!!selectedCell}
+                onClose={() => setSelectedCell(null)}
+                title={selectedCell
+                    ? `${selectedCell.user.name} · ${formatBucketLabel(selectedCell.cell.bucketKey, bucketSize)}`
+                    : ''}
+            >
+                {selectedCell && (
+                    <div className="resources-drilldown">
+                        <p className="resources-meta">
+                            {selectedCell.cell.hours}h scheduled of {selectedCell.cell.capacityHours}h capacity
+                        </p>
+                        <ul>
+                            {selectedTasks.map((task) => (
+                                <li key={task.id}>
+                                    <button type="button" className="resources-task-btn" onClick={() => openTask(task)}>
+                                        <strong>{task.title}</strong>
+                                        <span>
+                                            {task.projectTitle}
+                                            {task.endDate ? ` · due ${task.endDate}` : ''}
+                                            {task.estimatedHours ? ` · ${task.estimatedHours}h` : ''}
+                                        </span>
+                                    </button>
+                                </li>
+                            ))}
+                        </ul>
+                    </div>
+                )}
+            </Modal>
+        </div>
+    );
+}
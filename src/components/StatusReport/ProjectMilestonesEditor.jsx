@@ -0,0 +1,215 @@
+import { useState } from 'react';
+import { Plus, Trash2, Download } from 'lucide-react';
+import { useData } from '../../context/DataContext';
+import { useToast } from '../../context/ToastContext';
+import {
+    PROJECT_MILESTONE_STATUSES,
+    PROJECT_MILESTONE_STATUS_LABELS,
+    getMilestoneSlipDays,
+    sortMilestones
+} from '../../../shared/milestones.js';
+
+const EMPTY_DRAFT = { name: '', plannedDate: '' };
+
+/**
+ * Edits the project's milestone records directly. Changes persist immediately;
+ * the status report only stores a snapshot of them when it is submitted.
+ */
+export function ProjectMilestonesEditor({ projectId, milestones, onChange, canEdit, legacyMilestones = [] }) {
+    const { createProjectMilestone, updateProjectMilestone, deleteProjectMilestone } = useData();
+    const { success, error } = useToast();
+    const [draft, setDraft] = useState(EMPTY_DRAFT);
+    const [busyId, setBusyId] = useState(null);
+
+    const importableMilestones = legacyMilestones.filter((m) => m?.name && m?.date);
+
+    const handleUpdate = async (milestone, changes) => {
+        setBusyId(milestone.id);
+        try {
+            const updated = await updateProjectMilestone(projectId, milestone.id, changes);
+            onChange(milestones.map((m) => (m.id === milestone.id ? updated : m)));
+        } catch (err) {
+            error(err?.message || 'Failed to update milestone');
+        } finally {
+            setBusyId(null);
+        }
+    };
+
+    const handleNameBlur = (milestone, value) => {
+        const name = value.trim();
+        if (!name || name === milestone.name) return;
+        handleUpdate(milestone, { name });
+    };
+
+    const handleAdd = async () => {
+        if (!draft.name.trim() || !draft.plannedDate) {
+            error('Milestones need a name and a planned date');
+            return;
+        }
+        setBusyId('new');
+        try {
+            const created = await createProjectMilestone(projectId, {
+                name: draft.name.trim(),
+                plannedDate: draft.plannedDate
+            });
+            onChange([...milestones, created]);
+            setDraft(EMPTY_DRAFT);
+        } catch (err) {
+            error(err?.message || 'Failed to add milestone');
+        } finally {
+            setBusyId(null);
+        }
+    };
+
+    const handleDelete = async (milestone) => {
+        if (!window.confirm(`Delete milestone "${milestone.name}"?`)) return;
+        setBusyId(milestone.id);
+        try {
+            await deleteProjectMilestone(projectId, milestone.id);
+            onChange(milestones.filter((m) => m.id !== milestone.id));
+        } catch (err) {
+            error(err?.message || 'Failed to delete milestone');
+        } finally {
+            setBusyId(null);
+        }
+    };
+
+    // One-time carry-over for projects whose milestones only exist in older report JSON.
+    const handleImport = async () => {
+        setBusyId('import');
+        const created = [];
+        try {
+            for (const legacy of importableMilestones) {
+                const status = Object.values(PROJECT_MILESTONE_STATUSES).includes(legacy.status)
+                    ? legacy.status
+                    : PROJECT_MILESTONE_STATUSES.PENDING;
+                created.push(await createProjectMilestone(projectId, {
+                    name: String(legacy.name).trim(),
+                    plannedDate: legacy.date,
+                    status
+                }));
+            }
+            success(`Imported ${created.length} milestone${created.length === 1 ? '' : 's'}`);
+        } catch (err) {
+            error(err?.message || 'Failed to import milestones');
+        } finally {
+            onChange([...milestones, ...created]);
+            setBusyId(null);
+        }
+    };
+
+    return (
+        <div className="section-content">
+            {milestones.length === 0 && (
+                <p className="milestone-empty">No milestones recorded for this project yet.</p>
+            )}
+            {sortMilestones(milestones).map((milestone) => {
+                const slipDays = getMilestoneSlipDays(milestone);
+                const disabled = !canEdit || busyId === milestone.id;
+                return (
+                    <div key={milestone.id} className="milestone-card">
+                        <div className="milestone-header">
+                            <input
+                                type="text"
+                                defaultValue={milestone.name}
+                                onBlur={(e) => handleNameBlur(milestone, e.target.value)}
+                                placeholder="Milestone Name"
+                                className="milestone-name"
+                                disabled={disabled}
+                                aria-label="Milestone name"
+                            />
+                            <select
+                                value={milestone.status}
+                                onChange={(e) => handleUpdate(milestone, { status: e.target.value })}
+                                className={`milestone-status ${milestone.status}`}
+                                disabled={disabled}
+                                aria-label="Milestone status"
+                            >
+                                {Object.values(PROJECT_MILESTONE_STATUSES).map((status) => (
+                                    <option key={status} value={status}>{PROJECT_MILESTONE_STATUS_LABELS[status]}</option>
+                                ))}
+                            </select>
+                            {canEdit && (
+                                <button
+                                    type="button"
+                                    onClick={() => handleDelete(milestone)}
+                                    className="btn-icon-danger"
+                                    disabled={disabled}
+                                    title="Delete milestone"
+                                >
+                                    <Trash2 size={16} />
+                                </button>
+                            )}
+                        </div>
+                        <div className="milestone-dates">
+                            <label>
+                                Planned
+                                <input
+                                    type="date"
+                                    value={milestone.plannedDate || ''}
+                                    onChange={(e) => e.target.value && handleUpdate(milestone, { plannedDate: e.target.value })}
+                                    className="milestone-date"
+                                    disabled={disabled}
+                                />
+                            </label>
+                            <label>
+                                Forecast
+                                <input
+                                    type="date"
+                                    value={milestone.forecastDate || ''}
+                                    onChange={(e) => handleUpdate(milestone, { forecastDate: e.target.value || null })}
+                                    className="milestone-date"
+                                    disabled={disabled}
+                                />
+                            </label>
+                            <label>
+                                Actual
+                                <input
+                                    type="date"
+                                    value={milestone.actualDate || ''}
+                                    onChange={(e) => handleUpdate(milestone, { actualDate: e.target.value || null })}
+                                    className="milestone-date"
+                                    disabled={disabled}
+                                />
+                            </label>
+                            {slipDays !== 0 && (
+                                <span className={`milestone-slip ${slipDays > 0 ? 'late' : 'early'}`}>
+                                    {slipDays > 0 ? `+${slipDays}d late` : `${Math.abs(slipDays)}d early`}
+                                </span>
+                            )}
+                        </div>
+                    </div>
+                );
+            })}
+
+            {canEdit && (
+                <div className="milestone-add-row">
+                    <input
+                        type="text"
+                        value={draft.name}
+                        onChange={(e) => setDraft((prev) => ({ ...prev, name: e.target.value }))}
+                        placeholder="New milestone name"
+                        className="milestone-name"
+                        aria-label="New milestone name"
+                    />
+                    <input
+                        type="date"
+                        value={draft.plannedDate}
+                        onChange={(e) => setDraft((prev) => ({ ...prev, plannedDate: e.target.value }))}
+                        className="milestone-date"
+                        aria-label="New milestone planned date"
+                    />
+                    <button type="button" onClick={handleAdd} className="btn-add-item" disabled={busyId === 'new'}>
+                        <Plus size={16} /> Add Milestone
+                    </button>
+                </div>
+            )}
+
+            {canEdit && milestones.length === 0 && importableMilestones.length > 0 && (
+                <button type="button" onClick={handleImport} className="btn-add-item" disabled={busyId === 'import'}>
+                    <Download size={16} /> Import {importableMilestones.length} from previous report
+                </button>
+            )}
+        </div>
+    );
+}
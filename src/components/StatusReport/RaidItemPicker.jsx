@@ -0,0 +1,104 @@
+import { useState } from 'react';
+import { Download } from 'lucide-react';
+import { useData } from '../../context/DataContext';
+import { useToast } from '../../context/ToastContext';
+import {
+    MAX_RAID_TITLE_LENGTH,
+    RAID_ITEM_STATUSES,
+    RAID_ITEM_STATUS_LABELS,
+    RAID_ITEM_TYPES,
+    RAID_ITEM_TYPE_LABELS,
+    getRaidScore,
+    getRaidSeverity,
+    isRaidItemOpen
+} from '../../../shared/raidLog.js';
+
+/**
+ * Chooses which RAID register items the report references. The report stores only
+ * the item ids; owners, scores and status are read from the register when it is viewed.
+ * Items are created and edited from the project's RAID view.
+ */
+export function RaidItemPicker({ projectId, items, onItemsChange, selectedIds, onSelectionChange, canEdit, legacyRisks = [] }) {
+    const { createProjectRaidItem } = useData();
+    const { success, error } = useToast();
+    const [importing, setImporting] = useState(false);
+
+    const importableRisks = legacyRisks.filter((risk) => String(risk?.description || '').trim());
+    const selected = new Set(selectedIds.map(String));
+
+    const toggle = (itemId) => {
+        const key = String(itemId);
+        onSelectionChange(selected.has(key)
+            ? selectedIds.filter((id) => String(id) !== key)
+            : [...selectedIds, key]);
+    };
+
+    // One-time carry-over for projects whose risks only exist in older report JSON.
+    const handleImport = async () => {
+        setImporting(true);
+        const created = [];
+        try {
+            for (const risk of importableRisks) {
+                const description = String(risk.description).trim();
+                created.push(await createProjectRaidItem(projectId, {
+                    type: RAID_ITEM_TYPES.RISK,
+                    title: description.slice(0, MAX_RAID_TITLE_LENGTH),
+                    description: [description.length > MAX_RAID_TITLE_LENGTH ? description : '', risk.impact ? `Impact: ${risk.impact}` : '']
+                        .filter(Boolean)
+                        .join('\n\n'),
+                    mitigation: risk.mitigation || '',
+                    status: risk.status === 'closed' ? RAID_ITEM_STATUSES.CLOSED : RAID_ITEM_STATUSES.OPEN
+                }));
+            }
+            success(`Imported ${created.length} risk${created.length === 1 ? '' : 's'} into the RAID register`);
+        } catch (err) {
+            error(err?.message || 'Failed to import risks');
+        } finally {
+            onItemsChange([...items, ...created]);
+            onSelectionChange([
+                ...selectedIds,
+                ...created.filter(isRaidItemOpen).map((item) => String(item.id))
+            ]);
+            setImporting(false);
+        }
+    };
+
+    return (
+        <div className="section-content">
+            {items.length === 0 ? (
+                <p className="milestone-empty">No RAID items recorded for this project yet. Add them from the project's RAID view.</p>
+            ) : (
+                <p className="milestone-empty">
+                    {selected.size} of {items.length} register item{items.length === 1 ? '' : 's'} included. The report shows each item's current owner, score and status.
+                </p>
+            )}
+            {items.map((item) => {
+                const score = getRaidScore(item);
+                return (
+                    <label key={item.id} className={`raid-pick-row ${isRaidItemOpen(item) ? '' : 'closed'}`}>
+                        <input
+                            type="checkbox"
+                            checked={selected.has(String(item.id))}
+                            onChange={() => toggle(item.id)}
+                        />
+                        <span className="raid-pick-type">{RAID_ITEM_TYPE_LABELS[item.type] || item.type}</span>
+                        <span className="raid-pick-title">{item.title}</span>
+                        {score !== null && (
+                            <span className={`raid-pick-score severity-${getRaidSeverity(score)}`}>{score}</span>
+                        )}
+                        <span className="raid-pick-meta">
+                            {RAID_ITEM_STATUS_LABELS[item.status] || item.status}
+                            {item.ownerName ? ` · ${item.ownerName}` : ''}
+                        </span>
+                    </label>
+                );
+            })}
+
+            {canEdit && items.length === 0 && importableRisks.length > 0 && (
+                <button type="button" onClick={handleImport} className="btn-add-item" disabled={importing}>
+                    <Download size={16} /> Import {importableRisks.length} risk{importableRisks.length === 1 ? '' : 's'} from previous report
+                </button>
+            )}
+        </div>
+    );
+}
@@ -50,6 +50,12 @@ export function StatusReportCompare({ report1, report2, projectTitle: _projectTi
         return prev && prev.status === 'open' && r.status === 'closed';
     }) || [];
 
+    // RAID items referenced from the project register
+    const raid1Ids = new Set((report1.raidItemIds || []).map(String));
+    const raid2Ids = new Set((report2.raidItemIds || []).map(String));
+    const addedRaidItems = (report2.raidItems || []).filter(item => !raid1Ids.has(String(item.id)));
+    const droppedRaidItems = (report1.raidItems || []).filter(item => !raid2Ids.has(String(item.id)));
+
     // Decision changes
     const d1Ids = new Set(report1.decisions?.map(d => d.id) || []);
     const addedDecisions = report2.decisions?.filter(d => !d1Ids.has(d.id)) || [];
@@ -192,6 +198,29 @@ export function StatusReportCompare({ report1, report2, projectTitle: _projectTi
                     </div>
                 )}
 
+                {/* Referenced RAID items */}
+                {addedRaidItems.length > 0 && (
+                    <div className="change-item diff-added" style={{ padding: '1rem', borderRadius: 'var(--radius-md)' }}>
+                        <strong>RAID Items Added:</strong>
+                        <ul style={{ margin: '0.5rem 0 0', paddingLeft: '1.5rem' }}>
+                            {addedRaidItems.map(item => (
+                                <li key={item.id}>{item.title} ({item.type}, {item.status})</li>
+                            ))}
+                        </ul>
+                    </div>
+                )}
+
+                {droppedRaidItems.length > 0 && (
+                    <div className="change-item diff-removed" style={{ padding: '1rem', borderRadius: 'var(--radius-md)' }}>
+                        <strong>RAID Items No Longer Reported:</strong>
+                        <ul style={{ margin: '0.5rem 0 0', paddingLeft: '1.5rem' }}>
+                            {droppedRaidItems.map(item => (
+                                <li key={item.id}>{item.title} ({item.type}, {item.status})</li>
+                            ))}
+                        </ul>
+                    </div>
+                )}
+
                 {/* Added Decisions */}
                 {addedDecisions.length > 0 && (
                     <div className="change-item diff-added" style={{ padding: '1rem', borderRadius: 'var(--radius-md)' }}>
@@ -231,6 +260,8 @@ export function StatusReportCompare({ report1, report2, projectTitle: _projectTi
                     removedWorkstreams.length === 0 &&
                     addedRisks.length === 0 &&
                     closedRisks.length === 0 &&
+                    addedRaidItems.length === 0 &&
+                    droppedRaidItems.length === 0 &&
                     addedDecisions.length === 0 &&
                     resolvedDecisions.length === 0 && (
                         <div style={{
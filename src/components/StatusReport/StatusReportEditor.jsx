@@ -1,16 +1,18 @@
-import { useState } from 'react';
+import { useEffect, useState } from 'react';
 import {
     Plus, Trash2, ChevronDown, ChevronUp, Users,
     Target, AlertTriangle, CheckCircle, FileText
 } from 'lucide-react';
 import { useData } from '../../context/DataContext';
 import { useToast } from '../../context/ToastContext';
+import { sortMilestones, toReportMilestone } from '../../../shared/milestones.js';
+import { isRaidItemOpen } from '../../../shared/raidLog.js';
+import { ProjectMilestonesEditor } from './ProjectMilestonesEditor';
+import { RaidItemPicker } from './RaidItemPicker';
 import './StatusReport.css';
 
-// No static milestone types - milestones are now fully dynamic
-
 export function StatusReportEditor({ projectId, projectTitle: _projectTitle, previousReport, onSave, onCancel }) {
-    const { addStatusReport, currentUser } = useData();
+    const { addStatusReport, currentUser, fetchProjectMilestones, fetchProjectRaidItems, hasPermission } = useData();
     const { success } = useToast();
 
     // Initialize from previous report or defaults
@@ -21,8 +23,13 @@ export function StatusReportEditor({ projectId, projectTitle: _projectTitle, pre
     const [executiveSummary, setExecutiveSummary] = useState(previousReport?.executiveSummary || '');
     const [contacts, setContacts] = useState(Array.isArray(previousReport?.contacts) ? previousReport.contacts : []);
     const [milestones, setMilestones] = useState(Array.isArray(previousReport?.milestones) ? previousReport.milestones : []);
+    const [projectMilestones, setProjectMilestones] = useState([]);
+    const [milestoneSchemaReady, setMilestoneSchemaReady] = useState(false);
     const [workstreams, setWorkstreams] = useState(Array.isArray(previousReport?.workstreams) ? previousReport.workstreams : []);
     const [risks, setRisks] = useState(Array.isArray(previousReport?.risks) ? previousReport.risks : []);
+    const [raidItems, setRaidItems] = useState([]);
+    const [raidSchemaReady, setRaidSchemaReady] = useState(false);
+    const [raidItemIds, setRaidItemIds] = useState(Array.isArray(previousReport?.raidItemIds) ? previousReport.raidItemIds.map(String) : null);
     const [decisions, setDecisions] = useState(Array.isArray(previousReport?.decisions) ? previousReport.decisions : []);
     const [kpis, setKpis] = useState(previousReport?.kpis || '');
     const [goodNews, setGoodNews] = useState(previousReport?.goodNews || '');
@@ -41,6 +48,48 @@ export function StatusReportEditor({ projectId, projectTitle: _projectTitle, pre
         freeform: false
     });
 
+    // Milestones are project records; fall back to report-only milestones when the table is not installed.
+    useEffect(() => {
+        if (!projectId) return undefined;
+        let cancelled = false;
+        fetchProjectMilestones(projectId)
+            .then((data) => {
+                if (cancelled) return;
+                setMilestoneSchemaReady(!!data?.schemaReady);
+                setProjectMilestones(Array.isArray(data?.milestones) ? data.milestones : []);
+            })
+            .catch((err) => {
+                console.error('Failed to load project milestones:', err);
+                if (!cancelled) setMilestoneSchemaReady(false);
+            });
+        return () => { cancelled = true; };
+    }, [projectId, fetchProjectMilestones]);
+
+    // RAID items are project records too; the report references them by id instead of copying them.
+    useEffect(() => {
+        if (!projectId) return undefined;
+        let cancelled = false;
+        fetchProjectRaidItems(projectId)
+            .then((data) => {
+                if (cancelled) return;
+                const items = Array.isArray(data?.items) ? data.items : [];
+                setRaidSchemaReady(!!data?.schemaReady);
+                setRaidItems(items);
+                // New reports (and reports following a pre-register one) start with every open item.
+                setRaidItemIds((current) => {
+                    const known = new Set(items.map((item) => String(item.id)));
+                    return current === null
+                        ? items.filter(isRaidItemOpen).map((item) => String(item.id))
+                        : current.filter((id) => known.has(id));
+                });
+            })
+            .catch((err) => {
+                console.error('Failed to load RAID register:', err);
+                if (!cancelled) setRaidSchemaReady(false);
+            });
+        return () => { cancelled = true; };
+    }, [projectId, fetchProjectRaidItems]);
+
     const toggleSection = (section) => {
         setExpandedSections(prev => ({ ...prev, [section]: !prev[section] }));
     };
@@ -58,7 +107,7 @@ export function StatusReportEditor({ projectId, projectTitle: _projectTitle, pre
         setContacts(contacts.filter(c => c.id !== id));
     };
 
-    // Milestone management - now dynamic like workstreams
+    // Report-only milestone management (used until ProjectMilestones is installed)
     const addMilestone = () => {
         setMilestones([...milestones, {
             id: Date.now(),
@@ -162,9 +211,13 @@ export function StatusReportEditor({ projectId, projectTitle: _projectTitle, pre
                 purpose,
                 executiveSummary,
                 contacts,
-                milestones,
+                milestones: milestoneSchemaReady
+                    ? sortMilestones(projectMilestones).map(toReportMilestone)
+                    : milestones,
                 workstreams,
-                risks,
+                ...(raidSchemaReady
+                    ? { raidItemIds: raidItemIds || [], risks: [] }
+                    : { risks }),
                 decisions,
                 kpis,
                 goodNews,
@@ -312,7 +365,16 @@ export function StatusReportEditor({ projectId, projectTitle: _projectTitle, pre
             {/* Milestones Section */}
             <div className="editor-section">
                 {renderSectionHeader("Milestone Timeline", "milestones", Target)}
-                {expandedSections.milestones && (
+                {expandedSections.milestones && milestoneSchemaReady && (
+                    <ProjectMilestonesEditor
+                        projectId={projectId}
+                        milestones={projectMilestones}
+                        onChange={setProjectMilestones}
+                        canEdit={hasPermission('can_edit_project')}
+                        legacyMilestones={milestones}
+                    />
+                )}
+                {expandedSections.milestones && !milestoneSchemaReady && (
                     <div className="section-content">
                         {milestones.map(milestone => (
                             <div key={milestone.id} className="milestone-card">
@@ -417,8 +479,19 @@ export function StatusReportEditor({ projectId, projectTitle: _projectTitle, pre
 
             {/* Risks Section */}
             <div className="editor-section">
-                {renderSectionHeader("Risk Register", "risks", AlertTriangle)}
-                {expandedSections.risks && (
+                {renderSectionHeader(raidSchemaReady ? "RAID Items" : "Risk Register", "risks", AlertTriangle)}
+                {expandedSections.risks && raidSchemaReady && (
+                    <RaidItemPicker
+                        projectId={projectId}
+                        items={raidItems}
+                        onItemsChange={setRaidItems}
+                        selectedIds={raidItemIds || []}
+                        onSelectionChange={setRaidItemIds}
+                        canEdit={hasPermission('can_edit_project')}
+                        legacyRisks={risks}
+                    />
+                )}
+                {expandedSections.risks && !raidSchemaReady && (
                     <div className="section-content">
                         {risks.map(risk => (
                             <div key={risk.id} className={`risk-card ${risk.status}`}>
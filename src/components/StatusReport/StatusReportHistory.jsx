@@ -66,6 +66,10 @@ export function StatusReportHistory({
             (prevReport.risks?.filter(r => r.status === 'closed').length || 0);
         if (closedRisks > 0) changes.push(`${closedRisks} risk(s) closed`);
 
+        const newRaidItems = (report.raidItemIds?.length || 0) - (prevReport.raidItemIds?.length || 0);
+        if (newRaidItems > 0) changes.push(`+${newRaidItems} RAID item(s)`);
+        if (newRaidItems < 0) changes.push(`${newRaidItems} RAID item(s)`);
+
         const newDecisions = (report.decisions?.length || 0) - (prevReport.decisions?.length || 0);
         if (newDecisions > 0) changes.push(`+${newDecisions} decision(s)`);
 
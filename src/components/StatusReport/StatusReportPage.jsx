@@ -159,7 +159,7 @@ export function StatusReportPage({ project, onClose: _onClose }) {
                     <StatusReportEditor
                         projectId={project.id}
                         projectTitle={project.title}
-                        previousReport={latestReport}
+                        previousReport={latestReport || project.statusReportDefaults || null}
                         onSave={handleSaveComplete}
                         onCancel={() => setActiveTab(latestReport ? 'current' : 'current')}
                     />
@@ -1,5 +1,12 @@
 import { useRef, useState, useMemo, memo } from 'react';
 import { Printer, Download } from 'lucide-react';
+import {
+    RAID_ITEM_STATUS_LABELS,
+    RAID_ITEM_TYPE_LABELS,
+    getRaidScore,
+    getRaidSeverity,
+    isRaidItemOpen
+} from '../../../shared/raidLog.js';
 import './StatusReport.css';
 
 export const StatusReportView = memo(function StatusReportView({ report, projectTitle, onExportPdf: _onExportPdf, hideActions = false }) {
@@ -318,6 +325,9 @@ export const StatusReportView = memo(function StatusReportView({ report, project
         } else if (status === 'in-progress') {
             base.background = '#f59e0b';
             base.borderColor = '#f59e0b';
+        } else if (status === 'missed') {
+            base.background = '#ef4444';
+            base.borderColor = '#ef4444';
         }
         return base;
     };
@@ -495,6 +505,55 @@ export const StatusReportView = memo(function StatusReportView({ report, project
                     </div>
                 )}
 
+                {/* RAID items referenced from the project register (current state, not a copy) */}
+                {report.raidItems?.length > 0 && (
+                    <div style={{ margin: '4px', marginTop: '16px' }}>
+                        <div style={styles.sectionHeader}>Risks, Assumptions, Issues &amp; Dependencies</div>
+                        <table style={{ ...styles.workstreamTable, borderTop: 'none' }}>
+                            <thead>
+                                <tr>
+                                    <th style={{ ...styles.dataTh, width: '10%' }}>Type</th>
+                                    <th style={{ ...styles.dataTh, width: '28%' }}>Item</th>
+                                    <th style={{ ...styles.dataTh, width: '12%' }}>Owner</th>
+                                    <th style={{ ...styles.dataTh, width: '10%' }}>P x I</th>
+                                    <th style={{ ...styles.dataTh, width: '28%' }}>Mitigation</th>
+                                    <th style={{ ...styles.dataTh, width: '12%' }}>Status</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {report.raidItems.map((item) => {
+                                    const score = getRaidScore(item);
+                                    const severity = getRaidSeverity(score);
+                                    const open = isRaidItemOpen(item);
+                                    return (
+                                        <tr key={item.id} style={open ? {} : { opacity: 0.6, background: '#f3f4f6' }}>
+                                            <td style={styles.dataTd}>{RAID_ITEM_TYPE_LABELS[item.type] || item.type}</td>
+                                            <td style={styles.dataTd}>
+                                                {item.title}
+                                                {item.dueDate && (
+                                                    <div style={{ fontSize: '8px', color: '#6b7280', marginTop: '4px' }}>
+                                                        Due {formatShortDate(`${item.dueDate}T00:00:00`)}
+                                                    </div>
+                                                )}
+                                            </td>
+                                            <td style={styles.dataTd}>{item.ownerName || '-'}</td>
+                                            <td style={{ ...styles.dataTd, ...(severity ? getPriorityStyle(severity === 'critical' ? 'high' : severity) : {}) }}>
+                                                {score === null ? '-' : `${item.probability} x ${item.impact} = ${score}`}
+                                            </td>
+                                            <td style={styles.dataTd}>{item.mitigation || '-'}</td>
+                                            <td style={styles.dataTd}>
+                                                <span style={open ? styles.statusPillOpen : styles.statusPillClosed}>
+                                                    {RAID_ITEM_STATUS_LABELS[item.status] || item.status}
+                                                </span>
+                                            </td>
+                                        </tr>
+                                    );
+                                })}
+                            </tbody>
+                        </table>
+                    </div>
+                )}
+
                 {/* Risk Register */}
                 {report.risks?.length > 0 && (
                     <div style={{ margin: '4px', marginTop: '16px' }}>
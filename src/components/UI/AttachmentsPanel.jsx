@@ -0,0 +1,171 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { Paperclip, Upload, Download, Trash2 } from 'lucide-react';
+import { useData } from '../../context/DataContext';
+import { useToast } from '../../context/ToastContext';
+import { MAX_ATTACHMENT_BYTES, formatAttachmentSize } from '../../../shared/attachments.js';
+import './AttachmentsPanel.css';
+
+function formatUploadedAt(value) {
+    if (!value) return '';
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) return '';
+    return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+}
+
+/**
+ * File attachments for a project, task or intake submission.
+ * Upload/delete availability comes from the server so it always matches the parent record's access.
+ */
+export function AttachmentsPanel({ entityType, entityId, title = 'Attachments' }) {
+    const { fetchAttachments, uploadAttachment, downloadAttachment, deleteAttachment } = useData();
+    const { success, error } = useToast();
+    const [attachments, setAttachments] = useState([]);
+    const [canUpload, setCanUpload] = useState(false);
+    const [loading, setLoading] = useState(false);
+    const [loadError, setLoadError] = useState('');
+    const [busyId, setBusyId] = useState(null);
+    const fileInputRef = useRef(null);
+
+    useEffect(() => {
+        if (!entityId) return undefined;
+        let cancelled = false;
+        setLoading(true);
+        setLoadError('');
+        fetchAttachments(entityType, entityId)
+            .then((data) => {
+                if (cancelled) return;
+                setAttachments(Array.isArray(data?.attachments) ? data.attachments : []);
+                setCanUpload(!!data?.canUpload);
+            })
+            .catch((err) => {
+                if (!cancelled) {
+                    setAttachments([]);
+                    setCanUpload(false);
+                    setLoadError(err?.message || 'Unable to load attachments.');
+                }
+            })
+            .finally(() => {
+                if (!cancelled) setLoading(false);
+            });
+        return () => { cancelled = true; };
+    }, [entityType, entityId, fetchAttachments]);
+
+    const handleFileSelected = useCallback(async (e) => {
+        const file = e.target.files?.[0];
+        e.target.value = '';
+        if (!file) return;
+        if (file.size > MAX_ATTACHMENT_BYTES) {
+            error(`${file.name} is larger than ${formatAttachmentSize(MAX_ATTACHMENT_BYTES)}`);
+            return;
+        }
+        setBusyId('upload');
+        try {
+            const attachment = await uploadAttachment(entityType, entityId, file);
+            setAttachments((prev) => [attachment, ...prev]);
+            success('Attachment uploaded');
+        } catch (err) {
+            error(err?.message || 'Failed to upload attachment');
+        } finally {
+            setBusyId(null);
+        }
+    }, [entityType, entityId, uploadAttachment, success, error]);
+
+    const handleDownload = useCallback(async (attachment) => {
+        setBusyId(attachment.id);
+        try {
+            await downloadAttachment(attachment);
+        } catch (err) {
+            error(err?.message || 'Failed to download attachment');
+        } finally {
+            setBusyId(null);
+        }
+    }, [downloadAttachment, error]);
+
+    const handleDelete = useCallback(async (attachment) => {
+        if (!window.confirm(`Delete ${attachment.fileName}?`)) return;
+        setBusyId(attachment.id);
+        try {
+            await deleteAttachment(attachment.id);
+            setAttachments((prev) => prev.filter((item) => item.id !== attachment.id));
+            success('Attachment deleted');
+        } catch (err) {
+            error(err?.message || 'Failed to delete attachment');
+        } finally {
+            setBusyId(null);
+        }
+    }, [deleteAttachment, success, error]);
+
+    return (
+        <div className="attachments-panel">
+            <div className="attachments-head">
+                <span className="attachments-title">
+                    <Paperclip size={16} />
+                    {title} ({attachments.length})
+                </span>
+                {canUpload && (
+                    <>
+                        <button
+                            type="button"
+                            className="btn-secondary"
+                            onClick={() => fileInputRef.current?.click()}
+                            disabled={busyId === 'upload'}
+                        >
+                            <Upload size={14} />
+                            {busyId === 'upload' ? 'Uploading...' : 'Upload'}
+                        </button>
+                        <input
+                            ref={fileInputRef}
+                            type="file"
+                            className="attachments-file-input"
+                            onChange={handleFileSelected}
+                            aria-label={`Upload ${title.toLowerCase()}`}
+                        />
+                    </>
+                )}
+            </div>
+
+            {loading ? (
+                <p className="attachments-empty">Loading attachments...</p>
+            ) : loadError ? (
+                <p className="attachments-empty">{loadError}</p>
+            ) : attachments.length === 0 ? (
+                <p className="attachments-empty">No files attached yet.</p>
+            ) : (
+                <ul className="attachments-list">
+                    {attachments.map((attachment) => (
+                        <li key={attachment.id} className="attachments-item">
+                            <button
+                                type="button"
+                                className="attachments-name"
+                                onClick={() => handleDownload(attachment)}
+                                disabled={busyId === attachment.id}
+                                title={`Download ${attachment.fileName}`}
+                            >
+                                <Download size={14} />
+                                <span>{attachment.fileName}</span>
+                            </button>
+                            <span className="attachments-meta">
+                                {formatAttachmentSize(attachment.sizeBytes)}
+                                {' · '}
+                                {attachment.uploadedByName || 'Unknown'}
+                                {' · '}
+                                {formatUploadedAt(attachment.createdAt)}
+                            </span>
+                            {canUpload && (
+                                <button
+                                    type="button"
+                                    className="attachments-delete"
+                                    onClick={() => handleDelete(attachment)}
+                                    disabled={busyId === attachment.id}
+                                    title="Delete attachment"
+                                >
+                                    <Trash2 size={14} />
+                                </button>
+                            )}
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,167 @@
+import { formatCustomFieldValue, isCustomFieldValueEmpty } from '../../../shared/customFields.js';
+import './CustomFieldInputs.css';
+
+const toUserNameMap = (userOptions, userNames) => {
+    const names = new Map(Object.entries(userNames || {}));
+    userOptions.forEach((user) => names.set(String(user.oid), user.name));
+    return names;
+};
+
+/**
+ * Inputs for an organization's custom fields. Values are keyed by definition id.
+ *
+ * Props:
+ *   definitions: active definitions for one entity type
+ *   values: { [definitionId]: value }
+ *   onChange: (nextValues) => void
+ *   userOptions: assignable users ({ oid, name, email }) for user fields
+ *   userNames: { [oid]: name } for saved users outside userOptions
+ *   disabled: render read-only inputs
+ */
+export function CustomFieldInputs({ definitions = [], values = {}, onChange, userOptions = [], userNames = {}, disabled = false }) {
+    if (definitions.length === 0) return null;
+    const names = toUserNameMap(userOptions, userNames);
+
+    const setValue = (id, value) => {
+        const next = { ...values };
+        if (isCustomFieldValueEmpty(value)) {
+            delete next[id];
+        } else {
+            next[id] = value;
+        }
+        onChange(next);
+    };
+
+    const renderInput = (definition) => {
+        const value = values[definition.id];
+        switch (definition.fieldType) {
+            case 'number':
+                return (
+                    <input
+                        type="number"
+                        step="any"
+                        value={value ?? ''}
+                        onChange={(e) => setValue(definition.id, e.target.value === '' ? null : e.target.value)}
+                        className="form-input"
+                        required={definition.isRequired}
+                        disabled={disabled}
+                    />
+                );
+            case 'date':
+                return (
+                    <input
+                        type="date"
+                        value={value || ''}
+                        onChange={(e) => setValue(definition.id, e.target.value)}
+                        className="form-input"
+                        required={definition.isRequired}
+                        disabled={disabled}
+                    />
+                );
+            case 'select':
+                return (
+                    <select
+                        value={value || ''}
+                        onChange={(e) => setValue(definition.id, e.target.value)}
+                        className="form-select"
+                        required={definition.isRequired}
+                        disabled={disabled}
+                    >
+                        <option value="">Not set</option>
+                        {value && !definition.options.includes(value) && (
+                            <option value={value}>{value} (no longer offered)</option>
+                        )}
+                        {definition.options.map((option) => (
+                            <option key={option} value={option}>{option}</option>
+                        ))}
+                    </select>
+                );
+            case 'multi-select': {
+                const selected = new Set(Array.isArray(value) ? value : []);
+                return (
+                    <div className="custom-field-options">
+                        {definition.options.map((option) => (
+                            <label key={option} className="custom-field-option">
+                                <input
+                                    type="checkbox"
+                                    checked={selected.has(option)}
+                                    disabled={disabled}
+                                    onChange={() => {
+                                        const next = new Set(selected);
+                                        if (next.has(option)) next.delete(option); else next.add(option);
+                                        setValue(definition.id, definition.options.filter((item) => next.has(item)));
+                                    }}
+                                />
+                                {option}
+                            </label>
+                        ))}
+                    </div>
+                );
+            }
+            case 'user': {
+                const isListed = !value || userOptions.some((user) => String(user.oid) === String(value));
+                return (
+                    <select
+                        value={value || ''}
+                        onChange={(e) => setValue(definition.id, e.target.value)}
+                        className="form-select"
+                        required={definition.isRequired}
+                        disabled={disabled}
+                    >
+                        <option value="">Not set</option>
+                        {!isListed && <option value={value}>{names.get(String(value)) || value}</option>}
+                        {userOptions.map((user) => (
+                            <option key={user.oid} value={user.oid}>
+                                {user.name}{user.email ? ` (${user.email})` : ''}
+                            </option>
+                        ))}
+                    </select>
+                );
+            }
+            default:
+                return (
+                    <input
+                        type="text"
+                        value={value || ''}
+                        onChange={(e) => setValue(definition.id, e.target.value)}
+                        className="form-input"
+                        required={definition.isRequired}
+                        disabled={disabled}
+                    />
+                );
+        }
+    };
+
+    return (
+        <div className="custom-field-inputs">
+            {definitions.map((definition) => (
+                <div key={definition.id} className="form-group">
+                    <label>
+                        {definition.label}
+                        {definition.isRequired && <span className="custom-field-required"> *</span>}
+                    </label>
+                    {renderInput(definition)}
+                </div>
+            ))}
+        </div>
+    );
+}
+
+/**
+ * Read-only label/value pairs for the fields that have a value.
+ */
+export function CustomFieldValues({ definitions = [], values = {}, userNames = {}, userOptions = [] }) {
+    const names = toUserNameMap(userOptions, userNames);
+    const filled = definitions.filter((definition) => !isCustomFieldValueEmpty(values[definition.id]));
+    if (filled.length === 0) return null;
+    return (
+        <dl className="custom-field-values">
+            {filled.map((definition) => (
+                <div key={definition.id} className="custom-field-value">
+                    <dt>{definition.label}</dt>
+                    <dd>{formatCustomFieldValue(definition, values[definition.id], names)}</dd>
+                </div>
+            ))}
+        </dl>
+    );
+}
@@ -0,0 +1,90 @@
+import { useState } from 'react';
+import { AlertTriangle } from 'lucide-react';
+import './EditConflictDialog.css';
+
+const defaultFormatValue = (_field, value) => {
+    if (value === null || value === undefined || value === '') return '(empty)';
+    if (Array.isArray(value)) return value.length ? value.join(', ') : '(none)';
+    return String(value);
+};
+
+/**
+ * Merge step for a save the server rejected with 412 because someone else saved first.
+ * Each conflicting field keeps the user's value or takes the saved one.
+ *
+ * Props:
+ *   conflicts: [{ field, current, submitted }] from the 412 response
+ *   fieldLabels: { [field]: label }
+ *   formatValue: (field, value) => string for display
+ *   onResolve: ({ [field]: chosenValue }) => void, called to save the merged values
+ *   onCancel: () => void, back to the form without saving
+ *   busy: disable the buttons while saving
+ */
+export function EditConflictDialog({ conflicts = [], fieldLabels = {}, formatValue = defaultFormatValue, onResolve, onCancel, busy = false }) {
+    const [choices, setChoices] = useState(() => Object.fromEntries(conflicts.map((conflict) => [conflict.field, 'mine'])));
+
+    const handleResolve = () => {
+        onResolve(Object.fromEntries(conflicts.map((conflict) => [
+            conflict.field,
+            choices[conflict.field] === 'theirs' ? conflict.current : conflict.submitted
+        ])));
+    };
+
+    return (
+        <div className="edit-conflict" role="alertdialog" aria-labelledby="edit-conflict-title">
+            <h4 id="edit-conflict-title" className="edit-conflict-title">
+                <AlertTriangle size={16} /> Someone else saved changes while you were editing
+            </h4>
+            <p className="edit-conflict-hint">Choose which value to keep for each field that differs, then save again.</p>
+            <table className="edit-conflict-table">
+                <thead>
+                    <tr>
+                        <th>Field</th>
+                        <th>Your change</th>
+                        <th>Saved by someone else</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {conflicts.map(({ field, current, submitted }) => {
+                        const label = fieldLabels[field] || field;
+                        return (
+                            <tr key={field}>
+                                <td>{label}</td>
+                                <td>
+                                    <label className="edit-conflict-choice">
+                                        <input
+                                            type="radio"
+                                            name={`conflict-${field}`}
+                                            checked={choices[field] !== 'theirs'}
+                                            onChange={() => setChoices((prev) => ({ ...prev, [field]: 'mine' }))}
+                                            aria-label={`Keep your ${label}`}
+                                        />
+                                        {formatValue(field, submitted)}
+                                    </label>
+                                </td>
+                                <td>
+                                    <label className="edit-conflict-choice">
+                                        <input
+                                            type="radio"
+                                            name={`conflict-${field}`}
+                                            checked={choices[field] === 'theirs'}
+                                            onChange={() => setChoices((prev) => ({ ...prev, [field]: 'theirs' }))}
+                                            aria-label={`Use saved ${label}`}
+                                        />
+                                        {formatValue(field, current)}
+                                    </label>
+                                </td>
+                            </tr>
+                        );
+                    })}
+                </tbody>
+            </table>
+            <div className="form-actions">
+                <button type="button" className="btn-secondary" onClick={onCancel} disabled={busy}>Back to form</button>
+                <button type="button" className="btn-primary" onClick={handleResolve} disabled={busy}>
+                    {busy ? 'Saving...' : 'Save merged changes'}
+                </button>
+            </div>
+        </div>
+    );
+}
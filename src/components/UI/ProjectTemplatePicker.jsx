@@ -0,0 +1,78 @@
+import { useEffect, useState } from 'react';
+import { useData } from '../../context/DataContext';
+
+/**
+ * Optional template choice for a new project: the org's active templates plus the
+ * kickoff date their task offsets are counted from. Renders nothing when no templates exist.
+ *
+ * Props:
+ *   orgId: string — owning organization (omit to use the signed-in user's org)
+ *   value: string — selected template id ('' for none)
+ *   onChange: (template|null) => void
+ *   startDate / onStartDateChange: kickoff date (YYYY-MM-DD)
+ */
+export function ProjectTemplatePicker({ orgId, value = '', onChange, startDate = '', onStartDateChange }) {
+    const { fetchProjectTemplates } = useData();
+    const [templates, setTemplates] = useState([]);
+
+    useEffect(() => {
+        let cancelled = false;
+        fetchProjectTemplates(orgId ? { orgId } : {})
+            .then((data) => {
+                if (!cancelled) setTemplates(Array.isArray(data?.templates) ? data.templates : []);
+            })
+            .catch((err) => {
+                console.warn('Failed to load project templates', err);
+                if (!cancelled) setTemplates([]);
+            });
+        return () => { cancelled = true; };
+    }, [orgId, fetchProjectTemplates]);
+
+    // A template from another org cannot be applied, so drop the choice when the org changes.
+    useEffect(() => {
+        if (value && !templates.some((template) => template.id === String(value))) {
+            onChange?.(null);
+        }
+    }, [templates, value, onChange]);
+
+    if (templates.length === 0) return null;
+    const selected = templates.find((template) => template.id === String(value)) || null;
+
+    return (
+        <div className="form-group">
+            <label>Project Template</label>
+            <select
+                value={value}
+                onChange={(e) => onChange?.(templates.find((template) => template.id === e.target.value) || null)}
+                className="form-select"
+            >
+                <option value="">No template</option>
+                {templates.map((template) => (
+                    <option key={template.id} value={template.id}>{template.name}</option>
+                ))}
+            </select>
+            {selected && (
+                <>
+                    <span className="form-hint">
+                        {selected.description ? `${selected.description} ` : ''}
+                        Adds {selected.taskCount} task{selected.taskCount === 1 ? '' : 's'}
+                        {selected.definition.benefits.length > 0 ? `, ${selected.definition.benefits.length} benefit placeholder(s)` : ''}
+                        {selected.definition.tagIds.length > 0 ? `, ${selected.definition.tagIds.length} tag(s)` : ''}.
+                    </span>
+                    {onStartDateChange && selected.taskCount > 0 && (
+                        <div style={{ marginTop: '0.5rem' }}>
+                            <label htmlFor="project-template-start">Kickoff date</label>
+                            <input
+                                id="project-template-start"
+                                type="date"
+                                value={startDate}
+                                onChange={(e) => onStartDateChange(e.target.value)}
+                                className="form-input"
+                            />
+                        </div>
+                    )}
+                </>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,52 @@
+import { RAID_SCORE_MAX, getRaidSeverity } from '../../../shared/raidLog.js';
+import './RiskHeatMap.css';
+
+const SCALE = Array.from({ length: RAID_SCORE_MAX }, (_, index) => index + 1);
+
+// Probability runs bottom to top and impact left to right, so the worst cell is top-right.
+export function RiskHeatMap({ cells, title = 'Risk Heat Map', compact = false }) {
+    const total = Array.isArray(cells)
+        ? cells.reduce((sum, row) => sum + (Array.isArray(row) ? row.reduce((rowSum, count) => rowSum + (Number(count) || 0), 0) : 0), 0)
+        : 0;
+
+    return (
+        <div className={`risk-heatmap ${compact ? 'compact' : ''}`}>
+            {title && (
+                <div className="risk-heatmap-title">
+                    {title}
+                    <span>{total} open scored risk{total === 1 ? '' : 's'}</span>
+                </div>
+            )}
+            <div className="risk-heatmap-body">
+                <div className="risk-heatmap-axis-y">Probability</div>
+                <div className="risk-heatmap-grid" role="table" aria-label={title || 'Risk heat map'}>
+                    {[...SCALE].reverse().map((probability) => (
+                        <div className="risk-heatmap-row" role="row" key={probability}>
+                            <span className="risk-heatmap-label" role="rowheader">{probability}</span>
+                            {SCALE.map((impact) => {
+                                const count = Number(cells?.[probability - 1]?.[impact - 1]) || 0;
+                                return (
+                                    <span
+                                        key={impact}
+                                        role="cell"
+                                        className={`risk-heatmap-cell severity-${getRaidSeverity(probability * impact)} ${count > 0 ? 'filled' : ''}`}
+                                        title={`Probability ${probability}, impact ${impact}: ${count} risk${count === 1 ? '' : 's'}`}
+                                    >
+                                        {count > 0 ? count : ''}
+                                    </span>
+                                );
+                            })}
+                        </div>
+                    ))}
+                    <div className="risk-heatmap-row">
+                        <span className="risk-heatmap-label" />
+                        {SCALE.map((impact) => (
+                            <span className="risk-heatmap-label" key={impact}>{impact}</span>
+                        ))}
+                    </div>
+                    <div className="risk-heatmap-axis-x">Impact</div>
+                </div>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,42 @@
+import { buildSparklinePoints } from '../../../shared/riskTrend.js';
+import './RiskSparkline.css';
+
+const WIDTH = 72;
+const HEIGHT = 20;
+
+// A rising risk score is bad news, so the line turns red when the last point is above the first.
+export function RiskSparkline({ points, width = WIDTH, height = HEIGHT }) {
+    const scores = (Array.isArray(points) ? points : []).map((point) => point.score);
+    if (scores.length < 2) {
+        return <span className="risk-sparkline-empty" title="Trend appears after two daily snapshots">-</span>;
+    }
+
+    const first = scores[0];
+    const last = scores[scores.length - 1];
+    const direction = last > first ? 'up' : last < first ? 'down' : 'flat';
+
+    return (
+        <svg
+            className={`risk-sparkline trend-${direction}`}
+            width={width}
+            height={height}
+            viewBox={`0 0 ${width} ${height}`}
+            role="img"
+            aria-label={`Risk score ${first} to ${last} over ${scores.length} days`}
+        >
+            <polyline points={buildSparklinePoints(scores, width, height)} fill="none" strokeWidth="1.5" />
+        </svg>
+    );
+}
+
+export function RiskDelta({ delta }) {
+    if (delta === null || delta === undefined) {
+        return <span className="risk-delta flat" title="No snapshot from a week ago yet">n/a</span>;
+    }
+    const direction = delta > 0 ? 'up' : delta < 0 ? 'down' : 'flat';
+    return (
+        <span className={`risk-delta ${direction}`} title="Change in risk score since a week ago">
+            {delta > 0 ? `+${delta}` : delta}
+        </span>
+    );
+}
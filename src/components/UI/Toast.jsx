@@ -20,6 +20,17 @@ export function ToastContainer() {
                     <div key={toast.id} className={`toast toast-${toast.type}`}>
                         <Icon size={18} className="toast-icon" />
                         <span className="toast-message">{toast.message}</span>
+                        {toast.action && (
+                            <button
+                                className="toast-action"
+                                onClick={() => {
+                                    removeToast(toast.id);
+                                    toast.action.onClick();
+                                }}
+                            >
+                                {toast.action.label}
+                            </button>
+                        )}
                         <button
                             className="toast-close"
                             onClick={() => removeToast(toast.id)}
@@ -3,6 +3,7 @@ import { useMsal } from '@azure/msal-react';
 import { InteractionRequiredAuthError, BrowserAuthError } from '@azure/msal-browser';
 import { apiRequest } from '../authConfig';
 import { fetchWithAuth, API_BASE } from '../apiClient';
+import { getWorkflowStates, isTaskDone } from '../../shared/taskWorkflows.js';
 
 const DataContext = createContext();
 
@@ -11,10 +12,17 @@ function calcProjectCompletion(project) {
     // ... (unchanged)
     if (!project._detailsLoaded) return project.completion || 0;
     if (!project.tasks || project.tasks.length === 0) return 0;
-    const doneCount = project.tasks.filter(t => t.status === 'done').length;
+    const workflowStates = getWorkflowStates(project.taskWorkflow);
+    const doneCount = project.tasks.filter(t => isTaskDone(t, workflowStates)).length;
     return Math.round((doneCount / project.tasks.length) * 100);
 }
 
+// If-Match for edit routes: a stale etag makes the server answer 412 with the conflicting fields
+// (thrown as an ApiError whose data carries conflicts, current values and the new etag).
+function ifMatchHeaders(etag) {
+    return etag ? { 'If-Match': etag } : undefined;
+}
+
 export function DataProvider({ children }) {
     // ... State definitions (unchanged)
     const [goals, setGoals] = useState([]);
@@ -446,15 +454,18 @@ export function DataProvider({ children }) {
         }
     }, [authFetch, getApiErrorMessage]);
 
-    const updateGoal = useCallback(async (id, updates) => {
+    const updateGoal = useCallback(async (id, updates, { etag } = {}) => {
         try {
-            await authFetch(`${API_BASE}/goals/${id}`, {
+            const res = await authFetch(`${API_BASE}/goals/${id}`, {
                 method: 'PUT',
+                headers: ifMatchHeaders(etag),
                 body: JSON.stringify(updates)
             });
-            setGoals(prev => prev.map(g => g.id === id ? { ...g, ...updates } : g));
+            const data = await res.json().catch(() => ({}));
+            setGoals(prev => prev.map(g => g.id === id ? { ...g, ...updates, etag: data?.etag ?? g.etag } : g));
         } catch (err) {
             console.error('Error updating goal:', err);
+            throw err;
         }
     }, [authFetch]);
 
@@ -532,16 +543,41 @@ export function DataProvider({ children }) {
 
     const deleteKpi = useCallback(async (goalId, kpiId) => {
         try {
-            await authFetch(`${API_BASE}/kpis/${kpiId}`, { method: 'DELETE' });
+            const res = await authFetch(`${API_BASE}/kpis/${kpiId}`, { method: 'DELETE' });
+            const result = await res.json();
             setGoals(prev => prev.map(g => {
                 if (g.id !== goalId) return g;
                 return { ...g, kpis: (g.kpis || []).filter(k => k.id !== kpiId) };
             }));
+            return result;
         } catch (err) {
             console.error('Error deleting KPI:', err);
+            return null;
         }
     }, [authFetch]);
 
+    const restoreKpi = useCallback(async (goalId, kpiId) => {
+        const res = await authFetch(`${API_BASE}/kpis/${kpiId}/restore`, { method: 'POST' });
+        if (!res.ok) {
+            throw new Error(await getApiErrorMessage(res, 'Failed to restore KPI'));
+        }
+        const restored = await res.json();
+        setGoals(prev => prev.map(g => {
+            if (g.id !== goalId) return g;
+            const kpis = (g.kpis || []).filter(k => String(k.id) !== String(restored.id));
+            return { ...g, kpis: [...kpis, restored] };
+        }));
+        return restored;
+    }, [authFetch, getApiErrorMessage]);
+
+    const fetchGoalRecycleBin = useCallback(async (goalId) => {
+        const res = await authFetch(`${API_BASE}/goals/${goalId}/recycle-bin`);
+        if (!res.ok) {
+            throw new Error(await getApiErrorMessage(res, 'Failed to load recycle bin'));
+        }
+        return await res.json();
+    }, [authFetch, getApiErrorMessage]);
+
     // ==================== PROJECTS ====================
 
     // Fetch full project details (tasks, reports, etc.) on demand
@@ -597,13 +633,17 @@ export function DataProvider({ children }) {
         }
     }, [authFetch]);
 
-    const updateProject = useCallback(async (id, updates) => {
+    const updateProject = useCallback(async (id, updates, { etag } = {}) => {
         try {
-            await authFetch(`${API_BASE}/projects/${id}`, {
+            const res = await authFetch(`${API_BASE}/projects/${id}`, {
                 method: 'PUT',
+                headers: ifMatchHeaders(etag),
                 body: JSON.stringify(updates)
             });
-            setProjects(prev => prev.map(p => p.id === id ? { ...p, ...updates } : p));
+            const data = await res.json().catch(() => ({}));
+            // Status changes move the lifecycle state and start or end a hold on the server.
+            const { success: _success, etag: savedEtag, ...savedState } = data || {};
+            setProjects(prev => prev.map(p => p.id === id ? { ...p, ...updates, ...savedState, etag: savedEtag ?? p.etag } : p));
             return true;
         } catch (err) {
             console.error('Error updating project:', err);
@@ -635,6 +675,40 @@ export function DataProvider({ children }) {
         return await res.json();
     }, [authFetch, getApiErrorMessage, refreshActiveProjects]);
 
+    const applyProjectHoldState = useCallback((projectId, saved) => {
+        const normalizedId = String(projectId);
+        const { success: _success, etag: savedEtag, ...state } = saved || {};
+        setProjects(prev => prev.map((project) => (
+            String(project.id) === normalizedId ? { ...project, ...state, etag: savedEtag ?? project.etag } : project
+        )));
+    }, []);
+
+    const resumeProject = useCallback(async (projectId, { etag } = {}) => {
+        const res = await authFetch(`${API_BASE}/projects/${projectId}/resume`, {
+            method: 'POST',
+            headers: ifMatchHeaders(etag)
+        });
+        if (!res.ok) {
+            throw new Error(await getApiErrorMessage(res, 'Failed to resume project'));
+        }
+        const saved = await res.json();
+        applyProjectHoldState(projectId, saved);
+        return saved;
+    }, [authFetch, getApiErrorMessage, applyProjectHoldState]);
+
+    const cloneProject = useCallback(async (projectId, options) => {
+        const res = await authFetch(`${API_BASE}/projects/${projectId}/clone`, {
+            method: 'POST',
+            body: JSON.stringify(options || {})
+        });
+        if (!res.ok) {
+            throw new Error(await getApiErrorMessage(res, 'Failed to clone project'));
+        }
+        const newProject = await res.json();
+        setProjects(prev => [...prev, newProject]);
+        return newProject;
+    }, [authFetch, getApiErrorMessage]);
+
     const setProjectWatchState = useCallback((projectId, isWatched) => {
         const normalizedId = String(projectId);
         setProjects(prev => prev.map((project) => (
@@ -711,10 +785,11 @@ export function DataProvider({ children }) {
         }
     }, [authFetch]);
 
-    const updateTask = useCallback(async (projectId, taskId, updates) => {
+    const updateTask = useCallback(async (projectId, taskId, updates, { etag } = {}) => {
         try {
             const res = await authFetch(`${API_BASE}/tasks/${taskId}`, {
                 method: 'PUT',
+                headers: ifMatchHeaders(etag),
                 body: JSON.stringify(updates)
             });
             const data = await res.json().catch(() => ({}));
@@ -735,13 +810,41 @@ export function DataProvider({ children }) {
         }
     }, [authFetch]);
 
+    // All-or-nothing: a failed batch throws with the server's per-row results attached.
+    const bulkUpdateTasks = useCallback(async (projectId, updates) => {
+        const res = await authFetch(`${API_BASE}/tasks/bulk`, {
+            method: 'POST',
+            body: JSON.stringify({ projectId, updates })
+        });
+        const data = await res.json().catch(() => ({}));
+        if (!res.ok) {
+            const bulkError = new Error(data?.error || 'Failed to update tasks');
+            bulkError.results = Array.isArray(data?.results) ? data.results : [];
+            throw bulkError;
+        }
+        const patchesById = new Map((data.results || []).map((result) => [String(result.taskId), result.task || {}]));
+        setProjects(prev => prev.map(p => {
+            if (String(p.id) !== String(projectId) || !p.tasks) return p;
+            return {
+                ...p,
+                tasks: p.tasks.map(t => (patchesById.has(String(t.id)) ? { ...t, ...patchesById.get(String(t.id)) } : t))
+            };
+        }));
+        return data;
+    }, [authFetch]);
+
     const moveTask = useCallback(async (projectId, taskId, newStatus) => {
         await updateTask(projectId, taskId, { status: newStatus });
     }, [updateTask]);
 
+    // Resolves to { recycled, purgeAfter }; recycled tasks can be brought back with restoreTask
     const deleteTask = useCallback(async (projectId, taskId) => {
         try {
-            await authFetch(`${API_BASE}/tasks/${taskId}`, { method: 'DELETE' });
+            const res = await authFetch(`${API_BASE}/tasks/${taskId}`, { method: 'DELETE' });
+            if (!res.ok) {
+                throw new Error(await getApiErrorMessage(res, 'Failed to delete task'));
+            }
+            const result = await res.json();
             setProjects(prev => prev.map(p => {
                 if (String(p.id) !== String(projectId)) return p;
                 if (!p.tasks) return { ...p, taskCount: Math.max(0, (p.taskCount || 1) - 1) };
@@ -749,15 +852,37 @@ export function DataProvider({ children }) {
                 return {
                     ...p,
                     tasks: p.tasks.filter(t => String(t.id) !== String(taskId)),
+                    dependencies: (p.dependencies || []).filter((d) => (
+                        String(d.predecessorTaskId) !== String(taskId) && String(d.successorTaskId) !== String(taskId)
+                    )),
                     taskCount: p.tasks.length - 1
                 };
             }));
-            return true;
+            return result;
         } catch (err) {
             console.error('Error deleting task:', err);
             throw err;
         }
-    }, [authFetch]);
+    }, [authFetch, getApiErrorMessage]);
+
+    // Restoring brings back the task's checklist, links and sub-tasks too, so reload the whole project
+    const restoreTask = useCallback(async (projectId, taskId) => {
+        const res = await authFetch(`${API_BASE}/tasks/${taskId}/restore`, { method: 'POST' });
+        if (!res.ok) {
+            throw new Error(await getApiErrorMessage(res, 'Failed to restore task'));
+        }
+        const restored = await res.json();
+        await loadProjectDetails(projectId);
+        return restored;
+    }, [authFetch, getApiErrorMessage, loadProjectDetails]);
+
+    const fetchProjectRecycleBin = useCallback(async (projectId) => {
+        const res = await authFetch(`${API_BASE}/projects/${projectId}/recycle-bin`);
+        if (!res.ok) {
+            throw new Error(await getApiErrorMessage(res, 'Failed to load recycle bin'));
+        }
+        return await res.json();
+    }, [authFetch, getApiErrorMessage]);
 
     const fetchAssignableUsers = useCallback(async (query = '') => {
         const params = new URLSearchParams();
@@ -795,207 +920,1133 @@ export function DataProvider({ children }) {
         return await res.json();
     }, [authFetch]);
 
-    // ==================== STATUS REPORTS ====================
+    const restoreTaskChecklistItem = useCallback(async (taskId, itemId) => {
+        const res = await authFetch(`${API_BASE}/tasks/${taskId}/checklist/${itemId}/restore`, {
+            method: 'POST'
+        });
+        if (!res.ok) {
+            throw new Error(await getApiErrorMessage(res, 'Failed to restore checklist item'));
+        }
+        return await res.json();
+    }, [authFetch, getApiErrorMessage]);
 
-    const addStatusReport = useCallback(async (projectId, reportData) => {
-        try {
-            const res = await authFetch(`${API_BASE}/projects/${projectId}/reports`, {
-                method: 'POST',
-                body: JSON.stringify({ reportData, createdBy: reportData.createdBy })
-            });
-            const newReport = await res.json();
-            setProjects(prev => prev.map(p => {
-                if (p.id !== projectId) return p;
-                return {
-                    ...p,
-                    statusReports: [...(p.statusReports || []), newReport],
-                    latestReport: newReport,
-                    reportCount: (p.reportCount || 0) + 1
-                };
-            }));
-        } catch (err) {
-            console.error('Error adding status report:', err);
+    const setProjectDependencies = useCallback((projectId, updater) => {
+        setProjects(prev => prev.map(p => (
+            String(p.id) === String(projectId)
+                ? { ...p, dependencies: updater(p.dependencies || []) }
+                : p
+        )));
+    }, []);
+
+    const fetchTaskDependencies = useCallback(async (taskId) => {
+        const res = await authFetch(`${API_BASE}/tasks/${taskId}/dependencies`);
+        if (!res.ok) {
+            throw new Error(await getApiErrorMessage(res, 'Failed to load task dependencies'));
         }
-    }, [authFetch]);
+        return await res.json();
+    }, [authFetch, getApiErrorMessage]);
 
-    const getLatestStatusReport = useCallback((projectId) => {
-        const project = projects.find(p => p.id === projectId);
-        if (!project) return null;
-        // optimization: check pre-fetched latestReport
-        if (project.latestReport) return project.latestReport;
-        // fallback: check statusReports array if loaded
-        if (project.statusReports?.length) return project.statusReports[project.statusReports.length - 1];
-        return null;
-    }, [projects]);
+    const addTaskDependency = useCallback(async (projectId, taskId, payload) => {
+        const res = await authFetch(`${API_BASE}/tasks/${taskId}/dependencies`, {
+            method: 'POST',
+            body: JSON.stringify(payload)
+        });
+        if (!res.ok) {
+            throw new Error(await getApiErrorMessage(res, 'Failed to add task dependency'));
+        }
+        const dependency = await res.json();
+        setProjectDependencies(projectId, (dependencies) => [...dependencies, dependency]);
+        return dependency;
+    }, [authFetch, getApiErrorMessage, setProjectDependencies]);
 
-    const restoreStatusReport = useCallback(async (projectId, reportId, author) => {
-        const project = projects.find(p => p.id === projectId);
-        const reportToRestore = project?.statusReports?.find(r => r.id === reportId);
-        if (!reportToRestore) return;
+    const updateTaskDependency = useCallback(async (projectId, taskId, dependencyId, payload) => {
+        const res = await authFetch(`${API_BASE}/tasks/${taskId}/dependencies/${dependencyId}`, {
+            method: 'PUT',
+            body: JSON.stringify(payload)
+        });
+        if (!res.ok) {
+            throw new Error(await getApiErrorMessage(res, 'Failed to update task dependency'));
+        }
+        const dependency = await res.json();
+        setProjectDependencies(projectId, (dependencies) => dependencies.map((d) => (
+            String(d.id) === String(dependencyId) ? { ...d, ...dependency } : d
+        )));
+        return dependency;
+    }, [authFetch, getApiErrorMessage, setProjectDependencies]);
 
-        try {
-            const res = await authFetch(`${API_BASE}/projects/${projectId}/reports`, {
-                method: 'POST',
-                body: JSON.stringify({
-                    reportData: reportToRestore,
-                    createdBy: author,
-                    restoredFrom: reportToRestore.version
-                })
-            });
-            const newReport = await res.json();
-            setProjects(prev => prev.map(p => {
-                if (p.id !== projectId) return p;
-                return { ...p, statusReports: [...(p.statusReports || []), newReport] };
-            }));
-        } catch (err) {
-            console.error('Error restoring status report:', err);
+    const removeTaskDependency = useCallback(async (projectId, taskId, dependencyId) => {
+        const res = await authFetch(`${API_BASE}/tasks/${taskId}/dependencies/${dependencyId}`, {
+            method: 'DELETE'
+        });
+        if (!res.ok) {
+            throw new Error(await getApiErrorMessage(res, 'Failed to remove task dependency'));
         }
-    }, [projects, authFetch]);
+        setProjectDependencies(projectId, (dependencies) => dependencies.filter((d) => String(d.id) !== String(dependencyId)));
+        return true;
+    }, [authFetch, getApiErrorMessage, setProjectDependencies]);
 
-    const fetchProjectBenefitsRisk = useCallback(async (projectId) => {
-        const res = await authFetch(`${API_BASE}/projects/${projectId}/benefits-risk`);
+    const fetchTaskComments = useCallback(async (taskId) => {
+        const res = await authFetch(`${API_BASE}/tasks/${taskId}/comments`);
         if (!res.ok) {
-            throw new Error(await getApiErrorMessage(res, 'Failed to load project benefits and risk'));
+            throw new Error(await getApiErrorMessage(res, 'Failed to load comments'));
         }
         return await res.json();
     }, [authFetch, getApiErrorMessage]);
 
-    const createProjectBenefit = useCallback(async (projectId, payload) => {
-        const res = await authFetch(`${API_BASE}/projects/${projectId}/benefits`, {
+    const addTaskComment = useCallback(async (taskId, payload) => {
+        const res = await authFetch(`${API_BASE}/tasks/${taskId}/comments`, {
             method: 'POST',
-            body: JSON.stringify(payload || {})
+            body: JSON.stringify(payload)
         });
         if (!res.ok) {
-            throw new Error(await getApiErrorMessage(res, 'Failed to create project benefit'));
+            throw new Error(await getApiErrorMessage(res, 'Failed to add comment'));
         }
         return await res.json();
     }, [authFetch, getApiErrorMessage]);
 
-    const updateProjectBenefit = useCallback(async (projectId, benefitId, payload) => {
-        const res = await authFetch(`${API_BASE}/projects/${projectId}/benefits/${benefitId}`, {
+    const updateTaskComment = useCallback(async (taskId, commentId, payload) => {
+        const res = await authFetch(`${API_BASE}/tasks/${taskId}/comments/${commentId}`, {
             method: 'PUT',
-            body: JSON.stringify(payload || {})
+            body: JSON.stringify(payload)
         });
         if (!res.ok) {
-            throw new Error(await getApiErrorMessage(res, 'Failed to update project benefit'));
+            throw new Error(await getApiErrorMessage(res, 'Failed to update comment'));
         }
         return await res.json();
     }, [authFetch, getApiErrorMessage]);
 
-    const deleteProjectBenefit = useCallback(async (projectId, benefitId) => {
-        const res = await authFetch(`${API_BASE}/projects/${projectId}/benefits/${benefitId}`, {
+    const deleteTaskComment = useCallback(async (taskId, commentId) => {
+        const res = await authFetch(`${API_BASE}/tasks/${taskId}/comments/${commentId}`, {
             method: 'DELETE'
         });
         if (!res.ok) {
-            throw new Error(await getApiErrorMessage(res, 'Failed to delete project benefit'));
+            throw new Error(await getApiErrorMessage(res, 'Failed to delete comment'));
         }
         return await res.json();
     }, [authFetch, getApiErrorMessage]);
 
-    // ==================== INTAKE FORMS ====================
-
-    const addIntakeForm = useCallback(async (form) => {
-        try {
-            const res = await authFetch(`${API_BASE}/intake/forms`, {
-                method: 'POST',
-                body: JSON.stringify(form)
-            });
-            if (!res.ok) {
-                throw new Error(await getApiErrorMessage(res, 'Failed to create intake form'));
-            }
-            const newForm = await res.json();
-            setIntakeForms(prev => [...prev, newForm]);
-            return newForm.id;
-        } catch (err) {
-            console.error('Error adding intake form:', err);
-            throw err;
+    const fetchTaskCommentHistory = useCallback(async (taskId, commentId) => {
+        const res = await authFetch(`${API_BASE}/tasks/${taskId}/comments/${commentId}/history`);
+        if (!res.ok) {
+            throw new Error(await getApiErrorMessage(res, 'Failed to load comment history'));
         }
+        return await res.json();
     }, [authFetch, getApiErrorMessage]);
 
-    const updateIntakeForm = useCallback(async (id, updates) => {
-        try {
-            const res = await authFetch(`${API_BASE}/intake/forms/${id}`, {
-                method: 'PUT',
-                body: JSON.stringify(updates)
-            });
-            if (!res.ok) {
-                throw new Error(await getApiErrorMessage(res, 'Failed to update intake form'));
-            }
-            setIntakeForms(prev => prev.map(f => f.id === id ? { ...f, ...updates } : f));
-        } catch (err) {
-            console.error('Error updating intake form:', err);
-            throw err;
+    const fetchMyMentions = useCallback(async (params = {}) => {
+        const query = new URLSearchParams();
+        if (params.limit) query.set('limit', String(params.limit));
+        if (params.unread) query.set('unread', 'true');
+        const suffix = query.toString() ? `?${query.toString()}` : '';
+        const res = await authFetch(`${API_BASE}/users/me/mentions${suffix}`);
+        if (!res.ok) {
+            throw new Error(await getApiErrorMessage(res, 'Failed to load mentions'));
         }
+        return await res.json();
     }, [authFetch, getApiErrorMessage]);
 
-    const deleteIntakeForm = useCallback(async (id) => {
-        try {
-            const res = await authFetch(`${API_BASE}/intake/forms/${id}`, { method: 'DELETE' });
-            if (!res.ok) {
-                throw new Error(await getApiErrorMessage(res, 'Failed to retire or archive intake form'));
-            }
-            const payload = await res.json().catch(() => ({}));
-            if (payload?.lifecycleState === 'deleted') {
-                setIntakeForms(prev => prev.filter(f => f.id !== id));
-            } else {
-                await refreshIntakeForms('all');
-            }
-        } catch (err) {
-            console.error('Error deleting intake form:', err);
-            throw err;
+    const fetchResumeReminders = useCallback(async () => {
+        const res = await authFetch(`${API_BASE}/users/me/resume-reminders`);
+        if (!res.ok) {
+            throw new Error(await getApiErrorMessage(res, 'Failed to load resume reminders'));
         }
-    }, [authFetch, getApiErrorMessage, refreshIntakeForms]);
+        return await res.json();
+    }, [authFetch, getApiErrorMessage]);
 
-    const retireIntakeForm = useCallback(async (id) => {
-        const res = await authFetch(`${API_BASE}/intake/forms/${id}/retire`, {
-            method: 'POST'
+    const markMentionsRead = useCallback(async (mentionIds) => {
+        const res = await authFetch(`${API_BASE}/users/me/mentions/read`, {
+            method: 'POST',
+            body: JSON.stringify(Array.isArray(mentionIds) ? { mentionIds } : {})
         });
         if (!res.ok) {
-            throw new Error(await getApiErrorMessage(res, 'Failed to retire intake form'));
+            throw new Error(await getApiErrorMessage(res, 'Failed to update mentions'));
         }
-        await refreshIntakeForms('all');
         return await res.json();
-    }, [authFetch, getApiErrorMessage, refreshIntakeForms]);
+    }, [authFetch, getApiErrorMessage]);
 
-    const restoreIntakeForm = useCallback(async (id) => {
-        const res = await authFetch(`${API_BASE}/intake/forms/${id}/restore`, {
-            method: 'POST'
+    const fetchCalendarFeeds = useCallback(async () => {
+        const res = await authFetch(`${API_BASE}/users/me/calendar-feeds`);
+        if (!res.ok) {
+            throw new Error(await getApiErrorMessage(res, 'Failed to load calendar feeds'));
+        }
+        return await res.json();
+    }, [authFetch, getApiErrorMessage]);
+
+    const createCalendarFeed = useCallback(async (label) => {
+        const res = await authFetch(`${API_BASE}/users/me/calendar-feeds`, {
+            method: 'POST',
+            body: JSON.stringify({ label })
         });
         if (!res.ok) {
-            throw new Error(await getApiErrorMessage(res, 'Failed to restore intake form'));
+            throw new Error(await getApiErrorMessage(res, 'Failed to create calendar feed'));
         }
-        await refreshIntakeForms('all');
         return await res.json();
-    }, [authFetch, getApiErrorMessage, refreshIntakeForms]);
+    }, [authFetch, getApiErrorMessage]);
 
+    const revokeCalendarFeed = useCallback(async (feedId) => {
+        const res = await authFetch(`${API_BASE}/users/me/calendar-feeds/${feedId}`, { method: 'DELETE' });
+        if (!res.ok) {
+            throw new Error(await getApiErrorMessage(res, 'Failed to revoke calendar feed'));
+        }
+        return await res.json();
+    }, [authFetch, getApiErrorMessage]);
 
-    // ==================== ORGANIZATIONS ====================
+    // ==================== TIME ENTRIES ====================
 
-    const fetchOrganizations = useCallback(async () => {
-        const res = await authFetch(`${API_BASE}/admin/organizations`);
+    // Keep a loaded project's task actualHours in step with entry changes.
+    const adjustTaskActualHours = useCallback((projectId, taskId, deltaHours) => {
+        if (!deltaHours) return;
+        setProjects(prev => prev.map(p => {
+            if (String(p.id) !== String(projectId) || !p.tasks) return p;
+            return {
+                ...p,
+                tasks: p.tasks.map(t => String(t.id) === String(taskId)
+                    ? { ...t, actualHours: Math.max(0, Math.round(((Number(t.actualHours) || 0) + deltaHours) * 100) / 100) }
+                    : t)
+            };
+        }));
+    }, []);
+
+    const fetchTaskTimeEntries = useCallback(async (taskId) => {
+        const res = await authFetch(`${API_BASE}/tasks/${taskId}/time-entries`);
+        if (!res.ok) {
+            throw new Error(await getApiErrorMessage(res, 'Failed to load time entries'));
+        }
         return await res.json();
-    }, [authFetch]);
+    }, [authFetch, getApiErrorMessage]);
 
-    const createOrganization = useCallback(async (payload) => {
-        const res = await authFetch(`${API_BASE}/admin/organizations`, {
+    const addTaskTimeEntry = useCallback(async (projectId, taskId, payload) => {
+        const res = await authFetch(`${API_BASE}/tasks/${taskId}/time-entries`, {
             method: 'POST',
             body: JSON.stringify(payload)
         });
         if (!res.ok) {
-            const data = await res.json().catch(() => ({}));
-            throw new Error(data.error || 'Failed to create organization');
+            throw new Error(await getApiErrorMessage(res, 'Failed to log time'));
         }
-        return await res.json();
-    }, [authFetch]);
+        const entry = await res.json();
+        adjustTaskActualHours(projectId, taskId, entry.hours);
+        return entry;
+    }, [authFetch, getApiErrorMessage, adjustTaskActualHours]);
 
-    const updateOrganization = useCallback(async (id, payload) => {
-        const res = await authFetch(`${API_BASE}/admin/organizations/${id}`, {
+    const updateTaskTimeEntry = useCallback(async (projectId, taskId, entry, updates) => {
+        const res = await authFetch(`${API_BASE}/tasks/${taskId}/time-entries/${entry.id}`, {
             method: 'PUT',
-            body: JSON.stringify(payload)
+            body: JSON.stringify(updates)
         });
-        if (!res.ok) throw new Error('Failed to update organization');
-        return await res.json();
-    }, [authFetch]);
+        if (!res.ok) {
+            throw new Error(await getApiErrorMessage(res, 'Failed to update time entry'));
+        }
+        const updated = await res.json();
+        adjustTaskActualHours(projectId, taskId, updated.hours - entry.hours);
+        return updated;
+    }, [authFetch, getApiErrorMessage, adjustTaskActualHours]);
+
+    const deleteTaskTimeEntry = useCallback(async (projectId, taskId, entry) => {
+        const res = await authFetch(`${API_BASE}/tasks/${taskId}/time-entries/${entry.id}`, { method: 'DELETE' });
+        if (!res.ok) {
+            throw new Error(await getApiErrorMessage(res, 'Failed to delete time entry'));
+        }
+        adjustTaskActualHours(projectId, taskId, -entry.hours);
+        return await res.json();
+    }, [authFetch, getApiErrorMessage, adjustTaskActualHours]);
+
+    const fetchTimesheet = useCallback(async (params = {}) => {
+        const query = new URLSearchParams();
+        if (params.weekStart) query.set('weekStart', params.weekStart);
+        if (params.userOid) query.set('userOid', params.userOid);
+        const suffix = query.toString() ? `?${query.toString()}` : '';
+        const res = await authFetch(`${API_BASE}/time-entries/timesheet${suffix}`);
+        if (!res.ok) {
+            throw new Error(await getApiErrorMessage(res, 'Failed to load timesheet'));
+        }
+        return await res.json();
+    }, [authFetch, getApiErrorMessage]);
+
+    const fetchTimeEntrySummary = useCallback(async (params = {}) => {
+        const query = new URLSearchParams();
+        ['groupBy', 'from', 'to', 'projectId'].forEach((key) => {
+            if (params[key]) query.set(key, String(params[key]));
+        });
+        const suffix = query.toString() ? `?${query.toString()}` : '';
+        const res = await authFetch(`${API_BASE}/time-entries/summary${suffix}`);
+        if (!res.ok) {
+            throw new Error(await getApiErrorMessage(res, 'Failed to load time summary'));
+        }
+        return await res.json();
+    }, [authFetch, getApiErrorMessage]);
+
+    const fetchResourceHeatmap = useCallback(async (params = {}) => {
+        const query = new URLSearchParams();
+        ['bucket', 'from', 'buckets', 'weeklyCapacityHours'].forEach((key) => {
+            if (params[key]) query.set(key, String(params[key]));
+        });
+        const suffix = query.toString() ? `?${query.toString()}` : '';
+        const res = await authFetch(`${API_BASE}/resources/heatmap${suffix}`);
+        if (!res.ok) {
+            throw new Error(await getApiErrorMessage(res, 'Failed to load resource allocation'));
+        }
+        return await res.json();
+    }, [authFetch, getApiErrorMessage]);
+
+    // ==================== PROJECT TEMPLATES ====================
+
+    const fetchProjectTemplates = useCallback(async (params = {}) => {
+        const query = new URLSearchParams();
+        if (params.orgId) query.set('orgId', String(params.orgId));
+        if (params.includeInactive) query.set('includeInactive', 'true');
+        const suffix = query.toString() ? `?${query.toString()}` : '';
+        const res = await authFetch(`${API_BASE}/project-templates${suffix}`);
+        if (!res.ok) {
+            throw new Error(await getApiErrorMessage(res, 'Failed to load project templates'));
+        }
+        return await res.json();
+    }, [authFetch, getApiErrorMessage]);
+
+    const saveProjectTemplate = useCallback(async (template) => {
+        const res = await authFetch(
+            template.id ? `${API_BASE}/project-templates/${template.id}` : `${API_BASE}/project-templates`,
+            {
+                method: template.id ? 'PUT' : 'POST',
+                body: JSON.stringify(template)
+            }
+        );
+        if (!res.ok) {
+            throw new Error(await getApiErrorMessage(res, 'Failed to save project template'));
+        }
+        return await res.json();
+    }, [authFetch, getApiErrorMessage]);
+
+    const deleteProjectTemplate = useCallback(async (templateId) => {
+        const res = await authFetch(`${API_BASE}/project-templates/${templateId}`, { method: 'DELETE' });
+        if (!res.ok) {
+            throw new Error(await getApiErrorMessage(res, 'Failed to delete project template'));
+        }
+        return true;
+    }, [authFetch, getApiErrorMessage]);
+
+    // ==================== TASK WORKFLOWS ====================
+
+    const fetchTaskWorkflow = useCallback(async (orgId) => {
+        const suffix = orgId ? `?orgId=${encodeURIComponent(orgId)}` : '';
+        const res = await authFetch(`${API_BASE}/task-workflows${suffix}`);
+        if (!res.ok) {
+            throw new Error(await getApiErrorMessage(res, 'Failed to load task workflow'));
+        }
+        return await res.json();
+    }, [authFetch, getApiErrorMessage]);
+
+    // Removing a state that tasks still use fails with err.data.unmappedStatuses; retry with a remap.
+    const saveOrgTaskWorkflow = useCallback(async (orgId, workflow) => {
+        const res = await authFetch(`${API_BASE}/task-workflows/org/${orgId}`, {
+            method: 'PUT',
+            body: JSON.stringify(workflow)
+        });
+        if (!res.ok) {
+            throw new Error(await getApiErrorMessage(res, 'Failed to save task workflow'));
+        }
+        return await res.json();
+    }, [authFetch, getApiErrorMessage]);
+
+    const deleteOrgTaskWorkflow = useCallback(async (orgId, remap) => {
+        const res = await authFetch(`${API_BASE}/task-workflows/org/${orgId}`, {
+            method: 'DELETE',
+            body: JSON.stringify({ remap })
+        });
+        if (!res.ok) {
+            throw new Error(await getApiErrorMessage(res, 'Failed to reset task workflow'));
+        }
+        return await res.json();
+    }, [authFetch, getApiErrorMessage]);
+
+    // Project workflow changes can move tasks between states, so the project is reloaded afterwards.
+    const saveProjectTaskWorkflow = useCallback(async (projectId, workflow) => {
+        const res = await authFetch(`${API_BASE}/projects/${projectId}/task-workflow`, {
+            method: 'PUT',
+            body: JSON.stringify(workflow)
+        });
+        if (!res.ok) {
+            throw new Error(await getApiErrorMessage(res, 'Failed to save project workflow'));
+        }
+        const saved = await res.json();
+        await loadProjectDetails(projectId);
+        return saved;
+    }, [authFetch, getApiErrorMessage, loadProjectDetails]);
+
+    const saveProjectWipLimits = useCallback(async (projectId, settings) => {
+        const res = await authFetch(`${API_BASE}/projects/${projectId}/wip-limits`, {
+            method: 'PUT',
+            body: JSON.stringify(settings)
+        });
+        if (!res.ok) {
+            throw new Error(await getApiErrorMessage(res, 'Failed to save WIP limits'));
+        }
+        const saved = await res.json();
+        setProjects(prev => prev.map(p => (
+            String(p.id) === String(projectId) ? { ...p, wipLimits: saved } : p
+        )));
+        return saved;
+    }, [authFetch, getApiErrorMessage]);
+
+    const deleteProjectTaskWorkflow = useCallback(async (projectId, remap) => {
+        const res = await authFetch(`${API_BASE}/projects/${projectId}/task-workflow`, {
+            method: 'DELETE',
+            body: JSON.stringify({ remap })
+        });
+        if (!res.ok) {
+            throw new Error(await getApiErrorMessage(res, 'Failed to reset project workflow'));
+        }
+        const fallback = await res.json();
+        await loadProjectDetails(projectId);
+        return fallback;
+    }, [authFetch, getApiErrorMessage, loadProjectDetails]);
+
+    // ==================== ATTACHMENTS ====================
+
+    const fetchAttachments = useCallback(async (entityType, entityId) => {
+        const params = new URLSearchParams({ entityType, entityId: String(entityId) });
+        const res = await authFetch(`${API_BASE}/attachments?${params.toString()}`);
+        if (!res.ok) {
+            throw new Error(await getApiErrorMessage(res, 'Failed to load attachments'));
+        }
+        return await res.json();
+    }, [authFetch, getApiErrorMessage]);
+
+    const uploadAttachment = useCallback(async (entityType, entityId, file) => {
+        const contentBase64 = await new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(String(reader.result || '').replace(/^data:[^,]*,/, ''));
+            reader.onerror = () => reject(reader.error || new Error('Failed to read file'));
+            reader.readAsDataURL(file);
+        });
+        const res = await authFetch(`${API_BASE}/attachments`, {
+            method: 'POST',
+            body: JSON.stringify({
+                entityType,
+                entityId,
+                fileName: file.name,
+                mimeType: file.type,
+                contentBase64
+            })
+        });
+        if (!res.ok) {
+            throw new Error(await getApiErrorMessage(res, 'Failed to upload attachment'));
+        }
+        return await res.json();
+    }, [authFetch, getApiErrorMessage]);
+
+    const downloadAttachment = useCallback(async (attachment) => {
+        const res = await authFetch(`${API_BASE}/attachments/${attachment.id}/download`);
+        if (!res.ok) {
+            throw new Error(await getApiErrorMessage(res, 'Failed to download attachment'));
+        }
+        const url = URL.createObjectURL(await res.blob());
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = attachment.fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }, [authFetch, getApiErrorMessage]);
+
+    const deleteAttachment = useCallback(async (attachmentId) => {
+        const res = await authFetch(`${API_BASE}/attachments/${attachmentId}`, { method: 'DELETE' });
+        if (!res.ok) {
+            throw new Error(await getApiErrorMessage(res, 'Failed to delete attachment'));
+        }
+        return await res.json();
+    }, [authFetch, getApiErrorMessage]);
+
+    // ==================== STATUS REPORTS ====================
+
+    const addStatusReport = useCallback(async (projectId, reportData) => {
+        try {
+            const res = await authFetch(`${API_BASE}/projects/${projectId}/reports`, {
+                method: 'POST',
+                body: JSON.stringify({ reportData, createdBy: reportData.createdBy })
+            });
+            const newReport = await res.json();
+            setProjects(prev => prev.map(p => {
+                if (p.id !== projectId) return p;
+                return {
+                    ...p,
+                    statusReports: [...(p.statusReports || []), newReport],
+                    latestReport: newReport,
+                    reportCount: (p.reportCount || 0) + 1
+                };
+            }));
+        } catch (err) {
+            console.error('Error adding status report:', err);
+        }
+    }, [authFetch]);
+
+    const getLatestStatusReport = useCallback((projectId) => {
+        const project = projects.find(p => p.id === projectId);
+        if (!project) return null;
+        // optimization: check pre-fetched latestReport
+        if (project.latestReport) return project.latestReport;
+        // fallback: check statusReports array if loaded
+        if (project.statusReports?.length) return project.statusReports[project.statusReports.length - 1];
+        return null;
+    }, [projects]);
+
+    const restoreStatusReport = useCallback(async (projectId, reportId, author) => {
+        const project = projects.find(p => p.id === projectId);
+        const reportToRestore = project?.statusReports?.find(r => r.id === reportId);
+        if (!reportToRestore) return;
+
+        try {
+            const res = await authFetch(`${API_BASE}/projects/${projectId}/reports`, {
+                method: 'POST',
+                body: JSON.stringify({
+                    reportData: reportToRestore,
+                    createdBy: author,
+                    restoredFrom: reportToRestore.version
+                })
+            });
+            const newReport = await res.json();
+            setProjects(prev => prev.map(p => {
+                if (p.id !== projectId) return p;
+                return { ...p, statusReports: [...(p.statusReports || []), newReport] };
+            }));
+        } catch (err) {
+            console.error('Error restoring status report:', err);
+        }
+    }, [projects, authFetch]);
+
+    const fetchProjectBenefitsRisk = useCallback(async (projectId) => {
+        const res = await authFetch(`${API_BASE}/projects/${projectId}/benefits-risk`);
+        if (!res.ok) {
+            throw new Error(await getApiErrorMessage(res, 'Failed to load project benefits and risk'));
+        }
+        return await res.json();
+    }, [authFetch, getApiErrorMessage]);
+
+    const fetchProjectRiskHistory = useCallback(async (projectId, days) => {
+        const query = days ? `?days=${encodeURIComponent(days)}` : '';
+        const res = await authFetch(`${API_BASE}/projects/${projectId}/risk-history${query}`);
+        if (!res.ok) {
+            throw new Error(await getApiErrorMessage(res, 'Failed to load risk history'));
+        }
+        return await res.json();
+    }, [authFetch, getApiErrorMessage]);
+
+    const createProjectBenefit = useCallback(async (projectId, payload) => {
+        const res = await authFetch(`${API_BASE}/projects/${projectId}/benefits`, {
+            method: 'POST',
+            body: JSON.stringify(payload || {})
+        });
+        if (!res.ok) {
+            throw new Error(await getApiErrorMessage(res, 'Failed to create project benefit'));
+        }
+        return await res.json();
+    }, [authFetch, getApiErrorMessage]);
+
+    const updateProjectBenefit = useCallback(async (projectId, benefitId, payload) => {
+        const res = await authFetch(`${API_BASE}/projects/${projectId}/benefits/${benefitId}`, {
+            method: 'PUT',
+            body: JSON.stringify(payload || {})
+        });
+        if (!res.ok) {
+            throw new Error(await getApiErrorMessage(res, 'Failed to update project benefit'));
+        }
+        return await res.json();
+    }, [authFetch, getApiErrorMessage]);
+
+    const deleteProjectBenefit = useCallback(async (projectId, benefitId) => {
+        const res = await authFetch(`${API_BASE}/projects/${projectId}/benefits/${benefitId}`, {
+            method: 'DELETE'
+        });
+        if (!res.ok) {
+            throw new Error(await getApiErrorMessage(res, 'Failed to delete project benefit'));
+        }
+        return await res.json();
+    }, [authFetch, getApiErrorMessage]);
+
+    const setProjectMilestones = useCallback((projectId, updater) => {
+        setProjects(prev => prev.map(p => (
+            String(p.id) === String(projectId)
+                ? { ...p, milestones: updater(p.milestones || []) }
+                : p
+        )));
+    }, []);
+
+    const fetchProjectMilestones = useCallback(async (projectId) => {
+        const res = await authFetch(`${API_BASE}/projects/${projectId}/milestones`);
+        if (!res.ok) {
+            throw new Error(await getApiErrorMessage(res, 'Failed to load project milestones'));
+        }
+        const data = await res.json();
+        setProjectMilestones(projectId, () => data.milestones || []);
+        return data;
+    }, [authFetch, getApiErrorMessage, setProjectMilestones]);
+
+    const createProjectMilestone = useCallback(async (projectId, payload) => {
+        const res = await authFetch(`${API_BASE}/projects/${projectId}/milestones`, {
+            method: 'POST',
+            body: JSON.stringify(payload || {})
+        });
+        if (!res.ok) {
+            throw new Error(await getApiErrorMessage(res, 'Failed to create milestone'));
+        }
+        const milestone = await res.json();
+        setProjectMilestones(projectId, (milestones) => [...milestones, milestone]);
+        return milestone;
+    }, [authFetch, getApiErrorMessage, setProjectMilestones]);
+
+    const updateProjectMilestone = useCallback(async (projectId, milestoneId, payload) => {
+        const res = await authFetch(`${API_BASE}/projects/${projectId}/milestones/${milestoneId}`, {
+            method: 'PUT',
+            body: JSON.stringify(payload || {})
+        });
+        if (!res.ok) {
+            throw new Error(await getApiErrorMessage(res, 'Failed to update milestone'));
+        }
+        const milestone = await res.json();
+        setProjectMilestones(projectId, (milestones) => milestones.map((m) => (
+            String(m.id) === String(milestoneId) ? milestone : m
+        )));
+        return milestone;
+    }, [authFetch, getApiErrorMessage, setProjectMilestones]);
+
+    const deleteProjectMilestone = useCallback(async (projectId, milestoneId) => {
+        const res = await authFetch(`${API_BASE}/projects/${projectId}/milestones/${milestoneId}`, {
+            method: 'DELETE'
+        });
+        if (!res.ok) {
+            throw new Error(await getApiErrorMessage(res, 'Failed to delete milestone'));
+        }
+        setProjectMilestones(projectId, (milestones) => milestones.filter((m) => String(m.id) !== String(milestoneId)));
+        return true;
+    }, [authFetch, getApiErrorMessage, setProjectMilestones]);
+
+    const fetchProjectFinancials = useCallback(async (projectId) => {
+        const res = await authFetch(`${API_BASE}/projects/${projectId}/financials`);
+        if (!res.ok) {
+            throw new Error(await getApiErrorMessage(res, 'Failed to load project financials'));
+        }
+        return await res.json();
+    }, [authFetch, getApiErrorMessage]);
+
+    const createProjectFinancialLine = useCallback(async (projectId, payload) => {
+        const res = await authFetch(`${API_BASE}/projects/${projectId}/financials`, {
+            method: 'POST',
+            body: JSON.stringify(payload || {})
+        });
+        if (!res.ok) {
+            throw new Error(await getApiErrorMessage(res, 'Failed to add budget line'));
+        }
+        return await res.json();
+    }, [authFetch, getApiErrorMessage]);
+
+    const updateProjectFinancialLine = useCallback(async (projectId, lineId, payload) => {
+        const res = await authFetch(`${API_BASE}/projects/${projectId}/financials/${lineId}`, {
+            method: 'PUT',
+            body: JSON.stringify(payload || {})
+        });
+        if (!res.ok) {
+            throw new Error(await getApiErrorMessage(res, 'Failed to update budget line'));
+        }
+        return await res.json();
+    }, [authFetch, getApiErrorMessage]);
+
+    const deleteProjectFinancialLine = useCallback(async (projectId, lineId) => {
+        const res = await authFetch(`${API_BASE}/projects/${projectId}/financials/${lineId}`, {
+            method: 'DELETE'
+        });
+        if (!res.ok) {
+            throw new Error(await getApiErrorMessage(res, 'Failed to delete budget line'));
+        }
+        return true;
+    }, [authFetch, getApiErrorMessage]);
+
+    const fetchProjectRaidItems = useCallback(async (projectId) => {
+        const res = await authFetch(`${API_BASE}/projects/${projectId}/raid`);
+        if (!res.ok) {
+            throw new Error(await getApiErrorMessage(res, 'Failed to load RAID register'));
+        }
+        return await res.json();
+    }, [authFetch, getApiErrorMessage]);
+
+    const createProjectRaidItem = useCallback(async (projectId, payload) => {
+        const res = await authFetch(`${API_BASE}/projects/${projectId}/raid`, {
+            method: 'POST',
+            body: JSON.stringify(payload || {})
+        });
+        if (!res.ok) {
+            throw new Error(await getApiErrorMessage(res, 'Failed to add RAID item'));
+        }
+        return await res.json();
+    }, [authFetch, getApiErrorMessage]);
+
+    const updateProjectRaidItem = useCallback(async (projectId, itemId, payload) => {
+        const res = await authFetch(`${API_BASE}/projects/${projectId}/raid/${itemId}`, {
+            method: 'PUT',
+            body: JSON.stringify(payload || {})
+        });
+        if (!res.ok) {
+            throw new Error(await getApiErrorMessage(res, 'Failed to update RAID item'));
+        }
+        return await res.json();
+    }, [authFetch, getApiErrorMessage]);
+
+    const deleteProjectRaidItem = useCallback(async (projectId, itemId) => {
+        const res = await authFetch(`${API_BASE}/projects/${projectId}/raid/${itemId}`, {
+            method: 'DELETE'
+        });
+        if (!res.ok) {
+            throw new Error(await getApiErrorMessage(res, 'Failed to delete RAID item'));
+        }
+        return true;
+    }, [authFetch, getApiErrorMessage]);
+
+    const fetchProjectRaidItemHistory = useCallback(async (projectId, itemId) => {
+        const res = await authFetch(`${API_BASE}/projects/${projectId}/raid/${itemId}/history`);
+        if (!res.ok) {
+            throw new Error(await getApiErrorMessage(res, 'Failed to load RAID item history'));
+        }
+        const data = await res.json();
+        return Array.isArray(data?.history) ? data.history : [];
+    }, [authFetch, getApiErrorMessage]);
+
+    const fetchProjectDependencies = useCallback(async (projectId) => {
+        const res = await authFetch(`${API_BASE}/projects/${projectId}/dependencies`);
+        if (!res.ok) {
+            throw new Error(await getApiErrorMessage(res, 'Failed to load project dependencies'));
+        }
+        return await res.json();
+    }, [authFetch, getApiErrorMessage]);
+
+    const createProjectDependency = useCallback(async (projectId, payload) => {
+        const res = await authFetch(`${API_BASE}/projects/${projectId}/dependencies`, {
+            method: 'POST',
+            body: JSON.stringify(payload || {})
+        });
+        if (!res.ok) {
+            throw new Error(await getApiErrorMessage(res, 'Failed to add project dependency'));
+        }
+        return await res.json();
+    }, [authFetch, getApiErrorMessage]);
+
+    const updateProjectDependency = useCallback(async (projectId, dependencyId, payload) => {
+        const res = await authFetch(`${API_BASE}/projects/${projectId}/dependencies/${dependencyId}`, {
+            method: 'PUT',
+            body: JSON.stringify(payload || {})
+        });
+        if (!res.ok) {
+            throw new Error(await getApiErrorMessage(res, 'Failed to update project dependency'));
+        }
+        return await res.json();
+    }, [authFetch, getApiErrorMessage]);
+
+    const deleteProjectDependency = useCallback(async (projectId, dependencyId) => {
+        const res = await authFetch(`${API_BASE}/projects/${projectId}/dependencies/${dependencyId}`, {
+            method: 'DELETE'
+        });
+        if (!res.ok) {
+            throw new Error(await getApiErrorMessage(res, 'Failed to remove project dependency'));
+        }
+        return true;
+    }, [authFetch, getApiErrorMessage]);
+
+    const fetchProjectDependencyGraph = useCallback(async () => {
+        const res = await authFetch(`${API_BASE}/projects/dependency-graph`);
+        if (!res.ok) {
+            throw new Error(await getApiErrorMessage(res, 'Failed to load dependency graph'));
+        }
+        return await res.json();
+    }, [authFetch, getApiErrorMessage]);
+
+    // ==================== RISK MODEL ====================
+
+    const fetchRiskModel = useCallback(async (orgId) => {
+        const suffix = orgId ? `?orgId=${encodeURIComponent(orgId)}` : '';
+        const res = await authFetch(`${API_BASE}/risk-models${suffix}`);
+        if (!res.ok) {
+            throw new Error(await getApiErrorMessage(res, 'Failed to load risk model'));
+        }
+        return await res.json();
+    }, [authFetch, getApiErrorMessage]);
+
+    const publishRiskModelVersion = useCallback(async (orgId, payload) => {
+        const res = await authFetch(`${API_BASE}/risk-models/org/${orgId}/versions`, {
+            method: 'POST',
+            body: JSON.stringify(payload)
+        });
+        if (!res.ok) {
+            throw new Error(await getApiErrorMessage(res, 'Failed to publish risk model'));
+        }
+        return await res.json();
+    }, [authFetch, getApiErrorMessage]);
+
+    const withdrawRiskModelVersion = useCallback(async (orgId, versionId) => {
+        const res = await authFetch(`${API_BASE}/risk-models/org/${orgId}/versions/${versionId}`, { method: 'DELETE' });
+        if (!res.ok) {
+            throw new Error(await getApiErrorMessage(res, 'Failed to withdraw risk model version'));
+        }
+        return await res.json();
+    }, [authFetch, getApiErrorMessage]);
+
+    // ==================== DATA IMPORT ====================
+
+    const parseImportFile = useCallback(async (file) => {
+        const contentBase64 = await new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(String(reader.result || '').replace(/^data:[^,]*,/, ''));
+            reader.onerror = () => reject(reader.error || new Error('Failed to read file'));
+            reader.readAsDataURL(file);
+        });
+        const res = await authFetch(`${API_BASE}/imports/parse`, {
+            method: 'POST',
+            body: JSON.stringify({ fileName: file.name, contentBase64 })
+        });
+        if (!res.ok) {
+            throw new Error(await getApiErrorMessage(res, 'Failed to read import file'));
+        }
+        return await res.json();
+    }, [authFetch, getApiErrorMessage]);
+
+    const previewImport = useCallback(async (payload) => {
+        const res = await authFetch(`${API_BASE}/imports/preview`, {
+            method: 'POST',
+            body: JSON.stringify(payload)
+        });
+        if (!res.ok) {
+            throw new Error(await getApiErrorMessage(res, 'Failed to validate import'));
+        }
+        return await res.json();
+    }, [authFetch, getApiErrorMessage]);
+
+    const applyImport = useCallback(async (payload) => {
+        const res = await authFetch(`${API_BASE}/imports/apply`, {
+            method: 'POST',
+            body: JSON.stringify(payload)
+        });
+        if (!res.ok) {
+            throw new Error(await getApiErrorMessage(res, 'Failed to import rows'));
+        }
+        const result = await res.json();
+        if (payload.entityType === 'goal') {
+            await refreshActiveGoals().catch((err) => console.warn('Failed to refresh goals after import', err));
+        }
+        return result;
+    }, [authFetch, getApiErrorMessage, refreshActiveGoals]);
+
+    // ==================== CUSTOM FIELDS ====================
+
+    const fetchCustomFieldDefinitions = useCallback(async ({ orgId, entityType, includeInactive = false } = {}) => {
+        const params = new URLSearchParams();
+        if (orgId) params.set('orgId', orgId);
+        if (entityType) params.set('entityType', entityType);
+        if (includeInactive) params.set('includeInactive', 'true');
+        const suffix = params.toString() ? `?${params.toString()}` : '';
+        const res = await authFetch(`${API_BASE}/custom-fields${suffix}`);
+        if (!res.ok) {
+            throw new Error(await getApiErrorMessage(res, 'Failed to load custom fields'));
+        }
+        return await res.json();
+    }, [authFetch, getApiErrorMessage]);
+
+    const createCustomFieldDefinition = useCallback(async (orgId, definition) => {
+        const res = await authFetch(`${API_BASE}/custom-fields/org/${orgId}`, {
+            method: 'POST',
+            body: JSON.stringify(definition)
+        });
+        if (!res.ok) {
+            throw new Error(await getApiErrorMessage(res, 'Failed to create custom field'));
+        }
+        return await res.json();
+    }, [authFetch, getApiErrorMessage]);
+
+    const updateCustomFieldDefinition = useCallback(async (definitionId, definition) => {
+        const res = await authFetch(`${API_BASE}/custom-fields/${definitionId}`, {
+            method: 'PUT',
+            body: JSON.stringify(definition)
+        });
+        if (!res.ok) {
+            throw new Error(await getApiErrorMessage(res, 'Failed to update custom field'));
+        }
+        return await res.json();
+    }, [authFetch, getApiErrorMessage]);
+
+    const deleteCustomFieldDefinition = useCallback(async (definitionId) => {
+        const res = await authFetch(`${API_BASE}/custom-fields/${definitionId}`, { method: 'DELETE' });
+        if (!res.ok) {
+            throw new Error(await getApiErrorMessage(res, 'Failed to delete custom field'));
+        }
+        return await res.json();
+    }, [authFetch, getApiErrorMessage]);
+
+    const updateProjectCustomFields = useCallback(async (projectId, customFields) => {
+        const res = await authFetch(`${API_BASE}/projects/${projectId}/custom-fields`, {
+            method: 'PUT',
+            body: JSON.stringify({ customFields })
+        });
+        if (!res.ok) {
+            throw new Error(await getApiErrorMessage(res, 'Failed to update custom fields'));
+        }
+        const data = await res.json();
+        setProjects(prev => prev.map(p => (
+            String(p.id) === String(projectId) ? { ...p, customFields: data.customFields } : p
+        )));
+        return data.customFields;
+    }, [authFetch, getApiErrorMessage]);
+
+    const updateTaskCustomFields = useCallback(async (projectId, taskId, customFields) => {
+        const res = await authFetch(`${API_BASE}/tasks/${taskId}/custom-fields`, {
+            method: 'PUT',
+            body: JSON.stringify({ customFields })
+        });
+        if (!res.ok) {
+            throw new Error(await getApiErrorMessage(res, 'Failed to update custom fields'));
+        }
+        const data = await res.json();
+        setProjects(prev => prev.map(p => {
+            if (String(p.id) !== String(projectId) || !p.tasks) return p;
+            return {
+                ...p,
+                tasks: p.tasks.map(t => String(t.id) === String(taskId) ? { ...t, customFields: data.customFields } : t)
+            };
+        }));
+        return data.customFields;
+    }, [authFetch, getApiErrorMessage]);
+
+    // ==================== STAGE GATES ====================
+
+    const fetchStageGateModel = useCallback(async (orgId) => {
+        const suffix = orgId ? `?orgId=${encodeURIComponent(orgId)}` : '';
+        const res = await authFetch(`${API_BASE}/stage-gates${suffix}`);
+        if (!res.ok) {
+            throw new Error(await getApiErrorMessage(res, 'Failed to load stage-gate model'));
+        }
+        return await res.json();
+    }, [authFetch, getApiErrorMessage]);
+
+    const saveStageGateModel = useCallback(async (orgId, model) => {
+        const res = await authFetch(`${API_BASE}/stage-gates/org/${orgId}`, {
+            method: 'PUT',
+            body: JSON.stringify(model)
+        });
+        if (!res.ok) {
+            throw new Error(await getApiErrorMessage(res, 'Failed to save stage-gate model'));
+        }
+        return await res.json();
+    }, [authFetch, getApiErrorMessage]);
+
+    const deleteStageGateModel = useCallback(async (orgId) => {
+        const res = await authFetch(`${API_BASE}/stage-gates/org/${orgId}`, { method: 'DELETE' });
+        if (!res.ok) {
+            throw new Error(await getApiErrorMessage(res, 'Failed to reset stage-gate model'));
+        }
+        return await res.json();
+    }, [authFetch, getApiErrorMessage]);
+
+    const fetchProjectStageGate = useCallback(async (projectId) => {
+        const res = await authFetch(`${API_BASE}/projects/${projectId}/stage-gate`);
+        if (!res.ok) {
+            throw new Error(await getApiErrorMessage(res, 'Failed to load project stage gate'));
+        }
+        return await res.json();
+    }, [authFetch, getApiErrorMessage]);
+
+    const startProjectStageGate = useCallback(async (projectId) => {
+        const res = await authFetch(`${API_BASE}/projects/${projectId}/stage-gate`, { method: 'POST' });
+        if (!res.ok) {
+            throw new Error(await getApiErrorMessage(res, 'Failed to start delivery lifecycle'));
+        }
+        return await res.json();
+    }, [authFetch, getApiErrorMessage]);
+
+    const updateStageGateChecklist = useCallback(async (projectId, checkedIds) => {
+        const res = await authFetch(`${API_BASE}/projects/${projectId}/stage-gate/checklist`, {
+            method: 'PUT',
+            body: JSON.stringify({ checkedIds })
+        });
+        if (!res.ok) {
+            throw new Error(await getApiErrorMessage(res, 'Failed to update gate checklist'));
+        }
+        return await res.json();
+    }, [authFetch, getApiErrorMessage]);
+
+    const requestGateReview = useCallback(async (projectId) => {
+        const res = await authFetch(`${API_BASE}/projects/${projectId}/stage-gate/reviews`, { method: 'POST' });
+        if (!res.ok) {
+            throw new Error(await getApiErrorMessage(res, 'Failed to request gate review'));
+        }
+        return await res.json();
+    }, [authFetch, getApiErrorMessage]);
+
+    const submitGateVote = useCallback(async (projectId, reviewId, payload) => {
+        const res = await authFetch(`${API_BASE}/projects/${projectId}/stage-gate/reviews/${reviewId}/votes`, {
+            method: 'POST',
+            body: JSON.stringify(payload || {})
+        });
+        if (!res.ok) {
+            throw new Error(await getApiErrorMessage(res, 'Failed to submit gate vote'));
+        }
+        return await res.json();
+    }, [authFetch, getApiErrorMessage]);
+
+    const decideGateReview = useCallback(async (projectId, reviewId, payload) => {
+        const res = await authFetch(`${API_BASE}/projects/${projectId}/stage-gate/reviews/${reviewId}/decide`, {
+            method: 'POST',
+            body: JSON.stringify(payload || {})
+        });
+        if (!res.ok) {
+            throw new Error(await getApiErrorMessage(res, 'Failed to record gate decision'));
+        }
+        return await res.json();
+    }, [authFetch, getApiErrorMessage]);
+
+    const cancelGateReview = useCallback(async (projectId, reviewId) => {
+        const res = await authFetch(`${API_BASE}/projects/${projectId}/stage-gate/reviews/${reviewId}/cancel`, { method: 'POST' });
+        if (!res.ok) {
+            throw new Error(await getApiErrorMessage(res, 'Failed to cancel gate review'));
+        }
+        return await res.json();
+    }, [authFetch, getApiErrorMessage]);
+
+    const fetchProjectBaselines = useCallback(async (projectId) => {
+        const res = await authFetch(`${API_BASE}/projects/${projectId}/baselines`);
+        if (!res.ok) {
+            throw new Error(await getApiErrorMessage(res, 'Failed to load schedule baselines'));
+        }
+        return await res.json();
+    }, [authFetch, getApiErrorMessage]);
+
+    const fetchProjectBaseline = useCallback(async (projectId, baselineId) => {
+        const res = await authFetch(`${API_BASE}/projects/${projectId}/baselines/${baselineId}`);
+        if (!res.ok) {
+            throw new Error(await getApiErrorMessage(res, 'Failed to load schedule baseline'));
+        }
+        return await res.json();
+    }, [authFetch, getApiErrorMessage]);
+
+    const captureProjectBaseline = useCallback(async (projectId, payload) => {
+        const res = await authFetch(`${API_BASE}/projects/${projectId}/baselines`, {
+            method: 'POST',
+            body: JSON.stringify(payload || {})
+        });
+        if (!res.ok) {
+            throw new Error(await getApiErrorMessage(res, 'Failed to capture schedule baseline'));
+        }
+        return await res.json();
+    }, [authFetch, getApiErrorMessage]);
+
+    const deleteProjectBaseline = useCallback(async (projectId, baselineId) => {
+        const res = await authFetch(`${API_BASE}/projects/${projectId}/baselines/${baselineId}`, {
+            method: 'DELETE'
+        });
+        if (!res.ok) {
+            throw new Error(await getApiErrorMessage(res, 'Failed to delete schedule baseline'));
+        }
+        return await res.json();
+    }, [authFetch, getApiErrorMessage]);
+
+    // ==================== INTAKE FORMS ====================
+
+    const addIntakeForm = useCallback(async (form) => {
+        try {
+            const res = await authFetch(`${API_BASE}/intake/forms`, {
+                method: 'POST',
+                body: JSON.stringify(form)
+            });
+            if (!res.ok) {
+                throw new Error(await getApiErrorMessage(res, 'Failed to create intake form'));
+            }
+            const newForm = await res.json();
+            setIntakeForms(prev => [...prev, newForm]);
+            return newForm.id;
+        } catch (err) {
+            console.error('Error adding intake form:', err);
+            throw err;
+        }
+    }, [authFetch, getApiErrorMessage]);
+
+    const updateIntakeForm = useCallback(async (id, updates) => {
+        try {
+            const res = await authFetch(`${API_BASE}/intake/forms/${id}`, {
+                method: 'PUT',
+                body: JSON.stringify(updates)
+            });
+            if (!res.ok) {
+                throw new Error(await getApiErrorMessage(res, 'Failed to update intake form'));
+            }
+            setIntakeForms(prev => prev.map(f => f.id === id ? { ...f, ...updates } : f));
+        } catch (err) {
+            console.error('Error updating intake form:', err);
+            throw err;
+        }
+    }, [authFetch, getApiErrorMessage]);
+
+    const deleteIntakeForm = useCallback(async (id) => {
+        try {
+            const res = await authFetch(`${API_BASE}/intake/forms/${id}`, { method: 'DELETE' });
+            if (!res.ok) {
+                throw new Error(await getApiErrorMessage(res, 'Failed to retire or archive intake form'));
+            }
+            const payload = await res.json().catch(() => ({}));
+            if (payload?.lifecycleState === 'deleted') {
+                setIntakeForms(prev => prev.filter(f => f.id !== id));
+            } else {
+                await refreshIntakeForms('all');
+            }
+        } catch (err) {
+            console.error('Error deleting intake form:', err);
+            throw err;
+        }
+    }, [authFetch, getApiErrorMessage, refreshIntakeForms]);
+
+    const retireIntakeForm = useCallback(async (id) => {
+        const res = await authFetch(`${API_BASE}/intake/forms/${id}/retire`, {
+            method: 'POST'
+        });
+        if (!res.ok) {
+            throw new Error(await getApiErrorMessage(res, 'Failed to retire intake form'));
+        }
+        await refreshIntakeForms('all');
+        return await res.json();
+    }, [authFetch, getApiErrorMessage, refreshIntakeForms]);
+
+    const restoreIntakeForm = useCallback(async (id) => {
+        const res = await authFetch(`${API_BASE}/intake/forms/${id}/restore`, {
+            method: 'POST'
+        });
+        if (!res.ok) {
+            throw new Error(await getApiErrorMessage(res, 'Failed to restore intake form'));
+        }
+        await refreshIntakeForms('all');
+        return await res.json();
+    }, [authFetch, getApiErrorMessage, refreshIntakeForms]);
+
+
+    // ==================== ORGANIZATIONS ====================
+
+    const fetchOrganizations = useCallback(async () => {
+        const res = await authFetch(`${API_BASE}/admin/organizations`);
+        return await res.json();
+    }, [authFetch]);
+
+    const createOrganization = useCallback(async (payload) => {
+        const res = await authFetch(`${API_BASE}/admin/organizations`, {
+            method: 'POST',
+            body: JSON.stringify(payload)
+        });
+        if (!res.ok) {
+            const data = await res.json().catch(() => ({}));
+            throw new Error(data.error || 'Failed to create organization');
+        }
+        return await res.json();
+    }, [authFetch]);
+
+    const updateOrganization = useCallback(async (id, payload) => {
+        const res = await authFetch(`${API_BASE}/admin/organizations/${id}`, {
+            method: 'PUT',
+            body: JSON.stringify(payload)
+        });
+        if (!res.ok) throw new Error('Failed to update organization');
+        return await res.json();
+    }, [authFetch]);
 
     const assignUserToOrg = useCallback(async (userOid, orgId) => {
         const res = await authFetch(`${API_BASE}/admin/users/${userOid}/organization`, {
@@ -1127,16 +2178,19 @@ export function DataProvider({ children }) {
         }
     }, [authFetch]);
 
-    const updateIntakeSubmission = useCallback(async (id, updates) => {
+    const updateIntakeSubmission = useCallback(async (id, updates, { etag } = {}) => {
         try {
-            await authFetch(`${API_BASE}/intake/submissions/${id}`, {
+            const res = await authFetch(`${API_BASE}/intake/submissions/${id}`, {
                 method: 'PUT',
+                headers: ifMatchHeaders(etag),
                 body: JSON.stringify(updates)
             });
+            const data = await res.json().catch(() => ({}));
 
             // Update both lists
-            setIntakeSubmissions(prev => prev.map(s => s.id === id ? { ...s, ...updates } : s));
-            setMySubmissions(prev => prev.map(s => s.id === id ? { ...s, ...updates } : s));
+            const applyUpdate = (s) => (s.id === id ? { ...s, ...updates, etag: data?.etag ?? s.etag } : s);
+            setIntakeSubmissions(prev => prev.map(applyUpdate));
+            setMySubmissions(prev => prev.map(applyUpdate));
 
         } catch (err) {
             console.error('Error updating submission:', err);
@@ -1588,7 +2642,7 @@ export function DataProvider({ children }) {
 
             if (!res.ok) throw new Error('Failed to send message');
 
-            const { conversation } = await res.json();
+            const { conversation, etag } = await res.json();
 
             const newStatus = senderType === 'admin' ? 'awaiting-response' : 'pending';
 
@@ -1598,7 +2652,8 @@ export function DataProvider({ children }) {
                 return {
                     ...s,
                     status: newStatus,
-                    conversation: conversation
+                    conversation: conversation,
+                    etag: etag ?? s.etag
                 };
             });
 
@@ -1622,7 +2677,7 @@ export function DataProvider({ children }) {
 
         await updateIntakeSubmission(submissionId, {
             conversation: updatedConversation
-        });
+        }, { etag: submission.etag });
     }, [intakeSubmissions, updateIntakeSubmission]);
 
     // Legacy support: migrate old infoRequests to conversation format
@@ -1677,7 +2732,8 @@ export function DataProvider({ children }) {
             body: JSON.stringify({
                 projectData,
                 conversionContext,
-                kickoffTasks
+                kickoffTasks,
+                ...(options?.templateId ? { templateId: options.templateId, templateStartDate: options.templateStartDate || null } : {})
             })
         });
         if (!res.ok) {
@@ -1887,17 +2943,25 @@ export function DataProvider({ children }) {
             goals: goalsWithProgress,
             currentUser,
             addGoal, updateGoal, deleteGoal, retireGoal, restoreGoal,
-            addKpi, updateKpi, deleteKpi,
+            addKpi, updateKpi, deleteKpi, restoreKpi, fetchGoalRecycleBin,
             projects: projectsWithCompletion,
             projectsPagination,
             projectsError,
             loadMoreProjects,
             loading,
             loadingMore,
-            moveTask, addTask, addProject, updateProject, deleteProject, restoreProject, loadProjectDetails,
+            moveTask, addTask, addProject, updateProject, deleteProject, restoreProject, resumeProject, cloneProject, loadProjectDetails,
             watchProject, unwatchProject,
-            updateTask, deleteTask,
-            fetchAssignableUsers, fetchTaskChecklist, addTaskChecklistItem, updateTaskChecklistItem, deleteTaskChecklistItem,
+            updateTask, bulkUpdateTasks, deleteTask, restoreTask, fetchProjectRecycleBin,
+            fetchAssignableUsers, fetchTaskChecklist, addTaskChecklistItem, updateTaskChecklistItem, deleteTaskChecklistItem, restoreTaskChecklistItem,
+            fetchTaskDependencies, addTaskDependency, updateTaskDependency, removeTaskDependency,
+            fetchTaskComments, addTaskComment, updateTaskComment, deleteTaskComment, fetchTaskCommentHistory,
+            fetchMyMentions, markMentionsRead, fetchResumeReminders, fetchCalendarFeeds, createCalendarFeed, revokeCalendarFeed,
+            fetchTaskTimeEntries, addTaskTimeEntry, updateTaskTimeEntry, deleteTaskTimeEntry,
+            fetchTimesheet, fetchTimeEntrySummary, fetchResourceHeatmap,
+            fetchProjectTemplates, saveProjectTemplate, deleteProjectTemplate,
+            fetchTaskWorkflow, saveOrgTaskWorkflow, deleteOrgTaskWorkflow, saveProjectTaskWorkflow, deleteProjectTaskWorkflow, saveProjectWipLimits,
+            fetchAttachments, uploadAttachment, downloadAttachment, deleteAttachment,
             intakeForms, addIntakeForm, updateIntakeForm, deleteIntakeForm, retireIntakeForm, restoreIntakeForm,
             intakeSubmissions, mySubmissions, addIntakeSubmission, updateIntakeSubmission,
             getGovernanceSettings, updateGovernanceSettings,
@@ -1913,7 +2977,18 @@ export function DataProvider({ children }) {
             updateGovernanceSessionAgenda, startGovernanceSession, closeGovernanceSession,
             addConversationMessage, markConversationRead, migrateInfoRequestsToConversation, convertSubmissionToProject,
             addStatusReport, getLatestStatusReport, restoreStatusReport,
-            fetchProjectBenefitsRisk, createProjectBenefit, updateProjectBenefit, deleteProjectBenefit,
+            fetchProjectBenefitsRisk, fetchProjectRiskHistory, createProjectBenefit, updateProjectBenefit, deleteProjectBenefit,
+            fetchProjectMilestones, createProjectMilestone, updateProjectMilestone, deleteProjectMilestone,
+            fetchProjectBaselines, fetchProjectBaseline, captureProjectBaseline, deleteProjectBaseline,
+            fetchProjectFinancials, createProjectFinancialLine, updateProjectFinancialLine, deleteProjectFinancialLine,
+            fetchProjectRaidItems, createProjectRaidItem, updateProjectRaidItem, deleteProjectRaidItem, fetchProjectRaidItemHistory,
+            fetchProjectDependencies, createProjectDependency, updateProjectDependency, deleteProjectDependency, fetchProjectDependencyGraph,
+            fetchRiskModel, publishRiskModelVersion, withdrawRiskModelVersion,
+            parseImportFile, previewImport, applyImport,
+            fetchCustomFieldDefinitions, createCustomFieldDefinition, updateCustomFieldDefinition, deleteCustomFieldDefinition,
+            updateProjectCustomFields, updateTaskCustomFields,
+            fetchStageGateModel, saveStageGateModel, deleteStageGateModel, fetchProjectStageGate, startProjectStageGate, updateStageGateChecklist,
+            requestGateReview, submitGateVote, decideGateReview, cancelGateReview,
             fetchExecutiveReportPacks, createExecutiveReportPack, updateExecutiveReportPack,
             fetchExecutiveReportPackRuns, runExecutiveReportPackNow, fetchExecutivePackSchedulerStatus, runDueExecutivePacks,
             authFetch, fetchExecSummaryProjects,
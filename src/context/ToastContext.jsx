@@ -2,6 +2,9 @@ import { createContext, useContext, useState, useCallback } from 'react';
 
 const ToastContext = createContext();
 
+// Long enough to notice a mistaken delete and reach the Undo button
+export const UNDO_TOAST_DURATION_MS = 8000;
+
 // eslint-disable-next-line react-refresh/only-export-components
 export function useToast() {
     const context = useContext(ToastContext);
@@ -14,9 +17,10 @@ export function useToast() {
 export function ToastProvider({ children }) {
     const [toasts, setToasts] = useState([]);
 
-    const addToast = useCallback((message, type = 'success', duration = 3000) => {
+    // action: optional { label, onClick } rendered as a button, e.g. Undo after a delete
+    const addToast = useCallback((message, type = 'success', duration = 3000, action = null) => {
         const id = Date.now() + Math.random();
-        const toast = { id, message, type };
+        const toast = { id, message, type, action };
 
         setToasts(prev => [...prev, toast]);
 
@@ -33,7 +37,7 @@ export function ToastProvider({ children }) {
     }, []);
 
     // Convenience methods
-    const success = useCallback((message, duration) => addToast(message, 'success', duration), [addToast]);
+    const success = useCallback((message, duration, action) => addToast(message, 'success', duration, action), [addToast]);
     const error = useCallback((message, duration) => addToast(message, 'error', duration), [addToast]);
     const info = useCallback((message, duration) => addToast(message, 'info', duration), [addToast]);
     const warning = useCallback((message, duration) => addToast(message, 'warning', duration), [addToast]);
@@ -0,0 +1,42 @@
+import { useEffect, useState } from 'react';
+import { useData } from '../context/DataContext';
+import { FILTERABLE_CUSTOM_FIELD_TYPES } from '../../shared/customFields.js';
+
+/**
+ * The current organization's project custom fields that can be filtered on, each with
+ * its `filterOptions` ({ id, label }): the option list, or assignable users for user fields.
+ */
+export function useCustomFieldFilterFields() {
+    const { fetchCustomFieldDefinitions, fetchAssignableUsers } = useData();
+    const [fields, setFields] = useState([]);
+
+    useEffect(() => {
+        let cancelled = false;
+
+        async function load() {
+            try {
+                const data = await fetchCustomFieldDefinitions({ entityType: 'project' });
+                const filterable = (data?.definitions || [])
+                    .filter((definition) => FILTERABLE_CUSTOM_FIELD_TYPES.includes(definition.fieldType));
+                let users = [];
+                if (filterable.some((definition) => definition.fieldType === 'user')) {
+                    users = await fetchAssignableUsers().catch(() => []);
+                }
+                if (cancelled) return;
+                setFields(filterable.map((definition) => ({
+                    ...definition,
+                    filterOptions: definition.fieldType === 'user'
+                        ? (Array.isArray(users) ? users : []).map((user) => ({ id: String(user.oid), label: user.name }))
+                        : definition.options.map((option) => ({ id: option, label: option }))
+                })));
+            } catch (err) {
+                console.warn('Failed to load custom fields for filters', err);
+            }
+        }
+
+        load();
+        return () => { cancelled = true; };
+    }, [fetchCustomFieldDefinitions, fetchAssignableUsers]);
+
+    return fields;
+}
@@ -53,7 +53,57 @@ describe('MyWorkPage', () => {
                         submittedAt: new Date().toISOString()
                     }
                 ]
-            })
+            }),
+            fetchMyMentions: vi.fn().mockResolvedValue({
+                mentions: [
+                    {
+                        id: 'm1',
+                        commentId: 'c1',
+                        taskId: 't9',
+                        taskTitle: 'Review Estimate',
+                        projectId: 'p1',
+                        projectTitle: 'Watched Project',
+                        authorName: 'Dana Reviewer',
+                        excerpt: 'Can you check the estimate?',
+                        createdAt: new Date().toISOString(),
+                        readAt: null
+                    }
+                ],
+                unreadCount: 1
+            }),
+            markMentionsRead: vi.fn().mockResolvedValue({ success: true, updated: 1 }),
+            fetchResumeReminders: vi.fn().mockResolvedValue({ schemaReady: true, reminders: [] }),
+            fetchTimesheet: vi.fn().mockResolvedValue({
+                schemaReady: true,
+                userOid: 'user-1',
+                weekStart: '2026-10-12',
+                days: ['2026-10-12', '2026-10-13', '2026-10-14', '2026-10-15', '2026-10-16', '2026-10-17', '2026-10-18'],
+                rows: [
+                    {
+                        taskId: 't7',
+                        taskTitle: 'Write Runbook',
+                        projectId: 'p1',
+                        projectTitle: 'Watched Project',
+                        hoursByDay: [2, 1.5, 0, 0, 0, 0, 0],
+                        total: 3.5
+                    }
+                ],
+                dayTotals: [2, 1.5, 0, 0, 0, 0, 0],
+                total: 3.5
+            }),
+            fetchCalendarFeeds: vi.fn().mockResolvedValue({
+                schemaReady: true,
+                feeds: [{ id: '4', label: 'Phone', createdAt: '2026-09-01T12:00:00.000Z', lastAccessedAt: null }]
+            }),
+            createCalendarFeed: vi.fn().mockResolvedValue({
+                id: '5',
+                label: 'Work laptop',
+                createdAt: '2026-10-19T12:00:00.000Z',
+                lastAccessedAt: null,
+                token: 'secret-token',
+                feedPath: '/calendar/secret-token.ics'
+            }),
+            revokeCalendarFeed: vi.fn().mockResolvedValue({ success: true })
         });
     });
 
@@ -71,6 +121,26 @@ describe('MyWorkPage', () => {
         });
     });
 
+    it('labels assigned sub-tasks with their parent and parents with sub-task progress', () => {
+        const data = mockUseData();
+        mockUseData.mockReturnValue({
+            ...data,
+            projects: [{
+                ...data.projects[0],
+                tasks: [
+                    { id: 't1', title: 'Rollout', status: 'todo', assigneeOid: 'user-1' },
+                    { id: 't2', title: 'Train staff', status: 'todo', assigneeOid: 'user-1', parentTaskId: 't1' },
+                    { id: 't3', title: 'Configure devices', status: 'done', assigneeOid: 'user-2', parentTaskId: 't1' }
+                ]
+            }]
+        });
+
+        render(<MyWorkPage onViewChange={() => { }} />);
+
+        expect(screen.getByText(/Sub-task of Rollout/)).toBeInTheDocument();
+        expect(screen.getByText(/1\/2 sub-tasks done/)).toBeInTheDocument();
+    });
+
     it('navigates to intake my-requests with focused submission payload', async () => {
         const onViewChange = vi.fn();
         const user = userEvent.setup();
@@ -101,4 +171,82 @@ describe('MyWorkPage', () => {
         expect(stored.projectId).toBe('p1');
         expect(stored.taskId).toBe('t1');
     });
+
+    it('shows the weekly timesheet and moves between weeks', async () => {
+        const user = userEvent.setup();
+        render(<MyWorkPage onViewChange={() => { }} />);
+
+        expect(await screen.findByText('Write Runbook')).toBeInTheDocument();
+        expect(screen.getAllByText('3.5').length).toBeGreaterThan(0);
+
+        await user.click(screen.getByRole('button', { name: 'Previous week' }));
+        const { fetchTimesheet } = mockUseData();
+        await waitFor(() => {
+            expect(fetchTimesheet).toHaveBeenCalledTimes(2);
+        });
+        const [firstCall, secondCall] = fetchTimesheet.mock.calls;
+        expect(secondCall[0].weekStart < firstCall[0].weekStart).toBe(true);
+    });
+
+    it('creates a calendar feed URL once and revokes existing feeds', async () => {
+        const user = userEvent.setup();
+        vi.spyOn(window, 'confirm').mockReturnValue(true);
+        render(<MyWorkPage onViewChange={() => { }} />);
+
+        expect(await screen.findByText('Phone')).toBeInTheDocument();
+        await user.type(screen.getByLabelText('Feed name'), 'Work laptop');
+        await user.click(screen.getByRole('button', { name: 'New feed URL' }));
+
+        expect(mockUseData().createCalendarFeed).toHaveBeenCalledWith('Work laptop');
+        const url = await screen.findByLabelText('New calendar feed URL');
+        expect(url.value).toMatch(/\/api\/calendar\/secret-token\.ics$/);
+        expect(screen.getByText('Work laptop')).toBeInTheDocument();
+
+        await user.click(screen.getByRole('button', { name: 'Revoke Phone' }));
+        expect(mockUseData().revokeCalendarFeed).toHaveBeenCalledWith('4');
+        await waitFor(() => {
+            expect(screen.queryByText('Phone')).not.toBeInTheDocument();
+        });
+        window.confirm.mockRestore();
+    });
+
+    it('marks a mention read and focuses its task', async () => {
+        const onViewChange = vi.fn();
+        const user = userEvent.setup();
+        render(<MyWorkPage onViewChange={onViewChange} />);
+
+        expect(await screen.findByText('1 new')).toBeInTheDocument();
+        await user.click(screen.getByRole('button', { name: /Dana Reviewer on Review Estimate/i }));
+
+        expect(mockUseData().markMentionsRead).toHaveBeenCalledWith(['m1']);
+        const stored = JSON.parse(localStorage.getItem('dha_project_focus_task_payload'));
+        expect(stored.projectId).toBe('p1');
+        expect(stored.taskId).toBe('t9');
+        expect(screen.queryByText('1 new')).not.toBeInTheDocument();
+    });
+
+    it('reminds about on-hold projects past their resume date and opens them', async () => {
+        const data = mockUseData();
+        mockUseData.mockReturnValue({
+            ...data,
+            fetchResumeReminders: vi.fn().mockResolvedValue({
+                schemaReady: true,
+                reminders: [{
+                    projectId: 'p4',
+                    projectTitle: 'Paused Rollout',
+                    onHoldReason: 'Vendor contract renewal',
+                    expectedResumeDate: '2026-10-01',
+                    daysOverdue: 18
+                }]
+            })
+        });
+        const user = userEvent.setup();
+        render(<MyWorkPage onViewChange={() => { }} />);
+
+        expect(await screen.findByText('Past Resume Date')).toBeInTheDocument();
+        await user.click(screen.getByRole('button', { name: /Paused Rollout/ }));
+
+        const stored = JSON.parse(localStorage.getItem('dha_project_filter_payload'));
+        expect(stored.projectId).toBe('p4');
+    });
 });
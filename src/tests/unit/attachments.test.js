@@ -0,0 +1,28 @@
+import { describe, expect, it } from 'vitest';
+import {
+    formatAttachmentSize,
+    normalizeAttachmentEntityType,
+    sanitizeAttachmentFileName
+} from '../../../shared/attachments.js';
+
+describe('attachments', () => {
+    it('accepts only supported parent record types', () => {
+        expect(normalizeAttachmentEntityType(' Project ')).toBe('project');
+        expect(normalizeAttachmentEntityType('submission')).toBe('submission');
+        expect(normalizeAttachmentEntityType('goal')).toBeNull();
+    });
+
+    it('strips paths and unsafe characters from file names', () => {
+        expect(sanitizeAttachmentFileName('C:\\fakepath\\Charter.docx')).toBe('Charter.docx');
+        expect(sanitizeAttachmentFileName('../../etc/passwd')).toBe('passwd');
+        expect(sanitizeAttachmentFileName('quote<v2>?.pdf')).toBe('quotev2.pdf');
+        expect(sanitizeAttachmentFileName('..')).toBe('');
+        expect(sanitizeAttachmentFileName(`${'a'.repeat(300)}.pdf`)).toHaveLength(255);
+    });
+
+    it('formats sizes for display', () => {
+        expect(formatAttachmentSize(512)).toBe('512 B');
+        expect(formatAttachmentSize(2048)).toBe('2.0 KB');
+        expect(formatAttachmentSize(5 * 1024 * 1024)).toBe('5.0 MB');
+    });
+});
@@ -0,0 +1,63 @@
+import { describe, expect, it } from 'vitest';
+import {
+    matchesCustomFieldFilters,
+    normalizeCustomFieldDefinition,
+    normalizeCustomFieldFilters,
+    normalizeCustomFieldValues,
+    parseStoredCustomFieldValue,
+    serializeCustomFieldValue
+} from '../../../shared/customFields.js';
+
+const definitions = [
+    { id: '1', label: 'Budget code', fieldType: 'text', options: [], isRequired: true, isActive: true },
+    { id: '2', label: 'Sites', fieldType: 'multi-select', options: ['North', 'South', 'East'], isRequired: false, isActive: true },
+    { id: '3', label: 'Go-live', fieldType: 'date', options: [], isRequired: false, isActive: true },
+    { id: '4', label: 'Legacy', fieldType: 'number', options: [], isRequired: true, isActive: false }
+];
+
+describe('custom fields', () => {
+    it('validates definitions and keeps the type of an existing field', () => {
+        expect(normalizeCustomFieldDefinition({ entityType: 'goal', label: 'X', fieldType: 'text' }).error).toMatch(/entityType/);
+        expect(normalizeCustomFieldDefinition({ entityType: 'task', label: 'Phase', fieldType: 'select', options: [] }).error)
+            .toMatch(/at least one option/);
+        expect(normalizeCustomFieldDefinition({ entityType: 'task', label: 'Phase', fieldType: 'select', options: ['A', 'a'] }).error)
+            .toMatch(/twice/);
+
+        const { definition } = normalizeCustomFieldDefinition({
+            entityType: 'project', label: '  Sites ', fieldType: 'multi-select', options: ['North', ' ', 'South']
+        });
+        expect(definition).toMatchObject({ label: 'Sites', options: ['North', 'South'], isActive: true, sortOrder: 0 });
+        expect(normalizeCustomFieldDefinition({ fieldType: 'text' }, { ...definition, id: '2' }).error).toMatch(/cannot be changed/);
+        expect(normalizeCustomFieldDefinition({ isActive: false }, definition).definition).toMatchObject({
+            label: 'Sites', fieldType: 'multi-select', isActive: false
+        });
+    });
+
+    it('validates values against active definitions only', () => {
+        expect(normalizeCustomFieldValues(definitions, {}).error).toBe('Budget code is required.');
+        expect(normalizeCustomFieldValues(definitions, { 1: 'BC-1', 4: 3 }).error).toMatch(/not available/);
+        expect(normalizeCustomFieldValues(definitions, { 1: 'BC-1', 3: '2026-02-30' }).error).toMatch(/YYYY-MM-DD/);
+        expect(normalizeCustomFieldValues(definitions, { 1: 'BC-1', 2: ['West'] }).error).toMatch(/not an option/);
+        expect(normalizeCustomFieldValues(definitions, { 1: ' BC-1 ', 2: ['South', 'North'], 3: '' })).toEqual({
+            values: { 1: 'BC-1', 2: ['North', 'South'] }
+        });
+    });
+
+    it('round-trips stored values', () => {
+        const sites = definitions[1];
+        expect(parseStoredCustomFieldValue('multi-select', serializeCustomFieldValue(sites, ['North']))).toEqual(['North']);
+        expect(parseStoredCustomFieldValue('number', '12.5')).toBe(12.5);
+        expect(parseStoredCustomFieldValue('multi-select', 'not json')).toBeNull();
+    });
+
+    it('parses filters and matches projects case-insensitively', () => {
+        const filters = normalizeCustomFieldFilters('{"2":["south","south"],"x":["ignored"],"5":[]}');
+        expect(filters).toEqual({ 2: ['south'] });
+        expect(normalizeCustomFieldFilters('not json')).toEqual({});
+
+        expect(matchesCustomFieldFilters({ 2: ['North', 'South'] }, filters)).toBe(true);
+        expect(matchesCustomFieldFilters({ 2: ['North'] }, filters)).toBe(false);
+        expect(matchesCustomFieldFilters({}, filters)).toBe(false);
+        expect(matchesCustomFieldFilters({}, {})).toBe(true);
+    });
+});
@@ -0,0 +1,69 @@
+import { describe, expect, it } from 'vitest';
+import {
+    applyImportMapping,
+    normalizeImportDate,
+    parseCsv,
+    splitImportList,
+    suggestImportMapping,
+    validateImportRecordShape
+} from '../../../shared/dataImport.js';
+
+describe('data import', () => {
+    it('parses quoted csv and detects semicolon exports', () => {
+        expect(parseCsv('\uFEFFTitle,Notes\n"Rollout ""A""","line 1\nline 2"\n')).toEqual([
+            ['Title', 'Notes'],
+            ['Rollout "A"', 'line 1\nline 2']
+        ]);
+        expect(parseCsv('Title;Status\r\nClinic, North;active')).toEqual([
+            ['Title', 'Status'],
+            ['Clinic, North', 'active']
+        ]);
+    });
+
+    it('suggests a mapping from headers and turns rows into numbered records', () => {
+        const mapping = suggestImportMapping('task', ['Project Title', 'Task', 'Due Date', 'Owner']);
+        expect(mapping).toEqual({ project: 0, title: 1, endDate: 2, assignee: 3 });
+
+        const records = applyImportMapping('task', [
+            ['Rollout', 'Train staff', '2026-05-01', 'ana@example.org'],
+            ['', '', '', ''],
+            ['Rollout', 'Go live', '', '']
+        ], mapping);
+        expect(records.map((record) => record.rowNumber)).toEqual([2, 4]);
+        expect(records[1].values).toEqual({ project: 'Rollout', title: 'Go live', endDate: '', assignee: '' });
+    });
+
+    it('accepts ISO dates and Excel serials but rejects anything ambiguous', () => {
+        expect(normalizeImportDate('2026-05-01')).toEqual({ value: '2026-05-01' });
+        expect(normalizeImportDate('46023')).toEqual({ value: '2026-01-01' });
+        expect(normalizeImportDate('')).toEqual({ value: null });
+        expect(normalizeImportDate('05/01/2026', 'Start date').error).toMatch(/Start date "05\/01\/2026"/);
+        expect(normalizeImportDate('2026-02-30').error).toMatch(/YYYY-MM-DD/);
+    });
+
+    it('reports missing fields, bad enumerations and inverted dates per row', () => {
+        expect(validateImportRecordShape('project', { title: '', status: 'paused' })).toEqual([
+            'Title is required.',
+            'Status "paused" must be one of: active, on-hold, completed.'
+        ]);
+        expect(validateImportRecordShape('task', {
+            project: 'Rollout', title: 'Go live', priority: 'urgent', startDate: '2026-05-10', endDate: '2026-05-01'
+        })).toEqual([
+            'Priority "urgent" must be one of: low, medium, high.',
+            'End date cannot be earlier than start date.'
+        ]);
+        expect(splitImportList('Access; Quality ;\nAccess')).toEqual(['Access', 'Quality']);
+    });
+
+    it('requires hold details for projects imported on hold', () => {
+        expect(validateImportRecordShape('project', { title: 'Clinic refresh', status: 'On-Hold' })).toEqual([
+            'A reason is required to put a project on hold.'
+        ]);
+        expect(validateImportRecordShape('project', {
+            title: 'Clinic refresh', status: 'on-hold', onHoldReason: 'Funding review', expectedResumeDate: '2099-01-15'
+        })).toEqual([]);
+        expect(validateImportRecordShape('project', {
+            title: 'Clinic refresh', status: 'on-hold', onHoldReason: 'Funding review', expectedResumeDate: '15/01/2099'
+        })[0]).toMatch(/Expected resume date "15\/01\/2099"/);
+    });
+});
@@ -10,10 +10,12 @@ import {
     getGoalLifecycleViewStates,
     getIntakeFormLifecycleViewStates,
     getProjectLifecycleViewStates,
+    isProjectResumeOverdue,
     normalizeGoalLifecycleState,
     normalizeIntakeFormLifecycleState,
     normalizeLifecycleView,
-    normalizeProjectLifecycleState
+    normalizeProjectLifecycleState,
+    validateProjectHold
 } from '../../../shared/dataLifecyclePolicy.js';
 
 describe('data lifecycle policy', () => {
@@ -23,6 +25,7 @@ describe('data lifecycle policy', () => {
         expect(DATA_LIFECYCLE_POLICY.classifications.executive_report_pack_runs).toBe(DATA_CLASSIFICATIONS.OPERATIONAL_EPHEMERA);
         expect(RETENTION_WINDOWS.projectArchiveCompletedMonths).toBe(12);
         expect(RETENTION_WINDOWS.auditHotRetentionMonths).toBe(36);
+        expect(RETENTION_WINDOWS.recycleBinDays).toBe(30);
     });
 
     it('normalizes lifecycle states to safe defaults', () => {
@@ -30,6 +33,7 @@ describe('data lifecycle policy', () => {
         expect(normalizeLifecycleView('unexpected')).toBe(LIFECYCLE_VIEW_MODES.ACTIVE);
 
         expect(normalizeProjectLifecycleState('completed')).toBe(PROJECT_LIFECYCLE_STATES.COMPLETED);
+        expect(normalizeProjectLifecycleState('On-Hold')).toBe(PROJECT_LIFECYCLE_STATES.ON_HOLD);
         expect(normalizeProjectLifecycleState('bad')).toBe(PROJECT_LIFECYCLE_STATES.ACTIVE);
 
         expect(normalizeGoalLifecycleState('retired')).toBe(GOAL_LIFECYCLE_STATES.RETIRED);
@@ -40,9 +44,9 @@ describe('data lifecycle policy', () => {
     });
 
     it('maps active, archived, and all view modes to the right lifecycle states', () => {
-        expect(getProjectLifecycleViewStates('active')).toEqual(['active', 'completed']);
+        expect(getProjectLifecycleViewStates('active')).toEqual(['active', 'on-hold', 'completed']);
         expect(getProjectLifecycleViewStates('archived')).toEqual(['archived']);
-        expect(getProjectLifecycleViewStates('all')).toEqual(['active', 'completed', 'archived']);
+        expect(getProjectLifecycleViewStates('all')).toEqual(['active', 'on-hold', 'completed', 'archived']);
 
         expect(getGoalLifecycleViewStates('active')).toEqual(['active']);
         expect(getGoalLifecycleViewStates('archived')).toEqual(['retired', 'archived']);
@@ -52,4 +56,31 @@ describe('data lifecycle policy', () => {
         expect(getIntakeFormLifecycleViewStates('archived')).toEqual(['retired', 'archived']);
         expect(getIntakeFormLifecycleViewStates('all')).toEqual(['draft', 'active', 'retired', 'archived']);
     });
+
+    it('requires a reason and a resume date that is not in the past to put a project on hold', () => {
+        const now = new Date(2026, 5, 15, 12);
+
+        expect(validateProjectHold({ reason: '  Waiting on vendor  ', expectedResumeDate: '2026-07-01' }, { now }))
+            .toEqual({ value: { reason: 'Waiting on vendor', expectedResumeDate: '2026-07-01' } });
+        expect(validateProjectHold({ reason: '', expectedResumeDate: '2026-07-01' }, { now }).error).toMatch(/reason is required/);
+        expect(validateProjectHold({ reason: 'Funding', expectedResumeDate: '' }, { now }).error).toMatch(/resume date is required/);
+        expect(validateProjectHold({ reason: 'Funding', expectedResumeDate: '2026-02-30' }, { now }).error).toMatch(/valid date/);
+        expect(validateProjectHold({ reason: 'Funding', expectedResumeDate: '2026-06-01' }, { now }).error).toMatch(/in the past/);
+        expect(validateProjectHold({ reason: 'x'.repeat(501), expectedResumeDate: '2026-07-01' }, { now }).error).toMatch(/500 characters/);
+
+        // An existing hold whose date has already passed can be saved again unchanged.
+        expect(validateProjectHold(
+            { reason: 'Funding', expectedResumeDate: '2026-06-01' },
+            { now, previousResumeDate: new Date('2026-06-01T00:00:00Z') }
+        ).value).toEqual({ reason: 'Funding', expectedResumeDate: '2026-06-01' });
+    });
+
+    it('flags on-hold projects once the expected resume date has passed', () => {
+        const now = new Date(2026, 5, 15, 12);
+
+        expect(isProjectResumeOverdue({ lifecycleState: 'on-hold', expectedResumeDate: '2026-06-14' }, now)).toBe(true);
+        expect(isProjectResumeOverdue({ lifecycleState: 'on-hold', expectedResumeDate: '2026-06-15' }, now)).toBe(false);
+        expect(isProjectResumeOverdue({ lifecycleState: 'on-hold', expectedResumeDate: null }, now)).toBe(false);
+        expect(isProjectResumeOverdue({ lifecycleState: 'active', expectedResumeDate: '2026-06-14' }, now)).toBe(false);
+    });
 });
@@ -0,0 +1,99 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { fireEvent, render, screen, waitFor } from '@testing-library/react';
+import { EditProjectForm } from '../../components/Kanban/EditProjectForm.jsx';
+
+const mockUseData = vi.fn();
+const mockToast = {
+    success: vi.fn(),
+    error: vi.fn()
+};
+
+vi.mock('../../context/DataContext', () => ({
+    useData: () => mockUseData()
+}));
+
+vi.mock('../../context/ToastContext', () => ({
+    useToast: () => mockToast
+}));
+
+vi.mock('../../components/UI/ProjectTagSelector.jsx', () => ({
+    ProjectTagSelector: () => <div>Project Tag Selector</div>
+}));
+
+vi.mock('../../components/UI/CascadingGoalFilter.jsx', () => ({
+    CascadingGoalFilter: () => <div>Goal Filter</div>
+}));
+
+const conflictError = (conflicts) => Object.assign(new Error('This project was changed by someone else'), {
+    status: 412,
+    data: { etag: '"3"', conflicts }
+});
+
+describe('EditProjectForm edit conflicts', () => {
+    const updateProject = vi.fn();
+    const updateProjectTags = vi.fn().mockResolvedValue(true);
+    const onClose = vi.fn();
+    const project = {
+        id: 'project-1',
+        title: 'Mine',
+        description: 'Existing description',
+        status: 'active',
+        goalIds: ['9101'],
+        orgId: '1',
+        tags: [],
+        etag: '"2"'
+    };
+
+    beforeEach(() => {
+        vi.clearAllMocks();
+        mockUseData.mockReturnValue({
+            updateProject,
+            updateProjectTags,
+            deleteProject: vi.fn(),
+            goals: [{ id: '9101', title: 'Goal One', type: 'enterprise' }],
+            currentUser: { orgId: '1' },
+            fetchOrganizations: vi.fn().mockResolvedValue([{ id: 1, name: 'Test Org One' }]),
+            hasRole: () => false
+        });
+    });
+
+    it('saves against the version the form was opened with and merges chosen values on conflict', async () => {
+        updateProject
+            .mockRejectedValueOnce(conflictError([{ field: 'title', current: 'Theirs', submitted: 'Mine' }]))
+            .mockResolvedValueOnce(true);
+
+        render(<EditProjectForm project={project} onClose={onClose} canEditProject canDeleteProject={false} />);
+
+        fireEvent.click(screen.getByRole('button', { name: 'Save Changes' }));
+
+        await screen.findByRole('alertdialog');
+        expect(updateProject).toHaveBeenCalledWith('project-1', expect.objectContaining({ title: 'Mine' }), { etag: '"2"' });
+        expect(onClose).not.toHaveBeenCalled();
+
+        fireEvent.click(screen.getByLabelText('Use saved Title'));
+        fireEvent.click(screen.getByRole('button', { name: 'Save merged changes' }));
+
+        await waitFor(() => {
+            expect(updateProject).toHaveBeenLastCalledWith('project-1', expect.objectContaining({
+                title: 'Theirs',
+                description: 'Existing description'
+            }), { etag: '"3"' });
+        });
+        expect(onClose).toHaveBeenCalled();
+    });
+
+    it('retries silently when the other save touched none of the submitted fields', async () => {
+        updateProject
+            .mockRejectedValueOnce(conflictError([]))
+            .mockResolvedValueOnce(true);
+
+        render(<EditProjectForm project={project} onClose={onClose} canEditProject canDeleteProject={false} />);
+
+        fireEvent.click(screen.getByRole('button', { name: 'Save Changes' }));
+
+        await waitFor(() => expect(onClose).toHaveBeenCalled());
+        expect(updateProject).toHaveBeenCalledTimes(2);
+        expect(updateProject).toHaveBeenLastCalledWith('project-1', expect.anything(), { etag: '"3"' });
+        expect(screen.queryByRole('alertdialog')).toBeNull();
+    });
+});
@@ -0,0 +1,95 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { fireEvent, render, screen, waitFor } from '@testing-library/react';
+import { EditProjectForm } from '../../components/Kanban/EditProjectForm.jsx';
+
+const mockUseData = vi.fn();
+const mockToast = {
+    success: vi.fn(),
+    error: vi.fn()
+};
+
+vi.mock('../../context/DataContext', () => ({
+    useData: () => mockUseData()
+}));
+
+vi.mock('../../context/ToastContext', () => ({
+    useToast: () => mockToast
+}));
+
+vi.mock('../../components/UI/ProjectTagSelector.jsx', () => ({
+    ProjectTagSelector: () => <div>Project Tag Selector</div>
+}));
+
+vi.mock('../../components/UI/CascadingGoalFilter.jsx', () => ({
+    CascadingGoalFilter: () => <div>Goal Filter</div>
+}));
+
+describe('EditProjectForm on-hold details', () => {
+    const updateProject = vi.fn().mockResolvedValue(true);
+    const onClose = vi.fn();
+    const project = {
+        id: 'project-1',
+        title: 'Clinic refresh',
+        description: '',
+        status: 'active',
+        goalIds: [],
+        orgId: '1',
+        tags: [],
+        etag: '"4"'
+    };
+
+    beforeEach(() => {
+        vi.clearAllMocks();
+        mockUseData.mockReturnValue({
+            updateProject,
+            updateProjectTags: vi.fn().mockResolvedValue(true),
+            deleteProject: vi.fn(),
+            goals: [],
+            currentUser: { orgId: '1' },
+            fetchOrganizations: vi.fn().mockResolvedValue([]),
+            hasRole: () => false
+        });
+    });
+
+    const submit = () => fireEvent.submit(screen.getByRole('button', { name: 'Save Changes' }).closest('form'));
+
+    it('asks for a reason and resume date before putting the project on hold', async () => {
+        render(<EditProjectForm project={project} onClose={onClose} canEditProject />);
+
+        expect(screen.queryByLabelText('Hold Reason')).toBeNull();
+        fireEvent.change(screen.getByDisplayValue('Active'), { target: { value: 'on-hold' } });
+        submit();
+
+        expect(mockToast.error).toHaveBeenCalledWith('A reason is required to put a project on hold.');
+        expect(updateProject).not.toHaveBeenCalled();
+
+        fireEvent.change(screen.getByLabelText('Hold Reason'), { target: { value: '  Waiting on vendor contract ' } });
+        fireEvent.change(screen.getByLabelText('Expected Resume Date'), { target: { value: '2099-03-01' } });
+        submit();
+
+        await waitFor(() => expect(onClose).toHaveBeenCalled());
+        expect(updateProject).toHaveBeenCalledWith('project-1', expect.objectContaining({
+            status: 'on-hold',
+            onHoldReason: 'Waiting on vendor contract',
+            expectedResumeDate: '2099-03-01'
+        }), { etag: '"4"' });
+    });
+
+    it('keeps a passed resume date when editing a project that is already on hold', async () => {
+        render(
+            <EditProjectForm
+                project={{ ...project, status: 'on-hold', lifecycleState: 'on-hold', onHoldReason: 'Funding review', expectedResumeDate: '2020-01-15' }}
+                onClose={onClose}
+                canEditProject
+            />
+        );
+
+        expect(screen.getByLabelText('Hold Reason').value).toBe('Funding review');
+        submit();
+
+        await waitFor(() => expect(onClose).toHaveBeenCalled());
+        expect(updateProject).toHaveBeenCalledWith('project-1', expect.objectContaining({
+            expectedResumeDate: '2020-01-15'
+        }), { etag: '"4"' });
+    });
+});
@@ -77,7 +77,7 @@ describe('EditProjectForm ownership controls', () => {
                 orgId: '2',
                 title: 'Project One',
                 status: 'active'
-            }));
+            }), { etag: null });
         });
         expect(updateProjectTags).toHaveBeenCalledWith('project-1', []);
         expect(onClose).toHaveBeenCalled();
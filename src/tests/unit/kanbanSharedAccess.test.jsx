@@ -3,11 +3,16 @@ import { render, screen } from '@testing-library/react';
 import { KanbanBoard } from '../../components/Kanban/KanbanBoard.jsx';
 
 const mockUseData = vi.fn();
+const mockToast = { success: vi.fn(), error: vi.fn(), warning: vi.fn(), info: vi.fn() };
 
 vi.mock('../../context/DataContext', () => ({
     useData: () => mockUseData()
 }));
 
+vi.mock('../../context/ToastContext', () => ({
+    useToast: () => mockToast
+}));
+
 vi.mock('../../components/Kanban/TaskTableView.jsx', () => ({
     TaskTableView: () => <div>Task Table</div>
 }));
@@ -82,6 +87,7 @@ describe('KanbanBoard shared project access', () => {
 
         expect(screen.getByText('Read-only shared access')).toBeInTheDocument();
         expect(screen.queryByTitle('Edit Project')).not.toBeInTheDocument();
+        expect(screen.queryByTitle('Task Workflow')).not.toBeInTheDocument();
         expect(screen.queryByRole('button', { name: 'New Task' })).not.toBeInTheDocument();
     });
 });
@@ -0,0 +1,77 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { fireEvent, render, screen, waitFor } from '@testing-library/react';
+import { KPIManager } from '../../components/Goals/KPIManager.jsx';
+
+const mockUseData = vi.fn();
+const mockToast = {
+    success: vi.fn(),
+    error: vi.fn()
+};
+
+vi.mock('../../context/DataContext', () => ({
+    useData: () => mockUseData()
+}));
+
+vi.mock('../../context/ToastContext', () => ({
+    useToast: () => mockToast,
+    UNDO_TOAST_DURATION_MS: 8000
+}));
+
+describe('KPIManager recycle bin', () => {
+    const deleteKpi = vi.fn();
+    const restoreKpi = vi.fn().mockResolvedValue({ id: 'kpi-1' });
+    const fetchGoalRecycleBin = vi.fn();
+    const kpis = [{ id: 'kpi-1', name: 'Readmission rate', target: 10, current: 4, unit: '%' }];
+
+    beforeEach(() => {
+        vi.clearAllMocks();
+        mockUseData.mockReturnValue({
+            addKpi: vi.fn(),
+            updateKpi: vi.fn(),
+            deleteKpi,
+            restoreKpi,
+            fetchGoalRecycleBin
+        });
+    });
+
+    it('offers undo after a recycled delete and restores the KPI from the toast', async () => {
+        deleteKpi.mockResolvedValue({ success: true, recycled: true });
+        const { container } = render(<KPIManager goalId="goal-1" kpis={kpis} />);
+
+        fireEvent.click(container.querySelector('.kpi-item .icon-btn.danger'));
+
+        await waitFor(() => expect(mockToast.success).toHaveBeenCalledWith(
+            'KPI removed',
+            8000,
+            expect.objectContaining({ label: 'Undo' })
+        ));
+        expect(deleteKpi).toHaveBeenCalledWith('goal-1', 'kpi-1');
+
+        const [, , action] = mockToast.success.mock.calls[0];
+        await action.onClick();
+        expect(restoreKpi).toHaveBeenCalledWith('goal-1', 'kpi-1');
+        expect(mockToast.success).toHaveBeenLastCalledWith('KPI restored');
+    });
+
+    it('shows a plain toast when the delete was permanent', async () => {
+        deleteKpi.mockResolvedValue({ success: true, recycled: false });
+        const { container } = render(<KPIManager goalId="goal-1" kpis={kpis} />);
+
+        fireEvent.click(container.querySelector('.kpi-item .icon-btn.danger'));
+
+        await waitFor(() => expect(mockToast.success).toHaveBeenCalledWith('KPI removed'));
+    });
+
+    it('lists recently deleted KPIs and restores one', async () => {
+        fetchGoalRecycleBin.mockResolvedValue({ schemaReady: true, kpis: [{ id: 'kpi-2', name: 'Wait time' }] });
+        render(<KPIManager goalId="goal-1" kpis={kpis} />);
+
+        fireEvent.click(screen.getByRole('button', { name: 'Recently deleted KPIs' }));
+        expect(await screen.findByText('Wait time')).toBeTruthy();
+
+        fireEvent.click(screen.getByRole('button', { name: 'Restore' }));
+
+        await waitFor(() => expect(restoreKpi).toHaveBeenCalledWith('goal-1', 'kpi-2'));
+        await waitFor(() => expect(screen.queryByText('Wait time')).toBeNull());
+    });
+});
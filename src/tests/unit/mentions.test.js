@@ -0,0 +1,45 @@
+import { describe, expect, it } from 'vitest';
+import {
+    encodeMentions,
+    extractMentionOids,
+    formatMentionToken,
+    splitMentionSegments,
+    stripMentionTokens
+} from '../../../shared/mentions.js';
+
+const ann = { oid: 'oid-ann', name: 'Ann' };
+const annLee = { oid: 'oid-ann-lee', name: 'Ann Lee' };
+
+describe('mentions', () => {
+    it('formats tokens and strips brackets from display names', () => {
+        expect(formatMentionToken(ann)).toBe('@[Ann](oid-ann)');
+        expect(formatMentionToken({ oid: 'x', name: 'Odd [name]' })).toBe('@[Odd  name](x)');
+    });
+
+    it('encodes selected users and ignores unselected @text', () => {
+        const body = encodeMentions('@Ann please review with @Bob', [ann]);
+        expect(body).toBe('@[Ann](oid-ann) please review with @Bob');
+        expect(extractMentionOids(body)).toEqual(['oid-ann']);
+    });
+
+    it('prefers the longest matching name', () => {
+        const body = encodeMentions('cc @Ann Lee and @Ann', [ann, annLee]);
+        expect(body).toBe('cc @[Ann Lee](oid-ann-lee) and @[Ann](oid-ann)');
+        expect(extractMentionOids(body).sort()).toEqual(['oid-ann', 'oid-ann-lee']);
+    });
+
+    it('drops users whose mention was removed from the text', () => {
+        expect(encodeMentions('no mentions left', [ann])).toBe('no mentions left');
+    });
+
+    it('splits bodies into text and mention segments and strips back to plain text', () => {
+        const body = 'Thanks @[Ann Lee](oid-ann-lee)!';
+        expect(splitMentionSegments(body)).toEqual([
+            { type: 'text', text: 'Thanks ' },
+            { type: 'mention', name: 'Ann Lee', oid: 'oid-ann-lee' },
+            { type: 'text', text: '!' }
+        ]);
+        expect(stripMentionTokens(body)).toBe('Thanks @Ann Lee!');
+        expect(encodeMentions(stripMentionTokens(body), [annLee])).toBe(body);
+    });
+});
@@ -0,0 +1,51 @@
+import { describe, expect, it } from 'vitest';
+import {
+    getMilestoneDisplayDate,
+    getMilestoneSlipDays,
+    normalizeMilestoneStatus,
+    summarizeMilestones,
+    toReportMilestone
+} from '../../../shared/milestones.js';
+
+const today = new Date('2026-03-10T12:00:00Z');
+
+describe('milestones', () => {
+    it('defaults to pending and rejects unknown statuses', () => {
+        expect(normalizeMilestoneStatus(undefined)).toBe('pending');
+        expect(normalizeMilestoneStatus(' Complete ')).toBe('complete');
+        expect(normalizeMilestoneStatus('done')).toBeNull();
+    });
+
+    it('prefers actual, then forecast, then planned dates and reports slip', () => {
+        const milestone = { plannedDate: '2026-03-01', forecastDate: '2026-03-08', actualDate: null };
+        expect(getMilestoneDisplayDate(milestone)).toBe('2026-03-08');
+        expect(getMilestoneSlipDays(milestone)).toBe(7);
+        expect(getMilestoneSlipDays({ ...milestone, actualDate: '2026-02-27' })).toBe(-2);
+        expect(getMilestoneSlipDays({ plannedDate: '2026-03-01' })).toBe(0);
+    });
+
+    it('snapshots milestones in the legacy report shape', () => {
+        expect(toReportMilestone({ id: '4', name: 'Go-live', plannedDate: '2026-04-01', status: 'in-progress' })).toEqual({
+            id: '4',
+            name: 'Go-live',
+            date: '2026-04-01',
+            status: 'in-progress',
+            plannedDate: '2026-04-01',
+            forecastDate: null,
+            actualDate: null
+        });
+    });
+
+    it('summarizes the next open milestone and overdue count', () => {
+        const summary = summarizeMilestones([
+            { id: '1', name: 'Kickoff', plannedDate: '2026-01-05', actualDate: '2026-01-05', status: 'complete' },
+            { id: '2', name: 'Design sign-off', plannedDate: '2026-03-01', status: 'in-progress' },
+            { id: '3', name: 'Go-live', plannedDate: '2026-05-01', forecastDate: '2026-05-15', status: 'pending' }
+        ], today);
+        expect(summary.total).toBe(3);
+        expect(summary.completed).toBe(1);
+        expect(summary.overdue).toBe(1);
+        expect(summary.next).toMatchObject({ id: '2', name: 'Design sign-off', date: '2026-03-01' });
+        expect(summarizeMilestones([], today).next).toBeNull();
+    });
+});
@@ -0,0 +1,63 @@
+import { describe, expect, it } from 'vitest';
+import {
+    buildCloneTitle,
+    computeCloneShiftDays,
+    normalizeCloneRequest,
+    shiftDateOnly,
+    toStatusReportDraft
+} from '../../../shared/projectClone.js';
+
+describe('project clone', () => {
+    it('copies every component unless told otherwise and drops checklists without tasks', () => {
+        const all = normalizeCloneRequest({});
+        expect(all.components).toEqual({
+            tasks: true, checklists: true, tags: true, goals: true, benefits: true, statusReport: true
+        });
+
+        const noTasks = normalizeCloneRequest({ components: { tasks: false, statusReport: false } });
+        expect(noTasks.components.checklists).toBe(false);
+        expect(noTasks.components.statusReport).toBe(false);
+        expect(noTasks.components.tags).toBe(true);
+    });
+
+    it('validates the start date and title', () => {
+        expect(normalizeCloneRequest({ startDate: '2026-13-45' }).error).toMatch(/startDate/);
+        expect(normalizeCloneRequest({ title: 'x'.repeat(256) }).error).toMatch(/255/);
+        expect(normalizeCloneRequest({ startDate: '2026-05-04', title: '  Site B  ' })).toMatchObject({
+            startDate: '2026-05-04',
+            title: 'Site B'
+        });
+    });
+
+    it('moves the earliest task date onto the requested start', () => {
+        const tasks = [
+            { startDate: '2026-03-10', endDate: '2026-03-20' },
+            { startDate: null, endDate: '2026-03-05' },
+            { startDate: '2026-04-01', endDate: null }
+        ];
+        expect(computeCloneShiftDays(tasks, '2026-04-05')).toBe(31);
+        expect(computeCloneShiftDays(tasks, null)).toBe(0);
+        expect(computeCloneShiftDays([{ startDate: null, endDate: null }], '2026-04-05')).toBe(0);
+        expect(shiftDateOnly('2026-02-27', 3)).toBe('2026-03-02');
+        expect(shiftDateOnly(null, 3)).toBeNull();
+    });
+
+    it('names the copy and turns the latest report into a draft without source references', () => {
+        expect(buildCloneTitle('Rollout - Site A', '')).toBe('Rollout - Site A (copy)');
+        expect(buildCloneTitle('Rollout - Site A', 'Rollout - Site B')).toBe('Rollout - Site B');
+
+        const draft = toStatusReportDraft({
+            version: 4,
+            overallStatus: 'yellow',
+            purpose: 'Deploy virtual care',
+            raidItemIds: ['12'],
+            workstreams: [{ id: 1, name: 'Training' }]
+        });
+        expect(draft).toEqual({
+            overallStatus: 'yellow',
+            purpose: 'Deploy virtual care',
+            workstreams: [{ id: 1, name: 'Training' }]
+        });
+        expect(toStatusReportDraft(null)).toBeNull();
+    });
+});
@@ -0,0 +1,65 @@
+import { describe, expect, it } from 'vitest';
+import {
+    describeUpstreamIssues,
+    getUpstreamDependencyIssues,
+    layoutDependencyGraph,
+    normalizeProjectDependency,
+    wouldCreateProjectDependencyCycle
+} from '../../../shared/projectDependencies.js';
+
+describe('project dependencies', () => {
+    it('validates fields and keeps fallback values on partial update', () => {
+        expect(normalizeProjectDependency({ neededByDate: '2026-03-01', note: '  EMR interface  ' })).toEqual({
+            dependency: { dependencyType: 'finish-to-start', neededByDate: '2026-03-01', note: 'EMR interface' }
+        });
+        expect(normalizeProjectDependency({ dependencyType: 'blocks' }).error).toMatch(/dependencyType/);
+        expect(normalizeProjectDependency({ neededByDate: 'next spring' }).error).toMatch(/neededByDate/);
+
+        const existing = { dependencyType: 'deliverable', neededByDate: '2026-03-01', note: 'Keep' };
+        expect(normalizeProjectDependency({ neededByDate: '' }, existing).dependency).toEqual({
+            dependencyType: 'deliverable',
+            neededByDate: null,
+            note: 'Keep'
+        });
+    });
+
+    it('rejects links that would make a project depend on itself', () => {
+        const links = [
+            { upstreamProjectId: '1', downstreamProjectId: '2' },
+            { upstreamProjectId: '2', downstreamProjectId: '3' }
+        ];
+        expect(wouldCreateProjectDependencyCycle(links, '3', '1')).toBe(true);
+        expect(wouldCreateProjectDependencyCycle(links, '1', '3')).toBe(false);
+    });
+
+    it('flags upstream projects that are red, slipping or forecast past the needed-by date', () => {
+        const dependency = { neededByDate: '2026-03-01' };
+        expect(getUpstreamDependencyIssues(dependency, { reportStatus: 'green', slipDays: 2, finishDate: '2026-02-20' }))
+            .toEqual({ atRisk: false, reasons: [], daysLate: 0 });
+
+        const issues = getUpstreamDependencyIssues(dependency, { reportStatus: 'Red', slipDays: 10, finishDate: '2026-03-11' });
+        expect(issues).toEqual({ atRisk: true, reasons: ['red', 'slipped', 'late'], daysLate: 10 });
+        expect(describeUpstreamIssues(issues.reasons, issues.daysLate))
+            .toBe('reporting red, slipping against baseline, forecast 10 days after the needed-by date');
+    });
+
+    it('lays out projects left to right by their longest upstream chain', () => {
+        const nodes = [
+            { id: '1', title: 'EMR upgrade' },
+            { id: '2', title: 'Patient portal' },
+            { id: '3', title: 'Analytics' },
+            { id: '4', title: 'Interface engine' }
+        ];
+        const edges = [
+            { upstreamProjectId: '1', downstreamProjectId: '2' },
+            { upstreamProjectId: '4', downstreamProjectId: '1' },
+            { upstreamProjectId: '4', downstreamProjectId: '2' },
+            { upstreamProjectId: '3', downstreamProjectId: '2' }
+        ];
+        const layout = layoutDependencyGraph(nodes, edges);
+        expect(layout.get('3')).toEqual({ column: 0, row: 0 });
+        expect(layout.get('4')).toEqual({ column: 0, row: 1 });
+        expect(layout.get('1')).toEqual({ column: 1, row: 0 });
+        expect(layout.get('2')).toEqual({ column: 2, row: 0 });
+    });
+});
@@ -0,0 +1,67 @@
+import { describe, expect, it } from 'vitest';
+import {
+    formatFinancialAmount,
+    getCostVarianceLevel,
+    getLineForecast,
+    normalizeFinancialLine,
+    summarizeFinancialLines
+} from '../../../shared/projectFinancials.js';
+
+describe('project financials', () => {
+    it('validates budget lines and keeps fallback values on partial updates', () => {
+        const created = normalizeFinancialLine({
+            fiscalYear: '2026',
+            costType: 'Capital',
+            category: '  Hardware ',
+            budgetAmount: '1000.456',
+            forecastAmount: '',
+            actualAmount: 250
+        });
+        expect(created).toEqual({
+            line: {
+                fiscalYear: 2026,
+                costType: 'capital',
+                category: 'Hardware',
+                budgetAmount: 1000.46,
+                forecastAmount: null,
+                actualAmount: 250,
+                notes: null
+            }
+        });
+
+        const updated = normalizeFinancialLine({ actualAmount: 900 }, created.line);
+        expect(updated.line).toMatchObject({ fiscalYear: 2026, costType: 'capital', budgetAmount: 1000.46, actualAmount: 900 });
+
+        expect(normalizeFinancialLine({ fiscalYear: 1999, costType: 'capital' }).error).toMatch(/fiscalYear/);
+        expect(normalizeFinancialLine({ fiscalYear: 2026, costType: 'travel' }).error).toMatch(/costType/);
+        expect(normalizeFinancialLine({ fiscalYear: 2026, costType: 'operating', budgetAmount: -5 }).error).toMatch(/budgetAmount/);
+    });
+
+    it('uses the budget as forecast until actual spend passes it', () => {
+        expect(getLineForecast({ budgetAmount: 100, forecastAmount: null, actualAmount: 40 })).toBe(100);
+        expect(getLineForecast({ budgetAmount: 100, forecastAmount: null, actualAmount: 130 })).toBe(130);
+        expect(getLineForecast({ budgetAmount: 100, forecastAmount: 90, actualAmount: 130 })).toBe(90);
+    });
+
+    it('rolls lines up by cost type and fiscal year', () => {
+        const summary = summarizeFinancialLines([
+            { fiscalYear: 2027, costType: 'operating', budgetAmount: 200, forecastAmount: 260, actualAmount: 50 },
+            { fiscalYear: 2026, costType: 'capital', budgetAmount: 800, forecastAmount: null, actualAmount: 700 }
+        ]);
+        expect(summary).toMatchObject({ lineCount: 2, budget: 1000, forecast: 1060, actual: 750, variance: 60, variancePct: 0.06 });
+        expect(summary.byCostType.operating).toMatchObject({ budget: 200, forecast: 260, variance: 60 });
+        expect(summary.byCostType.capital).toMatchObject({ budget: 800, forecast: 800, variance: 0 });
+        expect(summary.fiscalYears.map((year) => year.fiscalYear)).toEqual([2026, 2027]);
+        expect(summarizeFinancialLines([]).variancePct).toBeNull();
+    });
+
+    it('grades forecast overruns and formats amounts', () => {
+        expect(getCostVarianceLevel(0.2)).toBe('high');
+        expect(getCostVarianceLevel(0.06)).toBe('medium');
+        expect(getCostVarianceLevel(0.01)).toBeNull();
+        expect(getCostVarianceLevel(-0.3)).toBeNull();
+        expect(getCostVarianceLevel(null)).toBeNull();
+        expect(formatFinancialAmount(1234567.8)).toBe('$1,234,568');
+        expect(formatFinancialAmount(-50)).toBe('-$50');
+    });
+});
@@ -0,0 +1,66 @@
+import { describe, expect, it } from 'vitest';
+import {
+    MAX_TEMPLATE_TAGS,
+    buildTemplateTaskPlan,
+    normalizeTemplateDefinition,
+    toStatusReportSeed
+} from '../../../shared/projectTemplates.js';
+
+describe('project templates', () => {
+    it('normalizes tasks, checklists, ids and report defaults', () => {
+        const { definition } = normalizeTemplateDefinition({
+            tasks: [{ title: '  Kickoff ', priority: 'HIGH', startOffsetDays: '2', durationDays: 3, checklist: ['Agenda', { title: 'Invite' }, ' '] }],
+            tagIds: ['4', 4, 'x', -1],
+            goalIds: [7],
+            benefits: [{ title: 'Fewer readmissions', targetValue: '12.5', unit: '%' }],
+            statusReportDefaults: { purpose: 'Deliver', workstreams: ['Clinical', 'Clinical', { name: 'Technical' }] }
+        });
+
+        expect(definition.tasks).toEqual([{
+            title: 'Kickoff',
+            description: '',
+            priority: 'high',
+            startOffsetDays: 2,
+            durationDays: 3,
+            checklist: ['Agenda', 'Invite']
+        }]);
+        expect(definition.tagIds).toEqual([4]);
+        expect(definition.goalIds).toEqual([7]);
+        expect(definition.benefits).toEqual([{ title: 'Fewer readmissions', description: '', unit: '%', targetValue: 12.5 }]);
+        expect(definition.statusReportDefaults.workstreams).toEqual(['Clinical', 'Technical']);
+    });
+
+    it('rejects invalid tasks and limits', () => {
+        expect(normalizeTemplateDefinition({ tasks: [{ title: '' }] }).error).toMatch(/needs a title/);
+        expect(normalizeTemplateDefinition({ tasks: [{ title: 'A', priority: 'urgent' }] }).error).toMatch(/invalid priority/);
+        expect(normalizeTemplateDefinition({ tasks: [{ title: 'A', startOffsetDays: -1 }] }).error).toMatch(/whole days/);
+        expect(normalizeTemplateDefinition({ tasks: [{ title: 'A', durationDays: 1.5 }] }).error).toMatch(/whole days/);
+        const tagIds = Array.from({ length: MAX_TEMPLATE_TAGS + 1 }, (_, index) => index + 1);
+        expect(normalizeTemplateDefinition({ tagIds }).error).toMatch(/at most/);
+        expect(normalizeTemplateDefinition({ benefits: [{ title: 'B', targetValue: 'lots' }] }).error).toMatch(/invalid target/);
+    });
+
+    it('resolves task offsets against the kickoff date', () => {
+        const { definition } = normalizeTemplateDefinition({
+            tasks: [
+                { title: 'Charter', durationDays: 4 },
+                { title: 'Go-live', startOffsetDays: 30, durationDays: 0, checklist: ['Sign-off'] }
+            ]
+        });
+        expect(buildTemplateTaskPlan(definition, '2026-12-20')).toEqual([
+            { title: 'Charter', description: '', priority: 'medium', status: 'todo', startDate: '2026-12-20', endDate: '2026-12-24', checklist: [] },
+            { title: 'Go-live', description: '', priority: 'medium', status: 'todo', startDate: '2027-01-19', endDate: '2027-01-19', checklist: ['Sign-off'] }
+        ]);
+    });
+
+    it('seeds status reports only when defaults are set', () => {
+        expect(toStatusReportSeed({ purpose: '', executiveSummary: '', kpis: '', workstreams: [] })).toBeNull();
+        expect(toStatusReportSeed({ kpis: 'Adoption', workstreams: ['Clinical'] })).toEqual({
+            overallStatus: 'green',
+            purpose: '',
+            executiveSummary: '',
+            kpis: 'Adoption',
+            workstreams: [{ id: 1, name: 'Clinical', progressLastPeriod: '', workAhead: '', barriers: '', status: 'green' }]
+        });
+    });
+});
@@ -0,0 +1,86 @@
+import { describe, expect, it } from 'vitest';
+import {
+    buildRiskHeatMap,
+    getRaidScore,
+    getRaidSeverity,
+    mergeRiskHeatMaps,
+    normalizeRaidItem,
+    summarizeRaidItems
+} from '../../../shared/raidLog.js';
+
+describe('RAID register', () => {
+    it('validates items and keeps fallback values on partial update', () => {
+        expect(normalizeRaidItem({ type: 'risk', title: '  Vendor slips  ', probability: '4', impact: 5 })).toEqual({
+            item: {
+                type: 'risk',
+                title: 'Vendor slips',
+                description: null,
+                ownerOid: null,
+                probability: 4,
+                impact: 5,
+                mitigation: null,
+                dueDate: null,
+                status: 'open'
+            }
+        });
+        expect(normalizeRaidItem({ type: 'concern', title: 'x' }).error).toMatch(/type/);
+        expect(normalizeRaidItem({ type: 'issue', title: '' }).error).toMatch(/title/);
+        expect(normalizeRaidItem({ type: 'risk', title: 'x', probability: 6 }).error).toMatch(/probability/);
+        expect(normalizeRaidItem({ type: 'risk', title: 'x', dueDate: 'soon' }).error).toMatch(/dueDate/);
+
+        const existing = { type: 'dependency', title: 'API contract', ownerOid: 'u1', probability: 2, impact: 3, dueDate: '2026-05-01', status: 'open' };
+        expect(normalizeRaidItem({ status: 'resolved' }, existing).item).toMatchObject({
+            type: 'dependency',
+            ownerOid: 'u1',
+            probability: 2,
+            impact: 3,
+            dueDate: '2026-05-01',
+            status: 'resolved'
+        });
+        expect(normalizeRaidItem({ impact: null }, existing).item.impact).toBeNull();
+    });
+
+    it('scores and grades probability x impact', () => {
+        expect(getRaidScore({ probability: 3, impact: 4 })).toBe(12);
+        expect(getRaidScore({ probability: 3, impact: null })).toBeNull();
+        expect(getRaidSeverity(25)).toBe('critical');
+        expect(getRaidSeverity(10)).toBe('high');
+        expect(getRaidSeverity(6)).toBe('medium');
+        expect(getRaidSeverity(2)).toBe('low');
+        expect(getRaidSeverity(null)).toBeNull();
+    });
+
+    it('builds heat maps from open, scored risks only and merges them', () => {
+        const items = [
+            { type: 'risk', status: 'open', probability: 5, impact: 5 },
+            { type: 'risk', status: 'monitoring', probability: 5, impact: 5 },
+            { type: 'risk', status: 'closed', probability: 5, impact: 5 },
+            { type: 'risk', status: 'open', probability: 2, impact: null },
+            { type: 'issue', status: 'open', probability: 1, impact: 1 }
+        ];
+        const cells = buildRiskHeatMap(items);
+        expect(cells[4][4]).toBe(2);
+        expect(cells.flat().reduce((sum, count) => sum + count, 0)).toBe(2);
+
+        const merged = mergeRiskHeatMaps([cells, buildRiskHeatMap([{ type: 'risk', status: 'open', probability: 1, impact: 2 }]), null]);
+        expect(merged[4][4]).toBe(2);
+        expect(merged[0][1]).toBe(1);
+    });
+
+    it('summarizes open counts, severity and overdue items', () => {
+        const summary = summarizeRaidItems([
+            { type: 'risk', status: 'open', probability: 4, impact: 4, dueDate: '2026-01-01' },
+            { type: 'risk', status: 'open', probability: 2, impact: 5 },
+            { type: 'issue', status: 'monitoring', dueDate: '2026-12-01' },
+            { type: 'assumption', status: 'resolved', dueDate: '2026-01-01' }
+        ], new Date('2026-03-01T00:00:00Z'));
+        expect(summary).toMatchObject({
+            totalCount: 4,
+            openCount: 3,
+            openByType: { risk: 2, assumption: 0, issue: 1, dependency: 0 },
+            overdueCount: 1,
+            criticalCount: 1,
+            highCount: 1
+        });
+    });
+});
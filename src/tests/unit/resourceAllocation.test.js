@@ -0,0 +1,66 @@
+import { describe, expect, it } from 'vitest';
+import {
+    allocateTaskEffort,
+    buildResourceBuckets,
+    buildResourceHeatmap,
+    getUtilizationLevel
+} from '../../../shared/resourceAllocation.js';
+
+// Monday 2026-03-02 through Sunday 2026-03-15
+const WEEKS = buildResourceBuckets({ start: '2026-03-04', size: 'week', count: 2 });
+
+describe('resource allocation', () => {
+    it('builds week and month buckets anchored to the containing period', () => {
+        expect(WEEKS.map((bucket) => [bucket.start, bucket.end, bucket.workingDays])).toEqual([
+            ['2026-03-02', '2026-03-09', 5],
+            ['2026-03-09', '2026-03-16', 5]
+        ]);
+        const months = buildResourceBuckets({ start: '2026-01-20', size: 'month', count: 2 });
+        expect(months.map((bucket) => bucket.key)).toEqual(['2026-01-01', '2026-02-01']);
+        expect(buildResourceBuckets({ size: 'week', count: 500 })).toHaveLength(26);
+    });
+
+    it('spreads estimates across buckets by working days', () => {
+        // Thursday to Tuesday: 2 working days in week one, 2 in week two
+        expect(allocateTaskEffort({ startDate: '2026-03-05', endDate: '2026-03-10', estimatedHours: 8 }, WEEKS)).toEqual([
+            { bucketKey: '2026-03-02', hours: 4 },
+            { bucketKey: '2026-03-09', hours: 4 }
+        ]);
+        expect(allocateTaskEffort({ endDate: '2026-03-11', estimatedHours: 3 }, WEEKS)).toEqual([
+            { bucketKey: '2026-03-09', hours: 3 }
+        ]);
+        // Overdue open work lands in the first bucket
+        expect(allocateTaskEffort({ startDate: '2026-02-01', endDate: '2026-02-10', estimatedHours: 6 }, WEEKS)).toEqual([
+            { bucketKey: '2026-03-02', hours: 6 }
+        ]);
+        expect(allocateTaskEffort({ startDate: '2026-04-01', estimatedHours: 6 }, WEEKS)).toEqual([]);
+        expect(allocateTaskEffort({ estimatedHours: 6 }, WEEKS)).toEqual([]);
+    });
+
+    it('flags overallocated people and rolls them up by organization', () => {
+        const tasks = [
+            { id: 1, projectId: 10, assigneeOid: 'a', assigneeName: 'Ana', assigneeOrgId: 1, assigneeOrgName: 'North', startDate: '2026-03-02', endDate: '2026-03-06', estimatedHours: 30 },
+            { id: 2, projectId: 11, assigneeOid: 'a', assigneeName: 'Ana', assigneeOrgId: 1, assigneeOrgName: 'North', startDate: '2026-03-02', endDate: '2026-03-06', estimatedHours: 20 },
+            { id: 3, projectId: 10, assigneeOid: 'b', assigneeName: 'Ben', assigneeOrgId: 1, assigneeOrgName: 'North', endDate: '2026-03-12', estimatedHours: 35 },
+            { id: 4, projectId: 12, assigneeOid: 'b', assigneeName: 'Ben', assigneeOrgId: 1, assigneeOrgName: 'North' }
+        ];
+        const { users, orgs } = buildResourceHeatmap({ tasks, buckets: WEEKS, weeklyCapacityHours: 40 });
+
+        expect(users.map((user) => user.userOid)).toEqual(['a', 'b']);
+        expect(users[0]).toMatchObject({ openTaskCount: 2, projectCount: 2, totalHours: 50, overallocatedBucketCount: 1 });
+        expect(users[0].cells[0]).toMatchObject({ hours: 50, capacityHours: 40, level: 'over', taskIds: ['1', '2'] });
+        expect(users[1]).toMatchObject({ unscheduledTaskCount: 1, unestimatedTaskCount: 1 });
+        expect(users[1].cells[1]).toMatchObject({ hours: 35, level: 'high' });
+
+        expect(orgs).toHaveLength(1);
+        expect(orgs[0]).toMatchObject({ orgName: 'North', userCount: 2, openTaskCount: 4, overallocatedUserCount: 1 });
+        expect(orgs[0].cells.map((cell) => [cell.hours, cell.capacityHours])).toEqual([[50, 80], [35, 80]]);
+    });
+
+    it('grades utilization against capacity', () => {
+        expect(getUtilizationLevel(0, 40)).toBe('idle');
+        expect(getUtilizationLevel(20, 40)).toBe('normal');
+        expect(getUtilizationLevel(36, 40)).toBe('high');
+        expect(getUtilizationLevel(41, 40)).toBe('over');
+    });
+});
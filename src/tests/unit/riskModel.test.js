@@ -0,0 +1,78 @@
+import { describe, expect, it } from 'vitest';
+import {
+    DEFAULT_RISK_MODEL,
+    buildRiskSignalFromInputs,
+    computeRiskLevel,
+    formatRiskModelVersion,
+    normalizeRiskModel
+} from '../../../shared/riskModel.js';
+
+describe('risk model', () => {
+    const nowMs = new Date('2026-03-20T12:00:00Z').getTime();
+    const inputs = {
+        taskStats: { totalTasks: 10, overdueTasks: 5, blockedTasks: 1, inFlightTasks: 4 },
+        reportStatus: 'yellow',
+        latestReportAt: '2026-03-01T12:00:00Z',
+        nowMs
+    };
+
+    it('scores with the default weights when no model is given', () => {
+        const signal = buildRiskSignalFromInputs(inputs);
+
+        // overdue 30 (capped) + blocked 8 + yellow 12 + report aging 10 + overdue share 10
+        expect(signal.score).toBe(70);
+        expect(signal.level).toBe('high');
+        expect(signal.signals.map((item) => item.key)).toEqual([
+            'overdue_tasks', 'blocked_tasks', 'status_report_yellow', 'stale_report_medium', 'overdue_ratio'
+        ]);
+    });
+
+    it('leaves time-driven penalties out while the project is on hold', () => {
+        const signal = buildRiskSignalFromInputs({ ...inputs, scheduleSlipDays: 40, onHold: true });
+
+        // blocked 8 + yellow 12; overdue, report aging, slip and overdue share are paused
+        expect(signal.score).toBe(20);
+        expect(signal.signals.map((item) => item.key)).toEqual(['blocked_tasks', 'status_report_yellow']);
+        expect(signal.metrics.onHold).toBe(true);
+        expect(signal.metrics.overdueTasks).toBe(5);
+    });
+
+    it('applies custom weights, caps and thresholds', () => {
+        const { model } = normalizeRiskModel({
+            signals: {
+                overdue_tasks: { points: 2, cap: 8 },
+                status_report_yellow: { points: 0 },
+                stale_report_medium: { afterDays: 30 }
+            },
+            thresholds: { medium: 10, high: 20, critical: 40 }
+        });
+        const signal = buildRiskSignalFromInputs(inputs, model);
+
+        // overdue 8 (capped) + blocked 8 + overdue share 10; zero-point yellow is switched off
+        expect(signal.score).toBe(26);
+        expect(signal.level).toBe('high');
+        expect(signal.signals.some((item) => item.key === 'status_report_yellow')).toBe(false);
+    });
+
+    it('fills missing fields from the defaults', () => {
+        const { model } = normalizeRiskModel({ signals: { blocked_tasks: { points: '9' } } });
+
+        expect(model.signals.blocked_tasks).toEqual({ points: 9, cap: 25 });
+        expect(model.signals.overdue_ratio).toEqual(DEFAULT_RISK_MODEL.signals.overdue_ratio);
+        expect(model.thresholds).toEqual(DEFAULT_RISK_MODEL.thresholds);
+    });
+
+    it('rejects out-of-range values and non-increasing thresholds', () => {
+        expect(normalizeRiskModel({ signals: { overdue_tasks: { points: 500 } } }).error).toMatch(/between 0 and 100/);
+        expect(normalizeRiskModel({ signals: { overdue_ratio: { ratio: 'abc' } } }).error).toBeTruthy();
+        expect(normalizeRiskModel({ thresholds: { medium: 60, high: 50 } }).error).toMatch(/must increase/);
+    });
+
+    it('derives levels from thresholds and labels the producing version', () => {
+        expect(computeRiskLevel(29)).toBe('low');
+        expect(computeRiskLevel(75)).toBe('critical');
+        expect(computeRiskLevel(15, { medium: 10, high: 20, critical: 40 })).toBe('medium');
+        expect(formatRiskModelVersion(null)).toBe('Default model');
+        expect(formatRiskModelVersion({ version: 3, name: 'Schedule heavy' })).toBe('Model v3 · Schedule heavy');
+    });
+});
@@ -0,0 +1,43 @@
+import { describe, expect, it } from 'vitest';
+import {
+    DEFAULT_RISK_HISTORY_DAYS,
+    MAX_RISK_HISTORY_DAYS,
+    buildSparklinePoints,
+    normalizeRiskHistoryDays,
+    summarizeRiskTrend
+} from '../../../shared/riskTrend.js';
+
+describe('risk trend', () => {
+    const today = new Date('2026-03-20T12:00:00Z');
+
+    it('compares the live score with the latest snapshot at least a week old', () => {
+        const trend = summarizeRiskTrend([
+            { date: '2026-03-19', score: 50 },
+            { date: '2026-03-10', score: 20 },
+            { date: '2026-03-12', score: 30 }
+        ], 55, today);
+        expect(trend.points.map((point) => point.date)).toEqual(['2026-03-10', '2026-03-12', '2026-03-19']);
+        expect(trend.previousScore).toBe(30);
+        expect(trend.weekDelta).toBe(25);
+    });
+
+    it('reports no delta until a week of history exists', () => {
+        const trend = summarizeRiskTrend([{ date: '2026-03-18', score: 40 }], 40, today);
+        expect(trend.previousScore).toBeNull();
+        expect(trend.weekDelta).toBeNull();
+        expect(summarizeRiskTrend(null, 10, today).points).toEqual([]);
+    });
+
+    it('clamps the requested history window', () => {
+        expect(normalizeRiskHistoryDays(undefined)).toBe(DEFAULT_RISK_HISTORY_DAYS);
+        expect(normalizeRiskHistoryDays('-4')).toBe(DEFAULT_RISK_HISTORY_DAYS);
+        expect(normalizeRiskHistoryDays('30')).toBe(30);
+        expect(normalizeRiskHistoryDays(5000)).toBe(MAX_RISK_HISTORY_DAYS);
+    });
+
+    it('plots scores on a 0-100 vertical scale', () => {
+        expect(buildSparklinePoints([0, 50, 100], 100, 20)).toBe('0,20 50,10 100,0');
+        expect(buildSparklinePoints([150], 40, 10)).toBe('20,0');
+        expect(buildSparklinePoints([], 40, 10)).toBe('');
+    });
+});
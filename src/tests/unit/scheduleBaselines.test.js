@@ -0,0 +1,34 @@
+import { describe, expect, it } from 'vitest';
+import { computeScheduleVariance, getBaselineItemKey } from '../../../shared/scheduleBaselines.js';
+
+describe('schedule baselines', () => {
+    it('measures finish slip and counts slipped items', () => {
+        const variance = computeScheduleVariance([
+            { baselineEndDate: '2026-03-01', currentEndDate: '2026-03-04' },
+            { baselineEndDate: '2026-03-20', currentEndDate: '2026-03-30' },
+            { baselineEndDate: '2026-03-10', currentEndDate: '2026-03-08' }
+        ]);
+        expect(variance).toEqual({
+            slipDays: 10,
+            maxItemSlipDays: 10,
+            slippedItemCount: 2,
+            comparedItemCount: 3,
+            removedItemCount: 0
+        });
+    });
+
+    it('reports early finishes as negative slip and ignores removed items', () => {
+        const variance = computeScheduleVariance([
+            { baselineEndDate: '2026-05-01', currentEndDate: '2026-04-25' },
+            { baselineEndDate: '2026-06-01', currentEndDate: undefined }
+        ]);
+        expect(variance.slipDays).toBe(-6);
+        expect(variance.removedItemCount).toBe(1);
+        expect(variance.comparedItemCount).toBe(1);
+    });
+
+    it('returns zero variance without comparable items', () => {
+        expect(computeScheduleVariance([]).slipDays).toBe(0);
+        expect(getBaselineItemKey('task', '12')).toBe('task:12');
+    });
+});
@@ -0,0 +1,51 @@
+import { describe, expect, it } from 'vitest';
+import {
+    DEFAULT_STAGE_GATE_PHASES,
+    GATE_VOTES,
+    getChecklistProgress,
+    getNextPhase,
+    normalizeStageGatePhases,
+    summarizeGateVotes
+} from '../../../shared/stageGates.js';
+
+describe('stage-gate lifecycle', () => {
+    it('ships the standard delivery phases in order', () => {
+        expect(DEFAULT_STAGE_GATE_PHASES.map((phase) => phase.key)).toEqual(['initiate', 'plan', 'build', 'deploy', 'close']);
+        expect(normalizeStageGatePhases(DEFAULT_STAGE_GATE_PHASES).phases).toEqual(DEFAULT_STAGE_GATE_PHASES);
+    });
+
+    it('derives keys from names and keeps checklist ids across edits', () => {
+        const result = normalizeStageGatePhases([
+            { name: ' Discovery ', criteria: ['Problem agreed', ''], checklist: ['Sponsor named'] },
+            { key: 'pilot', name: 'Pilot', checklist: [{ id: 'site-ready', label: 'Pilot site is ready' }] }
+        ]);
+        expect(result.phases).toEqual([
+            { key: 'discovery', name: 'Discovery', criteria: ['Problem agreed'], checklist: [{ id: 'sponsor-named', label: 'Sponsor named' }] },
+            { key: 'pilot', name: 'Pilot', criteria: [], checklist: [{ id: 'site-ready', label: 'Pilot site is ready' }] }
+        ]);
+    });
+
+    it('rejects models that cannot drive a lifecycle', () => {
+        expect(normalizeStageGatePhases([{ name: 'Only' }]).error).toMatch(/at least two/);
+        expect(normalizeStageGatePhases([{ name: 'Build' }, { name: 'build' }]).error).toMatch(/more than once/);
+        expect(normalizeStageGatePhases([{ name: 'Plan' }, { name: '  ' }]).error).toMatch(/Phase 2 needs a name/);
+    });
+
+    it('walks phases and tracks checklist completion', () => {
+        const [initiate] = DEFAULT_STAGE_GATE_PHASES;
+        expect(getNextPhase(DEFAULT_STAGE_GATE_PHASES, 'initiate').key).toBe('plan');
+        expect(getNextPhase(DEFAULT_STAGE_GATE_PHASES, 'close')).toBeNull();
+
+        const ids = initiate.checklist.map((item) => item.id);
+        expect(getChecklistProgress(initiate, [ids[0], 'retired-item'])).toEqual({ checkedCount: 1, total: 3, complete: false });
+        expect(getChecklistProgress(initiate, ids).complete).toBe(true);
+    });
+
+    it('tallies gate votes', () => {
+        expect(summarizeGateVotes([
+            { vote: GATE_VOTES.APPROVE },
+            { vote: GATE_VOTES.REWORK },
+            { vote: GATE_VOTES.APPROVE }
+        ])).toEqual({ voteCount: 3, approveCount: 2, reworkCount: 1 });
+    });
+});
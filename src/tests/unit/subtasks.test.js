@@ -0,0 +1,57 @@
+import { describe, expect, it } from 'vitest';
+import {
+    MAX_SUBTASK_LEVELS,
+    getSubtaskDescendants,
+    orderTasksAsTree,
+    summarizeSubtasks,
+    validateSubtaskParent
+} from '../../../shared/subtasks.js';
+
+const tasks = [
+    { id: '1', title: 'Rollout', startDate: '2026-03-05', endDate: '2026-03-10', status: 'in-progress' },
+    { id: '2', title: 'Train staff', parentTaskId: '1', startDate: '2026-03-02', endDate: '2026-03-06', status: 'done' },
+    { id: '3', title: 'Go live', parentTaskId: '1', endDate: '2026-03-20', status: 'todo' },
+    { id: '4', title: 'Wave 1', parentTaskId: '2', startDate: '2026-03-02', endDate: '2026-03-03', status: 'done' },
+    { id: '5', title: 'Backlog idea' }
+];
+
+const isDone = (task) => task.status === 'done';
+
+describe('sub-task helpers', () => {
+    it('orders parents before their sub-tasks and keeps sibling order', () => {
+        const rows = orderTasksAsTree(tasks);
+        expect(rows.map(({ task, level }) => `${task.id}:${level}`)).toEqual(['1:0', '2:1', '4:2', '3:1', '5:0']);
+        expect(rows.find((row) => row.task.id === '2').hasSubtasks).toBe(true);
+    });
+
+    it('treats tasks whose parent is missing from the list as top-level', () => {
+        const rows = orderTasksAsTree(tasks.filter((task) => task.id !== '1'));
+        expect(rows.map(({ task, level }) => `${task.id}:${level}`)).toEqual(['2:0', '4:1', '3:0', '5:0']);
+    });
+
+    it('collects all descendants depth first', () => {
+        expect(getSubtaskDescendants(tasks, '1').map((task) => task.id)).toEqual(['2', '4', '3']);
+        expect(getSubtaskDescendants(tasks, '5')).toEqual([]);
+    });
+
+    it('rolls progress and the date span up to the parent', () => {
+        expect(summarizeSubtasks(tasks, '1', isDone)).toEqual({
+            total: 3,
+            done: 2,
+            percent: 67,
+            startDate: '2026-03-02',
+            endDate: '2026-03-20'
+        });
+        expect(summarizeSubtasks(tasks, '5', isDone)).toBeNull();
+    });
+
+    it('rejects cycles, self-parenting, other projects and deep nesting', () => {
+        expect(validateSubtaskParent(tasks, '5', '1')).toBeNull();
+        expect(validateSubtaskParent(tasks, null, '99')).toBe('Parent task must belong to the same project.');
+        expect(validateSubtaskParent(tasks, '1', '1')).toBe('A task cannot be its own parent.');
+        expect(validateSubtaskParent(tasks, '1', '4')).toBe('A task cannot be moved under one of its own sub-tasks.');
+        expect(validateSubtaskParent(tasks, null, '4')).toBe(`Sub-tasks can only be nested ${MAX_SUBTASK_LEVELS} levels deep.`);
+        expect(validateSubtaskParent(tasks, '2', '3')).toBe(`Sub-tasks can only be nested ${MAX_SUBTASK_LEVELS} levels deep.`);
+        expect(validateSubtaskParent(tasks, '2', null)).toBeNull();
+    });
+});
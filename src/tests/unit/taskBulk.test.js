@@ -0,0 +1,38 @@
+import { describe, expect, it } from 'vitest';
+import { buildBulkTaskUpdates, shiftDateOnly } from '../../../shared/taskBulk.js';
+
+describe('bulk task updates', () => {
+    const tasks = [
+        { id: 1, startDate: '2026-10-01', endDate: '2026-10-05' },
+        { id: 2, endDate: '2026-10-31T00:00:00.000Z' },
+        { id: 3 }
+    ];
+
+    it('applies the same field value to every selected task', () => {
+        expect(buildBulkTaskUpdates(tasks, { type: 'status', value: 'done' })).toEqual([
+            { taskId: '1', status: 'done' },
+            { taskId: '2', status: 'done' },
+            { taskId: '3', status: 'done' }
+        ]);
+        expect(buildBulkTaskUpdates(tasks.slice(0, 1), { type: 'assignee', value: '' })).toEqual([
+            { taskId: '1', assigneeOid: null }
+        ]);
+    });
+
+    it('shifts each task by the same offset and skips undated tasks', () => {
+        expect(buildBulkTaskUpdates(tasks, { type: 'shiftDates', value: '7' })).toEqual([
+            { taskId: '1', startDate: '2026-10-08', endDate: '2026-10-12' },
+            { taskId: '2', endDate: '2026-11-07' }
+        ]);
+        expect(buildBulkTaskUpdates(tasks, { type: 'shiftDates', value: 0 })).toEqual([]);
+    });
+
+    it('crosses month boundaries backwards', () => {
+        expect(shiftDateOnly('2026-03-02', -3)).toBe('2026-02-27');
+        expect(shiftDateOnly(null, 3)).toBeNull();
+    });
+
+    it('ignores unknown actions', () => {
+        expect(buildBulkTaskUpdates(tasks, { type: 'title', value: 'x' })).toEqual([]);
+    });
+});
@@ -0,0 +1,90 @@
+import { describe, expect, it } from 'vitest';
+import {
+    TASK_DEPENDENCY_TYPES,
+    computeCriticalPath,
+    findDependencyViolations,
+    normalizeDependencyType,
+    normalizeLagDays,
+    wouldCreateDependencyCycle
+} from '../../../shared/taskDependencies.js';
+
+const FS = TASK_DEPENDENCY_TYPES.FINISH_TO_START;
+const SS = TASK_DEPENDENCY_TYPES.START_TO_START;
+
+const tasks = [
+    { id: '1', title: 'Design', startDate: '2026-03-02', endDate: '2026-03-06' },
+    { id: '2', title: 'Build', startDate: '2026-03-07', endDate: '2026-03-20' },
+    { id: '3', title: 'Docs', startDate: '2026-03-07', endDate: '2026-03-08' },
+    { id: '4', title: 'Launch', startDate: '2026-03-21', endDate: '2026-03-21' },
+    { id: '5', title: 'Backlog idea' }
+];
+
+describe('task dependency normalization', () => {
+    it('defaults to finish-to-start and rejects unknown types', () => {
+        expect(normalizeDependencyType(undefined)).toBe(FS);
+        expect(normalizeDependencyType('Start-To-Start')).toBe(SS);
+        expect(normalizeDependencyType('finish-to-finish')).toBeNull();
+    });
+
+    it('accepts whole-day lag within bounds', () => {
+        expect(normalizeLagDays('')).toBe(0);
+        expect(normalizeLagDays('-2')).toBe(-2);
+        expect(normalizeLagDays(1.5)).toBeNull();
+        expect(normalizeLagDays(400)).toBeNull();
+    });
+});
+
+describe('wouldCreateDependencyCycle', () => {
+    const edges = [
+        { predecessorTaskId: 1, successorTaskId: 2 },
+        { predecessorTaskId: 2, successorTaskId: 4 }
+    ];
+
+    it('rejects self links and links that close a loop', () => {
+        expect(wouldCreateDependencyCycle(edges, 3, 3)).toBe(true);
+        expect(wouldCreateDependencyCycle(edges, 4, 1)).toBe(true);
+    });
+
+    it('allows links that keep the graph acyclic', () => {
+        expect(wouldCreateDependencyCycle(edges, 1, 4)).toBe(false);
+        expect(wouldCreateDependencyCycle(edges, 3, 4)).toBe(false);
+    });
+});
+
+describe('findDependencyViolations', () => {
+    it('flags finish-to-start successors that start before the predecessor ends plus lag', () => {
+        const violations = findDependencyViolations(tasks, [
+            { id: 'a', predecessorTaskId: '1', successorTaskId: '2', dependencyType: FS, lagDays: 0 },
+            { id: 'b', predecessorTaskId: '1', successorTaskId: '3', dependencyType: FS, lagDays: 5 }
+        ]);
+        expect(violations).toHaveLength(1);
+        expect(violations[0]).toMatchObject({ dependencyId: 'b', earliestStart: '2026-03-12', daysEarly: 5 });
+    });
+
+    it('checks start-to-start links against the predecessor start and ignores undated tasks', () => {
+        const violations = findDependencyViolations(tasks, [
+            { id: 'c', predecessorTaskId: '2', successorTaskId: '3', dependencyType: SS, lagDays: 1 },
+            { id: 'd', predecessorTaskId: '5', successorTaskId: '4', dependencyType: FS, lagDays: 0 }
+        ]);
+        expect(violations.map((violation) => violation.dependencyId)).toEqual(['c']);
+    });
+});
+
+describe('computeCriticalPath', () => {
+    it('marks the zero-slack chain through to the project finish', () => {
+        const result = computeCriticalPath(tasks, [
+            { id: 'a', predecessorTaskId: '1', successorTaskId: '2', dependencyType: FS, lagDays: 0 },
+            { id: 'b', predecessorTaskId: '2', successorTaskId: '4', dependencyType: FS, lagDays: 0 },
+            { id: 'c', predecessorTaskId: '1', successorTaskId: '3', dependencyType: FS, lagDays: 0 },
+            { id: 'd', predecessorTaskId: '3', successorTaskId: '4', dependencyType: FS, lagDays: 0 }
+        ]);
+        expect([...result.taskIds].sort()).toEqual(['1', '2', '4']);
+        expect([...result.dependencyIds].sort()).toEqual(['a', 'b']);
+        expect(result.slackByTask.get('3')).toBe(12);
+    });
+
+    it('returns an empty path when no tasks have dates', () => {
+        const result = computeCriticalPath([{ id: '9', title: 'Undated' }], []);
+        expect(result.taskIds.size).toBe(0);
+    });
+});
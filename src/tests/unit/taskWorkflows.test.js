@@ -0,0 +1,63 @@
+import { describe, expect, it } from 'vitest';
+import {
+    DEFAULT_TASK_WORKFLOW_STATES,
+    getInitialWorkflowStatus,
+    getTaskStatusCategory,
+    isTaskDone,
+    isWorkflowTransitionAllowed,
+    normalizeWorkflowStates,
+    resolveWorkflowStatus
+} from '../../../shared/taskWorkflows.js';
+
+const CLINICAL_STATES = [
+    { label: 'Backlog', category: 'open', transitions: ['build'] },
+    { label: 'Build', category: 'active', transitions: ['validation', 'awaiting-vendor'] },
+    { label: 'Awaiting Vendor', category: 'blocked', transitions: ['build'] },
+    { label: 'Validation', category: 'active' },
+    { label: 'Live', category: 'done' }
+];
+
+describe('task workflows', () => {
+    it('normalizes labels into keys and keeps state order', () => {
+        const { states } = normalizeWorkflowStates(CLINICAL_STATES);
+        expect(states.map((state) => state.key)).toEqual(['backlog', 'build', 'awaiting-vendor', 'validation', 'live']);
+        expect(states[2]).toMatchObject({ category: 'blocked', color: '#ef4444', transitions: ['build'] });
+    });
+
+    it('rejects duplicate keys, unknown transitions and missing open or done states', () => {
+        expect(normalizeWorkflowStates([...CLINICAL_STATES, { label: 'build', category: 'active' }]).error).toMatch(/more than once/);
+        expect(normalizeWorkflowStates([{ label: 'Todo', category: 'open', transitions: ['nowhere'] }, { label: 'Done', category: 'done' }]).error)
+            .toMatch(/unknown state "nowhere"/);
+        expect(normalizeWorkflowStates([{ label: 'Doing', category: 'active' }, { label: 'Done', category: 'done' }]).error).toMatch(/open/);
+        expect(normalizeWorkflowStates([{ label: 'Todo', category: 'open' }]).error).toMatch(/done state/);
+        expect(normalizeWorkflowStates([{ label: 'Todo', category: 'later' }]).error).toMatch(/category/);
+    });
+
+    it('enforces transitions but lets unknown and unrestricted states move anywhere', () => {
+        const { states } = normalizeWorkflowStates(CLINICAL_STATES);
+        expect(isWorkflowTransitionAllowed(states, 'backlog', 'build')).toBe(true);
+        expect(isWorkflowTransitionAllowed(states, 'backlog', 'live')).toBe(false);
+        expect(isWorkflowTransitionAllowed(states, 'validation', 'live')).toBe(true);
+        expect(isWorkflowTransitionAllowed(states, 'review', 'live')).toBe(true);
+        expect(isWorkflowTransitionAllowed(states, 'build', 'review')).toBe(false);
+    });
+
+    it('maps built-in statuses onto a custom workflow by category', () => {
+        const { states } = normalizeWorkflowStates(CLINICAL_STATES);
+        expect(getInitialWorkflowStatus(states)).toBe('backlog');
+        expect(resolveWorkflowStatus(states, 'todo')).toBe('backlog');
+        expect(resolveWorkflowStatus(states, 'in-progress')).toBe('build');
+        expect(resolveWorkflowStatus(states, 'done')).toBe('live');
+        expect(resolveWorkflowStatus(states, 'validation')).toBe('validation');
+        expect(resolveWorkflowStatus(DEFAULT_TASK_WORKFLOW_STATES, 'review')).toBe('review');
+    });
+
+    it('prefers the stored category and falls back to the workflow', () => {
+        const { states } = normalizeWorkflowStates(CLINICAL_STATES);
+        expect(getTaskStatusCategory({ status: 'live', statusCategory: 'done' }, states)).toBe('done');
+        expect(getTaskStatusCategory({ status: 'awaiting-vendor' }, states)).toBe('blocked');
+        expect(getTaskStatusCategory({ status: 'review' })).toBe('active');
+        expect(isTaskDone({ status: 'live' }, states)).toBe(true);
+        expect(isTaskDone({ status: 'validation' }, states)).toBe(false);
+    });
+});
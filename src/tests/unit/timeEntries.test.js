@@ -0,0 +1,52 @@
+import { describe, expect, it } from 'vitest';
+import {
+    getEffortProgress,
+    getWeekStart,
+    normalizeEstimatedHours,
+    normalizeTimeEntryHours,
+    shiftWeek,
+    summarizeTimesheet
+} from '../../../shared/timeEntries.js';
+
+describe('time entries', () => {
+    it('accepts positive hours up to a full day', () => {
+        expect(normalizeTimeEntryHours('1.5')).toBe(1.5);
+        expect(normalizeTimeEntryHours(24)).toBe(24);
+        expect(normalizeTimeEntryHours(0)).toBeNull();
+        expect(normalizeTimeEntryHours(24.5)).toBeNull();
+        expect(normalizeTimeEntryHours('abc')).toBeNull();
+    });
+
+    it('treats an empty estimate as cleared and rejects negatives', () => {
+        expect(normalizeEstimatedHours('')).toBeNull();
+        expect(normalizeEstimatedHours('12.345')).toBe(12.35);
+        expect(normalizeEstimatedHours(-1)).toBeUndefined();
+    });
+
+    it('anchors weeks on Monday', () => {
+        expect(getWeekStart('2026-10-19')).toBe('2026-10-19');
+        expect(getWeekStart('2026-10-25')).toBe('2026-10-19');
+        expect(shiftWeek('2026-10-21', -1)).toBe('2026-10-12');
+    });
+
+    it('pivots entries into a task by weekday grid', () => {
+        const sheet = summarizeTimesheet([
+            { taskId: 2, taskTitle: 'Build', projectId: 1, projectTitle: 'Alpha', entryDate: '2026-10-19', hours: 2 },
+            { taskId: 2, taskTitle: 'Build', projectId: 1, projectTitle: 'Alpha', entryDate: '2026-10-19', hours: 1.25 },
+            { taskId: 3, taskTitle: 'Test', projectId: 1, projectTitle: 'Alpha', entryDate: '2026-10-21', hours: 4 },
+            { taskId: 3, taskTitle: 'Test', projectId: 1, projectTitle: 'Alpha', entryDate: '2026-10-27', hours: 8 }
+        ], '2026-10-22');
+
+        expect(sheet.weekStart).toBe('2026-10-19');
+        expect(sheet.rows.map((row) => row.taskTitle)).toEqual(['Build', 'Test']);
+        expect(sheet.rows[0].hoursByDay).toEqual([3.25, 0, 0, 0, 0, 0, 0]);
+        expect(sheet.dayTotals).toEqual([3.25, 0, 4, 0, 0, 0, 0]);
+        expect(sheet.total).toBe(7.25);
+    });
+
+    it('reports remaining and overrun effort against the estimate', () => {
+        expect(getEffortProgress(10, 4)).toMatchObject({ remainingHours: 6, overrunHours: 0, percentUsed: 40 });
+        expect(getEffortProgress(10, 13)).toMatchObject({ remainingHours: 0, overrunHours: 3, percentUsed: 130 });
+        expect(getEffortProgress(null, 5)).toMatchObject({ estimatedHours: null, percentUsed: null });
+    });
+});
@@ -0,0 +1,49 @@
+import { describe, expect, it } from 'vitest';
+import {
+    findWipBreaches,
+    formatWipLimitViolation,
+    getWipLimitViolation,
+    normalizeWipLimits
+} from '../../../shared/wipLimits.js';
+import { DEFAULT_TASK_WORKFLOW_STATES } from '../../../shared/taskWorkflows.js';
+
+const TASKS = [
+    { id: '1', status: 'in-progress' },
+    { id: '2', status: 'in-progress' },
+    { id: '3', status: 'review' },
+    { id: '4', status: 'todo' },
+    { id: '5', status: 'todo' }
+];
+
+describe('wip limits', () => {
+    it('validates limits against the workflow states and drops cleared columns', () => {
+        expect(normalizeWipLimits({ 'in-progress': '3', review: '', done: null }, DEFAULT_TASK_WORKFLOW_STATES))
+            .toEqual({ limits: { 'in-progress': 3 } });
+        expect(normalizeWipLimits(null, DEFAULT_TASK_WORKFLOW_STATES)).toEqual({ limits: {} });
+        expect(normalizeWipLimits({ testing: 2 }, DEFAULT_TASK_WORKFLOW_STATES).error).toMatch(/unknown status "testing"/);
+        expect(normalizeWipLimits({ review: 0 }, DEFAULT_TASK_WORKFLOW_STATES).error).toMatch(/integer between 1/);
+        expect(normalizeWipLimits({ review: 1.5 }, DEFAULT_TASK_WORKFLOW_STATES).error).toMatch(/integer between 1/);
+        expect(normalizeWipLimits([2], DEFAULT_TASK_WORKFLOW_STATES).error).toMatch(/object/);
+    });
+
+    it('reports only columns holding more tasks than their limit', () => {
+        expect(findWipBreaches(TASKS, { 'in-progress': 2, todo: 1, review: 3 }))
+            .toEqual([{ status: 'todo', taskCount: 2, wipLimit: 1 }]);
+    });
+
+    it('blocks moves into a full column but not moves within it', () => {
+        const limits = { 'in-progress': 2 };
+        const violation = getWipLimitViolation({ tasks: TASKS, limits, targetStatus: 'in-progress', movingTaskIds: ['4'] });
+        expect(violation).toEqual({ status: 'in-progress', taskCount: 2, wipLimit: 2 });
+        expect(formatWipLimitViolation(violation, 'In Progress')).toMatch(/In Progress \(2\/2\)/);
+        expect(getWipLimitViolation({ tasks: TASKS, limits, targetStatus: 'in-progress', movingTaskIds: ['1'] })).toBeNull();
+        expect(getWipLimitViolation({ tasks: TASKS, limits, targetStatus: 'review', movingTaskIds: ['4'] })).toBeNull();
+    });
+
+    it('counts every task of a bulk move against the limit', () => {
+        const limits = { review: 3 };
+        expect(getWipLimitViolation({ tasks: TASKS, limits, targetStatus: 'review', movingTaskIds: ['4', '5'] })).toBeNull();
+        expect(getWipLimitViolation({ tasks: TASKS, limits, targetStatus: 'review', movingTaskIds: ['1', '4', '5'] }))
+            .toMatchObject({ taskCount: 1, wipLimit: 3 });
+    });
+});
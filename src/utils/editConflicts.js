@@ -0,0 +1,7 @@
+// Explains a 412 save error for forms without a merge step. After showing it the form keeps
+// the server's new etag, so a second save deliberately keeps the user's version.
+export const describeEditConflict = (err, fieldLabels = {}) => {
+    const fields = (err?.data?.conflicts || []).map((conflict) => fieldLabels[conflict.field] || conflict.field);
+    const changed = fields.length ? ` Changed: ${fields.join(', ')}.` : '';
+    return `${err?.message || 'Someone else saved this record first.'}${changed} Save again to keep your version.`;
+};